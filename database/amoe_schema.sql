@@ -0,0 +1,137 @@
+-- AMOE (Alternative Method of Entry) Schema
+-- Server-side free entries (online form + mail-in postcards).
+-- Entries are written only by the submit-amoe-entry edge function (service role).
+-- (run after fairness_verification_schema.sql, which creates amoe_entries)
+
+-- How each free entry arrived
+ALTER TABLE amoe_entries ADD COLUMN IF NOT EXISTS entry_method TEXT DEFAULT 'online_form'; -- 'online_form', 'mail_in'
+ALTER TABLE amoe_entries ADD COLUMN IF NOT EXISTS mail_code TEXT;
+ALTER TABLE amoe_entries ADD COLUMN IF NOT EXISTS entry_id UUID REFERENCES public.entries(id) ON DELETE SET NULL;
+
+-- Free entries folded into the participant's entry row (one ticket each)
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS amoe_entry_count INTEGER DEFAULT 0;
+
+-- Mail-in codes: issued to a participant, written on their postcard,
+-- redeemed in bulk by an admin when the card arrives
+CREATE TABLE IF NOT EXISTS amoe_mail_codes (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  code TEXT NOT NULL UNIQUE,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+
+  status TEXT DEFAULT 'issued',   -- 'issued', 'redeemed', 'rejected'
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- Redemption
+  postmark_date DATE,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  redeemed_by UUID REFERENCES public.users(id),
+  rejection_reason TEXT,
+  amoe_entry_id UUID REFERENCES amoe_entries(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_amoe_mail_codes_giveaway ON amoe_mail_codes(giveaway_id, status);
+CREATE INDEX IF NOT EXISTS idx_amoe_mail_codes_user ON amoe_mail_codes(user_id);
+
+ALTER TABLE amoe_mail_codes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own mail codes" ON amoe_mail_codes;
+CREATE POLICY "Users can view own mail codes" ON amoe_mail_codes
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all mail codes" ON amoe_mail_codes;
+CREATE POLICY "Admins can view all mail codes" ON amoe_mail_codes
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Record one free entry atomically: the amoe_entries row (which enforces one
+-- per person per giveaway per day) and one ticket on the participant's entry.
+-- A free entry carries exactly the weight of one paid ticket, as the official
+-- rules promise ("Each entry method has equal chance of winning").
+CREATE OR REPLACE FUNCTION record_amoe_entry(
+  p_giveaway_id UUID,
+  p_user_id UUID,
+  p_entry_date DATE,
+  p_entry_method TEXT,
+  p_ip_address INET,
+  p_user_agent TEXT,
+  p_verification_data JSONB,
+  p_mail_code TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id UUID;
+  v_amoe_id UUID;
+BEGIN
+  INSERT INTO entries (
+    user_id,
+    giveaway_id,
+    entry_count,
+    ticket_count,
+    amoe_entry_count,
+    total_cost,
+    entry_type,
+    payment_status,
+    status
+  ) VALUES (
+    p_user_id,
+    p_giveaway_id,
+    1,
+    1,
+    1,
+    0,
+    'amoe',
+    'completed',
+    'entered'
+  )
+  ON CONFLICT (user_id, giveaway_id)
+  DO UPDATE SET
+    entry_count = entries.entry_count + 1,
+    -- ticket_count may still hold its default on rows built by the order trigger
+    ticket_count = GREATEST(COALESCE(entries.ticket_count, 0), entries.entry_count) + 1,
+    amoe_entry_count = COALESCE(entries.amoe_entry_count, 0) + 1,
+    updated_at = NOW()
+  RETURNING id INTO v_entry_id;
+
+  INSERT INTO amoe_entries (
+    giveaway_id,
+    user_id,
+    entry_date,
+    ip_address,
+    user_agent,
+    verification_data,
+    entry_method,
+    mail_code,
+    entry_id
+  ) VALUES (
+    p_giveaway_id,
+    p_user_id,
+    p_entry_date,
+    p_ip_address,
+    p_user_agent,
+    p_verification_data,
+    p_entry_method,
+    p_mail_code,
+    v_entry_id
+  )
+  RETURNING id INTO v_amoe_id;
+
+  UPDATE giveaways
+  SET total_entries = COALESCE(total_entries, 0) + 1
+  WHERE id = p_giveaway_id;
+
+  RETURN v_amoe_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_amoe_entry(UUID, UUID, DATE, TEXT, INET, TEXT, JSONB, TEXT) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,201 @@
+-- Chargeback Disputes Schema
+-- Stripe disputes (charge.dispute.* in stripe-webhook) are tracked on
+-- payment_disputes alongside the support-escalated ones:
+--   - each Stripe dispute is one row, matched to the order or payment it
+--     charged back
+--   - an evidence packet (receipt, entry timestamps, purchase IP and device,
+--     the official rules version accepted, the fairness proof) is assembled
+--     as soon as the dispute opens (supabase/functions/_shared/disputes.ts)
+--   - the evidence deadline is tracked; the hourly job escalates disputes
+--     near their deadline and submits the assembled packet rather than let a
+--     dispute lapse unanswered
+--   - a lost dispute voids the purchase's entries and claws the creator's
+--     share back out of escrow, or out of creator_payable when it was
+--     already transferred
+-- Entry purchases record the buyer's IP and user agent from here on, so the
+-- packet has them for every dispute on a later purchase.
+-- (run after admin_console_schema.sql, stripe_connect_schema.sql,
+-- official_rules_schema.sql, fairness_verification_schema.sql and
+-- refund_engine_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('dispute_policy', '{"urgent_hours_before_due": 72, "auto_submit_hours_before_due": 24}',
+ 'Hours before a chargeback evidence deadline to escalate the dispute, and to submit the assembled evidence automatically')
+ON CONFLICT (config_key) DO NOTHING;
+
+-- Stripe dispute details
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES orders(id) ON DELETE SET NULL;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES public.payments(id) ON DELETE SET NULL;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS stripe_charge_id TEXT;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS stripe_status TEXT;           -- Stripe's dispute status, verbatim
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS reason TEXT;                  -- Stripe's reason, e.g. 'fraudulent'
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS currency TEXT;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS dispute_fee_minor BIGINT NOT NULL DEFAULT 0;
+
+-- Evidence
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_due_by TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_packet JSONB;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_built_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_error TEXT;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_submitted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS evidence_submitted_by UUID REFERENCES public.users(id);  -- NULL when auto-submitted
+
+-- Outcome
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS entries_voided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS clawback_posted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payment_disputes ADD COLUMN IF NOT EXISTS stripe_reverse_transfer_id TEXT;
+
+-- status for Stripe disputes: open (needs a response), under_review, won,
+-- lost, closed (an inquiry closed without a chargeback)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_disputes_stripe_dispute
+  ON payment_disputes(stripe_dispute_id) WHERE stripe_dispute_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_due
+  ON payment_disputes(evidence_due_by) WHERE evidence_submitted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_disputes_giveaway ON payment_disputes(giveaway_id);
+
+-- Entries under a chargeback
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS dispute_id UUID REFERENCES payment_disputes(id) ON DELETE SET NULL;
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS dispute_status TEXT;
+
+DO $$ BEGIN
+  ALTER TABLE public.entries ADD CONSTRAINT entries_dispute_status_check
+    CHECK (dispute_status IS NULL OR dispute_status IN ('disputed', 'won', 'lost'));
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Where a purchase was made from, for chargeback evidence
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS client_ip INET;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS client_ip INET;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+-- Fills client_ip and user_agent from the PostgREST request when the insert
+-- comes straight from the app (orders). create-payment-intent sets them
+-- itself from the app's request, since its own insert comes from the edge.
+CREATE OR REPLACE FUNCTION stamp_purchase_context()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_headers JSON;
+BEGIN
+  v_headers := NULLIF(current_setting('request.headers', true), '')::JSON;
+
+  IF v_headers IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.client_ip IS NULL THEN
+    BEGIN
+      NEW.client_ip := NULLIF(trim(split_part(v_headers->>'x-forwarded-for', ',', 1)), '')::INET;
+    EXCEPTION
+      WHEN invalid_text_representation THEN NULL;
+    END;
+  END IF;
+
+  NEW.user_agent := COALESCE(NEW.user_agent, v_headers->>'user-agent');
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS stamp_purchase_context ON orders;
+CREATE TRIGGER stamp_purchase_context
+  BEFORE INSERT ON orders
+  FOR EACH ROW EXECUTE FUNCTION stamp_purchase_context();
+
+DROP TRIGGER IF EXISTS stamp_purchase_context ON public.payments;
+CREATE TRIGGER stamp_purchase_context
+  BEFORE INSERT ON public.payments
+  FOR EACH ROW EXECUTE FUNCTION stamp_purchase_context();
+
+-- A lost dispute takes the purchase's tickets out of the draw. Entries keep
+-- their ticket counts (the chargeback covered all of them) and leave by
+-- payment_status, as a fully refunded entry does. Returns the tickets
+-- voided; a second call voids nothing.
+CREATE OR REPLACE FUNCTION void_disputed_purchase(p_dispute_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_dispute payment_disputes;
+  v_entry RECORD;
+  v_voided INTEGER := 0;
+BEGIN
+  SELECT * INTO v_dispute FROM payment_disputes WHERE id = p_dispute_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Dispute not found: %', p_dispute_id;
+  END IF;
+
+  IF v_dispute.entries_voided_at IS NOT NULL THEN
+    RETURN 0;
+  END IF;
+
+  IF v_dispute.order_id IS NULL AND v_dispute.payment_id IS NULL THEN
+    RAISE EXCEPTION 'Dispute % is not matched to a purchase', p_dispute_id;
+  END IF;
+
+  FOR v_entry IN
+    SELECT id, user_id, giveaway_id, entry_count, ticket_count
+    FROM entries
+    WHERE ((v_dispute.order_id IS NOT NULL AND order_id = v_dispute.order_id)
+        OR (v_dispute.order_id IS NULL AND payment_id = v_dispute.payment_id))
+      AND payment_status = 'completed'
+    FOR UPDATE
+  LOOP
+    UPDATE entries
+    SET payment_status = 'refunded',
+        dispute_id = p_dispute_id,
+        dispute_status = 'lost',
+        updated_at = NOW()
+    WHERE id = v_entry.id;
+
+    UPDATE giveaways
+    SET total_entries = GREATEST(0, total_entries - COALESCE(v_entry.entry_count, 0))
+    WHERE id = v_entry.giveaway_id;
+
+    UPDATE users
+    SET total_entries = GREATEST(0, total_entries - COALESCE(v_entry.entry_count, 0))
+    WHERE id = v_entry.user_id;
+
+    v_voided := v_voided + GREATEST(COALESCE(v_entry.ticket_count, 0), COALESCE(v_entry.entry_count, 0));
+  END LOOP;
+
+  UPDATE payment_disputes
+  SET entries_voided_at = NOW(), updated_at = NOW()
+  WHERE id = p_dispute_id;
+
+  RETURN v_voided;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION void_disputed_purchase(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION void_disputed_purchase(UUID) TO service_role;
+
+-- Deadline job: every hour manage-dispute escalates disputes close to their
+-- evidence deadline and submits the packet for those about to lapse. Same
+-- Vault secrets as the reconciliation job.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'dispute-deadlines',
+      '0 * * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/manage-dispute',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "check_deadlines"}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
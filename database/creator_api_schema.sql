@@ -0,0 +1,254 @@
+-- Creator REST API Schema
+-- Creators whose trust tier has api_access call the versioned API at
+-- supabase/functions/api-v1 with keys they issue themselves. A key is shown
+-- once when created; only its SHA-256 hash is stored. Each key carries
+-- scopes limiting what it can do:
+--   giveaways:read   list and read the creator's giveaways
+--   giveaways:write  create draft giveaways
+--   entries:read     entry counts and anonymized entrant lists
+--   fairness:read    seed commitments and draw proofs
+-- Requests are metered by check_rate_limit in rate_limit_buckets
+-- (rate_limiter_schema.sql) under the 'api' action, the same buckets
+-- rateLimitService.checkAPIRateLimit takes from.
+-- Entrant pseudonyms here are also the ones fairnessService puts in draw
+-- proofs.
+-- (run after creator_webhooks_schema.sql for creator_has_api_access; needs
+-- supabase_vault and pgcrypto)
+
+CREATE TABLE IF NOT EXISTS creator_api_keys (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL CHECK (length(name) BETWEEN 1 AND 100),
+  key_prefix TEXT NOT NULL,                        -- first characters, to recognise the key
+  key_hash TEXT UNIQUE NOT NULL,                   -- hex SHA-256 of the whole key
+  scopes TEXT[] NOT NULL CHECK (
+    cardinality(scopes) > 0
+    AND scopes <@ ARRAY['giveaways:read', 'giveaways:write', 'entries:read', 'fairness:read']
+  ),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  last_used_ip TEXT,
+  request_count BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_api_keys_creator ON creator_api_keys(creator_id);
+
+ALTER TABLE creator_api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Creators see their own keys' metadata; keys are created and revoked
+-- through the functions below
+DROP POLICY IF EXISTS "Creators can view own API keys" ON creator_api_keys;
+CREATE POLICY "Creators can view own API keys" ON creator_api_keys
+  FOR SELECT USING (
+    creator_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true)
+  );
+
+-- =======================================================
+-- KEYS
+-- =======================================================
+
+-- Issue a key for the caller. The key is returned once: { key, secret }
+CREATE OR REPLACE FUNCTION create_creator_api_key(
+  p_name TEXT,
+  p_scopes TEXT[],
+  p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_secret TEXT := 'epk_' || encode(extensions.gen_random_bytes(24), 'hex');
+  v_key creator_api_keys;
+BEGIN
+  IF NOT creator_has_api_access(auth.uid()) THEN
+    RAISE EXCEPTION 'API keys need a trust tier with API access';
+  END IF;
+
+  IF p_expires_at IS NOT NULL AND p_expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Expiry must be in the future';
+  END IF;
+
+  IF (
+    SELECT COUNT(*) FROM creator_api_keys
+    WHERE creator_id = auth.uid() AND revoked_at IS NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+  ) >= 10 THEN
+    RAISE EXCEPTION 'At most 10 active API keys per creator';
+  END IF;
+
+  INSERT INTO creator_api_keys (creator_id, name, key_prefix, key_hash, scopes, expires_at)
+  VALUES (
+    auth.uid(),
+    p_name,
+    left(v_secret, 12),
+    encode(extensions.digest(v_secret, 'sha256'), 'hex'),
+    p_scopes,
+    p_expires_at
+  )
+  RETURNING * INTO v_key;
+
+  RETURN jsonb_build_object('key', to_jsonb(v_key) - 'key_hash', 'secret', v_secret);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION revoke_creator_api_key(p_key_id UUID)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE creator_api_keys
+  SET revoked_at = NOW()
+  WHERE id = p_key_id AND creator_id = auth.uid() AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'API key not found or already revoked: %', p_key_id;
+  END IF;
+END;
+$$;
+
+-- The key behind a hash, if it may be used now, and record the use:
+-- { key_id, creator_id, scopes }. Keys stop working when revoked, expired,
+-- or when the creator's tier loses API access. Service role only.
+CREATE OR REPLACE FUNCTION authenticate_creator_api_key(p_key_hash TEXT, p_ip TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_key creator_api_keys;
+BEGIN
+  UPDATE creator_api_keys
+  SET last_used_at = NOW(),
+      last_used_ip = p_ip,
+      request_count = request_count + 1
+  WHERE key_hash = p_key_hash
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND creator_has_api_access(creator_id)
+  RETURNING * INTO v_key;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN jsonb_build_object('key_id', v_key.id, 'creator_id', v_key.creator_id, 'scopes', v_key.scopes);
+END;
+$$;
+
+-- =======================================================
+-- ENTRANTS
+-- =======================================================
+
+-- Entrants appear as a pseudonym, never by user id or entry id: the first
+-- 16 hex of HMAC-SHA256(giveaway_id:user_id) under a server-only key in
+-- Vault. The same entrant has the same pseudonym throughout one giveaway,
+-- in the API and in its fairness proof, so the per-user cap can be checked;
+-- without the key nobody can compute it for a known user, and pseudonyms in
+-- different giveaways can't be linked.
+DO $$ BEGIN
+  IF NOT EXISTS (SELECT 1 FROM vault.secrets WHERE name = 'entrant_pseudonym_key') THEN
+    PERFORM vault.create_secret(
+      encode(extensions.gen_random_bytes(32), 'hex'),
+      'entrant_pseudonym_key',
+      'Key for per-giveaway entrant pseudonyms in fairness proofs and the creator API'
+    );
+  END IF;
+END $$;
+
+CREATE OR REPLACE FUNCTION entrant_pseudonym(p_giveaway_id UUID, p_user_id UUID)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT left(encode(extensions.hmac(
+    p_giveaway_id::text || ':' || p_user_id::text,
+    (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'entrant_pseudonym_key'),
+    'sha256'
+  ), 'hex'), 16);
+$$;
+
+-- Pseudonym of each of a giveaway's entrants, for running its draw
+-- (fairnessService). The creator and admins already see who entered.
+CREATE OR REPLACE FUNCTION giveaway_entrant_pseudonyms(p_giveaway_id UUID)
+RETURNS TABLE (user_id UUID, participant TEXT)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role'
+     AND NOT EXISTS (SELECT 1 FROM giveaways g WHERE g.id = p_giveaway_id AND g.creator_id = auth.uid())
+     AND NOT EXISTS (SELECT 1 FROM users u WHERE u.id = auth.uid() AND u.is_admin = true) THEN
+    RAISE EXCEPTION 'Not authorized to draw this giveaway';
+  END IF;
+
+  RETURN QUERY
+  SELECT DISTINCT e.user_id, entrant_pseudonym(p_giveaway_id, e.user_id)
+  FROM entries e
+  WHERE e.giveaway_id = p_giveaway_id;
+END;
+$$;
+
+-- Paid-up entries of a giveaway. An entry holds the larger of ticket_count
+-- and entry_count: purchases only set entry_count.
+CREATE OR REPLACE FUNCTION creator_api_entry_counts(p_giveaway_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'entrants', COUNT(DISTINCT user_id),
+    'entries', COUNT(*),
+    'tickets', COALESCE(SUM(GREATEST(1, COALESCE(ticket_count, 0), COALESCE(entry_count, 0))), 0)
+  )
+  FROM entries
+  WHERE giveaway_id = p_giveaway_id AND payment_status = 'completed';
+$$;
+
+DROP FUNCTION IF EXISTS creator_api_entrants(UUID, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION creator_api_entrants(p_giveaway_id UUID, p_limit INTEGER DEFAULT 100, p_offset INTEGER DEFAULT 0)
+RETURNS TABLE (participant TEXT, tickets INTEGER, entered_at TIMESTAMP WITH TIME ZONE)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT entrant_pseudonym(p_giveaway_id, e.user_id),
+         GREATEST(1, COALESCE(e.ticket_count, 0), COALESCE(e.entry_count, 0)),
+         e.created_at
+  FROM entries e
+  WHERE e.giveaway_id = p_giveaway_id AND e.payment_status = 'completed'
+  ORDER BY e.created_at, e.id
+  LIMIT LEAST(GREATEST(p_limit, 1), 500)
+  OFFSET GREATEST(p_offset, 0);
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_creator_api_key(TEXT, TEXT[], TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION revoke_creator_api_key(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION authenticate_creator_api_key(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION entrant_pseudonym(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION giveaway_entrant_pseudonyms(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION creator_api_entry_counts(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION creator_api_entrants(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_creator_api_key(TEXT, TEXT[], TIMESTAMP WITH TIME ZONE) TO authenticated;
+GRANT EXECUTE ON FUNCTION revoke_creator_api_key(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION authenticate_creator_api_key(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION entrant_pseudonym(UUID, UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION giveaway_entrant_pseudonyms(UUID) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION creator_api_entry_counts(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION creator_api_entrants(UUID, INTEGER, INTEGER) TO service_role;
+
+COMMENT ON TABLE creator_api_keys IS 'Creator-issued REST API keys (hashed) with scopes and last use';
@@ -0,0 +1,667 @@
+-- Outbound Creator Webhooks Schema
+-- Creators whose trust tier has api_access (platinum, diamond) can register
+-- HTTPS endpoints to receive events about their own giveaways:
+--   entry.created    someone entered one of their giveaways
+--   giveaway.ended   a giveaway stopped taking entries
+--   winner.selected  a winner was drawn
+--   payout.paid      a payout to the creator completed
+-- Triggers below queue one creator_webhook_deliveries row per subscribed
+-- endpoint; supabase/functions/deliver-creator-webhooks signs and sends them
+-- (same Standard Webhooks headers and signature as the inbound gateway,
+-- _shared/webhookSignature.ts), retrying failures with exponential backoff.
+-- Every attempt is logged. An endpoint whose last 20 attempts all failed
+-- (creator_webhook_disable_after) is disabled and its creator notified;
+-- enabling it again resumes the deliveries it still owes.
+-- (run after webhook_gateway_schema.sql, giveaway_lifecycle_schema.sql and
+-- enhanced_giveaway_schema.sql; needs supabase_vault and pgcrypto)
+
+CREATE TABLE IF NOT EXISTS creator_webhook_endpoints (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  url TEXT NOT NULL CHECK (url ~ '^https://[^/\s]+' AND length(url) <= 2048),
+  description TEXT,
+  event_types TEXT[] NOT NULL CHECK (
+    cardinality(event_types) > 0
+    AND event_types <@ ARRAY['entry.created', 'giveaway.ended', 'winner.selected', 'payout.paid']
+  ),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  vault_secret_id UUID NOT NULL,                  -- current signing secret (vault.secrets)
+  previous_vault_secret_id UUID,                  -- still signed with until previous_secret_expires_at
+  previous_secret_expires_at TIMESTAMP WITH TIME ZONE,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  disabled_at TIMESTAMP WITH TIME ZONE,
+  disabled_reason TEXT,                           -- set when disabled automatically
+  last_success_at TIMESTAMP WITH TIME ZONE,
+  last_failure_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_webhook_endpoints_creator
+  ON creator_webhook_endpoints(creator_id) WHERE enabled;
+
+-- One row per event per endpoint; the event id is the webhook-id header, so
+-- retries and replays of an event carry the same id for receivers to dedupe
+CREATE TABLE IF NOT EXISTS creator_webhook_deliveries (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  endpoint_id UUID REFERENCES creator_webhook_endpoints(id) ON DELETE CASCADE NOT NULL,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'retrying', 'succeeded', 'failed')),
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  last_response_status INTEGER,
+  last_error TEXT,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(endpoint_id, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_webhook_deliveries_due
+  ON creator_webhook_deliveries(next_attempt_at) WHERE status IN ('pending', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_creator_webhook_deliveries_endpoint
+  ON creator_webhook_deliveries(endpoint_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS creator_webhook_attempts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  delivery_id UUID REFERENCES creator_webhook_deliveries(id) ON DELETE CASCADE NOT NULL,
+  attempt INTEGER NOT NULL,
+  manual BOOLEAN NOT NULL DEFAULT false,          -- replayed by the creator or an admin
+  response_status INTEGER,                        -- null when no response came back
+  response_body TEXT,                             -- first 1KB
+  error TEXT,
+  duration_ms INTEGER,
+  attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_webhook_attempts_delivery
+  ON creator_webhook_attempts(delivery_id, attempted_at DESC);
+
+DROP TRIGGER IF EXISTS update_creator_webhook_endpoints_updated_at ON creator_webhook_endpoints;
+CREATE TRIGGER update_creator_webhook_endpoints_updated_at
+  BEFORE UPDATE ON creator_webhook_endpoints
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Signing secrets go with the endpoint
+CREATE OR REPLACE FUNCTION delete_creator_webhook_secrets()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM vault.secrets
+  WHERE id IN (OLD.vault_secret_id, OLD.previous_vault_secret_id);
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS delete_creator_webhook_secrets ON creator_webhook_endpoints;
+CREATE TRIGGER delete_creator_webhook_secrets
+  AFTER DELETE ON creator_webhook_endpoints
+  FOR EACH ROW EXECUTE FUNCTION delete_creator_webhook_secrets();
+
+ALTER TABLE creator_webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE creator_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE creator_webhook_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Creators read their own endpoints and delete them; everything else goes
+-- through the functions below
+DROP POLICY IF EXISTS "Creators can view own webhook endpoints" ON creator_webhook_endpoints;
+CREATE POLICY "Creators can view own webhook endpoints" ON creator_webhook_endpoints
+  FOR SELECT USING (
+    creator_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true)
+  );
+
+DROP POLICY IF EXISTS "Creators can delete own webhook endpoints" ON creator_webhook_endpoints;
+CREATE POLICY "Creators can delete own webhook endpoints" ON creator_webhook_endpoints
+  FOR DELETE USING (creator_id = auth.uid());
+
+DROP POLICY IF EXISTS "Creators can view own webhook deliveries" ON creator_webhook_deliveries;
+CREATE POLICY "Creators can view own webhook deliveries" ON creator_webhook_deliveries
+  FOR SELECT USING (
+    creator_id = auth.uid()
+    OR EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true)
+  );
+
+DROP POLICY IF EXISTS "Creators can view own webhook attempts" ON creator_webhook_attempts;
+CREATE POLICY "Creators can view own webhook attempts" ON creator_webhook_attempts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM creator_webhook_deliveries d
+      WHERE d.id = delivery_id AND d.creator_id = auth.uid()
+    )
+    OR EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true)
+  );
+
+-- Failed attempts in a row, across all of an endpoint's deliveries, before it
+-- is disabled
+CREATE OR REPLACE FUNCTION creator_webhook_disable_after()
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$ SELECT 20 $$;
+
+-- =======================================================
+-- ACCESS
+-- =======================================================
+
+CREATE OR REPLACE FUNCTION creator_has_api_access(p_user_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE((
+    SELECT p.api_access
+    FROM users u
+    JOIN trust_tier_privileges p ON p.tier = u.trust_tier
+    WHERE u.id = p_user_id
+  ), false);
+$$;
+
+-- The caller's own endpoint, locked for update
+CREATE OR REPLACE FUNCTION own_creator_webhook_endpoint(p_endpoint_id UUID)
+RETURNS creator_webhook_endpoints
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_endpoint creator_webhook_endpoints;
+BEGIN
+  SELECT * INTO v_endpoint
+  FROM creator_webhook_endpoints
+  WHERE id = p_endpoint_id AND creator_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Webhook endpoint not found: %', p_endpoint_id;
+  END IF;
+
+  RETURN v_endpoint;
+END;
+$$;
+
+-- =======================================================
+-- ENDPOINTS
+-- =======================================================
+
+CREATE OR REPLACE FUNCTION new_creator_webhook_secret(p_creator_id UUID, OUT secret TEXT, OUT vault_id UUID)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  secret := 'whsec_' || encode(extensions.gen_random_bytes(32), 'hex');
+  vault_id := vault.create_secret(
+    secret,
+    'creator_webhook:' || p_creator_id || ':' || gen_random_uuid(),
+    'Outbound webhook signing secret'
+  );
+END;
+$$;
+
+-- Register an endpoint for the caller. The signing secret is returned once:
+-- { endpoint, secret }
+CREATE OR REPLACE FUNCTION create_creator_webhook_endpoint(
+  p_url TEXT,
+  p_event_types TEXT[],
+  p_description TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_secret RECORD;
+  v_endpoint creator_webhook_endpoints;
+BEGIN
+  IF NOT creator_has_api_access(auth.uid()) THEN
+    RAISE EXCEPTION 'Webhooks need a trust tier with API access';
+  END IF;
+
+  IF (SELECT COUNT(*) FROM creator_webhook_endpoints WHERE creator_id = auth.uid()) >= 10 THEN
+    RAISE EXCEPTION 'At most 10 webhook endpoints per creator';
+  END IF;
+
+  SELECT * INTO v_secret FROM new_creator_webhook_secret(auth.uid());
+
+  INSERT INTO creator_webhook_endpoints (creator_id, url, description, event_types, vault_secret_id)
+  VALUES (auth.uid(), p_url, p_description, p_event_types, v_secret.vault_id)
+  RETURNING * INTO v_endpoint;
+
+  RETURN jsonb_build_object(
+    'endpoint', to_jsonb(v_endpoint) - 'vault_secret_id' - 'previous_vault_secret_id',
+    'secret', v_secret.secret
+  );
+END;
+$$;
+
+-- Change an endpoint's url, description, events or enabled flag; null leaves
+-- a field as it is. Enabling an endpoint clears its failure streak.
+CREATE OR REPLACE FUNCTION update_creator_webhook_endpoint(
+  p_endpoint_id UUID,
+  p_url TEXT DEFAULT NULL,
+  p_event_types TEXT[] DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_enabled BOOLEAN DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_endpoint creator_webhook_endpoints := own_creator_webhook_endpoint(p_endpoint_id);
+  v_enabling BOOLEAN := p_enabled IS TRUE AND NOT v_endpoint.enabled;
+BEGIN
+  IF v_enabling AND NOT creator_has_api_access(auth.uid()) THEN
+    RAISE EXCEPTION 'Webhooks need a trust tier with API access';
+  END IF;
+
+  UPDATE creator_webhook_endpoints
+  SET url = COALESCE(p_url, url),
+      event_types = COALESCE(p_event_types, event_types),
+      description = COALESCE(p_description, description),
+      enabled = COALESCE(p_enabled, enabled),
+      consecutive_failures = CASE WHEN v_enabling THEN 0 ELSE consecutive_failures END,
+      disabled_at = CASE WHEN v_enabling THEN NULL WHEN p_enabled IS FALSE THEN COALESCE(disabled_at, NOW()) ELSE disabled_at END,
+      disabled_reason = CASE WHEN v_enabling THEN NULL WHEN p_enabled IS FALSE THEN 'Disabled by creator' ELSE disabled_reason END
+  WHERE id = p_endpoint_id
+  RETURNING * INTO v_endpoint;
+
+  RETURN to_jsonb(v_endpoint) - 'vault_secret_id' - 'previous_vault_secret_id';
+END;
+$$;
+
+-- New signing secret for an endpoint. Deliveries are signed with both the
+-- new and the old secret for p_overlap_hours so the receiver can switch over.
+CREATE OR REPLACE FUNCTION rotate_creator_webhook_secret(p_endpoint_id UUID, p_overlap_hours INTEGER DEFAULT 24)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_endpoint creator_webhook_endpoints := own_creator_webhook_endpoint(p_endpoint_id);
+  v_secret RECORD;
+BEGIN
+  IF p_overlap_hours < 0 OR p_overlap_hours > 168 THEN
+    RAISE EXCEPTION 'Overlap must be between 0 and 168 hours';
+  END IF;
+
+  SELECT * INTO v_secret FROM new_creator_webhook_secret(v_endpoint.creator_id);
+
+  UPDATE creator_webhook_endpoints
+  SET previous_vault_secret_id = vault_secret_id,
+      previous_secret_expires_at = NOW() + make_interval(hours => p_overlap_hours),
+      vault_secret_id = v_secret.vault_id
+  WHERE id = p_endpoint_id;
+
+  RETURN jsonb_build_object('endpoint_id', p_endpoint_id, 'secret', v_secret.secret);
+END;
+$$;
+
+-- =======================================================
+-- EVENTS
+-- =======================================================
+
+-- Queue an event for every enabled endpoint of the creator that subscribes to
+-- it. p_event_key identifies the occurrence (e.g. the entry id), so the same
+-- occurrence is never queued twice.
+CREATE OR REPLACE FUNCTION queue_creator_webhook_event(
+  p_creator_id UUID,
+  p_event_type TEXT,
+  p_event_key TEXT,
+  p_data JSONB
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_event_id TEXT := 'evt_' || md5(p_event_type || ':' || p_event_key);
+  v_queued INTEGER;
+BEGIN
+  IF p_creator_id IS NULL OR NOT creator_has_api_access(p_creator_id) THEN
+    RETURN 0;
+  END IF;
+
+  INSERT INTO creator_webhook_deliveries (endpoint_id, creator_id, event_id, event_type, payload)
+  SELECT e.id, e.creator_id, v_event_id, p_event_type,
+         jsonb_build_object('id', v_event_id, 'type', p_event_type, 'created_at', NOW(), 'data', p_data)
+  FROM creator_webhook_endpoints e
+  WHERE e.creator_id = p_creator_id
+    AND e.enabled
+    AND p_event_type = ANY(e.event_types)
+  ON CONFLICT (endpoint_id, event_id) DO NOTHING;
+
+  GET DIAGNOSTICS v_queued = ROW_COUNT;
+  RETURN v_queued;
+END;
+$$;
+
+-- Entrants are not identified to creators; the entry id is enough to
+-- reconcile with the creator API
+CREATE OR REPLACE FUNCTION queue_entry_created_webhook()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM queue_creator_webhook_event(
+    (SELECT creator_id FROM giveaways WHERE id = NEW.giveaway_id),
+    'entry.created',
+    NEW.id::text,
+    jsonb_build_object(
+      'entry_id', NEW.id,
+      'giveaway_id', NEW.giveaway_id,
+      'entry_count', NEW.entry_count,
+      'created_at', NEW.created_at
+    )
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_entry_created_webhook ON public.entries;
+CREATE TRIGGER queue_entry_created_webhook
+  AFTER INSERT ON public.entries
+  FOR EACH ROW EXECUTE FUNCTION queue_entry_created_webhook();
+
+CREATE OR REPLACE FUNCTION queue_giveaway_ended_webhook()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status = 'ended' AND OLD.status IS DISTINCT FROM NEW.status THEN
+    PERFORM queue_creator_webhook_event(
+      NEW.creator_id,
+      'giveaway.ended',
+      NEW.id::text,
+      jsonb_build_object(
+        'giveaway_id', NEW.id,
+        'title', NEW.title,
+        'total_entries', NEW.total_entries,
+        'ended_at', NOW()
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_giveaway_ended_webhook ON public.giveaways;
+CREATE TRIGGER queue_giveaway_ended_webhook
+  AFTER UPDATE OF status ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION queue_giveaway_ended_webhook();
+
+CREATE OR REPLACE FUNCTION queue_winner_selected_webhook()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM queue_creator_webhook_event(
+    (SELECT creator_id FROM giveaways WHERE id = NEW.giveaway_id),
+    'winner.selected',
+    NEW.id::text,
+    jsonb_build_object(
+      'winner_id', NEW.id,
+      'giveaway_id', NEW.giveaway_id,
+      'entry_id', NEW.entry_id,
+      'position', NEW.position,
+      'selected_at', NEW.selected_at
+    )
+  );
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_winner_selected_webhook ON public.winners;
+CREATE TRIGGER queue_winner_selected_webhook
+  AFTER INSERT ON public.winners
+  FOR EACH ROW EXECUTE FUNCTION queue_winner_selected_webhook();
+
+-- Payouts to the creator themselves; prize payouts to winners are not theirs
+CREATE OR REPLACE FUNCTION queue_payout_paid_webhook()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status = 'completed' AND OLD.status IS DISTINCT FROM NEW.status THEN
+    PERFORM queue_creator_webhook_event(
+      NEW.recipient_id,
+      'payout.paid',
+      NEW.id::text,
+      jsonb_build_object(
+        'payout_id', NEW.id,
+        'giveaway_id', NEW.giveaway_id,
+        'payout_type', NEW.payout_type,
+        'amount', NEW.amount,
+        'currency', NEW.currency,
+        'paid_at', NOW()
+      )
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_payout_paid_webhook ON public.payouts;
+CREATE TRIGGER queue_payout_paid_webhook
+  AFTER UPDATE OF status ON public.payouts
+  FOR EACH ROW EXECUTE FUNCTION queue_payout_paid_webhook();
+
+-- =======================================================
+-- DELIVERY (service role: deliver-creator-webhooks)
+-- =======================================================
+
+-- Take due deliveries of enabled endpoints for sending. Rows left
+-- 'delivering' by a run that died are taken again after ten minutes.
+CREATE OR REPLACE FUNCTION claim_creator_webhook_deliveries(p_limit INTEGER DEFAULT 100)
+RETURNS SETOF creator_webhook_deliveries
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE creator_webhook_deliveries d
+  SET status = 'delivering', last_attempt_at = NOW()
+  WHERE d.id IN (
+    SELECT c.id
+    FROM creator_webhook_deliveries c
+    JOIN creator_webhook_endpoints e ON e.id = c.endpoint_id
+    WHERE e.enabled
+      AND (
+        (c.status IN ('pending', 'retrying') AND c.next_attempt_at <= NOW())
+        OR (c.status = 'delivering' AND c.last_attempt_at < NOW() - INTERVAL '10 minutes')
+      )
+    ORDER BY c.next_attempt_at
+    LIMIT p_limit
+    FOR UPDATE OF c SKIP LOCKED
+  )
+  RETURNING d.*;
+$$;
+
+-- Where and with what to sign: { endpoint, secrets: [{ id, secret }] }, the
+-- current secret first
+CREATE OR REPLACE FUNCTION creator_webhook_signing_config(p_endpoint_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'endpoint', jsonb_build_object('id', e.id, 'creator_id', e.creator_id, 'url', e.url, 'enabled', e.enabled),
+    'secrets', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('id', ds.id, 'secret', ds.decrypted_secret) ORDER BY ds.id = e.vault_secret_id DESC)
+      FROM vault.decrypted_secrets ds
+      WHERE ds.id = e.vault_secret_id
+         OR (ds.id = e.previous_vault_secret_id AND e.previous_secret_expires_at > NOW())
+    ), '[]'::jsonb)
+  )
+  FROM creator_webhook_endpoints e
+  WHERE e.id = p_endpoint_id;
+$$;
+
+-- Log an attempt and settle the delivery: succeeded, retrying at
+-- p_next_attempt_at, or failed when that is null (retries used up). Keeps
+-- the endpoint's failure streak and disables the endpoint when it reaches
+-- creator_webhook_disable_after().
+CREATE OR REPLACE FUNCTION record_creator_webhook_attempt(
+  p_delivery_id UUID,
+  p_success BOOLEAN,
+  p_response_status INTEGER,
+  p_response_body TEXT,
+  p_error TEXT,
+  p_duration_ms INTEGER,
+  p_next_attempt_at TIMESTAMP WITH TIME ZONE,
+  p_manual BOOLEAN DEFAULT false
+)
+RETURNS creator_webhook_deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_delivery creator_webhook_deliveries;
+  v_endpoint creator_webhook_endpoints;
+BEGIN
+  UPDATE creator_webhook_deliveries
+  SET attempt_count = attempt_count + 1,
+      status = CASE
+        WHEN p_success THEN 'succeeded'
+        WHEN p_next_attempt_at IS NULL THEN 'failed'
+        ELSE 'retrying'
+      END,
+      next_attempt_at = CASE WHEN p_success THEN NULL ELSE p_next_attempt_at END,
+      last_attempt_at = NOW(),
+      last_response_status = p_response_status,
+      last_error = CASE WHEN p_success THEN NULL ELSE p_error END,
+      delivered_at = CASE WHEN p_success THEN NOW() ELSE delivered_at END
+  WHERE id = p_delivery_id
+  RETURNING * INTO v_delivery;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Webhook delivery not found: %', p_delivery_id;
+  END IF;
+
+  INSERT INTO creator_webhook_attempts (delivery_id, attempt, manual, response_status, response_body, error, duration_ms)
+  VALUES (p_delivery_id, v_delivery.attempt_count, p_manual, p_response_status, left(p_response_body, 1024), p_error, p_duration_ms);
+
+  UPDATE creator_webhook_endpoints
+  SET consecutive_failures = CASE WHEN p_success THEN 0 ELSE consecutive_failures + 1 END,
+      last_success_at = CASE WHEN p_success THEN NOW() ELSE last_success_at END,
+      last_failure_at = CASE WHEN p_success THEN last_failure_at ELSE NOW() END
+  WHERE id = v_delivery.endpoint_id
+  RETURNING * INTO v_endpoint;
+
+  IF v_endpoint.enabled AND v_endpoint.consecutive_failures >= creator_webhook_disable_after() THEN
+    UPDATE creator_webhook_endpoints
+    SET enabled = false,
+        disabled_at = NOW(),
+        disabled_reason = format('%s failed deliveries in a row; last error: %s',
+                                 v_endpoint.consecutive_failures,
+                                 COALESCE(p_error, 'HTTP ' || p_response_status))
+    WHERE id = v_endpoint.id;
+
+    INSERT INTO notifications (user_id, type, title, message, data, read)
+    VALUES (
+      v_endpoint.creator_id,
+      'webhook_endpoint_disabled',
+      'Webhook endpoint disabled',
+      format('We stopped sending events to %s after %s failed deliveries in a row. Fix the endpoint and enable it again from your dashboard; missed events will be sent then.',
+             v_endpoint.url, v_endpoint.consecutive_failures),
+      jsonb_build_object('endpointId', v_endpoint.id, 'actionRequired', true, 'priority', 'high'),
+      false
+    );
+  END IF;
+
+  RETURN v_delivery;
+END;
+$$;
+
+-- Send a delivery again now, whatever its status: the caller's own, or any
+-- for an admin. deliver-creator-webhooks calls this for a manual replay.
+CREATE OR REPLACE FUNCTION claim_creator_webhook_replay(p_delivery_id UUID, p_user_id UUID)
+RETURNS SETOF creator_webhook_deliveries
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE creator_webhook_deliveries
+  SET status = 'delivering', last_attempt_at = NOW()
+  WHERE id = p_delivery_id
+    AND status <> 'delivering'
+    AND (
+      creator_id = p_user_id
+      OR EXISTS (SELECT 1 FROM users WHERE id = p_user_id AND is_admin = true)
+    )
+  RETURNING *;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION creator_has_api_access(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION own_creator_webhook_endpoint(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION new_creator_webhook_secret(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION create_creator_webhook_endpoint(TEXT, TEXT[], TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION update_creator_webhook_endpoint(UUID, TEXT, TEXT[], TEXT, BOOLEAN) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION rotate_creator_webhook_secret(UUID, INTEGER) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION queue_creator_webhook_event(UUID, TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_creator_webhook_deliveries(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION creator_webhook_signing_config(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_creator_webhook_attempt(UUID, BOOLEAN, INTEGER, TEXT, TEXT, INTEGER, TIMESTAMP WITH TIME ZONE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION claim_creator_webhook_replay(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION creator_has_api_access(UUID) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION create_creator_webhook_endpoint(TEXT, TEXT[], TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION update_creator_webhook_endpoint(UUID, TEXT, TEXT[], TEXT, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION rotate_creator_webhook_secret(UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION queue_creator_webhook_event(UUID, TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_creator_webhook_deliveries(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION creator_webhook_signing_config(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION record_creator_webhook_attempt(UUID, BOOLEAN, INTEGER, TEXT, TEXT, INTEGER, TIMESTAMP WITH TIME ZONE, BOOLEAN) TO service_role;
+GRANT EXECUTE ON FUNCTION claim_creator_webhook_replay(UUID, UUID) TO service_role;
+
+-- Deliver due events every minute, when pg_cron and pg_net are enabled. Same
+-- Vault secrets as the reconciliation job.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'creator-webhook-delivery',
+      '* * * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/deliver-creator-webhooks',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "run"}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
+
+COMMENT ON TABLE creator_webhook_endpoints IS 'Creator-registered HTTPS endpoints for outbound webhook events (api_access tiers only)';
+COMMENT ON TABLE creator_webhook_deliveries IS 'One outbound event per endpoint, with its delivery status and retry schedule';
+COMMENT ON TABLE creator_webhook_attempts IS 'Every HTTP attempt at a creator webhook delivery, automatic or replayed';
@@ -0,0 +1,204 @@
+-- Eligibility Schema
+-- Per-giveaway geographic and age rules layered on the platform baseline
+-- (src/config/geographicCompliance.js), plus each entrant's declared
+-- residence and date of birth. An entrant's first declaration is kept;
+-- only an admin can change it (change_entrant_declaration), and each entry
+-- keeps the declaration it was made under.
+-- (run after stripe_connect_schema.sql, amoe_schema.sql, winner_claims_schema.sql
+-- and admin_console_schema.sql)
+
+-- Creator rules. location_restrictions (schema.sql) holds the creator's
+-- excluded states; eligible_states is an optional allow-list.
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS eligible_states TEXT[];
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS minimum_age INTEGER DEFAULT 18;
+
+-- Creators can raise the minimum age but never go below the platform's 18+
+DO $$ BEGIN
+    ALTER TABLE public.giveaways
+      ADD CONSTRAINT giveaways_minimum_age_check CHECK (minimum_age IS NULL OR minimum_age >= 18);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Entrant declaration. Kept out of public.users, which is publicly readable.
+CREATE TABLE IF NOT EXISTS entrant_eligibility (
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE PRIMARY KEY,
+  country TEXT NOT NULL,
+  state TEXT NOT NULL,            -- two-letter code
+  date_of_birth DATE NOT NULL,
+  source TEXT DEFAULT 'self_declared', -- 'self_declared', 'checkout', 'amoe', 'admin_review'
+  declared_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_entrant_eligibility_updated_at ON entrant_eligibility;
+CREATE TRIGGER update_entrant_eligibility_updated_at
+  BEFORE UPDATE ON entrant_eligibility
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE entrant_eligibility ENABLE ROW LEVEL SECURITY;
+
+-- Entrants can declare once and read it back, but not rewrite or delete it
+DROP POLICY IF EXISTS "Users can manage own eligibility" ON entrant_eligibility;
+DROP POLICY IF EXISTS "Users can view own eligibility" ON entrant_eligibility;
+CREATE POLICY "Users can view own eligibility" ON entrant_eligibility
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can declare own eligibility" ON entrant_eligibility;
+CREATE POLICY "Users can declare own eligibility" ON entrant_eligibility
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all eligibility" ON entrant_eligibility;
+CREATE POLICY "Admins can view all eligibility" ON entrant_eligibility
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Change a declaration after review, e.g. an entrant who has moved. Logged
+-- to admin_audit_log; entries already made keep the declaration they were
+-- made under.
+CREATE OR REPLACE FUNCTION change_entrant_declaration(
+  p_user_id UUID,
+  p_country TEXT,
+  p_state TEXT,
+  p_date_of_birth DATE,
+  p_reason TEXT
+)
+RETURNS entrant_eligibility
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_old entrant_eligibility;
+  v_new entrant_eligibility;
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true) THEN
+    RAISE EXCEPTION 'Only admins can change an eligibility declaration';
+  END IF;
+
+  IF COALESCE(TRIM(p_reason), '') = '' THEN
+    RAISE EXCEPTION 'A reason is required to change an eligibility declaration';
+  END IF;
+
+  SELECT * INTO v_old FROM entrant_eligibility WHERE user_id = p_user_id FOR UPDATE;
+
+  INSERT INTO entrant_eligibility (user_id, country, state, date_of_birth, source, declared_at)
+  VALUES (p_user_id, p_country, UPPER(TRIM(p_state)), p_date_of_birth, 'admin_review', NOW())
+  ON CONFLICT (user_id) DO UPDATE SET
+    country = EXCLUDED.country,
+    state = EXCLUDED.state,
+    date_of_birth = EXCLUDED.date_of_birth,
+    source = EXCLUDED.source,
+    declared_at = EXCLUDED.declared_at
+  RETURNING * INTO v_new;
+
+  INSERT INTO admin_audit_log (admin_id, action, target_type, target_id, old_values, new_values, reason)
+  VALUES (
+    auth.uid(),
+    'change_eligibility_declaration',
+    'user',
+    p_user_id::TEXT,
+    CASE WHEN v_old.user_id IS NULL THEN NULL
+      ELSE jsonb_build_object('country', v_old.country, 'state', v_old.state, 'date_of_birth', v_old.date_of_birth) END,
+    jsonb_build_object('country', v_new.country, 'state', v_new.state, 'date_of_birth', v_new.date_of_birth),
+    p_reason
+  );
+
+  RETURN v_new;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION change_entrant_declaration(UUID, TEXT, TEXT, DATE, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION change_entrant_declaration(UUID, TEXT, TEXT, DATE, TEXT) TO authenticated;
+
+-- The declaration each entry was made under. Set once, when the entry is
+-- created or first touched with a declaration on file (entries are one row
+-- per entrant and giveaway), so a later change never rewrites who was
+-- eligible for an earlier giveaway.
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS declared_country TEXT;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS declared_state TEXT;
+ALTER TABLE entries ADD COLUMN IF NOT EXISTS declared_date_of_birth DATE;
+
+CREATE OR REPLACE FUNCTION snapshot_entry_declaration()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.declared_state IS NOT NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT ee.country, ee.state, ee.date_of_birth
+  INTO NEW.declared_country, NEW.declared_state, NEW.declared_date_of_birth
+  FROM entrant_eligibility ee
+  WHERE ee.user_id = NEW.user_id;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS snapshot_entry_declaration ON entries;
+CREATE TRIGGER snapshot_entry_declaration
+  BEFORE INSERT OR UPDATE ON entries
+  FOR EACH ROW EXECUTE FUNCTION snapshot_entry_declaration();
+
+-- Entries made before the snapshot existed take the declaration as it
+-- stands now
+UPDATE entries e
+SET declared_country = ee.country,
+    declared_state = ee.state,
+    declared_date_of_birth = ee.date_of_birth
+FROM entrant_eligibility ee
+WHERE ee.user_id = e.user_id
+  AND e.declared_state IS NULL;
+
+-- Entries dropped from a draw, with reason codes, so the proof shows who
+-- was excluded and why
+ALTER TABLE fairness_proofs ADD COLUMN IF NOT EXISTS eligibility_exclusions JSONB DEFAULT '[]'::jsonb;
+
+-- Per-entry eligibility inputs for winner selection, from the declaration
+-- the entry was made under. Returns the entrant's age on the day they
+-- entered rather than their date of birth, and only to the giveaway's
+-- creator, an admin or the service role (run-draws).
+CREATE OR REPLACE FUNCTION get_entry_eligibility(p_giveaway_id UUID)
+RETURNS TABLE (
+  entry_id UUID,
+  user_id UUID,
+  country TEXT,
+  state TEXT,
+  age_at_entry INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' AND NOT EXISTS (
+    SELECT 1 FROM giveaways g WHERE g.id = p_giveaway_id AND g.creator_id = auth.uid()
+  ) AND NOT EXISTS (
+    SELECT 1 FROM users u WHERE u.id = auth.uid() AND u.is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to read eligibility for this giveaway';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    e.id,
+    e.user_id,
+    e.declared_country,
+    e.declared_state,
+    EXTRACT(YEAR FROM age(e.created_at::date, e.declared_date_of_birth))::INTEGER
+  FROM entries e
+  WHERE e.giveaway_id = p_giveaway_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_entry_eligibility(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_entry_eligibility(UUID) TO authenticated, service_role;
@@ -149,9 +149,48 @@ ADD COLUMN IF NOT EXISTS fairness_proof_id UUID REFERENCES fairness_proofs(id) O
 ADD COLUMN IF NOT EXISTS seed_hash TEXT,  -- Published before giveaway ends
 ADD COLUMN IF NOT EXISTS moderation_status moderation_status_enum DEFAULT 'pending';
 
+-- Multi-winner draws: prize tiers and per-user cap defined on the giveaway
+-- prize_tiers shape: [{"name": "1st Place", "winners": 1, "prize_description": "...", "prize_value": 500}]
+ALTER TABLE public.giveaways
+ADD COLUMN IF NOT EXISTS prize_tiers JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS max_wins_per_user INTEGER DEFAULT 1;
+
+-- Ranked proof data so anyone can re-derive the full winner ordering
+ALTER TABLE fairness_proofs
+ADD COLUMN IF NOT EXISTS winner_count INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS max_wins_per_user INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS prize_tiers JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS ranked_winners JSONB DEFAULT '[]'::jsonb;
+
+-- Ticket-weighted draws: ticket line commitment and replayable draw rounds
+ALTER TABLE fairness_proofs
+ADD COLUMN IF NOT EXISTS total_tickets INTEGER,
+ADD COLUMN IF NOT EXISTS entries_digest TEXT,      -- SHA256 of the ordered ticket ranges
+ADD COLUMN IF NOT EXISTS winning_ticket INTEGER,
+ADD COLUMN IF NOT EXISTS draw_rounds JSONB DEFAULT '[]'::jsonb;
+
+-- Winner rows carry their prize tier and rank in the proof ordering
+ALTER TABLE public.winners
+ADD COLUMN IF NOT EXISTS prize_tier TEXT,
+ADD COLUMN IF NOT EXISTS prize_value NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS proof_rank INTEGER,
+ADD COLUMN IF NOT EXISTS winning_ticket INTEGER,
+ADD COLUMN IF NOT EXISTS fairness_proof_id UUID REFERENCES fairness_proofs(id) ON DELETE SET NULL;
+
+-- Public randomness beacon: round committed with the seed, value mixed in at draw time
+ALTER TABLE giveaway_seeds
+ADD COLUMN IF NOT EXISTS beacon_source TEXT,       -- 'drand', 'file'
+ADD COLUMN IF NOT EXISTS beacon_round BIGINT;      -- Future round, fixed at creation
+
+ALTER TABLE fairness_proofs
+ADD COLUMN IF NOT EXISTS beacon_source TEXT,
+ADD COLUMN IF NOT EXISTS beacon_round BIGINT,
+ADD COLUMN IF NOT EXISTS beacon_value TEXT;        -- Draw seed = SHA256(seed:round:value)
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_giveaway_seeds_giveaway_id ON giveaway_seeds(giveaway_id);
 CREATE INDEX IF NOT EXISTS idx_fairness_proofs_giveaway_id ON fairness_proofs(giveaway_id);
+CREATE INDEX IF NOT EXISTS idx_winners_fairness_proof_id ON public.winners(fairness_proof_id);
 CREATE INDEX IF NOT EXISTS idx_content_moderation_content ON content_moderation(content_type, content_id);
 CREATE INDEX IF NOT EXISTS idx_content_moderation_status ON content_moderation(status);
 CREATE INDEX IF NOT EXISTS idx_user_verifications_user_id ON user_verifications(user_id);
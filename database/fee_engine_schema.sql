@@ -0,0 +1,149 @@
+-- Fee Engine Schema
+-- One fee schedule per transaction, resolved in one place. The arithmetic
+-- lives in supabase/functions/_shared/fees.ts (edge functions) and
+-- src/services/feeService.js (checkout preview); both read the schedule
+-- from get_fee_schedule() so the fee shown at checkout is the fee settled.
+--
+-- Resolution order for the platform commission (most specific wins):
+--   1. giveaways.platform_fee_rate     negotiated per-giveaway rate
+--   2. trust_tier_privileges           per-tier platform_fee_rate / platform_fee_min
+--   3. platform_config                 platform_commission {rate, min}
+-- The processing fee comes from platform_config for the payment channel:
+--   stripe     payment_processing_fee {rate, fixed}
+--   app_store  app_store_processing_fee {rate, fixed} (RevenueCat purchases)
+-- (run after enhanced_giveaway_schema.sql and step2_create_tables.sql)
+
+-- Per-tier commission overrides; NULL follows platform_commission.
+-- e.g. UPDATE trust_tier_privileges SET platform_fee_rate = 0.04 WHERE tier = 'platinum';
+ALTER TABLE public.trust_tier_privileges ADD COLUMN IF NOT EXISTS platform_fee_rate NUMERIC(5,4);
+ALTER TABLE public.trust_tier_privileges ADD COLUMN IF NOT EXISTS platform_fee_min NUMERIC(10,2);
+
+DO $$ BEGIN
+  ALTER TABLE public.trust_tier_privileges ADD CONSTRAINT valid_tier_platform_fee_rate
+    CHECK (platform_fee_rate IS NULL OR (platform_fee_rate >= 0 AND platform_fee_rate < 1));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+-- giveaways.platform_fee_rate defaulted to a copy of the platform rate, which
+-- would shadow every later change to platform_commission or a tier. NULL now
+-- means "no negotiated rate".
+ALTER TABLE public.giveaways ALTER COLUMN platform_fee_rate DROP DEFAULT;
+UPDATE public.giveaways SET platform_fee_rate = NULL WHERE platform_fee_rate = 0.05;
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('app_store_processing_fee', '{"rate": 0.15, "fixed": 0}', 'App Store / Google Play commission on in-app purchases: 15%')
+ON CONFLICT (config_key) DO NOTHING;
+
+-- Fee schedule for a transaction, in major units:
+-- {"commission": {"rate", "min"}, "processing": {"rate", "fixed"},
+--  "source": "platform" | "tier" | "giveaway", "tier", "channel"}
+-- Pass the giveaway, or the creator when there is no giveaway yet (wizard).
+CREATE OR REPLACE FUNCTION get_fee_schedule(
+  p_giveaway_id UUID DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_channel TEXT DEFAULT 'stripe'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_commission JSONB;
+  v_processing JSONB;
+  v_rate NUMERIC;
+  v_min NUMERIC;
+  v_source TEXT := 'platform';
+  v_creator_id UUID := p_creator_id;
+  v_giveaway_rate NUMERIC;
+  v_tier TEXT;
+  v_tier_rate NUMERIC;
+  v_tier_min NUMERIC;
+BEGIN
+  IF p_channel NOT IN ('stripe', 'app_store') THEN
+    RAISE EXCEPTION 'Unknown payment channel: %', p_channel;
+  END IF;
+
+  SELECT config_value INTO v_commission
+  FROM platform_config WHERE config_key = 'platform_commission';
+
+  SELECT config_value INTO v_processing
+  FROM platform_config
+  WHERE config_key = CASE p_channel
+    WHEN 'app_store' THEN 'app_store_processing_fee'
+    ELSE 'payment_processing_fee'
+  END;
+
+  v_rate := COALESCE((v_commission->>'rate')::NUMERIC, 0.05);
+  v_min := COALESCE((v_commission->>'min')::NUMERIC, 0.50);
+
+  IF p_giveaway_id IS NOT NULL THEN
+    SELECT creator_id, platform_fee_rate INTO v_creator_id, v_giveaway_rate
+    FROM giveaways WHERE id = p_giveaway_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Giveaway % not found', p_giveaway_id;
+    END IF;
+  END IF;
+
+  IF v_creator_id IS NOT NULL THEN
+    SELECT u.trust_tier::text, t.platform_fee_rate, t.platform_fee_min
+    INTO v_tier, v_tier_rate, v_tier_min
+    FROM users u
+    LEFT JOIN trust_tier_privileges t ON t.tier::text = u.trust_tier::text
+    WHERE u.id = v_creator_id;
+
+    IF v_tier_rate IS NOT NULL OR v_tier_min IS NOT NULL THEN
+      v_rate := COALESCE(v_tier_rate, v_rate);
+      v_min := COALESCE(v_tier_min, v_min);
+      v_source := 'tier';
+    END IF;
+  END IF;
+
+  IF v_giveaway_rate IS NOT NULL THEN
+    v_rate := v_giveaway_rate;
+    v_source := 'giveaway';
+  END IF;
+
+  RETURN jsonb_build_object(
+    'commission', jsonb_build_object('rate', v_rate, 'min', v_min),
+    'processing', jsonb_build_object(
+      'rate', COALESCE((v_processing->>'rate')::NUMERIC, CASE p_channel WHEN 'app_store' THEN 0.15 ELSE 0.029 END),
+      'fixed', COALESCE((v_processing->>'fixed')::NUMERIC, CASE p_channel WHEN 'app_store' THEN 0 ELSE 0.30 END)
+    ),
+    'source', v_source,
+    'tier', v_tier,
+    'channel', p_channel
+  );
+END;
+$$;
+
+-- Fee rates are public (shown at checkout); the rest of platform_config is not
+REVOKE EXECUTE ON FUNCTION get_fee_schedule(UUID, UUID, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_fee_schedule(UUID, UUID, TEXT) TO anon, authenticated, service_role;
+
+-- Same signature as before (enhanced_giveaway_schema.sql), now schedule-driven
+CREATE OR REPLACE FUNCTION calculate_platform_fee(amount NUMERIC, giveaway_id UUID)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_schedule JSONB := get_fee_schedule(giveaway_id);
+  v_fee NUMERIC;
+BEGIN
+  IF amount IS NULL OR amount <= 0 THEN
+    RETURN 0;
+  END IF;
+
+  v_fee := GREATEST(
+    ROUND(amount * (v_schedule->'commission'->>'rate')::NUMERIC, 2),
+    (v_schedule->'commission'->>'min')::NUMERIC
+  );
+
+  RETURN LEAST(v_fee, amount);
+END;
+$$;
@@ -0,0 +1,397 @@
+-- Giveaway Lifecycle Schema
+-- Explicit state machine for giveaways.status:
+--
+--   draft -> pending_review -> scheduled -> active -> ended -> drawn -> fulfilled
+--
+-- plus cancelled (terminal) and frozen (admin hold; unfreezing returns to the
+-- status the giveaway was frozen from; legacy paused giveaways become frozen). Every status change, however it is
+-- made, is validated against giveaway_status_transitions and recorded in
+-- giveaway_status_history. A scheduled job starts and closes giveaways on
+-- starts_at / ends_at, and each close queues a giveaway.ended webhook. The
+-- run-draws edge function draws ended giveaways, on a schedule and when
+-- webhookReliabilityService.handleGiveawayEnded delivers the webhook.
+-- Mirrored for the app in src/services/giveawayLifecycleService.js.
+-- (run after observability_schema.sql, admin_console_schema.sql, prize_fulfillment_schema.sql
+-- and official_rules_schema.sql)
+
+-- New status values. ALTER TYPE ... ADD VALUE cannot be used in the same
+-- transaction that adds it, so run this block on its own first when pasting
+-- the file into the SQL editor.
+ALTER TYPE giveaway_status_enum ADD VALUE IF NOT EXISTS 'pending_review';
+ALTER TYPE giveaway_status_enum ADD VALUE IF NOT EXISTS 'scheduled';
+ALTER TYPE giveaway_status_enum ADD VALUE IF NOT EXISTS 'drawn';
+ALTER TYPE giveaway_status_enum ADD VALUE IF NOT EXISTS 'fulfilled';
+ALTER TYPE giveaway_status_enum ADD VALUE IF NOT EXISTS 'frozen';
+
+-- Review and freeze bookkeeping written by adminActionsService
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS previous_status TEXT;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES public.users(id);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS rejected_by UUID REFERENCES public.users(id);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS frozen_by UUID REFERENCES public.users(id);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS frozen_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS freeze_reason TEXT;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS admin_notes TEXT;
+
+-- Allowed transitions and who may make them:
+--   creator = the giveaway's creator, admin = users.is_admin,
+--   system  = the scheduled job and service-role callers
+CREATE TABLE IF NOT EXISTS giveaway_status_transitions (
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  allowed_actors TEXT[] NOT NULL,
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO giveaway_status_transitions (from_status, to_status, allowed_actors) VALUES
+  ('draft',          'pending_review', ARRAY['creator', 'admin']),
+  ('draft',          'cancelled',      ARRAY['creator', 'admin']),
+  ('pending_review', 'draft',          ARRAY['creator', 'admin']),  -- withdrawn or sent back for changes
+  ('pending_review', 'scheduled',      ARRAY['admin']),
+  ('pending_review', 'active',         ARRAY['admin']),
+  ('pending_review', 'cancelled',      ARRAY['creator', 'admin']),
+  ('scheduled',      'active',         ARRAY['admin', 'system']),
+  ('scheduled',      'cancelled',      ARRAY['creator', 'admin']),
+  ('scheduled',      'frozen',         ARRAY['admin']),
+  ('active',         'ended',          ARRAY['creator', 'admin', 'system']),
+  ('active',         'cancelled',      ARRAY['admin']),
+  ('active',         'frozen',         ARRAY['admin']),
+  ('ended',          'drawn',          ARRAY['creator', 'admin', 'system']),
+  ('ended',          'cancelled',      ARRAY['admin']),
+  ('ended',          'frozen',         ARRAY['admin']),
+  ('drawn',          'fulfilled',      ARRAY['admin', 'system']),
+  ('drawn',          'frozen',         ARRAY['admin']),
+  ('frozen',         'scheduled',      ARRAY['admin']),
+  ('frozen',         'active',         ARRAY['admin']),
+  ('frozen',         'ended',          ARRAY['admin']),
+  ('frozen',         'drawn',          ARRAY['admin']),
+  ('frozen',         'cancelled',      ARRAY['admin'])
+ON CONFLICT (from_status, to_status) DO UPDATE SET allowed_actors = EXCLUDED.allowed_actors;
+
+ALTER TABLE giveaway_status_transitions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view status transitions" ON giveaway_status_transitions;
+CREATE POLICY "Anyone can view status transitions" ON giveaway_status_transitions
+  FOR SELECT USING (true);
+
+CREATE TABLE IF NOT EXISTS giveaway_status_history (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  from_status TEXT,                -- NULL for the initial status on insert
+  to_status TEXT NOT NULL,
+  actor_id UUID REFERENCES public.users(id),
+  actor_type TEXT NOT NULL,        -- 'creator', 'admin', 'system'
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_giveaway_status_history_giveaway ON giveaway_status_history(giveaway_id, created_at);
+
+ALTER TABLE giveaway_status_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Creators can view own giveaway history" ON giveaway_status_history;
+CREATE POLICY "Creators can view own giveaway history" ON giveaway_status_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM giveaways
+      WHERE id = giveaway_id AND creator_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view all giveaway history" ON giveaway_status_history;
+CREATE POLICY "Admins can view all giveaway history" ON giveaway_status_history
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Who is changing the status. The scheduled job sets
+-- entrypoint.status_actor = 'system'; calls without a user (service role,
+-- cron) are also system.
+CREATE OR REPLACE FUNCTION giveaway_status_actor(p_creator_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF current_setting('entrypoint.status_actor', true) = 'system' OR auth.uid() IS NULL THEN
+    RETURN 'system';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true) THEN
+    RETURN 'admin';
+  END IF;
+
+  IF auth.uid() = p_creator_id THEN
+    RETURN 'creator';
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION enforce_giveaway_status_transition()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_actor TEXT := giveaway_status_actor(NEW.creator_id);
+  v_allowed TEXT[];
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    -- New giveaways start as drafts or go straight to review; only admins
+    -- and the system can create them further along
+    IF NEW.status::text NOT IN ('draft', 'pending_review') AND COALESCE(v_actor, '') NOT IN ('admin', 'system') THEN
+      RAISE EXCEPTION 'New giveaways must start as draft or pending_review, not %', NEW.status
+        USING ERRCODE = 'check_violation';
+    END IF;
+    NEW.status_changed_at := NOW();
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT allowed_actors INTO v_allowed
+  FROM giveaway_status_transitions
+  WHERE from_status = OLD.status::text AND to_status = NEW.status::text;
+
+  IF v_allowed IS NULL THEN
+    RAISE EXCEPTION 'Invalid giveaway status transition: % -> %', OLD.status, NEW.status
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF v_actor IS NULL OR NOT (v_actor = ANY(v_allowed)) THEN
+    RAISE EXCEPTION 'Giveaway status transition % -> % is not allowed for %', OLD.status, NEW.status, COALESCE(v_actor, 'this user')
+      USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  IF NEW.status = 'frozen' THEN
+    NEW.previous_status := OLD.status::text;
+  ELSIF OLD.status = 'frozen' AND NEW.status <> 'cancelled' AND NEW.status::text IS DISTINCT FROM OLD.previous_status THEN
+    RAISE EXCEPTION 'Frozen giveaways can only return to their previous status (%)', OLD.previous_status
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  NEW.status_changed_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_giveaway_status_transition ON public.giveaways;
+
+-- The original schema had a 'paused' status that the state machine has no
+-- transitions for, so a paused giveaway could never move again. Paused was a
+-- hold on a running giveaway, which is what frozen is now: move those rows
+-- to frozen, to return to active when an admin unfreezes them. Runs while
+-- the status triggers are dropped, and records the change itself.
+DROP TRIGGER IF EXISTS record_giveaway_status_transition ON public.giveaways;
+
+WITH unpaused AS (
+  UPDATE public.giveaways
+  SET status = 'frozen',
+      previous_status = 'active',
+      frozen_at = COALESCE(frozen_at, NOW()),
+      freeze_reason = COALESCE(freeze_reason, 'Paused before the giveaway lifecycle was introduced'),
+      status_changed_at = NOW()
+  WHERE status = 'paused'
+  RETURNING id
+)
+INSERT INTO giveaway_status_history (giveaway_id, from_status, to_status, actor_type, reason)
+SELECT id, 'paused', 'frozen', 'system', 'Paused before the giveaway lifecycle was introduced'
+FROM unpaused;
+
+CREATE TRIGGER enforce_giveaway_status_transition
+  BEFORE INSERT OR UPDATE OF status ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION enforce_giveaway_status_transition();
+
+-- Record every transition; closing a giveaway queues the giveaway.ended
+-- webhook that triggers the draw
+CREATE OR REPLACE FUNCTION record_giveaway_status_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO giveaway_status_history (giveaway_id, from_status, to_status, actor_id, actor_type, reason)
+  VALUES (
+    NEW.id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.status::text END,
+    NEW.status::text,
+    auth.uid(),
+    COALESCE(giveaway_status_actor(NEW.creator_id), 'system'),
+    NULLIF(current_setting('entrypoint.status_reason', true), '')
+  );
+
+  IF NEW.status = 'ended' THEN
+    INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status)
+    VALUES (
+      'giveaway_ended_' || NEW.id,
+      'giveaway.ended',
+      jsonb_build_object('giveaway_id', NEW.id, 'ended_at', NOW()),
+      'pending'
+    )
+    ON CONFLICT (webhook_id, event_type) DO NOTHING;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS record_giveaway_status_transition ON public.giveaways;
+CREATE TRIGGER record_giveaway_status_transition
+  AFTER INSERT OR UPDATE OF status ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION record_giveaway_status_transition();
+
+-- Change a giveaway's status with a recorded reason. Runs with the caller's
+-- permissions, so RLS and the transition rules above still apply.
+CREATE OR REPLACE FUNCTION transition_giveaway_status(
+  p_giveaway_id UUID,
+  p_to_status TEXT,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS SETOF public.giveaways
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM set_config('entrypoint.status_reason', COALESCE(p_reason, ''), true);
+
+  RETURN QUERY
+  UPDATE public.giveaways
+  SET status = p_to_status::giveaway_status_enum,
+      updated_at = NOW()
+  WHERE id = p_giveaway_id
+  RETURNING *;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Giveaway not found or not editable: %', p_giveaway_id;
+  END IF;
+END;
+$$;
+
+-- Scheduled job: start giveaways whose starts_at has passed and close those
+-- whose ends_at has passed. Runs every minute via pg_cron; admins can also
+-- run it on demand from the Admin Hub.
+CREATE OR REPLACE FUNCTION run_giveaway_lifecycle()
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_started INTEGER;
+  v_ended INTEGER;
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to run the giveaway lifecycle job';
+  END IF;
+
+  PERFORM set_config('entrypoint.status_actor', 'system', true);
+
+  PERFORM set_config('entrypoint.status_reason', 'Start time reached', true);
+  UPDATE giveaways
+  SET status = 'active', updated_at = NOW()
+  WHERE status = 'scheduled' AND starts_at <= NOW();
+  GET DIAGNOSTICS v_started = ROW_COUNT;
+
+  PERFORM set_config('entrypoint.status_reason', 'End time reached', true);
+  UPDATE giveaways
+  SET status = 'ended', updated_at = NOW()
+  WHERE status = 'active' AND ends_at <= NOW();
+  GET DIAGNOSTICS v_ended = ROW_COUNT;
+
+  PERFORM set_config('entrypoint.status_actor', '', true);
+
+  RETURN jsonb_build_object('started', v_started, 'ended', v_ended, 'ran_at', NOW());
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION run_giveaway_lifecycle() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION run_giveaway_lifecycle() TO authenticated;
+
+-- drawn -> fulfilled once every live winner slot has its prize delivered or
+-- overridden (the same gate as prizeFulfillmentService.getPayoutRelease)
+CREATE OR REPLACE FUNCTION complete_giveaway_on_fulfillment()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status NOT IN ('delivered', 'admin_override') THEN
+    RETURN NEW;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1
+    FROM winners w
+    LEFT JOIN prize_fulfillments pf ON pf.winner_id = w.id
+    WHERE w.giveaway_id = NEW.giveaway_id
+      AND w.claim_status IN ('pending', 'claimed')
+      AND COALESCE(pf.status::text, '') NOT IN ('delivered', 'admin_override')
+  ) THEN
+    RETURN NEW;
+  END IF;
+
+  PERFORM set_config('entrypoint.status_actor', 'system', true);
+  PERFORM set_config('entrypoint.status_reason', 'All prizes delivered', true);
+
+  UPDATE giveaways
+  SET status = 'fulfilled', updated_at = NOW()
+  WHERE id = NEW.giveaway_id AND status = 'drawn';
+
+  PERFORM set_config('entrypoint.status_actor', '', true);
+  PERFORM set_config('entrypoint.status_reason', '', true);
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS complete_giveaway_on_fulfillment ON prize_fulfillments;
+CREATE TRIGGER complete_giveaway_on_fulfillment
+  AFTER INSERT OR UPDATE OF status ON prize_fulfillments
+  FOR EACH ROW EXECUTE FUNCTION complete_giveaway_on_fulfillment();
+
+-- Schedule the job when pg_cron is enabled (Dashboard > Database > Extensions)
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('giveaway-lifecycle', '* * * * *', 'SELECT run_giveaway_lifecycle()');
+  END IF;
+END $$;
+
+-- Draw job: every 5 minutes run-draws draws each ended giveaway without a
+-- proof once its beacon round is out, with the service role. Needs pg_net
+-- and the Vault secrets 'project_url' and 'service_role_key'.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'giveaway-draws',
+      '*/5 * * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/run-draws',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "run"}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
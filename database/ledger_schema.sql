@@ -0,0 +1,492 @@
+-- Double-Entry Ledger Schema
+-- Every money movement (entry purchase, prize deposit, refund, escrow release,
+-- creator/winner payout) is posted as one balanced journal entry through
+-- post_journal_entry(). The same call updates escrow_accounts, so an escrow
+-- balance only ever changes together with the journal lines that explain it.
+--
+-- Accounts (ledger_accounts.code):
+--   entrant_cash               asset      Stripe platform balance collected from entrants
+--   escrow:<giveaway_id>       liability  funds held for a giveaway (mirrors escrow_accounts)
+--   platform_fee_revenue       revenue    platform commission
+--   stripe_fees                expense    processing fees; passed-through fees net to zero
+--   creator_payable:<user_id>  liability  released to a creator, not yet transferred
+--   winner_payable:<user_id>   liability  cash prizes owed to a winner
+--   refunds                    liability  refunds issued, not yet settled by Stripe
+--
+-- Replaces the payments triggers that credited escrow_accounts and wrote
+-- single-sided rows to transaction_ledger (kept for history, no longer written).
+-- Edge functions post through supabase/functions/_shared/ledger.ts; the app
+-- reads balances and runs the drift check via src/services/ledgerService.js.
+-- (run after enhanced_giveaway_schema.sql and stripe_connect_schema.sql)
+
+DO $$ BEGIN
+  CREATE TYPE ledger_account_type AS ENUM ('asset', 'liability', 'revenue', 'expense');
+EXCEPTION
+  WHEN duplicate_object THEN NULL;
+END $$;
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  code TEXT UNIQUE NOT NULL,
+  account_kind TEXT NOT NULL,      -- code without the giveaway/user suffix
+  account_type ledger_account_type NOT NULL,
+  name TEXT NOT NULL,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE RESTRICT,
+  user_id UUID REFERENCES public.users(id) ON DELETE RESTRICT,
+  escrow_account_id UUID REFERENCES public.escrow_accounts(id) ON DELETE RESTRICT,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_giveaway ON ledger_accounts(giveaway_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user ON ledger_accounts(user_id);
+
+INSERT INTO ledger_accounts (code, account_kind, account_type, name) VALUES
+  ('entrant_cash',         'entrant_cash',         'asset',     'Entrant cash (Stripe platform balance)'),
+  ('platform_fee_revenue', 'platform_fee_revenue', 'revenue',   'Platform fee revenue'),
+  ('stripe_fees',          'stripe_fees',          'expense',   'Stripe processing fees'),
+  ('refunds',              'refunds',              'liability', 'Refunds payable')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  idempotency_key TEXT UNIQUE NOT NULL,  -- e.g. 'payment:<id>', 'refund:<stripe refund id>'
+  entry_type TEXT NOT NULL,              -- entry_purchase, prize_deposit, refund, refund_settled, escrow_release, payout, ...
+  description TEXT NOT NULL,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE RESTRICT,
+  reference_type TEXT,                   -- 'payment', 'order', 'refund', 'payout', 'transfer'
+  reference_id TEXT,
+  metadata JSONB DEFAULT '{}',
+  posted_by UUID REFERENCES public.users(id),
+  posted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_entries_giveaway ON journal_entries(giveaway_id, posted_at);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_reference ON journal_entries(reference_type, reference_id);
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  journal_entry_id UUID REFERENCES journal_entries(id) ON DELETE RESTRICT NOT NULL,
+  account_id UUID REFERENCES ledger_accounts(id) ON DELETE RESTRICT NOT NULL,
+  debit NUMERIC(12,2) NOT NULL DEFAULT 0,
+  credit NUMERIC(12,2) NOT NULL DEFAULT 0,
+  memo TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT one_sided_line CHECK (
+    debit >= 0 AND credit >= 0 AND (debit > 0) <> (credit > 0)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines(journal_entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(account_id);
+
+-- One live creator revenue payout per giveaway, so two payout calls racing
+-- (or a call racing a payout run) can't both release escrow and transfer it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_one_creator_revenue
+  ON public.payouts(giveaway_id)
+  WHERE payout_type = 'creator_revenue' AND status IN ('pending', 'processing', 'completed');
+
+-- Posted entries are permanent; corrections are new, reversing entries
+CREATE OR REPLACE FUNCTION prevent_journal_mutation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'Journal entries are append-only; post a reversing entry instead';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS journal_entries_append_only ON journal_entries;
+CREATE TRIGGER journal_entries_append_only
+  BEFORE UPDATE OR DELETE ON journal_entries
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_journal_mutation();
+
+DROP TRIGGER IF EXISTS journal_lines_append_only ON journal_lines;
+CREATE TRIGGER journal_lines_append_only
+  BEFORE UPDATE OR DELETE ON journal_lines
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_journal_mutation();
+
+-- Debits must equal credits for every entry by the end of the transaction,
+-- however the lines were written
+CREATE OR REPLACE FUNCTION check_journal_entry_balanced()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_debits NUMERIC;
+  v_credits NUMERIC;
+BEGIN
+  SELECT COALESCE(SUM(debit), 0), COALESCE(SUM(credit), 0)
+  INTO v_debits, v_credits
+  FROM journal_lines
+  WHERE journal_entry_id = NEW.journal_entry_id;
+
+  IF v_debits <> v_credits THEN
+    RAISE EXCEPTION 'Journal entry % is unbalanced: debits % <> credits %',
+      NEW.journal_entry_id, v_debits, v_credits;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS journal_lines_balanced ON journal_lines;
+CREATE CONSTRAINT TRIGGER journal_lines_balanced
+  AFTER INSERT ON journal_lines
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW
+  EXECUTE FUNCTION check_journal_entry_balanced();
+
+-- Resolve (and create on first use) the account for a kind plus its
+-- giveaway or user. Escrow accounts are tied to the giveaway's escrow_accounts row.
+CREATE OR REPLACE FUNCTION ledger_account_id(
+  p_kind TEXT,
+  p_giveaway_id UUID DEFAULT NULL,
+  p_user_id UUID DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_account_id UUID;
+  v_escrow_id UUID;
+  v_currency TEXT;
+BEGIN
+  IF p_kind IN ('entrant_cash', 'platform_fee_revenue', 'stripe_fees', 'refunds') THEN
+    SELECT id INTO v_account_id FROM ledger_accounts WHERE code = p_kind;
+    RETURN v_account_id;
+  END IF;
+
+  IF p_kind = 'escrow' THEN
+    IF p_giveaway_id IS NULL THEN
+      RAISE EXCEPTION 'Escrow lines need a giveaway_id';
+    END IF;
+
+    SELECT id INTO v_account_id FROM ledger_accounts WHERE code = 'escrow:' || p_giveaway_id;
+    IF v_account_id IS NOT NULL THEN
+      RETURN v_account_id;
+    END IF;
+
+    INSERT INTO escrow_accounts (giveaway_id, status)
+    VALUES (p_giveaway_id, 'held')
+    ON CONFLICT (giveaway_id) DO NOTHING;
+
+    SELECT id, currency INTO v_escrow_id, v_currency
+    FROM escrow_accounts WHERE giveaway_id = p_giveaway_id;
+
+    INSERT INTO ledger_accounts (code, account_kind, account_type, name, giveaway_id, escrow_account_id, currency)
+    VALUES ('escrow:' || p_giveaway_id, 'escrow', 'liability', 'Giveaway escrow', p_giveaway_id, v_escrow_id, COALESCE(v_currency, 'USD'))
+    ON CONFLICT (code) DO NOTHING;
+
+  ELSIF p_kind IN ('creator_payable', 'winner_payable') THEN
+    IF p_user_id IS NULL THEN
+      RAISE EXCEPTION '% lines need a user_id', p_kind;
+    END IF;
+
+    INSERT INTO ledger_accounts (code, account_kind, account_type, name, user_id)
+    VALUES (
+      p_kind || ':' || p_user_id, p_kind, 'liability',
+      CASE p_kind WHEN 'creator_payable' THEN 'Creator payable' ELSE 'Winner prize payable' END,
+      p_user_id
+    )
+    ON CONFLICT (code) DO NOTHING;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown ledger account kind: %', p_kind;
+  END IF;
+
+  SELECT id INTO v_account_id
+  FROM ledger_accounts
+  WHERE code = p_kind || ':' || CASE p_kind WHEN 'escrow' THEN p_giveaway_id ELSE p_user_id END;
+
+  RETURN v_account_id;
+END;
+$$;
+
+-- Post one balanced journal entry and apply its escrow lines to
+-- escrow_accounts in the same transaction. p_lines is a JSON array of
+--   { "account": "escrow", "giveaway_id": "...", "user_id": "...",
+--     "debit": 12.50, "credit": 0, "memo": "..." }
+-- Posting the same idempotency key again returns the original entry.
+CREATE OR REPLACE FUNCTION post_journal_entry(
+  p_idempotency_key TEXT,
+  p_entry_type TEXT,
+  p_description TEXT,
+  p_lines JSONB,
+  p_giveaway_id UUID DEFAULT NULL,
+  p_reference_type TEXT DEFAULT NULL,
+  p_reference_id TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id UUID;
+  v_line JSONB;
+  v_account_id UUID;
+  v_debit NUMERIC(12,2);
+  v_credit NUMERIC(12,2);
+  v_total_debits NUMERIC(12,2) := 0;
+  v_total_credits NUMERIC(12,2) := 0;
+  v_escrow_giveaway UUID;
+  v_available NUMERIC(12,2);
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to post journal entries';
+  END IF;
+
+  IF p_idempotency_key IS NULL OR p_idempotency_key = '' THEN
+    RAISE EXCEPTION 'An idempotency key is required';
+  END IF;
+
+  -- Serialize concurrent posts of the same key
+  PERFORM pg_advisory_xact_lock(hashtext('journal:' || p_idempotency_key));
+
+  SELECT id INTO v_entry_id FROM journal_entries WHERE idempotency_key = p_idempotency_key;
+  IF v_entry_id IS NOT NULL THEN
+    RETURN v_entry_id;
+  END IF;
+
+  IF jsonb_typeof(p_lines) <> 'array' OR jsonb_array_length(p_lines) < 2 THEN
+    RAISE EXCEPTION 'A journal entry needs at least two lines';
+  END IF;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+    v_total_debits := v_total_debits + COALESCE((v_line->>'debit')::NUMERIC(12,2), 0);
+    v_total_credits := v_total_credits + COALESCE((v_line->>'credit')::NUMERIC(12,2), 0);
+  END LOOP;
+
+  IF v_total_debits <> v_total_credits THEN
+    RAISE EXCEPTION 'Unbalanced journal entry %: debits % <> credits %',
+      p_idempotency_key, v_total_debits, v_total_credits;
+  END IF;
+
+  INSERT INTO journal_entries (
+    idempotency_key, entry_type, description, giveaway_id,
+    reference_type, reference_id, metadata, posted_by
+  ) VALUES (
+    p_idempotency_key, p_entry_type, p_description, p_giveaway_id,
+    p_reference_type, p_reference_id, COALESCE(p_metadata, '{}'), auth.uid()
+  )
+  RETURNING id INTO v_entry_id;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+    v_debit := COALESCE((v_line->>'debit')::NUMERIC(12,2), 0);
+    v_credit := COALESCE((v_line->>'credit')::NUMERIC(12,2), 0);
+
+    IF v_debit = 0 AND v_credit = 0 THEN
+      CONTINUE;
+    END IF;
+
+    v_escrow_giveaway := CASE
+      WHEN v_line->>'account' = 'escrow'
+        THEN COALESCE((v_line->>'giveaway_id')::UUID, p_giveaway_id)
+    END;
+
+    v_account_id := ledger_account_id(
+      v_line->>'account',
+      COALESCE(v_escrow_giveaway, (v_line->>'giveaway_id')::UUID),
+      (v_line->>'user_id')::UUID
+    );
+
+    INSERT INTO journal_lines (journal_entry_id, account_id, debit, credit, memo)
+    VALUES (v_entry_id, v_account_id, v_debit, v_credit, v_line->>'memo');
+
+    -- Escrow is a liability: credits add to the held balance, debits release it
+    IF v_escrow_giveaway IS NOT NULL THEN
+      UPDATE escrow_accounts
+      SET available_amount = available_amount + v_credit - v_debit,
+          total_amount = total_amount + v_credit - v_debit,
+          updated_at = NOW()
+      WHERE giveaway_id = v_escrow_giveaway
+      RETURNING available_amount INTO v_available;
+
+      IF v_available < 0 THEN
+        RAISE EXCEPTION 'Insufficient funds in escrow for giveaway %', v_escrow_giveaway;
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN v_entry_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION post_journal_entry(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION post_journal_entry(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, JSONB) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION ledger_account_id(TEXT, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Balance of every account in its normal direction (debit-normal for assets
+-- and expenses, credit-normal for liabilities and revenue)
+CREATE OR REPLACE VIEW ledger_account_balances
+WITH (security_invoker = true) AS
+SELECT
+  la.id AS account_id,
+  la.code,
+  la.account_kind,
+  la.account_type,
+  la.name,
+  la.giveaway_id,
+  la.user_id,
+  la.currency,
+  COALESCE(SUM(jl.debit), 0) AS total_debits,
+  COALESCE(SUM(jl.credit), 0) AS total_credits,
+  CASE WHEN la.account_type IN ('asset', 'expense')
+    THEN COALESCE(SUM(jl.debit - jl.credit), 0)
+    ELSE COALESCE(SUM(jl.credit - jl.debit), 0)
+  END AS balance
+FROM ledger_accounts la
+LEFT JOIN journal_lines jl ON jl.account_id = la.id
+GROUP BY la.id;
+
+-- Escrow invariant: available_amount + reserved_amount must equal the
+-- escrow account's journal balance. Returns only the accounts that drift,
+-- with amounts in the escrow's currency.
+DROP FUNCTION IF EXISTS check_escrow_ledger_drift();
+CREATE OR REPLACE FUNCTION check_escrow_ledger_drift()
+RETURNS TABLE (
+  escrow_account_id UUID,
+  giveaway_id UUID,
+  currency TEXT,
+  held_amount NUMERIC,
+  ledger_balance NUMERIC,
+  drift NUMERIC
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to run the escrow ledger check';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    ea.id,
+    ea.giveaway_id,
+    ea.currency,
+    (ea.available_amount + ea.reserved_amount)::NUMERIC,
+    COALESCE(lb.balance, 0)::NUMERIC,
+    (ea.available_amount + ea.reserved_amount - COALESCE(lb.balance, 0))::NUMERIC
+  FROM escrow_accounts ea
+  LEFT JOIN (
+    SELECT la.giveaway_id, SUM(jl.credit - jl.debit) AS balance
+    FROM ledger_accounts la
+    JOIN journal_lines jl ON jl.account_id = la.id
+    WHERE la.account_kind = 'escrow'
+    GROUP BY la.giveaway_id
+  ) lb ON lb.giveaway_id = ea.giveaway_id
+  WHERE ea.available_amount + ea.reserved_amount <> COALESCE(lb.balance, 0);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_escrow_ledger_drift() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION check_escrow_ledger_drift() TO authenticated;
+
+-- Escrow balances now move only through post_journal_entry
+DROP TRIGGER IF EXISTS trigger_update_escrow_balance ON public.payments;
+DROP TRIGGER IF EXISTS trigger_create_ledger_entry ON public.payments;
+
+-- Opening balances: one entry per existing escrow row so the journal starts
+-- out agreeing with escrow_accounts. Written directly (not through
+-- post_journal_entry) because the escrow amounts are already in place.
+DO $$
+DECLARE
+  v_escrow RECORD;
+  v_entry_id UUID;
+BEGIN
+  FOR v_escrow IN
+    SELECT ea.id, ea.giveaway_id, ea.available_amount + ea.reserved_amount AS held
+    FROM escrow_accounts ea
+    WHERE ea.available_amount + ea.reserved_amount > 0
+      AND NOT EXISTS (
+        SELECT 1 FROM journal_entries je WHERE je.idempotency_key = 'opening_balance:' || ea.id
+      )
+  LOOP
+    INSERT INTO journal_entries (idempotency_key, entry_type, description, giveaway_id, reference_type, reference_id)
+    VALUES ('opening_balance:' || v_escrow.id, 'opening_balance', 'Escrow balance carried over from transaction_ledger',
+            v_escrow.giveaway_id, 'escrow_account', v_escrow.id::TEXT)
+    RETURNING id INTO v_entry_id;
+
+    INSERT INTO journal_lines (journal_entry_id, account_id, debit, memo)
+    VALUES (v_entry_id, ledger_account_id('entrant_cash'), v_escrow.held, 'Opening balance');
+
+    INSERT INTO journal_lines (journal_entry_id, account_id, credit, memo)
+    VALUES (v_entry_id, ledger_account_id('escrow', v_escrow.giveaway_id), v_escrow.held, 'Opening balance');
+  END LOOP;
+END $$;
+
+-- Read access: finance/admins see everything, creators see their own
+-- giveaways' escrow and their own payable. Writes only via post_journal_entry.
+ALTER TABLE ledger_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE journal_lines ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view ledger accounts" ON ledger_accounts;
+CREATE POLICY "Admins can view ledger accounts" ON ledger_accounts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Creators can view own ledger accounts" ON ledger_accounts;
+CREATE POLICY "Creators can view own ledger accounts" ON ledger_accounts
+  FOR SELECT USING (
+    user_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM giveaways
+      WHERE id = ledger_accounts.giveaway_id AND creator_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view journal entries" ON journal_entries;
+CREATE POLICY "Admins can view journal entries" ON journal_entries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Creators can view own giveaway journal entries" ON journal_entries;
+CREATE POLICY "Creators can view own giveaway journal entries" ON journal_entries
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM giveaways
+      WHERE id = journal_entries.giveaway_id AND creator_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view journal lines" ON journal_lines;
+CREATE POLICY "Admins can view journal lines" ON journal_lines
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- ledger_accounts RLS limits the subquery to accounts the caller can see
+DROP POLICY IF EXISTS "Creators can view own journal lines" ON journal_lines;
+CREATE POLICY "Creators can view own journal lines" ON journal_lines
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM ledger_accounts la
+      WHERE la.id = journal_lines.account_id
+    )
+  );
@@ -0,0 +1,593 @@
+-- Multi-Currency Schema
+-- Each giveaway is priced, charged, escrowed and paid out in its own currency.
+-- Currency codes are stored lowercase, as Stripe returns them.
+--
+-- Amounts:
+--   *_minor columns      integer minor units (cents; yen for zero-decimal currencies),
+--                        the source of truth for new writes
+--   legacy decimal cols  kept in step for existing screens and reports
+--   ledger               major units of the entry's currency; one journal entry
+--                        never mixes currencies
+--
+-- Payouts leave in the giveaway's currency and Stripe converts them into the
+-- Connect account's settlement currency. The converted amount and rate are
+-- recorded on the payout row and on the journal entry (settlement_*,
+-- exchange_rate). exchange_rates holds reference rates for display only;
+-- nothing is charged or paid at those rates.
+-- (run after ledger_schema.sql, fee_engine_schema.sql and stripe_connect_schema.sql)
+
+CREATE TABLE IF NOT EXISTS currencies (
+  code TEXT PRIMARY KEY,           -- ISO 4217, lowercase
+  name TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  exponent SMALLINT NOT NULL DEFAULT 2,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  -- The ledger stores NUMERIC(12,2), so three-decimal currencies are out of scope
+  CONSTRAINT supported_exponent CHECK (exponent IN (0, 2)),
+  CONSTRAINT lowercase_code CHECK (code = lower(code))
+);
+
+INSERT INTO currencies (code, name, symbol, exponent) VALUES
+  ('usd', 'US Dollar',         '$',  2),
+  ('cad', 'Canadian Dollar',   'CA$', 2),
+  ('eur', 'Euro',              '€',  2),
+  ('gbp', 'British Pound',     '£',  2),
+  ('aud', 'Australian Dollar', 'A$', 2),
+  ('jpy', 'Japanese Yen',      '¥',  0)
+ON CONFLICT (code) DO NOTHING;
+
+-- Reference rates: 1 base = rate quote. Refreshed daily from the ECB by the
+-- refresh-exchange-rates function; Stripe settlement rates are added as payouts land.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  base_currency TEXT NOT NULL REFERENCES currencies(code),
+  quote_currency TEXT NOT NULL REFERENCES currencies(code),
+  rate NUMERIC(20,10) NOT NULL,
+  source TEXT NOT NULL DEFAULT 'ecb' CHECK (source IN ('ecb', 'stripe', 'manual')),
+  as_of TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT positive_rate CHECK (rate > 0),
+  UNIQUE (base_currency, quote_currency, source, as_of)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_pair ON exchange_rates(base_currency, quote_currency, as_of DESC);
+
+CREATE OR REPLACE VIEW latest_exchange_rates
+WITH (security_invoker = true) AS
+SELECT DISTINCT ON (base_currency, quote_currency)
+  base_currency, quote_currency, rate, source, as_of
+FROM exchange_rates
+ORDER BY base_currency, quote_currency, as_of DESC;
+
+ALTER TABLE currencies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view currencies" ON currencies;
+CREATE POLICY "Anyone can view currencies" ON currencies
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Anyone can view exchange rates" ON exchange_rates;
+CREATE POLICY "Anyone can view exchange rates" ON exchange_rates
+  FOR SELECT USING (true);
+
+-- Normalize existing codes to lowercase
+UPDATE public.payments SET currency = lower(currency) WHERE currency <> lower(currency);
+UPDATE public.escrow_accounts SET currency = lower(currency) WHERE currency <> lower(currency);
+UPDATE public.payouts SET currency = lower(currency) WHERE currency <> lower(currency);
+UPDATE ledger_accounts SET currency = lower(currency) WHERE currency <> lower(currency);
+ALTER TABLE public.payments ALTER COLUMN currency SET DEFAULT 'usd';
+ALTER TABLE public.escrow_accounts ALTER COLUMN currency SET DEFAULT 'usd';
+ALTER TABLE public.payouts ALTER COLUMN currency SET DEFAULT 'usd';
+ALTER TABLE ledger_accounts ALTER COLUMN currency SET DEFAULT 'usd';
+
+-- Giveaway currency and price. ticket_price is what the app has always read;
+-- ticket_price_minor is authoritative and the two are kept in step.
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS ticket_price NUMERIC(10,2);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS ticket_price_minor BIGINT;
+
+DO $$ BEGIN
+  ALTER TABLE public.giveaways ADD CONSTRAINT giveaways_currency_fkey
+    FOREIGN KEY (currency) REFERENCES currencies(code);
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+CREATE OR REPLACE FUNCTION currency_exponent(p_currency TEXT)
+RETURNS SMALLINT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT COALESCE((SELECT exponent FROM currencies WHERE code = lower(p_currency)), 2::SMALLINT);
+$$;
+
+CREATE OR REPLACE FUNCTION to_minor_units(p_amount NUMERIC, p_currency TEXT)
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT ROUND(p_amount * 10 ^ currency_exponent(p_currency))::BIGINT;
+$$;
+
+CREATE OR REPLACE FUNCTION sync_giveaway_ticket_price()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  NEW.currency := lower(NEW.currency);
+
+  IF TG_OP = 'UPDATE' AND NEW.currency <> OLD.currency AND EXISTS (
+    SELECT 1 FROM payments WHERE giveaway_id = NEW.id AND status = 'completed'
+  ) THEN
+    RAISE EXCEPTION 'Cannot change the currency of a giveaway that has taken payments';
+  END IF;
+
+  -- Whichever column the writer set wins; minor units win a tie
+  IF NEW.ticket_price_minor IS NOT NULL AND (
+    TG_OP = 'INSERT' OR NEW.ticket_price_minor IS DISTINCT FROM OLD.ticket_price_minor
+  ) THEN
+    NEW.ticket_price := NEW.ticket_price_minor / 10 ^ currency_exponent(NEW.currency);
+  ELSIF NEW.ticket_price IS NOT NULL THEN
+    NEW.ticket_price_minor := to_minor_units(NEW.ticket_price, NEW.currency);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS giveaways_sync_ticket_price ON public.giveaways;
+CREATE TRIGGER giveaways_sync_ticket_price
+  BEFORE INSERT OR UPDATE OF ticket_price, ticket_price_minor, currency ON public.giveaways
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_giveaway_ticket_price();
+
+UPDATE public.giveaways
+SET ticket_price_minor = to_minor_units(ticket_price, currency)
+WHERE ticket_price IS NOT NULL AND ticket_price_minor IS NULL;
+
+-- Minor-unit amounts alongside the legacy decimals
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS platform_fee_minor BIGINT;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS net_amount_minor BIGINT;
+
+UPDATE public.payments
+SET amount_minor = to_minor_units(amount, currency),
+    platform_fee_minor = to_minor_units(COALESCE(platform_fee_amount, 0), currency),
+    net_amount_minor = to_minor_units(net_amount, currency)
+WHERE amount_minor IS NULL;
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS total_amount_minor BIGINT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS platform_fee_minor BIGINT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS creator_amount_minor BIGINT;
+
+UPDATE orders SET currency = lower(currency) WHERE currency <> lower(currency);
+UPDATE orders
+SET total_amount_minor = to_minor_units(total_amount, currency),
+    platform_fee_minor = to_minor_units(platform_fee, currency),
+    creator_amount_minor = to_minor_units(creator_amount, currency)
+WHERE total_amount_minor IS NULL;
+
+-- Payouts: the amount sent (giveaway currency) and what it settled as
+ALTER TABLE public.payouts ADD COLUMN IF NOT EXISTS amount_minor BIGINT;
+ALTER TABLE public.payouts ADD COLUMN IF NOT EXISTS settlement_currency TEXT;
+ALTER TABLE public.payouts ADD COLUMN IF NOT EXISTS settlement_amount_minor BIGINT;
+ALTER TABLE public.payouts ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20,10);
+
+UPDATE public.payouts
+SET amount_minor = to_minor_units(amount, currency)
+WHERE amount_minor IS NULL;
+
+ALTER TABLE creator_payouts ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+ALTER TABLE creator_payouts ADD COLUMN IF NOT EXISTS creator_amount_minor BIGINT;
+ALTER TABLE creator_payouts ADD COLUMN IF NOT EXISTS settlement_currency TEXT;
+ALTER TABLE creator_payouts ADD COLUMN IF NOT EXISTS settlement_amount_minor BIGINT;
+ALTER TABLE creator_payouts ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20,10);
+
+UPDATE creator_payouts
+SET creator_amount_minor = to_minor_units(creator_amount, currency)
+WHERE creator_amount_minor IS NULL;
+
+-- Journal entries carry their currency and, for converted transfers, the
+-- settlement side of the conversion
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS settlement_currency TEXT;
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS settlement_amount_minor BIGINT;
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20,10);
+
+-- Reconciliation compares each Stripe balance transaction in its own
+-- currency's minor units; discrepancy amounts are major units of it
+ALTER TABLE IF EXISTS reconciliation_discrepancies ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+
+-- Same as ledger_schema.sql plus a currency. Platform and per-user accounts
+-- are per currency: USD keeps the original codes, others get a suffix
+-- ('entrant_cash:eur', 'creator_payable:<user_id>:eur'). Escrow accounts take
+-- the giveaway's currency.
+DROP FUNCTION IF EXISTS ledger_account_id(TEXT, UUID, UUID);
+CREATE OR REPLACE FUNCTION ledger_account_id(
+  p_kind TEXT,
+  p_giveaway_id UUID DEFAULT NULL,
+  p_user_id UUID DEFAULT NULL,
+  p_currency TEXT DEFAULT 'usd'
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_account_id UUID;
+  v_escrow_id UUID;
+  v_currency TEXT := lower(COALESCE(p_currency, 'usd'));
+  v_suffix TEXT;
+  v_code TEXT;
+BEGIN
+  v_suffix := CASE WHEN v_currency = 'usd' THEN '' ELSE ':' || v_currency END;
+
+  IF p_kind IN ('entrant_cash', 'platform_fee_revenue', 'stripe_fees', 'refunds') THEN
+    v_code := p_kind || v_suffix;
+
+    INSERT INTO ledger_accounts (code, account_kind, account_type, name, currency)
+    SELECT v_code, base.account_kind, base.account_type, base.name || ' (' || upper(v_currency) || ')', v_currency
+    FROM ledger_accounts base
+    WHERE base.code = p_kind AND v_currency <> 'usd'
+    ON CONFLICT (code) DO NOTHING;
+
+  ELSIF p_kind = 'escrow' THEN
+    IF p_giveaway_id IS NULL THEN
+      RAISE EXCEPTION 'Escrow lines need a giveaway_id';
+    END IF;
+
+    v_code := 'escrow:' || p_giveaway_id;
+
+    SELECT id INTO v_account_id FROM ledger_accounts WHERE code = v_code;
+    IF v_account_id IS NOT NULL THEN
+      RETURN v_account_id;
+    END IF;
+
+    INSERT INTO escrow_accounts (giveaway_id, status, currency)
+    SELECT p_giveaway_id, 'held', g.currency FROM giveaways g WHERE g.id = p_giveaway_id
+    ON CONFLICT (giveaway_id) DO NOTHING;
+
+    SELECT id, currency INTO v_escrow_id, v_currency
+    FROM escrow_accounts WHERE giveaway_id = p_giveaway_id;
+
+    INSERT INTO ledger_accounts (code, account_kind, account_type, name, giveaway_id, escrow_account_id, currency)
+    VALUES (v_code, 'escrow', 'liability', 'Giveaway escrow', p_giveaway_id, v_escrow_id, COALESCE(v_currency, 'usd'))
+    ON CONFLICT (code) DO NOTHING;
+
+  ELSIF p_kind IN ('creator_payable', 'winner_payable') THEN
+    IF p_user_id IS NULL THEN
+      RAISE EXCEPTION '% lines need a user_id', p_kind;
+    END IF;
+
+    v_code := p_kind || ':' || p_user_id || v_suffix;
+
+    INSERT INTO ledger_accounts (code, account_kind, account_type, name, user_id, currency)
+    VALUES (
+      v_code, p_kind, 'liability',
+      CASE p_kind WHEN 'creator_payable' THEN 'Creator payable' ELSE 'Winner prize payable' END,
+      p_user_id, v_currency
+    )
+    ON CONFLICT (code) DO NOTHING;
+
+  ELSE
+    RAISE EXCEPTION 'Unknown ledger account kind: %', p_kind;
+  END IF;
+
+  SELECT id INTO v_account_id FROM ledger_accounts WHERE code = v_code;
+
+  RETURN v_account_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION ledger_account_id(TEXT, UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Same as ledger_schema.sql plus:
+--   p_currency  the entry's currency; NULL means the giveaway's (else usd).
+--               Every line posts to that currency's accounts, and escrow
+--               lines must match the escrow account's currency.
+--   p_fx        {settlement_currency, settlement_amount_minor, exchange_rate}
+--               when Stripe converted the movement (cross-currency transfers)
+DROP FUNCTION IF EXISTS post_journal_entry(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, JSONB);
+CREATE OR REPLACE FUNCTION post_journal_entry(
+  p_idempotency_key TEXT,
+  p_entry_type TEXT,
+  p_description TEXT,
+  p_lines JSONB,
+  p_giveaway_id UUID DEFAULT NULL,
+  p_reference_type TEXT DEFAULT NULL,
+  p_reference_id TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}',
+  p_currency TEXT DEFAULT NULL,
+  p_fx JSONB DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id UUID;
+  v_line JSONB;
+  v_account_id UUID;
+  v_debit NUMERIC(12,2);
+  v_credit NUMERIC(12,2);
+  v_total_debits NUMERIC(12,2) := 0;
+  v_total_credits NUMERIC(12,2) := 0;
+  v_escrow_giveaway UUID;
+  v_available NUMERIC(12,2);
+  v_currency TEXT := lower(p_currency);
+  v_escrow_currency TEXT;
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to post journal entries';
+  END IF;
+
+  IF p_idempotency_key IS NULL OR p_idempotency_key = '' THEN
+    RAISE EXCEPTION 'An idempotency key is required';
+  END IF;
+
+  -- Serialize concurrent posts of the same key
+  PERFORM pg_advisory_xact_lock(hashtext('journal:' || p_idempotency_key));
+
+  SELECT id INTO v_entry_id FROM journal_entries WHERE idempotency_key = p_idempotency_key;
+  IF v_entry_id IS NOT NULL THEN
+    RETURN v_entry_id;
+  END IF;
+
+  IF jsonb_typeof(p_lines) <> 'array' OR jsonb_array_length(p_lines) < 2 THEN
+    RAISE EXCEPTION 'A journal entry needs at least two lines';
+  END IF;
+
+  IF v_currency IS NULL AND p_giveaway_id IS NOT NULL THEN
+    SELECT currency INTO v_currency FROM giveaways WHERE id = p_giveaway_id;
+  END IF;
+  v_currency := COALESCE(v_currency, 'usd');
+
+  IF NOT EXISTS (SELECT 1 FROM currencies WHERE code = v_currency) THEN
+    RAISE EXCEPTION 'Unsupported currency: %', v_currency;
+  END IF;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+    v_total_debits := v_total_debits + COALESCE((v_line->>'debit')::NUMERIC(12,2), 0);
+    v_total_credits := v_total_credits + COALESCE((v_line->>'credit')::NUMERIC(12,2), 0);
+  END LOOP;
+
+  IF v_total_debits <> v_total_credits THEN
+    RAISE EXCEPTION 'Unbalanced journal entry %: debits % <> credits %',
+      p_idempotency_key, v_total_debits, v_total_credits;
+  END IF;
+
+  INSERT INTO journal_entries (
+    idempotency_key, entry_type, description, giveaway_id,
+    reference_type, reference_id, metadata, posted_by, currency,
+    settlement_currency, settlement_amount_minor, exchange_rate
+  ) VALUES (
+    p_idempotency_key, p_entry_type, p_description, p_giveaway_id,
+    p_reference_type, p_reference_id, COALESCE(p_metadata, '{}'), auth.uid(), v_currency,
+    lower(p_fx->>'settlement_currency'),
+    (p_fx->>'settlement_amount_minor')::BIGINT,
+    (p_fx->>'exchange_rate')::NUMERIC
+  )
+  RETURNING id INTO v_entry_id;
+
+  -- Keep the reference rate table fed with what Stripe actually settled at
+  IF p_fx IS NOT NULL AND lower(p_fx->>'settlement_currency') <> v_currency
+     AND EXISTS (SELECT 1 FROM currencies WHERE code = lower(p_fx->>'settlement_currency')) THEN
+    INSERT INTO exchange_rates (base_currency, quote_currency, rate, source, as_of)
+    VALUES (v_currency, lower(p_fx->>'settlement_currency'), (p_fx->>'exchange_rate')::NUMERIC, 'stripe', NOW())
+    ON CONFLICT DO NOTHING;
+  END IF;
+
+  FOR v_line IN SELECT * FROM jsonb_array_elements(p_lines) LOOP
+    v_debit := COALESCE((v_line->>'debit')::NUMERIC(12,2), 0);
+    v_credit := COALESCE((v_line->>'credit')::NUMERIC(12,2), 0);
+
+    IF v_debit = 0 AND v_credit = 0 THEN
+      CONTINUE;
+    END IF;
+
+    v_escrow_giveaway := CASE
+      WHEN v_line->>'account' = 'escrow'
+        THEN COALESCE((v_line->>'giveaway_id')::UUID, p_giveaway_id)
+    END;
+
+    v_account_id := ledger_account_id(
+      v_line->>'account',
+      COALESCE(v_escrow_giveaway, (v_line->>'giveaway_id')::UUID),
+      (v_line->>'user_id')::UUID,
+      v_currency
+    );
+
+    INSERT INTO journal_lines (journal_entry_id, account_id, debit, credit, memo)
+    VALUES (v_entry_id, v_account_id, v_debit, v_credit, v_line->>'memo');
+
+    -- Escrow is a liability: credits add to the held balance, debits release it
+    IF v_escrow_giveaway IS NOT NULL THEN
+      UPDATE escrow_accounts
+      SET available_amount = available_amount + v_credit - v_debit,
+          total_amount = total_amount + v_credit - v_debit,
+          updated_at = NOW()
+      WHERE giveaway_id = v_escrow_giveaway
+      RETURNING available_amount, currency INTO v_available, v_escrow_currency;
+
+      IF lower(v_escrow_currency) <> v_currency THEN
+        RAISE EXCEPTION 'Escrow for giveaway % is held in %, not %',
+          v_escrow_giveaway, v_escrow_currency, v_currency;
+      END IF;
+
+      IF v_available < 0 THEN
+        RAISE EXCEPTION 'Insufficient funds in escrow for giveaway %', v_escrow_giveaway;
+      END IF;
+    END IF;
+  END LOOP;
+
+  RETURN v_entry_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION post_journal_entry(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, JSONB, TEXT, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION post_journal_entry(TEXT, TEXT, TEXT, JSONB, UUID, TEXT, TEXT, JSONB, TEXT, JSONB) TO authenticated, service_role;
+
+-- Same as fee_engine_schema.sql plus the charge currency. Rates apply as-is;
+-- the fixed processing fee and commission minimum are per currency:
+--   1. a "currencies" override in the platform_config value, e.g.
+--      payment_processing_fee {"rate": 0.029, "fixed": 0.30, "currencies": {"eur": {"fixed": 0.25}}}
+--      platform_commission    {"rate": 0.05, "min": 0.50, "currencies": {"jpy": {"min": 75}}}
+--   2. otherwise the USD amount converted at the latest reference rate and
+--      rounded to the currency's exponent
+-- Raises when neither exists, so a charge is never priced in the wrong unit.
+DROP FUNCTION IF EXISTS get_fee_schedule(UUID, UUID, TEXT);
+CREATE OR REPLACE FUNCTION get_fee_schedule(
+  p_giveaway_id UUID DEFAULT NULL,
+  p_creator_id UUID DEFAULT NULL,
+  p_channel TEXT DEFAULT 'stripe',
+  p_currency TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_commission JSONB;
+  v_processing JSONB;
+  v_rate NUMERIC;
+  v_min NUMERIC;
+  v_fixed NUMERIC;
+  v_source TEXT := 'platform';
+  v_creator_id UUID := p_creator_id;
+  v_giveaway_rate NUMERIC;
+  v_tier TEXT;
+  v_tier_rate NUMERIC;
+  v_tier_min NUMERIC;
+  v_currency TEXT := lower(p_currency);
+  v_exponent SMALLINT;
+  v_fx NUMERIC := 1;
+BEGIN
+  IF p_channel NOT IN ('stripe', 'app_store') THEN
+    RAISE EXCEPTION 'Unknown payment channel: %', p_channel;
+  END IF;
+
+  SELECT config_value INTO v_commission
+  FROM platform_config WHERE config_key = 'platform_commission';
+
+  SELECT config_value INTO v_processing
+  FROM platform_config
+  WHERE config_key = CASE p_channel
+    WHEN 'app_store' THEN 'app_store_processing_fee'
+    ELSE 'payment_processing_fee'
+  END;
+
+  v_rate := COALESCE((v_commission->>'rate')::NUMERIC, 0.05);
+  v_min := COALESCE((v_commission->>'min')::NUMERIC, 0.50);
+  v_fixed := COALESCE((v_processing->>'fixed')::NUMERIC, CASE p_channel WHEN 'app_store' THEN 0 ELSE 0.30 END);
+
+  IF p_giveaway_id IS NOT NULL THEN
+    SELECT creator_id, platform_fee_rate, COALESCE(v_currency, currency)
+    INTO v_creator_id, v_giveaway_rate, v_currency
+    FROM giveaways WHERE id = p_giveaway_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Giveaway % not found', p_giveaway_id;
+    END IF;
+  END IF;
+
+  v_currency := COALESCE(v_currency, 'usd');
+
+  SELECT exponent INTO v_exponent FROM currencies WHERE code = v_currency AND enabled;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Unsupported currency: %', v_currency;
+  END IF;
+
+  IF v_creator_id IS NOT NULL THEN
+    SELECT u.trust_tier::text, t.platform_fee_rate, t.platform_fee_min
+    INTO v_tier, v_tier_rate, v_tier_min
+    FROM users u
+    LEFT JOIN trust_tier_privileges t ON t.tier::text = u.trust_tier::text
+    WHERE u.id = v_creator_id;
+
+    IF v_tier_rate IS NOT NULL OR v_tier_min IS NOT NULL THEN
+      v_rate := COALESCE(v_tier_rate, v_rate);
+      v_min := COALESCE(v_tier_min, v_min);
+      v_source := 'tier';
+    END IF;
+  END IF;
+
+  IF v_giveaway_rate IS NOT NULL THEN
+    v_rate := v_giveaway_rate;
+    v_source := 'giveaway';
+  END IF;
+
+  IF v_currency <> 'usd' THEN
+    SELECT rate INTO v_fx FROM latest_exchange_rates
+    WHERE base_currency = 'usd' AND quote_currency = v_currency;
+
+    v_min := COALESCE(
+      (v_commission->'currencies'->v_currency->>'min')::NUMERIC,
+      ROUND(v_min * v_fx, v_exponent)
+    );
+    v_fixed := COALESCE(
+      (v_processing->'currencies'->v_currency->>'fixed')::NUMERIC,
+      ROUND(v_fixed * v_fx, v_exponent)
+    );
+
+    IF v_min IS NULL OR v_fixed IS NULL THEN
+      RAISE EXCEPTION 'No fee amounts or exchange rate for %', v_currency;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'commission', jsonb_build_object('rate', v_rate, 'min', v_min),
+    'processing', jsonb_build_object(
+      'rate', COALESCE((v_processing->>'rate')::NUMERIC, CASE p_channel WHEN 'app_store' THEN 0.15 ELSE 0.029 END),
+      'fixed', v_fixed
+    ),
+    'source', v_source,
+    'tier', v_tier,
+    'channel', p_channel,
+    'currency', v_currency,
+    'exponent', v_exponent
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_fee_schedule(UUID, UUID, TEXT, TEXT) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION get_fee_schedule(UUID, UUID, TEXT, TEXT) TO anon, authenticated, service_role;
+
+-- Connect accounts report their country and settlement currency on
+-- account.updated; normalize what was stored before
+UPDATE stripe_connect_accounts SET default_currency = lower(default_currency)
+WHERE default_currency <> lower(default_currency);
+
+-- Daily reference-rate refresh at 16:30 UTC, after the ECB publishes.
+-- Same Vault secrets as the reconciliation job.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'refresh-exchange-rates',
+      '30 16 * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/refresh-exchange-rates',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
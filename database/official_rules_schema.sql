@@ -0,0 +1,84 @@
+-- Official Rules Schema
+-- Versioned, immutable official rules per giveaway. A snapshot is generated
+-- from the giveaway record when it is published (and again whenever a
+-- published giveaway's rule-relevant fields change), so the rules an entrant
+-- agreed to can never be edited in place.
+-- (run after eligibility_schema.sql)
+
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS sponsor_address TEXT;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS official_rules_version INTEGER;
+
+CREATE TABLE IF NOT EXISTS giveaway_rules_versions (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  version INTEGER NOT NULL,
+  template_version TEXT NOT NULL,  -- officialRulesService.RULES_TEMPLATE_VERSION
+
+  sections JSONB NOT NULL,         -- [{ title, content }] exactly as published
+  facts JSONB NOT NULL,            -- giveaway values the text was generated from
+  content_hash TEXT NOT NULL,      -- SHA256 of the canonical sections JSON
+
+  change_summary TEXT,             -- why this version was published
+  published_by UUID REFERENCES public.users(id),
+  published_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(giveaway_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_giveaway_rules_versions_giveaway ON giveaway_rules_versions(giveaway_id, version DESC);
+
+-- Published rules never change; corrections are a new version
+CREATE OR REPLACE FUNCTION prevent_rules_version_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Official rules versions are immutable; publish a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS giveaway_rules_versions_immutable ON giveaway_rules_versions;
+CREATE TRIGGER giveaway_rules_versions_immutable
+  BEFORE UPDATE OR DELETE ON giveaway_rules_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_rules_version_changes();
+
+ALTER TABLE giveaway_rules_versions ENABLE ROW LEVEL SECURITY;
+
+-- Official rules are public documents
+DROP POLICY IF EXISTS "Anyone can view official rules" ON giveaway_rules_versions;
+CREATE POLICY "Anyone can view official rules" ON giveaway_rules_versions
+  FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Creators can publish rules for own giveaways" ON giveaway_rules_versions;
+CREATE POLICY "Creators can publish rules for own giveaways" ON giveaway_rules_versions
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM giveaways
+      WHERE id = giveaway_id AND creator_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can publish rules" ON giveaway_rules_versions;
+CREATE POLICY "Admins can publish rules" ON giveaway_rules_versions
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Each entry records the rules version in force when it was made
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS official_rules_version INTEGER;
+
+CREATE OR REPLACE FUNCTION stamp_entry_rules_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT official_rules_version INTO NEW.official_rules_version
+  FROM giveaways
+  WHERE id = NEW.giveaway_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stamp_entry_rules_version ON public.entries;
+CREATE TRIGGER stamp_entry_rules_version
+  BEFORE INSERT ON public.entries
+  FOR EACH ROW EXECUTE FUNCTION stamp_entry_rules_version();
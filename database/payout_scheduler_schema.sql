@@ -0,0 +1,442 @@
+-- Payout Scheduler Schema
+-- Creator revenue is paid out in scheduled batches (supabase/functions/run-payouts)
+-- rather than one transfer per call:
+--   - a giveaway's escrow becomes due escrow_hold_period days after it ends,
+--     once its prizes are confirmed delivered (status 'fulfilled')
+--   - nothing is paid while the giveaway has an open chargeback, a refund
+--     still in flight, a prize deposit being settled, or its creator is under
+--     an admin payout hold
+--   - each daily run gathers every due giveaway into payout_runs /
+--     payout_run_items; every item carries its own payout and idempotency
+--     key, so a run that dies part way is picked up by the next and nothing
+--     is transferred twice
+-- creator_payout_schedule() is what CreatorDashboardScreen shows: upcoming
+-- payouts, when each is due and why it is held.
+-- (run after enhanced_giveaway_schema.sql, stripe_connect_schema.sql,
+-- ledger_schema.sql, multi_currency_schema.sql, giveaway_lifecycle_schema.sql,
+-- refund_engine_schema.sql, chargeback_disputes_schema.sql and
+-- prize_deposit_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('escrow_hold_period', '{"days": 7}', 'Days to hold funds after giveaway ends')
+ON CONFLICT (config_key) DO NOTHING;
+
+-- Admin-placed holds; a creator is held while any hold is unreleased
+CREATE TABLE IF NOT EXISTS creator_payout_holds (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  reason TEXT NOT NULL,              -- shown to the creator
+  placed_by UUID REFERENCES public.users(id),
+  placed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  released_by UUID REFERENCES public.users(id),
+  released_at TIMESTAMP WITH TIME ZONE,
+  release_notes TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_payout_holds_active
+  ON creator_payout_holds(creator_id) WHERE released_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS payout_runs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'needs_attention')),
+  initiated_by UUID REFERENCES public.users(id),   -- NULL for the scheduled run
+  hold_days INTEGER NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_runs_status ON payout_runs(status);
+
+-- One creator transfer. pending -> processing -> completed; a failed item is
+-- retried with backoff, and an item whose giveaway became held before any
+-- money moved is skipped (the giveaway is scheduled again once it clears).
+-- released_at marks the escrow release; from then on the item only ever
+-- finishes its transfer.
+CREATE TABLE IF NOT EXISTS payout_run_items (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  run_id UUID REFERENCES payout_runs(id) ON DELETE CASCADE NOT NULL,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  payout_id UUID REFERENCES public.payouts(id),
+  idempotency_key TEXT UNIQUE NOT NULL,  -- ledger release and Stripe transfer
+  currency TEXT NOT NULL,
+  amount NUMERIC(12,2),                  -- fixed when escrow is released
+  amount_minor BIGINT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'skipped')),
+  skip_reason TEXT,
+  stripe_account_id TEXT,
+  stripe_transfer_id TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  error_message TEXT,
+  released_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A giveaway is paid out by one item; a skipped one frees it for a later run
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_run_items_giveaway
+  ON payout_run_items(giveaway_id) WHERE status <> 'skipped';
+CREATE INDEX IF NOT EXISTS idx_payout_run_items_run ON payout_run_items(run_id);
+CREATE INDEX IF NOT EXISTS idx_payout_run_items_retry ON payout_run_items(status, next_attempt_at)
+  WHERE status IN ('pending', 'failed');
+
+ALTER TABLE creator_payout_holds ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_run_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Creators can view own payout holds" ON creator_payout_holds;
+CREATE POLICY "Creators can view own payout holds" ON creator_payout_holds
+  FOR SELECT USING (auth.uid() = creator_id);
+
+DROP POLICY IF EXISTS "Admins can manage payout holds" ON creator_payout_holds;
+CREATE POLICY "Admins can manage payout holds" ON creator_payout_holds
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view payout runs" ON payout_runs;
+CREATE POLICY "Admins can view payout runs" ON payout_runs
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Creators can view own payout run items" ON payout_run_items;
+CREATE POLICY "Creators can view own payout run items" ON payout_run_items
+  FOR SELECT USING (auth.uid() = creator_id);
+
+DROP POLICY IF EXISTS "Admins can view payout run items" ON payout_run_items;
+CREATE POLICY "Admins can view payout run items" ON payout_run_items
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Every giveaway with creator revenue still in escrow (or a payout under
+-- way), when it falls due and the first reason it is held:
+--   creator_hold          admin hold on the creator (hold_detail is its reason)
+--   frozen                giveaway frozen by an admin
+--   open_dispute          a chargeback is open against one of its purchases
+--   pending_refunds       refunds not yet settled
+--   prize_deposit         the creator's prize deposit is being settled
+--   awaiting_fulfillment  prizes not yet confirmed delivered
+--   no_payout_account     creator has no Stripe account enabled for payouts
+-- A row with no hold_reason is paid by the first run after eligible_at.
+CREATE OR REPLACE FUNCTION payout_schedule_internal(
+  p_creator_id UUID DEFAULT NULL,
+  p_giveaway_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+  giveaway_id UUID,
+  creator_id UUID,
+  title TEXT,
+  giveaway_status TEXT,
+  currency TEXT,
+  amount NUMERIC,
+  amount_minor BIGINT,
+  ends_at TIMESTAMP WITH TIME ZONE,
+  eligible_at TIMESTAMP WITH TIME ZONE,
+  hold_reason TEXT,
+  hold_detail TEXT,
+  item_id UUID,
+  item_status TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH hold_period AS (
+    SELECT make_interval(days => COALESCE((
+      SELECT (config_value->>'days')::INTEGER FROM platform_config WHERE config_key = 'escrow_hold_period'
+    ), 7)) AS period
+  )
+  SELECT
+    g.id,
+    g.creator_id,
+    g.title,
+    g.status::TEXT,
+    ea.currency,
+    COALESCE(item.amount, ea.available_amount),
+    COALESCE(item.amount_minor, to_minor_units(ea.available_amount, ea.currency)),
+    g.ends_at,
+    g.ends_at + hp.period,
+    CASE
+      WHEN hold.reason IS NOT NULL THEN 'creator_hold'
+      WHEN g.status::TEXT = 'frozen' THEN 'frozen'
+      WHEN EXISTS (
+        SELECT 1 FROM payment_disputes d
+        WHERE d.giveaway_id = g.id AND d.status IN ('open', 'under_review')
+      ) THEN 'open_dispute'
+      WHEN EXISTS (
+        SELECT 1 FROM refunds r
+        WHERE r.giveaway_id = g.id AND r.status IN ('pending', 'processing', 'submitted', 'failed')
+      ) THEN 'pending_refunds'
+      WHEN g.prize_deposit_status IN ('refunding', 'paying_winner') THEN 'prize_deposit'
+      WHEN g.status::TEXT <> 'fulfilled' THEN 'awaiting_fulfillment'
+      WHEN NOT EXISTS (
+        SELECT 1 FROM stripe_connect_accounts sca
+        WHERE sca.user_id = g.creator_id AND sca.payouts_enabled = true
+      ) THEN 'no_payout_account'
+    END,
+    hold.reason,
+    item.id,
+    item.status
+  FROM giveaways g
+  CROSS JOIN hold_period hp
+  JOIN escrow_accounts ea ON ea.giveaway_id = g.id
+  LEFT JOIN LATERAL (
+    SELECT h.reason FROM creator_payout_holds h
+    WHERE h.creator_id = g.creator_id AND h.released_at IS NULL
+    ORDER BY h.placed_at DESC
+    LIMIT 1
+  ) hold ON true
+  LEFT JOIN LATERAL (
+    SELECT i.id, i.status, i.amount, i.amount_minor FROM payout_run_items i
+    WHERE i.giveaway_id = g.id AND i.status <> 'skipped'
+  ) item ON true
+  WHERE g.status::TEXT IN ('ended', 'drawn', 'fulfilled', 'frozen')
+    AND (p_creator_id IS NULL OR g.creator_id = p_creator_id)
+    AND (p_giveaway_id IS NULL OR g.id = p_giveaway_id)
+    AND (
+      (item.id IS NULL AND ea.available_amount > 0)
+      OR item.status IN ('pending', 'processing', 'failed')
+    );
+$$;
+
+REVOKE EXECUTE ON FUNCTION payout_schedule_internal(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION payout_schedule_internal(UUID, UUID) TO service_role;
+
+-- A creator's upcoming payouts (CreatorDashboardScreen) as a JSON array of
+-- payout_schedule_internal rows, soonest first; admins may look up any creator
+CREATE OR REPLACE FUNCTION creator_payout_schedule(p_creator_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS DISTINCT FROM p_creator_id AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to view these payouts';
+  END IF;
+
+  RETURN COALESCE((
+    SELECT jsonb_agg(to_jsonb(s) ORDER BY s.eligible_at)
+    FROM payout_schedule_internal(p_creator_id, NULL) s
+  ), '[]'::jsonb);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION creator_payout_schedule(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION creator_payout_schedule(UUID) TO authenticated, service_role;
+
+-- Gather every due giveaway into a new run. Returns NULL when nothing is due.
+-- Giveaways already in an unfinished item are left to it.
+CREATE OR REPLACE FUNCTION create_payout_run(p_initiated_by UUID DEFAULT NULL)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_run_id UUID;
+  v_count INTEGER;
+BEGIN
+  -- Concurrent runs would only race for the same giveaways
+  PERFORM pg_advisory_xact_lock(hashtext('create_payout_run'));
+
+  IF NOT EXISTS (
+    SELECT 1 FROM payout_schedule_internal() s
+    WHERE s.item_id IS NULL AND s.hold_reason IS NULL AND s.eligible_at <= NOW()
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO payout_runs (initiated_by, hold_days)
+  VALUES (
+    p_initiated_by,
+    COALESCE((SELECT (config_value->>'days')::INTEGER FROM platform_config WHERE config_key = 'escrow_hold_period'), 7)
+  )
+  RETURNING id INTO v_run_id;
+
+  INSERT INTO payout_run_items (id, run_id, giveaway_id, creator_id, idempotency_key, currency)
+  SELECT due.id, v_run_id, due.giveaway_id, due.creator_id, 'scheduled_payout:' || due.id, due.currency
+  FROM (
+    SELECT uuid_generate_v4() AS id, s.giveaway_id, s.creator_id, s.currency
+    FROM payout_schedule_internal() s
+    WHERE s.item_id IS NULL AND s.hold_reason IS NULL AND s.eligible_at <= NOW()
+  ) due
+  ON CONFLICT (giveaway_id) WHERE status <> 'skipped' DO NOTHING;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+
+  UPDATE payout_runs SET item_count = v_count WHERE id = v_run_id;
+
+  RETURN v_run_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_payout_run(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_payout_run(UUID) TO service_role;
+
+-- Claim an item for one attempt. Returns nothing when it is finished or
+-- another run holds it ('processing' rows older than 15 minutes belong to a
+-- run that died and can be claimed again).
+-- Until escrow is released the giveaway must still be due: the amount is
+-- re-read from escrow and the item is skipped if a hold, dispute or refund
+-- appeared since the run was created. Once the release is posted (its
+-- journal entry exists even if the run died before recording it) the amount
+-- and destination are fixed and the item only finishes its transfer.
+CREATE OR REPLACE FUNCTION claim_payout_item(p_item_id UUID)
+RETURNS SETOF payout_run_items
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_item payout_run_items;
+  v_hold_reason TEXT;
+  v_eligible_at TIMESTAMP WITH TIME ZONE;
+  v_escrow RECORD;
+  v_account TEXT;
+BEGIN
+  SELECT * INTO v_item FROM payout_run_items WHERE id = p_item_id FOR UPDATE;
+
+  IF NOT FOUND
+     OR v_item.status IN ('completed', 'skipped')
+     OR (v_item.status = 'processing' AND v_item.updated_at >= NOW() - INTERVAL '15 minutes') THEN
+    RETURN;
+  END IF;
+
+  IF v_item.released_at IS NULL
+     AND NOT EXISTS (SELECT 1 FROM journal_entries WHERE idempotency_key = v_item.idempotency_key) THEN
+    SELECT s.hold_reason, s.eligible_at INTO v_hold_reason, v_eligible_at
+    FROM payout_schedule_internal(NULL, v_item.giveaway_id) s;
+
+    IF NOT FOUND THEN
+      v_hold_reason := 'not_payable';  -- e.g. cancelled since the run began
+    END IF;
+
+    SELECT id, available_amount INTO v_escrow
+    FROM escrow_accounts WHERE giveaway_id = v_item.giveaway_id;
+
+    IF v_hold_reason IS NULL AND v_eligible_at > NOW() THEN
+      v_hold_reason := 'not_due';
+    ELSIF v_hold_reason IS NULL AND COALESCE(v_escrow.available_amount, 0) <= 0 THEN
+      v_hold_reason := 'nothing_to_pay';
+    END IF;
+
+    IF v_hold_reason IS NOT NULL THEN
+      UPDATE payout_run_items
+      SET status = 'skipped', skip_reason = v_hold_reason, updated_at = NOW()
+      WHERE id = p_item_id;
+
+      UPDATE payouts
+      SET status = 'cancelled', failure_reason = 'Payout held: ' || v_hold_reason, updated_at = NOW()
+      WHERE id = v_item.payout_id;
+
+      RETURN;
+    END IF;
+
+    SELECT stripe_account_id INTO v_account
+    FROM stripe_connect_accounts
+    WHERE user_id = v_item.creator_id AND payouts_enabled = true;
+
+    v_item.amount := v_escrow.available_amount;
+    v_item.amount_minor := to_minor_units(v_escrow.available_amount, v_item.currency);
+    v_item.stripe_account_id := v_account;
+
+    IF v_item.payout_id IS NULL THEN
+      INSERT INTO payouts (
+        recipient_id, giveaway_id, escrow_account_id, payout_type,
+        amount, amount_minor, currency, stripe_account_id, status
+      )
+      VALUES (
+        v_item.creator_id, v_item.giveaway_id, v_escrow.id, 'creator_revenue',
+        v_item.amount, v_item.amount_minor, v_item.currency, v_account, 'pending'
+      )
+      RETURNING id INTO v_item.payout_id;
+    ELSE
+      UPDATE payouts
+      SET amount = v_item.amount,
+          amount_minor = v_item.amount_minor,
+          stripe_account_id = v_account,
+          status = 'pending',
+          failure_reason = NULL,
+          updated_at = NOW()
+      WHERE id = v_item.payout_id;
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  UPDATE payout_run_items
+  SET status = 'processing',
+      attempts = attempts + 1,
+      payout_id = v_item.payout_id,
+      amount = v_item.amount,
+      amount_minor = v_item.amount_minor,
+      stripe_account_id = v_item.stripe_account_id,
+      updated_at = NOW()
+  WHERE id = p_item_id
+  RETURNING *;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_payout_item(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_payout_item(UUID) TO service_role;
+
+-- Daily run at 14:00 UTC, and a resume job every 15 minutes for items that
+-- failed or were cut off. Same Vault secrets as the reconciliation job.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'creator-payout-run',
+      '0 14 * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/run-payouts',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "run"}'::jsonb
+      )
+      $job$
+    );
+
+    PERFORM cron.schedule(
+      'creator-payout-resume',
+      '*/15 * * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/run-payouts',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "resume"}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
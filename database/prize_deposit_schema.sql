@@ -0,0 +1,355 @@
+-- Prize Deposit Schema
+-- High-value giveaways are backed by cash before they go live:
+--   - a giveaway whose total prize value reaches prize_deposit_policy's USD
+--     threshold needs the creator to deposit a share of that value (by trust
+--     tier) into the giveaway's escrow before it can be scheduled or go live
+--   - the deposit is paid through create-payment-intent (paymentType
+--     'prize_deposit'), recorded by stripe-webhook and held in
+--     escrow_accounts.reserved_amount, so creator payouts (which draw on
+--     available_amount) cannot spend it
+--   - once the giveaway is fulfilled or cancelled the deposit is refunded to
+--     the creator; an admin may instead pay it to the winner as a cash
+--     alternative (settle-prize-deposit)
+-- Giveaways that existed before this schema are left as not_required.
+-- (run after enhanced_giveaway_schema.sql, step2_create_tables.sql,
+-- giveaway_lifecycle_schema.sql, multi_currency_schema.sql and
+-- tax_reporting_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('prize_deposit_policy', '{"threshold_usd": 500, "default_rate": 1.0}',
+ 'Prize value in USD from which a creator deposit is required, and the share of the value deposited when the trust tier sets none')
+ON CONFLICT (config_key) DO NOTHING;
+
+-- Share of the prize value each tier deposits; NULL follows default_rate
+ALTER TABLE public.trust_tier_privileges ADD COLUMN IF NOT EXISTS prize_deposit_rate NUMERIC(5,4);
+
+DO $$ BEGIN
+  ALTER TABLE public.trust_tier_privileges ADD CONSTRAINT valid_tier_prize_deposit_rate
+    CHECK (prize_deposit_rate IS NULL OR (prize_deposit_rate >= 0 AND prize_deposit_rate <= 1));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+UPDATE public.trust_tier_privileges SET prize_deposit_rate = CASE tier::text
+  WHEN 'bronze' THEN 1.0
+  WHEN 'silver' THEN 1.0
+  WHEN 'gold' THEN 0.5
+  WHEN 'platinum' THEN 0.25
+  WHEN 'diamond' THEN 0.1
+END
+WHERE prize_deposit_rate IS NULL;
+
+-- Deposit state on the giveaway. Amounts are minor units of its currency.
+--   not_required    under the threshold (or created before deposits existed)
+--   required        owed; the giveaway cannot go live
+--   funded          paid and held in escrow
+--   refunding / paying_winner
+--                   released from the reserve, settlement in progress
+--   refunded / paid_to_winner
+--                   settled
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_status TEXT NOT NULL DEFAULT 'not_required';
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_rate NUMERIC(5,4);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_required_minor BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_minor BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_payment_id UUID REFERENCES public.payments(id);
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_payout_id UUID REFERENCES public.payouts(id); -- cash alternative
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS prize_deposit_settled_at TIMESTAMP WITH TIME ZONE;
+
+DO $$ BEGIN
+  ALTER TABLE public.giveaways ADD CONSTRAINT valid_prize_deposit_status
+    CHECK (prize_deposit_status IN (
+      'not_required', 'required', 'funded', 'refunding', 'refunded', 'paying_winner', 'paid_to_winner'
+    ));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_giveaways_prize_deposit_status
+ON public.giveaways(prize_deposit_status)
+WHERE prize_deposit_status NOT IN ('not_required', 'refunded', 'paid_to_winner');
+
+-- Total prize value: the tiers' values times their winner counts, else the
+-- giveaway's single prize value
+CREATE OR REPLACE FUNCTION giveaway_total_prize_value(p_prize_tiers JSONB, p_prize_value NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(
+    (
+      SELECT SUM(COALESCE((t->>'prize_value')::NUMERIC, 0) * COALESCE((t->>'winners')::INTEGER, 1))
+      FROM jsonb_array_elements(CASE WHEN jsonb_typeof(p_prize_tiers) = 'array' THEN p_prize_tiers ELSE '[]'::jsonb END) t
+      HAVING COUNT(*) > 0
+    ),
+    p_prize_value,
+    0
+  );
+$$;
+
+-- Deposit terms for a creator and prize value:
+-- {"required", "rate", "amount_minor", "currency", "prize_value_usd", "threshold_usd", "tier"}
+-- A prize with no USD reference rate is treated as over the threshold.
+CREATE OR REPLACE FUNCTION prize_deposit_terms(p_creator_id UUID, p_prize_value NUMERIC, p_currency TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_policy JSONB;
+  v_threshold NUMERIC;
+  v_rate NUMERIC;
+  v_tier TEXT;
+  v_currency TEXT := lower(COALESCE(p_currency, 'usd'));
+  v_value NUMERIC := GREATEST(COALESCE(p_prize_value, 0), 0);
+  v_value_usd NUMERIC;
+  v_required BOOLEAN;
+BEGIN
+  SELECT config_value INTO v_policy
+  FROM platform_config WHERE config_key = 'prize_deposit_policy';
+
+  v_threshold := COALESCE((v_policy->>'threshold_usd')::NUMERIC, 500);
+  v_rate := COALESCE((v_policy->>'default_rate')::NUMERIC, 1.0);
+
+  SELECT u.trust_tier::text, COALESCE(t.prize_deposit_rate, v_rate)
+  INTO v_tier, v_rate
+  FROM users u
+  LEFT JOIN trust_tier_privileges t ON t.tier::text = u.trust_tier::text
+  WHERE u.id = p_creator_id;
+
+  v_rate := COALESCE(v_rate, (v_policy->>'default_rate')::NUMERIC, 1.0);
+  v_value_usd := to_usd(v_value, v_currency);
+  v_required := v_value > 0 AND v_rate > 0 AND (v_value_usd IS NULL OR v_value_usd >= v_threshold);
+
+  RETURN jsonb_build_object(
+    'required', v_required,
+    'rate', v_rate,
+    'amount_minor', CASE WHEN v_required
+      THEN CEIL(v_value * v_rate * 10 ^ currency_exponent(v_currency))::BIGINT
+      ELSE 0
+    END,
+    'currency', v_currency,
+    'prize_value_usd', v_value_usd,
+    'threshold_usd', v_threshold,
+    'tier', v_tier
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION prize_deposit_terms(UUID, NUMERIC, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION prize_deposit_terms(UUID, NUMERIC, TEXT) TO service_role;
+
+-- The same terms for the create wizard, before the giveaway exists
+CREATE OR REPLACE FUNCTION prize_deposit_quote(p_creator_id UUID, p_prize_value NUMERIC, p_currency TEXT DEFAULT 'usd')
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS DISTINCT FROM p_creator_id AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to quote prize deposits for this creator';
+  END IF;
+
+  RETURN prize_deposit_terms(p_creator_id, p_prize_value, p_currency);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION prize_deposit_quote(UUID, NUMERIC, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION prize_deposit_quote(UUID, NUMERIC, TEXT) TO authenticated;
+
+-- Keep the requirement current until launch while the deposit is unpaid,
+-- refuse prize changes once it is paid, and keep unfunded giveaways from
+-- going live. scheduled -> active is not checked: only funded giveaways
+-- reach scheduled, and the lifecycle job starts every due giveaway in one
+-- statement.
+CREATE OR REPLACE FUNCTION apply_prize_deposit_policy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_terms JSONB;
+BEGIN
+  IF TG_OP = 'INSERT' OR (
+    OLD.status::text IN ('draft', 'pending_review') AND NEW.prize_deposit_status IN ('not_required', 'required')
+  ) THEN
+    v_terms := prize_deposit_terms(
+      NEW.creator_id,
+      giveaway_total_prize_value(NEW.prize_tiers, NEW.prize_value),
+      NEW.currency
+    );
+
+    NEW.prize_deposit_rate := (v_terms->>'rate')::NUMERIC;
+    NEW.prize_deposit_required_minor := (v_terms->>'amount_minor')::BIGINT;
+    NEW.prize_deposit_status := CASE WHEN (v_terms->>'required')::BOOLEAN THEN 'required' ELSE 'not_required' END;
+  ELSIF NEW.prize_deposit_status NOT IN ('not_required', 'required') AND (
+    NEW.prize_value IS DISTINCT FROM OLD.prize_value
+    OR NEW.prize_tiers IS DISTINCT FROM OLD.prize_tiers
+    OR NEW.currency IS DISTINCT FROM OLD.currency
+  ) THEN
+    RAISE EXCEPTION 'The prize cannot change once the prize deposit has been paid'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  IF TG_OP = 'UPDATE'
+     AND NEW.status IS DISTINCT FROM OLD.status
+     AND NEW.status::text IN ('scheduled', 'active')
+     AND OLD.status::text IN ('draft', 'pending_review')
+     AND NEW.prize_deposit_status = 'required' THEN
+    RAISE EXCEPTION 'A prize deposit of % % must be paid before this giveaway can go live',
+      NEW.prize_deposit_required_minor / 10 ^ currency_exponent(NEW.currency), upper(NEW.currency)
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS apply_prize_deposit_policy ON public.giveaways;
+CREATE TRIGGER apply_prize_deposit_policy
+  BEFORE INSERT OR UPDATE OF status, prize_value, prize_tiers, currency ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION apply_prize_deposit_policy();
+
+-- Called by stripe-webhook after the deposit is journaled into escrow: moves
+-- it into the escrow reserve and marks the giveaway funded. Safe to repeat.
+CREATE OR REPLACE FUNCTION record_prize_deposit(p_giveaway_id UUID, p_payment_id UUID)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_giveaway RECORD;
+  v_payment RECORD;
+BEGIN
+  SELECT id, prize_deposit_status INTO v_giveaway
+  FROM giveaways WHERE id = p_giveaway_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Giveaway % not found', p_giveaway_id;
+  END IF;
+
+  IF v_giveaway.prize_deposit_status NOT IN ('not_required', 'required') THEN
+    RETURN v_giveaway.prize_deposit_status;
+  END IF;
+
+  SELECT id, amount, amount_minor INTO v_payment
+  FROM payments
+  WHERE id = p_payment_id AND giveaway_id = p_giveaway_id AND transaction_type = 'prize_deposit';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Prize deposit payment % not found for giveaway %', p_payment_id, p_giveaway_id;
+  END IF;
+
+  UPDATE escrow_accounts
+  SET available_amount = available_amount - v_payment.amount,
+      reserved_amount = reserved_amount + v_payment.amount,
+      updated_at = NOW()
+  WHERE giveaway_id = p_giveaway_id;
+
+  UPDATE giveaways
+  SET prize_deposit_status = 'funded',
+      prize_deposit_minor = v_payment.amount_minor,
+      prize_deposit_payment_id = v_payment.id,
+      prize_deposited = true,
+      prize_deposit_date = NOW(),
+      updated_at = NOW()
+  WHERE id = p_giveaway_id;
+
+  RETURN 'funded';
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_prize_deposit(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_prize_deposit(UUID, UUID) TO service_role;
+
+-- Start settling a funded deposit ('refunding' or 'paying_winner'): the
+-- reserve goes back to available so settle-prize-deposit can post it out of
+-- escrow. Calling again with the same outcome resumes an interrupted
+-- settlement; a different outcome is refused.
+CREATE OR REPLACE FUNCTION begin_prize_deposit_settlement(p_giveaway_id UUID, p_outcome TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_status TEXT;
+  v_amount NUMERIC(12,2);
+BEGIN
+  IF p_outcome NOT IN ('refunding', 'paying_winner') THEN
+    RAISE EXCEPTION 'Unknown prize deposit settlement: %', p_outcome;
+  END IF;
+
+  SELECT g.prize_deposit_status, p.amount INTO v_status, v_amount
+  FROM giveaways g
+  LEFT JOIN payments p ON p.id = g.prize_deposit_payment_id
+  WHERE g.id = p_giveaway_id
+  FOR UPDATE OF g;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Giveaway % not found', p_giveaway_id;
+  END IF;
+
+  IF v_status = p_outcome THEN
+    RETURN v_status;
+  END IF;
+
+  IF v_status <> 'funded' THEN
+    RAISE EXCEPTION 'Prize deposit for giveaway % is %, not funded', p_giveaway_id, v_status;
+  END IF;
+
+  UPDATE escrow_accounts
+  SET reserved_amount = reserved_amount - v_amount,
+      available_amount = available_amount + v_amount,
+      updated_at = NOW()
+  WHERE giveaway_id = p_giveaway_id;
+
+  UPDATE giveaways
+  SET prize_deposit_status = p_outcome,
+      updated_at = NOW()
+  WHERE id = p_giveaway_id;
+
+  RETURN p_outcome;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION begin_prize_deposit_settlement(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION begin_prize_deposit_settlement(UUID, TEXT) TO service_role;
+
+-- Queue the deposit refund when a funded giveaway is fulfilled or cancelled
+CREATE OR REPLACE FUNCTION queue_prize_deposit_release()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status
+     AND NEW.status::text IN ('fulfilled', 'cancelled')
+     AND NEW.prize_deposit_status = 'funded' THEN
+    INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status)
+    VALUES (
+      'prize_deposit_release_' || NEW.id,
+      'prize_deposit.release',
+      jsonb_build_object('giveaway_id', NEW.id, 'giveaway_status', NEW.status),
+      'pending'
+    )
+    ON CONFLICT (webhook_id, event_type) DO NOTHING;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_prize_deposit_release ON public.giveaways;
+CREATE TRIGGER queue_prize_deposit_release
+  AFTER UPDATE OF status ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION queue_prize_deposit_release();
@@ -0,0 +1,96 @@
+-- Prize Fulfillment Schema
+-- Winner affidavit/release, shipping details, carrier tracking and receipt
+-- confirmation. Creator payouts stay in escrow until every live winner slot is
+-- confirmed delivered or an admin override is recorded.
+-- (run after winner_claims_schema.sql)
+
+DO $$ BEGIN
+    CREATE TYPE prize_fulfillment_status_enum AS ENUM (
+      'awaiting_shipment',  -- affidavit signed, address submitted
+      'shipped',            -- creator entered carrier + tracking
+      'delivered',          -- winner confirmed receipt
+      'admin_override'      -- admin released escrow without winner confirmation
+    );
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS prize_fulfillments (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  winner_id UUID REFERENCES public.winners(id) ON DELETE CASCADE NOT NULL,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+  creator_id UUID REFERENCES public.users(id) ON DELETE CASCADE NOT NULL,
+
+  status prize_fulfillment_status_enum DEFAULT 'awaiting_shipment',
+
+  -- Shipping address
+  shipping_name TEXT,
+  address_line1 TEXT,
+  address_line2 TEXT,
+  city TEXT,
+  region TEXT,
+  postal_code TEXT,
+  country TEXT,
+  phone TEXT,
+
+  -- Eligibility affidavit & publicity/liability release
+  affidavit_version TEXT,
+  affidavit_text_hash TEXT,       -- SHA256 of the exact text the winner signed
+  affidavit_signed_name TEXT,
+  affidavit_date_of_birth DATE,
+  affidavit_signed_at TIMESTAMP WITH TIME ZONE,
+
+  -- Creator shipment
+  carrier TEXT,
+  tracking_number TEXT,
+  shipped_at TIMESTAMP WITH TIME ZONE,
+
+  -- Winner receipt confirmation
+  delivered_at TIMESTAMP WITH TIME ZONE,
+
+  -- Admin override (escrow released without confirmation)
+  override_by UUID REFERENCES public.users(id),
+  override_reason TEXT,
+  override_at TIMESTAMP WITH TIME ZONE,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  UNIQUE(winner_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_prize_fulfillments_giveaway ON prize_fulfillments(giveaway_id);
+CREATE INDEX IF NOT EXISTS idx_prize_fulfillments_user ON prize_fulfillments(user_id);
+CREATE INDEX IF NOT EXISTS idx_prize_fulfillments_creator_status ON prize_fulfillments(creator_id, status);
+
+DROP TRIGGER IF EXISTS update_prize_fulfillments_updated_at ON prize_fulfillments;
+CREATE TRIGGER update_prize_fulfillments_updated_at
+  BEFORE UPDATE ON prize_fulfillments
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE prize_fulfillments ENABLE ROW LEVEL SECURITY;
+
+-- Winners manage their own address/affidavit and confirm receipt
+DROP POLICY IF EXISTS "Winners can manage own fulfillment" ON prize_fulfillments;
+CREATE POLICY "Winners can manage own fulfillment" ON prize_fulfillments
+  FOR ALL USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Creators see shipping details for their giveaways and record tracking
+DROP POLICY IF EXISTS "Creators can view fulfillment for own giveaways" ON prize_fulfillments;
+CREATE POLICY "Creators can view fulfillment for own giveaways" ON prize_fulfillments
+  FOR SELECT USING (auth.uid() = creator_id);
+
+DROP POLICY IF EXISTS "Creators can record shipment for own giveaways" ON prize_fulfillments;
+CREATE POLICY "Creators can record shipment for own giveaways" ON prize_fulfillments
+  FOR UPDATE USING (auth.uid() = creator_id);
+
+DROP POLICY IF EXISTS "Admins can manage all fulfillments" ON prize_fulfillments;
+CREATE POLICY "Admins can manage all fulfillments" ON prize_fulfillments
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
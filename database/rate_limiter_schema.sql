@@ -0,0 +1,184 @@
+-- Rate Limiter Schema
+-- One limiter for the app (rateLimitService) and edge functions
+-- (supabase/functions/_shared/rateLimit.ts), replacing the fixed windows
+-- counted in rate_limit_usage:
+--   - each action and identifier (user, IP, email, admin) has a token bucket
+--     holding up to the limit's max tokens, refilled evenly over its window,
+--     so a burst at the edge of a window can't double the limit
+--   - check_rate_limit refills, checks and takes a token in one statement
+--     under a row lock, so concurrent calls from anywhere can't overspend
+--   - the app checks its own user's buckets directly; IP and email buckets
+--     are checked server-side (check-rate-limit, api-v1), with the IP taken
+--     from the request
+--   - limits live in platform_config ('rate_limits') and take effect on the
+--     next call, without a redeploy
+--   - results carry limit, remaining, resetTime and retryAfter (seconds),
+--     which the app shows and api-v1 sends as Retry-After
+-- (run after observability_schema.sql and enhanced_giveaway_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('rate_limits', '{
+  "purchase": {"user": {"window": 60, "max": 5}, "ip": {"window": 60, "max": 10}},
+  "auth": {"ip": {"window": 60, "max": 5}, "email": {"window": 60, "max": 3}},
+  "amoe": {"user": {"window": 86400, "max": 1}, "ip": {"window": 86400, "max": 3}},
+  "api": {"user": {"window": 60, "max": 100}, "ip": {"window": 60, "max": 1000}},
+  "admin_actions": {"admin": {"window": 60, "max": 50}},
+  "upload": {"user": {"window": 300, "max": 10}, "ip": {"window": 300, "max": 50}},
+  "comment": {"user": {"window": 60, "max": 5}},
+  "follow": {"user": {"window": 300, "max": 20}}
+}', 'Rate limits by action and identifier type: at most max calls per window seconds, refilled evenly. Actions not listed are not limited.')
+ON CONFLICT (config_key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  action TEXT NOT NULL,
+  identifier TEXT NOT NULL,
+  identifier_type TEXT NOT NULL CHECK (identifier_type IN ('user', 'ip', 'email', 'admin')),
+  tokens DOUBLE PRECISION NOT NULL,                 -- as of updated_at
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  denied_count INTEGER NOT NULL DEFAULT 0,          -- calls refused since the bucket was created
+  last_denied_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (action, identifier, identifier_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_cleanup ON rate_limit_buckets(updated_at);
+
+ALTER TABLE rate_limit_buckets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage rate limit buckets" ON rate_limit_buckets;
+CREATE POLICY "Service role can manage rate limit buckets" ON rate_limit_buckets
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Check a call against its limit and, when p_consume, take a token for it.
+-- Returns {allowed, limit, used, remaining, resetTime, retryAfter}, or just
+-- {allowed: true} for an action with no configured limit. With p_consume
+-- false the bucket is only read, e.g. to show remaining calls.
+-- Signed-in callers can only check their own user and admin buckets. IP and
+-- email buckets are shared, and a client could name anyone's, so only the
+-- service role (edge functions, e.g. check-rate-limit) can check them.
+CREATE OR REPLACE FUNCTION check_rate_limit(
+  p_action TEXT,
+  p_identifier TEXT,
+  p_identifier_type TEXT DEFAULT 'user',
+  p_consume BOOLEAN DEFAULT true
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_limit JSONB;
+  v_max INTEGER;
+  v_window INTEGER;
+  v_rate DOUBLE PRECISION;
+  v_bucket rate_limit_buckets;
+  v_tokens DOUBLE PRECISION;
+  v_allowed BOOLEAN;
+  v_now TIMESTAMP WITH TIME ZONE := clock_timestamp();
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    IF p_identifier_type NOT IN ('user', 'admin') THEN
+      RAISE EXCEPTION 'Only the service role can check % rate limits', p_identifier_type;
+    END IF;
+
+    IF auth.uid() IS NULL OR p_identifier IS DISTINCT FROM auth.uid()::TEXT THEN
+      RAISE EXCEPTION 'Cannot check another user''s rate limit';
+    END IF;
+  END IF;
+
+  SELECT config_value -> p_action -> p_identifier_type INTO v_limit
+  FROM platform_config
+  WHERE config_key = 'rate_limits';
+
+  v_max := (v_limit->>'max')::INTEGER;
+  v_window := (v_limit->>'window')::INTEGER;
+
+  IF v_max IS NULL OR v_window IS NULL OR v_max < 1 OR v_window < 1 THEN
+    RETURN jsonb_build_object('allowed', true);
+  END IF;
+
+  -- Tokens per second
+  v_rate := v_max::DOUBLE PRECISION / v_window;
+
+  IF p_consume THEN
+    INSERT INTO rate_limit_buckets (action, identifier, identifier_type, tokens, updated_at)
+    VALUES (p_action, p_identifier, p_identifier_type, v_max, v_now)
+    ON CONFLICT (action, identifier, identifier_type) DO NOTHING;
+
+    SELECT * INTO v_bucket
+    FROM rate_limit_buckets
+    WHERE action = p_action AND identifier = p_identifier AND identifier_type = p_identifier_type
+    FOR UPDATE;
+  ELSE
+    SELECT * INTO v_bucket
+    FROM rate_limit_buckets
+    WHERE action = p_action AND identifier = p_identifier AND identifier_type = p_identifier_type;
+  END IF;
+
+  -- Refill for the time since the bucket was last touched; a lowered max
+  -- applies straight away
+  v_tokens := CASE
+    WHEN v_bucket.tokens IS NULL THEN v_max
+    ELSE LEAST(v_max, v_bucket.tokens + GREATEST(0, EXTRACT(EPOCH FROM (v_now - v_bucket.updated_at))) * v_rate)
+  END;
+
+  v_allowed := v_tokens >= 1;
+
+  IF p_consume THEN
+    IF v_allowed THEN
+      v_tokens := v_tokens - 1;
+    END IF;
+
+    UPDATE rate_limit_buckets
+    SET tokens = v_tokens,
+        updated_at = v_now,
+        denied_count = denied_count + CASE WHEN v_allowed THEN 0 ELSE 1 END,
+        last_denied_at = CASE WHEN v_allowed THEN last_denied_at ELSE v_now END
+    WHERE action = p_action AND identifier = p_identifier AND identifier_type = p_identifier_type;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'allowed', v_allowed,
+    'limit', v_max,
+    'used', v_max - FLOOR(v_tokens)::INTEGER,
+    'remaining', FLOOR(v_tokens)::INTEGER,
+    -- When the bucket is full again
+    'resetTime', v_now + make_interval(secs => (v_max - v_tokens) / v_rate),
+    -- Seconds until the next call is allowed
+    'retryAfter', CASE WHEN v_tokens >= 1 THEN 0 ELSE CEIL((1 - v_tokens) / v_rate)::INTEGER END
+  );
+END;
+$$;
+
+-- Buckets untouched for a day have refilled under every configured window
+CREATE OR REPLACE FUNCTION cleanup_rate_limit_buckets()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_deleted INTEGER;
+BEGIN
+  DELETE FROM rate_limit_buckets
+  WHERE updated_at < NOW() - INTERVAL '1 day';
+
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+  RETURN v_deleted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_rate_limit(TEXT, TEXT, TEXT, BOOLEAN) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION check_rate_limit(TEXT, TEXT, TEXT, BOOLEAN) TO authenticated, service_role;
+REVOKE EXECUTE ON FUNCTION cleanup_rate_limit_buckets() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cleanup_rate_limit_buckets() TO service_role;
+
+-- Clear idle buckets nightly when pg_cron is enabled
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('rate-limit-bucket-cleanup', '40 3 * * *', 'SELECT cleanup_rate_limit_buckets()');
+  END IF;
+END $$;
+
+COMMENT ON TABLE rate_limit_buckets IS 'Token bucket per rate-limited action and identifier';
+COMMENT ON FUNCTION check_rate_limit IS 'Atomically check a call against its platform_config rate limit and take a token for it';
@@ -0,0 +1,502 @@
+-- Refund Engine Schema
+-- One path for every refund (supabase/functions/process-refund):
+--   - cancelling a giveaway queues a refund batch covering every completed
+--     purchase (orders and payments) for it
+--   - admins can refund some or all of the tickets in a single purchase
+-- Each refund is a refunds row worked through pending -> processing ->
+-- submitted -> completed. A failed row is retried on its own, so one bad card
+-- or Stripe error never blocks the rest of a batch, and a crash mid-refund is
+-- picked up by the next run.
+--
+-- Who bears the fees Stripe does not return (the processing fee) and whether
+-- the platform commission is refunded is set per cause in
+-- platform_config.refund_policy:
+--   platform  entrant gets the full price back; platform refunds its
+--             commission and absorbs the processing fee
+--   creator   entrant gets the full price back; platform refunds its
+--             commission, the processing fee comes out of the creator's share
+--   entrant   entrant gets the price less commission and processing fee
+--
+-- Refunded tickets are voided on the entry (ticket_count drops, and a fully
+-- refunded entry's payment_status becomes 'refunded'), so the fairness draw
+-- only ever sees tickets that were paid for and kept.
+-- (run after stripe_connect_schema.sql, admin_console_schema.sql,
+-- giveaway_lifecycle_schema.sql and multi_currency_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('refund_policy', '{"giveaway_cancelled": "platform", "entrant_request": "entrant", "admin": "platform"}',
+ 'Who bears non-refundable fees, by refund cause: platform, creator or entrant')
+ON CONFLICT (config_key) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS refund_batches (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  giveaway_id UUID REFERENCES public.giveaways(id) ON DELETE CASCADE NOT NULL,
+  cause TEXT NOT NULL DEFAULT 'giveaway_cancelled',
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'needs_attention')),
+  initiated_by UUID REFERENCES public.users(id),   -- NULL when queued by the system
+  last_run_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One cancellation batch per giveaway; re-cancelling resumes it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refund_batches_cancellation
+  ON refund_batches(giveaway_id) WHERE cause = 'giveaway_cancelled';
+CREATE INDEX IF NOT EXISTS idx_refund_batches_status ON refund_batches(status);
+
+-- refunds is defined in both admin_console_schema.sql (per entry) and
+-- stripe_connect_schema.sql (per order); whichever ran first, bring it up to
+-- the union of the two plus the engine's own columns
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS order_id UUID REFERENCES orders(id) ON DELETE CASCADE;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS payment_id UUID REFERENCES public.payments(id) ON DELETE CASCADE;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS entry_id UUID REFERENCES public.entries(id);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS giveaway_id UUID REFERENCES public.giveaways(id);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS amount DECIMAL(10,2);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS refund_amount DECIMAL(10,2);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS refund_type TEXT;               -- 'full', 'partial'
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS admin_user_id UUID REFERENCES public.users(id) ON DELETE SET NULL;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS initiated_by UUID REFERENCES public.users(id);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS stripe_reverse_transfer_id TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS error_message TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS admin_notes TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES refund_batches(id) ON DELETE SET NULL;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS purchase_key TEXT;              -- 'order:<id>' or 'payment:<id>'
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS cause TEXT NOT NULL DEFAULT 'admin'; -- giveaway_cancelled, entrant_request, admin
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS ticket_count INTEGER;           -- NULL = every ticket still held
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS currency TEXT REFERENCES currencies(code);
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS amount_minor BIGINT;            -- paid back to the entrant
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS creator_amount_minor BIGINT;    -- recovered from escrow or the creator
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS platform_fee_minor BIGINT;      -- commission refunded
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS processing_fee_minor BIGINT;    -- processing fee absorbed by the platform
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS fees_borne_by TEXT;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS applied_at TIMESTAMP WITH TIME ZONE; -- tickets voided
+
+ALTER TABLE refunds ALTER COLUMN order_id DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN entry_id DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN amount DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN refund_amount DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN refund_type DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN reason DROP NOT NULL;
+ALTER TABLE refunds ALTER COLUMN status SET DEFAULT 'pending';
+-- Set when the Stripe refund is created, not when the row is queued
+ALTER TABLE refunds ALTER COLUMN processed_at DROP DEFAULT;
+
+DO $$ BEGIN
+  ALTER TABLE refunds ADD CONSTRAINT valid_refund_fees_borne_by
+    CHECK (fees_borne_by IS NULL OR fees_borne_by IN ('platform', 'creator', 'entrant'));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE refunds ADD CONSTRAINT valid_refund_ticket_count
+    CHECK (ticket_count IS NULL OR ticket_count > 0);
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_batch_purchase
+  ON refunds(batch_id, purchase_key) WHERE batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_refunds_purchase ON refunds(purchase_key);
+CREATE INDEX IF NOT EXISTS idx_refunds_retry ON refunds(status, next_attempt_at)
+  WHERE status IN ('pending', 'failed');
+
+-- What has been refunded so far; orders and payments keep their original
+-- amounts (orders.valid_math) and track refunds alongside
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_ticket_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount_minor BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS refunded_ticket_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS refunded_amount_minor BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE public.payments ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+-- Entrant-facing refund state (MyEntriesScreen)
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS refund_status TEXT;      -- NULL, 'pending', 'partial', 'refunded'
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS refunded_ticket_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.entries ADD COLUMN IF NOT EXISTS refunded_amount_minor BIGINT NOT NULL DEFAULT 0;
+
+DO $$ BEGIN
+  ALTER TABLE public.entries ADD CONSTRAINT valid_entry_refund_status
+    CHECK (refund_status IS NULL OR refund_status IN ('pending', 'partial', 'refunded'));
+EXCEPTION
+  WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE refund_batches ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Creators can view own giveaway refund batches" ON refund_batches;
+CREATE POLICY "Creators can view own giveaway refund batches" ON refund_batches
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM giveaways
+      WHERE id = giveaway_id AND creator_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view all refund batches" ON refund_batches;
+CREATE POLICY "Admins can view all refund batches" ON refund_batches
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Progress of each batch for the admin console
+CREATE OR REPLACE VIEW refund_batch_progress
+WITH (security_invoker = true) AS
+SELECT
+  b.id,
+  b.giveaway_id,
+  b.cause,
+  b.status,
+  b.created_at,
+  b.last_run_at,
+  b.completed_at,
+  COUNT(r.id) AS total_refunds,
+  COUNT(r.id) FILTER (WHERE r.status = 'completed') AS completed_refunds,
+  COUNT(r.id) FILTER (WHERE r.status IN ('pending', 'processing', 'submitted')) AS open_refunds,
+  COUNT(r.id) FILTER (WHERE r.status = 'failed') AS failed_refunds,
+  COALESCE(SUM(r.amount_minor) FILTER (WHERE r.status IN ('submitted', 'completed')), 0) AS refunded_amount_minor,
+  MAX(r.currency) AS currency
+FROM refund_batches b
+LEFT JOIN refunds r ON r.batch_id = b.id
+GROUP BY b.id;
+
+-- Queue a refund for every completed purchase in a giveaway that still has
+-- tickets. Safe to call again: purchases already in the batch are skipped and
+-- a finished batch reopens for the new ones.
+CREATE OR REPLACE FUNCTION queue_giveaway_refunds_internal(
+  p_giveaway_id UUID,
+  p_cause TEXT,
+  p_reason TEXT,
+  p_initiated_by UUID
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_batch_id UUID;
+BEGIN
+  INSERT INTO refund_batches (giveaway_id, cause, reason, initiated_by)
+  VALUES (p_giveaway_id, p_cause, p_reason, p_initiated_by)
+  ON CONFLICT (giveaway_id) WHERE cause = 'giveaway_cancelled' DO UPDATE
+    SET updated_at = NOW()
+  RETURNING id INTO v_batch_id;
+
+  INSERT INTO refunds (
+    batch_id, purchase_key, cause, reason, refund_type, status,
+    giveaway_id, user_id, entry_id, order_id, payment_id, currency, initiated_by
+  )
+  SELECT DISTINCT ON (e.purchase_key)
+    v_batch_id, e.purchase_key, p_cause, p_reason, 'full', 'pending',
+    p_giveaway_id, e.user_id, e.id, e.order_id, e.payment_id, g.currency, p_initiated_by
+  FROM (
+    SELECT entries.*,
+      CASE WHEN order_id IS NOT NULL THEN 'order:' || order_id ELSE 'payment:' || payment_id END AS purchase_key
+    FROM entries
+    WHERE giveaway_id = p_giveaway_id
+      AND payment_status = 'completed'
+      AND (order_id IS NOT NULL OR payment_id IS NOT NULL)
+      AND COALESCE(total_cost, 0) > 0
+  ) e
+  JOIN giveaways g ON g.id = e.giveaway_id
+  ORDER BY e.purchase_key, e.created_at
+  ON CONFLICT (batch_id, purchase_key) WHERE batch_id IS NOT NULL DO NOTHING;
+
+  UPDATE entries
+  SET refund_status = 'pending'
+  WHERE giveaway_id = p_giveaway_id
+    AND payment_status = 'completed'
+    AND (order_id IS NOT NULL OR payment_id IS NOT NULL)
+    AND COALESCE(total_cost, 0) > 0;
+
+  UPDATE refund_batches
+  SET status = 'pending', completed_at = NULL
+  WHERE id = v_batch_id
+    AND status IN ('completed', 'needs_attention')
+    AND EXISTS (SELECT 1 FROM refunds WHERE batch_id = v_batch_id AND status <> 'completed');
+
+  RETURN v_batch_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION queue_giveaway_refunds_internal(UUID, TEXT, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Admin entry point (refunding a giveaway that was cancelled before this
+-- engine existed, or re-queueing after a fix)
+CREATE OR REPLACE FUNCTION queue_giveaway_refunds(
+  p_giveaway_id UUID,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to queue giveaway refunds';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM giveaways WHERE id = p_giveaway_id AND status = 'cancelled') THEN
+    RAISE EXCEPTION 'Only cancelled giveaways are refunded in bulk';
+  END IF;
+
+  RETURN queue_giveaway_refunds_internal(p_giveaway_id, 'giveaway_cancelled', p_reason, auth.uid());
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION queue_giveaway_refunds(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION queue_giveaway_refunds(UUID, TEXT) TO authenticated, service_role;
+
+-- Claim a refund for one attempt. Returns nothing when the refund is done,
+-- already being worked on, or another refund of the same purchase is in
+-- flight. 'processing' rows older than 15 minutes belong to a run that died
+-- and can be claimed again; process-refund looks for the Stripe refund that
+-- run may have created before making a new one.
+CREATE OR REPLACE FUNCTION claim_refund(p_refund_id UUID)
+RETURNS SETOF refunds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE refunds r
+  SET status = 'processing',
+      attempts = r.attempts + 1,
+      updated_at = NOW()
+  WHERE r.id = p_refund_id
+    AND (
+      r.status IN ('pending', 'failed')
+      OR (r.status = 'processing' AND r.updated_at < NOW() - INTERVAL '15 minutes')
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM refunds other
+      WHERE other.purchase_key = r.purchase_key
+        AND other.id <> r.id
+        AND other.status = 'processing'
+        AND other.updated_at >= NOW() - INTERVAL '15 minutes'
+    )
+  RETURNING r.*;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_refund(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_refund(UUID) TO service_role;
+
+-- Void the refunded tickets once Stripe has accepted the refund: the entries
+-- of the purchase lose the tickets (oldest entry first), the purchase records
+-- the refund, and a fully refunded entry drops out of the draw. Runs once per
+-- refund.
+CREATE OR REPLACE FUNCTION apply_refund(p_refund_id UUID)
+RETURNS refunds
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_refund refunds;
+  v_entry RECORD;
+  v_remaining INTEGER;
+  v_held INTEGER;
+  v_void INTEGER;
+  v_amount_left BIGINT;
+  v_entry_amount BIGINT;
+  v_purchased INTEGER;
+  v_refunded INTEGER;
+BEGIN
+  SELECT * INTO v_refund FROM refunds WHERE id = p_refund_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Refund not found: %', p_refund_id;
+  END IF;
+
+  IF v_refund.applied_at IS NOT NULL THEN
+    RETURN v_refund;
+  END IF;
+
+  IF v_refund.ticket_count IS NULL OR v_refund.amount_minor IS NULL THEN
+    RAISE EXCEPTION 'Refund % has not been priced', p_refund_id;
+  END IF;
+
+  v_remaining := v_refund.ticket_count;
+  v_amount_left := v_refund.amount_minor;
+
+  FOR v_entry IN
+    SELECT id, ticket_count, entry_count
+    FROM entries
+    WHERE (v_refund.order_id IS NOT NULL AND order_id = v_refund.order_id)
+       OR (v_refund.order_id IS NULL AND payment_id = v_refund.payment_id)
+    ORDER BY created_at, id
+    FOR UPDATE
+  LOOP
+    EXIT WHEN v_remaining <= 0;
+
+    v_held := GREATEST(COALESCE(v_entry.ticket_count, 0), COALESCE(v_entry.entry_count, 0));
+    v_void := LEAST(v_held, v_remaining);
+    CONTINUE WHEN v_void <= 0;
+
+    v_entry_amount := CASE WHEN v_void = v_remaining THEN v_amount_left
+                           ELSE (v_amount_left * v_void) / v_remaining END;
+
+    IF v_void = v_held THEN
+      -- entry_count must stay positive; the entry leaves the draw by status
+      UPDATE entries
+      SET payment_status = 'refunded',
+          refund_status = 'refunded',
+          refunded_ticket_count = refunded_ticket_count + v_void,
+          refunded_amount_minor = refunded_amount_minor + v_entry_amount,
+          refunded_at = NOW(),
+          updated_at = NOW()
+      WHERE id = v_entry.id;
+
+      UPDATE giveaways
+      SET total_entries = GREATEST(0, total_entries - COALESCE(v_entry.entry_count, 0))
+      WHERE id = v_refund.giveaway_id;
+
+      UPDATE users
+      SET total_entries = GREATEST(0, total_entries - COALESCE(v_entry.entry_count, 0))
+      WHERE id = v_refund.user_id;
+    ELSE
+      UPDATE entries
+      SET ticket_count = v_held - v_void,
+          entry_count = v_held - v_void,
+          refund_status = 'partial',
+          refunded_ticket_count = refunded_ticket_count + v_void,
+          refunded_amount_minor = refunded_amount_minor + v_entry_amount,
+          refunded_at = NOW(),
+          updated_at = NOW()
+      WHERE id = v_entry.id;
+    END IF;
+
+    v_remaining := v_remaining - v_void;
+    v_amount_left := v_amount_left - v_entry_amount;
+  END LOOP;
+
+  IF v_remaining > 0 THEN
+    RAISE EXCEPTION 'Refund % voids % more tickets than the purchase holds', p_refund_id, v_remaining;
+  END IF;
+
+  IF v_refund.order_id IS NOT NULL THEN
+    UPDATE orders
+    SET refunded_ticket_count = refunded_ticket_count + v_refund.ticket_count,
+        refunded_amount_minor = refunded_amount_minor + v_refund.amount_minor,
+        refunded_at = NOW(),
+        updated_at = NOW()
+    WHERE id = v_refund.order_id
+    RETURNING ticket_count, refunded_ticket_count INTO v_purchased, v_refunded;
+
+    UPDATE orders
+    SET status = CASE WHEN v_refunded >= v_purchased THEN 'refunded' ELSE 'partially_refunded' END::order_status_enum
+    WHERE id = v_refund.order_id;
+  ELSE
+    UPDATE payments
+    SET refunded_ticket_count = refunded_ticket_count + v_refund.ticket_count,
+        refunded_amount_minor = refunded_amount_minor + v_refund.amount_minor,
+        refunded_at = NOW(),
+        updated_at = NOW()
+    WHERE id = v_refund.payment_id
+    RETURNING COALESCE((payment_metadata->>'entry_count')::INTEGER, refunded_ticket_count), refunded_ticket_count
+    INTO v_purchased, v_refunded;
+
+    IF v_refunded >= v_purchased THEN
+      UPDATE payments SET status = 'refunded' WHERE id = v_refund.payment_id;
+    END IF;
+  END IF;
+
+  UPDATE refunds
+  SET applied_at = NOW(), updated_at = NOW()
+  WHERE id = p_refund_id
+  RETURNING * INTO v_refund;
+
+  RETURN v_refund;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_refund(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_refund(UUID) TO service_role;
+
+-- Cancelling a giveaway queues its refunds in the same transaction, so the
+-- batch always covers exactly the entries that existed at cancellation, and
+-- asks process-refund to start on them (pg_net; the retry job below picks
+-- the batch up otherwise)
+CREATE OR REPLACE FUNCTION queue_refunds_on_cancellation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_batch_id UUID;
+BEGIN
+  IF NEW.status <> 'cancelled' OR OLD.status = 'cancelled' THEN
+    RETURN NEW;
+  END IF;
+
+  v_batch_id := queue_giveaway_refunds_internal(
+    NEW.id,
+    'giveaway_cancelled',
+    NULLIF(current_setting('entrypoint.status_reason', true), ''),
+    auth.uid()
+  );
+
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM net.http_post(
+      url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+             || '/functions/v1/process-refund',
+      headers := jsonb_build_object(
+        'Content-Type', 'application/json',
+        'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+      ),
+      body := jsonb_build_object('action', 'run_batch', 'batchId', v_batch_id)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS queue_refunds_on_cancellation ON public.giveaways;
+CREATE TRIGGER queue_refunds_on_cancellation
+  AFTER UPDATE OF status ON public.giveaways
+  FOR EACH ROW EXECUTE FUNCTION queue_refunds_on_cancellation();
+
+-- Retry job: every 10 minutes process-refund resumes open batches and
+-- retries failed refunds whose backoff has passed. Same Vault secrets as the
+-- reconciliation job.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'refund-retries',
+      '*/10 * * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/process-refund',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{"action": "resume"}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
@@ -0,0 +1,183 @@
+-- Stripe Reconciliation Schema
+-- Daily job (supabase/functions/reconcile-stripe) that ingests Stripe balance
+-- transactions for a date range, matches them to orders, payments, refunds
+-- and creator_payouts, and records every mismatch as a discrepancy for an
+-- admin to resolve from the Admin Hub (StripeReconciliationScreen).
+--
+-- Discrepancy types:
+--   missing_charge     order completed in our records, no charge settled in Stripe
+--   unrecorded_charge  Stripe settled a charge we have no order or payment for
+--   amount_mismatch    matched, but the amounts differ
+--   orphan_refund      Stripe refund with no refunds row
+--   orphan_transfer    Stripe transfer with no creator payout or order transfer
+--   fee_difference     Stripe's processing fee differs from payment_processing_fee
+-- (run after stripe_connect_schema.sql, revenuecat_stripe_schema.sql and ledger_schema.sql)
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+  source TEXT NOT NULL DEFAULT 'stripe',   -- 'stripe' or 'fixture' (local testing)
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  transactions_seen INTEGER DEFAULT 0,
+  matched_count INTEGER DEFAULT 0,
+  skipped_count INTEGER DEFAULT 0,          -- payouts to bank, Stripe billing fees, etc.
+  discrepancy_count INTEGER DEFAULT 0,
+  error_message TEXT,
+  triggered_by UUID REFERENCES public.users(id), -- NULL for the scheduled run
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE,
+
+  CONSTRAINT valid_period CHECK (period_end > period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at DESC);
+
+-- Copy of what Stripe reported, in major units (dollars)
+CREATE TABLE IF NOT EXISTS stripe_balance_transactions (
+  id TEXT PRIMARY KEY,                      -- txn_...
+  type TEXT NOT NULL,                       -- charge, refund, transfer, payout, ...
+  source_id TEXT,                           -- ch_..., re_..., tr_...
+  amount NUMERIC(12,2) NOT NULL,
+  fee NUMERIC(12,2) NOT NULL DEFAULT 0,
+  net NUMERIC(12,2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT,
+  stripe_created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  available_on TIMESTAMP WITH TIME ZONE,
+  raw JSONB,
+  last_run_id UUID REFERENCES reconciliation_runs(id) ON DELETE SET NULL,
+  ingested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_balance_transactions_source ON stripe_balance_transactions(source_id);
+CREATE INDEX IF NOT EXISTS idx_stripe_balance_transactions_created ON stripe_balance_transactions(stripe_created_at);
+
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  fingerprint TEXT UNIQUE NOT NULL,         -- type + Stripe/record id; reruns don't duplicate
+  run_id UUID REFERENCES reconciliation_runs(id) ON DELETE SET NULL,
+  discrepancy_type TEXT NOT NULL CHECK (discrepancy_type IN (
+    'missing_charge', 'unrecorded_charge', 'amount_mismatch',
+    'orphan_refund', 'orphan_transfer', 'fee_difference'
+  )),
+  description TEXT NOT NULL,
+
+  -- What was matched (any may be NULL)
+  stripe_balance_transaction_id TEXT,
+  stripe_object_id TEXT,
+  order_id UUID,
+  payment_id UUID,
+  refund_id UUID,
+  creator_payout_id UUID,
+
+  expected_amount NUMERIC(12,2),
+  actual_amount NUMERIC(12,2),
+  difference NUMERIC(12,2),
+  details JSONB DEFAULT '{}',
+
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution_note TEXT,
+  resolved_by UUID REFERENCES public.users(id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  detected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT resolution_needs_note CHECK (
+    status = 'open' OR (resolution_note IS NOT NULL AND length(trim(resolution_note)) > 0)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_open
+  ON reconciliation_discrepancies(detected_at DESC) WHERE status = 'open';
+
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stripe_balance_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reconciliation_discrepancies ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can view reconciliation runs" ON reconciliation_runs;
+CREATE POLICY "Admins can view reconciliation runs" ON reconciliation_runs
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view Stripe balance transactions" ON stripe_balance_transactions;
+CREATE POLICY "Admins can view Stripe balance transactions" ON stripe_balance_transactions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view reconciliation discrepancies" ON reconciliation_discrepancies;
+CREATE POLICY "Admins can view reconciliation discrepancies" ON reconciliation_discrepancies
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Close a discrepancy with the admin's explanation
+CREATE OR REPLACE FUNCTION resolve_reconciliation_discrepancy(
+  p_discrepancy_id UUID,
+  p_note TEXT
+)
+RETURNS SETOF reconciliation_discrepancies
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true) THEN
+    RAISE EXCEPTION 'Only admins can resolve reconciliation discrepancies';
+  END IF;
+
+  IF p_note IS NULL OR length(trim(p_note)) = 0 THEN
+    RAISE EXCEPTION 'A resolution note is required';
+  END IF;
+
+  RETURN QUERY
+  UPDATE reconciliation_discrepancies
+  SET status = 'resolved',
+      resolution_note = trim(p_note),
+      resolved_by = auth.uid(),
+      resolved_at = NOW()
+  WHERE id = p_discrepancy_id AND status = 'open'
+  RETURNING *;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Discrepancy % is not open', p_discrepancy_id;
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION resolve_reconciliation_discrepancy(UUID, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION resolve_reconciliation_discrepancy(UUID, TEXT) TO authenticated;
+
+-- Daily run at 02:15 UTC for the previous UTC day, when pg_cron and pg_net
+-- are enabled. Reads two Vault secrets: project_url (https://<ref>.supabase.co)
+-- and service_role_key.
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron')
+     AND EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_net') THEN
+    PERFORM cron.schedule(
+      'stripe-reconciliation',
+      '15 2 * * *',
+      $job$
+      SELECT net.http_post(
+        url := (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'project_url')
+               || '/functions/v1/reconcile-stripe',
+        headers := jsonb_build_object(
+          'Content-Type', 'application/json',
+          'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+        ),
+        body := '{}'::jsonb
+      )
+      $job$
+    );
+  END IF;
+END $$;
@@ -0,0 +1,137 @@
+-- Stripe Webhook Schema
+-- What supabase/functions/stripe-webhook keeps for the events it handles
+-- beyond payments:
+--   - every Stripe event is a webhook_deliveries row keyed by its event id
+--     (observability_schema.sql), so a redelivered event that already
+--     succeeded is acknowledged without running again and a failed one is
+--     left 'retrying' for webhookReliabilityService to replay
+--   - refunds issued from the Stripe dashboard are recorded as refunds rows
+--     and posted to the ledger like the refund engine's own
+--   - payout.failed and account.application.deauthorized are recorded on the
+--     creator's Connect account; a deauthorized account stops scheduled
+--     payouts (no_payout_account in payout_scheduler_schema.sql)
+--   - claim_webhook_event lets only one delivery of an event run at a time,
+--     and record_purchase_entry adds a paid purchase's tickets to the
+--     buyer's entry and completes the payment together
+-- (run after observability_schema.sql, stripe_connect_schema.sql and
+-- refund_engine_schema.sql)
+
+ALTER TABLE stripe_connect_accounts ADD COLUMN IF NOT EXISTS deauthorized_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stripe_connect_accounts ADD COLUMN IF NOT EXISTS last_payout_failed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stripe_connect_accounts ADD COLUMN IF NOT EXISTS last_payout_failure_code TEXT;
+ALTER TABLE stripe_connect_accounts ADD COLUMN IF NOT EXISTS last_payout_failure_message TEXT;
+ALTER TABLE stripe_connect_accounts ADD COLUMN IF NOT EXISTS last_failed_payout_id TEXT;  -- po_... on the connected account
+
+-- One refunds row per Stripe refund, whichever path recorded it first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_stripe_refund
+  ON refunds(stripe_refund_id) WHERE stripe_refund_id IS NOT NULL;
+
+-- Claim an event for processing. Only one delivery of an event runs at a
+-- time: a concurrent or repeated delivery finds it 'processing' (or
+-- 'succeeded') and gets false. A claim left 'processing' for ten minutes
+-- is treated as abandoned, e.g. by a function that timed out.
+CREATE OR REPLACE FUNCTION claim_webhook_event(
+  p_webhook_id TEXT,
+  p_event_type TEXT,
+  p_payload JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_id UUID;
+BEGIN
+  INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, last_attempt_at)
+  VALUES (p_webhook_id, p_event_type, p_payload, 'processing', NOW())
+  ON CONFLICT (webhook_id, event_type) DO UPDATE SET
+    payload = EXCLUDED.payload,
+    status = 'processing',
+    attempt_count = webhook_deliveries.attempt_count + 1,
+    last_attempt_at = NOW()
+  WHERE webhook_deliveries.status <> 'succeeded'
+    AND (webhook_deliveries.status <> 'processing'
+         OR webhook_deliveries.last_attempt_at < NOW() - INTERVAL '10 minutes')
+  RETURNING id INTO v_id;
+
+  RETURN v_id IS NOT NULL;
+END;
+$$;
+
+-- Turn a paid entry purchase into tickets, once. Adds to the buyer's entry
+-- for the giveaway (one row per entrant, shared with free entries) and marks
+-- the payment completed in the same transaction, so a failure leaves the
+-- payment pending for the event's retry. Returns false when the payment was
+-- already completed.
+CREATE OR REPLACE FUNCTION record_purchase_entry(
+  p_payment_id UUID,
+  p_entry_count INTEGER,
+  p_stripe_charge_id TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_payment payments;
+BEGIN
+  IF p_entry_count IS NULL OR p_entry_count < 1 THEN
+    RAISE EXCEPTION 'Entry count must be at least 1';
+  END IF;
+
+  SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+  IF v_payment.id IS NULL THEN
+    RAISE EXCEPTION 'Payment % not found', p_payment_id;
+  END IF;
+
+  IF v_payment.status = 'completed' THEN
+    RETURN false;
+  END IF;
+
+  INSERT INTO entries (
+    user_id,
+    giveaway_id,
+    entry_count,
+    ticket_count,
+    total_cost,
+    entry_type,
+    payment_id,
+    payment_status,
+    status
+  ) VALUES (
+    v_payment.user_id,
+    v_payment.giveaway_id,
+    p_entry_count,
+    p_entry_count,
+    v_payment.amount,
+    'purchase',
+    v_payment.id,
+    'completed',
+    'entered'
+  )
+  ON CONFLICT (user_id, giveaway_id)
+  DO UPDATE SET
+    entry_count = entries.entry_count + p_entry_count,
+    ticket_count = GREATEST(COALESCE(entries.ticket_count, 0), entries.entry_count) + p_entry_count,
+    total_cost = entries.total_cost + v_payment.amount,
+    payment_id = COALESCE(entries.payment_id, v_payment.id),
+    payment_status = 'completed',
+    updated_at = NOW();
+
+  UPDATE payments
+  SET status = 'completed',
+      stripe_charge_id = p_stripe_charge_id,
+      processed_at = NOW()
+  WHERE id = p_payment_id;
+
+  RETURN true;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_purchase_entry(UUID, INTEGER, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_webhook_event(TEXT, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION record_purchase_entry(UUID, INTEGER, TEXT) TO service_role;
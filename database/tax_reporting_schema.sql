@@ -0,0 +1,292 @@
+-- Tax Reporting Schema
+-- Information reporting for prizes and creator payouts:
+--   - US winners whose claimed prizes reach the 1099-MISC threshold in a
+--     calendar year give W-9 details before the claim goes through; the TIN
+--     is encrypted by the submit-tax-info function and only its last four
+--     digits are ever readable from the app
+--   - the tax-export function totals each recipient's year for filing:
+--     prize ARV for 1099-MISC (box 3, other income) and payouts for the
+--     1099-K style creator summary, plus a per-creator annual statement
+-- Amounts are reported in USD. Prizes and payouts in other currencies are
+-- converted at the latest reference rate, or at the Stripe settlement rate
+-- when the payout settled in USD.
+-- (run after winner_claims_schema.sql, eligibility_schema.sql,
+-- ledger_schema.sql and multi_currency_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('tax_reporting', '{"form_1099_misc_threshold_usd": 600, "form_1099_k_threshold_usd": 600, "form_1099_k_min_transactions": 0, "payer_name": "", "payer_tin": "", "payer_address": ""}',
+ 'Yearly reporting thresholds in USD and the payer details printed on 1099 exports')
+ON CONFLICT (config_key) DO NOTHING;
+
+-- W-9 details, one row per person. Written only by submit-tax-info with the
+-- service role; the TIN ciphertext is readable by neither the owner nor admins.
+CREATE TABLE IF NOT EXISTS tax_profiles (
+  user_id UUID REFERENCES public.users(id) ON DELETE CASCADE PRIMARY KEY,
+
+  legal_name TEXT NOT NULL,             -- W-9 line 1
+  business_name TEXT,                   -- line 2, disregarded entity name
+  tax_classification TEXT NOT NULL CHECK (tax_classification IN (
+    'individual', 'c_corporation', 's_corporation', 'partnership',
+    'trust_estate', 'llc_c', 'llc_s', 'llc_p', 'other'
+  )),
+
+  tin_type TEXT NOT NULL CHECK (tin_type IN ('ssn', 'itin', 'ein')),
+  tin_ciphertext TEXT NOT NULL,         -- AES-256-GCM, base64
+  tin_iv TEXT NOT NULL,                 -- base64 nonce
+  tin_key_version SMALLINT NOT NULL,    -- TAX_TIN_ENCRYPTION_KEY version used
+  tin_last4 TEXT NOT NULL,
+
+  address_line1 TEXT NOT NULL,
+  address_line2 TEXT,
+  city TEXT NOT NULL,
+  state TEXT NOT NULL,                  -- two-letter code
+  postal_code TEXT NOT NULL,
+  country TEXT NOT NULL DEFAULT 'US',
+
+  -- Certification under penalties of perjury
+  backup_withholding BOOLEAN NOT NULL DEFAULT false, -- item 2 crossed out
+  certification_version TEXT NOT NULL,
+  certification_text_hash TEXT NOT NULL, -- SHA256 of the exact text certified
+  signed_name TEXT NOT NULL,
+  certified_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_tax_profiles_updated_at ON tax_profiles;
+CREATE TRIGGER update_tax_profiles_updated_at
+  BEFORE UPDATE ON tax_profiles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE tax_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own tax profile" ON tax_profiles;
+CREATE POLICY "Users can view own tax profile" ON tax_profiles
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Admins can view all tax profiles" ON tax_profiles;
+CREATE POLICY "Admins can view all tax profiles" ON tax_profiles
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Everything but the ciphertext
+REVOKE ALL ON tax_profiles FROM anon, authenticated;
+GRANT SELECT (
+  user_id, legal_name, business_name, tax_classification, tin_type, tin_last4,
+  address_line1, address_line2, city, state, postal_code, country,
+  backup_withholding, certification_version, signed_name, certified_at,
+  created_at, updated_at
+) ON tax_profiles TO authenticated;
+
+-- Whether a W-9 was required when the prize was claimed
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS tax_form_required BOOLEAN NOT NULL DEFAULT false;
+
+-- Amount in USD at the latest reference rate; NULL when there is none
+CREATE OR REPLACE FUNCTION to_usd(p_amount NUMERIC, p_currency TEXT)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN lower(COALESCE(p_currency, 'usd')) = 'usd' THEN p_amount
+    ELSE ROUND(p_amount * (
+      SELECT rate FROM latest_exchange_rates
+      WHERE base_currency = lower(p_currency) AND quote_currency = 'usd'
+    ), 2)
+  END;
+$$;
+
+-- Prize ARV in USD for a winner slot: the tier's value, else the giveaway's
+CREATE OR REPLACE FUNCTION winner_prize_value_usd(p_winner_id UUID)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT to_usd(COALESCE(w.prize_value, g.prize_value, 0), g.currency)
+  FROM winners w
+  JOIN giveaways g ON g.id = w.giveaway_id
+  WHERE w.id = p_winner_id;
+$$;
+
+-- A W-9 is needed when this prize takes the winner's claimed prizes for the
+-- calendar year to the 1099-MISC threshold. Winners who declared a residence
+-- outside the US are not reported; an undeclared residence counts as US. A
+-- prize with no USD rate is treated as over the threshold.
+CREATE OR REPLACE FUNCTION winner_requires_tax_form(p_winner_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_winner RECORD;
+  v_threshold NUMERIC;
+  v_prize NUMERIC;
+  v_prior NUMERIC;
+  v_year_start TIMESTAMP WITH TIME ZONE;
+BEGIN
+  SELECT w.id, w.user_id, ee.country
+  INTO v_winner
+  FROM winners w
+  LEFT JOIN entrant_eligibility ee ON ee.user_id = w.user_id
+  WHERE w.id = p_winner_id;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  IF v_winner.country IS NOT NULL AND v_winner.country NOT IN ('US', 'United States') THEN
+    RETURN false;
+  END IF;
+
+  SELECT COALESCE((config_value->>'form_1099_misc_threshold_usd')::NUMERIC, 600)
+  INTO v_threshold
+  FROM platform_config WHERE config_key = 'tax_reporting';
+  v_threshold := COALESCE(v_threshold, 600);
+
+  v_prize := winner_prize_value_usd(p_winner_id);
+  IF v_prize IS NULL THEN
+    RETURN true;
+  END IF;
+
+  v_year_start := date_trunc('year', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+
+  SELECT COALESCE(SUM(winner_prize_value_usd(w.id)), 0)
+  INTO v_prior
+  FROM winners w
+  WHERE w.user_id = v_winner.user_id
+    AND w.id <> p_winner_id
+    AND w.claim_status = 'claimed'
+    AND w.claimed_at >= v_year_start;
+
+  RETURN v_prior + v_prize >= v_threshold;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION winner_requires_tax_form(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION winner_requires_tax_form(UUID) TO service_role;
+
+-- A claim over the threshold does not go through without a certified W-9,
+-- however the claim is made
+CREATE OR REPLACE FUNCTION require_tax_form_on_claim()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.claim_status = 'claimed' AND OLD.claim_status IS DISTINCT FROM 'claimed' THEN
+    NEW.tax_form_required := winner_requires_tax_form(NEW.id);
+
+    IF NEW.tax_form_required AND NOT EXISTS (
+      SELECT 1 FROM tax_profiles WHERE user_id = NEW.user_id
+    ) THEN
+      RAISE EXCEPTION 'Tax information (Form W-9) is required before this prize can be claimed';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS require_tax_form_on_claim ON public.winners;
+CREATE TRIGGER require_tax_form_on_claim
+  BEFORE UPDATE OF claim_status ON public.winners
+  FOR EACH ROW EXECUTE FUNCTION require_tax_form_on_claim();
+
+-- Prizes claimed in a calendar year (UTC), for 1099-MISC
+CREATE OR REPLACE FUNCTION tax_year_prize_awards(p_year INTEGER)
+RETURNS TABLE (
+  winner_id UUID,
+  user_id UUID,
+  giveaway_id UUID,
+  giveaway_title TEXT,
+  prize_description TEXT,
+  prize_value NUMERIC,
+  currency TEXT,
+  prize_value_usd NUMERIC,
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  country TEXT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    w.id,
+    w.user_id,
+    g.id,
+    g.title,
+    COALESCE(w.prize_description, g.prize_description),
+    COALESCE(w.prize_value, g.prize_value, 0),
+    g.currency,
+    winner_prize_value_usd(w.id),
+    w.claimed_at,
+    ee.country
+  FROM winners w
+  JOIN giveaways g ON g.id = w.giveaway_id
+  LEFT JOIN entrant_eligibility ee ON ee.user_id = w.user_id
+  WHERE w.claim_status = 'claimed'
+    AND w.claimed_at >= make_timestamptz(p_year, 1, 1, 0, 0, 0, 'UTC')
+    AND w.claimed_at < make_timestamptz(p_year + 1, 1, 1, 0, 0, 0, 'UTC')
+  ORDER BY w.user_id, w.claimed_at;
+$$;
+
+REVOKE EXECUTE ON FUNCTION tax_year_prize_awards(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION tax_year_prize_awards(INTEGER) TO service_role;
+
+-- Movements on creators' payable accounts in a calendar year (UTC), by
+-- giveaway, entry type and month. amount is signed from the creator's side:
+-- escrow releases are positive, payouts, refunds and dispute losses negative,
+-- transfer reversals positive. amount_usd uses the Stripe settlement amount
+-- when a payout settled in USD.
+CREATE OR REPLACE FUNCTION tax_year_creator_activity(p_year INTEGER, p_creator_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  creator_id UUID,
+  giveaway_id UUID,
+  entry_type TEXT,
+  currency TEXT,
+  month INTEGER,
+  amount NUMERIC,
+  amount_usd NUMERIC,
+  entry_count BIGINT
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    la.user_id,
+    je.giveaway_id,
+    je.entry_type,
+    je.currency,
+    EXTRACT(MONTH FROM je.posted_at AT TIME ZONE 'UTC')::INTEGER,
+    SUM(jl.credit - jl.debit),
+    SUM(CASE
+      WHEN je.settlement_currency = 'usd' AND je.settlement_amount_minor IS NOT NULL
+        THEN sign(jl.credit - jl.debit) * je.settlement_amount_minor / 100.0
+      ELSE to_usd(jl.credit - jl.debit, je.currency)
+    END),
+    COUNT(DISTINCT je.id)
+  FROM journal_lines jl
+  JOIN ledger_accounts la ON la.id = jl.account_id AND la.account_kind = 'creator_payable'
+  JOIN journal_entries je ON je.id = jl.journal_entry_id
+  WHERE je.posted_at >= make_timestamptz(p_year, 1, 1, 0, 0, 0, 'UTC')
+    AND je.posted_at < make_timestamptz(p_year + 1, 1, 1, 0, 0, 0, 'UTC')
+    AND (p_creator_id IS NULL OR la.user_id = p_creator_id)
+  GROUP BY la.user_id, je.giveaway_id, je.entry_type, je.currency,
+    EXTRACT(MONTH FROM je.posted_at AT TIME ZONE 'UTC');
+$$;
+
+REVOKE EXECUTE ON FUNCTION tax_year_creator_activity(INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION tax_year_creator_activity(INTEGER, UUID) TO service_role;
@@ -0,0 +1,230 @@
+-- Webhook Dead-Letter Queue Schema
+-- Inbound and internal deliveries (webhook_deliveries, observability_schema.sql)
+-- that still fail after webhookReliabilityService.maxRetries attempts are
+-- moved to 'dead_lettered' instead of sitting in 'failed' or 'retrying':
+--   - every failed attempt's error is kept in webhook_delivery_errors, so the
+--     history survives later attempts and replays
+--   - a job every 15 minutes alerts admins when the dead-letter queue passes
+--     the configured size and again each time it grows by the configured step
+--   - admins replay dead-lettered deliveries singly or in bulk from the
+--     webhook operations console; a replay only claims deliveries that have
+--     not succeeded and are not in flight, so replaying twice, or from two
+--     consoles at once, runs each delivery once
+-- (run after observability_schema.sql and enhanced_giveaway_schema.sql)
+
+INSERT INTO public.platform_config (config_key, config_value, description) VALUES
+('webhook_dead_letter_alert', '{"threshold": 10, "growth_step": 10}',
+ 'Alert admins when this many webhook deliveries are dead-lettered, and again each time the queue grows by growth_step')
+ON CONFLICT (config_key) DO NOTHING;
+
+ALTER TABLE webhook_deliveries DROP CONSTRAINT IF EXISTS webhook_deliveries_status_check;
+ALTER TABLE webhook_deliveries ADD CONSTRAINT webhook_deliveries_status_check
+  CHECK (status IN ('pending', 'processing', 'succeeded', 'failed', 'retrying', 'dead_lettered'));
+
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS replay_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS last_replayed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS last_replayed_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+-- Console listing, by status and event type, newest first
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_console
+  ON webhook_deliveries(status, event_type, created_at DESC);
+
+-- One row per failed attempt
+CREATE TABLE IF NOT EXISTS webhook_delivery_errors (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  delivery_id UUID REFERENCES webhook_deliveries(id) ON DELETE CASCADE NOT NULL,
+  attempt INTEGER NOT NULL,                        -- webhook_deliveries.attempt_count at the time
+  status TEXT NOT NULL,                            -- failed, retrying or dead_lettered
+  error_message TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_delivery_errors_delivery
+  ON webhook_delivery_errors(delivery_id, created_at DESC);
+
+-- Dead-letter queue size at each alert (alerted) or when it shrank below the
+-- last one (not alerted), which resets the baseline growth is measured from
+CREATE TABLE IF NOT EXISTS webhook_dead_letter_alerts (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  dead_lettered_count INTEGER NOT NULL,
+  alerted BOOLEAN NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE webhook_delivery_errors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_dead_letter_alerts ENABLE ROW LEVEL SECURITY;
+
+-- webhookReliabilityService runs deliveries from admin sessions
+DROP POLICY IF EXISTS "Admins can manage webhook deliveries" ON webhook_deliveries;
+CREATE POLICY "Admins can manage webhook deliveries" ON webhook_deliveries
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view webhook delivery errors" ON webhook_delivery_errors;
+CREATE POLICY "Admins can view webhook delivery errors" ON webhook_delivery_errors
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Admins can view webhook dead-letter alerts" ON webhook_dead_letter_alerts;
+CREATE POLICY "Admins can view webhook dead-letter alerts" ON webhook_dead_letter_alerts
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Keep each failed attempt's error, whichever path recorded it (the app, or
+-- stripe-webhook for Stripe events). A status change alone, e.g. failed to
+-- retrying for the same attempt, is not a new error.
+CREATE OR REPLACE FUNCTION log_webhook_delivery_error()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.status IN ('failed', 'retrying', 'dead_lettered')
+     AND NEW.error_message IS NOT NULL
+     AND (NEW.error_message IS DISTINCT FROM OLD.error_message
+          OR NEW.last_attempt_at IS DISTINCT FROM OLD.last_attempt_at) THEN
+    INSERT INTO webhook_delivery_errors (delivery_id, attempt, status, error_message)
+    VALUES (NEW.id, COALESCE(NEW.attempt_count, 0), NEW.status, NEW.error_message);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_webhook_delivery_error ON webhook_deliveries;
+CREATE TRIGGER log_webhook_delivery_error
+  AFTER UPDATE ON webhook_deliveries
+  FOR EACH ROW EXECUTE FUNCTION log_webhook_delivery_error();
+
+-- Put deliveries back to 'pending' with a fresh set of attempts, for the
+-- caller to run. Only dead-lettered, failed or retrying deliveries are
+-- claimed; succeeded ones and ones being processed are left alone, so the
+-- returned rows are the ones this call, and no other, should run.
+CREATE OR REPLACE FUNCTION replay_webhook_deliveries(p_delivery_ids UUID[])
+RETURNS TABLE (id UUID, webhook_id TEXT, event_type TEXT)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM users WHERE users.id = auth.uid() AND is_admin = true) THEN
+    RAISE EXCEPTION 'Only admins can replay webhook deliveries';
+  END IF;
+
+  IF COALESCE(array_length(p_delivery_ids, 1), 0) > 100 THEN
+    RAISE EXCEPTION 'Replay at most 100 deliveries at a time';
+  END IF;
+
+  RETURN QUERY
+  UPDATE webhook_deliveries d
+  SET status = 'pending',
+      attempt_count = 0,
+      next_retry_at = NULL,
+      error_message = NULL,
+      dead_lettered_at = NULL,
+      replay_count = d.replay_count + 1,
+      last_replayed_at = NOW(),
+      last_replayed_by = auth.uid()
+  WHERE d.id = ANY(p_delivery_ids)
+    AND d.status IN ('dead_lettered', 'failed', 'retrying')
+  RETURNING d.id, d.webhook_id, d.event_type;
+END;
+$$;
+
+-- Alert admins when the dead-letter queue reaches the configured size, then
+-- again each time it grows by growth_step past the last alert
+CREATE OR REPLACE FUNCTION check_webhook_dead_letter_queue()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_config JSONB;
+  v_threshold INTEGER;
+  v_step INTEGER;
+  v_count INTEGER;
+  v_baseline INTEGER;
+  v_event_types TEXT;
+BEGIN
+  SELECT config_value INTO v_config FROM platform_config WHERE config_key = 'webhook_dead_letter_alert';
+  v_threshold := COALESCE((v_config->>'threshold')::INTEGER, 10);
+  v_step := GREATEST(COALESCE((v_config->>'growth_step')::INTEGER, 10), 1);
+
+  SELECT COUNT(*) INTO v_count FROM webhook_deliveries WHERE status = 'dead_lettered';
+
+  SELECT dead_lettered_count INTO v_baseline
+  FROM webhook_dead_letter_alerts
+  ORDER BY created_at DESC
+  LIMIT 1;
+  v_baseline := COALESCE(v_baseline, 0);
+
+  IF v_count < v_baseline THEN
+    INSERT INTO webhook_dead_letter_alerts (dead_lettered_count, alerted) VALUES (v_count, false);
+    RETURN v_count;
+  END IF;
+
+  IF v_count < v_threshold OR v_count < v_baseline + v_step THEN
+    RETURN v_count;
+  END IF;
+
+  INSERT INTO webhook_dead_letter_alerts (dead_lettered_count, alerted) VALUES (v_count, true);
+
+  SELECT string_agg(event_type || ' (' || n || ')', ', ' ORDER BY n DESC) INTO v_event_types
+  FROM (
+    SELECT event_type, COUNT(*) AS n
+    FROM webhook_deliveries
+    WHERE status = 'dead_lettered'
+    GROUP BY event_type
+    ORDER BY n DESC
+    LIMIT 5
+  ) top_types;
+
+  INSERT INTO security_events (event_type, severity, endpoint, details)
+  VALUES ('webhook_dead_letter_queue_growing', 'high', 'webhook_deliveries',
+          jsonb_build_object('dead_lettered', v_count, 'previous', v_baseline, 'threshold', v_threshold));
+
+  INSERT INTO notifications (user_id, type, title, message, data, read)
+  SELECT u.id,
+         'webhook_dead_letters',
+         'Webhook Dead-Letter Queue Growing',
+         v_count || ' webhook deliveries have failed every retry and need attention: ' || v_event_types || '.',
+         jsonb_build_object('deadLettered', v_count, 'actionRequired', true, 'priority', 'high'),
+         false
+  FROM users u
+  WHERE u.is_admin = true;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION replay_webhook_deliveries(UUID[]) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION replay_webhook_deliveries(UUID[]) TO authenticated;
+REVOKE EXECUTE ON FUNCTION check_webhook_dead_letter_queue() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION check_webhook_dead_letter_queue() TO service_role;
+
+-- Check the queue every 15 minutes when pg_cron is enabled
+DO $$ BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.schedule('webhook-dead-letter-alert', '*/15 * * * *', 'SELECT check_webhook_dead_letter_queue()');
+  END IF;
+END $$;
+
+COMMENT ON TABLE webhook_delivery_errors IS 'Error from each failed webhook delivery attempt, kept across retries and replays';
+COMMENT ON TABLE webhook_dead_letter_alerts IS 'Dead-letter queue size at each admin alert, and when it shrank';
+COMMENT ON FUNCTION replay_webhook_deliveries IS 'Requeue dead-lettered, failed or retrying deliveries for replay; skips succeeded and in-flight ones';
+COMMENT ON FUNCTION check_webhook_dead_letter_queue IS 'Alert admins when the webhook dead-letter queue passes its threshold or keeps growing';
@@ -0,0 +1,211 @@
+-- Inbound Webhook Gateway Schema
+-- Third parties post events to supabase/functions/webhook-gateway/<source>.
+-- Each source is a webhook_sources row with its own configuration (accepted
+-- event types, timestamp tolerance) and one or more signing secrets kept in
+-- Vault. A request is accepted only when:
+--   - its webhook-signature is an HMAC-SHA256 of "<id>.<timestamp>.<body>"
+--     under one of the source's active secrets
+--   - its webhook-timestamp is within the source's tolerance of now
+--   - its webhook-id has not been seen from that source before
+-- and is then stored in webhook_deliveries as 'pending' before anything acts
+-- on it; webhookReliabilityService.processPendingDeliveries dispatches it.
+--
+-- Rotating a secret adds a new one and lets the old ones expire after an
+-- overlap, so senders can switch over without dropped deliveries.
+-- (run after observability_schema.sql; needs the supabase_vault and pgcrypto
+-- extensions, which Supabase enables by default)
+
+CREATE TABLE IF NOT EXISTS webhook_sources (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9][a-z0-9_-]{1,62}$'),  -- path segment the source posts to
+  name TEXT NOT NULL,
+  description TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  event_types TEXT[] NOT NULL DEFAULT '{}',        -- accepted event types; anything else is rejected
+  event_type_field TEXT NOT NULL DEFAULT 'type',   -- top-level payload field naming the event type
+  tolerance_seconds INTEGER NOT NULL DEFAULT 300 CHECK (tolerance_seconds BETWEEN 30 AND 3600),
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_source_secrets (
+  id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+  source_id UUID REFERENCES webhook_sources(id) ON DELETE CASCADE NOT NULL,
+  vault_secret_id UUID NOT NULL,                   -- vault.secrets; never readable by clients
+  label TEXT,
+  active BOOLEAN NOT NULL DEFAULT true,
+  expires_at TIMESTAMP WITH TIME ZONE,             -- set on the old secrets when rotating
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_source_secrets_source ON webhook_source_secrets(source_id) WHERE active;
+
+-- Deliveries that came in through the gateway
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS source TEXT;                -- webhook_sources.slug
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS signature_secret_id UUID;   -- secret that verified it
+
+-- Replay protection: one delivery per message id per source
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_source_message
+  ON webhook_deliveries(source, webhook_id) WHERE source IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_webhook_sources_updated_at ON webhook_sources;
+CREATE TRIGGER update_webhook_sources_updated_at
+  BEFORE UPDATE ON webhook_sources
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE webhook_sources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_source_secrets ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins can manage webhook sources" ON webhook_sources;
+CREATE POLICY "Admins can manage webhook sources" ON webhook_sources
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- Admins see secret metadata; the secret itself stays in Vault
+DROP POLICY IF EXISTS "Admins can view webhook source secrets" ON webhook_source_secrets;
+CREATE POLICY "Admins can view webhook source secrets" ON webhook_source_secrets
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE id = auth.uid() AND is_admin = true
+    )
+  );
+
+-- =======================================================
+-- SECRETS
+-- =======================================================
+
+CREATE OR REPLACE FUNCTION assert_webhook_admin()
+RETURNS void
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.role() <> 'service_role' AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Admin access required';
+  END IF;
+END;
+$$;
+
+-- Add a generated signing secret to a source. The secret is returned once,
+-- to hand to the sender; afterwards only the gateway can read it.
+CREATE OR REPLACE FUNCTION add_webhook_source_secret(p_source_id UUID, p_label TEXT DEFAULT NULL)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_source webhook_sources;
+  v_secret TEXT := 'whsec_' || encode(extensions.gen_random_bytes(32), 'hex');
+  v_vault_id UUID;
+  v_id UUID;
+BEGIN
+  PERFORM assert_webhook_admin();
+
+  SELECT * INTO v_source FROM webhook_sources WHERE id = p_source_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Webhook source not found: %', p_source_id;
+  END IF;
+
+  v_vault_id := vault.create_secret(
+    v_secret,
+    'webhook_source:' || v_source.slug || ':' || gen_random_uuid(),
+    'Inbound webhook signing secret for ' || v_source.name
+  );
+
+  INSERT INTO webhook_source_secrets (source_id, vault_secret_id, label, created_by)
+  VALUES (p_source_id, v_vault_id, p_label, auth.uid())
+  RETURNING id INTO v_id;
+
+  RETURN jsonb_build_object('id', v_id, 'secret', v_secret);
+END;
+$$;
+
+-- Add a new secret and expire the source's current ones after the overlap
+CREATE OR REPLACE FUNCTION rotate_webhook_source_secret(
+  p_source_id UUID,
+  p_overlap_hours INTEGER DEFAULT 24,
+  p_label TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM assert_webhook_admin();
+
+  IF p_overlap_hours < 0 OR p_overlap_hours > 720 THEN
+    RAISE EXCEPTION 'Overlap must be between 0 and 720 hours';
+  END IF;
+
+  UPDATE webhook_source_secrets
+  SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => p_overlap_hours))
+  WHERE source_id = p_source_id AND active;
+
+  RETURN add_webhook_source_secret(p_source_id, p_label);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION revoke_webhook_source_secret(p_secret_id UUID)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM assert_webhook_admin();
+
+  UPDATE webhook_source_secrets SET active = false WHERE id = p_secret_id;
+END;
+$$;
+
+-- A source's configuration and the secrets it may currently sign with.
+-- Service role only: this is how webhook-gateway reads them.
+CREATE OR REPLACE FUNCTION webhook_source_signing_config(p_slug TEXT)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'source', to_jsonb(s),
+    'secrets', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('id', k.id, 'secret', ds.decrypted_secret) ORDER BY k.created_at DESC)
+      FROM webhook_source_secrets k
+      JOIN vault.decrypted_secrets ds ON ds.id = k.vault_secret_id
+      WHERE k.source_id = s.id
+        AND k.active
+        AND (k.expires_at IS NULL OR k.expires_at > NOW())
+    ), '[]'::jsonb)
+  )
+  FROM webhook_sources s
+  WHERE s.slug = p_slug;
+$$;
+
+REVOKE EXECUTE ON FUNCTION assert_webhook_admin() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION add_webhook_source_secret(UUID, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION rotate_webhook_source_secret(UUID, INTEGER, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION revoke_webhook_source_secret(UUID) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION webhook_source_signing_config(TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION assert_webhook_admin() TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION add_webhook_source_secret(UUID, TEXT) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION rotate_webhook_source_secret(UUID, INTEGER, TEXT) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION revoke_webhook_source_secret(UUID) TO authenticated, service_role;
+GRANT EXECUTE ON FUNCTION webhook_source_signing_config(TEXT) TO service_role;
+
+COMMENT ON TABLE webhook_sources IS 'Inbound webhook senders and their per-source gateway configuration';
+COMMENT ON TABLE webhook_source_secrets IS 'Signing secrets per inbound webhook source (values in Vault); several may be active while rotating';
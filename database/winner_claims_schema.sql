@@ -0,0 +1,129 @@
+-- Winner Claims & Alternate Redraw Schema
+-- Claim deadlines, forfeiture/disqualification and alternate winners drawn
+-- from the committed fairness ordering. Winners claim through claim_prize()
+-- and alternates are appended through append_fairness_alternate().
+-- (run after fairness_verification_schema.sql)
+
+DO $$ BEGIN
+    CREATE TYPE winner_claim_status_enum AS ENUM ('pending', 'claimed', 'forfeited', 'disqualified');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- How long a winner has to claim before the slot passes to an alternate
+ALTER TABLE public.giveaways ADD COLUMN IF NOT EXISTS claim_window_days INTEGER DEFAULT 7;
+
+-- Claim lifecycle on each winner slot
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS claim_status winner_claim_status_enum DEFAULT 'pending';
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS claim_deadline TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS forfeited_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS disqualified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS status_reason TEXT;
+
+-- Alternate chain: the alternate row points at the winner it replaced
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS is_alternate BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.winners ADD COLUMN IF NOT EXISTS replaces_winner_id UUID REFERENCES public.winners(id);
+
+-- Forfeited/disqualified rows stay for audit, so a position is only unique among live slots
+ALTER TABLE public.winners DROP CONSTRAINT IF EXISTS winners_giveaway_id_position_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_winners_live_position
+  ON public.winners(giveaway_id, position)
+  WHERE claim_status IN ('pending', 'claimed');
+
+CREATE INDEX IF NOT EXISTS idx_winners_claim_deadline
+  ON public.winners(claim_deadline)
+  WHERE claim_status = 'pending';
+
+-- Alternates drawn after the original draw, in order (replayed by verifiers)
+ALTER TABLE fairness_proofs ADD COLUMN IF NOT EXISTS alternates JSONB DEFAULT '[]';
+
+-- Winners claim through claim_prize() rather than updating their row, so
+-- prize_value, claim_deadline and position stay out of their hands and the
+-- deadline is enforced here rather than in the app
+DROP POLICY IF EXISTS "Winners can claim own prize" ON public.winners;
+
+CREATE OR REPLACE FUNCTION claim_prize(p_winner_id UUID)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_winner winners;
+  v_claimed_at TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+  SELECT * INTO v_winner FROM winners WHERE id = p_winner_id FOR UPDATE;
+
+  IF v_winner.id IS NULL THEN
+    RAISE EXCEPTION 'Winner record not found';
+  END IF;
+
+  IF v_winner.user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Only the winner can claim this prize';
+  END IF;
+
+  IF v_winner.claim_status IS DISTINCT FROM 'pending' THEN
+    RAISE EXCEPTION 'Prize cannot be claimed with status: %', v_winner.claim_status;
+  END IF;
+
+  IF v_winner.claim_deadline IS NOT NULL AND v_winner.claim_deadline < v_claimed_at THEN
+    RAISE EXCEPTION 'The claim deadline for this prize has passed';
+  END IF;
+
+  -- require_tax_form_on_claim (tax_reporting_schema.sql) still applies
+  UPDATE winners
+  SET claim_status = 'claimed',
+      is_claimed = true,
+      claimed_at = v_claimed_at
+  WHERE id = p_winner_id;
+
+  RETURN v_claimed_at;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION claim_prize(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION claim_prize(UUID) TO authenticated;
+
+-- Proofs are written once by the draw. Alternates drawn later are appended
+-- through append_fairness_alternate(), which touches nothing else, so the
+-- seed, ordering and winners can't be rewritten after the fact.
+DROP POLICY IF EXISTS "Creators can update fairness proofs" ON fairness_proofs;
+
+CREATE OR REPLACE FUNCTION append_fairness_alternate(p_proof_id UUID, p_alternate JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_alternates JSONB;
+BEGIN
+  IF jsonb_typeof(p_alternate) IS DISTINCT FROM 'object' THEN
+    RAISE EXCEPTION 'An alternate must be a JSON object';
+  END IF;
+
+  IF auth.role() IS DISTINCT FROM 'service_role' AND NOT EXISTS (
+    SELECT 1 FROM fairness_proofs fp
+    JOIN giveaways g ON g.id = fp.giveaway_id
+    WHERE fp.id = p_proof_id AND g.creator_id = auth.uid()
+  ) AND NOT EXISTS (
+    SELECT 1 FROM users WHERE id = auth.uid() AND is_admin = true
+  ) THEN
+    RAISE EXCEPTION 'Not authorized to record alternates for this draw';
+  END IF;
+
+  UPDATE fairness_proofs
+  SET alternates = COALESCE(alternates, '[]'::jsonb) || jsonb_build_array(p_alternate)
+  WHERE id = p_proof_id
+  RETURNING alternates INTO v_alternates;
+
+  IF v_alternates IS NULL THEN
+    RAISE EXCEPTION 'Fairness proof not found';
+  END IF;
+
+  RETURN v_alternates;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION append_fairness_alternate(UUID, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION append_fairness_alternate(UUID, JSONB) TO authenticated, service_role;
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Stripe Webhook Replay
+ *
+ * Replays recorded Stripe events (scripts/fixtures/stripe-events) against the
+ * stripe-webhook function, signed the way Stripe signs them.
+ *
+ * Checks performed for every fixture:
+ * 1. The event is accepted (200, received: true)
+ * 2. Delivering the same event again is acknowledged as a duplicate
+ * 3. The event with a bad signature is rejected with 400
+ *
+ * Each run gives the events fresh ids (the recorded id plus a run suffix), so
+ * a first delivery is never a duplicate of an earlier run. What the handlers
+ * write depends on the database holding the orders, Connect accounts and
+ * refunds the fixtures refer to; events for records it doesn't have are
+ * acknowledged and ignored.
+ *
+ * Usage:
+ *   STRIPE_WEBHOOK_SECRET=whsec_... node scripts/replay-stripe-events.js [fixture.json ...] [--url <endpoint>]
+ *
+ * With no fixtures given, every fixture is replayed. The endpoint defaults to
+ * STRIPE_WEBHOOK_URL, then to the local `supabase functions serve` URL; the
+ * function must run with the same STRIPE_WEBHOOK_SECRET.
+ *
+ * Exit codes: 0 = all checks passed, 1 = a check failed, 2 = bad setup
+ */
+
+import { createHmac } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe-events');
+const DEFAULT_URL = 'http://localhost:54321/functions/v1/stripe-webhook';
+
+// Stripe's scheme: v1 is HMAC-SHA256 of "<timestamp>.<payload>"
+function signatureHeader(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function parseArgs(argv) {
+  const options = { url: process.env.STRIPE_WEBHOOK_URL || DEFAULT_URL, fixtures: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      options.url = argv[++i];
+    } else {
+      options.fixtures.push(argv[i]);
+    }
+  }
+
+  if (options.fixtures.length === 0) {
+    options.fixtures = readdirSync(FIXTURE_DIR)
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .map((name) => join(FIXTURE_DIR, name));
+  }
+
+  return options;
+}
+
+async function deliver(url, payload, signature) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+
+  const body = await response.json().catch(() => null);
+  return { status: response.status, body };
+}
+
+async function replayFixture(file, { url, secret, runId }) {
+  const event = JSON.parse(readFileSync(file, 'utf8'));
+  event.id = `${event.id}_${runId}`;
+  const payload = JSON.stringify(event);
+  const failures = [];
+
+  const first = await deliver(url, payload, signatureHeader(payload, secret));
+  if (first.status !== 200 || !first.body?.received) {
+    failures.push(`first delivery returned ${first.status}: ${JSON.stringify(first.body)}`);
+  } else if (first.body.duplicate) {
+    failures.push('first delivery was treated as a duplicate');
+  }
+
+  const second = await deliver(url, payload, signatureHeader(payload, secret));
+  if (second.status !== 200 || !second.body?.duplicate) {
+    failures.push(`redelivery was not acknowledged as a duplicate (${second.status}: ${JSON.stringify(second.body)})`);
+  }
+
+  const forged = await deliver(url, payload, signatureHeader(payload, `${secret}_wrong`));
+  if (forged.status !== 400) {
+    failures.push(`bad signature returned ${forged.status}, expected 400`);
+  }
+
+  return { name: basename(file), type: event.type, failures };
+}
+
+async function main() {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('STRIPE_WEBHOOK_SECRET is required');
+    process.exit(2);
+  }
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Cannot read fixtures: ${error.message}`);
+    process.exit(2);
+  }
+
+  const runId = Date.now().toString(36);
+  console.log(`Replaying ${options.fixtures.length} Stripe event(s) against ${options.url} (run ${runId})\n`);
+
+  let failed = 0;
+  for (const file of options.fixtures) {
+    let result;
+    try {
+      result = await replayFixture(file, { url: options.url, secret, runId });
+    } catch (error) {
+      result = { name: basename(file), type: '?', failures: [error.message] };
+    }
+
+    if (result.failures.length === 0) {
+      console.log(`  PASS  ${result.name} (${result.type})`);
+    } else {
+      failed++;
+      console.log(`  FAIL  ${result.name} (${result.type})`);
+      result.failures.forEach((failure) => console.log(`          - ${failure}`));
+    }
+  }
+
+  console.log(`\n${options.fixtures.length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
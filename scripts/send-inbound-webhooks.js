@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+/**
+ * Inbound Webhook Gateway Check
+ *
+ * Signs fixture payloads (scripts/fixtures/inbound-webhooks) locally and
+ * posts them to the webhook-gateway function as a source would.
+ *
+ * Checks performed for every fixture:
+ * 1. A correctly signed message is stored (202, not a duplicate)
+ * 2. The same message id again is acknowledged as a duplicate
+ * 3. A message signed with a wrong secret is rejected (401)
+ * 4. A message with the body changed after signing is rejected (401)
+ * 5. A message signed an hour ago is rejected (400)
+ * and once per run, that an event type the source does not accept is
+ * rejected (422).
+ *
+ * Give every active secret of the source, comma separated, to check that
+ * each of them is accepted while a rotation overlaps.
+ *
+ * Usage:
+ *   WEBHOOK_SOURCE_SECRETS=whsec_...[,whsec_...] node scripts/send-inbound-webhooks.js \
+ *     --source <slug> [fixture.json ...] [--url <gateway url>]
+ *
+ * The gateway URL defaults to WEBHOOK_GATEWAY_URL, then to the local
+ * `supabase functions serve` URL.
+ *
+ * Exit codes: 0 = all checks passed, 1 = a check failed, 2 = bad setup
+ */
+
+import { createHmac, randomUUID } from 'crypto';
+import { readdirSync, readFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'inbound-webhooks');
+const DEFAULT_URL = 'http://localhost:54321/functions/v1/webhook-gateway';
+
+// Same scheme as supabase/functions/_shared/webhookSignature.ts
+function sign(secret, id, timestamp, body) {
+  return `v1,${createHmac('sha256', secret).update(`${id}.${timestamp}.${body}`).digest('base64')}`;
+}
+
+function parseArgs(argv) {
+  const options = { url: process.env.WEBHOOK_GATEWAY_URL || DEFAULT_URL, source: null, fixtures: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      options.url = argv[++i];
+    } else if (argv[i] === '--source') {
+      options.source = argv[++i];
+    } else {
+      options.fixtures.push(argv[i]);
+    }
+  }
+
+  if (options.fixtures.length === 0) {
+    options.fixtures = readdirSync(FIXTURE_DIR)
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .map((name) => join(FIXTURE_DIR, name));
+  }
+
+  return options;
+}
+
+async function send(endpoint, body, { id = randomUUID(), timestamp = Math.floor(Date.now() / 1000), secret, signedBody = body }) {
+  const response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'webhook-id': id,
+      'webhook-timestamp': String(timestamp),
+      'webhook-signature': sign(secret, id, timestamp, signedBody)
+    },
+    body
+  });
+
+  const json = await response.json().catch(() => null);
+  return { status: response.status, body: json };
+}
+
+const describe = (result) => `${result.status}: ${JSON.stringify(result.body)}`;
+
+async function checkFixture(file, endpoint, secrets) {
+  const body = readFileSync(file, 'utf8');
+  const failures = [];
+
+  for (const [index, secret] of secrets.entries()) {
+    const id = randomUUID();
+
+    const first = await send(endpoint, body, { id, secret });
+    if (first.status !== 202 || first.body?.duplicate !== false) {
+      failures.push(`secret ${index + 1}: signed message was not stored (${describe(first)})`);
+    }
+
+    const again = await send(endpoint, body, { id, secret });
+    if (again.status !== 202 || again.body?.duplicate !== true) {
+      failures.push(`secret ${index + 1}: repeated message id was not treated as a duplicate (${describe(again)})`);
+    }
+  }
+
+  const wrongSecret = await send(endpoint, body, { secret: `${secrets[0]}_wrong` });
+  if (wrongSecret.status !== 401) {
+    failures.push(`wrong secret returned ${describe(wrongSecret)}, expected 401`);
+  }
+
+  const tampered = await send(endpoint, body.replace(/}\s*$/, ', "tampered": true}'), { secret: secrets[0], signedBody: body });
+  if (tampered.status !== 401) {
+    failures.push(`changed body returned ${describe(tampered)}, expected 401`);
+  }
+
+  const stale = await send(endpoint, body, { secret: secrets[0], timestamp: Math.floor(Date.now() / 1000) - 3600 });
+  if (stale.status !== 400) {
+    failures.push(`hour-old timestamp returned ${describe(stale)}, expected 400`);
+  }
+
+  return failures;
+}
+
+async function main() {
+  const secrets = (process.env.WEBHOOK_SOURCE_SECRETS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (secrets.length === 0) {
+    console.error('WEBHOOK_SOURCE_SECRETS is required');
+    process.exit(2);
+  }
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Cannot read fixtures: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (!options.source) {
+    console.error('--source is required');
+    process.exit(2);
+  }
+
+  const endpoint = `${options.url.replace(/\/$/, '')}/${options.source}`;
+  console.log(`Sending ${options.fixtures.length} fixture(s) to ${endpoint} with ${secrets.length} secret(s)\n`);
+
+  let failed = 0;
+  const report = (name, failures) => {
+    if (failures.length === 0) {
+      console.log(`  PASS  ${name}`);
+      return;
+    }
+    failed++;
+    console.log(`  FAIL  ${name}`);
+    failures.forEach((failure) => console.log(`          - ${failure}`));
+  };
+
+  for (const file of options.fixtures) {
+    try {
+      report(basename(file), await checkFixture(file, endpoint, secrets));
+    } catch (error) {
+      report(basename(file), [error.message]);
+    }
+  }
+
+  try {
+    const unknown = await send(endpoint, JSON.stringify({ type: 'fixture.not_accepted' }), { secret: secrets[0] });
+    report('unaccepted event type', unknown.status === 422 ? [] : [`returned ${describe(unknown)}, expected 422`]);
+  } catch (error) {
+    report('unaccepted event type', [error.message]);
+  }
+
+  console.log(`\n${failed === 0 ? 'All checks passed' : `${failed} check(s) failed`}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
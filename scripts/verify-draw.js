@@ -0,0 +1,315 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Fairness Verifier
+ *
+ * Independently re-derives a giveaway draw from an exported proof bundle
+ * (the "Download Proof Bundle" action in the Fairness Proof modal).
+ * Uses only Node's built-in crypto module, so auditors do not need to trust
+ * the app, its database, or any of its dependencies.
+ *
+ * Checks performed:
+ * 1. SHA256(seed) matches the pre-committed seed hash
+ * 2. The beacon value (if any) matches a trusted beacon file, when given
+ * 3. Every published HMAC-SHA256 value recomputes from the draw seed and entry input
+ * 4. Re-running the selection method yields the same winners, in the same order
+ * 5. Each published alternate is the next eligible candidate in that ordering
+ *
+ * When the bundle records a beacon round, the draw seed is
+ * SHA256(seed:beacon_round:beacon_value). Compare the beacon value against the
+ * beacon operator's public record (e.g. https://api.drand.sh/public/<round>),
+ * or pass a beacon file with --beacon-file.
+ *
+ * Usage:
+ *   node scripts/verify-draw.js <proof-bundle.json> [--beacon-file <beacon.json>]
+ *
+ * Exit codes: 0 = verified, 1 = mismatch found, 2 = unreadable bundle
+ */
+
+import { createHash, createHmac } from 'crypto';
+import { readFileSync } from 'fs';
+
+const BUNDLE_FORMAT = 'entrypoint-draw-proof';
+
+const sha256 = (value) => createHash('sha256').update(String(value)).digest('hex');
+const hmacSha256 = (message, key) => createHmac('sha256', key).update(String(message)).digest('hex');
+
+function expandPrizeTiers(prizeTiers) {
+  const tiers = Array.isArray(prizeTiers) && prizeTiers.length > 0
+    ? prizeTiers
+    : [{ name: 'Grand Prize', winners: 1 }];
+
+  const slots = [];
+  tiers.forEach((tier, tierIndex) => {
+    const count = Math.max(1, parseInt(tier.winners, 10) || 1);
+    for (let i = 0; i < count; i++) {
+      slots.push({
+        position: slots.length + 1,
+        tier_name: tier.name || `Tier ${tierIndex + 1}`
+      });
+    }
+  });
+  return slots;
+}
+
+// HMAC_SHA256_MAX: highest value of the first 64 bits wins (first entry on ties)
+function selectSingle(bundle, hmacs) {
+  let winnerIndex = 0;
+  let best = parseInt(hmacs[0].substring(0, 16), 16);
+
+  hmacs.forEach((hmac, index) => {
+    const value = parseInt(hmac.substring(0, 16), 16);
+    if (value > best) {
+      best = value;
+      winnerIndex = index;
+    }
+  });
+
+  return [{ position: 1, entry_index: winnerIndex, hmac_output: hmacs[winnerIndex] }];
+}
+
+function rankEntries(bundle, hmacs) {
+  return bundle.entries
+    .map((entry, index) => ({ index, input: entry.input, participant: entry.participant, hmac: hmacs[index] }))
+    .sort((a, b) => {
+      if (a.hmac !== b.hmac) return a.hmac < b.hmac ? 1 : -1;
+      if (a.input === b.input) return 0;
+      return a.input < b.input ? -1 : 1;
+    });
+}
+
+// HMAC_SHA256_RANKED: sort by full HMAC descending, fill slots, respect per-user cap
+function selectRanked(bundle, hmacs) {
+  const ranked = rankEntries(bundle, hmacs);
+  const slots = expandPrizeTiers(bundle.prize_tiers);
+  const cap = bundle.max_wins_per_user || 1;
+  const wins = {};
+  const winners = [];
+
+  for (const [rank, candidate] of ranked.entries()) {
+    if (winners.length >= slots.length) break;
+    if ((wins[candidate.participant] || 0) >= cap) continue;
+    wins[candidate.participant] = (wins[candidate.participant] || 0) + 1;
+    winners.push({
+      ...slots[winners.length],
+      rank: rank + 1,
+      entry_index: candidate.index,
+      hmac_output: candidate.hmac
+    });
+  }
+  return winners;
+}
+
+// Each entry's tickets are recorded in the bundle as the draw counted them
+// (src/services/drawTickets.js), so the line is rebuilt from those
+function buildRanges(bundle) {
+  let nextTicket = 1;
+  const ranges = bundle.entries.map((entry, index) => {
+    const tickets = Math.max(1, parseInt(entry.tickets, 10) || 1);
+    const range = { index, input: entry.input, participant: entry.participant, start: nextTicket, end: nextTicket + tickets - 1 };
+    nextTicket += tickets;
+    return range;
+  });
+  return { ranges, totalTickets: nextTicket - 1 };
+}
+
+const drawTicket = (drawSeed, digest, round, totalTickets) => {
+  const hmac = hmacSha256(`${digest}:${round}`, drawSeed);
+  return { hmac, ticket: Number(BigInt(`0x${hmac}`) % BigInt(totalTickets)) + 1 };
+};
+
+// HMAC_SHA256_TICKET: HMAC(seed, entries_digest:round) mod total_tickets → ticket number
+function selectTicketWeighted(bundle, drawSeed, report) {
+  const { ranges, totalTickets } = buildRanges(bundle);
+  const digest = sha256(ranges.map(range => `${range.input}:${range.start}-${range.end}`).join('|'));
+  report('Entries digest', digest === bundle.entries_digest, digest, bundle.entries_digest);
+  report('Total tickets', totalTickets === bundle.total_tickets, totalTickets, bundle.total_tickets);
+
+  const slots = expandPrizeTiers(bundle.prize_tiers);
+  const cap = bundle.max_wins_per_user || 1;
+  const target = Math.min(slots.length, new Set(ranges.map(r => r.participant)).size * cap, totalTickets);
+  const maxRounds = Math.max(1000, target * 100);
+  const wins = {};
+  const drawn = new Set();
+  const winners = [];
+
+  for (let round = 0; winners.length < target && round < maxRounds; round++) {
+    const { hmac, ticket } = drawTicket(drawSeed, digest, round, totalTickets);
+    const owner = ranges.find(range => ticket >= range.start && ticket <= range.end);
+
+    if (drawn.has(ticket) || (wins[owner.participant] || 0) >= cap) continue;
+
+    drawn.add(ticket);
+    wins[owner.participant] = (wins[owner.participant] || 0) + 1;
+    winners.push({
+      ...slots[winners.length],
+      rank: round + 1,
+      entry_index: owner.index,
+      hmac_output: hmac,
+      ticket_number: ticket
+    });
+  }
+  return winners;
+}
+
+// Alternates continue the same ordering after the last slot drawn, skipping
+// any participant who already held a slot
+function nextAlternate(bundle, drawSeed, hmacs, used) {
+  const participantOf = (entryIndex) => bundle.entries[entryIndex]?.participant;
+  const usedParticipants = new Set(used.map(slot => participantOf(slot.entry_index)));
+  const startRank = used.reduce((max, slot) => Math.max(max, slot.rank || 0), 0);
+
+  if (bundle.selection_method === 'HMAC_SHA256_TICKET') {
+    const { ranges, totalTickets } = buildRanges(bundle);
+    const usedTickets = new Set(used.map(slot => slot.ticket_number));
+    const maxRounds = Math.max(1000, ranges.length * 100);
+
+    for (let round = startRank; round < startRank + maxRounds; round++) {
+      const { hmac, ticket } = drawTicket(drawSeed, bundle.entries_digest, round, totalTickets);
+      const owner = ranges.find(range => ticket >= range.start && ticket <= range.end);
+      if (usedTickets.has(ticket) || usedParticipants.has(owner.participant)) continue;
+      return { rank: round + 1, entry_index: owner.index, hmac_output: hmac, ticket_number: ticket };
+    }
+    return null;
+  }
+
+  const ranked = rankEntries(bundle, hmacs);
+  for (let index = startRank; index < ranked.length; index++) {
+    if (usedParticipants.has(ranked[index].participant)) continue;
+    return { rank: index + 1, entry_index: ranked[index].index, hmac_output: ranked[index].hmac };
+  }
+  return null;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const beaconFlag = args.indexOf('--beacon-file');
+  const beaconPath = beaconFlag >= 0 ? args[beaconFlag + 1] : null;
+  const bundlePath = args.find((arg, index) => !arg.startsWith('--') && (beaconFlag < 0 || index !== beaconFlag + 1));
+
+  if (!bundlePath) {
+    console.error('Usage: node scripts/verify-draw.js <proof-bundle.json> [--beacon-file <beacon.json>]');
+    process.exit(2);
+  }
+
+  let bundle;
+  try {
+    bundle = JSON.parse(readFileSync(bundlePath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read proof bundle: ${error.message}`);
+    process.exit(2);
+  }
+
+  if (bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.entries) || !bundle.entries.length) {
+    console.error(`❌ Not a ${BUNDLE_FORMAT} bundle (or it has no entries)`);
+    process.exit(2);
+  }
+
+  console.log('🔍 Entry Point Draw Verifier\n');
+  console.log(`Giveaway:  ${bundle.giveaway_id}`);
+  console.log(`Method:    ${bundle.selection_method}`);
+  console.log(`Entries:   ${bundle.entries.length}`);
+
+  // Excluded entries were never on the ticket line, so they do not affect replay
+  const excluded = bundle.excluded_entries || [];
+  if (excluded.length > 0) {
+    const byReason = excluded.reduce((counts, { reason }) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {});
+    console.log(`Excluded:  ${excluded.length} ineligible (${Object.entries(byReason).map(([reason, count]) => `${reason}: ${count}`).join(', ')})`);
+  }
+  console.log('');
+
+  let failures = 0;
+  const report = (label, ok, calculated, provided) => {
+    if (ok) {
+      console.log(`✅ ${label}`);
+    } else {
+      failures++;
+      console.log(`❌ ${label}\n   calculated: ${calculated}\n   provided:   ${provided}`);
+    }
+  };
+
+  report('Seed commitment', sha256(bundle.seed) === bundle.seed_hash, sha256(bundle.seed), bundle.seed_hash);
+
+  // Every HMAC below is keyed by the draw seed, not the raw server seed
+  let drawSeed = bundle.seed;
+  if (bundle.beacon) {
+    console.log(`ℹ️  Beacon: ${bundle.beacon.source} round ${bundle.beacon.round}`);
+
+    if (beaconPath) {
+      let beaconFile;
+      try {
+        beaconFile = JSON.parse(readFileSync(beaconPath, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Could not read beacon file: ${error.message}`);
+        process.exit(2);
+      }
+      const trusted = beaconFile.rounds?.[String(bundle.beacon.round)];
+      report('Beacon value', trusted === bundle.beacon.value, trusted, bundle.beacon.value);
+    } else {
+      console.log(`   Check value ${bundle.beacon.value} against the beacon's public record`);
+    }
+
+    drawSeed = sha256(`${bundle.seed}:${bundle.beacon.round}:${bundle.beacon.value}`);
+  }
+
+  let expectedWinners;
+  let hmacs = [];
+  if (bundle.selection_method === 'HMAC_SHA256_TICKET') {
+    expectedWinners = selectTicketWeighted(bundle, drawSeed, report);
+  } else {
+    hmacs = bundle.entries.map(entry => hmacSha256(entry.input, drawSeed));
+    const mismatched = bundle.entries.filter((entry, index) => entry.hmac_output && entry.hmac_output !== hmacs[index]);
+    report(
+      `Entry HMAC values (${bundle.entries.length})`,
+      mismatched.length === 0,
+      `${mismatched.length} mismatched`,
+      mismatched.map(entry => entry.input).join(', ')
+    );
+
+    if (bundle.selection_method === 'HMAC_SHA256_MAX') {
+      expectedWinners = selectSingle(bundle, hmacs);
+    } else if (bundle.selection_method === 'HMAC_SHA256_RANKED') {
+      expectedWinners = selectRanked(bundle, hmacs);
+    } else {
+      console.error(`❌ Unknown selection method: ${bundle.selection_method}`);
+      process.exit(2);
+    }
+  }
+
+  const published = bundle.winners || [];
+  report('Winner count', expectedWinners.length === published.length, expectedWinners.length, published.length);
+
+  expectedWinners.forEach((winner, index) => {
+    const claim = published[index] || {};
+    const ok =
+      winner.entry_index === claim.entry_index &&
+      winner.hmac_output === claim.hmac_output &&
+      (winner.ticket_number === undefined || winner.ticket_number === claim.ticket_number);
+    const describe = (w) => `entry #${w.entry_index}${w.ticket_number !== undefined ? ` ticket #${w.ticket_number}` : ''}`;
+    report(`Winner ${index + 1}${winner.tier_name ? ` (${winner.tier_name})` : ''}`, ok, describe(winner), describe(claim));
+  });
+
+  const alternates = bundle.alternates || [];
+  if (alternates.length > 0 && bundle.selection_method === 'HMAC_SHA256_MAX') {
+    report('Alternates', false, 'single-winner draws have no alternate ordering', `${alternates.length} alternate(s)`);
+  } else {
+    alternates.forEach((alternate, index) => {
+      const expected = nextAlternate(bundle, drawSeed, hmacs, [...expectedWinners, ...alternates.slice(0, index)]);
+      const describe = (a) => a ? `entry #${a.entry_index} (rank ${a.rank})` : 'none remaining';
+      const ok = !!expected &&
+        expected.entry_index === alternate.entry_index &&
+        expected.rank === alternate.rank &&
+        expected.hmac_output === alternate.hmac_output;
+      report(`Alternate ${index + 1} for position ${alternate.position} (${alternate.reason})`, ok, describe(expected), describe(alternate));
+    });
+  }
+
+  if (failures > 0) {
+    console.log(`\n❌ Verification FAILED: ${failures} mismatch(es)`);
+    process.exit(1);
+  }
+
+  console.log('\n🎉 Draw verified: the published winners follow from the committed seed');
+}
+
+main();
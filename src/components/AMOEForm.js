@@ -20,8 +20,11 @@
  * - Proper error handling and validation
  * 
  * COMPLIANCE NOTES:
- * - Stores entries in same table as paid entries
- * - Entry marked with entry_type: 'amoe'
+ * - Submitted through the submit-amoe-entry edge function, which re-checks
+ *   eligibility and the daily/IP limits server-side and writes amoe_entries
+ * - Each free entry adds one ticket to the participant's entry (entry_type: 'amoe'),
+ *   the same weight as one paid ticket
+ * - Mail-in participants get a unique code to write on their postcard
  * - No Stripe fees charged to platform
  * - Meets FTC sweepstakes guidelines
  */
@@ -42,13 +45,16 @@ import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import OfficialRules from './OfficialRules';
 import captchaService from '../services/captchaService';
+import { entryService } from '../services/api';
+import eligibilityService from '../services/eligibilityService';
 import { 
   validateEligibility, 
   getAllowedUSStates, 
   getEligibilityMessage,
   getRestrictedRegionsMessage,
   isCountryAllowed,
-  isStateAllowed 
+  isStateAllowed,
+  ELIGIBILITY_REASONS
 } from '../config/geographicCompliance';
 
 // Simple Math CAPTCHA Component
@@ -206,6 +212,7 @@ export default function AMOEForm({
     zipCode: '',
     country: 'United States',
     phone: user?.phone || '',
+    dateOfBirth: '',
   });
   
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -218,6 +225,8 @@ export default function AMOEForm({
   const [captchaVerified, setCaptchaVerified] = useState(false);
   const [captchaToken, setCaptchaToken] = useState(null);
   const [mathAnswer, setMathAnswer] = useState('');
+  const [mailInCode, setMailInCode] = useState(null);
+  const [requestingCode, setRequestingCode] = useState(false);
 
   const validateForm = () => {
     const newErrors = {};
@@ -262,6 +271,17 @@ export default function AMOEForm({
     if (formData.country === 'United States' && !isStateAllowed(formData.state)) {
       newErrors.state = 'Sweepstakes not available in your state at this time (NY, FL, RI excluded)';
     }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(formData.dateOfBirth) || isNaN(new Date(formData.dateOfBirth).getTime())) {
+      newErrors.dateOfBirth = 'Enter your date of birth as YYYY-MM-DD';
+    } else if (!newErrors.country && !newErrors.state) {
+      // This giveaway's own state and age rules (re-checked server-side)
+      const eligibility = eligibilityService.evaluate(eligibilityService.getGiveawayRules(giveaway), formData);
+      if (!eligibility.eligible) {
+        const field = eligibility.reason === ELIGIBILITY_REASONS.UNDER_MINIMUM_AGE ? 'dateOfBirth' : 'state';
+        newErrors[field] = eligibility.message;
+      }
+    }
     
     if (!agreedToRules) {
       newErrors.rules = 'You must agree to the official rules';
@@ -271,30 +291,6 @@ export default function AMOEForm({
     return Object.keys(newErrors).length === 0;
   };
 
-  const checkDailyLimit = async () => {
-    // In real implementation, check if user has already entered today
-    // This would query your database for entries from this user for this giveaway today
-    try {
-      // Mock implementation - replace with actual API call
-      const today = new Date().toDateString();
-      const hasEnteredToday = false; // Replace with actual check
-      
-      if (hasEnteredToday) {
-        Alert.alert(
-          'Daily Limit Reached',
-          'You have already submitted your free entry for today. You can submit another free entry tomorrow.',
-          [{ text: 'OK' }]
-        );
-        return false;
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error checking daily limit:', error);
-      return false;
-    }
-  };
-
   const submitAMOEEntry = async () => {
     if (!validateForm()) {
       return;
@@ -326,43 +322,31 @@ export default function AMOEForm({
         return;
       }
 
-      // Check daily limit first
-      const canEnter = await checkDailyLimit();
-      if (!canEnter) {
-        setIsSubmitting(false);
+      // Eligibility and the daily limit are enforced server-side
+      const { error } = await entryService.createAMOEEntry(giveaway.id, {
+        firstName: formData.firstName,
+        lastName: formData.lastName,
+        email: formData.email,
+        address: formData.address,
+        city: formData.city,
+        state: formData.state,
+        zipCode: formData.zipCode,
+        country: formData.country,
+        phone: formData.phone,
+        dateOfBirth: formData.dateOfBirth
+      });
+
+      if (error) {
+        Alert.alert(
+          error.reason === 'daily_limit_reached' ? 'Daily Limit Reached' : 'Entry Not Accepted',
+          error.reason === 'daily_limit_reached'
+            ? 'You have already submitted your free entry for today. You can submit another free entry tomorrow.'
+            : error.message,
+          [{ text: 'OK' }]
+        );
         return;
       }
       
-      // Create AMOE entry
-      const entryData = {
-        giveaway_id: giveaway.id,
-        user_id: user?.id,
-        entry_type: 'amoe', // Alternative Method of Entry
-        entry_count: 1,
-        total_cost: 0, // Free entry
-        participant_data: {
-          firstName: formData.firstName,
-          lastName: formData.lastName,
-          email: formData.email,
-          address: formData.address,
-          city: formData.city,
-          state: formData.state,
-          zipCode: formData.zipCode,
-          country: formData.country,
-          phone: formData.phone,
-          entryDate: new Date().toISOString(),
-          entryMethod: 'amoe_daily_form'
-        },
-        status: 'active',
-        payment_status: 'not_required'
-      };
-      
-      // In real implementation, call your API to create the entry
-      // const response = await entryService.createAMOEEntry(entryData);
-      
-      // Mock success for now
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
       Alert.alert(
         'Entry Submitted Successfully!',
         'Your free entry has been submitted. Good luck! Remember, you can submit one free entry per day.',
@@ -389,6 +373,18 @@ export default function AMOEForm({
     }
   };
 
+  const requestMailInCode = async () => {
+    setRequestingCode(true);
+    const { data, error } = await entryService.requestMailInCode(giveaway.id);
+    setRequestingCode(false);
+
+    if (error) {
+      Alert.alert('Mail-In Code', error.message);
+      return;
+    }
+    setMailInCode(data.code);
+  };
+
   const updateField = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -515,6 +511,8 @@ export default function AMOEForm({
             </View>
             
             {renderInput('phone', 'Phone Number', '(555) 123-4567', { keyboardType: 'phone-pad' })}
+
+            {renderInput('dateOfBirth', 'Date of Birth', 'YYYY-MM-DD', { required: true, keyboardType: 'numbers-and-punctuation', maxLength: 10 })}
           </View>
 
           {/* CAPTCHA Section */}
@@ -577,6 +575,32 @@ export default function AMOEForm({
             {!isSubmitting && <Ionicons name="arrow-forward" size={20} color="white" />}
           </TouchableOpacity>
 
+          {/* Mail-In Option */}
+          <View style={[styles.formSection, { backgroundColor: theme.surface }]}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Prefer to Enter by Mail?
+            </Text>
+            <Text style={[styles.sectionSubtitle, { color: theme.textSecondary }]}>
+              Write this code on your hand-written postcard with the details listed in the Official Rules. Each postcard counts as one free entry for its postmark date.
+            </Text>
+            {mailInCode ? (
+              <Text selectable style={[styles.mailInCode, { color: theme.text, borderColor: theme.border }]}>
+                {mailInCode}
+              </Text>
+            ) : (
+              <TouchableOpacity
+                style={[styles.mailInButton, { borderColor: theme.primary }, requestingCode && { opacity: 0.5 }]}
+                onPress={requestMailInCode}
+                disabled={requestingCode}
+              >
+                <Ionicons name="mail-outline" size={18} color={theme.primary} />
+                <Text style={[styles.mailInButtonText, { color: theme.primary }]}>
+                  {requestingCode ? 'Getting Code...' : 'Get My Mail-In Code'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
           {/* Footer */}
           <View style={styles.footer}>
             <Text style={[styles.footerText, { color: theme.textSecondary }]}>
@@ -592,8 +616,7 @@ export default function AMOEForm({
         onClose={() => setShowOfficialRules(false)}
         giveaway={giveaway}
         sponsor={{
-          name: giveaway?.creator?.name || giveaway?.sponsor || "Entry Point",
-          address: "123 Main Street, Anytown, State 12345" // This should come from giveaway data
+          name: giveaway?.creator?.name || giveaway?.sponsor || "Entry Point"
         }}
       />
     </Modal>
@@ -604,6 +627,31 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
+  mailInButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  mailInButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  mailInCode: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: 2,
+    textAlign: 'center',
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
   header: {
     flexDirection: 'row',
     alignItems: 'center',
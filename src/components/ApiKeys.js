@@ -0,0 +1,309 @@
+/**
+ * ApiKeys.js - Creator API Key Management
+ *
+ * PURPOSE:
+ * Dashboard section where creators with API access issue and revoke keys
+ * for the creator REST API (creatorApiKeyService).
+ *
+ * FEATURES:
+ * - Create a named key with the scopes it needs; the key is shown once and
+ *   can be copied
+ * - Each key shows its prefix, scopes, when it was last used and how often
+ * - Revoke a key, e.g. after it leaks; revoked keys stay listed greyed out
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Clipboard,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useToast } from '../context/ToastContext';
+import creatorApiKeyService, { API_SCOPES } from '../services/creatorApiKeyService';
+
+const DEFAULT_SCOPES = ['giveaways:read', 'entries:read', 'fairness:read'];
+
+const formatLastUsed = (key) => {
+  if (!key.last_used_at) return 'Never used';
+  return `Last used ${new Date(key.last_used_at).toLocaleString()} · ${key.request_count} ${key.request_count === 1 ? 'request' : 'requests'}`;
+};
+
+export default function ApiKeys({ creatorId }) {
+  const { theme } = useTheme();
+  const { showSuccess, showError } = useToast();
+
+  const [keys, setKeys] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(DEFAULT_SCOPES);
+  const [saving, setSaving] = useState(false);
+
+  const loadKeys = async () => {
+    const { data, error } = await creatorApiKeyService.getKeys(creatorId);
+    setKeys(error ? [] : data);
+  };
+
+  useEffect(() => {
+    if (creatorId) {
+      loadKeys();
+    }
+  }, [creatorId]);
+
+  const toggleScope = (scope) => {
+    setScopes(current =>
+      current.includes(scope) ? current.filter(s => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleCreate = async () => {
+    if (!name.trim()) {
+      showError('Give the key a name');
+      return;
+    }
+    if (scopes.length === 0) {
+      showError('Pick at least one scope');
+      return;
+    }
+
+    setSaving(true);
+    const { data, error } = await creatorApiKeyService.createKey({ name, scopes });
+    setSaving(false);
+
+    if (error) {
+      showError(error.message || 'Could not create the key');
+      return;
+    }
+
+    setAdding(false);
+    setName('');
+    setScopes(DEFAULT_SCOPES);
+    Alert.alert(
+      'API key created',
+      `${data.secret}\n\nSend it as "Authorization: Bearer <key>". It won't be shown again.`,
+      [
+        { text: 'Copy', onPress: () => Clipboard.setString(data.secret) },
+        { text: 'Done' },
+      ]
+    );
+    loadKeys();
+  };
+
+  const handleRevoke = (key) => {
+    Alert.alert(
+      'Revoke key?',
+      `Anything using "${key.name}" (${key.key_prefix}…) will stop working immediately.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Revoke',
+          style: 'destructive',
+          onPress: async () => {
+            const { error } = await creatorApiKeyService.revokeKey(key.id);
+            if (error) {
+              showError(error.message || 'Could not revoke the key');
+              return;
+            }
+            showSuccess('Key revoked');
+            loadKeys();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderKey = (key) => {
+    const expired = key.expires_at && new Date(key.expires_at) <= new Date();
+    const inactive = !!key.revoked_at || expired;
+
+    return (
+      <View key={key.id} style={[styles.keyRow, { borderTopColor: theme.border, opacity: inactive ? 0.5 : 1 }]}>
+        <View style={styles.keyInfo}>
+          <Text style={[styles.keyName, { color: theme.text }]} numberOfLines={1}>
+            {key.name} <Text style={[styles.keyPrefix, { color: theme.textTertiary }]}>{key.key_prefix}…</Text>
+          </Text>
+          <Text style={[styles.keyMeta, { color: theme.textTertiary }]} numberOfLines={1}>
+            {key.scopes.join(', ')}
+          </Text>
+          <Text style={[styles.keyMeta, { color: theme.textTertiary }]} numberOfLines={1}>
+            {key.revoked_at
+              ? `Revoked ${new Date(key.revoked_at).toLocaleDateString()}`
+              : expired
+                ? `Expired ${new Date(key.expires_at).toLocaleDateString()}`
+                : formatLastUsed(key)}
+          </Text>
+        </View>
+        {!inactive && (
+          <TouchableOpacity style={styles.revokeButton} onPress={() => handleRevoke(key)}>
+            <Text style={styles.revokeText}>Revoke</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.surface }]}>
+      {keys === null ? (
+        <ActivityIndicator color={theme.primary} />
+      ) : (
+        <>
+          {keys.length === 0 && !adding && (
+            <Text style={[styles.emptyText, { color: theme.textTertiary }]}>
+              Read your giveaways, entries and fairness proofs, and create drafts, from your own tools.
+            </Text>
+          )}
+
+          {keys.map(renderKey)}
+
+          {adding ? (
+            <View style={styles.form}>
+              <TextInput
+                style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+                placeholder="Key name, e.g. Analytics sync"
+                placeholderTextColor={theme.textTertiary}
+                value={name}
+                onChangeText={setName}
+                maxLength={100}
+              />
+              <View style={styles.scopeList}>
+                {API_SCOPES.map(({ scope, label }) => {
+                  const selected = scopes.includes(scope);
+                  return (
+                    <TouchableOpacity
+                      key={scope}
+                      style={[
+                        styles.scopeChip,
+                        { borderColor: selected ? theme.primary : theme.border, backgroundColor: selected ? theme.primary : 'transparent' },
+                      ]}
+                      onPress={() => toggleScope(scope)}
+                    >
+                      <Text style={[styles.scopeChipText, { color: selected ? 'white' : theme.textSecondary }]}>{label}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <View style={styles.formActions}>
+                <TouchableOpacity style={[styles.formButton, { borderColor: theme.border }]} onPress={() => setAdding(false)}>
+                  <Text style={[styles.formButtonText, { color: theme.textSecondary }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.formButton, { borderColor: theme.primary, backgroundColor: theme.primary }]}
+                  onPress={handleCreate}
+                  disabled={saving}
+                >
+                  {saving
+                    ? <ActivityIndicator color="white" size="small" />
+                    : <Text style={[styles.formButtonText, { color: 'white' }]}>Create Key</Text>}
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.addButton} onPress={() => setAdding(true)}>
+              <Ionicons name="key-outline" size={20} color={theme.primary} />
+              <Text style={[styles.addText, { color: theme.primary }]}>Create API Key</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 16,
+    padding: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  keyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    paddingVertical: 10,
+  },
+  keyInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  keyName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  keyPrefix: {
+    fontSize: 13,
+    fontWeight: '400',
+  },
+  keyMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  revokeButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+  },
+  revokeText: {
+    color: '#F44336',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  form: {
+    marginTop: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+  },
+  scopeList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  scopeChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  scopeChipText: {
+    fontSize: 13,
+  },
+  formActions: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  formButton: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  formButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 10,
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
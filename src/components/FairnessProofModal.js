@@ -11,6 +11,7 @@
  * - Step-by-step verification guide
  * - Independent verification instructions
  * - Shareable proof link
+ * - Proof bundle export for offline verification (scripts/verify-draw.js)
  */
 
 import React, { useState, useEffect } from 'react';
@@ -23,11 +24,12 @@ import {
   TouchableOpacity,
   Alert,
   Clipboard,
+  Share,
   ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
-import fairnessService from '../services/fairnessService';
+import fairnessService, { SELECTION_METHODS } from '../services/fairnessService';
 
 export default function FairnessProofModal({ visible, onClose, giveawayId }) {
   const { theme } = useTheme();
@@ -71,6 +73,19 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
     Alert.alert('Copied', `${label} copied to clipboard`);
   };
 
+  const downloadProofBundle = async () => {
+    try {
+      const bundle = fairnessService.buildProofBundle(proof);
+      await Share.share({
+        title: `fairness-proof-${giveawayId}.json`,
+        message: JSON.stringify(bundle, null, 2)
+      });
+    } catch (error) {
+      console.error('Failed to export proof bundle:', error);
+      Alert.alert('Error', 'Failed to export proof bundle');
+    }
+  };
+
   const formatHash = (hash) => {
     if (!hash) return '';
     return `${hash.substring(0, 8)}...${hash.substring(hash.length - 8)}`;
@@ -101,20 +116,36 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
     </View>
   );
 
+  const isRankedDraw = proof?.selection_method === SELECTION_METHODS.RANKED;
+  const isTicketDraw = proof?.selection_method === SELECTION_METHODS.TICKET_WEIGHTED;
+  const grandPrize = proof?.ranked_winners?.[0];
+  const drawSeedLabel = proof?.beacon_round ? 'draw_seed' : `"${proof?.seed_value}"`;
+
   const verificationSteps = [
     {
       title: "Verify Seed Commitment",
       description: "Check that the revealed seed matches the pre-published hash",
       code: proof ? `SHA256("${proof.seed_value}") = ${proof.seed_hash}` : ''
     },
-    {
+    ...(proof?.beacon_round ? [{
+      title: "Mix In Public Beacon",
+      description: `Look up ${proof.beacon_source} round ${proof.beacon_round} (committed before the giveaway ended) and derive the draw seed`,
+      code: `SHA256("${proof.seed_value}:${proof.beacon_round}:${proof.beacon_value}")`
+    }] : []),
+    isTicketDraw ? {
+      title: "Recreate Winning Ticket",
+      description: "Hash the entries digest and draw round with the revealed seed, then map the result onto the ticket line",
+      code: proof ? `HMAC_SHA256("${proof.entries_digest}:${(grandPrize?.rank || 1) - 1}", ${drawSeedLabel}) mod ${proof.total_tickets} + 1 = #${proof.winning_ticket}` : ''
+    } : {
       title: "Recreate Winner Calculation",
       description: "Use the revealed seed and winner's payment ID to recreate the HMAC",
-      code: proof ? `HMAC_SHA256("${proof.winner_input}", "${proof.seed_value}") = ${proof.winner_hash}` : ''
+      code: proof ? `HMAC_SHA256("${proof.winner_input}", ${drawSeedLabel}) = ${proof.winner_hash}` : ''
     },
     {
       title: "Verify Selection Method",
-      description: "Confirm the winner had the highest HMAC value among all entries",
+      description: isRankedDraw
+        ? `Sort every entry by HMAC value (highest first) and fill prize slots in order, skipping anyone who already holds ${proof?.max_wins_per_user || 1} slot(s)`
+        : "Confirm the winner had the highest HMAC value among all entries",
       code: proof ? `Selection: ${proof.selection_method}` : ''
     },
     {
@@ -196,8 +227,65 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
                 {proof?.total_entries?.toLocaleString() || '0'}
               </Text>
             </View>
+            {isTicketDraw && (
+              <>
+                <View style={styles.infoRow}>
+                  <Text style={[styles.infoLabel, { color: theme.textSecondary }]}>Winning Ticket:</Text>
+                  <Text style={[styles.infoValue, { color: theme.text }]}>
+                    #{proof.winning_ticket?.toLocaleString()} of {proof.total_tickets?.toLocaleString()}
+                  </Text>
+                </View>
+                <View style={styles.infoRow}>
+                  <Text style={[styles.infoLabel, { color: theme.textSecondary }]}>Winner's Tickets:</Text>
+                  <Text style={[styles.infoValue, { color: theme.text }]}>
+                    #{grandPrize?.range_start?.toLocaleString()} – #{grandPrize?.range_end?.toLocaleString()}
+                  </Text>
+                </View>
+              </>
+            )}
           </View>
 
+          {/* Ranked Winners */}
+          {(isRankedDraw || isTicketDraw) && proof?.ranked_winners?.length > 1 && (
+            <View style={[styles.infoCard, { backgroundColor: theme.surface }]}>
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Winners ({proof.ranked_winners.length})
+              </Text>
+              {proof.ranked_winners.map((winner) => (
+                <View key={winner.position} style={styles.infoRow}>
+                  <Text style={[styles.infoLabel, { color: theme.textSecondary }]}>
+                    #{winner.position} {winner.tier_name}
+                  </Text>
+                  <Text style={[styles.infoValue, { color: theme.text }]}>
+                    {winner.ticket_number
+                      ? `Ticket #${winner.ticket_number} (${winner.range_start}–${winner.range_end})`
+                      : `Rank ${winner.rank} · ${formatHash(winner.hmac_output)}`}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+
+          {proof?.alternates?.length > 0 && (
+            <View style={[styles.infoCard, { backgroundColor: theme.surface }]}>
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Alternates ({proof.alternates.length})
+              </Text>
+              {proof.alternates.map((alternate, index) => (
+                <View key={`${alternate.position}-${index}`} style={styles.infoRow}>
+                  <Text style={[styles.infoLabel, { color: theme.textSecondary }]}>
+                    #{alternate.position} · {alternate.reason}
+                  </Text>
+                  <Text style={[styles.infoValue, { color: theme.text }]}>
+                    {alternate.ticket_number
+                      ? `Ticket #${alternate.ticket_number} (round ${alternate.rank})`
+                      : `Rank ${alternate.rank} · ${formatHash(alternate.hmac_output)}`}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* Cryptographic Details */}
           <View style={[styles.infoCard, { backgroundColor: theme.surface }]}>
             <Text style={[styles.cardTitle, { color: theme.text }]}>
@@ -234,6 +322,23 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
               </TouchableOpacity>
             </View>
 
+            {proof?.beacon_round && (
+              <View style={styles.hashRow}>
+                <Text style={[styles.hashLabel, { color: theme.textSecondary }]}>
+                  Beacon ({proof.beacon_source} round {proof.beacon_round}):
+                </Text>
+                <TouchableOpacity
+                  style={styles.hashContainer}
+                  onPress={() => copyToClipboard(proof.beacon_value, 'Beacon Value')}
+                >
+                  <Text style={[styles.hashText, { color: theme.primary }]}>
+                    {formatHash(proof.beacon_value)}
+                  </Text>
+                  <Ionicons name="copy" size={16} color={theme.primary} />
+                </TouchableOpacity>
+              </View>
+            )}
+
             <View style={styles.hashRow}>
               <Text style={[styles.hashLabel, { color: theme.textSecondary }]}>
                 HMAC Result:
@@ -269,8 +374,10 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
             </Text>
             <Text style={[styles.description, { color: theme.textSecondary }]}>
               • Algorithm: HMAC-SHA256 with pre-commit seed{'\n'}
-              • Selection: Highest hash value wins{'\n'}
-              • Seed: 256-bit cryptographically secure random{'\n'}
+              • Selection: {isTicketDraw
+                ? 'Hash value mapped to a ticket number; every ticket has equal odds'
+                : isRankedDraw ? 'Ranked by hash value, one slot per prize' : 'Highest hash value wins'}{'\n'}
+              • Seed: 256-bit cryptographically secure random{proof?.beacon_round ? ', mixed with a public beacon round' : ''}{'\n'}
               • Verifiable: All inputs and outputs are public{'\n'}
               • Immutable: Stored permanently on blockchain
             </Text>
@@ -297,6 +404,26 @@ export default function FairnessProofModal({ visible, onClose, giveawayId }) {
               <Text style={styles.shareButtonText}>Copy Link</Text>
             </TouchableOpacity>
           </View>
+
+          {/* Offline Verification */}
+          <View style={[styles.shareCard, { backgroundColor: theme.primary + '15' }]}>
+            <Ionicons name="download" size={24} color={theme.primary} />
+            <View style={styles.shareContent}>
+              <Text style={[styles.shareTitle, { color: theme.text }]}>
+                Download Proof Bundle
+              </Text>
+              <Text style={[styles.shareDescription, { color: theme.textSecondary }]}>
+                Verify offline with: node scripts/verify-draw.js bundle.json
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.shareButton, { backgroundColor: theme.primary }]}
+              onPress={downloadProofBundle}
+              disabled={!proof}
+            >
+              <Text style={styles.shareButtonText}>Export</Text>
+            </TouchableOpacity>
+          </View>
         </ScrollView>
       </View>
     </Modal>
@@ -0,0 +1,503 @@
+/**
+ * WebhookEndpoints.js - Creator Webhook Endpoint Management
+ *
+ * PURPOSE:
+ * Dashboard section where creators with API access manage the endpoints that
+ * receive their giveaway events (creatorWebhookService).
+ *
+ * FEATURES:
+ * - Add an endpoint with the events it should receive; the signing secret
+ *   is shown once and can be copied
+ * - Enable/disable, send a test event, rotate the secret, delete
+ * - Recent deliveries per endpoint with the last response, and replay for
+ *   any that failed or need sending again
+ * - Automatically disabled endpoints show why, and enabling them resends
+ *   what they missed
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Clipboard,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../context/ThemeContext';
+import { useToast } from '../context/ToastContext';
+import creatorWebhookService, { CREATOR_WEBHOOK_EVENTS } from '../services/creatorWebhookService';
+
+const DELIVERY_STATUS_COLORS = {
+  succeeded: '#4CAF50',
+  pending: '#2196F3',
+  delivering: '#2196F3',
+  retrying: '#FF9800',
+  failed: '#F44336',
+};
+
+const showSecret = (title, secret) => {
+  Alert.alert(
+    title,
+    `${secret}\n\nVerify the webhook-signature header of every request with this secret. It won't be shown again.`,
+    [
+      { text: 'Copy', onPress: () => Clipboard.setString(secret) },
+      { text: 'Done' },
+    ]
+  );
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+export default function WebhookEndpoints({ creatorId }) {
+  const { theme } = useTheme();
+  const { showSuccess, showError } = useToast();
+
+  const [endpoints, setEndpoints] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [newUrl, setNewUrl] = useState('');
+  const [newEvents, setNewEvents] = useState(CREATOR_WEBHOOK_EVENTS.map(e => e.type));
+  const [saving, setSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [deliveries, setDeliveries] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  const loadEndpoints = async () => {
+    const { data, error } = await creatorWebhookService.getEndpoints(creatorId);
+    setEndpoints(error ? [] : data);
+  };
+
+  const loadDeliveries = async (endpointId) => {
+    const { data } = await creatorWebhookService.getDeliveries(endpointId, { limit: 20 });
+    setDeliveries(current => ({ ...current, [endpointId]: data || [] }));
+  };
+
+  useEffect(() => {
+    if (creatorId) {
+      loadEndpoints();
+    }
+  }, [creatorId]);
+
+  const toggleEvent = (type) => {
+    setNewEvents(current =>
+      current.includes(type) ? current.filter(t => t !== type) : [...current, type]
+    );
+  };
+
+  const handleAdd = async () => {
+    if (!/^https:\/\/\S+$/.test(newUrl.trim())) {
+      showError('Enter an https:// URL');
+      return;
+    }
+    if (newEvents.length === 0) {
+      showError('Pick at least one event');
+      return;
+    }
+
+    setSaving(true);
+    const { data, error } = await creatorWebhookService.createEndpoint({ url: newUrl, eventTypes: newEvents });
+    setSaving(false);
+
+    if (error) {
+      showError(error.message || 'Could not add the endpoint');
+      return;
+    }
+
+    setAdding(false);
+    setNewUrl('');
+    setNewEvents(CREATOR_WEBHOOK_EVENTS.map(e => e.type));
+    showSecret('Endpoint added', data.secret);
+    loadEndpoints();
+  };
+
+  const withBusy = async (endpointId, action) => {
+    setBusyId(endpointId);
+    try {
+      await action();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleEnabled = (endpoint) => withBusy(endpoint.id, async () => {
+    const { error } = await creatorWebhookService.updateEndpoint(endpoint.id, { enabled: !endpoint.enabled });
+    if (error) {
+      showError(error.message || 'Could not update the endpoint');
+      return;
+    }
+    showSuccess(endpoint.enabled ? 'Endpoint disabled' : 'Endpoint enabled');
+    loadEndpoints();
+  });
+
+  const handleTest = (endpoint) => withBusy(endpoint.id, async () => {
+    const { data, error } = await creatorWebhookService.sendTestEvent(endpoint.id);
+    if (error) {
+      showError(error.message || 'Could not send the test event');
+    } else if (data.status === 'succeeded') {
+      showSuccess(`Test event delivered (HTTP ${data.response_status})`);
+    } else {
+      showError(`Test event failed: ${data.error}`);
+    }
+    loadEndpoints();
+    if (expandedId === endpoint.id) loadDeliveries(endpoint.id);
+  });
+
+  const handleRotate = (endpoint) => {
+    Alert.alert(
+      'Rotate signing secret?',
+      'Requests will be signed with both the new and the current secret for 24 hours, then only the new one.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Rotate',
+          onPress: () => withBusy(endpoint.id, async () => {
+            const { data, error } = await creatorWebhookService.rotateSecret(endpoint.id);
+            if (error) {
+              showError(error.message || 'Could not rotate the secret');
+              return;
+            }
+            showSecret('New signing secret', data.secret);
+            loadEndpoints();
+          }),
+        },
+      ]
+    );
+  };
+
+  const handleDelete = (endpoint) => {
+    Alert.alert(
+      'Delete endpoint?',
+      `${endpoint.url} will stop receiving events and its delivery log will be removed.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => withBusy(endpoint.id, async () => {
+            const { error } = await creatorWebhookService.deleteEndpoint(endpoint.id);
+            if (error) {
+              showError(error.message || 'Could not delete the endpoint');
+              return;
+            }
+            loadEndpoints();
+          }),
+        },
+      ]
+    );
+  };
+
+  const handleExpand = (endpointId) => {
+    const next = expandedId === endpointId ? null : endpointId;
+    setExpandedId(next);
+    if (next) loadDeliveries(next);
+  };
+
+  const handleReplay = (endpointId, delivery) => withBusy(endpointId, async () => {
+    const { data, error } = await creatorWebhookService.replayDelivery(delivery.id);
+    if (error) {
+      showError(error.message || 'Could not replay the delivery');
+    } else if (data.status === 'succeeded') {
+      showSuccess('Delivery replayed');
+    } else {
+      showError(`Replay failed: ${data.error}`);
+    }
+    loadDeliveries(endpointId);
+  });
+
+  const renderDeliveries = (endpointId) => {
+    const list = deliveries[endpointId];
+
+    if (!list) {
+      return <ActivityIndicator color={theme.primary} style={styles.deliveriesLoading} />;
+    }
+
+    if (list.length === 0) {
+      return <Text style={[styles.emptyText, { color: theme.textTertiary }]}>No deliveries yet.</Text>;
+    }
+
+    return list.map(delivery => (
+      <View key={delivery.id} style={[styles.deliveryRow, { borderTopColor: theme.border }]}>
+        <View style={styles.deliveryInfo}>
+          <Text style={[styles.deliveryEvent, { color: theme.text }]}>{delivery.event_type}</Text>
+          <Text style={[styles.deliveryMeta, { color: theme.textTertiary }]} numberOfLines={2}>
+            {formatTime(delivery.last_attempt_at || delivery.created_at)}
+            {' · '}{delivery.attempt_count} {delivery.attempt_count === 1 ? 'attempt' : 'attempts'}
+            {delivery.last_error ? ` · ${delivery.last_error}` : ''}
+            {delivery.status === 'retrying' ? ` · next try ${formatTime(delivery.next_attempt_at)}` : ''}
+          </Text>
+        </View>
+        <Text style={[styles.deliveryStatus, { color: DELIVERY_STATUS_COLORS[delivery.status] }]}>
+          {delivery.status}
+        </Text>
+        {delivery.status !== 'delivering' && (
+          <TouchableOpacity
+            style={styles.replayButton}
+            onPress={() => handleReplay(endpointId, delivery)}
+            disabled={busyId === endpointId}
+          >
+            <Ionicons name="refresh" size={18} color={theme.primary} />
+          </TouchableOpacity>
+        )}
+      </View>
+    ));
+  };
+
+  const renderEndpoint = (endpoint) => {
+    const busy = busyId === endpoint.id;
+    const expanded = expandedId === endpoint.id;
+
+    return (
+      <View key={endpoint.id} style={[styles.endpoint, { borderTopColor: theme.border }]}>
+        <TouchableOpacity style={styles.endpointHeader} onPress={() => handleExpand(endpoint.id)}>
+          <View style={styles.endpointInfo}>
+            <Text style={[styles.endpointUrl, { color: theme.text }]} numberOfLines={1}>{endpoint.url}</Text>
+            <Text style={[styles.endpointMeta, { color: theme.textTertiary }]} numberOfLines={1}>
+              {endpoint.event_types.join(', ')}
+            </Text>
+          </View>
+          <View style={[styles.badge, { backgroundColor: endpoint.enabled ? '#4CAF50' : '#F44336' }]}>
+            <Text style={styles.badgeText}>{endpoint.enabled ? 'Active' : 'Disabled'}</Text>
+          </View>
+          <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={18} color={theme.textTertiary} />
+        </TouchableOpacity>
+
+        {!endpoint.enabled && endpoint.disabled_reason && (
+          <Text style={[styles.disabledReason, { color: '#F44336' }]}>{endpoint.disabled_reason}</Text>
+        )}
+
+        {expanded && (
+          <>
+            <View style={styles.actions}>
+              {busy ? (
+                <ActivityIndicator color={theme.primary} />
+              ) : (
+                [
+                  [endpoint.enabled ? 'Disable' : 'Enable', () => handleToggleEnabled(endpoint)],
+                  ['Send test', () => handleTest(endpoint)],
+                  ['Rotate secret', () => handleRotate(endpoint)],
+                  ['Delete', () => handleDelete(endpoint)],
+                ].map(([label, onPress]) => (
+                  <TouchableOpacity key={label} style={[styles.actionButton, { borderColor: theme.border }]} onPress={onPress}>
+                    <Text style={[styles.actionText, { color: label === 'Delete' ? '#F44336' : theme.primary }]}>{label}</Text>
+                  </TouchableOpacity>
+                ))
+              )}
+            </View>
+            {endpoint.previous_secret_expires_at && new Date(endpoint.previous_secret_expires_at) > new Date() && (
+              <Text style={[styles.endpointMeta, { color: theme.textTertiary }]}>
+                Previous secret still signs until {formatTime(endpoint.previous_secret_expires_at)}
+              </Text>
+            )}
+            <Text style={[styles.deliveriesTitle, { color: theme.textSecondary }]}>Recent deliveries</Text>
+            {renderDeliveries(endpoint.id)}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.card, { backgroundColor: theme.surface }]}>
+      {endpoints === null ? (
+        <ActivityIndicator color={theme.primary} />
+      ) : (
+        <>
+          {endpoints.length === 0 && !adding && (
+            <Text style={[styles.emptyText, { color: theme.textTertiary }]}>
+              Get entries, winners, giveaway endings and payouts sent to your own server as signed webhooks.
+            </Text>
+          )}
+
+          {endpoints.map(renderEndpoint)}
+
+          {adding ? (
+            <View style={styles.form}>
+              <TextInput
+                style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+                placeholder="https://example.com/webhooks/entrypoint"
+                placeholderTextColor={theme.textTertiary}
+                value={newUrl}
+                onChangeText={setNewUrl}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+              />
+              <View style={styles.eventList}>
+                {CREATOR_WEBHOOK_EVENTS.map(({ type, label }) => {
+                  const selected = newEvents.includes(type);
+                  return (
+                    <TouchableOpacity
+                      key={type}
+                      style={[
+                        styles.eventChip,
+                        { borderColor: selected ? theme.primary : theme.border, backgroundColor: selected ? theme.primary : 'transparent' },
+                      ]}
+                      onPress={() => toggleEvent(type)}
+                    >
+                      <Text style={[styles.eventChipText, { color: selected ? 'white' : theme.textSecondary }]}>{label}</Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+              <View style={styles.actions}>
+                <TouchableOpacity style={[styles.actionButton, { borderColor: theme.border }]} onPress={() => setAdding(false)}>
+                  <Text style={[styles.actionText, { color: theme.textSecondary }]}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.actionButton, { borderColor: theme.primary, backgroundColor: theme.primary }]}
+                  onPress={handleAdd}
+                  disabled={saving}
+                >
+                  {saving
+                    ? <ActivityIndicator color="white" size="small" />
+                    : <Text style={[styles.actionText, { color: 'white' }]}>Add Endpoint</Text>}
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.addButton} onPress={() => setAdding(true)}>
+              <Ionicons name="add-circle-outline" size={20} color={theme.primary} />
+              <Text style={[styles.addText, { color: theme.primary }]}>Add Endpoint</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    borderRadius: 16,
+    padding: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  endpoint: {
+    borderTopWidth: StyleSheet.hairlineWidth,
+    paddingVertical: 10,
+  },
+  endpointHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  endpointInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  endpointUrl: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  endpointMeta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  badge: {
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 8,
+  },
+  badgeText: {
+    color: 'white',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  disabledReason: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  actionButton: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  deliveriesTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  deliveriesLoading: {
+    marginVertical: 8,
+  },
+  deliveryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    paddingVertical: 8,
+  },
+  deliveryInfo: {
+    flex: 1,
+    marginRight: 8,
+  },
+  deliveryEvent: {
+    fontSize: 14,
+  },
+  deliveryMeta: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  deliveryStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  replayButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  form: {
+    marginTop: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 15,
+  },
+  eventList: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  eventChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  eventChipText: {
+    fontSize: 13,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingTop: 10,
+  },
+  addText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+});
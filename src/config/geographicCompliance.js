@@ -62,6 +62,21 @@ export const GEOGRAPHIC_CONFIG = {
   ]
 };
 
+/**
+ * Eligibility reason codes returned by the eligibility engine
+ * (eligibilityService here, supabase/functions/_shared/eligibility.ts server-side)
+ */
+export const ELIGIBILITY_REASONS = {
+  DECLARATION_REQUIRED: 'declaration_required',
+  DECLARATION_MISMATCH: 'declaration_mismatch',
+  COUNTRY_NOT_ALLOWED: 'country_not_allowed',
+  REGION_BLOCKED: 'region_blocked',
+  STATE_EXCLUDED: 'state_excluded',
+  STATE_EXCLUDED_BY_CREATOR: 'state_excluded_by_creator',
+  STATE_NOT_ALLOWED_BY_CREATOR: 'state_not_allowed_by_creator',
+  UNDER_MINIMUM_AGE: 'under_minimum_age',
+};
+
 // U.S. States and their abbreviations for validation
 export const US_STATES = {
   'AL': 'Alabama',
@@ -16,6 +16,7 @@ import GiveawaysScreen from '../screens/giveaways/GiveawaysScreen';
 import GiveawayDetailScreen from '../screens/giveaways/GiveawayDetailScreen';
 import MyGiveawaysScreen from '../screens/giveaways/MyGiveawaysScreen';
 import MyEntriesScreen from '../screens/giveaways/MyEntriesScreen';
+import PrizeClaimScreen from '../screens/giveaways/PrizeClaimScreen';
 
 // Create tab screens
 import CreatorDashboardScreen from '../screens/create/CreatorDashboardScreen';
@@ -49,6 +50,11 @@ import EmailVerificationScreen from '../screens/auth/EmailVerificationScreen';
 import AdminHubScreen from '../screens/admin/AdminHubScreen';
 import AdminDashboardScreen from '../screens/admin/AdminDashboardScreen';
 import PendingGiveawaysScreen from '../screens/admin/PendingGiveawaysScreen';
+import AMOEMailInScreen from '../screens/admin/AMOEMailInScreen';
+import StripeReconciliationScreen from '../screens/admin/StripeReconciliationScreen';
+import DisputesScreen from '../screens/admin/DisputesScreen';
+import WebhookOperationsScreen from '../screens/admin/WebhookOperationsScreen';
+import TaxReportingScreen from '../screens/admin/TaxReportingScreen';
 import ManageUsersScreen from '../screens/admin/ManageUsersScreen';
 
 // Miscellaneous screens
@@ -282,6 +288,31 @@ export default function AppNavigator() {
               component={PendingGiveawaysScreen}
               options={{ headerShown: false }}
             />
+            <Stack.Screen 
+              name="AMOEMailIn" 
+              component={AMOEMailInScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen 
+              name="StripeReconciliation" 
+              component={StripeReconciliationScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen 
+              name="Disputes" 
+              component={DisputesScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen 
+              name="WebhookOperations" 
+              component={WebhookOperationsScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen 
+              name="TaxReporting" 
+              component={TaxReportingScreen}
+              options={{ headerShown: false }}
+            />
             <Stack.Screen 
               name="ManageUsers" 
               component={ManageUsersScreen}
@@ -297,6 +328,11 @@ export default function AppNavigator() {
               component={MyEntriesScreen}
               options={{ headerShown: false }}
             />
+            <Stack.Screen 
+              name="PrizeClaim" 
+              component={PrizeClaimScreen}
+              options={{ headerShown: false }}
+            />
             <Stack.Screen 
               name="VerificationRequired" 
               component={VerificationRequiredScreen}
@@ -0,0 +1,247 @@
+/**
+ * AMOEMailInScreen.js - Mail-In Entry Redemption
+ *
+ * Admin interface for recording received AMOE postcards:
+ * - Paste one "CODE, YYYY-MM-DD" (postmark date) line per postcard
+ * - Codes are redeemed server-side by the submit-amoe-entry function
+ * - Per-code result (redeemed / rejected with reason)
+ */
+
+import React, { useState, useContext } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ToastContext } from '../../context/ToastContext';
+import adminActionsService from '../../services/adminActionsService';
+import { ELIGIBILITY_REASONS } from '../../config/geographicCompliance';
+
+const REASON_LABELS = {
+  missing_code: 'Missing code',
+  missing_postmark_date: 'Missing or invalid postmark date',
+  unknown_code: 'Unknown code',
+  already_redeemed: 'Already redeemed',
+  already_rejected: 'Already rejected',
+  postmark_outside_promotion_period: 'Postmarked outside the promotion period',
+  giveaway_closed: 'Giveaway already drawn or cancelled',
+  daily_limit_reached: 'Already entered on this date',
+  [ELIGIBILITY_REASONS.DECLARATION_REQUIRED]: 'No state or date of birth on file',
+  [ELIGIBILITY_REASONS.COUNTRY_NOT_ALLOWED]: 'Country not eligible',
+  [ELIGIBILITY_REASONS.REGION_BLOCKED]: 'Region not eligible',
+  [ELIGIBILITY_REASONS.STATE_EXCLUDED]: 'State excluded by platform',
+  [ELIGIBILITY_REASONS.STATE_EXCLUDED_BY_CREATOR]: 'State excluded by creator',
+  [ELIGIBILITY_REASONS.STATE_NOT_ALLOWED_BY_CREATOR]: 'State not in giveaway allow-list',
+  [ELIGIBILITY_REASONS.UNDER_MINIMUM_AGE]: 'Under minimum age on postmark date',
+};
+
+const parseLines = (text) =>
+  text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [code, postmarkDate] = line.split(/[,\s]+/);
+      return { code, postmarkDate };
+    });
+
+export default function AMOEMailInScreen({ navigation }) {
+  const { showToast } = useContext(ToastContext);
+
+  const [input, setInput] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const codes = parseLines(input);
+
+  const handleRedeem = async () => {
+    if (codes.length === 0) {
+      showToast('Enter at least one code', 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    const result = await adminActionsService.redeemMailInCodes(codes, notes);
+    setSubmitting(false);
+
+    if (!result.success) {
+      showToast(result.error || 'Redemption failed', 'error');
+      return;
+    }
+
+    setSummary(result);
+    setInput('');
+    showToast(`${result.redeemed} of ${result.submitted} postcards redeemed`, 'success');
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1a1a1a" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Mail-In Entries</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Received Postcards</Text>
+          <Text style={styles.cardSubtitle}>
+            One postcard per line: code, then postmark date (YYYY-MM-DD).
+          </Text>
+          <TextInput
+            style={[styles.input, styles.codesInput]}
+            value={input}
+            onChangeText={setInput}
+            placeholder={'AMOE-7K3Q-M2XP, 2025-07-21\nAMOE-H9D4-RT6W, 2025-07-22'}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            multiline
+          />
+          <TextInput
+            style={styles.input}
+            value={notes}
+            onChangeText={setNotes}
+            placeholder="Batch notes (optional)"
+          />
+          <TouchableOpacity
+            style={[styles.redeemButton, (submitting || codes.length === 0) && styles.disabledButton]}
+            onPress={handleRedeem}
+            disabled={submitting || codes.length === 0}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.redeemButtonText}>
+                Redeem {codes.length} {codes.length === 1 ? 'Postcard' : 'Postcards'}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {summary && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>
+              Last Batch: {summary.redeemed} redeemed, {summary.rejected} rejected
+            </Text>
+            {summary.results.map((result, index) => (
+              <View key={`${result.code}-${index}`} style={styles.resultRow}>
+                <Ionicons
+                  name={result.status === 'redeemed' ? 'checkmark-circle' : 'close-circle'}
+                  size={18}
+                  color={result.status === 'redeemed' ? '#34C759' : '#FF3B30'}
+                />
+                <Text style={styles.resultCode}>{result.code || '(blank)'}</Text>
+                <Text style={styles.resultReason}>
+                  {result.status === 'redeemed' ? 'Redeemed' : REASON_LABELS[result.reason] || result.reason}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  content: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 6,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    color: '#1a1a1a',
+    marginBottom: 12,
+  },
+  codesInput: {
+    minHeight: 160,
+    textAlignVertical: 'top',
+    fontFamily: 'monospace',
+  },
+  redeemButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  redeemButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  resultRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  resultCode: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginLeft: 8,
+    width: 130,
+  },
+  resultReason: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+  },
+});
@@ -30,6 +30,10 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
+import { formatAmount } from '../../services/currencyService';
+import giveawayLifecycleService from '../../services/giveawayLifecycleService';
+import ledgerService from '../../services/ledgerService';
+import webhookReliabilityService from '../../services/webhookReliabilityService';
 
 const { width } = Dimensions.get('window');
 
@@ -147,8 +151,53 @@ export default function AdminHubScreen({ navigation }) {
   // Load admin data from API
   useEffect(() => {
     loadAdminData();
+    // Run what was queued since the last visit: draws for giveaways the
+    // lifecycle job has closed, deposit releases and verified inbound webhooks
+    webhookReliabilityService.processPendingDeliveries();
+    // and replay Stripe events that failed and are due another attempt
+    webhookReliabilityService.processRetries();
   }, []);
 
+  const runLifecycleJobs = async () => {
+    const job = await giveawayLifecycleService.runScheduledTransitions();
+
+    if (!job.success) {
+      Alert.alert('Lifecycle Job Failed', job.error);
+      return;
+    }
+
+    const { data: draws } = await webhookReliabilityService.processPendingDeliveries('giveaway.ended');
+
+    Alert.alert(
+      'Lifecycle Jobs Complete',
+      `Started: ${job.data.started}\nClosed: ${job.data.ended}\nDraws run: ${draws?.succeeded || 0} of ${draws?.processed || 0}`
+    );
+  };
+
+  const runEscrowLedgerCheck = async () => {
+    const check = await ledgerService.checkEscrowInvariants();
+
+    if (!check.success) {
+      Alert.alert('Ledger Check Failed', check.error);
+      return;
+    }
+
+    if (check.data.length === 0) {
+      Alert.alert('Escrow Ledger Check', 'Every escrow account matches its journal entries.');
+      return;
+    }
+
+    const lines = check.data
+      .slice(0, 5)
+      .map(row => `Giveaway ${row.giveaway_id.slice(0, 8)}: held ${formatAmount(row.held_amount, row.currency)}, ledger ${formatAmount(row.ledger_balance, row.currency)}`)
+      .join('\n');
+
+    Alert.alert(
+      `${check.data.length} Escrow Account(s) Drifting`,
+      check.data.length > 5 ? `${lines}\n…and ${check.data.length - 5} more` : lines
+    );
+  };
+
   const loadAdminData = async () => {
     try {
       setLoading(true);
@@ -406,6 +455,60 @@ export default function AdminHubScreen({ navigation }) {
             <Ionicons name="chevron-forward" size={16} color="#999" />
           </TouchableOpacity>
           
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('AMOEMailIn')}
+          >
+            <Ionicons name="mail-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Mail-In Entries (AMOE)</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('StripeReconciliation')}
+          >
+            <Ionicons name="swap-horizontal-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Stripe Reconciliation</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('Disputes')}
+          >
+            <Ionicons name="shield-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Chargebacks</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('WebhookOperations')}
+          >
+            <Ionicons name="git-network-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Webhook Operations</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={() => navigation.navigate('TaxReporting')}
+          >
+            <Ionicons name="receipt-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Tax Reporting (1099)</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={runLifecycleJobs}
+          >
+            <Ionicons name="timer-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Run Start/Close & Draw Jobs</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+          
           <TouchableOpacity 
             style={styles.actionItem}
             onPress={() => Alert.alert('Compliance Settings', 'Manage AMOE requirements, legal compliance, and platform rules.')}
@@ -634,6 +737,15 @@ export default function AdminHubScreen({ navigation }) {
               <Text style={styles.statusText}>✓ Active</Text>
             </View>
           </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.actionItem}
+            onPress={runEscrowLedgerCheck}
+          >
+            <Ionicons name="git-compare-outline" size={20} color="#666" />
+            <Text style={styles.actionText}>Escrow Ledger Check</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
         </View>
       </View>
     </ScrollView>
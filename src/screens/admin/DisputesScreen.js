@@ -0,0 +1,477 @@
+/**
+ * DisputesScreen.js - Chargeback Disputes
+ *
+ * Admin interface for Stripe chargebacks:
+ * - Open disputes, soonest evidence deadline first
+ * - The evidence packet assembled for each (receipt, entries, IP/device,
+ *   rules version, fairness proof)
+ * - Submit the packet with notes for the card issuer, or accept the dispute
+ * - Recently closed disputes and their outcome
+ */
+
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ToastContext } from '../../context/ToastContext';
+import { supabase } from '../../config/supabase';
+import adminActionsService from '../../services/adminActionsService';
+import { disputeService, DISPUTE_STATUS, DISPUTE_ACTIONS } from '../../services/disputeService';
+import { formatMinor } from '../../services/currencyService';
+
+const STATUS_COLORS = {
+  [DISPUTE_STATUS.OPEN]: '#FF3B30',
+  [DISPUTE_STATUS.UNDER_REVIEW]: '#FF9500',
+  [DISPUTE_STATUS.WON]: '#34C759',
+  [DISPUTE_STATUS.LOST]: '#8E8E93',
+  [DISPUTE_STATUS.CLOSED]: '#8E8E93',
+};
+
+const STATUS_LABELS = {
+  [DISPUTE_STATUS.OPEN]: 'Needs response',
+  [DISPUTE_STATUS.UNDER_REVIEW]: 'Under review',
+  [DISPUTE_STATUS.WON]: 'Won',
+  [DISPUTE_STATUS.LOST]: 'Lost',
+  [DISPUTE_STATUS.CLOSED]: 'Closed',
+};
+
+// Deadline is shown in red inside this window
+const URGENT_HOURS = 72;
+
+const formatReason = (reason) => (reason || 'unknown').replace(/_/g, ' ');
+
+const hoursUntil = (value) => (new Date(value).getTime() - Date.now()) / 3600000;
+
+const formatDeadline = (value) => {
+  if (!value) return 'No deadline';
+  const hours = hoursUntil(value);
+  if (hours <= 0) return 'Deadline passed';
+  if (hours < 48) return `Due in ${Math.floor(hours)}h`;
+  return `Due ${new Date(value).toLocaleDateString()}`;
+};
+
+const packetSummary = (packet) => {
+  if (!packet) return [];
+  const tickets = packet.entries.reduce((sum, entry) => sum + (entry.tickets || 0), 0);
+
+  return [
+    { label: 'Receipt', value: packet.receipt ? 'Attached' : 'Missing' },
+    { label: 'Entries', value: `${packet.entries.length} (${tickets} tickets)` },
+    { label: 'IP / device', value: packet.device.ip_address || 'Not recorded' },
+    { label: 'Rules accepted', value: packet.rules.length ? packet.rules.map(r => `v${r.version}`).join(', ') : 'Not recorded' },
+    {
+      label: 'Fairness',
+      value: !packet.fairness ? 'No seed committed' : packet.fairness.proof ? 'Seed + draw proof' : 'Seed committed',
+    },
+  ];
+};
+
+export default function DisputesScreen({ navigation }) {
+  const { showToast } = useContext(ToastContext);
+
+  const [openDisputes, setOpenDisputes] = useState([]);
+  const [closedDisputes, setClosedDisputes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [notes, setNotes] = useState({});
+  const [workingId, setWorkingId] = useState(null);
+
+  const loadData = useCallback(async () => {
+    const [openResult, closedResult] = await Promise.all([
+      disputeService.getDisputes({ status: [DISPUTE_STATUS.OPEN, DISPUTE_STATUS.UNDER_REVIEW] }),
+      disputeService.getDisputes({ status: [DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST, DISPUTE_STATUS.CLOSED] }),
+    ]);
+
+    if (openResult.success) {
+      setOpenDisputes(openResult.data);
+    } else {
+      showToast(openResult.error || 'Failed to load disputes', 'error');
+    }
+    if (closedResult.success) setClosedDisputes(closedResult.data.slice(0, 20));
+  }, [showToast]);
+
+  useEffect(() => {
+    loadData().finally(() => setLoading(false));
+  }, [loadData]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadData();
+    setRefreshing(false);
+  };
+
+  const runAction = async (dispute, action, successMessage) => {
+    setWorkingId(dispute.id);
+    const adminId = (await supabase.auth.getUser()).data.user?.id;
+    const result = await adminActionsService.handleChargeback(dispute.id, adminId, action, notes[dispute.id] || '');
+    setWorkingId(null);
+
+    if (!result.success) {
+      showToast(result.error || 'Dispute action failed', 'error');
+      return;
+    }
+
+    setNotes(prev => ({ ...prev, [dispute.id]: '' }));
+    showToast(successMessage, 'success');
+    await loadData();
+  };
+
+  const confirmSubmit = (dispute) => {
+    Alert.alert(
+      'Submit Evidence',
+      'Stripe accepts one submission per dispute. Submit the evidence packet now?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Submit', onPress: () => runAction(dispute, DISPUTE_ACTIONS.SUBMIT_EVIDENCE, 'Evidence submitted') },
+      ]
+    );
+  };
+
+  const confirmAccept = (dispute) => {
+    Alert.alert(
+      'Accept Dispute',
+      'The cardholder keeps the payment, the entries are voided and the creator\'s share is clawed back. This cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Accept', style: 'destructive', onPress: () => runAction(dispute, DISPUTE_ACTIONS.ACCEPT, 'Dispute accepted') },
+      ]
+    );
+  };
+
+  const renderOpenDispute = (dispute) => {
+    const working = workingId === dispute.id;
+    const urgent = dispute.evidence_due_by && hoursUntil(dispute.evidence_due_by) < URGENT_HOURS;
+    const canRespond = dispute.status === DISPUTE_STATUS.OPEN && !dispute.evidence_submitted_at;
+
+    return (
+      <View key={dispute.id} style={styles.card}>
+        <View style={styles.disputeHeader}>
+          <Text style={[styles.statusBadge, { color: STATUS_COLORS[dispute.status] || '#999' }]}>
+            {STATUS_LABELS[dispute.status] || dispute.status}
+          </Text>
+          <Text style={[styles.deadline, urgent && canRespond && styles.deadlineUrgent]}>
+            {canRespond ? formatDeadline(dispute.evidence_due_by) : 'Evidence submitted'}
+          </Text>
+        </View>
+
+        <Text style={styles.giveawayTitle}>{dispute.giveaway?.title || 'Giveaway'}</Text>
+        <Text style={styles.detail}>
+          {formatMinor(dispute.amount_minor, dispute.currency)} · {formatReason(dispute.reason)}
+        </Text>
+
+        <View style={styles.packet}>
+          {dispute.evidence_error ? (
+            <Text style={styles.packetError}>Evidence packet failed: {dispute.evidence_error}</Text>
+          ) : dispute.evidence_packet ? (
+            packetSummary(dispute.evidence_packet).map(item => (
+              <View key={item.label} style={styles.packetRow}>
+                <Text style={styles.packetLabel}>{item.label}</Text>
+                <Text style={styles.packetValue}>{item.value}</Text>
+              </View>
+            ))
+          ) : (
+            <Text style={styles.emptyText}>Evidence packet not assembled yet</Text>
+          )}
+        </View>
+
+        {canRespond && (
+          <>
+            <TextInput
+              style={styles.input}
+              value={notes[dispute.id] || ''}
+              onChangeText={text => setNotes(prev => ({ ...prev, [dispute.id]: text }))}
+              placeholder="Notes for the card issuer (optional)"
+              multiline
+            />
+            <View style={styles.buttonRow}>
+              <TouchableOpacity
+                style={[styles.secondaryButton, working && styles.disabledButton]}
+                onPress={() => runAction(dispute, DISPUTE_ACTIONS.BUILD_EVIDENCE, 'Evidence packet rebuilt')}
+                disabled={working}
+              >
+                <Text style={styles.secondaryButtonText}>Rebuild</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, working && styles.disabledButton]}
+                onPress={() => confirmAccept(dispute)}
+                disabled={working}
+              >
+                <Text style={[styles.secondaryButtonText, styles.destructiveText]}>Accept</Text>
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              style={[styles.primaryButton, (working || !dispute.evidence_packet) && styles.disabledButton]}
+              onPress={() => confirmSubmit(dispute)}
+              disabled={working || !dispute.evidence_packet}
+            >
+              {working ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.primaryButtonText}>Submit Evidence</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1a1a1a" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Chargebacks</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          keyboardShouldPersistTaps="handled"
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        >
+          <Text style={styles.sectionTitle}>Open ({openDisputes.length})</Text>
+          <Text style={styles.sectionSubtitle}>
+            Evidence not submitted by an admin is sent automatically shortly before the deadline.
+          </Text>
+
+          {openDisputes.length === 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>No open disputes</Text>
+            </View>
+          ) : (
+            openDisputes.map(renderOpenDispute)
+          )}
+
+          <Text style={styles.sectionTitle}>Recently Closed</Text>
+
+          {closedDisputes.length === 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>None yet</Text>
+            </View>
+          ) : (
+            closedDisputes.map(dispute => (
+              <View key={dispute.id} style={styles.closedRow}>
+                <View style={[styles.statusDot, { backgroundColor: STATUS_COLORS[dispute.status] || '#999' }]} />
+                <Text style={styles.closedTitle} numberOfLines={1}>{dispute.giveaway?.title || 'Giveaway'}</Text>
+                <Text style={styles.closedAmount}>{formatMinor(dispute.amount_minor, dispute.currency)}</Text>
+                <Text style={styles.closedStatus}>{STATUS_LABELS[dispute.status] || dispute.status}</Text>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 6,
+    marginTop: 5,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  disputeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  deadline: {
+    fontSize: 12,
+    color: '#666',
+  },
+  deadlineUrgent: {
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
+  giveawayTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 2,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
+    textTransform: 'capitalize',
+  },
+  packet: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  packetRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 3,
+  },
+  packetLabel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  packetValue: {
+    fontSize: 13,
+    color: '#1a1a1a',
+    fontWeight: '500',
+    flexShrink: 1,
+    textAlign: 'right',
+    marginLeft: 10,
+  },
+  packetError: {
+    fontSize: 13,
+    color: '#FF3B30',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    color: '#1a1a1a',
+    marginBottom: 12,
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  secondaryButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginHorizontal: 4,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  destructiveText: {
+    color: '#FF3B30',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  closedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  closedTitle: {
+    flex: 1,
+    fontSize: 13,
+    color: '#1a1a1a',
+  },
+  closedAmount: {
+    fontSize: 13,
+    color: '#666',
+    marginHorizontal: 10,
+  },
+  closedStatus: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+});
@@ -4,7 +4,7 @@
  * Comprehensive admin interface for managing specific giveaways:
  * - Approve/reject/freeze giveaways
  * - Manual winner selection
- * - Issue refunds
+ * - Cancel with bulk refunds; refund some or all of an entry's tickets
  * - View complete audit trail
  * - Handle disputes and chargebacks
  */
@@ -25,6 +25,9 @@ import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../../config/supabase';
 import { ToastContext } from '../../context/ToastContext';
 import adminActionsService from '../../services/adminActionsService';
+import giveawayLifecycleService, { GIVEAWAY_STATUS } from '../../services/giveawayLifecycleService';
+import refundService from '../../services/refundService';
+import { formatAmount, formatMinor } from '../../services/currencyService';
 
 export default function GiveawayActionsScreen({ route, navigation }) {
   const { giveawayId } = route.params;
@@ -34,6 +37,7 @@ export default function GiveawayActionsScreen({ route, navigation }) {
   const [giveaway, setGiveaway] = useState(null);
   const [entries, setEntries] = useState([]);
   const [auditLog, setAuditLog] = useState([]);
+  const [refundProgress, setRefundProgress] = useState(null);
   const [actionModalVisible, setActionModalVisible] = useState(false);
   const [selectedAction, setSelectedAction] = useState(null);
   const [actionReason, setActionReason] = useState('');
@@ -47,7 +51,7 @@ export default function GiveawayActionsScreen({ route, navigation }) {
     try {
       setLoading(true);
 
-      const [giveawayResult, entriesResult, auditResult] = await Promise.all([
+      const [giveawayResult, entriesResult, auditResult, refundResult] = await Promise.all([
         // Get giveaway details
         supabase
           .from('giveaways')
@@ -78,7 +82,10 @@ export default function GiveawayActionsScreen({ route, navigation }) {
           `)
           .eq('target_id', giveawayId)
           .eq('target_type', 'giveaway')
-          .order('created_at', { ascending: false })
+          .order('created_at', { ascending: false }),
+
+        // Bulk refund progress (cancelled giveaways)
+        refundService.getGiveawayRefundProgress(giveawayId)
       ]);
 
       if (giveawayResult.error) {
@@ -88,6 +95,7 @@ export default function GiveawayActionsScreen({ route, navigation }) {
       setGiveaway(giveawayResult.data);
       setEntries(entriesResult.data || []);
       setAuditLog(auditResult.data || []);
+      setRefundProgress(refundResult.data);
 
     } catch (error) {
       console.error('Failed to load giveaway details:', error);
@@ -157,6 +165,15 @@ export default function GiveawayActionsScreen({ route, navigation }) {
           );
           break;
 
+        case 'cancel':
+          result = await adminActionsService.cancelGiveaway(
+            giveawayId,
+            adminId,
+            actionReason,
+            actionNotes
+          );
+          break;
+
         case 'reselect_winner':
           result = await adminActionsService.selectWinner(
             giveawayId,
@@ -202,7 +219,31 @@ export default function GiveawayActionsScreen({ route, navigation }) {
     }
   };
 
-  const issueRefund = async (entryId) => {
+  const submitRefund = async (entryId, reason, tickets = null) => {
+    try {
+      const adminId = (await supabase.auth.getUser()).data.user?.id;
+      const result = await adminActionsService.issueRefund(
+        entryId,
+        adminId,
+        reason,
+        'Manual refund issued from admin console',
+        { tickets }
+      );
+
+      if (result.success) {
+        showToast('Refund issued successfully', 'success');
+        loadGiveawayDetails();
+      } else {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      showToast(error.message || 'Refund failed', 'error');
+    }
+  };
+
+  const issueRefund = async (entry) => {
+    const heldTickets = entry.ticket_count || entry.entry_count || 1;
+
     Alert.prompt(
       'Issue Refund',
       'Please provide a reason for the refund:',
@@ -213,24 +254,32 @@ export default function GiveawayActionsScreen({ route, navigation }) {
           onPress: async (reason) => {
             if (!reason?.trim()) return;
 
-            try {
-              const adminId = (await supabase.auth.getUser()).data.user?.id;
-              const result = await adminActionsService.issueRefund(
-                entryId,
-                adminId,
-                reason,
-                'Manual refund issued from admin console'
-              );
-
-              if (result.success) {
-                showToast('Refund issued successfully', 'success');
-                loadGiveawayDetails();
-              } else {
-                throw new Error(result.error);
-              }
-            } catch (error) {
-              showToast('Refund failed', 'error');
+            if (heldTickets <= 1) {
+              submitRefund(entry.id, reason);
+              return;
             }
+
+            Alert.prompt(
+              'Tickets to Refund',
+              `How many of the ${heldTickets} tickets? Leave blank to refund all of them.`,
+              [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                  text: 'Refund',
+                  onPress: (count) => {
+                    const tickets = count?.trim() ? parseInt(count, 10) : null;
+                    if (tickets !== null && (!tickets || tickets < 1 || tickets > heldTickets)) {
+                      showToast(`Enter a number from 1 to ${heldTickets}`, 'error');
+                      return;
+                    }
+                    submitRefund(entry.id, reason, tickets === heldTickets ? null : tickets);
+                  }
+                }
+              ],
+              'plain-text',
+              '',
+              'number-pad'
+            );
           }
         }
       ],
@@ -238,6 +287,26 @@ export default function GiveawayActionsScreen({ route, navigation }) {
     );
   };
 
+  const retryFailedRefunds = async () => {
+    try {
+      setLoading(true);
+      const result = await refundService.refundCancelledGiveaway(giveawayId, { retryFailed: true });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      showToast(
+        result.data.failed > 0 ? `${result.data.failed} refunds failed again` : 'Refunds retried',
+        result.data.failed > 0 ? 'error' : 'success'
+      );
+      loadGiveawayDetails();
+    } catch (error) {
+      showToast(error.message || 'Refund retry failed', 'error');
+      setLoading(false);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active': return '#34C759';
@@ -279,6 +348,12 @@ export default function GiveawayActionsScreen({ route, navigation }) {
       );
     }
 
+    if (giveawayLifecycleService.canTransition(giveaway.status, GIVEAWAY_STATUS.CANCELLED, 'admin')) {
+      actions.push(
+        { type: 'cancel', title: 'Cancel & Refund All', icon: 'ban', color: '#FF3B30' }
+      );
+    }
+
     return actions;
   };
 
@@ -316,9 +391,9 @@ export default function GiveawayActionsScreen({ route, navigation }) {
           <InfoItem label="Creator" value={giveaway.creator?.username || 'Unknown'} />
           <InfoItem label="Created" value={new Date(giveaway.created_at).toLocaleDateString()} />
           <InfoItem label="End Date" value={new Date(giveaway.end_date).toLocaleDateString()} />
-          <InfoItem label="Entry Cost" value={`$${giveaway.entry_cost}`} />
+          <InfoItem label="Entry Cost" value={formatAmount(giveaway.entry_cost, giveaway.currency)} />
           <InfoItem label="Total Entries" value={entries.length} />
-          <InfoItem label="Total Raised" value={`$${(giveaway.entry_cost * entries.length).toFixed(2)}`} />
+          <InfoItem label="Total Raised" value={formatAmount(giveaway.entry_cost * entries.length, giveaway.currency)} />
           {giveaway.winner && (
             <InfoItem label="Winner" value={giveaway.winner.username} />
           )}
@@ -354,6 +429,30 @@ export default function GiveawayActionsScreen({ route, navigation }) {
         </View>
       </View>
 
+      {/* Bulk Refunds */}
+      {refundProgress && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Refunds ({refundProgress.status.replace('_', ' ')})</Text>
+          <View style={styles.infoGrid}>
+            <InfoItem label="Refunded" value={`${refundProgress.completed_refunds} of ${refundProgress.total_refunds}`} />
+            <InfoItem label="In Progress" value={refundProgress.open_refunds} />
+            <InfoItem label="Failed" value={refundProgress.failed_refunds} />
+            <InfoItem label="Amount Refunded" value={formatMinor(refundProgress.refunded_amount_minor, refundProgress.currency || giveaway.currency)} />
+          </View>
+          {refundProgress.failed_refunds > 0 && (
+            <TouchableOpacity
+              style={[styles.actionButton, styles.retryRefundsButton, { borderColor: '#FF9500' }]}
+              onPress={retryFailedRefunds}
+            >
+              <Ionicons name="refresh" size={24} color="#FF9500" />
+              <Text style={[styles.actionText, { color: '#FF9500' }]}>
+                Retry Failed Refunds
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {/* Entries List */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Entries ({entries.length})</Text>
@@ -364,17 +463,19 @@ export default function GiveawayActionsScreen({ route, navigation }) {
               <Text style={styles.entryDate}>
                 {new Date(entry.created_at).toLocaleString()}
               </Text>
-              <Text style={styles.entryAmount}>${entry.total_cost}</Text>
+              <Text style={styles.entryAmount}>{formatAmount(entry.total_cost, giveaway.currency)}</Text>
               <Text style={[styles.entryStatus, { 
                 color: entry.payment_status === 'completed' ? '#34C759' : '#FF9500' 
               }]}>
                 {entry.payment_status}
+                {entry.refund_status === 'partial' ? ` (${entry.refunded_ticket_count} tickets refunded)` : ''}
+                {entry.refund_status === 'pending' ? ' (refund pending)' : ''}
               </Text>
             </View>
             {entry.payment_status === 'completed' && (
               <TouchableOpacity
                 style={styles.refundButton}
-                onPress={() => issueRefund(entry.id)}
+                onPress={() => issueRefund(entry)}
               >
                 <Text style={styles.refundText}>Refund</Text>
               </TouchableOpacity>
@@ -606,6 +707,9 @@ const styles = StyleSheet.create({
     marginTop: 2,
     textTransform: 'uppercase',
   },
+  retryRefundsButton: {
+    marginTop: 15,
+  },
   refundButton: {
     backgroundColor: '#FF3B30',
     paddingHorizontal: 12,
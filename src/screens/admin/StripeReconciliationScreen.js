@@ -0,0 +1,375 @@
+/**
+ * StripeReconciliationScreen.js - Stripe Reconciliation Review
+ *
+ * Admin interface for the daily Stripe reconciliation job:
+ * - Recent runs (scheduled nightly, or run on demand for yesterday)
+ * - Open discrepancies between Stripe balance transactions and our records
+ * - Resolve a discrepancy with a required note
+ */
+
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ToastContext } from '../../context/ToastContext';
+import { revenueReconciliationService } from '../../services/revenueReconciliationService';
+import { formatAmount } from '../../services/currencyService';
+
+const TYPE_LABELS = {
+  missing_charge: 'Missing charge',
+  unrecorded_charge: 'Unrecorded charge',
+  amount_mismatch: 'Amount mismatch',
+  orphan_refund: 'Orphan refund',
+  orphan_transfer: 'Orphan transfer',
+  fee_difference: 'Fee difference',
+};
+
+const RUN_STATUS_COLORS = {
+  completed: '#34C759',
+  running: '#FF9500',
+  failed: '#FF3B30',
+};
+
+const formatDiscrepancyAmount = (value, currency) =>
+  value === null || value === undefined ? '—' : formatAmount(value, currency);
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+export default function StripeReconciliationScreen({ navigation }) {
+  const { showToast } = useContext(ToastContext);
+
+  const [runs, setRuns] = useState([]);
+  const [discrepancies, setDiscrepancies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [notes, setNotes] = useState({});
+  const [resolvingId, setResolvingId] = useState(null);
+
+  const loadData = useCallback(async () => {
+    const [runsResult, discrepanciesResult] = await Promise.all([
+      revenueReconciliationService.getReconciliationRuns(5),
+      revenueReconciliationService.getOpenDiscrepancies(),
+    ]);
+
+    if (runsResult.success) setRuns(runsResult.data);
+    if (discrepanciesResult.success) {
+      setDiscrepancies(discrepanciesResult.data);
+    } else {
+      showToast(discrepanciesResult.error || 'Failed to load discrepancies', 'error');
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    loadData().finally(() => setLoading(false));
+  }, [loadData]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await loadData();
+    setRefreshing(false);
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    const result = await revenueReconciliationService.runStripeReconciliation();
+    setRunning(false);
+
+    if (!result.success) {
+      showToast(result.error || 'Reconciliation failed', 'error');
+      return;
+    }
+
+    showToast(
+      `${result.data.matched_count} matched, ${result.data.discrepancy_count} discrepancies`,
+      'success'
+    );
+    await loadData();
+  };
+
+  const handleResolve = async (discrepancy) => {
+    const note = notes[discrepancy.id] || '';
+    if (!note.trim()) {
+      showToast('Add a note explaining the resolution', 'error');
+      return;
+    }
+
+    setResolvingId(discrepancy.id);
+    const result = await revenueReconciliationService.resolveDiscrepancy(discrepancy.id, note);
+    setResolvingId(null);
+
+    if (!result.success) {
+      showToast(result.error || 'Failed to resolve discrepancy', 'error');
+      return;
+    }
+
+    setDiscrepancies(prev => prev.filter(d => d.id !== discrepancy.id));
+    setNotes(prev => ({ ...prev, [discrepancy.id]: '' }));
+    showToast('Discrepancy resolved', 'success');
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1a1a1a" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Stripe Reconciliation</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          keyboardShouldPersistTaps="handled"
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        >
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Recent Runs</Text>
+            <Text style={styles.cardSubtitle}>
+              Runs nightly for the previous UTC day.
+            </Text>
+            {runs.length === 0 ? (
+              <Text style={styles.emptyText}>No runs yet</Text>
+            ) : (
+              runs.map(run => (
+                <View key={run.id} style={styles.runRow}>
+                  <View style={[styles.statusDot, { backgroundColor: RUN_STATUS_COLORS[run.status] || '#999' }]} />
+                  <Text style={styles.runPeriod}>{formatDate(run.period_start)}</Text>
+                  <Text style={styles.runStats}>
+                    {run.status === 'failed'
+                      ? run.error_message || 'Failed'
+                      : `${run.matched_count} matched · ${run.discrepancy_count} flagged`}
+                  </Text>
+                </View>
+              ))
+            )}
+            <TouchableOpacity
+              style={[styles.primaryButton, running && styles.disabledButton]}
+              onPress={handleRun}
+              disabled={running}
+            >
+              {running ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.primaryButtonText}>Reconcile Yesterday</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.sectionTitle}>
+            Open Discrepancies ({discrepancies.length})
+          </Text>
+
+          {discrepancies.length === 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>Everything reconciles</Text>
+            </View>
+          ) : (
+            discrepancies.map(discrepancy => (
+              <View key={discrepancy.id} style={styles.card}>
+                <View style={styles.discrepancyHeader}>
+                  <Text style={styles.typeBadge}>
+                    {TYPE_LABELS[discrepancy.discrepancy_type] || discrepancy.discrepancy_type}
+                  </Text>
+                  <Text style={styles.detectedAt}>{formatDate(discrepancy.detected_at)}</Text>
+                </View>
+                <Text style={styles.description}>{discrepancy.description}</Text>
+                <View style={styles.amountRow}>
+                  <Text style={styles.amountLabel}>Expected {formatDiscrepancyAmount(discrepancy.expected_amount, discrepancy.currency)}</Text>
+                  <Text style={styles.amountLabel}>Stripe {formatDiscrepancyAmount(discrepancy.actual_amount, discrepancy.currency)}</Text>
+                  {discrepancy.difference !== null && (
+                    <Text style={styles.amountDifference}>Δ {formatDiscrepancyAmount(discrepancy.difference, discrepancy.currency)}</Text>
+                  )}
+                </View>
+                <TextInput
+                  style={styles.input}
+                  value={notes[discrepancy.id] || ''}
+                  onChangeText={text => setNotes(prev => ({ ...prev, [discrepancy.id]: text }))}
+                  placeholder="Resolution note (required)"
+                  multiline
+                />
+                <TouchableOpacity
+                  style={[styles.primaryButton, resolvingId === discrepancy.id && styles.disabledButton]}
+                  onPress={() => handleResolve(discrepancy)}
+                  disabled={resolvingId === discrepancy.id}
+                >
+                  {resolvingId === discrepancy.id ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.primaryButtonText}>Resolve</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 6,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 10,
+    marginTop: 5,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  runRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  runPeriod: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    width: 100,
+  },
+  runStats: {
+    flex: 1,
+    fontSize: 13,
+    color: '#666',
+  },
+  discrepancyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  typeBadge: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FF3B30',
+    backgroundColor: '#FFEBEE',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+    overflow: 'hidden',
+  },
+  detectedAt: {
+    fontSize: 12,
+    color: '#999',
+  },
+  description: {
+    fontSize: 14,
+    color: '#1a1a1a',
+    marginBottom: 8,
+  },
+  amountRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  amountLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginRight: 15,
+  },
+  amountDifference: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    color: '#1a1a1a',
+    marginBottom: 12,
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
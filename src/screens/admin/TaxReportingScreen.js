@@ -0,0 +1,269 @@
+/**
+ * TaxReportingScreen.js - Year-End 1099 Exports
+ *
+ * Admin interface for information returns (taxService):
+ * - 1099-MISC: US winners whose claimed prizes reach the threshold
+ * - 1099-K style: creators whose payouts reach the threshold
+ * - Recipients over the threshold with no W-9 on file, to chase before filing
+ * Exports are shared as CSV; they contain full TINs.
+ */
+
+import React, { useState, useContext } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ToastContext } from '../../context/ToastContext';
+import { supabase } from '../../config/supabase';
+import adminActionsService from '../../services/adminActionsService';
+import { TAX_FORMS } from '../../services/taxService';
+
+const FORMS = [
+  {
+    key: TAX_FORMS.FORM_1099_MISC,
+    title: '1099-MISC',
+    description: 'Prize winners. Box 3 (other income) is the ARV of prizes claimed in the year.',
+  },
+  {
+    key: TAX_FORMS.FORM_1099_K,
+    title: '1099-K',
+    description: 'Creators. Box 1a is payouts in the year net of reversals, with monthly totals.',
+  },
+];
+
+export default function TaxReportingScreen({ navigation }) {
+  const { showToast } = useContext(ToastContext);
+
+  const currentYear = new Date().getFullYear();
+  const [year, setYear] = useState(currentYear - 1);
+  const [exporting, setExporting] = useState(null);
+  const [results, setResults] = useState({});
+
+  const changeYear = (delta) => {
+    setYear(prev => Math.min(currentYear, prev + delta));
+    setResults({});
+  };
+
+  const handleExport = async (form) => {
+    setExporting(form);
+    const adminId = (await supabase.auth.getUser()).data.user?.id;
+    const result = await adminActionsService.exportTaxForms(adminId, year, form);
+    setExporting(null);
+
+    if (!result.success) {
+      showToast(result.error || 'Export failed', 'error');
+      return;
+    }
+
+    setResults(prev => ({ ...prev, [form]: result.data }));
+    showToast(`${result.data.recipientCount} recipients exported`, 'success');
+  };
+
+  const handleShare = async (data) => {
+    try {
+      await Share.share({ title: data.filename, message: data.csv });
+    } catch (error) {
+      showToast('Could not share the export', 'error');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1a1a1a" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Tax Reporting</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.yearRow}>
+          <TouchableOpacity onPress={() => changeYear(-1)} style={styles.yearButton}>
+            <Ionicons name="chevron-back" size={22} color="#007AFF" />
+          </TouchableOpacity>
+          <Text style={styles.yearText}>Tax Year {year}</Text>
+          <TouchableOpacity
+            onPress={() => changeYear(1)}
+            style={styles.yearButton}
+            disabled={year >= currentYear}
+          >
+            <Ionicons name="chevron-forward" size={22} color={year >= currentYear ? '#ccc' : '#007AFF'} />
+          </TouchableOpacity>
+        </View>
+
+        {FORMS.map(form => {
+          const data = results[form.key];
+
+          return (
+            <View key={form.key} style={styles.card}>
+              <Text style={styles.cardTitle}>{form.title}</Text>
+              <Text style={styles.cardSubtitle}>{form.description}</Text>
+
+              {data && (
+                <View style={styles.summary}>
+                  <Text style={styles.summaryText}>
+                    {data.recipientCount} recipients · ${data.totalUsd} reportable
+                  </Text>
+
+                  {data.missing.length > 0 && (
+                    <>
+                      <Text style={styles.warningTitle}>No W-9 on file ({data.missing.length})</Text>
+                      {data.missing.map(recipient => (
+                        <Text key={recipient.userId} style={styles.missingRow}>
+                          {recipient.name || recipient.email || recipient.userId} · ${recipient.totalUsd}
+                        </Text>
+                      ))}
+                    </>
+                  )}
+
+                  {data.unconverted.length > 0 && (
+                    <Text style={styles.warningTitle}>
+                      {data.unconverted.length} amounts left out: no USD exchange rate
+                    </Text>
+                  )}
+
+                  {data.recipientCount > 0 && (
+                    <TouchableOpacity style={styles.secondaryButton} onPress={() => handleShare(data)}>
+                      <Ionicons name="share-outline" size={18} color="#007AFF" />
+                      <Text style={styles.secondaryButtonText}>Share {data.filename}</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              )}
+
+              <TouchableOpacity
+                style={[styles.primaryButton, exporting === form.key && styles.disabledButton]}
+                onPress={() => handleExport(form.key)}
+                disabled={!!exporting}
+              >
+                {exporting === form.key ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>{data ? 'Export Again' : 'Export'}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  content: {
+    padding: 15,
+  },
+  yearRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: 15,
+  },
+  yearButton: {
+    padding: 8,
+  },
+  yearText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginHorizontal: 12,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginBottom: 6,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  summary: {
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    paddingTop: 10,
+    marginBottom: 12,
+  },
+  summaryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  warningTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  missingRow: {
+    fontSize: 13,
+    color: '#666',
+    paddingVertical: 2,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    color: '#007AFF',
+    marginLeft: 6,
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
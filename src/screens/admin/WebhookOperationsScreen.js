@@ -0,0 +1,747 @@
+/**
+ * WebhookOperationsScreen.js - Webhook Operations Console
+ *
+ * Admin interface for inbound and internal webhook deliveries:
+ * - Delivery volume over the last 24 hours or 7 days, with the dead-letter
+ *   queue size (webhookReliabilityService.getDeliveryStats)
+ * - Deliveries filtered by status and event type, dead-lettered first
+ * - Each delivery's payload and the error from every failed attempt
+ * - Replay one delivery, or select several and replay them together;
+ *   deliveries that succeeded or are in flight meanwhile are skipped
+ */
+
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { ToastContext } from '../../context/ToastContext';
+import webhookReliabilityService, {
+  DELIVERY_STATUS,
+  REPLAYABLE_STATUSES,
+} from '../../services/webhookReliabilityService';
+
+const STATUS_COLORS = {
+  [DELIVERY_STATUS.PENDING]: '#8E8E93',
+  [DELIVERY_STATUS.PROCESSING]: '#007AFF',
+  [DELIVERY_STATUS.SUCCEEDED]: '#34C759',
+  [DELIVERY_STATUS.FAILED]: '#FF9500',
+  [DELIVERY_STATUS.RETRYING]: '#FF9500',
+  [DELIVERY_STATUS.DEAD_LETTERED]: '#FF3B30',
+};
+
+const STATUS_FILTERS = [
+  { status: DELIVERY_STATUS.DEAD_LETTERED, label: 'Dead-lettered' },
+  { status: DELIVERY_STATUS.RETRYING, label: 'Retrying' },
+  { status: DELIVERY_STATUS.FAILED, label: 'Failed' },
+  { status: DELIVERY_STATUS.PENDING, label: 'Pending' },
+  { status: DELIVERY_STATUS.PROCESSING, label: 'Processing' },
+  { status: DELIVERY_STATUS.SUCCEEDED, label: 'Succeeded' },
+  { status: null, label: 'All' },
+];
+
+const PAGE_SIZE = 50;
+const CHART_HEIGHT = 80;
+
+// Longest payload shown; the rest is cut off
+const MAX_PAYLOAD_CHARS = 4000;
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const formatBucket = (value, timeframe) => {
+  const date = new Date(value);
+  return timeframe === '24h' ? `${date.getHours()}h` : `${date.getMonth() + 1}/${date.getDate()}`;
+};
+
+const formatPayload = (payload) => {
+  const text = JSON.stringify(payload, null, 2) || '';
+  return text.length > MAX_PAYLOAD_CHARS ? `${text.slice(0, MAX_PAYLOAD_CHARS)}\n…` : text;
+};
+
+export default function WebhookOperationsScreen({ navigation }) {
+  const { showToast } = useContext(ToastContext);
+
+  const [timeframe, setTimeframe] = useState('24h');
+  const [stats, setStats] = useState(null);
+  const [statusFilter, setStatusFilter] = useState(DELIVERY_STATUS.DEAD_LETTERED);
+  const [eventTypeFilter, setEventTypeFilter] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [replaying, setReplaying] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    const { data, error } = await webhookReliabilityService.getDeliveryStats(timeframe);
+    if (error) {
+      showToast('Failed to load delivery stats', 'error');
+      return;
+    }
+    setStats(data);
+  }, [timeframe, showToast]);
+
+  const loadDeliveries = useCallback(async (before = null) => {
+    const { data, error } = await webhookReliabilityService.getDeliveries({
+      status: statusFilter,
+      eventType: eventTypeFilter,
+      limit: PAGE_SIZE,
+      before,
+    });
+
+    if (error) {
+      showToast('Failed to load deliveries', 'error');
+      return;
+    }
+
+    setDeliveries(prev => (before ? [...prev, ...data] : data));
+    setHasMore(data.length === PAGE_SIZE);
+  }, [statusFilter, eventTypeFilter, showToast]);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  useEffect(() => {
+    setSelected(new Set());
+    setExpandedId(null);
+    loadDeliveries().finally(() => setLoading(false));
+  }, [loadDeliveries]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setDetails({});
+    await Promise.all([loadStats(), loadDeliveries()]);
+    setRefreshing(false);
+  };
+
+  const toggleExpanded = async (delivery) => {
+    if (expandedId === delivery.id) {
+      setExpandedId(null);
+      return;
+    }
+
+    setExpandedId(delivery.id);
+    if (details[delivery.id]) return;
+
+    const { data, error } = await webhookReliabilityService.getDeliveryDetails(delivery.id);
+    if (error) {
+      showToast('Failed to load delivery', 'error');
+      return;
+    }
+    setDetails(prev => ({ ...prev, [delivery.id]: data }));
+  };
+
+  const toggleSelected = (deliveryId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(deliveryId)) {
+        next.delete(deliveryId);
+      } else {
+        next.add(deliveryId);
+      }
+      return next;
+    });
+  };
+
+  const replayable = deliveries.filter(d => REPLAYABLE_STATUSES.includes(d.status));
+
+  const toggleSelectAll = () => {
+    setSelected(prev =>
+      prev.size === replayable.length ? new Set() : new Set(replayable.map(d => d.id))
+    );
+  };
+
+  const runReplay = async (deliveryIds) => {
+    setReplaying(true);
+    const { data, error } = await webhookReliabilityService.replayWebhooks(deliveryIds);
+    setReplaying(false);
+
+    if (error) {
+      showToast(error.message || 'Replay failed', 'error');
+      return;
+    }
+
+    const parts = [`${data.succeeded} succeeded`];
+    if (data.failed > 0) parts.push(`${data.failed} failed again`);
+    if (data.skipped > 0) parts.push(`${data.skipped} skipped`);
+    showToast(`Replayed ${data.replayed}: ${parts.join(', ')}`, data.failed > 0 ? 'error' : 'success');
+
+    setSelected(new Set());
+    setDetails({});
+    await Promise.all([loadStats(), loadDeliveries()]);
+  };
+
+  const confirmReplay = (deliveryIds) => {
+    Alert.alert(
+      'Replay Deliveries',
+      `Run ${deliveryIds.length === 1 ? 'this delivery' : `${deliveryIds.length} deliveries`} again from the stored payload? ` +
+        'Any that have succeeded since will be skipped.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Replay', onPress: () => runReplay(deliveryIds) },
+      ]
+    );
+  };
+
+  const renderChart = () => {
+    if (!stats) return null;
+    const peak = Math.max(1, ...stats.timeseries.map(bucket => bucket.total));
+    const labelEvery = Math.ceil(stats.timeseries.length / 6);
+
+    return (
+      <View style={styles.chart}>
+        <View style={styles.chartBars}>
+          {stats.timeseries.map(bucket => {
+            const scale = CHART_HEIGHT / peak;
+            const other = bucket.total - bucket.succeeded - bucket.failed - bucket.deadLettered;
+            return (
+              <View key={bucket.bucketStart} style={styles.chartColumn}>
+                <View style={{ height: bucket.deadLettered * scale, backgroundColor: STATUS_COLORS.dead_lettered }} />
+                <View style={{ height: bucket.failed * scale, backgroundColor: STATUS_COLORS.retrying }} />
+                <View style={{ height: other * scale, backgroundColor: STATUS_COLORS.pending }} />
+                <View style={{ height: bucket.succeeded * scale, backgroundColor: STATUS_COLORS.succeeded }} />
+              </View>
+            );
+          })}
+        </View>
+        <View style={styles.chartLabels}>
+          {stats.timeseries.map((bucket, index) => (
+            <Text key={bucket.bucketStart} style={styles.chartLabel}>
+              {index % labelEvery === 0 ? formatBucket(bucket.bucketStart, timeframe) : ''}
+            </Text>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const renderDetails = (delivery) => {
+    const detail = details[delivery.id];
+    if (!detail) {
+      return <ActivityIndicator style={styles.detailLoading} color="#007AFF" />;
+    }
+
+    return (
+      <View style={styles.detail}>
+        <Text style={styles.detailMeta}>
+          Webhook {detail.webhook_id}
+          {detail.source ? ` · from ${detail.source}` : ''}
+        </Text>
+        <Text style={styles.detailMeta}>
+          Received {formatTime(detail.created_at)}
+          {detail.replay_count > 0 ? ` · replayed ${detail.replay_count}× (last ${formatTime(detail.last_replayed_at)})` : ''}
+        </Text>
+
+        <Text style={styles.detailHeading}>Errors</Text>
+        {detail.errors.length === 0 ? (
+          <Text style={styles.emptyText}>No failed attempts recorded</Text>
+        ) : (
+          detail.errors.map((entry, index) => (
+            <View key={`${entry.created_at}-${index}`} style={styles.errorRow}>
+              <Text style={styles.errorMeta}>
+                Attempt {entry.attempt} · {entry.status.replace('_', ' ')} · {formatTime(entry.created_at)}
+              </Text>
+              <Text style={styles.errorText}>{entry.error_message}</Text>
+            </View>
+          ))
+        )}
+
+        <Text style={styles.detailHeading}>Payload</Text>
+        <ScrollView horizontal style={styles.payload}>
+          <Text style={styles.payloadText}>{formatPayload(detail.payload)}</Text>
+        </ScrollView>
+
+        {REPLAYABLE_STATUSES.includes(delivery.status) && (
+          <TouchableOpacity
+            style={[styles.primaryButton, replaying && styles.disabledButton]}
+            onPress={() => confirmReplay([delivery.id])}
+            disabled={replaying}
+          >
+            <Text style={styles.primaryButtonText}>Replay</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderDelivery = (delivery) => {
+    const canReplay = REPLAYABLE_STATUSES.includes(delivery.status);
+    const isSelected = selected.has(delivery.id);
+
+    return (
+      <View key={delivery.id} style={styles.deliveryCard}>
+        <View style={styles.deliveryRow}>
+          {canReplay ? (
+            <TouchableOpacity onPress={() => toggleSelected(delivery.id)} style={styles.checkbox}>
+              <Ionicons name={isSelected ? 'checkbox' : 'square-outline'} size={22} color="#007AFF" />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.checkbox} />
+          )}
+          <TouchableOpacity style={styles.deliveryInfo} onPress={() => toggleExpanded(delivery)}>
+            <View style={styles.deliveryHeader}>
+              <View style={[styles.statusDot, { backgroundColor: STATUS_COLORS[delivery.status] || '#999' }]} />
+              <Text style={styles.eventType} numberOfLines={1}>{delivery.event_type}</Text>
+              <Text style={styles.attempts}>
+                {delivery.attempt_count} {delivery.attempt_count === 1 ? 'attempt' : 'attempts'}
+              </Text>
+            </View>
+            <Text style={styles.deliveryMeta}>
+              {formatTime(delivery.dead_lettered_at || delivery.last_attempt_at || delivery.created_at)}
+              {delivery.status === DELIVERY_STATUS.RETRYING && delivery.next_retry_at
+                ? ` · next try ${formatTime(delivery.next_retry_at)}`
+                : ''}
+            </Text>
+            {delivery.error_message && (
+              <Text style={styles.deliveryError} numberOfLines={expandedId === delivery.id ? undefined : 1}>
+                {delivery.error_message}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+        {expandedId === delivery.id && renderDetails(delivery)}
+      </View>
+    );
+  };
+
+  const eventTypes = stats ? Object.keys(stats.byEventType).sort() : [];
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color="#1a1a1a" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Webhook Operations</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007AFF" />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.content}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        >
+          <View style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>Deliveries</Text>
+              <View style={styles.segmented}>
+                {['24h', '7d'].map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[styles.segment, timeframe === option && styles.segmentActive]}
+                    onPress={() => setTimeframe(option)}
+                  >
+                    <Text style={[styles.segmentText, timeframe === option && styles.segmentTextActive]}>{option}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
+            {stats && (
+              <View style={styles.statsRow}>
+                <View style={styles.stat}>
+                  <Text style={[styles.statValue, stats.deadLetterQueue > 0 && styles.statValueAlert]}>
+                    {stats.deadLetterQueue}
+                  </Text>
+                  <Text style={styles.statLabel}>Dead-letter queue</Text>
+                </View>
+                <View style={styles.stat}>
+                  <Text style={styles.statValue}>{stats.total}</Text>
+                  <Text style={styles.statLabel}>Received</Text>
+                </View>
+                <View style={styles.stat}>
+                  <Text style={styles.statValue}>{stats.retrying + stats.failed}</Text>
+                  <Text style={styles.statLabel}>Retrying</Text>
+                </View>
+                <View style={styles.stat}>
+                  <Text style={styles.statValue}>{stats.successRate}%</Text>
+                  <Text style={styles.statLabel}>Succeeded</Text>
+                </View>
+              </View>
+            )}
+
+            {renderChart()}
+          </View>
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+            {STATUS_FILTERS.map(({ status, label }) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.chip, statusFilter === status && styles.chipActive]}
+                onPress={() => setStatusFilter(status)}
+              >
+                <Text style={[styles.chipText, statusFilter === status && styles.chipTextActive]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {eventTypes.length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.filterRow}>
+              <TouchableOpacity
+                style={[styles.chip, !eventTypeFilter && styles.chipActive]}
+                onPress={() => setEventTypeFilter(null)}
+              >
+                <Text style={[styles.chipText, !eventTypeFilter && styles.chipTextActive]}>All events</Text>
+              </TouchableOpacity>
+              {eventTypes.map(eventType => (
+                <TouchableOpacity
+                  key={eventType}
+                  style={[styles.chip, eventTypeFilter === eventType && styles.chipActive]}
+                  onPress={() => setEventTypeFilter(eventType)}
+                >
+                  <Text style={[styles.chipText, eventTypeFilter === eventType && styles.chipTextActive]}>
+                    {eventType} ({stats.byEventType[eventType]})
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+
+          {replayable.length > 0 && (
+            <View style={styles.bulkBar}>
+              <TouchableOpacity onPress={toggleSelectAll}>
+                <Text style={styles.bulkSelect}>
+                  {selected.size === replayable.length ? 'Clear selection' : `Select all (${replayable.length})`}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.bulkButton, (selected.size === 0 || replaying) && styles.disabledButton]}
+                onPress={() => confirmReplay(Array.from(selected))}
+                disabled={selected.size === 0 || replaying}
+              >
+                {replaying ? (
+                  <ActivityIndicator color="#fff" size="small" />
+                ) : (
+                  <Text style={styles.bulkButtonText}>Replay {selected.size || ''}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {deliveries.length === 0 ? (
+            <View style={styles.card}>
+              <Text style={styles.emptyText}>No deliveries</Text>
+            </View>
+          ) : (
+            deliveries.map(renderDelivery)
+          )}
+
+          {hasMore && (
+            <TouchableOpacity
+              style={styles.loadMore}
+              onPress={() => loadDeliveries(deliveries[deliveries.length - 1].created_at)}
+            >
+              <Text style={styles.loadMoreText}>Load more</Text>
+            </TouchableOpacity>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 24,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  segmented: {
+    flexDirection: 'row',
+    backgroundColor: '#f0f0f0',
+    borderRadius: 8,
+    padding: 2,
+  },
+  segment: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  segmentActive: {
+    backgroundColor: '#fff',
+  },
+  segmentText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  segmentTextActive: {
+    color: '#1a1a1a',
+    fontWeight: '600',
+  },
+  statsRow: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  stat: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  statValueAlert: {
+    color: '#FF3B30',
+  },
+  statLabel: {
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2,
+    textAlign: 'center',
+  },
+  chart: {
+    marginTop: 5,
+  },
+  chartBars: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    height: CHART_HEIGHT,
+  },
+  chartColumn: {
+    flex: 1,
+    marginHorizontal: 1,
+    justifyContent: 'flex-end',
+  },
+  chartLabels: {
+    flexDirection: 'row',
+    marginTop: 4,
+  },
+  chartLabel: {
+    flex: 1,
+    fontSize: 9,
+    color: '#999',
+  },
+  filterRow: {
+    marginBottom: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  bulkBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  bulkSelect: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '500',
+  },
+  bulkButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  bulkButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  deliveryCard: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  deliveryRow: {
+    flexDirection: 'row',
+  },
+  checkbox: {
+    width: 30,
+    paddingTop: 1,
+  },
+  deliveryInfo: {
+    flex: 1,
+  },
+  deliveryHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  eventType: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  attempts: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 8,
+  },
+  deliveryMeta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 3,
+  },
+  deliveryError: {
+    fontSize: 12,
+    color: '#FF3B30',
+    marginTop: 3,
+  },
+  detailLoading: {
+    marginTop: 10,
+  },
+  detail: {
+    marginTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    paddingTop: 10,
+  },
+  detailMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 2,
+  },
+  detailHeading: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 10,
+    marginBottom: 6,
+  },
+  errorRow: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 6,
+    padding: 8,
+    marginBottom: 6,
+  },
+  errorMeta: {
+    fontSize: 11,
+    color: '#666',
+    marginBottom: 2,
+    textTransform: 'capitalize',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#FF3B30',
+  },
+  payload: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 6,
+    padding: 8,
+    maxHeight: 240,
+  },
+  payloadText: {
+    fontFamily: 'Courier',
+    fontSize: 11,
+    color: '#1a1a1a',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+    paddingVertical: 10,
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  loadMore: {
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+  loadMoreText: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '500',
+  },
+});
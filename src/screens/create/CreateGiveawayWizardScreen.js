@@ -33,9 +33,11 @@
  * WIZARD STEPS:
  * 1. Basic Info - Title, description, category selection
  * 2. Prize Details - Prize description, value, image upload
- * 3. Entry Settings - Entry price, max entries, end date, delivery method
+ * 3. Entry Settings - Currency, entry price, max entries, end date, delivery method
  * 4. Social Tasks - Optional social media follow requirements
- * 5. Review & Launch - Final review, terms acceptance, submission
+ * 5. Review & Launch - Final review, terms acceptance, submission, and the
+ *    prize deposit for high-value prizes (prizeDepositService), collected
+ *    with the Stripe payment sheet once the giveaway is saved
  * 
  * VALIDATION RULES:
  * - Step 1: Title and category selection required
@@ -69,7 +71,7 @@
  * - Success flow with dashboard navigation options
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   View,
   Text,
@@ -84,12 +86,21 @@ import {
   Dimensions,
   Animated,
   Modal,
+  ActivityIndicator,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import * as ImagePicker from 'expo-image-picker';
+import { StripeProvider, useStripe } from '@stripe/stripe-react-native';
 import { useAuth } from '../../context/AuthContext';
 import { giveawayService } from '../../services/api';
+import eligibilityService from '../../services/eligibilityService';
+import { GIVEAWAY_STATUS } from '../../services/giveawayLifecycleService';
+import { GEOGRAPHIC_CONFIG } from '../../config/geographicCompliance';
+import { SUPPORTED_CURRENCIES, formatAmount, formatMinor } from '../../services/currencyService';
+import prizeDepositService, { PRIZE_DEPOSIT_STATUS } from '../../services/prizeDepositService';
+
+const STRIPE_PUBLISHABLE_KEY = process.env.EXPO_PUBLIC_STRIPE_PUBLISHABLE_KEY || 'pk_test_your_stripe_publishable_key_here';
 
 const { width } = Dimensions.get('window');
 
@@ -101,12 +112,18 @@ const STEPS = [
   { id: 5, title: 'Review & Launch', icon: 'checkmark-circle' },
 ];
 
-export default function CreateGiveawayWizardScreen({ navigation }) {
+function CreateGiveawayWizardContent({ navigation }) {
   const { user } = useAuth();
+  const { initPaymentSheet, presentPaymentSheet } = useStripe();
   const [currentStep, setCurrentStep] = useState(1);
   const [slideAnim] = useState(new Animated.Value(0));
   const scrollViewRef = useRef();
   const [showDatePicker, setShowDatePicker] = useState(false);
+  const [depositQuote, setDepositQuote] = useState(null);
+  const [depositLoading, setDepositLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  // Saved giveaway still owing its deposit; Launch retries only the payment
+  const [pendingDeposit, setPendingDeposit] = useState(null);
 
   const [formData, setFormData] = useState({
     // Step 1: Basic Info
@@ -120,9 +137,13 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
     prizeImage: null,
     
     // Step 3: Entry Settings
+    currency: 'usd',
     entryPrice: '',
     maxEntries: '',
     endDate: '',
+    minimumAge: '',
+    eligibleStates: '',
+    excludedStates: '',
     
     // Step 4: Social Tasks
     socialTasks: {
@@ -172,6 +193,74 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
     }));
   };
 
+  // Price the prize deposit for the review step; the database recomputes it
+  // from the saved giveaway, and that figure is the one charged
+  useEffect(() => {
+    if (currentStep !== STEPS.length || !user?.id) return;
+
+    let cancelled = false;
+    setDepositLoading(true);
+
+    prizeDepositService.quoteDeposit(user.id, formData.prizeValue, formData.currency).then(({ data, error }) => {
+      if (cancelled) return;
+      if (error) console.error('Prize deposit quote failed:', error);
+      setDepositQuote(data);
+      setDepositLoading(false);
+    });
+
+    return () => { cancelled = true; };
+  }, [currentStep, formData.prizeValue, formData.currency, user?.id]);
+
+  /**
+   * Charge the deposit a saved giveaway owes. Resolves true once it is paid.
+   */
+  const collectDeposit = async (giveaway) => {
+    const amountMinor = Number(giveaway.prize_deposit_required_minor);
+    const { data: payment, error } = await prizeDepositService.createDepositPayment(
+      giveaway.id,
+      user.id,
+      amountMinor,
+      giveaway.currency
+    );
+
+    if (error) {
+      Alert.alert('Deposit Failed', error.message || 'Failed to start the deposit payment. Please try again.');
+      return false;
+    }
+
+    // Demo mode has no payment sheet to show
+    if (payment.mock) {
+      return true;
+    }
+
+    const { error: sheetError } = await initPaymentSheet({
+      merchantDisplayName: 'Entry Point',
+      paymentIntentClientSecret: payment.clientSecret,
+      defaultBillingDetails: {
+        name: user.name || user.email,
+        email: user.email,
+      },
+      allowsDelayedPaymentMethods: false,
+      returnURL: 'entrypoint://payment-complete',
+    });
+
+    if (sheetError) {
+      Alert.alert('Deposit Failed', 'Failed to set up the deposit payment. Please try again.');
+      return false;
+    }
+
+    const { error: paymentError } = await presentPaymentSheet();
+
+    if (paymentError) {
+      if (paymentError.code !== 'Canceled') {
+        Alert.alert('Deposit Failed', paymentError.message);
+      }
+      return false;
+    }
+
+    return true;
+  };
+
   const showDateSelector = () => {
     setShowDatePicker(true);
   };
@@ -271,6 +360,17 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
           Alert.alert('Error', 'Please enter maximum number of entries');
           return false;
         }
+        if (formData.minimumAge && !(parseInt(formData.minimumAge) >= GEOGRAPHIC_CONFIG.MINIMUM_AGE)) {
+          Alert.alert('Error', `Minimum age must be ${GEOGRAPHIC_CONFIG.MINIMUM_AGE} or older`);
+          return false;
+        }
+        for (const field of ['eligibleStates', 'excludedStates']) {
+          const { unknown } = eligibilityService.parseStateList(formData[field]);
+          if (unknown.length) {
+            Alert.alert('Error', `Unknown state: ${unknown.join(', ')}`);
+            return false;
+          }
+        }
         return true;
         
       case 4:
@@ -310,65 +410,95 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
   };
 
   const submitGiveaway = async () => {
+    if (submitting) return;
+
     try {
       if (!user?.id) {
         Alert.alert('Error', 'You must be logged in to create a giveaway');
         return;
       }
 
-      console.log('🎯 Creating real giveaway...');
+      setSubmitting(true);
+
+      // Already saved on an earlier attempt; only the deposit is outstanding
+      let giveaway = pendingDeposit;
+
+      if (!giveaway) {
+        console.log('🎯 Creating real giveaway...');
       
-      // Validate required fields
-      if (!formData.title || !formData.description || !formData.prize || !formData.entryPrice || !formData.maxEntries || !formData.endDate) {
-        Alert.alert('Missing Information', 'Please fill in all required fields');
-        return;
-      }
+        // Validate required fields
+        if (!formData.title || !formData.description || !formData.prize || !formData.entryPrice || !formData.maxEntries || !formData.endDate) {
+          Alert.alert('Missing Information', 'Please fill in all required fields');
+          return;
+        }
 
-      // Upload image first if provided
-      let imageUrl = null;
-      if (formData.prizeImage) {
-        console.log('📸 Uploading giveaway image...');
-        const imageResult = await giveawayService.uploadGiveawayImage(
-          formData.prizeImage, 
-          `giveaway-${Date.now()}.jpg`
-        );
+        // Upload image first if provided
+        let imageUrl = null;
+        if (formData.prizeImage) {
+          console.log('📸 Uploading giveaway image...');
+          const imageResult = await giveawayService.uploadGiveawayImage(
+            formData.prizeImage, 
+            `giveaway-${Date.now()}.jpg`
+          );
         
-        if (imageResult.error) {
-          console.error('Image upload failed:', imageResult.error);
-          Alert.alert('Upload Error', 'Failed to upload image. Continuing without image...');
-        } else {
-          imageUrl = imageResult.data;
-          console.log('✅ Image uploaded successfully');
+          if (imageResult.error) {
+            console.error('Image upload failed:', imageResult.error);
+            Alert.alert('Upload Error', 'Failed to upload image. Continuing without image...');
+          } else {
+            imageUrl = imageResult.data;
+            console.log('✅ Image uploaded successfully');
+          }
+        }
+
+        // Prepare giveaway data
+        const giveawayData = {
+          title: formData.title,
+          description: formData.description,
+          prize: formData.prize,
+          prizeValue: parseFloat(formData.prizeValue) || null,
+          image_url: imageUrl,
+          ticketPrice: parseFloat(formData.entryPrice),
+          currency: formData.currency,
+          totalTickets: parseInt(formData.maxEntries),
+          endDate: formData.endDate,
+          // Published giveaways go to admin review; approval schedules them
+          status: formData.publishImmediately ? GIVEAWAY_STATUS.PENDING_REVIEW : GIVEAWAY_STATUS.DRAFT,
+          category: formData.category || 'General',
+          minimumAge: parseInt(formData.minimumAge) || GEOGRAPHIC_CONFIG.MINIMUM_AGE,
+          eligibleStates: eligibilityService.parseStateList(formData.eligibleStates).states,
+          excludedStates: eligibilityService.parseStateList(formData.excludedStates).states
+        };
+
+        console.log('💾 Saving giveaway to database...');
+        const result = await giveawayService.createGiveaway(giveawayData, user.id);
+
+        if (result.error) {
+          console.error('❌ Giveaway creation failed:', result.error);
+          Alert.alert('Creation Failed', result.error.message || 'Failed to create giveaway. Please try again.');
+          return;
         }
+
+        console.log('✅ Giveaway created successfully!');
+        giveaway = result.data;
       }
 
-      // Prepare giveaway data
-      const giveawayData = {
-        title: formData.title,
-        description: formData.description,
-        prize: formData.prize,
-        image_url: imageUrl,
-        ticketPrice: parseFloat(formData.entryPrice),
-        totalTickets: parseInt(formData.maxEntries),
-        endDate: formData.endDate,
-        status: formData.publishImmediately ? 'active' : 'draft',
-        category: formData.category || 'General'
-      };
-
-      console.log('💾 Saving giveaway to database...');
-      const result = await giveawayService.createGiveaway(giveawayData, user.id);
-
-      if (result.error) {
-        console.error('❌ Giveaway creation failed:', result.error);
-        Alert.alert('Creation Failed', result.error.message || 'Failed to create giveaway. Please try again.');
-        return;
+      let depositPaid = false;
+      if (giveaway.prize_deposit_status === PRIZE_DEPOSIT_STATUS.REQUIRED) {
+        depositPaid = await collectDeposit(giveaway);
+        if (!depositPaid) {
+          setPendingDeposit(giveaway);
+          Alert.alert(
+            'Deposit Needed',
+            `Your giveaway is saved, but it can't go live until the ${formatMinor(giveaway.prize_deposit_required_minor, giveaway.currency)} prize deposit is paid. Tap Pay Deposit to try again.`
+          );
+          return;
+        }
+        setPendingDeposit(null);
       }
 
-      console.log('✅ Giveaway created successfully!');
-      
       Alert.alert(
         'Success! 🎉',
-        `Your giveaway "${formData.title}" has been ${formData.publishImmediately ? 'published' : 'saved as draft'} successfully!`,
+        `Your giveaway "${formData.title}" has been ${formData.publishImmediately ? 'submitted for review' : 'saved as draft'} successfully!${depositPaid ? ' Your prize deposit is held in escrow.' : ''}`,
         [
           {
             text: 'View Dashboard',
@@ -379,6 +509,7 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
             onPress: () => {
               // Reset form
               setCurrentStep(1);
+              setPendingDeposit(null);
               setFormData({
                 title: '',
                 description: '',
@@ -386,9 +517,13 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
                 prize: '',
                 prizeValue: '',
                 prizeImage: null,
+                currency: 'usd',
                 entryPrice: '',
                 maxEntries: '',
                 endDate: '',
+                minimumAge: '',
+                eligibleStates: '',
+                excludedStates: '',
                 socialTasks: {},
                 deliveryMethod: 'digital',
                 winnerSelection: 'random',
@@ -402,6 +537,8 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
     } catch (error) {
       console.error('Giveaway creation error:', error);
       Alert.alert('Error', 'Failed to create giveaway. Please try again.');
+    } finally {
+      setSubmitting(false);
     }
   };
 
@@ -574,12 +711,38 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
               Configure how users can enter your giveaway
             </Text>
 
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Currency</Text>
+              <View style={styles.currencyRow}>
+                {SUPPORTED_CURRENCIES.map((currency) => (
+                  <TouchableOpacity
+                    key={currency.code}
+                    style={[
+                      styles.currencyChip,
+                      formData.currency === currency.code && styles.currencyChipSelected
+                    ]}
+                    onPress={() => updateFormData('currency', currency.code)}
+                  >
+                    <Text style={[
+                      styles.currencyChipText,
+                      formData.currency === currency.code && styles.currencyChipTextSelected
+                    ]}>
+                      {currency.code.toUpperCase()}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.currencyHint}>
+                Entries are charged and your earnings are paid in this currency
+              </Text>
+            </View>
+
             <View style={styles.inputRow}>
               <View style={[styles.inputGroup, { flex: 1, marginRight: 10 }]}>
-                <Text style={styles.inputLabel}>Entry Price (USD) *</Text>
+                <Text style={styles.inputLabel}>Entry Price ({formData.currency.toUpperCase()}) *</Text>
                 <TextInput
                   style={styles.textInput}
-                  placeholder="5.00"
+                  placeholder={formData.currency === 'jpy' ? '500' : '5.00'}
                   value={formData.entryPrice}
                   onChangeText={(text) => updateFormData('entryPrice', text)}
                   keyboardType="decimal-pad"
@@ -607,6 +770,39 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
               </TouchableOpacity>
             </View>
 
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Minimum Age</Text>
+              <TextInput
+                style={styles.textInput}
+                placeholder={`${GEOGRAPHIC_CONFIG.MINIMUM_AGE} (platform minimum)`}
+                value={formData.minimumAge}
+                onChangeText={(text) => updateFormData('minimumAge', text)}
+                keyboardType="numeric"
+              />
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Only Open To States</Text>
+              <TextInput
+                style={styles.textInput}
+                placeholder="All eligible states (or e.g. CA, TX)"
+                value={formData.eligibleStates}
+                onChangeText={(text) => updateFormData('eligibleStates', text)}
+                autoCapitalize="characters"
+              />
+            </View>
+
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Exclude States</Text>
+              <TextInput
+                style={styles.textInput}
+                placeholder="None (NY, FL, RI are always excluded)"
+                value={formData.excludedStates}
+                onChangeText={(text) => updateFormData('excludedStates', text)}
+                autoCapitalize="characters"
+              />
+            </View>
+
             <View style={styles.deliverySection}>
               <Text style={styles.inputLabel}>Delivery</Text>
               <View style={styles.deliveryOptions}>
@@ -735,12 +931,12 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
               
               <View style={styles.reviewRow}>
                 <Text style={styles.reviewLabel}>Prize Value:</Text>
-                <Text style={styles.reviewValue}>${formData.prizeValue}</Text>
+                <Text style={styles.reviewValue}>{formatAmount(formData.prizeValue, formData.currency)}</Text>
               </View>
               
               <View style={styles.reviewRow}>
                 <Text style={styles.reviewLabel}>Entry Price:</Text>
-                <Text style={styles.reviewValue}>${formData.entryPrice}</Text>
+                <Text style={styles.reviewValue}>{formatAmount(formData.entryPrice, formData.currency)}</Text>
               </View>
               
               <View style={styles.reviewRow}>
@@ -749,6 +945,27 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
               </View>
             </View>
 
+            <View style={styles.reviewCard}>
+              <Text style={styles.depositTitle}>Prize Deposit</Text>
+              {depositLoading ? (
+                <ActivityIndicator color="#667eea" />
+              ) : depositQuote?.required ? (
+                <>
+                  <View style={styles.reviewRow}>
+                    <Text style={styles.reviewLabel}>Deposit ({Math.round(depositQuote.rate * 100)}% of prize):</Text>
+                    <Text style={styles.reviewValue}>{formatMinor(depositQuote.amountMinor, depositQuote.currency)}</Text>
+                  </View>
+                  <Text style={styles.depositNote}>
+                    Held in escrow and required before your giveaway goes live. It is refunded once the winner confirms delivery, or paid to the winner as a cash alternative.
+                  </Text>
+                </>
+              ) : (
+                <Text style={styles.depositNote}>
+                  No deposit is needed for prizes under ${depositQuote?.thresholdUsd ?? 500}.
+                </Text>
+              )}
+            </View>
+
             <View style={styles.termsContainer}>
               <TouchableOpacity
                 style={styles.termsCheckbox}
@@ -809,14 +1026,22 @@ export default function CreateGiveawayWizardScreen({ navigation }) {
           <TouchableOpacity 
             style={[
               styles.nextButton,
-              currentStep === 1 && styles.nextButtonFullWidth
+              currentStep === 1 && styles.nextButtonFullWidth,
+              submitting && styles.nextButtonDisabled
             ]} 
             onPress={currentStep === STEPS.length ? submitGiveaway : nextStep}
+            disabled={submitting}
           >
-            <Text style={styles.nextButtonText}>
-              {currentStep === STEPS.length ? 'Launch Giveaway' : 'Continue'}
-            </Text>
-            <Ionicons name="arrow-forward" size={20} color="white" />
+            {submitting ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <>
+                <Text style={styles.nextButtonText}>
+                  {currentStep !== STEPS.length ? 'Continue' : pendingDeposit ? 'Pay Deposit' : 'Launch Giveaway'}
+                </Text>
+                <Ionicons name="arrow-forward" size={20} color="white" />
+              </>
+            )}
           </TouchableOpacity>
         </View>
       </View>
@@ -1060,6 +1285,37 @@ const styles = StyleSheet.create({
     color: '#999',
     marginTop: 8,
   },
+  currencyRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  currencyChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 2,
+    borderColor: '#E5E7EB',
+    backgroundColor: 'white',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  currencyChipSelected: {
+    borderColor: '#6366F1',
+    backgroundColor: '#EEF2FF',
+  },
+  currencyChipText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  currencyChipTextSelected: {
+    color: '#6366F1',
+  },
+  currencyHint: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
   dateInput: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -1197,6 +1453,18 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  depositTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  depositNote: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 12,
+    lineHeight: 20,
+  },
   termsContainer: {
     backgroundColor: 'white',
     borderRadius: 12,
@@ -1262,6 +1530,9 @@ const styles = StyleSheet.create({
   nextButtonFullWidth: {
     flex: 1,
   },
+  nextButtonDisabled: {
+    opacity: 0.6,
+  },
   nextButtonText: {
     color: 'white',
     fontSize: 16,
@@ -1313,3 +1584,11 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 });
+
+export default function CreateGiveawayWizardScreen({ navigation }) {
+  return (
+    <StripeProvider publishableKey={STRIPE_PUBLISHABLE_KEY}>
+      <CreateGiveawayWizardContent navigation={navigation} />
+    </StripeProvider>
+  );
+}
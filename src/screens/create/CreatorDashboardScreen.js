@@ -33,8 +33,12 @@
  * 1. Compact Header - Floating create button with haptic feedback
  * 2. Stats Overview - Revenue, active giveaways, entries, average pricing
  * 3. Quick Actions - Create giveaway, analytics, winner selection
- * 4. My Giveaways - Current giveaway cards with progress tracking
- * 5. Empty State - Onboarding for new creators
+ * 4. Upcoming Payouts - Escrow awaiting payout, when it is due and any hold (payoutService)
+ * 5. Annual Statement - Earnings, clawbacks and payouts for a tax year (taxService)
+ * 6. API Keys - Creator REST API keys, for tiers with API access (ApiKeys)
+ * 7. Webhooks - Outbound event endpoints, for tiers with API access (WebhookEndpoints)
+ * 8. My Giveaways - Current giveaway cards with progress tracking
+ * 9. Empty State - Onboarding for new creators
  * 
  * REAL-TIME FEATURES:
  * - Live entry count updates
@@ -115,6 +119,7 @@ import {
   Animated,
   Alert,
   Easing,
+  ActivityIndicator,
 } from 'react-native';
 import * as Haptics from 'expo-haptics';
 import { LinearGradient } from 'expo-linear-gradient';
@@ -125,7 +130,13 @@ import { useToast } from '../../context/ToastContext';
 import { useRealtimeUserActivity } from '../../hooks/useRealtime';
 import { notificationService } from '../../services/notificationService';
 import { giveawayService } from '../../services/api';
+import taxService from '../../services/taxService';
+import payoutService from '../../services/payoutService';
+import creatorWebhookService from '../../services/creatorWebhookService';
+import { formatMinor } from '../../services/currencyService';
 import ConfettiExplosion from '../../components/ConfettiExplosion';
+import WebhookEndpoints from '../../components/WebhookEndpoints';
+import ApiKeys from '../../components/ApiKeys';
 
 const { width } = Dimensions.get('window');
 
@@ -195,6 +206,10 @@ export default function CreatorDashboardScreen({ navigation }) {
   const [cardAnimations] = useState(myGiveaways.map(() => new Animated.Value(0)));
   const [showConfetti, setShowConfetti] = useState(false);
   const [shownMilestones] = useState(new Set()); // Track which milestones we've already shown
+  const [statementYear, setStatementYear] = useState(new Date().getFullYear() - 1);
+  const [statement, setStatement] = useState(null);
+  const [upcomingPayouts, setUpcomingPayouts] = useState(null);
+  const [hasApiAccess, setHasApiAccess] = useState(false);
 
   // Staggered entrance animation for cards
   const startCardAnimations = () => {
@@ -261,6 +276,29 @@ export default function CreatorDashboardScreen({ navigation }) {
     }).start();
   }, [user?.id]);
 
+  const loadUpcomingPayouts = async () => {
+    const { data, error } = await payoutService.getUpcomingPayouts(user.id);
+    setUpcomingPayouts(error ? [] : data);
+  };
+
+  useEffect(() => {
+    if (user?.id) {
+      loadUpcomingPayouts();
+      creatorWebhookService.hasApiAccess(user.id).then(({ data }) => setHasApiAccess(data));
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (!user?.id) return;
+
+    setStatement(null);
+    taxService.getCreatorAnnualStatement(user.id, statementYear).then(result => {
+      if (result.success) {
+        setStatement(result.data);
+      }
+    });
+  }, [user?.id, statementYear]);
+
   // Separate useEffect for shimmer animation
   useEffect(() => {
     if (loading) {
@@ -432,7 +470,10 @@ export default function CreatorDashboardScreen({ navigation }) {
     // Reset card animations for fresh entrance
     cardAnimations.forEach(anim => anim.setValue(0));
     
-    await loadDashboardData(true); // Show notification on manual refresh
+    await Promise.all([
+      loadDashboardData(true), // Show notification on manual refresh
+      loadUpcomingPayouts(),
+    ]);
     setRefreshing(false);
   };
 
@@ -700,6 +741,107 @@ export default function CreatorDashboardScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Upcoming Payouts */}
+        {upcomingPayouts?.length > 0 && (
+          <View style={styles.actionsSection}>
+            <View style={styles.sectionHeader}>
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>Upcoming Payouts</Text>
+            </View>
+
+            <View style={[styles.statementCard, { backgroundColor: theme.surface }]}>
+              {upcomingPayouts.map(payout => (
+                <View key={payout.giveawayId} style={styles.payoutRow}>
+                  <View style={styles.payoutInfo}>
+                    <Text style={[styles.statementLabel, { color: theme.text }]} numberOfLines={1}>
+                      {payout.title}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.payoutStatus,
+                        { color: payout.holdReason ? '#FF9800' : theme.textTertiary }
+                      ]}
+                    >
+                      {payout.holdReason
+                        ? payout.holdMessage
+                        : payout.inProgress
+                          ? 'Payout in progress'
+                          : new Date(payout.eligibleAt) <= new Date()
+                            ? 'Paying out in the next run'
+                            : `Pays out ${formatDate(payout.eligibleAt)}`}
+                    </Text>
+                  </View>
+                  <Text style={[styles.statementValue, { color: theme.text }]}>
+                    {formatMinor(payout.amountMinor, payout.currency)}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
+        {/* Annual Statement */}
+        <View style={styles.actionsSection}>
+          <View style={styles.sectionHeader}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>{statementYear} Statement</Text>
+            <TouchableOpacity
+              onPress={() => setStatementYear(statementYear === new Date().getFullYear() ? statementYear - 1 : statementYear + 1)}
+            >
+              <Text style={[styles.viewAllText, { color: theme.primary }]}>
+                {statementYear === new Date().getFullYear() ? 'Last Year' : 'This Year'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={[styles.statementCard, { backgroundColor: theme.surface }]}>
+            {!statement ? (
+              <ActivityIndicator color={theme.primary} />
+            ) : (
+              <>
+                {[
+                  ['Earned', statement.totals.earned],
+                  ['Refunds', `-${statement.totals.refunds}`],
+                  ['Lost disputes', `-${statement.totals.disputes}`],
+                  ['Net earnings', statement.totals.net],
+                  [`Paid out (${statement.payoutCount} payouts)`, statement.totals.paidOut],
+                ].map(([label, amount]) => (
+                  <View key={label} style={styles.statementRow}>
+                    <Text style={[styles.statementLabel, { color: theme.textSecondary }]}>{label}</Text>
+                    <Text style={[styles.statementValue, { color: theme.text }]}>${amount}</Text>
+                  </View>
+                ))}
+                <Text style={[styles.statementNote, { color: theme.textTertiary }]}>
+                  {statement.form1099K
+                    ? `Your payouts will be reported on Form 1099-K${statement.taxProfile ? ` (TIN ${statement.taxProfile.tin})` : '. Contact support to add your W-9 details.'}`
+                    : 'Below the 1099-K reporting threshold so far.'}
+                  {' '}Amounts in USD.
+                </Text>
+              </>
+            )}
+          </View>
+        </View>
+
+        {/* API Keys */}
+        {hasApiAccess && (
+          <View style={styles.actionsSection}>
+            <View style={styles.sectionHeader}>
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>API Keys</Text>
+            </View>
+
+            <ApiKeys creatorId={user.id} />
+          </View>
+        )}
+
+        {/* Webhooks */}
+        {hasApiAccess && (
+          <View style={styles.actionsSection}>
+            <View style={styles.sectionHeader}>
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>Webhooks</Text>
+            </View>
+
+            <WebhookEndpoints creatorId={user.id} />
+          </View>
+        )}
+
         {/* My Giveaways */}
         <View style={styles.giveawaysSection}>
           <View style={styles.sectionHeader}>
@@ -935,6 +1077,41 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  statementCard: {
+    // backgroundColor handled by theme in component
+    borderRadius: 16,
+    padding: 16,
+  },
+  statementRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  statementLabel: {
+    fontSize: 15,
+  },
+  statementValue: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  statementNote: {
+    fontSize: 12,
+    marginTop: 10,
+  },
+  payoutRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  payoutInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  payoutStatus: {
+    fontSize: 12,
+    marginTop: 2,
+  },
   giveawayCard: {
     // backgroundColor handled by theme in component
     borderRadius: 16,
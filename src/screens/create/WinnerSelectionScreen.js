@@ -31,6 +31,16 @@
  *   - Loading states during selection process
  *   - Success feedback with winner information
  * 
+ * • Prize Claims:
+ *   - Claim status and deadline for every drawn winner
+ *   - Expired claims can be forfeited to the next alternate
+ *   - Alternates come from the committed draw ordering, not a new draw
+ * 
+ * • Prize Fulfillment:
+ *   - Shipping details from winners who signed their affidavit
+ *   - Carrier and tracking entry per prize
+ *   - Payout escrow is released once winners confirm receipt
+ * 
  * • Creator Analytics:
  *   - Entry count display per giveaway
  *   - Revenue calculation and display
@@ -48,12 +58,18 @@
  *   - giveaways: Array of eligible giveaways for winner selection
  *   - loading: Boolean for initial data loading state
  *   - selecting: String/null for tracking current selection process
+ *   - claimGroups: Drawn giveaways with their winner claims
+ *   - redrawing: String/null winner record being replaced
+ *   - fulfillments: Prizes awaiting shipment or delivery confirmation
+ *   - shipmentInputs: Carrier/tracking drafts keyed by fulfillment
  *   - fadeAnim: Animated value for smooth screen transitions
  * 
  * • External State Dependencies:
  *   - AuthContext: User authentication and creator verification
  *   - GiveawayService: Fetching creator's eligible giveaways
- *   - EntryService: Random winner selection and notification
+ *   - FairnessService: Verifiable winner selection
+ *   - WinnerClaimService: Claim deadlines and alternate redraws
+ *   - PrizeFulfillmentService: Shipment tracking
  * 
  * TECHNICAL DETAILS:
  * • Winner Selection Algorithm:
@@ -101,19 +117,28 @@ import {
   StyleSheet,
   ScrollView,
   TouchableOpacity,
+  TextInput,
   Alert,
   Animated,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
-import { giveawayService, entryService } from '../../services/api';
+import { giveawayService } from '../../services/api';
+import fairnessService from '../../services/fairnessService';
+import winnerClaimService from '../../services/winnerClaimService';
+import prizeFulfillmentService from '../../services/prizeFulfillmentService';
 
 export default function WinnerSelectionScreen({ navigation }) {
   const { user } = useAuth();
   const [giveaways, setGiveaways] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selecting, setSelecting] = useState(null);
+  const [claimGroups, setClaimGroups] = useState([]);
+  const [redrawing, setRedrawing] = useState(null);
+  const [fulfillments, setFulfillments] = useState([]);
+  const [shipmentInputs, setShipmentInputs] = useState({});
+  const [shipping, setShipping] = useState(null);
   const [fadeAnim] = useState(new Animated.Value(0));
 
   useEffect(() => {
@@ -131,7 +156,7 @@ export default function WinnerSelectionScreen({ navigation }) {
     try {
       setLoading(true);
       
-      // Get creator's active giveaways that are eligible for winner selection
+      // Get creator's ended giveaways that are eligible for winner selection
       const { data: allGiveaways, error } = await giveawayService.getCreatorGiveaways();
       
       if (error) {
@@ -139,14 +164,36 @@ export default function WinnerSelectionScreen({ navigation }) {
         return;
       }
 
-      // Filter for giveaways that can have winners selected
+      // Filter for giveaways that can have winners selected: closed by the
+      // lifecycle job and not yet drawn
       const eligibleGiveaways = allGiveaways.filter(giveaway => 
-        giveaway.status === 'active' && 
-        giveaway.current_entries > 0 &&
-        new Date(giveaway.end_date) <= new Date()
+        giveaway.status === 'ended' && 
+        !giveaway.winner_id &&
+        giveaway.current_entries > 0
       );
 
       setGiveaways(eligibleGiveaways);
+
+      // Drawn giveaways whose prizes are still being claimed
+      const drawnGiveaways = allGiveaways.filter(giveaway =>
+        giveaway.status === 'ended' && giveaway.winner_id
+      );
+      const groups = [];
+      const openFulfillments = [];
+      for (const giveaway of drawnGiveaways) {
+        const { data: giveawayFulfillments } = await prizeFulfillmentService.getGiveawayFulfillments(giveaway.id);
+        giveawayFulfillments
+          .filter(fulfillment => ['awaiting_shipment', 'shipped'].includes(fulfillment.status))
+          .forEach(fulfillment => openFulfillments.push({ ...fulfillment, giveaway }));
+
+        const { data: claims } = await winnerClaimService.getGiveawayClaims(giveaway.id);
+        const liveClaims = claims.filter(claim => claim.claim_status === 'pending');
+        if (liveClaims.length > 0) {
+          groups.push({ giveaway, claims: liveClaims });
+        }
+      }
+      setClaimGroups(groups);
+      setFulfillments(openFulfillments);
       
     } catch (error) {
       console.error('Error loading eligible giveaways:', error);
@@ -169,16 +216,25 @@ export default function WinnerSelectionScreen({ navigation }) {
             text: 'Select Winner',
             style: 'default',
             onPress: async () => {
-              const { data: winner, error } = await entryService.selectRandomWinner(giveaway.id);
+              const { data: result, error } = await fairnessService.selectWeightedWinners(giveaway.id);
               
               if (error) {
                 Alert.alert('Error', error.message || 'Failed to select winner');
                 return;
               }
+
+              const winner = result.winner;
+              const { data: claims } = await winnerClaimService.getGiveawayClaims(giveaway.id);
+              for (const claim of claims) {
+                await winnerClaimService.notifyWinner(claim, giveaway.title);
+              }
               
               Alert.alert(
                 '🎉 Winner Selected!',
-                `Congratulations to ${winner.user?.username || 'the winner'}! They have been notified of their win.`,
+                `Congratulations to ${winner.user?.username || 'the winner'}! They have been notified of their win.` +
+                  (result.excludedEntries?.length
+                    ? `\n\n${result.excludedEntries.length} ineligible ${result.excludedEntries.length === 1 ? 'entry was' : 'entries were'} excluded from the draw.`
+                    : ''),
                 [
                   { text: 'OK', onPress: () => loadEligibleGiveaways() }
                 ]
@@ -196,6 +252,60 @@ export default function WinnerSelectionScreen({ navigation }) {
     }
   };
 
+  const drawAlternate = (giveaway, claim) => {
+    Alert.alert(
+      'Draw Alternate',
+      `${claim.user?.username || 'This winner'} did not claim their prize in time. The next entry in the committed draw order will take position #${claim.position}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Draw Alternate',
+          onPress: async () => {
+            setRedrawing(claim.id);
+            const result = await winnerClaimService.forfeitWinner(claim.id, user.id);
+            setRedrawing(null);
+
+            if (!result.success) {
+              Alert.alert('Error', result.error || 'Failed to draw alternate');
+              return;
+            }
+
+            Alert.alert(
+              'Alternate Drawn',
+              `${result.alternate.user?.username || 'The alternate'} has been notified and has a new claim deadline.`,
+              [{ text: 'OK', onPress: () => loadEligibleGiveaways() }]
+            );
+          }
+        }
+      ]
+    );
+  };
+
+  const updateShipmentInput = (fulfillmentId, field, value) => {
+    setShipmentInputs(prev => ({
+      ...prev,
+      [fulfillmentId]: { ...prev[fulfillmentId], [field]: value }
+    }));
+  };
+
+  const recordShipment = async (fulfillment) => {
+    const input = shipmentInputs[fulfillment.id] || {};
+    setShipping(fulfillment.id);
+    const result = await prizeFulfillmentService.recordShipment(fulfillment.id, user.id, {
+      carrier: input.carrier,
+      trackingNumber: input.trackingNumber
+    });
+    setShipping(null);
+
+    if (!result.success) {
+      Alert.alert('Error', result.error || 'Failed to save tracking');
+      return;
+    }
+
+    Alert.alert('Tracking Saved', 'The winner has been notified. Your payout is released once they confirm receipt.');
+    loadEligibleGiveaways();
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -255,6 +365,93 @@ export default function WinnerSelectionScreen({ navigation }) {
     </View>
   );
 
+  const ClaimRow = ({ giveaway, claim }) => {
+    const expired = winnerClaimService.isClaimExpired(claim);
+
+    return (
+      <View style={styles.claimRow}>
+        <View style={styles.claimInfo}>
+          <Text style={styles.claimWinner}>
+            #{claim.position} {claim.user?.username || 'Winner'}
+            {claim.is_alternate ? ' (alternate)' : ''}
+          </Text>
+          <Text style={[styles.claimDeadline, expired && styles.claimExpired]}>
+            {expired ? 'Claim expired ' : 'Claim by '}
+            {claim.claim_deadline ? formatDate(claim.claim_deadline) : '—'}
+          </Text>
+        </View>
+
+        {expired && (
+          <TouchableOpacity
+            style={[styles.redrawButton, redrawing === claim.id && styles.selectButtonDisabled]}
+            onPress={() => drawAlternate(giveaway, claim)}
+            disabled={redrawing === claim.id}
+          >
+            <Text style={styles.redrawButtonText}>
+              {redrawing === claim.id ? 'Drawing...' : 'Draw Alternate'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  // Rendered as a function (not a component) so the inputs keep focus
+  const renderFulfillment = (fulfillment) => {
+    const input = shipmentInputs[fulfillment.id] || {};
+
+    return (
+      <View key={fulfillment.id} style={styles.giveawayCard}>
+        <Text style={styles.giveawayTitle} numberOfLines={2}>
+          {fulfillment.giveaway.title}
+        </Text>
+        <Text style={styles.giveawayPrize}>
+          #{fulfillment.winner?.position || 1} {fulfillment.user?.username || 'Winner'}
+        </Text>
+        <Text style={styles.addressText}>
+          {[
+            fulfillment.shipping_name,
+            fulfillment.address_line1,
+            fulfillment.address_line2,
+            [fulfillment.city, fulfillment.region, fulfillment.postal_code].filter(Boolean).join(', '),
+            fulfillment.country
+          ].filter(Boolean).join('\n')}
+        </Text>
+
+        {fulfillment.status === 'shipped' ? (
+          <Text style={styles.claimDeadline}>
+            Shipped via {fulfillment.carrier} ({fulfillment.tracking_number}) · awaiting winner confirmation
+          </Text>
+        ) : (
+          <>
+            <TextInput
+              style={styles.trackingInput}
+              placeholder="Carrier (e.g. UPS)"
+              value={input.carrier || ''}
+              onChangeText={value => updateShipmentInput(fulfillment.id, 'carrier', value)}
+            />
+            <TextInput
+              style={styles.trackingInput}
+              placeholder="Tracking number"
+              value={input.trackingNumber || ''}
+              onChangeText={value => updateShipmentInput(fulfillment.id, 'trackingNumber', value)}
+              autoCapitalize="characters"
+            />
+            <TouchableOpacity
+              style={[styles.redrawButton, styles.saveTrackingButton, shipping === fulfillment.id && styles.selectButtonDisabled]}
+              onPress={() => recordShipment(fulfillment)}
+              disabled={shipping === fulfillment.id}
+            >
+              <Text style={styles.redrawButtonText}>
+                {shipping === fulfillment.id ? 'Saving...' : 'Mark as Shipped'}
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
   return (
     <ScrollView style={styles.container}>
       {/* Header */}
@@ -274,7 +471,7 @@ export default function WinnerSelectionScreen({ navigation }) {
           <View style={styles.loadingContainer}>
             <Text style={styles.loadingText}>Loading eligible giveaways...</Text>
           </View>
-        ) : giveaways.length === 0 ? (
+        ) : giveaways.length === 0 && claimGroups.length === 0 && fulfillments.length === 0 ? (
           <View style={styles.emptyContainer}>
             <Ionicons name="trophy-outline" size={64} color="#ddd" />
             <Text style={styles.emptyTitle}>No Giveaways Ready</Text>
@@ -295,7 +492,7 @@ export default function WinnerSelectionScreen({ navigation }) {
               <View style={styles.infoText}>
                 <Text style={styles.infoTitle}>How Winner Selection Works</Text>
                 <Text style={styles.infoDescription}>
-                  Winners are selected randomly from all valid paid entries. Once selected, the winner will be notified and the giveaway will be marked as ended.
+                  Winners are drawn from all valid paid entries using the giveaway's committed fairness seed. Each winner is notified and has a deadline to claim; unclaimed prizes pass to the next alternate in the same draw order.
                 </Text>
               </View>
             </View>
@@ -303,6 +500,27 @@ export default function WinnerSelectionScreen({ navigation }) {
             {giveaways.map((giveaway) => (
               <GiveawayCard key={giveaway.id} giveaway={giveaway} />
             ))}
+
+            {claimGroups.length > 0 && (
+              <Text style={styles.sectionTitle}>Pending Prize Claims</Text>
+            )}
+
+            {claimGroups.map(({ giveaway, claims }) => (
+              <View key={giveaway.id} style={styles.giveawayCard}>
+                <Text style={styles.giveawayTitle} numberOfLines={2}>
+                  {giveaway.title}
+                </Text>
+                {claims.map((claim) => (
+                  <ClaimRow key={claim.id} giveaway={giveaway} claim={claim} />
+                ))}
+              </View>
+            ))}
+
+            {fulfillments.length > 0 && (
+              <Text style={styles.sectionTitle}>Prizes to Ship</Text>
+            )}
+
+            {fulfillments.map(renderFulfillment)}
           </>
         )}
       </Animated.View>
@@ -479,4 +697,67 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginLeft: 8,
   },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  claimRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    marginTop: 8,
+  },
+  claimInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  claimWinner: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  claimDeadline: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  claimExpired: {
+    color: '#e74c3c',
+  },
+  redrawButton: {
+    backgroundColor: '#667eea',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  redrawButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  addressText: {
+    fontSize: 14,
+    color: '#333',
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  trackingInput: {
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  saveTrackingButton: {
+    alignItems: 'center',
+    marginTop: 4,
+  },
 });
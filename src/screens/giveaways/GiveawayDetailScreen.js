@@ -114,6 +114,7 @@ import AMOEForm from '../../components/AMOEForm';
 import OfficialRules from '../../components/OfficialRules';
 import FairnessProofModal from '../../components/FairnessProofModal';
 import HowItWorksModal from '../../components/HowItWorksModal';
+import { formatAmount } from '../../services/currencyService';
 
 export default function GiveawayDetailScreen({ route, navigation }) {
   const { giveaway: initialGiveaway } = route.params;
@@ -926,7 +927,7 @@ export default function GiveawayDetailScreen({ route, navigation }) {
 
         <View style={[styles.statsSection, { backgroundColor: theme.surface }]}>
           <View style={styles.statItem}>
-            <Text style={[styles.statValue, { color: theme.text }]}>${giveaway.ticketPrice}</Text>
+            <Text style={[styles.statValue, { color: theme.text }]}>{formatAmount(giveaway.ticketPrice, giveaway.currency)}</Text>
             <Text style={[styles.statLabel, { color: theme.textSecondary }]}>Per Ticket</Text>
           </View>
           <View style={styles.statItem}>
@@ -1108,8 +1109,7 @@ Good luck to everyone participating!`}
         onClose={() => setShowOfficialRules(false)}
         giveaway={giveaway}
         sponsor={{
-          name: giveaway?.creator?.name || giveaway?.sponsor || "Entry Point",
-          address: "123 Main Street, Anytown, State 12345" // This should come from giveaway data
+          name: giveaway?.creator?.name || giveaway?.sponsor || "Entry Point"
         }}
       />
 
@@ -10,7 +10,7 @@
  * 
  * NAVIGATION:
  * - Accessed from: HomeScreen quick actions, ProfileScreen, bottom navigation
- * - Navigation Targets: GiveawayDetailScreen (via entry card tap)
+ * - Navigation Targets: GiveawayDetailScreen (via entry card tap), PrizeClaimScreen (won entries)
  * - Returns to: Previous screen via back button
  * - Deep Linking: Supports direct entry filtering and giveaway navigation
  * 
@@ -20,6 +20,7 @@
  * - Real-Time Statistics: Live calculation of spending, entries, and win rates
  * - Performance Analytics: Win probability calculations and success metrics
  * - Visual Status Indicators: Color-coded status badges and progress tracking
+ * - Refund Status: Pending, partial and completed refunds on each entry
  * - Pull-to-Refresh: Real-time data synchronization
  * 
  * USER REQUIREMENTS:
@@ -151,6 +152,9 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
 import { entryService } from '../../services/api';
+import { CLOSED_STATUSES } from '../../services/giveawayLifecycleService';
+import { ENTRY_REFUND_STATUS } from '../../services/refundService';
+import { formatMinor } from '../../services/currencyService';
 
 export default function MyEntriesScreen({ navigation, route }) {
   const { user } = useAuth();
@@ -203,7 +207,11 @@ export default function MyEntriesScreen({ navigation, route }) {
         image: entry.image || entry.giveaway?.image_url,
         totalEntries: entry.max_entries || entry.giveaway?.max_entries || entry.totalEntries,
         currentEntries: entry.current_entries || entry.giveaway?.current_entries,
-        result: entry.result
+        result: entry.result,
+        currency: entry.giveaway?.currency,
+        refundStatus: entry.refund_status,
+        refundedTickets: entry.refunded_ticket_count || 0,
+        refundedAmountMinor: entry.refunded_amount_minor || 0
       }));
       
       setEntries(transformedEntries);
@@ -225,7 +233,7 @@ export default function MyEntriesScreen({ navigation, route }) {
         filtered = entries.filter(entry => entry.status === 'active');
         break;
       case 'completed':
-        filtered = entries.filter(entry => entry.status === 'ended' || entry.status === 'completed');
+        filtered = entries.filter(entry => CLOSED_STATUSES.includes(entry.status) || entry.status === 'completed');
         break;
       case 'won':
         filtered = entries.filter(entry => entry.result === 'won' || entry.isWinner);
@@ -442,6 +450,32 @@ export default function MyEntriesScreen({ navigation, route }) {
     }
   };
 
+  const getRefundColor = (refundStatus) => {
+    switch (refundStatus) {
+      case ENTRY_REFUND_STATUS.PENDING: return '#FF9500';
+      case ENTRY_REFUND_STATUS.PARTIAL: return '#5856D6';
+      case ENTRY_REFUND_STATUS.REFUNDED: return '#8E8E93';
+      default: return '#666';
+    }
+  };
+
+  const getRefundLabel = (item) => {
+    const amount = formatMinor(item.refundedAmountMinor, item.currency);
+
+    switch (item.refundStatus) {
+      case ENTRY_REFUND_STATUS.PENDING:
+        return item.refundedTickets > 0
+          ? `${amount} refunded so far, rest of refund in progress`
+          : 'Refund in progress';
+      case ENTRY_REFUND_STATUS.PARTIAL:
+        return `${item.refundedTickets} ${item.refundedTickets === 1 ? 'ticket' : 'tickets'} refunded (${amount})`;
+      case ENTRY_REFUND_STATUS.REFUNDED:
+        return `Refunded ${amount}`;
+      default:
+        return '';
+    }
+  };
+
   const getCategoryIcon = (category) => {
     switch (category) {
       case 'tech': return 'phone-portrait';
@@ -568,6 +602,23 @@ export default function MyEntriesScreen({ navigation, route }) {
             </Text>
           </View>
         </View>
+
+        {item.refundStatus && (
+          <View style={[styles.refundBanner, { backgroundColor: getRefundColor(item.refundStatus) }]}>
+            <Ionicons name={item.refundStatus === ENTRY_REFUND_STATUS.PENDING ? 'hourglass' : 'return-down-back'} size={14} color="#fff" />
+            <Text style={styles.refundBannerText}>{getRefundLabel(item)}</Text>
+          </View>
+        )}
+
+        {(item.result === 'won' || item.isWinner) && (
+          <TouchableOpacity
+            style={styles.claimButton}
+            onPress={() => navigation.navigate('PrizeClaim', { giveawayId: item.giveawayId })}
+          >
+            <Ionicons name="gift" size={16} color="#fff" />
+            <Text style={styles.claimButtonText}>Claim & Track Prize</Text>
+          </TouchableOpacity>
+        )}
       </View>
     </TouchableOpacity>
   );
@@ -692,6 +743,35 @@ const styles = StyleSheet.create({
   headerRight: {
     width: 24,
   },
+  claimButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#34C759',
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginTop: 12,
+  },
+  refundBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    marginTop: 12,
+  },
+  refundBannerText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  claimButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
   statsContainer: {
     flexDirection: 'row',
     paddingHorizontal: 20,
@@ -68,6 +68,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
 import { giveawayService } from '../../services/api';
+import { CLOSED_STATUSES, STATUS_LABELS } from '../../services/giveawayLifecycleService';
 
 export default function MyGiveawaysScreen({ navigation }) {
   const { user } = useAuth();
@@ -178,25 +179,25 @@ export default function MyGiveawaysScreen({ navigation }) {
     );
   };
 
+  // Closed or cancelled giveaways go under the Completed tab
+  const isFinished = (giveaway) =>
+    CLOSED_STATUSES.includes(giveaway.status) || giveaway.status === 'cancelled';
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active': return '#34C759';
-      case 'completed': return '#007AFF';
-      case 'pending': return '#FF9500';
-      case 'cancelled': return '#FF3B30';
+      case 'ended':
+      case 'drawn':
+      case 'fulfilled': return '#007AFF';
+      case 'pending_review':
+      case 'scheduled': return '#FF9500';
+      case 'cancelled':
+      case 'frozen': return '#FF3B30';
       default: return '#666';
     }
   };
 
-  const getStatusText = (status) => {
-    switch (status) {
-      case 'active': return 'Active';
-      case 'completed': return 'Completed';
-      case 'pending': return 'Pending';
-      case 'cancelled': return 'Cancelled';
-      default: return status;
-    }
-  };
+  const getStatusText = (status) => STATUS_LABELS[status] || status;
 
   const renderCreatedGiveaway = ({ item }) => {
     const progressPercentage = item.max_entries ? ((item.current_entries || 0) / item.max_entries) * 100 : 0;
@@ -212,7 +213,12 @@ export default function MyGiveawaysScreen({ navigation }) {
       switch (status) {
         case 'active': return 'play-circle';
         case 'draft': return 'create-outline';
-        case 'completed': return 'checkmark-circle';
+        case 'pending_review': return 'hourglass-outline';
+        case 'scheduled': return 'time-outline';
+        case 'ended':
+        case 'drawn':
+        case 'fulfilled': return 'checkmark-circle';
+        case 'frozen': return 'snow-outline';
         case 'cancelled': return 'close-circle';
         default: return 'help-circle';
       }
@@ -399,20 +405,20 @@ export default function MyGiveawaysScreen({ navigation }) {
           <Text style={[styles.statLabel, { color: theme.textSecondary }]}>Ongoing</Text>
         </View>
         <View style={styles.statCard}>
-          <Text style={[styles.statNumber, { color: theme.text }]}>{createdGiveaways.filter(g => g.status === 'completed').length}</Text>
+          <Text style={[styles.statNumber, { color: theme.text }]}>{createdGiveaways.filter(g => CLOSED_STATUSES.includes(g.status)).length}</Text>
           <Text style={[styles.statLabel, { color: theme.textSecondary }]}>Completed</Text>
         </View>
       </View>
 
       {/* Content */}
       <FlatList
-        data={activeTab === 'ongoing' ? createdGiveaways.filter(g => g.status === 'active' || g.status === 'draft') : createdGiveaways.filter(g => g.status === 'completed' || g.status === 'cancelled')}
+        data={activeTab === 'ongoing' ? createdGiveaways.filter(g => !isFinished(g)) : createdGiveaways.filter(isFinished)}
         keyExtractor={(item) => (item.id || 0).toString()}
         renderItem={renderCreatedGiveaway}
         style={styles.giveawaysList}
         contentContainerStyle={[
           styles.giveawaysContent,
-          (activeTab === 'ongoing' ? createdGiveaways.filter(g => g.status === 'active' || g.status === 'draft') : createdGiveaways.filter(g => g.status === 'completed' || g.status === 'cancelled')).length === 0 && styles.emptyContentContainer
+          (activeTab === 'ongoing' ? createdGiveaways.filter(g => !isFinished(g)) : createdGiveaways.filter(isFinished)).length === 0 && styles.emptyContentContainer
         ]}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
@@ -424,8 +430,8 @@ export default function MyGiveawaysScreen({ navigation }) {
               showsHorizontalScrollIndicator={false}
               contentContainerStyle={styles.tabsContent}
             >
-              {renderTabButton('ongoing', 'Ongoing', createdGiveaways.filter(g => g.status === 'active' || g.status === 'draft').length)}
-              {renderTabButton('completed', 'Completed', createdGiveaways.filter(g => g.status === 'completed' || g.status === 'cancelled').length)}
+              {renderTabButton('ongoing', 'Ongoing', createdGiveaways.filter(g => !isFinished(g)).length)}
+              {renderTabButton('completed', 'Completed', createdGiveaways.filter(isFinished).length)}
             </ScrollView>
           </View>
         )}
@@ -0,0 +1,584 @@
+/**
+ * PrizeClaimScreen - Winner Affidavit, Shipping & Receipt Confirmation
+ *
+ * PURPOSE:
+ * - Lets a winner claim their prize by signing the eligibility affidavit/release
+ *   and submitting a shipping address before their claim deadline
+ * - Collects W-9 details first when the prize takes the winner over the
+ *   1099-MISC threshold for the year (see taxService)
+ * - Shows carrier and tracking once the creator ships the prize
+ * - Lets the winner confirm receipt, which releases the creator's escrow
+ *
+ * NAVIGATION:
+ * - Accessed from: MyEntriesScreen (won entries), winner notifications
+ * - Params: { giveawayId }
+ * - Returns to: Previous screen via back button
+ *
+ * STATES:
+ * - No fulfillment yet: affidavit + address form (+ W-9 when required)
+ * - awaiting_shipment: waiting on the creator
+ * - shipped: tracking details + "Confirm Receipt"
+ * - delivered / admin_override: complete
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  SafeAreaView,
+  StatusBar,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../../context/AuthContext';
+import { useTheme } from '../../context/ThemeContext';
+import prizeFulfillmentService, { AFFIDAVIT_TEXT, AFFIDAVIT_VERSION } from '../../services/prizeFulfillmentService';
+import taxService, { TAX_CLASSIFICATIONS, TIN_TYPES, W9_CERTIFICATION_TEXT } from '../../services/taxService';
+
+const ADDRESS_FIELDS = [
+  { key: 'shipping_name', label: 'Full Name', required: true },
+  { key: 'address_line1', label: 'Address Line 1', required: true },
+  { key: 'address_line2', label: 'Address Line 2' },
+  { key: 'city', label: 'City', required: true },
+  { key: 'region', label: 'State / Region' },
+  { key: 'postal_code', label: 'Postal Code', required: true },
+  { key: 'country', label: 'Country', required: true },
+  { key: 'phone', label: 'Phone (for delivery)' },
+];
+
+const TAX_FIELDS = [
+  { key: 'legalName', label: 'Legal Name (as on your tax return)', required: true },
+  { key: 'businessName', label: 'Business Name (if different)' },
+  { key: 'addressLine1', label: 'Address', required: true },
+  { key: 'addressLine2', label: 'Apt / Suite' },
+  { key: 'city', label: 'City', required: true },
+  { key: 'state', label: 'State (e.g. CA)', required: true },
+  { key: 'postalCode', label: 'ZIP Code', required: true },
+];
+
+export default function PrizeClaimScreen({ navigation, route }) {
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const giveawayId = route?.params?.giveawayId;
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [winner, setWinner] = useState(null);
+  const [fulfillment, setFulfillment] = useState(null);
+  const [address, setAddress] = useState({});
+  const [signedName, setSignedName] = useState('');
+  const [dateOfBirth, setDateOfBirth] = useState('');
+  const [agreed, setAgreed] = useState(false);
+  const [taxStatus, setTaxStatus] = useState(null);
+  const [taxProfile, setTaxProfile] = useState({ taxClassification: 'individual', tinType: 'ssn' });
+  const [tin, setTin] = useState('');
+  const [taxSignedName, setTaxSignedName] = useState('');
+  const [backupWithholding, setBackupWithholding] = useState(false);
+  const [taxAgreed, setTaxAgreed] = useState(false);
+
+  useEffect(() => {
+    loadClaim();
+  }, []);
+
+  const loadClaim = async () => {
+    try {
+      setLoading(true);
+      const { data, error } = await prizeFulfillmentService.getWinnerFulfillment(giveawayId, user.id);
+
+      if (error) {
+        Alert.alert('Error', 'Failed to load your prize details');
+        return;
+      }
+
+      setWinner(data?.winner || null);
+      setFulfillment(data?.fulfillment || null);
+
+      if (data?.winner && !data?.fulfillment) {
+        const status = await taxService.getTaxStatus(data.winner.id);
+        if (status.success) {
+          setTaxStatus(status.data);
+        }
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const needsTaxInfo = !!taxStatus?.required && !taxStatus?.profile;
+
+  const submitAffidavit = async () => {
+    setSubmitting(true);
+
+    // The claim is refused without a W-9 on file, so it goes first
+    if (needsTaxInfo) {
+      const taxResult = await taxService.submitTaxInfo({
+        profile: taxProfile,
+        tin,
+        signedName: taxSignedName,
+        backupWithholding,
+        agreed: taxAgreed
+      });
+
+      if (!taxResult.success) {
+        setSubmitting(false);
+        Alert.alert('Tax Information', taxResult.error);
+        return;
+      }
+
+      setTin('');
+      setTaxStatus(prev => ({ ...prev, profile: taxResult.data }));
+    }
+
+    const result = await prizeFulfillmentService.submitAffidavit(winner.id, user.id, {
+      address,
+      signedName,
+      dateOfBirth: dateOfBirth.trim() || null,
+      agreed
+    });
+    setSubmitting(false);
+
+    if (!result.success) {
+      Alert.alert('Could Not Claim Prize', result.error);
+      return;
+    }
+
+    setFulfillment(result.data);
+    Alert.alert('🎉 Prize Claimed!', 'The creator has been notified and will ship your prize.');
+  };
+
+  const confirmReceipt = () => {
+    Alert.alert(
+      'Confirm Receipt',
+      'Only confirm once your prize has arrived. This releases the creator\'s payout.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'I Received It',
+          onPress: async () => {
+            setSubmitting(true);
+            const result = await prizeFulfillmentService.confirmReceipt(fulfillment.id, user.id);
+            setSubmitting(false);
+
+            if (!result.success) {
+              Alert.alert('Error', result.error);
+              return;
+            }
+            setFulfillment(result.data);
+          }
+        }
+      ]
+    );
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const renderStatusCard = () => {
+    const statusCopy = {
+      awaiting_shipment: { icon: 'cube-outline', title: 'Waiting for Shipment', text: 'The creator has your details and will add tracking once the prize ships.' },
+      shipped: { icon: 'airplane-outline', title: 'On Its Way', text: 'Confirm receipt below once your prize arrives.' },
+      delivered: { icon: 'checkmark-circle', title: 'Delivered', text: `You confirmed receipt on ${formatDate(fulfillment.delivered_at)}. Enjoy your prize!` },
+      admin_override: { icon: 'shield-checkmark', title: 'Closed by Support', text: 'Support has closed out this prize. Contact us if anything is wrong.' },
+    }[fulfillment.status];
+
+    return (
+      <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+        <View style={styles.statusHeader}>
+          <Ionicons name={statusCopy.icon} size={28} color={theme.primary} />
+          <Text style={[styles.cardTitle, { color: theme.text }]}>{statusCopy.title}</Text>
+        </View>
+        <Text style={[styles.bodyText, { color: theme.textSecondary }]}>{statusCopy.text}</Text>
+
+        {fulfillment.tracking_number && (
+          <View style={[styles.trackingBox, { borderColor: theme.border }]}>
+            <Text style={[styles.detailLabel, { color: theme.textTertiary }]}>Carrier</Text>
+            <Text style={[styles.detailValue, { color: theme.text }]}>{fulfillment.carrier}</Text>
+            <Text style={[styles.detailLabel, { color: theme.textTertiary }]}>Tracking Number</Text>
+            <Text style={[styles.detailValue, { color: theme.text }]} selectable>{fulfillment.tracking_number}</Text>
+            <Text style={[styles.detailLabel, { color: theme.textTertiary }]}>Shipped</Text>
+            <Text style={[styles.detailValue, { color: theme.text }]}>{formatDate(fulfillment.shipped_at)}</Text>
+          </View>
+        )}
+
+        {fulfillment.status === 'shipped' && (
+          <TouchableOpacity
+            style={[styles.primaryButton, submitting && styles.buttonDisabled]}
+            onPress={confirmReceipt}
+            disabled={submitting}
+          >
+            <Text style={styles.primaryButtonText}>Confirm Receipt</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderTaxForm = () => (
+    <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+      <Text style={[styles.cardTitle, { color: theme.text }]}>Tax Information (Form W-9)</Text>
+      <Text style={[styles.bodyText, { color: theme.textSecondary }]}>
+        Prizes worth $600 or more in a year are reported to the IRS on Form 1099-MISC. Your taxpayer
+        identification number is encrypted and only used for that filing.
+      </Text>
+
+      {TAX_FIELDS.map(field => (
+        <TextInput
+          key={field.key}
+          style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+          placeholder={`${field.label}${field.required ? ' *' : ''}`}
+          placeholderTextColor={theme.textTertiary}
+          autoCapitalize={field.key === 'state' ? 'characters' : 'words'}
+          value={taxProfile[field.key] || ''}
+          onChangeText={value => setTaxProfile(prev => ({ ...prev, [field.key]: value }))}
+        />
+      ))}
+
+      <Text style={[styles.detailLabel, { color: theme.textTertiary }]}>Federal tax classification</Text>
+      <View style={styles.chipRow}>
+        {TAX_CLASSIFICATIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[
+              styles.chip,
+              { borderColor: theme.border },
+              taxProfile.taxClassification === option.value && styles.chipSelected
+            ]}
+            onPress={() => setTaxProfile(prev => ({ ...prev, taxClassification: option.value }))}
+          >
+            <Text style={[
+              styles.chipText,
+              { color: taxProfile.taxClassification === option.value ? '#fff' : theme.text }
+            ]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.chipRow}>
+        {TIN_TYPES.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, { borderColor: theme.border }, taxProfile.tinType === option.value && styles.chipSelected]}
+            onPress={() => setTaxProfile(prev => ({ ...prev, tinType: option.value }))}
+          >
+            <Text style={[styles.chipText, { color: taxProfile.tinType === option.value ? '#fff' : theme.text }]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TextInput
+        style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+        placeholder={`${TIN_TYPES.find(t => t.value === taxProfile.tinType)?.label} *`}
+        placeholderTextColor={theme.textTertiary}
+        keyboardType="number-pad"
+        secureTextEntry
+        maxLength={11}
+        value={tin}
+        onChangeText={setTin}
+      />
+
+      <Text style={[styles.affidavitText, styles.certificationText, { color: theme.textSecondary }]}>
+        {W9_CERTIFICATION_TEXT}
+      </Text>
+
+      <TouchableOpacity style={styles.agreeRow} onPress={() => setBackupWithholding(!backupWithholding)}>
+        <Ionicons
+          name={backupWithholding ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={backupWithholding ? theme.primary : theme.textSecondary}
+        />
+        <Text style={[styles.agreeText, { color: theme.text }]}>
+          The IRS has notified me that I am subject to backup withholding
+        </Text>
+      </TouchableOpacity>
+
+      <TextInput
+        style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+        placeholder="Type your full legal name to certify *"
+        placeholderTextColor={theme.textTertiary}
+        value={taxSignedName}
+        onChangeText={setTaxSignedName}
+      />
+
+      <TouchableOpacity style={styles.agreeRow} onPress={() => setTaxAgreed(!taxAgreed)}>
+        <Ionicons
+          name={taxAgreed ? 'checkbox' : 'square-outline'}
+          size={22}
+          color={taxAgreed ? theme.primary : theme.textSecondary}
+        />
+        <Text style={[styles.agreeText, { color: theme.text }]}>
+          I certify the statements above under penalties of perjury
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderAffidavitForm = () => (
+    <>
+      {needsTaxInfo && renderTaxForm()}
+
+      {taxStatus?.required && taxStatus?.profile && (
+        <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+          <Text style={[styles.cardTitle, { color: theme.text }]}>Tax Information on File</Text>
+          <Text style={[styles.bodyText, { color: theme.textSecondary }]}>
+            W-9 for {taxStatus.profile.legal_name} ({taxStatus.profile.tin_masked}), certified {formatDate(taxStatus.profile.certified_at)}.
+          </Text>
+        </View>
+      )}
+
+      <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+        <Text style={[styles.cardTitle, { color: theme.text }]}>Shipping Address</Text>
+        {ADDRESS_FIELDS.map(field => (
+          <TextInput
+            key={field.key}
+            style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+            placeholder={`${field.label}${field.required ? ' *' : ''}`}
+            placeholderTextColor={theme.textTertiary}
+            value={address[field.key] || ''}
+            onChangeText={value => setAddress(prev => ({ ...prev, [field.key]: value }))}
+          />
+        ))}
+      </View>
+
+      <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+        <Text style={[styles.cardTitle, { color: theme.text }]}>Affidavit of Eligibility & Release</Text>
+        <Text style={[styles.versionText, { color: theme.textTertiary }]}>Version {AFFIDAVIT_VERSION}</Text>
+        <Text style={[styles.affidavitText, { color: theme.textSecondary }]}>{AFFIDAVIT_TEXT}</Text>
+
+        <TextInput
+          style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+          placeholder="Date of birth (YYYY-MM-DD)"
+          placeholderTextColor={theme.textTertiary}
+          value={dateOfBirth}
+          onChangeText={setDateOfBirth}
+        />
+        <TextInput
+          style={[styles.input, { color: theme.text, borderColor: theme.border }]}
+          placeholder="Type your full legal name to sign *"
+          placeholderTextColor={theme.textTertiary}
+          value={signedName}
+          onChangeText={setSignedName}
+        />
+
+        <TouchableOpacity style={styles.agreeRow} onPress={() => setAgreed(!agreed)}>
+          <Ionicons
+            name={agreed ? 'checkbox' : 'square-outline'}
+            size={22}
+            color={agreed ? theme.primary : theme.textSecondary}
+          />
+          <Text style={[styles.agreeText, { color: theme.text }]}>
+            I have read and agree to the affidavit and release above
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, (!agreed || (needsTaxInfo && !taxAgreed) || submitting) && styles.buttonDisabled]}
+          onPress={submitAffidavit}
+          disabled={!agreed || (needsTaxInfo && !taxAgreed) || submitting}
+        >
+          <Text style={styles.primaryButtonText}>{submitting ? 'Submitting...' : 'Sign & Claim Prize'}</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.background }]}>
+      <StatusBar
+        barStyle={theme.isDarkMode ? 'light-content' : 'dark-content'}
+        backgroundColor={theme.background}
+      />
+      <View style={[styles.header, { backgroundColor: theme.background, borderBottomColor: theme.border }]}>
+        <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+          <Ionicons name="arrow-back" size={24} color={theme.text} />
+        </TouchableOpacity>
+        <Text style={[styles.headerTitle, { color: theme.text }]}>Your Prize</Text>
+        <View style={styles.headerRight} />
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} color={theme.primary} />
+      ) : !winner ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="trophy-outline" size={64} color={theme.textTertiary} />
+          <Text style={[styles.bodyText, { color: theme.textSecondary }]}>
+            There is no open prize for you on this giveaway.
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          <View style={[styles.card, { backgroundColor: theme.surface, borderColor: theme.border }]}>
+            <Text style={[styles.cardTitle, { color: theme.text }]}>{winner.giveaway?.title}</Text>
+            <Text style={[styles.prizeText, { color: theme.primary }]}>
+              {winner.prize_tier ? `${winner.prize_tier}: ` : ''}{winner.prize_description || winner.giveaway?.prize_description}
+            </Text>
+            {winner.claim_status === 'pending' && (
+              <Text style={[styles.deadlineText, { color: '#FF3B30' }]}>
+                Claim by {formatDate(winner.claim_deadline)} or the prize passes to an alternate
+              </Text>
+            )}
+          </View>
+
+          {fulfillment ? renderStatusCard() : renderAffidavitForm()}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingTop: 15,
+    paddingBottom: 15,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderBottomWidth: 1,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    flex: 1,
+    textAlign: 'center',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerRight: {
+    width: 24,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyContainer: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 17,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  statusHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  prizeText: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  deadlineText: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+  bodyText: {
+    fontSize: 14,
+    lineHeight: 20,
+    textAlign: 'left',
+    marginTop: 8,
+  },
+  versionText: {
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  affidavitText: {
+    fontSize: 13,
+    lineHeight: 19,
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginTop: 8,
+  },
+  agreeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  agreeText: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 10,
+  },
+  certificationText: {
+    marginTop: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  trackingBox: {
+    borderTopWidth: 1,
+    marginTop: 12,
+    paddingTop: 12,
+  },
+  detailLabel: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  detailValue: {
+    fontSize: 15,
+    fontWeight: '500',
+  },
+  primaryButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -3,3 +3,4 @@ export { default as GiveawaysScreen } from './GiveawaysScreen';
 export { default as GiveawayDetailScreen } from './GiveawayDetailScreen';
 export { default as MyGiveawaysScreen } from './MyGiveawaysScreen';
 export { default as MyEntriesScreen } from './MyEntriesScreen';
+export { default as PrizeClaimScreen } from './PrizeClaimScreen';
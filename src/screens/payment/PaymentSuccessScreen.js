@@ -84,6 +84,7 @@ import {
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
+import { formatAmount } from '../../services/currencyService';
 
 export default function PaymentSuccessScreen({ navigation, route }) {
   const { giveaway, ticketCount, amount } = route.params || {};
@@ -132,7 +133,7 @@ export default function PaymentSuccessScreen({ navigation, route }) {
               <View style={styles.detailRow}>
                 <Ionicons name="card-outline" size={20} color="rgba(255,255,255,0.8)" />
                 <Text style={styles.detailText}>
-                  ${amount ? amount.toFixed(2) : '0.00'} charged
+                  {formatAmount(amount || 0, giveaway.currency)} charged
                 </Text>
               </View>
             </View>
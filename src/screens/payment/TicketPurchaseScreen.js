@@ -41,10 +41,14 @@
  * BUSINESS LOGIC:
  * • Entry Limits: Per-user maximum entry restrictions (100 entries)
  * • Availability Validation: Real-time remaining ticket calculations
- * • Pricing Structure: Base entry cost + processing fees ($0.30)
+ * • Pricing Structure: Entrants pay the entry cost; the itemized platform and
+ *   processing fees (feeService, the same engine the server settles with) come
+ *   out of the creator's share
  * • Inventory Management: Live entry count updates post-purchase
  * • Double-spend Prevention: Transaction validation and duplicate detection
- * • Currency Formatting: Proper decimal handling and display formatting
+ * • Currency Formatting: Prices are charged and shown in the giveaway's currency
+ *   (currencyService); entrants elsewhere also see an approximate amount in
+ *   their own currency at the reference rate, with no conversion markup
  * 
  * USER EXPERIENCE:
  * • Interactive Entry Selection: +/- buttons with direct input capability
@@ -128,6 +132,10 @@ import { useAuth } from '../../context/AuthContext';
 import { paymentService } from '../../services/paymentService';
 import { notificationService } from '../../services/notificationService';
 import { entryService, giveawayService } from '../../services/api';
+import eligibilityService from '../../services/eligibilityService';
+import feeService from '../../services/feeService';
+import currencyService, { formatAmount, normalizeCurrency } from '../../services/currencyService';
+import { ELIGIBILITY_REASONS } from '../../config/geographicCompliance';
 
 // Stripe publishable key from environment variables
 const STRIPE_PUBLISHABLE_KEY = process.env.EXPO_PUBLIC_STRIPE_PUBLISHABLE_KEY || 'pk_test_your_stripe_publishable_key_here';
@@ -148,18 +156,39 @@ function TicketPurchaseContent({ navigation, route }) {
   const [loading, setLoading] = useState(false);
   const [paymentSheetReady, setPaymentSheetReady] = useState(false);
   const [purchaseComplete, setPurchaseComplete] = useState(false);
+  const [eligibilityIssue, setEligibilityIssue] = useState(null);
+  const [declaration, setDeclaration] = useState({ state: '', dateOfBirth: '' });
+  const [fees, setFees] = useState(null);
+  const [localEstimate, setLocalEstimate] = useState(null);
 
-  const entryPrice = giveaway.entry_cost || giveaway.ticketPrice || 5.00;
+  const currency = normalizeCurrency(giveaway.currency);
+  const entryPrice = giveaway.entry_cost || giveaway.ticket_price || giveaway.ticketPrice || 5.00;
   const totalAmount = entryCount * entryPrice;
+  const formatPrice = (amount) => formatAmount(amount, currency);
   const maxEntries = giveaway.max_entries || giveaway.totalTickets || 100;
   const currentEntries = giveaway.current_entries || giveaway.soldTickets || 0;
   const remainingEntries = maxEntries - currentEntries;
   const remainingTickets = giveaway.remainingTickets || remainingEntries;
 
   useEffect(() => {
+    loadFeePreview();
     initializePaymentSheet();
   }, [entryCount]);
 
+  const loadFeePreview = async () => {
+    const { data } = await feeService.previewFees(totalAmount, { giveawayId: giveaway.id, currency });
+    if (data) setFees(data);
+
+    // FX-neutral: the charge is always in the giveaway's currency; this is
+    // only a reference-rate approximation in the entrant's own currency
+    const deviceCurrency = currencyService.getDeviceCurrency();
+    setLocalEstimate(
+      deviceCurrency === currency
+        ? null
+        : await currencyService.convertForDisplay(totalAmount, currency, deviceCurrency)
+    );
+  };
+
   const initializePaymentSheet = async () => {
     if (!user) return;
 
@@ -194,15 +223,37 @@ function TicketPurchaseContent({ navigation, route }) {
         giveaway.id,
         user.id,
         entryCount,
-        totalAmount
+        totalAmount,
+        giveaway.creator_id,
+        null,
+        currency
       );
 
+      // The price changed since the giveaway was loaded
+      if (error?.reason === 'price_changed') {
+        Alert.alert('Price Updated', error.message);
+        return;
+      }
+
+      // Ineligible for this giveaway: show the reason instead of a payment sheet
+      if (error?.reason) {
+        setEligibilityIssue(error);
+        setPaymentSheetReady(false);
+        return;
+      }
+      setEligibilityIssue(null);
+
       if (error) {
         console.error('Payment intent error:', error);
         Alert.alert('Error', 'Failed to initialize payment. Please try again.');
         return;
       }
 
+      // The server's breakdown is what settles; show it in place of the preview
+      if (paymentIntent.fees) {
+        setFees(feeService.toDollars(paymentIntent.fees));
+      }
+
       // Initialize payment sheet only for real payments
       const { error: paymentSheetError } = await initPaymentSheet({
         merchantDisplayName: 'Entry Point',
@@ -279,15 +330,16 @@ function TicketPurchaseContent({ navigation, route }) {
         // Send success notification
         await notificationService.sendPaymentSuccessNotification(
           giveaway.title,
-          totalAmount.toFixed(2),
-          entryCount
+          totalAmount,
+          entryCount,
+          currency
         );
         
         // Navigate to success screen
         navigation.navigate('PaymentSuccess', {
           giveaway,
           entryCount,
-          amount: totalAmount + 0.30,
+          amount: totalAmount,
           entryId: entry.id
         });
         return;
@@ -328,8 +380,9 @@ function TicketPurchaseContent({ navigation, route }) {
                   // Send payment success notification
                   await notificationService.sendPaymentSuccessNotification(
                     giveaway.title || giveaway.name || 'Giveaway',
-                    (totalAmount + 0.30).toFixed(2),
-                    entryCount
+                    totalAmount,
+                    entryCount,
+                    currency
                   );
 
                   // Send entry confirmation notification
@@ -342,7 +395,7 @@ function TicketPurchaseContent({ navigation, route }) {
                   navigation.navigate('PaymentSuccess', {
                     giveaway,
                     entryCount,
-                    amount: totalAmount + 0.30,
+                    amount: totalAmount,
                     entryId: entry.id
                   });
                 } catch (error) {
@@ -390,8 +443,9 @@ function TicketPurchaseContent({ navigation, route }) {
       // Send payment success notification
       await notificationService.sendPaymentSuccessNotification(
         giveaway.title || giveaway.name || 'Giveaway',
-        (totalAmount + 0.30).toFixed(2),
-        entryCount
+        totalAmount,
+        entryCount,
+        currency
       );
 
       // Send entry confirmation notification
@@ -404,7 +458,7 @@ function TicketPurchaseContent({ navigation, route }) {
       navigation.navigate('PaymentSuccess', {
         giveaway,
         entryCount,
-        amount: totalAmount + 0.30
+        amount: totalAmount
       });
 
     } catch (error) {
@@ -415,6 +469,31 @@ function TicketPurchaseContent({ navigation, route }) {
     }
   };
 
+  const submitDeclaration = async () => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(declaration.dateOfBirth) || !declaration.state.trim()) {
+      Alert.alert('Eligibility', 'Enter your state and your date of birth as YYYY-MM-DD.');
+      return;
+    }
+
+    const { error } = await eligibilityService.saveDeclaration(user.id, {
+      country: 'US',
+      state: declaration.state,
+      dateOfBirth: declaration.dateOfBirth
+    }, 'checkout');
+
+    if (error) {
+      Alert.alert(
+        'Error',
+        error.code === ELIGIBILITY_REASONS.DECLARATION_MISMATCH
+          ? error.message
+          : 'Could not save your eligibility details. Please try again.'
+      );
+      return;
+    }
+
+    initializePaymentSheet();
+  };
+
   const increaseEntries = () => {
     if (entryCount < remainingEntries && entryCount < 100) {
       setEntryCount(entryCount + 1);
@@ -513,24 +592,71 @@ function TicketPurchaseContent({ navigation, route }) {
         
         <View style={styles.pricingRow}>
           <Text style={styles.pricingLabel}>
-            {entryCount} ticket{entryCount > 1 ? 's' : ''} × ${entryPrice.toFixed(2)}
+            {entryCount} ticket{entryCount > 1 ? 's' : ''} × {formatPrice(entryPrice)}
           </Text>
-          <Text style={styles.pricingValue}>${(entryCount * entryPrice).toFixed(2)}</Text>
-        </View>
-        
-        <View style={styles.pricingRow}>
-          <Text style={styles.pricingLabel}>Processing fee</Text>
-          <Text style={styles.pricingValue}>$0.30</Text>
+          <Text style={styles.pricingValue}>{formatPrice(entryCount * entryPrice)}</Text>
         </View>
         
         <View style={styles.divider} />
         
         <View style={styles.pricingRow}>
           <Text style={styles.totalLabel}>Total</Text>
-          <Text style={styles.totalValue}>${(totalAmount + 0.30).toFixed(2)}</Text>
+          <Text style={styles.totalValue}>{formatPrice(totalAmount)}</Text>
         </View>
+
+        {localEstimate && (
+          <Text style={styles.localEstimate}>
+            ≈ {formatAmount(localEstimate.amount, localEstimate.currency)} · You're charged in{' '}
+            {currency.toUpperCase()}; we add no conversion fee, but your bank may.
+          </Text>
+        )}
+
+        {fees && (
+          <View style={styles.feeBreakdown}>
+            <Text style={styles.feeBreakdownTitle}>Fees, deducted from the creator's share:</Text>
+            {fees.lineItems.map(item => (
+              <View key={item.code} style={styles.pricingRow}>
+                <Text style={styles.feeLabel}>{item.label}</Text>
+                <Text style={styles.feeValue}>{formatPrice(item.amount)}</Text>
+              </View>
+            ))}
+          </View>
+        )}
       </View>
 
+      {/* Eligibility */}
+      {eligibilityIssue && (
+        <View style={styles.eligibilitySection}>
+          <View style={styles.eligibilityHeader}>
+            <Ionicons name="alert-circle-outline" size={20} color="#FF9500" />
+            <Text style={styles.eligibilityMessage}>{eligibilityIssue.message}</Text>
+          </View>
+          {eligibilityIssue.reason === ELIGIBILITY_REASONS.DECLARATION_REQUIRED && (
+            <>
+              <TextInput
+                style={styles.eligibilityInput}
+                placeholder="State of residence (e.g. CA)"
+                value={declaration.state}
+                onChangeText={(state) => setDeclaration(prev => ({ ...prev, state }))}
+                autoCapitalize="characters"
+                maxLength={20}
+              />
+              <TextInput
+                style={styles.eligibilityInput}
+                placeholder="Date of birth (YYYY-MM-DD)"
+                value={declaration.dateOfBirth}
+                onChangeText={(dateOfBirth) => setDeclaration(prev => ({ ...prev, dateOfBirth }))}
+                keyboardType="numbers-and-punctuation"
+                maxLength={10}
+              />
+              <TouchableOpacity style={styles.eligibilityButton} onPress={submitDeclaration}>
+                <Text style={styles.eligibilityButtonText}>Confirm I'm a U.S. Resident</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+
       {/* Purchase Button */}
       <View style={styles.purchaseSection}>
         <TouchableOpacity
@@ -548,7 +674,7 @@ function TicketPurchaseContent({ navigation, route }) {
               <>
                 <Ionicons name="card-outline" size={20} color="white" />
                 <Text style={styles.purchaseButtonText}>
-                  {isDevMode ? 'Demo Purchase' : hasRealStripeKey ? 'Test Purchase' : 'Purchase'} ${(totalAmount + 0.30).toFixed(2)}
+                  {isDevMode ? 'Demo Purchase' : hasRealStripeKey ? 'Test Purchase' : 'Purchase'} {formatPrice(totalAmount)}
                 </Text>
               </>
             )}
@@ -721,6 +847,27 @@ const styles = StyleSheet.create({
     color: '#333',
     fontWeight: '500',
   },
+  feeBreakdown: {
+    marginTop: 12,
+  },
+  feeBreakdownTitle: {
+    fontSize: 13,
+    color: '#999',
+    marginBottom: 6,
+  },
+  feeLabel: {
+    fontSize: 14,
+    color: '#999',
+  },
+  feeValue: {
+    fontSize: 14,
+    color: '#999',
+  },
+  localEstimate: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
   divider: {
     height: 1,
     backgroundColor: '#e0e0e0',
@@ -736,6 +883,44 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#667eea',
   },
+  eligibilitySection: {
+    backgroundColor: '#FFF8EC',
+    margin: 20,
+    marginTop: 0,
+    padding: 16,
+    borderRadius: 16,
+  },
+  eligibilityHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  eligibilityMessage: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  eligibilityInput: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 14,
+    marginTop: 12,
+  },
+  eligibilityButton: {
+    backgroundColor: '#667eea',
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  eligibilityButtonText: {
+    color: 'white',
+    fontSize: 15,
+    fontWeight: '600',
+  },
   purchaseSection: {
     margin: 20,
     marginTop: 0,
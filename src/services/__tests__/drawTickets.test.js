@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTicketRanges, entryTicketCount } from '../drawTickets.js';
+
+test('a purchase holds its entry_count even though ticket_count kept its default', () => {
+  assert.equal(entryTicketCount({ ticket_count: 1, entry_count: 50 }), 50);
+});
+
+test('a multi-ticket purchase owns a range as wide as its tickets', () => {
+  const ranges = buildTicketRanges([
+    { id: 'a', ticket_count: 1, entry_count: 1 },
+    { id: 'b', ticket_count: 1, entry_count: 50 },
+    { id: 'c', ticket_count: 3, entry_count: 3 }
+  ]);
+
+  assert.deepEqual(
+    ranges.map(range => [range.entry_id, range.tickets, range.range_start, range.range_end]),
+    [['a', 1, 1, 1], ['b', 50, 2, 51], ['c', 3, 52, 54]]
+  );
+});
+
+test('an entry with no counts recorded still holds one ticket', () => {
+  assert.equal(entryTicketCount({ ticket_count: null, entry_count: null }), 1);
+});
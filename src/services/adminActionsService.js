@@ -6,17 +6,33 @@
  * Handles giveaway management, user verification, disputes, and refunds.
  * 
  * FEATURES:
- * - Giveaway approval/freeze with reasons
+ * - Giveaway approval/freeze with reasons; approval publishes the official rules
+ * - Giveaway cancellation with bulk refunds, and per-ticket refunds (refundService)
+ * - Status changes go through giveawayLifecycleService (validated and recorded)
  * - KYC verification workflow
- * - Winner selection/reselection with audit
- * - Dispute handling and chargeback management
+ * - Winner selection with claim deadlines; reselection draws the proof alternate
+ * - Chargeback evidence submission and acceptance (disputeService)
+ * - Prize fulfillment overrides (escrow release), and cash alternatives paid
+ *   from the creator's prize deposit (prizeDepositService)
+ * - Creator payout holds, which keep scheduled payouts (payoutService) from
+ *   paying a creator until released
+ * - Bulk redemption of mail-in AMOE postcards
  * - Comprehensive audit logging
- * - Export capabilities for compliance
+ * - Export capabilities for compliance, including year-end 1099 files (taxService)
  */
 
 import { supabase } from '../config/supabase';
 import observabilityService from './observabilityService';
 import fairnessService from './fairnessService';
+import winnerClaimService from './winnerClaimService';
+import prizeFulfillmentService from './prizeFulfillmentService';
+import officialRulesService from './officialRulesService';
+import giveawayLifecycleService, { GIVEAWAY_STATUS } from './giveawayLifecycleService';
+import refundService, { REFUND_CAUSES } from './refundService';
+import disputeService, { DISPUTE_ACTIONS } from './disputeService';
+import taxService from './taxService';
+import prizeDepositService from './prizeDepositService';
+import { formatMinor } from './currencyService';
 
 class AdminActionsService {
   constructor() {
@@ -25,10 +41,15 @@ class AdminActionsService {
       GIVEAWAY_REJECT: 'giveaway_reject',
       GIVEAWAY_FREEZE: 'giveaway_freeze',
       GIVEAWAY_UNFREEZE: 'giveaway_unfreeze',
+      GIVEAWAY_CANCEL: 'giveaway_cancel',
       KYC_APPROVE: 'kyc_approve',
       KYC_REJECT: 'kyc_reject',
       WINNER_SELECT: 'winner_select',
       WINNER_RESELECT: 'winner_reselect',
+      FULFILLMENT_OVERRIDE: 'fulfillment_override',
+      PRIZE_CASH_ALTERNATIVE: 'prize_cash_alternative',
+      PAYOUT_HOLD_PLACE: 'payout_hold_place',
+      PAYOUT_HOLD_RELEASE: 'payout_hold_release',
       REFUND_ISSUE: 'refund_issue',
       USER_SUSPEND: 'user_suspend',
       USER_UNSUSPEND: 'user_unsuspend',
@@ -53,15 +74,21 @@ class AdminActionsService {
         throw new Error('Giveaway not found');
       }
 
-      if (giveaway.status !== 'pending_approval') {
+      if (giveaway.status !== GIVEAWAY_STATUS.PENDING_REVIEW) {
         throw new Error(`Cannot approve giveaway with status: ${giveaway.status}`);
       }
 
-      // Update giveaway status
+      // Scheduled until starts_at, then the lifecycle job makes it active
+      const newStatus = giveawayLifecycleService.getApprovedStatus(giveaway);
+      const transition = await giveawayLifecycleService.transition(giveawayId, newStatus, notes || 'Approved');
+
+      if (!transition.success) {
+        throw new Error(transition.error);
+      }
+
       const { error: updateError } = await supabase
         .from('giveaways')
         .update({
-          status: 'active',
           moderation_status: 'approved',
           approved_by: adminId,
           approved_at: new Date().toISOString(),
@@ -73,6 +100,11 @@ class AdminActionsService {
         throw updateError;
       }
 
+      const rulesResult = await officialRulesService.publishSnapshot(giveawayId, adminId, 'Published on approval');
+      if (!rulesResult.success) {
+        console.error('Official rules snapshot failed:', rulesResult.error);
+      }
+
       // Log admin action
       await this.logAdminAction(
         adminId,
@@ -80,7 +112,7 @@ class AdminActionsService {
         'giveaway',
         giveawayId,
         { status: giveaway.status },
-        { status: 'active', approved_at: new Date().toISOString() },
+        { status: newStatus, approved_at: new Date().toISOString() },
         notes
       );
 
@@ -88,7 +120,9 @@ class AdminActionsService {
       await this.sendCreatorNotification(giveaway.creator_id, {
         type: 'giveaway_approved',
         title: 'Giveaway Approved!',
-        message: `Your giveaway "${giveaway.title}" has been approved and is now live.`,
+        message: newStatus === GIVEAWAY_STATUS.SCHEDULED
+          ? `Your giveaway "${giveaway.title}" has been approved and will go live at its start time.`
+          : `Your giveaway "${giveaway.title}" has been approved and is now live.`,
         giveawayId
       });
 
@@ -125,11 +159,24 @@ class AdminActionsService {
         throw new Error('Giveaway not found');
       }
 
-      // Update giveaway status
+      if (giveaway.status !== GIVEAWAY_STATUS.PENDING_REVIEW) {
+        throw new Error(`Cannot reject giveaway with status: ${giveaway.status}`);
+      }
+
+      // Back to draft so the creator can make changes and resubmit
+      const transition = await giveawayLifecycleService.transition(
+        giveawayId,
+        GIVEAWAY_STATUS.DRAFT,
+        `Rejected: ${reason}`
+      );
+
+      if (!transition.success) {
+        throw new Error(transition.error);
+      }
+
       const { error: updateError } = await supabase
         .from('giveaways')
         .update({
-          status: 'rejected',
           moderation_status: 'rejected',
           rejected_by: adminId,
           rejected_at: new Date().toISOString(),
@@ -149,7 +196,7 @@ class AdminActionsService {
         'giveaway',
         giveawayId,
         { status: giveaway.status },
-        { status: 'rejected', rejection_reason: reason },
+        { status: GIVEAWAY_STATUS.DRAFT, moderation_status: 'rejected', rejection_reason: reason },
         `${reason}. ${notes}`
       );
 
@@ -192,16 +239,25 @@ class AdminActionsService {
 
       const oldStatus = giveaway.status;
 
-      // Update giveaway status
+      // The transition records previous_status for unfreezing
+      const transition = await giveawayLifecycleService.transition(
+        giveawayId,
+        GIVEAWAY_STATUS.FROZEN,
+        `Emergency freeze: ${reason}`,
+        { fromStatus: oldStatus }
+      );
+
+      if (!transition.success) {
+        throw new Error(transition.error);
+      }
+
       const { error: updateError } = await supabase
         .from('giveaways')
         .update({
-          status: 'frozen',
           frozen_by: adminId,
           frozen_at: new Date().toISOString(),
           freeze_reason: reason,
-          admin_notes: notes,
-          previous_status: oldStatus
+          admin_notes: notes
         })
         .eq('id', giveawayId);
 
@@ -238,6 +294,59 @@ class AdminActionsService {
     }
   }
 
+  /**
+   * Lift a freeze, returning the giveaway to the status it was frozen from
+   */
+  async unfreezeGiveaway(giveawayId, adminId, notes = '') {
+    try {
+      const { data: giveaway, error: fetchError } = await supabase
+        .from('giveaways')
+        .select('*')
+        .eq('id', giveawayId)
+        .single();
+
+      if (fetchError || !giveaway) {
+        throw new Error('Giveaway not found');
+      }
+
+      if (giveaway.status !== GIVEAWAY_STATUS.FROZEN || !giveaway.previous_status) {
+        throw new Error(`Cannot unfreeze giveaway with status: ${giveaway.status}`);
+      }
+
+      const transition = await giveawayLifecycleService.transition(
+        giveawayId,
+        giveaway.previous_status,
+        notes || 'Freeze lifted',
+        { fromStatus: GIVEAWAY_STATUS.FROZEN }
+      );
+
+      if (!transition.success) {
+        throw new Error(transition.error);
+      }
+
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.GIVEAWAY_UNFREEZE,
+        'giveaway',
+        giveawayId,
+        { status: GIVEAWAY_STATUS.FROZEN, freeze_reason: giveaway.freeze_reason },
+        { status: giveaway.previous_status },
+        notes
+      );
+
+      observabilityService.trackAdmin('giveaway_unfrozen', giveawayId, {
+        adminId,
+        restoredStatus: giveaway.previous_status
+      });
+
+      return { success: true, giveaway: transition.data };
+
+    } catch (error) {
+      console.error('Giveaway unfreeze failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Verify user KYC
    */
@@ -303,7 +412,9 @@ class AdminActionsService {
   }
 
   /**
-   * Manually select or reselect winner
+   * Manually select or reselect winner.
+   * Reselection disqualifies the current grand prize winner and promotes the
+   * next alternate from the committed proof ordering.
    */
   async selectWinner(giveawayId, adminId, forceReselection = false, notes = '') {
     try {
@@ -323,8 +434,12 @@ class AdminActionsService {
 
       const previousWinnerId = giveaway.winner_id;
 
-      // Use fairness service for verifiable selection
-      const selectionResult = await fairnessService.selectVerifiableWinner(giveawayId);
+      if (forceReselection && previousWinnerId) {
+        return this.reselectWinner(giveaway, adminId, notes);
+      }
+
+      // Ticket-weighted verifiable selection; tiered giveaways draw every slot
+      const selectionResult = await fairnessService.selectWeightedWinners(giveawayId);
 
       if (!selectionResult.data) {
         throw new Error('Winner selection failed');
@@ -343,24 +458,12 @@ class AdminActionsService {
         `${forceReselection ? 'Reselected' : 'Selected'} winner: ${newWinnerId}. ${notes}`
       );
 
-      // Send notifications
-      if (previousWinnerId && forceReselection) {
-        await this.sendUserNotification(previousWinnerId, {
-          type: 'winner_changed',
-          title: 'Winner Status Update',
-          message: 'The giveaway winner has been reselected due to administrative review.',
-          giveawayId
-        });
+      // Notify every winner with their claim deadline
+      const { data: claims } = await winnerClaimService.getGiveawayClaims(giveawayId);
+      for (const claim of claims.filter(c => c.claim_status === 'pending')) {
+        await winnerClaimService.notifyWinner(claim, giveaway.title);
       }
 
-      await this.sendUserNotification(newWinnerId, {
-        type: 'winner_selected',
-        title: 'Congratulations!',
-        message: `You won the giveaway: ${giveaway.title}`,
-        giveawayId,
-        actionRequired: true
-      });
-
       observabilityService.trackAdmin(
         forceReselection ? 'winner_reselected' : 'winner_selected',
         giveawayId,
@@ -374,6 +477,7 @@ class AdminActionsService {
       return {
         success: true,
         winner: selectionResult.data.winner,
+        winners: selectionResult.data.winners || [],
         proof: selectionResult.data.proof
       };
 
@@ -384,14 +488,259 @@ class AdminActionsService {
   }
 
   /**
-   * Issue refund for entry
+   * Replace the grand prize winner with the next alternate in the proof ordering
+   */
+  async reselectWinner(giveaway, adminId, notes = '') {
+    const { data: claims } = await winnerClaimService.getGiveawayClaims(giveaway.id);
+    const current = claims.find(claim =>
+      claim.position === 1 && ['pending', 'claimed'].includes(claim.claim_status)
+    );
+
+    if (!current) {
+      return { success: false, error: 'No active grand prize winner to replace' };
+    }
+
+    const result = await winnerClaimService.disqualifyWinner(
+      current.id,
+      adminId,
+      notes || 'Winner reselected after administrative review'
+    );
+
+    if (!result.success) {
+      return result;
+    }
+
+    await this.logAdminAction(
+      adminId,
+      this.actionTypes.WINNER_RESELECT,
+      'giveaway',
+      giveaway.id,
+      { winner_id: current.user_id },
+      { winner_id: result.alternate.user_id, proof_rank: result.alternate.proof_rank },
+      `Reselected winner from proof alternates: ${result.alternate.user_id}. ${notes}`
+    );
+
+    observabilityService.trackAdmin('winner_reselected', giveaway.id, {
+      previousWinnerId: current.user_id,
+      newWinnerId: result.alternate.user_id,
+      proofRank: result.alternate.proof_rank
+    });
+
+    return {
+      success: true,
+      winner: result.alternate,
+      replaced: result.replaced
+    };
+  }
+
+  /**
+   * Release a winner slot's escrow hold without winner receipt confirmation
+   */
+  async overrideFulfillment(winnerId, adminId, reason) {
+    try {
+      const result = await prizeFulfillmentService.recordOverride(winnerId, adminId, reason);
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.FULFILLMENT_OVERRIDE,
+        'giveaway',
+        result.data.giveaway_id,
+        { winner_id: winnerId, fulfillment_status: result.previous?.status || null },
+        { winner_id: winnerId, fulfillment_status: result.data.status },
+        reason
+      );
+
+      return { success: true, fulfillment: result.data };
+    } catch (error) {
+      console.error('Fulfillment override failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pay a claimed winner the creator's prize deposit in place of the prize.
+   * The winner slot is then recorded as an override, since no prize ships.
+   */
+  async payPrizeAsCash(winnerId, adminId, reason) {
+    try {
+      if (!reason?.trim()) {
+        throw new Error('A reason is required');
+      }
+
+      const { data: winner, error: winnerError } = await supabase
+        .from('winners')
+        .select('id, giveaway_id')
+        .eq('id', winnerId)
+        .single();
+
+      if (winnerError || !winner) {
+        throw new Error('Winner record not found');
+      }
+
+      const { data: deposit, error: depositError } = await prizeDepositService.payDepositToWinner(winner.giveaway_id, winnerId);
+
+      if (depositError) {
+        throw new Error(depositError.message);
+      }
+
+      const override = await prizeFulfillmentService.recordOverride(
+        winnerId,
+        adminId,
+        `Cash alternative paid from the prize deposit: ${reason.trim()}`
+      );
+
+      if (!override.success) {
+        throw new Error(`Cash alternative paid, but the fulfillment override failed: ${override.error}`);
+      }
+
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.PRIZE_CASH_ALTERNATIVE,
+        'giveaway',
+        winner.giveaway_id,
+        { winner_id: winnerId, fulfillment_status: override.previous?.status || null },
+        { winner_id: winnerId, prize_deposit_status: deposit.status, payout_id: deposit.payoutId || null },
+        reason
+      );
+
+      observabilityService.trackAdmin('prize_cash_alternative_paid', winner.giveaway_id, {
+        winnerId,
+        amountMinor: deposit.amountMinor,
+        currency: deposit.currency
+      });
+
+      return { success: true, deposit, fulfillment: override.data };
+    } catch (error) {
+      console.error('Cash alternative payout failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Hold a creator's scheduled payouts. The reason is shown to the creator on
+   * their dashboard. A payout already transferring finishes.
+   */
+  async placePayoutHold(creatorId, adminId, reason) {
+    try {
+      if (!reason?.trim()) {
+        throw new Error('A reason is required');
+      }
+
+      const { data: hold, error } = await supabase
+        .from('creator_payout_holds')
+        .insert({
+          creator_id: creatorId,
+          reason: reason.trim(),
+          placed_by: adminId
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.PAYOUT_HOLD_PLACE,
+        'user',
+        creatorId,
+        null,
+        { hold_id: hold.id },
+        reason
+      );
+
+      await this.sendCreatorNotification(creatorId, {
+        type: 'payout_hold',
+        title: 'Payouts On Hold',
+        message: `Your payouts are on hold: ${reason.trim()}`,
+        actionRequired: true,
+        priority: 'high'
+      });
+
+      observabilityService.trackAdmin('payout_hold_placed', creatorId, { adminId, holdId: hold.id });
+
+      return { success: true, hold };
+    } catch (error) {
+      console.error('Payout hold failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Release a payout hold; the creator's due payouts go out in the next run
+   */
+  async releasePayoutHold(holdId, adminId, notes = '') {
+    try {
+      const { data: hold, error } = await supabase
+        .from('creator_payout_holds')
+        .update({
+          released_by: adminId,
+          released_at: new Date().toISOString(),
+          release_notes: notes || null
+        })
+        .eq('id', holdId)
+        .is('released_at', null)
+        .select()
+        .single();
+
+      if (error || !hold) {
+        throw new Error('Active payout hold not found');
+      }
+
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.PAYOUT_HOLD_RELEASE,
+        'user',
+        hold.creator_id,
+        { hold_id: hold.id, reason: hold.reason },
+        { hold_id: hold.id, released_at: hold.released_at },
+        notes
+      );
+
+      observabilityService.trackAdmin('payout_hold_released', hold.creator_id, { adminId, holdId: hold.id });
+
+      return { success: true, hold };
+    } catch (error) {
+      console.error('Payout hold release failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Redeem received mail-in AMOE postcards in bulk
+   * @param {Array<{code: string, postmarkDate: string}>} codes
    */
-  async issueRefund(entryId, adminId, reason, notes = '') {
+  async redeemMailInCodes(codes, notes = '') {
+    try {
+      // Eligibility, promotion period and per-day limits are enforced by the
+      // edge function, which also writes the audit log entry for the batch
+      const { data, error } = await supabase.functions.invoke('submit-amoe-entry', {
+        body: { action: 'redeem_mail_codes', codes, notes }
+      });
+
+      if (error) throw error;
+
+      return { success: true, ...data };
+    } catch (error) {
+      console.error('Mail-in redemption failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Refund an entry's purchase through the refund engine: every ticket the
+   * entrant still holds, or just `tickets` of them. Fees follow
+   * refund_policy for the cause (admin refunds default to the platform
+   * absorbing them; entrant requests to a refund net of fees).
+   */
+  async issueRefund(entryId, adminId, reason, notes = '', { tickets = null, cause = REFUND_CAUSES.ADMIN } = {}) {
     try {
-      // Get entry details
       const { data: entry, error: fetchError } = await supabase
         .from('entries')
-        .select('*, giveaway:giveaways(title), user:profiles(email)')
+        .select('*, giveaway:giveaways(title, currency), user:profiles(email)')
         .eq('id', entryId)
         .single();
 
@@ -403,59 +752,20 @@ class AdminActionsService {
         throw new Error('Can only refund completed payments');
       }
 
-      // Create refund record
-      const { data: refund, error: refundError } = await supabase
-        .from('refunds')
-        .insert({
-          entry_id: entryId,
-          user_id: entry.user_id,
-          giveaway_id: entry.giveaway_id,
-          amount: entry.total_cost,
-          reason: reason,
-          status: 'processing',
-          initiated_by: adminId,
-          admin_notes: notes
-        })
-        .select()
-        .single();
+      const result = await refundService.refundTickets(entryId, { tickets, cause, reason });
 
-      if (refundError) {
-        throw refundError;
+      if (!result.success) {
+        throw new Error(`Refund processing failed: ${result.error}`);
       }
 
-      // Process refund through Stripe (this would be done via edge function)
-      const refundResult = await this.processStripeRefund(entry.payment_id, entry.total_cost);
+      const refund = result.data;
+      const amount = formatMinor(refund.amount_minor, refund.currency || entry.giveaway?.currency);
 
-      if (refundResult.success) {
-        // Update refund status
+      if (notes) {
         await supabase
           .from('refunds')
-          .update({
-            status: 'completed',
-            stripe_refund_id: refundResult.refundId,
-            completed_at: new Date().toISOString()
-          })
+          .update({ admin_notes: notes })
           .eq('id', refund.id);
-
-        // Update entry status
-        await supabase
-          .from('entries')
-          .update({
-            payment_status: 'refunded',
-            refunded_at: new Date().toISOString()
-          })
-          .eq('id', entryId);
-      } else {
-        // Update refund status as failed
-        await supabase
-          .from('refunds')
-          .update({
-            status: 'failed',
-            error_message: refundResult.error
-          })
-          .eq('id', refund.id);
-
-        throw new Error(`Refund processing failed: ${refundResult.error}`);
       }
 
       // Log admin action
@@ -465,7 +775,7 @@ class AdminActionsService {
         'entry',
         entryId,
         { payment_status: 'completed' },
-        { payment_status: 'refunded', refund_amount: entry.total_cost },
+        { refund_id: refund.id, tickets_refunded: refund.tickets, refund_amount_minor: refund.amount_minor, currency: refund.currency },
         `Refund issued: ${reason}. ${notes}`
       );
 
@@ -473,12 +783,14 @@ class AdminActionsService {
       await this.sendUserNotification(entry.user_id, {
         type: 'refund_issued',
         title: 'Refund Processed',
-        message: `Your refund of $${entry.total_cost} for "${entry.giveaway.title}" has been processed.`,
+        message: `Your refund of ${amount} for "${entry.giveaway.title}" has been processed.`,
         actionRequired: false
       });
 
       observabilityService.trackAdmin('refund_issued', entryId, {
-        amount: entry.total_cost,
+        amount_minor: refund.amount_minor,
+        currency: refund.currency,
+        tickets: refund.tickets,
         reason,
         userId: entry.user_id
       });
@@ -492,82 +804,117 @@ class AdminActionsService {
   }
 
   /**
-   * Handle chargeback dispute
+   * Cancel a giveaway and refund every entrant. The refunds are queued by the
+   * database when the status changes; this starts the batch straight away
+   * and reports how far it got. Anything left over is retried by the
+   * scheduled refund job.
    */
-  async handleChargeback(paymentIntentId, adminId, action, notes = '') {
+  async cancelGiveaway(giveawayId, adminId, reason, notes = '') {
     try {
-      // Find related entry
-      const { data: entry, error: fetchError } = await supabase
-        .from('entries')
-        .select('*, giveaway:giveaways(*)')
-        .eq('payment_id', paymentIntentId)
+      const { data: giveaway, error: fetchError } = await supabase
+        .from('giveaways')
+        .select('*')
+        .eq('id', giveawayId)
         .single();
 
-      if (fetchError || !entry) {
-        throw new Error('Entry not found for payment');
+      if (fetchError || !giveaway) {
+        throw new Error('Giveaway not found');
       }
 
-      // Auto-freeze giveaway if still active
-      if (entry.giveaway.status === 'active') {
-        await this.freezeGiveaway(
-          entry.giveaway_id,
-          adminId,
-          'Chargeback dispute received',
-          `Payment ID: ${paymentIntentId}`
-        );
+      const cancelled = await giveawayLifecycleService.cancel(giveaway, reason);
+
+      if (!cancelled.success) {
+        throw new Error(cancelled.error);
       }
 
-      // Create dispute record
-      const { data: dispute, error: disputeError } = await supabase
+      await this.logAdminAction(
+        adminId,
+        this.actionTypes.GIVEAWAY_CANCEL,
+        'giveaway',
+        giveawayId,
+        { status: giveaway.status },
+        { status: GIVEAWAY_STATUS.CANCELLED, refunds: cancelled.refunds?.status ?? null },
+        `${reason}. ${notes}`
+      );
+
+      await this.sendCreatorNotification(giveaway.creator_id, {
+        type: 'giveaway_cancelled',
+        title: 'Giveaway Cancelled',
+        message: `Your giveaway "${giveaway.title}" was cancelled: ${reason}. All entrants are being refunded.`,
+        giveawayId,
+        actionRequired: false
+      });
+
+      observabilityService.trackAdmin('giveaway_cancelled', giveawayId, {
+        reason,
+        previousStatus: giveaway.status,
+        refundStatus: cancelled.refunds?.status ?? null
+      });
+
+      return { success: true, giveaway: cancelled.data, refunds: cancelled.refunds };
+
+    } catch (error) {
+      console.error('Giveaway cancellation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Act on a Stripe chargeback: submit its evidence packet (with optional
+   * notes for the card issuer), accept it, or rebuild the packet. Disputes
+   * and their evidence are created by stripe-webhook (disputeService).
+   */
+  async handleChargeback(disputeId, adminId, action, notes = '') {
+    try {
+      const { data: dispute, error: fetchError } = await supabase
         .from('payment_disputes')
-        .insert({
-          payment_intent_id: paymentIntentId,
-          entry_id: entry.id,
-          user_id: entry.user_id,
-          giveaway_id: entry.giveaway_id,
-          dispute_type: 'chargeback',
-          status: 'open',
-          amount: entry.total_cost,
-          handled_by: adminId,
-          admin_action: action,
-          admin_notes: notes
-        })
-        .select()
+        .select('*')
+        .eq('id', disputeId)
         .single();
 
-      if (disputeError) {
-        throw disputeError;
+      if (fetchError || !dispute) {
+        throw new Error('Dispute not found');
+      }
+
+      let result;
+      switch (action) {
+        case DISPUTE_ACTIONS.SUBMIT_EVIDENCE:
+          result = await disputeService.submitEvidence(disputeId, notes || null);
+          break;
+        case DISPUTE_ACTIONS.ACCEPT:
+          result = await disputeService.acceptDispute(disputeId, notes || null);
+          break;
+        case DISPUTE_ACTIONS.BUILD_EVIDENCE:
+          result = await disputeService.buildEvidence(disputeId);
+          break;
+        default:
+          throw new Error(`Unknown chargeback action: ${action}`);
+      }
+
+      if (!result.success) {
+        throw new Error(result.error || 'Chargeback action failed');
       }
 
       // Log admin action
       await this.logAdminAction(
         adminId,
         this.actionTypes.CHARGEBACK_HANDLE,
-        'payment',
-        paymentIntentId,
-        { status: 'completed' },
-        { status: 'disputed', action: action },
+        'dispute',
+        disputeId,
+        { status: dispute.status },
+        { status: result.data?.status ?? dispute.status, action: action },
         `Chargeback handled: ${action}. ${notes}`
       );
 
-      // Contact creator
-      await this.sendCreatorNotification(entry.giveaway.creator_id, {
-        type: 'chargeback_dispute',
-        title: 'Chargeback Dispute - Action Required',
-        message: `A chargeback has been filed for your giveaway "${entry.giveaway.title}". Please review the dispute and provide documentation.`,
-        giveawayId: entry.giveaway_id,
-        actionRequired: true,
-        priority: 'high'
-      });
-
       observabilityService.trackSecurity('chargeback_handled', {
-        paymentIntentId,
-        giveawayId: entry.giveaway_id,
+        disputeId,
+        stripeDisputeId: dispute.stripe_dispute_id,
+        giveawayId: dispute.giveaway_id,
         action,
-        amount: entry.total_cost
+        amount: dispute.amount
       });
 
-      return { success: true, dispute };
+      return { success: true, dispute: result.data };
 
     } catch (error) {
       console.error('Chargeback handling failed:', error);
@@ -591,6 +938,7 @@ class AdminActionsService {
           end_date,
           total_entries,
           total_raised,
+          prize_value,
           creator:profiles!creator_id(username, email, full_name),
           winner:profiles!winner_id(username, email, full_name),
           fairness_proof:fairness_proofs(seed_hash, winner_hash, verified_at)
@@ -628,6 +976,7 @@ class AdminActionsService {
         'End Date': giveaway.end_date,
         'Total Entries': giveaway.total_entries || 0,
         'Total Raised': giveaway.total_raised || 0,
+        'Prize Value': giveaway.prize_value || 0,
         'Fairness Proof Hash': giveaway.fairness_proof?.seed_hash || 'N/A',
         'Verified At': giveaway.fairness_proof?.verified_at || 'N/A'
       }));
@@ -646,6 +995,34 @@ class AdminActionsService {
     }
   }
 
+  /**
+   * Year-end 1099 file (TAX_FORMS in taxService) with per-recipient totals.
+   * The CSV carries full TINs; tax-export writes each export to the audit log.
+   */
+  async exportTaxForms(adminId, year, form) {
+    try {
+      const result = await taxService.exportTaxForm(form, year);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Tax export failed');
+      }
+
+      observabilityService.trackAdmin('tax_forms_exported', String(year), {
+        adminId,
+        form,
+        year,
+        recipients: result.data.recipientCount,
+        missingTaxInfo: result.data.missing.length
+      });
+
+      return { success: true, data: result.data };
+
+    } catch (error) {
+      console.error('Tax form export failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Log admin action for audit trail
    */
@@ -728,27 +1105,6 @@ class AdminActionsService {
     }
   }
 
-  /**
-   * Process Stripe refund (mock - would be edge function)
-   */
-  async processStripeRefund(paymentIntentId, amount) {
-    try {
-      // This would be handled by an edge function
-      // For now, simulate success
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      return {
-        success: true,
-        refundId: `re_mock_${Date.now()}`
-      };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
   /**
    * Freeze giveaway payments
    */
@@ -787,7 +1143,7 @@ class AdminActionsService {
         openDisputes,
         recentActions
       ] = await Promise.all([
-        supabase.from('giveaways').select('id').eq('status', 'pending_approval'),
+        supabase.from('giveaways').select('id').eq('status', GIVEAWAY_STATUS.PENDING_REVIEW),
         supabase.from('user_verifications').select('id').eq('verification_status', 'pending'),
         supabase.from('payment_disputes').select('id').eq('status', 'open'),
         supabase.from('admin_audit_log').select('*').order('created_at', { ascending: false }).limit(10)
@@ -1,5 +1,8 @@
 import { supabase, TABLES, BUCKETS } from '../config/supabase';
 import { activityService } from './activityService';
+import fairnessService from './fairnessService';
+import officialRulesService from './officialRulesService';
+import giveawayLifecycleService, { GIVEAWAY_STATUS, CLOSED_STATUSES } from './giveawayLifecycleService';
 
 // Enable real Supabase connection now that database is linked
 const isRealSupabase = true; // Re-enable for production TestFlight build
@@ -71,6 +74,7 @@ export const giveawayService = {
         prize: giveaway.prize,
         image: giveaway.image_url || 'https://images.unsplash.com/photo-1695048133142-1a20484d2569?w=800',
         ticketPrice: parseFloat(giveaway.ticket_price),
+        currency: giveaway.currency || 'usd',
         totalTickets: giveaway.total_tickets,
         soldTickets: giveaway.sold_tickets,
         endDate: giveaway.end_date,
@@ -262,6 +266,7 @@ export const giveawayService = {
         prize: data.prize_value,
         image: data.image_url || 'https://images.unsplash.com/photo-1695048133142-1a20484d2569?w=800',
         ticketPrice: parseFloat(data.entry_cost || 0),
+        currency: data.currency || 'usd',
         totalTickets: data.max_entries || 1000,
         soldTickets: data.total_entries || 0,
         endDate: data.ends_at,
@@ -309,14 +314,19 @@ export const giveawayService = {
           title: giveawayData.title,
           description: giveawayData.description,
           prize: giveawayData.prize,
+          prize_value: giveawayData.prizeValue ?? null,
           image_url: giveawayData.image_url,
           ticket_price: parseFloat(giveawayData.ticketPrice),
+          currency: giveawayData.currency || 'usd',
           total_tickets: parseInt(giveawayData.totalTickets),
           sold_tickets: 0,
           start_date: giveawayData.startDate || new Date().toISOString(),
           end_date: giveawayData.endDate,
           status: giveawayData.status || 'draft',
           category: giveawayData.category,
+          minimum_age: giveawayData.minimumAge,
+          eligible_states: giveawayData.eligibleStates?.length ? giveawayData.eligibleStates : null,
+          location_restrictions: giveawayData.excludedStates?.length ? giveawayData.excludedStates : null,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
         })
@@ -328,6 +338,24 @@ export const giveawayService = {
         return { data: null, error };
       }
 
+      // Commit the fairness seed hash and a future beacon round up front
+      const { error: seedError } = await fairnessService.generateGiveawaySeed(data.id, creatorId, {
+        endsAt: data.end_date
+      });
+
+      if (seedError) {
+        console.error('⚠️ Fairness seed commitment failed:', seedError);
+      }
+
+      // Live giveaways get their official rules snapshot now, after the seed
+      // commitment it quotes
+      if (data.status === 'active') {
+        const rulesResult = await officialRulesService.publishSnapshot(data.id, creatorId);
+        if (!rulesResult.success) {
+          console.error('⚠️ Official rules snapshot failed:', rulesResult.error);
+        }
+      }
+
       // Log activity for giveaway creation
       await activityService.logGiveawayCreated(
         creatorId,
@@ -366,6 +394,15 @@ export const giveawayService = {
         return { data: null, error };
       }
 
+      // Edits to an approved giveaway publish a new rules version (no-op when
+      // the generated text is unchanged)
+      if ([GIVEAWAY_STATUS.SCHEDULED, GIVEAWAY_STATUS.ACTIVE].includes(data.status)) {
+        const rulesResult = await officialRulesService.publishSnapshot(giveawayId, creatorId, 'Updated after publish');
+        if (!rulesResult.success) {
+          console.error('⚠️ Official rules snapshot failed:', rulesResult.error);
+        }
+      }
+
       console.log('✅ Giveaway updated successfully');
       return { data, error: null };
     } catch (error) {
@@ -438,7 +475,7 @@ export const giveawayService = {
             entry_cost: 15,
             max_entries: 300,
             current_entries: 300,
-            status: 'completed',
+            status: 'fulfilled',
             end_date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(),
             created_at: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
             views: 1200
@@ -590,7 +627,7 @@ export const giveawayService = {
       const { count: totalGiveaways, error: giveawaysError } = await supabase
         .from(TABLES.GIVEAWAYS)
         .select('*', { count: 'exact', head: true })
-        .in('status', ['active', 'ended']);
+        .in('status', [GIVEAWAY_STATUS.ACTIVE, ...CLOSED_STATUSES]);
 
       if (giveawaysError) {
         console.error('Error fetching giveaways count:', giveawaysError);
@@ -610,7 +647,7 @@ export const giveawayService = {
       const { data: endedGiveaways, error: prizeError } = await supabase
         .from(TABLES.GIVEAWAYS)
         .select('prize_value')
-        .eq('status', 'ended');
+        .in('status', CLOSED_STATUSES);
 
       if (prizeError) {
         console.error('Error fetching prize values:', prizeError);
@@ -1096,6 +1133,12 @@ export const userService = {
 /**
  * Entry Service
  */
+// Edge functions put the reason for a non-2xx response in the JSON body
+const readFunctionError = async (error) => {
+  const details = await error?.context?.json?.().catch(() => null);
+  return { message: details?.error || error?.message || 'Request failed', reason: details?.reason };
+};
+
 export const entryService = {
   async createEntry(entryData) {
     if (!isRealSupabase) {
@@ -1136,6 +1179,53 @@ export const entryService = {
     }
   },
 
+  /**
+   * Free (AMOE) entry via the submit-amoe-entry edge function, which enforces
+   * eligibility and the daily limits server-side
+   */
+  async createAMOEEntry(giveawayId, participant) {
+    if (!isRealSupabase) {
+      return { data: { success: true, mock: true, ticketsAdded: 1 }, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('submit-amoe-entry', {
+        body: { action: 'submit', giveawayId, participant }
+      });
+
+      if (error) {
+        return { data: null, error: await readFunctionError(error) };
+      }
+
+      return { data, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message || 'Failed to submit free entry' } };
+    }
+  },
+
+  /**
+   * Unique code the participant writes on a mail-in postcard
+   */
+  async requestMailInCode(giveawayId) {
+    if (!isRealSupabase) {
+      return { data: { code: 'AMOE-DEMO-CODE' }, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('submit-amoe-entry', {
+        body: { action: 'request_mail_code', giveawayId }
+      });
+
+      if (error) {
+        return { data: null, error: await readFunctionError(error) };
+      }
+
+      return { data, error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message || 'Failed to get mail-in code' } };
+    }
+  },
+
   async getUserEntries(userId, limit = 20) {
     if (!isRealSupabase) {
       // Return mock user entries for development
@@ -1282,14 +1372,18 @@ export const entryService = {
         .from(TABLES.GIVEAWAYS)
         .update({
           winner_id: winner.user_id,
-          winner_selected_at: new Date().toISOString(),
-          status: 'ended'
+          winner_selected_at: new Date().toISOString()
         })
         .eq('id', giveawayId);
       
       if (updateError) {
         return { data: null, error: updateError };
       }
+
+      const lifecycle = await giveawayLifecycleService.recordDraw(giveawayId);
+      if (!lifecycle.success) {
+        return { data: null, error: { message: lifecycle.error } };
+      }
       
       return { data: winner, error: null };
       
@@ -1478,7 +1572,7 @@ export const analyticsService = {
       const totalRevenue = entries.reduce((sum, entry) => sum + (entry.total_cost || 0), 0);
       const totalGiveaways = giveaways.length;
       const activeGiveaways = giveaways.filter(g => g.status === 'active').length;
-      const completedGiveaways = giveaways.filter(g => g.status === 'ended' || g.status === 'completed').length;
+      const completedGiveaways = giveaways.filter(g => CLOSED_STATUSES.includes(g.status)).length;
       const totalTicketsSold = entries.reduce((sum, entry) => sum + (entry.ticket_count || 0), 0);
       const uniqueParticipants = new Set(entries.map(e => e.user_id)).size;
       const averageTicketPrice = totalTicketsSold > 0 ? totalRevenue / totalTicketsSold : 0;
@@ -1589,7 +1683,7 @@ export const analyticsService = {
       ] = await Promise.all([
         supabase.from(TABLES.GIVEAWAYS).select('*', { count: 'exact', head: true }),
         supabase.from(TABLES.GIVEAWAYS).select('*', { count: 'exact', head: true }).eq('status', 'active'),
-        supabase.from(TABLES.GIVEAWAYS).select('*', { count: 'exact', head: true }).eq('status', 'pending'),
+        supabase.from(TABLES.GIVEAWAYS).select('*', { count: 'exact', head: true }).eq('status', GIVEAWAY_STATUS.PENDING_REVIEW),
         supabase.from(TABLES.USERS).select('*', { count: 'exact', head: true }),
         supabase.from(TABLES.USERS).select('*', { count: 'exact', head: true }).eq('is_verified', true)
       ]);
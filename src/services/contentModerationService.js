@@ -14,6 +14,7 @@
  */
 
 import { supabase } from '../config/supabase';
+import rateLimitService from './rateLimitService';
 
 // Mock AI service - replace with actual service (Google Vision, AWS Rekognition, etc.)
 const mockAIModeration = async (imageUrl) => {
@@ -263,24 +264,19 @@ export const contentModerationService = {
   },
 
   /**
-   * Check if user should be rate limited
+   * Check if user should be rate limited, counting the action when allowed.
+   * Limits per action are configured in platform_config (rateLimitService).
    */
-  async checkRateLimit(userId, action = 'comment', windowMinutes = 5, maxActions = 10) {
-    try {
-      const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
-      
-      // In a real implementation, you'd track user actions in a separate table
-      // For now, this is a placeholder for rate limiting logic
-      
-      return {
-        allowed: true,
-        actionsRemaining: maxActions,
-        resetTime: new Date(Date.now() + windowMinutes * 60 * 1000)
-      };
-    } catch (error) {
-      console.error('Rate limit check error:', error);
-      return { allowed: true }; // Fail open for availability
-    }
+  async checkRateLimit(userId, action = 'comment') {
+    const result = await rateLimitService.checkRateLimit(action, userId, 'user');
+
+    return {
+      allowed: result.allowed,
+      actionsRemaining: result.remaining,
+      resetTime: result.resetTime ? new Date(result.resetTime) : null,
+      retryAfter: result.retryAfter || 0,
+      message: result.allowed ? null : rateLimitService.getRetryMessage(result)
+    };
   }
 };
 
@@ -0,0 +1,85 @@
+/**
+ * creatorApiKeyService.js - Creator API Keys
+ *
+ * PURPOSE:
+ * Keys for the creator REST API (supabase/functions/api-v1,
+ * database/creator_api_schema.sql), available on trust tiers with API
+ * access. A key is shown once when it is created; the platform keeps only
+ * its hash, so a lost key is revoked and replaced rather than recovered.
+ *
+ * SCOPES:
+ * Each key is limited to the scopes picked for it (API_SCOPES). Calls with
+ * any of a creator's keys share the creator's API rate limit.
+ */
+
+import { supabase } from '../config/supabase';
+
+export const API_SCOPES = [
+  { scope: 'giveaways:read', label: 'Read giveaways' },
+  { scope: 'giveaways:write', label: 'Create drafts' },
+  { scope: 'entries:read', label: 'Entry counts and entrants' },
+  { scope: 'fairness:read', label: 'Fairness proofs' },
+];
+
+const KEY_FIELDS = 'id, name, key_prefix, scopes, expires_at, revoked_at, last_used_at, last_used_ip, request_count, created_at';
+
+export const creatorApiKeyService = {
+
+  /**
+   * The creator's keys, revoked ones included, newest first
+   */
+  async getKeys(creatorId) {
+    try {
+      const { data, error } = await supabase
+        .from('creator_api_keys')
+        .select(KEY_FIELDS)
+        .eq('creator_id', creatorId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Issue a key: { key, secret }. The secret is only returned now.
+   */
+  async createKey({ name, scopes, expiresAt = null }) {
+    try {
+      const { data, error } = await supabase.rpc('create_creator_api_key', {
+        p_name: name.trim(),
+        p_scopes: scopes,
+        p_expires_at: expiresAt
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Create API key error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Stop a key working immediately
+   */
+  async revokeKey(keyId) {
+    try {
+      const { error } = await supabase.rpc('revoke_creator_api_key', { p_key_id: keyId });
+
+      if (error) throw error;
+
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      return { success: false, error };
+    }
+  },
+};
+
+export default creatorApiKeyService;
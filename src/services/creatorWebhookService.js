@@ -0,0 +1,241 @@
+/**
+ * creatorWebhookService.js - Outbound Creator Webhooks
+ *
+ * PURPOSE:
+ * Creator side of outbound webhooks (database/creator_webhooks_schema.sql,
+ * supabase/functions/deliver-creator-webhooks). Creators on a trust tier with
+ * API access register HTTPS endpoints and pick the events they want; each
+ * event is POSTed as JSON, signed with the endpoint's secret.
+ *
+ * RECEIVING:
+ * - Headers webhook-id (the event id, the same on every retry), webhook-timestamp
+ *   and webhook-signature: "v1,<base64 HMAC-SHA256 of id.timestamp.body>"
+ * - Failed deliveries are retried with exponential backoff, then marked
+ *   failed; they can be replayed from the delivery log
+ * - An endpoint that keeps failing is disabled; enabling it again sends what
+ *   it still owes
+ */
+
+import { supabase } from '../config/supabase';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const CREATOR_WEBHOOK_EVENTS = [
+  { type: 'entry.created', label: 'New entries' },
+  { type: 'giveaway.ended', label: 'Giveaway ended' },
+  { type: 'winner.selected', label: 'Winner selected' },
+  { type: 'payout.paid', label: 'Payout paid' },
+];
+
+const ENDPOINT_FIELDS = 'id, url, description, event_types, enabled, consecutive_failures, disabled_at, disabled_reason, previous_secret_expires_at, last_success_at, last_failure_at, created_at';
+
+const invokeFunction = async (body) => {
+  const { data, error } = await supabase.functions.invoke('deliver-creator-webhooks', { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const creatorWebhookService = {
+
+  /**
+   * Whether the user's trust tier includes API access (and so webhooks)
+   */
+  async hasApiAccess(userId) {
+    if (!isRealBackend) {
+      return { data: false, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('creator_has_api_access', { p_user_id: userId });
+
+      if (error) throw error;
+
+      return { data: !!data, error: null };
+    } catch (error) {
+      console.error('API access check error:', error);
+      return { data: false, error };
+    }
+  },
+
+  /**
+   * The creator's endpoints, newest first
+   */
+  async getEndpoints(creatorId) {
+    try {
+      const { data, error } = await supabase
+        .from('creator_webhook_endpoints')
+        .select(ENDPOINT_FIELDS)
+        .eq('creator_id', creatorId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get webhook endpoints error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Register an endpoint: { endpoint, secret }. The secret is only shown now.
+   */
+  async createEndpoint({ url, eventTypes, description = null }) {
+    try {
+      const { data, error } = await supabase.rpc('create_creator_webhook_endpoint', {
+        p_url: url.trim(),
+        p_event_types: eventTypes,
+        p_description: description
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Create webhook endpoint error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Change an endpoint: url, eventTypes, description, enabled. Enabling a
+   * disabled endpoint resumes its outstanding deliveries.
+   */
+  async updateEndpoint(endpointId, { url = null, eventTypes = null, description = null, enabled = null }) {
+    try {
+      const { data, error } = await supabase.rpc('update_creator_webhook_endpoint', {
+        p_endpoint_id: endpointId,
+        p_url: url,
+        p_event_types: eventTypes,
+        p_description: description,
+        p_enabled: enabled
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Update webhook endpoint error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * New signing secret; deliveries carry signatures from both the new and
+   * the old one for `overlapHours`: { endpoint_id, secret }
+   */
+  async rotateSecret(endpointId, overlapHours = 24) {
+    try {
+      const { data, error } = await supabase.rpc('rotate_creator_webhook_secret', {
+        p_endpoint_id: endpointId,
+        p_overlap_hours: overlapHours
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Remove an endpoint with its delivery log
+   */
+  async deleteEndpoint(endpointId) {
+    try {
+      const { error } = await supabase
+        .from('creator_webhook_endpoints')
+        .delete()
+        .eq('id', endpointId);
+
+      if (error) throw error;
+
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Delete webhook endpoint error:', error);
+      return { success: false, error };
+    }
+  },
+
+  /**
+   * Delivery log for an endpoint, newest first, optionally one status
+   */
+  async getDeliveries(endpointId, { status = null, limit = 50 } = {}) {
+    try {
+      let query = supabase
+        .from('creator_webhook_deliveries')
+        .select('id, event_id, event_type, status, attempt_count, next_attempt_at, last_attempt_at, last_response_status, last_error, delivered_at, created_at')
+        .eq('endpoint_id', endpointId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get webhook deliveries error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Every attempt at a delivery, with what the endpoint answered
+   */
+  async getAttempts(deliveryId) {
+    try {
+      const { data, error } = await supabase
+        .from('creator_webhook_attempts')
+        .select('id, attempt, manual, response_status, response_body, error, duration_ms, attempted_at')
+        .eq('delivery_id', deliveryId)
+        .order('attempted_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get webhook attempts error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Send a delivery again now, with its original event id
+   */
+  async replayDelivery(deliveryId) {
+    try {
+      const data = await invokeFunction({ action: 'replay', deliveryId });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Replay webhook delivery error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Send a webhook.test event to check an endpoint and its signature checks
+   */
+  async sendTestEvent(endpointId) {
+    try {
+      const data = await invokeFunction({ action: 'test', endpointId });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Webhook test event error:', error);
+      return { data: null, error };
+    }
+  },
+};
+
+export default creatorWebhookService;
@@ -0,0 +1,183 @@
+/**
+ * currencyService.js - Currencies and Money Formatting
+ *
+ * PURPOSE:
+ * Each giveaway is priced, charged and paid out in its own currency
+ * (database/multi_currency_schema.sql). Screens format every amount through
+ * here instead of assuming dollars.
+ *
+ * AMOUNTS:
+ * - Minor units (cents, or yen for zero-decimal currencies) are authoritative;
+ *   decimal columns are kept for existing screens
+ * - Mirrors supabase/functions/_shared/currency.ts; keep the two in sync
+ *
+ * REFERENCE RATES:
+ * - latest_exchange_rates is refreshed daily from the ECB and is used only to
+ *   show an approximate price in the entrant's own currency. Entrants are
+ *   always charged the giveaway's price in the giveaway's currency; we add no
+ *   conversion markup (their card issuer may)
+ */
+
+import { supabase } from '../config/supabase';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const DEFAULT_CURRENCY = 'usd';
+
+// Stripe's zero-decimal currencies; everything we support otherwise has 2
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+];
+
+// Fallback list for demo mode and before the currencies table loads
+export const SUPPORTED_CURRENCIES = [
+  { code: 'usd', name: 'US Dollar', symbol: '$', exponent: 2 },
+  { code: 'cad', name: 'Canadian Dollar', symbol: 'CA$', exponent: 2 },
+  { code: 'eur', name: 'Euro', symbol: '€', exponent: 2 },
+  { code: 'gbp', name: 'British Pound', symbol: '£', exponent: 2 },
+  { code: 'aud', name: 'Australian Dollar', symbol: 'A$', exponent: 2 },
+  { code: 'jpy', name: 'Japanese Yen', symbol: '¥', exponent: 0 },
+];
+
+// Region → currency for the device-currency guess
+const REGION_CURRENCIES = {
+  US: 'usd', CA: 'cad', GB: 'gbp', AU: 'aud', JP: 'jpy',
+  AT: 'eur', BE: 'eur', DE: 'eur', ES: 'eur', FI: 'eur', FR: 'eur',
+  IE: 'eur', IT: 'eur', LU: 'eur', NL: 'eur', PT: 'eur',
+};
+
+export const normalizeCurrency = (currency) =>
+  (currency || DEFAULT_CURRENCY).trim().toLowerCase();
+
+export const minorUnitExponent = (currency) =>
+  ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 0 : 2;
+
+export const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** minorUnitExponent(currency));
+
+export const fromMinorUnits = (amount, currency) =>
+  Math.round(amount) / 10 ** minorUnitExponent(currency);
+
+/**
+ * Format a major-unit amount, e.g. formatAmount(12.5, 'eur') → "€12.50"
+ */
+export const formatAmount = (amount, currency = DEFAULT_CURRENCY, locale = undefined) => {
+  const code = normalizeCurrency(currency);
+  const digits = minorUnitExponent(code);
+
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code.toUpperCase(),
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(Number(amount) || 0);
+  } catch (error) {
+    // Older Hermes builds ship without full Intl support
+    const symbol = SUPPORTED_CURRENCIES.find(c => c.code === code)?.symbol ?? `${code.toUpperCase()} `;
+    return `${symbol}${(Number(amount) || 0).toFixed(digits)}`;
+  }
+};
+
+/**
+ * Format a minor-unit amount
+ */
+export const formatMinor = (amountMinor, currency = DEFAULT_CURRENCY, locale = undefined) =>
+  formatAmount(fromMinorUnits(amountMinor, currency), currency, locale);
+
+export const currencyService = {
+
+  /**
+   * Currencies a giveaway can be priced in
+   */
+  async getCurrencies() {
+    if (!isRealBackend) {
+      return { data: SUPPORTED_CURRENCIES, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('currencies')
+        .select('code, name, symbol, exponent')
+        .eq('enabled', true)
+        .order('code');
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get currencies error:', error);
+      return { data: SUPPORTED_CURRENCIES, error };
+    }
+  },
+
+  /**
+   * Latest reference rate from one currency to another, or null
+   */
+  async getReferenceRate(base, quote) {
+    const from = normalizeCurrency(base);
+    const to = normalizeCurrency(quote);
+
+    if (from === to) {
+      return { data: { rate: 1, as_of: null, source: null }, error: null };
+    }
+
+    if (!isRealBackend) {
+      return { data: null, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('latest_exchange_rates')
+        .select('rate, as_of, source')
+        .eq('base_currency', from)
+        .eq('quote_currency', to)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { data: data ? { ...data, rate: Number(data.rate) } : null, error: null };
+    } catch (error) {
+      console.error('Get reference rate error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Approximate a major-unit amount in another currency at the reference
+   * rate, for display only: { amount, currency, rate, as_of } or null
+   */
+  async convertForDisplay(amount, fromCurrency, toCurrency) {
+    const { data: rate } = await this.getReferenceRate(fromCurrency, toCurrency);
+
+    if (!rate) {
+      return null;
+    }
+
+    const currency = normalizeCurrency(toCurrency);
+    return {
+      amount: fromMinorUnits(toMinorUnits(Number(amount) * rate.rate, currency), currency),
+      currency,
+      rate: rate.rate,
+      as_of: rate.as_of,
+    };
+  },
+
+  /**
+   * Best guess at the entrant's own currency from the device locale
+   */
+  getDeviceCurrency() {
+    try {
+      const locale = Intl.DateTimeFormat().resolvedOptions().locale || '';
+      const region = locale.split('-').find(part => /^[A-Z]{2}$/.test(part));
+      return REGION_CURRENCIES[region] || DEFAULT_CURRENCY;
+    } catch (error) {
+      return DEFAULT_CURRENCY;
+    }
+  },
+};
+
+export default currencyService;
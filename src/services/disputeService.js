@@ -0,0 +1,142 @@
+/**
+ * disputeService.js - Chargeback Disputes
+ *
+ * PURPOSE:
+ * Client side of the dispute subsystem (supabase/functions/manage-dispute,
+ * database/chargeback_disputes_schema.sql). Stripe disputes arrive through
+ * stripe-webhook, which records them on payment_disputes and assembles the
+ * evidence packet; admins review the packet here and submit or concede.
+ *
+ * EVIDENCE PACKET:
+ * - Receipt, entry timestamps, purchase IP and user agent, the official
+ *   rules version each entry was made under, and the fairness commitment
+ *   and proof for the draw
+ * - Submitted automatically shortly before the deadline if no admin has
+ *   (platform_config.dispute_policy)
+ *
+ * OUTCOME:
+ * - A lost dispute voids the purchase's entries and claws the creator's share
+ *   back from escrow or their payable
+ */
+
+import { supabase } from '../config/supabase';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+// payment_disputes.status for Stripe disputes
+export const DISPUTE_STATUS = {
+  OPEN: 'open',
+  UNDER_REVIEW: 'under_review',
+  WON: 'won',
+  LOST: 'lost',
+  CLOSED: 'closed',
+};
+
+export const DISPUTE_ACTIONS = {
+  BUILD_EVIDENCE: 'build_evidence',
+  SUBMIT_EVIDENCE: 'submit_evidence',
+  ACCEPT: 'accept',
+};
+
+const invokeDisputes = async (body) => {
+  const { data, error } = await supabase.functions.invoke('manage-dispute', { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const disputeService = {
+
+  /**
+   * Stripe chargebacks, soonest evidence deadline first
+   */
+  async getDisputes({ status = null, giveawayId = null } = {}) {
+    if (!isRealBackend) {
+      return { success: true, data: [] };
+    }
+
+    try {
+      let query = supabase
+        .from('payment_disputes')
+        .select('*, giveaway:giveaways(title)')
+        .not('stripe_dispute_id', 'is', null)
+        .order('evidence_due_by', { ascending: true, nullsFirst: false })
+        .order('created_at', { ascending: false });
+
+      if (status) {
+        query = Array.isArray(status) ? query.in('status', status) : query.eq('status', status);
+      }
+      if (giveawayId) {
+        query = query.eq('giveaway_id', giveawayId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get disputes error:', error);
+      return { success: false, error: error.message, data: [] };
+    }
+  },
+
+  /**
+   * Reassemble a dispute's evidence packet from current records
+   */
+  async buildEvidence(disputeId) {
+    if (!isRealBackend) {
+      return { success: true, mock: true, data: { id: disputeId, evidence_built_at: new Date().toISOString() } };
+    }
+
+    try {
+      const data = await invokeDisputes({ action: DISPUTE_ACTIONS.BUILD_EVIDENCE, disputeId });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Build dispute evidence error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Submit the evidence packet to Stripe. Notes are added to the statement
+   * Stripe sends the card issuer. One submission per dispute.
+   */
+  async submitEvidence(disputeId, notes = null) {
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return { success: true, mock: true, data: { id: disputeId, status: DISPUTE_STATUS.UNDER_REVIEW } };
+    }
+
+    try {
+      const data = await invokeDisputes({ action: DISPUTE_ACTIONS.SUBMIT_EVIDENCE, disputeId, notes });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Submit dispute evidence error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Concede a dispute. It is settled as lost straight away.
+   */
+  async acceptDispute(disputeId, notes = null) {
+    if (!isRealBackend) {
+      return { success: true, mock: true, data: { id: disputeId, status: DISPUTE_STATUS.LOST } };
+    }
+
+    try {
+      const data = await invokeDisputes({ action: DISPUTE_ACTIONS.ACCEPT, disputeId, notes });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Accept dispute error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default disputeService;
@@ -0,0 +1,41 @@
+/**
+ * drawTickets.js - The ticket line a draw runs against
+ *
+ * Kept free of app dependencies so the draw's ticket arithmetic can be
+ * tested on its own (src/services/__tests__/drawTickets.test.js).
+ */
+
+/**
+ * Tickets an entry holds in the draw. Purchases only ever write
+ * entry_count, leaving ticket_count at its default of 1, while free entries
+ * and partial refunds keep both in step; the larger of the two is the
+ * entry's holding, as in record_amoe_entry and apply_refund.
+ */
+export function entryTicketCount(entry) {
+  const ticketCount = parseInt(entry.ticket_count, 10) || 0;
+  const entryCount = parseInt(entry.entry_count, 10) || 0;
+  return Math.max(1, ticketCount, entryCount);
+}
+
+/**
+ * Lay entries out on a cumulative ticket line: an entry holding N tickets
+ * owns N consecutive ticket numbers, starting at 1.
+ */
+export function buildTicketRanges(entries) {
+  let nextTicket = 1;
+
+  return entries.map((entry, index) => {
+    const tickets = entryTicketCount(entry);
+    const range = {
+      entry_index: index,
+      entry_id: entry.id,
+      entry_input: entry.payment_id || entry.order_id || entry.id,
+      participant: entry.participant,
+      tickets,
+      range_start: nextTicket,
+      range_end: nextTicket + tickets - 1
+    };
+    nextTicket += tickets;
+    return range;
+  });
+}
@@ -0,0 +1,302 @@
+/**
+ * eligibilityService.js - Per-Giveaway Eligibility Rules Engine
+ *
+ * PURPOSE:
+ * Combines the platform baseline in GEOGRAPHIC_CONFIG with each giveaway's
+ * own rules and evaluates an entrant against the result.
+ *
+ * RULES:
+ * - Platform baseline: allowed countries, excluded states, blocked regions, 18+
+ * - giveaways.eligible_states: creator allow-list (null = every baseline state)
+ * - giveaways.location_restrictions: creator exclusion list
+ * - giveaways.minimum_age: creator minimum age, never below the baseline
+ * - Creator rules only narrow the baseline; they cannot re-open a state
+ *
+ * ENFORCEMENT:
+ * - create-payment-intent and submit-amoe-entry run the server-side mirror
+ *   (supabase/functions/_shared/eligibility.ts) before accepting an entry;
+ *   checkout also checks the buyer's IP location
+ * - An entrant's first declaration is kept, and each entry keeps the one it
+ *   was made under; only an admin can change it
+ * - Winner selection drops ineligible entries before the draw and records
+ *   them in the fairness proof with their reason code
+ */
+
+import { supabase } from '../config/supabase';
+import {
+  GEOGRAPHIC_CONFIG,
+  US_STATES,
+  ELIGIBILITY_REASONS,
+} from '../config/geographicCompliance';
+
+const matches = (list, value) =>
+  !!value && list.some(item => item.toLowerCase() === String(value).trim().toLowerCase());
+
+export const eligibilityService = {
+
+  /**
+   * Two-letter state code for a code or full state name, or null
+   */
+  normalizeState(state) {
+    if (!state) return null;
+
+    const value = String(state).trim();
+    const code = value.toUpperCase();
+    if (US_STATES[code]) return code;
+
+    const entry = Object.entries(US_STATES).find(([, name]) => name.toLowerCase() === value.toLowerCase());
+    return entry ? entry[0] : code;
+  },
+
+  /**
+   * Parse a creator-entered list ("CA, TX, Oregon") into state codes.
+   * Unknown values are returned separately so the form can reject them.
+   */
+  parseStateList(text) {
+    const values = (text || '').split(/[,\n]+/).map(value => value.trim()).filter(Boolean);
+    const states = [];
+    const unknown = [];
+
+    values.forEach(value => {
+      const code = this.normalizeState(value);
+      if (US_STATES[code]) {
+        if (!states.includes(code)) states.push(code);
+      } else {
+        unknown.push(value);
+      }
+    });
+
+    return { states, unknown };
+  },
+
+  /**
+   * Effective rules for a giveaway: the platform baseline narrowed by the
+   * creator's allow-list, exclusions and minimum age
+   */
+  getGiveawayRules(giveaway = {}) {
+    const creatorMinimum = parseInt(giveaway.minimum_age ?? giveaway.age_restriction, 10) || 0;
+    const allowedStates = (giveaway.eligible_states || [])
+      .map(state => this.normalizeState(state))
+      .filter(Boolean);
+
+    return {
+      minimumAge: Math.max(GEOGRAPHIC_CONFIG.MINIMUM_AGE, creatorMinimum),
+      allowedStates: allowedStates.length ? allowedStates : null,
+      excludedStates: (giveaway.location_restrictions || [])
+        .map(state => this.normalizeState(state))
+        .filter(Boolean),
+    };
+  },
+
+  /**
+   * Evaluate an entrant ({ country, state, dateOfBirth } or a precomputed
+   * age) against a giveaway's rules.
+   * @returns {{eligible: boolean, reason: string|null, message: string|null}}
+   */
+  evaluate(rules, entrant = {}, asOf = new Date()) {
+    const fail = (reason, message) => ({ eligible: false, reason, message });
+    const age = entrant.age ?? (entrant.dateOfBirth ? this.ageOn(entrant.dateOfBirth, asOf) : null);
+
+    if (!entrant.country || !entrant.state || age === null || age === undefined) {
+      return fail(ELIGIBILITY_REASONS.DECLARATION_REQUIRED, 'Please confirm your country, state and date of birth to enter');
+    }
+
+    if (matches(GEOGRAPHIC_CONFIG.BLOCKED_COUNTRIES, entrant.country) ||
+        !matches(GEOGRAPHIC_CONFIG.ALLOWED_COUNTRIES, entrant.country)) {
+      return fail(ELIGIBILITY_REASONS.COUNTRY_NOT_ALLOWED, 'Currently only available to U.S. residents');
+    }
+
+    const state = this.normalizeState(entrant.state);
+
+    if (matches(GEOGRAPHIC_CONFIG.BLOCKED_REGIONS, state) || matches(GEOGRAPHIC_CONFIG.BLOCKED_REGIONS, entrant.state)) {
+      return fail(ELIGIBILITY_REASONS.REGION_BLOCKED, 'Sweepstakes not available in your region at this time');
+    }
+
+    if (matches(GEOGRAPHIC_CONFIG.EXCLUDED_US_STATES, state)) {
+      return fail(ELIGIBILITY_REASONS.STATE_EXCLUDED, 'Sweepstakes not available in your state at this time');
+    }
+
+    if (rules.excludedStates.includes(state)) {
+      return fail(ELIGIBILITY_REASONS.STATE_EXCLUDED_BY_CREATOR, 'This giveaway is not open to residents of your state');
+    }
+
+    if (rules.allowedStates && !rules.allowedStates.includes(state)) {
+      return fail(
+        ELIGIBILITY_REASONS.STATE_NOT_ALLOWED_BY_CREATOR,
+        `This giveaway is only open to residents of ${rules.allowedStates.join(', ')}`
+      );
+    }
+
+    if (age < rules.minimumAge) {
+      return fail(ELIGIBILITY_REASONS.UNDER_MINIMUM_AGE, `You must be ${rules.minimumAge} or older to enter this giveaway`);
+    }
+
+    return { eligible: true, reason: null, message: null };
+  },
+
+  /**
+   * Age in whole years on a given date (calculateAge only answers for today)
+   */
+  ageOn(dateOfBirth, asOf = new Date()) {
+    if (!dateOfBirth) return null;
+
+    const date = new Date(asOf);
+    const birth = new Date(dateOfBirth);
+    let age = date.getUTCFullYear() - birth.getUTCFullYear();
+    const monthDiff = date.getUTCMonth() - birth.getUTCMonth();
+
+    if (monthDiff < 0 || (monthDiff === 0 && date.getUTCDate() < birth.getUTCDate())) {
+      age--;
+    }
+
+    return age;
+  },
+
+  /**
+   * Entrant's own eligibility declaration (country, state, date of birth)
+   */
+  async getDeclaration(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('entrant_eligibility')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get eligibility declaration error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Record the entrant's first declaration. One already on file is kept, so
+   * a different one comes back as a DECLARATION_MISMATCH error; only an admin
+   * can change it (changeDeclaration).
+   */
+  async saveDeclaration(userId, { country, state, dateOfBirth }, source = 'self_declared') {
+    try {
+      const { error } = await supabase
+        .from('entrant_eligibility')
+        .upsert({
+          user_id: userId,
+          country,
+          state: this.normalizeState(state),
+          date_of_birth: dateOfBirth,
+          source,
+          declared_at: new Date().toISOString()
+        }, { onConflict: 'user_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+
+      const { data, error: loadError } = await this.getDeclaration(userId);
+      if (loadError) throw loadError;
+      if (!data) throw new Error('Eligibility declaration was not saved');
+
+      // 'US' and 'United States' are the same country
+      const sameCountry = matches([data.country], country)
+        || (matches(GEOGRAPHIC_CONFIG.ALLOWED_COUNTRIES, data.country) && matches(GEOGRAPHIC_CONFIG.ALLOWED_COUNTRIES, country));
+
+      if (!sameCountry || this.normalizeState(state) !== data.state || dateOfBirth !== data.date_of_birth) {
+        return {
+          data,
+          error: {
+            code: ELIGIBILITY_REASONS.DECLARATION_MISMATCH,
+            message: 'This doesn\'t match the eligibility details already on file. Contact support to change them.'
+          }
+        };
+      }
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Save eligibility declaration error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Admin: change an entrant's declaration after reviewing it, with the
+   * reason logged. Entries already made keep the declaration they were made
+   * under.
+   */
+  async changeDeclaration(userId, { country, state, dateOfBirth }, reason) {
+    try {
+      const { data, error } = await supabase.rpc('change_entrant_declaration', {
+        p_user_id: userId,
+        p_country: country,
+        p_state: this.normalizeState(state),
+        p_date_of_birth: dateOfBirth,
+        p_reason: reason
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Change eligibility declaration error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Client-side pre-check so the entrant sees the reason before paying.
+   * The edge functions repeat the check; this result is advisory only.
+   */
+  async checkEntrant(giveaway, userId) {
+    const { data: declaration, error } = await this.getDeclaration(userId);
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    const result = this.evaluate(this.getGiveawayRules(giveaway), {
+      country: declaration?.country,
+      state: declaration?.state,
+      dateOfBirth: declaration?.date_of_birth
+    });
+
+    return { data: result, error: null };
+  },
+
+  /**
+   * Split draw entries into eligible and excluded. Age is evaluated as of
+   * each entry's creation, matching "at the time of entry" in the rules.
+   * get_entry_eligibility() only returns age and location, never the
+   * entrant's date of birth.
+   */
+  async filterDrawEntries(giveaway, entries) {
+    const { data: rows, error } = await supabase
+      .rpc('get_entry_eligibility', { p_giveaway_id: giveaway.id });
+
+    if (error) {
+      return { data: null, error: { message: `Eligibility check failed: ${error.message}` } };
+    }
+
+    const rules = this.getGiveawayRules(giveaway);
+    const byEntry = Object.fromEntries((rows || []).map(row => [row.entry_id, row]));
+    const eligible = [];
+    const excluded = [];
+
+    entries.forEach(entry => {
+      const row = byEntry[entry.id] || {};
+      const result = this.evaluate(rules, {
+        country: row.country,
+        state: row.state,
+        age: row.age_at_entry
+      });
+
+      if (result.eligible) {
+        eligible.push(entry);
+      } else {
+        excluded.push({ entry_id: entry.id, reason: result.reason });
+      }
+    });
+
+    return { data: { eligible, excluded, rules }, error: null };
+  }
+};
+
+export default eligibilityService;
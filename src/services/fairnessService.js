@@ -10,21 +10,71 @@
  * - HMAC_SHA256(seed, payment_intent_id || entry_id) → uniform index
  * - Store seed + proof for "View fairness proof" modal
  * - Immutable audit trail for transparency
+ *
+ * MULTI-WINNER DRAWS:
+ * - Entries are ranked by HMAC output (descending, ties broken by input)
+ * - Winners are taken from the top of the ranking, skipping participants
+ *   who already hold max_wins_per_user slots
+ * - Each winning slot maps to a prize tier defined on the giveaway
+ *
+ * TICKET-WEIGHTED DRAWS:
+ * - Entries own consecutive ticket ranges sized by the tickets they hold
+ *   (the larger of ticket_count and entry_count)
+ * - HMAC_SHA256(seed, entries_digest:round) mod total_tickets → winning ticket
+ * - The entries digest commits to the exact ticket line that was drawn
+ *
+ * ALTERNATES:
+ * - When a winner forfeits or is disqualified, the alternate is the next
+ *   candidate in the same committed ordering (next ranking position or next
+ *   draw round) whose participant has not already held a slot
+ * - Alternates are appended to the proof so the chain can be replayed
+ *
+ * PARTICIPANTS:
+ * - Proofs show each entrant as a pseudonym keyed per giveaway with a
+ *   server-only secret (giveaway_entrant_pseudonyms), so the per-user cap
+ *   can be re-checked without publishing user ids or linking an entrant
+ *   across giveaways
+ *
+ * ELIGIBILITY:
+ * - Entries failing the giveaway's eligibility rules are removed before the
+ *   ticket line is built; the proof lists them with their reason codes
+ *
+ * PUBLIC BEACON:
+ * - A future beacon round is committed with the seed hash at creation
+ * - Draw seed = SHA256(server_seed:beacon_round:beacon_value), so the
+ *   platform cannot choose the seed after seeing the entries
+ *
+ * LIFECYCLE:
+ * - Draws run on active, ended or (redraws) drawn giveaways; recording the
+ *   winners moves the giveaway to drawn via giveawayLifecycleService
  */
 
 import CryptoJS from 'crypto-js';
 import { supabase } from '../config/supabase';
+import randomnessBeaconService from './randomnessBeaconService';
+import eligibilityService from './eligibilityService';
+import { buildTicketRanges } from './drawTickets';
+import giveawayLifecycleService, { GIVEAWAY_STATUS } from './giveawayLifecycleService';
+
+export const SELECTION_METHODS = {
+  SINGLE: 'HMAC_SHA256_MAX',
+  RANKED: 'HMAC_SHA256_RANKED',
+  TICKET_WEIGHTED: 'HMAC_SHA256_TICKET'
+};
 
 export const fairnessService = {
 
   /**
-   * Generate and store pre-commit seed for giveaway
+   * Generate and store pre-commit seed for giveaway.
+   * When endsAt is given, a beacon round published after the giveaway ends
+   * is committed alongside the seed hash.
    */
-  async generateGiveawaySeed(giveawayId, creatorId) {
+  async generateGiveawaySeed(giveawayId, creatorId, { endsAt = null, beaconSource } = {}) {
     try {
       // Generate cryptographically secure random seed
       const seed = CryptoJS.lib.WordArray.random(256/8).toString(); // 256-bit seed
       const seedHash = CryptoJS.SHA256(seed).toString();
+      const beacon = endsAt ? randomnessBeaconService.commitRound(endsAt, beaconSource) : null;
       
       // Store seed commitment in database
       const { data, error } = await supabase
@@ -34,6 +84,8 @@ export const fairnessService = {
           creator_id: creatorId,
           seed_hash: seedHash, // Public commitment
           seed_value: seed,    // Private until reveal
+          beacon_source: beacon?.source || null,
+          beacon_round: beacon?.round || null,
           committed_at: new Date().toISOString(),
           revealed: false
         })
@@ -48,7 +100,9 @@ export const fairnessService = {
       return { 
         data: { 
           seedHash, 
-          seedId: data.id 
+          seedId: data.id,
+          beaconSource: beacon?.source || null,
+          beaconRound: beacon?.round || null
         }, 
         error: null 
       };
@@ -66,7 +120,7 @@ export const fairnessService = {
     try {
       const { data, error } = await supabase
         .from('giveaway_seeds')
-        .select('seed_hash, committed_at')
+        .select('seed_hash, beacon_source, beacon_round, committed_at')
         .eq('giveaway_id', giveawayId)
         .single();
 
@@ -188,11 +242,19 @@ export const fairnessService = {
         .update({
           winner_id: winner.entry.user_id,
           winner_selected_at: new Date().toISOString(),
-          status: 'ended',
           fairness_proof_id: fairnessProof.id
         })
         .eq('id', giveawayId);
 
+      if (updateError) {
+        console.error('Failed to record winner on giveaway:', updateError);
+      }
+
+      const lifecycle = await giveawayLifecycleService.recordDraw(giveawayId);
+      if (!lifecycle.success) {
+        console.error('Failed to mark giveaway drawn:', lifecycle.error);
+      }
+
       return { 
         data: {
           winner: winner.entry,
@@ -208,6 +270,645 @@ export const fairnessService = {
     }
   },
 
+  /**
+   * Compute the public HMAC calculation for every entry input.
+   * participant is the entrant's per-giveaway pseudonym (loadDrawContext),
+   * so the per-user cap can be re-derived from the proof without publishing
+   * every entrant's user id.
+   */
+  computeEntryCalculations(entries, seedValue) {
+    return entries.map((entry, index) => {
+      const input = entry.payment_id || entry.order_id || entry.id;
+      const hmacOutput = CryptoJS.HmacSHA256(input, seedValue).toString();
+
+      return {
+        entry_index: index,
+        entry_id: entry.id,
+        entry_input: input,
+        participant: entry.participant,
+        hmac_output: hmacOutput
+      };
+    });
+  },
+
+  /**
+   * Order calculations from strongest to weakest. Hex digests of equal
+   * length compare lexicographically the same as numerically, so the full
+   * 256-bit value is used rather than a truncated float.
+   */
+  rankCalculations(calculations) {
+    return [...calculations].sort((a, b) => {
+      if (a.hmac_output !== b.hmac_output) {
+        return a.hmac_output < b.hmac_output ? 1 : -1;
+      }
+      if (a.entry_input === b.entry_input) return 0;
+      return a.entry_input < b.entry_input ? -1 : 1;
+    });
+  },
+
+  /**
+   * Expand prize tiers into one slot per winner, in draw order.
+   * Tier shape: { name, winners, prize_description, prize_value }
+   */
+  expandPrizeTiers(prizeTiers) {
+    const tiers = Array.isArray(prizeTiers) && prizeTiers.length > 0
+      ? prizeTiers
+      : [{ name: 'Grand Prize', winners: 1 }];
+
+    const slots = [];
+    tiers.forEach((tier, tierIndex) => {
+      const count = Math.max(1, parseInt(tier.winners, 10) || 1);
+      for (let i = 0; i < count; i++) {
+        slots.push({
+          position: slots.length + 1,
+          tier_index: tierIndex,
+          tier_name: tier.name || `Tier ${tierIndex + 1}`,
+          prize_description: tier.prize_description || null,
+          prize_value: tier.prize_value ?? null
+        });
+      }
+    });
+
+    return slots;
+  },
+
+  /**
+   * Walk the ranking and fill prize slots, enforcing the per-user cap.
+   * Pure function so verifiers re-run exactly the same assignment.
+   */
+  assignRankedWinners(rankedCalculations, slots, maxWinsPerUser = 1) {
+    const winsByParticipant = {};
+    const winners = [];
+
+    for (let rank = 0; rank < rankedCalculations.length && winners.length < slots.length; rank++) {
+      const calc = rankedCalculations[rank];
+      const wins = winsByParticipant[calc.participant] || 0;
+
+      if (wins >= maxWinsPerUser) {
+        continue;
+      }
+
+      winsByParticipant[calc.participant] = wins + 1;
+      winners.push({
+        ...slots[winners.length],
+        rank: rank + 1,
+        entry_index: calc.entry_index,
+        entry_id: calc.entry_id,
+        entry_input: calc.entry_input,
+        participant: calc.participant,
+        hmac_output: calc.hmac_output
+      });
+    }
+
+    return winners;
+  },
+
+  /**
+   * Load everything a draw needs: giveaway config, eligible completed entries
+   * and seed. Entries are ordered by created_at then id so ticket ranges are
+   * reproducible.
+   */
+  async loadDrawContext(giveawayId) {
+    const { data: giveaway, error: giveawayError } = await supabase
+      .from('giveaways')
+      .select('id, status, prize_tiers, max_wins_per_user, claim_window_days, eligible_states, location_restrictions, minimum_age, age_restriction')
+      .eq('id', giveawayId)
+      .single();
+
+    if (giveawayError || !giveaway) {
+      return { data: null, error: { message: 'Giveaway not found' } };
+    }
+
+    // Not before it closes: the committed beacon round is only published
+    // after ends_at
+    if (![GIVEAWAY_STATUS.ENDED, GIVEAWAY_STATUS.DRAWN].includes(giveaway.status)) {
+      return { data: null, error: { message: `Cannot draw winners for a ${giveaway.status} giveaway` } };
+    }
+
+    const { data: entries, error: entriesError } = await supabase
+      .from('entries')
+      .select(`
+        id,
+        user_id,
+        payment_id,
+        order_id,
+        ticket_count,
+        entry_count,
+        created_at,
+        user:profiles(username, name, avatar_url)
+      `)
+      .eq('giveaway_id', giveawayId)
+      .eq('payment_status', 'completed')
+      .order('created_at')
+      .order('id');
+
+    if (entriesError || !entries.length) {
+      return { data: null, error: { message: 'No valid entries found' } };
+    }
+
+    const { data: participants, error: participantsError } = await supabase
+      .rpc('giveaway_entrant_pseudonyms', { p_giveaway_id: giveawayId });
+
+    if (participantsError) {
+      return { data: null, error: participantsError };
+    }
+
+    const participantByUser = Object.fromEntries(participants.map(row => [row.user_id, row.participant]));
+    const drawEntries = entries.map(entry => ({ ...entry, participant: participantByUser[entry.user_id] }));
+
+    const { data: eligibility, error: eligibilityError } = await eligibilityService.filterDrawEntries(giveaway, drawEntries);
+
+    if (eligibilityError) {
+      return { data: null, error: eligibilityError };
+    }
+
+    if (!eligibility.eligible.length) {
+      return { data: null, error: { message: 'No eligible entries found' } };
+    }
+
+    const { data: seedData, error: seedError } = await supabase
+      .from('giveaway_seeds')
+      .select('*')
+      .eq('giveaway_id', giveawayId)
+      .single();
+
+    if (seedError || !seedData) {
+      return { data: null, error: { message: 'Giveaway seed not found' } };
+    }
+
+    const { data: drawSeed, error: beaconError } = await this.resolveDrawSeed(seedData);
+
+    if (beaconError) {
+      return { data: null, error: beaconError };
+    }
+
+    return {
+      data: {
+        giveaway,
+        entries: eligibility.eligible,
+        eligibilityExclusions: eligibility.excluded,
+        seedData,
+        drawSeed,
+        maxWinsPerUser: Math.max(1, parseInt(giveaway.max_wins_per_user, 10) || 1),
+        slots: this.expandPrizeTiers(giveaway.prize_tiers)
+      },
+      error: null
+    };
+  },
+
+  /**
+   * Mix the committed beacon round into the server seed. Seeds committed
+   * without a beacon round draw with the server seed alone.
+   */
+  async resolveDrawSeed(seedData) {
+    if (!seedData.beacon_round) {
+      return { data: { value: seedData.seed_value, beacon: null }, error: null };
+    }
+
+    try {
+      const beacon = await randomnessBeaconService.getRound(seedData.beacon_round, seedData.beacon_source);
+      return {
+        data: {
+          value: randomnessBeaconService.deriveFinalSeed(seedData.seed_value, beacon.round, beacon.value),
+          beacon: { source: seedData.beacon_source, ...beacon }
+        },
+        error: null
+      };
+    } catch (error) {
+      return {
+        data: null,
+        error: { message: error.message, code: error.code }
+      };
+    }
+  },
+
+  /**
+   * Key used for every HMAC in a proof: the beacon-mixed seed when a beacon
+   * round was recorded, otherwise the revealed server seed.
+   */
+  getProofDrawSeed(proof) {
+    if (!proof.beacon_round) {
+      return proof.seed_value;
+    }
+    return randomnessBeaconService.deriveFinalSeed(proof.seed_value, proof.beacon_round, proof.beacon_value);
+  },
+
+  /**
+   * Store the proof, reveal the seed, store the winner rows and mark the
+   * giveaway drawn
+   */
+  async persistDraw(giveawayId, context, winners, proofFields) {
+    const { entries, eligibilityExclusions, seedData, drawSeed, maxWinsPerUser, giveaway } = context;
+    const grandPrize = winners[0];
+    const claimDeadline = new Date(
+      Date.now() + (giveaway.claim_window_days || 7) * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const { data: storedProof, error: proofError } = await supabase
+      .from('fairness_proofs')
+      .insert({
+        giveaway_id: giveawayId,
+        winner_entry_id: grandPrize.entry.id,
+        winner_user_id: grandPrize.entry.user_id,
+        seed_id: seedData.id,
+        seed_value: seedData.seed_value,
+        seed_hash: seedData.seed_hash,
+        total_entries: entries.length,
+        winner_input: grandPrize.entry_input,
+        winner_hash: grandPrize.hmac_output,
+        winner_count: winners.length,
+        max_wins_per_user: maxWinsPerUser,
+        prize_tiers: giveaway.prize_tiers || [],
+        ranked_winners: winners.map(({ entry, ...slot }) => slot),
+        beacon_source: drawSeed.beacon?.source || null,
+        beacon_round: drawSeed.beacon?.round || null,
+        beacon_value: drawSeed.beacon?.value || null,
+        eligibility_exclusions: eligibilityExclusions || [],
+        verified_at: new Date().toISOString(),
+        ...proofFields
+      })
+      .select()
+      .single();
+
+    // One proof per giveaway: a conflict means run-draws (or another
+    // draw) got there first, and its winners stand
+    if (proofError) {
+      throw new Error(`Failed to store fairness proof: ${proofError.message}`);
+    }
+
+    await supabase
+      .from('giveaway_seeds')
+      .update({
+        revealed: true,
+        revealed_at: new Date().toISOString()
+      })
+      .eq('id', seedData.id);
+
+    const { error: winnersError } = await supabase
+      .from('winners')
+      .insert(winners.map(winner => ({
+        giveaway_id: giveawayId,
+        user_id: winner.entry.user_id,
+        entry_id: winner.entry.id,
+        position: winner.position,
+        prize_tier: winner.tier_name,
+        prize_description: winner.prize_description,
+        prize_value: winner.prize_value,
+        proof_rank: winner.rank,
+        winning_ticket: winner.ticket_number ?? null,
+        fairness_proof_id: storedProof.id,
+        claim_status: 'pending',
+        claim_deadline: claimDeadline
+      })));
+
+    if (winnersError) {
+      console.error('Failed to store winners:', winnersError);
+    }
+
+    await supabase
+      .from('giveaways')
+      .update({
+        winner_id: grandPrize.entry.user_id,
+        winner_selected_at: new Date().toISOString(),
+        fairness_proof_id: storedProof.id
+      })
+      .eq('id', giveawayId);
+
+    const lifecycle = await giveawayLifecycleService.recordDraw(giveawayId);
+    if (!lifecycle.success) {
+      console.error('Failed to mark giveaway drawn:', lifecycle.error);
+    }
+
+    return storedProof;
+  },
+
+  /**
+   * Verifiable multi-winner draw with prize tiers and a per-user cap
+   */
+  async selectVerifiableWinners(giveawayId) {
+    try {
+      const { data: context, error } = await this.loadDrawContext(giveawayId);
+
+      if (error) {
+        return { data: null, error };
+      }
+
+      const { entries, drawSeed, slots, maxWinsPerUser } = context;
+      const calculations = this.computeEntryCalculations(entries, drawSeed.value);
+      const ranked = this.rankCalculations(calculations);
+      const rankedWinners = this.assignRankedWinners(ranked, slots, maxWinsPerUser);
+
+      if (!rankedWinners.length) {
+        return { data: null, error: { message: 'No eligible winners found' } };
+      }
+
+      const winners = rankedWinners.map(slot => ({
+        ...slot,
+        entry: entries[slot.entry_index]
+      }));
+
+      const storedProof = await this.persistDraw(giveawayId, context, winners, {
+        all_calculations: calculations,
+        selection_method: SELECTION_METHODS.RANKED
+      });
+
+      return {
+        data: {
+          winners,
+          winner: winners[0].entry,
+          proof: storedProof,
+          totalEntries: entries.length,
+          excludedEntries: context.eligibilityExclusions,
+          unfilledSlots: slots.length - winners.length
+        },
+        error: null
+      };
+
+    } catch (error) {
+      console.error('Verifiable multi-winner selection error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Lay entries out on a cumulative ticket line (see drawTickets.js)
+   */
+  buildTicketRanges(entries) {
+    return buildTicketRanges(entries);
+  },
+
+  /**
+   * Commitment to the exact ticket line the draw ran against
+   */
+  computeEntriesDigest(ranges) {
+    const canonical = ranges
+      .map(range => `${range.entry_input}:${range.range_start}-${range.range_end}`)
+      .join('|');
+    return CryptoJS.SHA256(canonical).toString();
+  },
+
+  /**
+   * HMAC_SHA256(seed, entries_digest:round) → ticket number in [1, totalTickets].
+   * The 256-bit output makes modulo bias negligible for any realistic ticket count.
+   */
+  drawTicket(seedValue, entriesDigest, round, totalTickets) {
+    const hmacOutput = CryptoJS.HmacSHA256(`${entriesDigest}:${round}`, seedValue).toString();
+    const ticketNumber = Number(BigInt(`0x${hmacOutput}`) % BigInt(totalTickets)) + 1;
+    return { round, hmac_output: hmacOutput, ticket_number: ticketNumber };
+  },
+
+  /**
+   * Binary search for the range that owns a ticket number
+   */
+  findTicketRange(ranges, ticketNumber) {
+    let low = 0;
+    let high = ranges.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (ticketNumber < ranges[mid].range_start) {
+        high = mid - 1;
+      } else if (ticketNumber > ranges[mid].range_end) {
+        low = mid + 1;
+      } else {
+        return ranges[mid];
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Draw rounds 0, 1, 2, ... until every slot is filled. A round is skipped
+   * when its ticket was already drawn or its owner has hit the per-user cap.
+   * Pure function so verifiers replay exactly the same rounds.
+   */
+  drawWeightedWinners(ranges, seedValue, entriesDigest, slots, maxWinsPerUser = 1) {
+    const totalTickets = ranges.length ? ranges[ranges.length - 1].range_end : 0;
+    const participants = new Set(ranges.map(range => range.participant));
+    const target = Math.min(slots.length, participants.size * maxWinsPerUser, totalTickets);
+    const maxRounds = Math.max(1000, target * 100);
+
+    const winsByParticipant = {};
+    const drawnTickets = new Set();
+    const draws = [];
+    const winners = [];
+
+    for (let round = 0; winners.length < target && round < maxRounds; round++) {
+      const draw = this.drawTicket(seedValue, entriesDigest, round, totalTickets);
+      const range = this.findTicketRange(ranges, draw.ticket_number);
+      const wins = winsByParticipant[range.participant] || 0;
+
+      if (drawnTickets.has(draw.ticket_number)) {
+        draws.push({ ...draw, outcome: 'skipped_duplicate' });
+        continue;
+      }
+      if (wins >= maxWinsPerUser) {
+        draws.push({ ...draw, outcome: 'skipped_cap' });
+        continue;
+      }
+
+      drawnTickets.add(draw.ticket_number);
+      winsByParticipant[range.participant] = wins + 1;
+      draws.push({ ...draw, outcome: 'winner' });
+      winners.push({
+        ...slots[winners.length],
+        rank: round + 1,
+        entry_index: range.entry_index,
+        entry_id: range.entry_id,
+        entry_input: range.entry_input,
+        participant: range.participant,
+        hmac_output: draw.hmac_output,
+        ticket_number: draw.ticket_number,
+        range_start: range.range_start,
+        range_end: range.range_end
+      });
+    }
+
+    return { winners, draws, totalTickets };
+  },
+
+  /**
+   * Ticket-weighted verifiable draw: every ticket has equal odds, so an
+   * entry's chance scales with the tickets it holds.
+   */
+  async selectWeightedWinners(giveawayId) {
+    try {
+      const { data: context, error } = await this.loadDrawContext(giveawayId);
+
+      if (error) {
+        return { data: null, error };
+      }
+
+      const { entries, drawSeed, slots, maxWinsPerUser } = context;
+      const ranges = this.buildTicketRanges(entries);
+      const entriesDigest = this.computeEntriesDigest(ranges);
+      const { winners: drawnWinners, draws, totalTickets } = this.drawWeightedWinners(
+        ranges,
+        drawSeed.value,
+        entriesDigest,
+        slots,
+        maxWinsPerUser
+      );
+
+      if (!drawnWinners.length) {
+        return { data: null, error: { message: 'No eligible winners found' } };
+      }
+
+      const winners = drawnWinners.map(slot => ({
+        ...slot,
+        entry: entries[slot.entry_index]
+      }));
+
+      const storedProof = await this.persistDraw(giveawayId, context, winners, {
+        all_calculations: ranges,
+        selection_method: SELECTION_METHODS.TICKET_WEIGHTED,
+        total_tickets: totalTickets,
+        entries_digest: entriesDigest,
+        winning_ticket: winners[0].ticket_number,
+        draw_rounds: draws
+      });
+
+      return {
+        data: {
+          winners,
+          winner: winners[0].entry,
+          proof: storedProof,
+          totalEntries: entries.length,
+          totalTickets,
+          excludedEntries: context.eligibilityExclusions,
+          unfilledSlots: slots.length - winners.length
+        },
+        error: null
+      };
+
+    } catch (error) {
+      console.error('Weighted winner selection error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Next candidate in the committed ordering after every slot drawn so far.
+   * Participants who already held any slot (winner or alternate) are skipped.
+   * Pure function of the proof, so the alternate chain can be replayed.
+   */
+  findNextAlternate(proof, drawSeed, previousAlternates = proof.alternates || []) {
+    const used = [...(proof.ranked_winners || []), ...previousAlternates];
+    const usedParticipants = new Set(used.map(slot => slot.participant));
+    const startRank = used.reduce((max, slot) => Math.max(max, slot.rank || 0), 0);
+    const calculations = proof.all_calculations || [];
+
+    if (proof.selection_method === SELECTION_METHODS.TICKET_WEIGHTED) {
+      const usedTickets = new Set(used.map(slot => slot.ticket_number));
+      const maxRounds = Math.max(1000, calculations.length * 100);
+
+      for (let round = startRank; round < startRank + maxRounds; round++) {
+        const draw = this.drawTicket(drawSeed, proof.entries_digest, round, proof.total_tickets);
+        const range = this.findTicketRange(calculations, draw.ticket_number);
+
+        if (usedTickets.has(draw.ticket_number) || usedParticipants.has(range.participant)) {
+          continue;
+        }
+
+        return {
+          rank: round + 1,
+          entry_index: range.entry_index,
+          entry_id: range.entry_id,
+          entry_input: range.entry_input,
+          participant: range.participant,
+          hmac_output: draw.hmac_output,
+          ticket_number: draw.ticket_number,
+          range_start: range.range_start,
+          range_end: range.range_end
+        };
+      }
+      return null;
+    }
+
+    if (proof.selection_method === SELECTION_METHODS.RANKED) {
+      const ranked = this.rankCalculations(calculations);
+
+      for (let index = startRank; index < ranked.length; index++) {
+        const calc = ranked[index];
+        if (usedParticipants.has(calc.participant)) {
+          continue;
+        }
+        return {
+          rank: index + 1,
+          entry_index: calc.entry_index,
+          entry_id: calc.entry_id,
+          entry_input: calc.entry_input,
+          participant: calc.participant,
+          hmac_output: calc.hmac_output
+        };
+      }
+      return null;
+    }
+
+    // Legacy single-winner proofs carry no replayable ordering
+    return null;
+  },
+
+  /**
+   * Draw the alternate for a forfeited or disqualified slot from the stored
+   * proof ordering and append it to the proof.
+   */
+  async drawAlternate(giveawayId, { position, tierName, reason }) {
+    try {
+      const { data: proof, error } = await supabase
+        .from('fairness_proofs')
+        .select('*')
+        .eq('giveaway_id', giveawayId)
+        .single();
+
+      if (error || !proof) {
+        return { data: null, error: { message: 'Fairness proof not found' } };
+      }
+
+      const alternate = this.findNextAlternate(proof, this.getProofDrawSeed(proof));
+
+      if (!alternate) {
+        return { data: null, error: { message: 'No eligible alternates remain in the draw ordering' } };
+      }
+
+      const record = {
+        ...alternate,
+        position,
+        tier_name: tierName,
+        reason,
+        drawn_at: new Date().toISOString()
+      };
+
+      // Proofs can't be updated directly; this appends and changes nothing else
+      const { error: updateError } = await supabase
+        .rpc('append_fairness_alternate', { p_proof_id: proof.id, p_alternate: record });
+
+      if (updateError) {
+        return { data: null, error: updateError };
+      }
+
+      return { data: { alternate: record, proofId: proof.id }, error: null };
+    } catch (error) {
+      console.error('Alternate draw error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Replay each published alternate against the ordering
+   */
+  verifyAlternates(proof, drawSeed) {
+    const published = proof.alternates || [];
+
+    return published.every((alternate, index) => {
+      const expected = this.findNextAlternate(proof, drawSeed, published.slice(0, index));
+      return !!expected &&
+        expected.entry_input === alternate.entry_input &&
+        expected.rank === alternate.rank;
+    });
+  },
+
   /**
    * Get fairness proof for completed giveaway
    */
@@ -233,10 +934,81 @@ export const fairnessService = {
     }
   },
 
+  /**
+   * Export a proof in the self-contained bundle format read by
+   * scripts/verify-draw.js, so a draw can be audited fully offline.
+   */
+  buildProofBundle(proof) {
+    const calculations = proof.all_calculations || [];
+    const method = proof.selection_method || SELECTION_METHODS.SINGLE;
+
+    const entries = calculations.map(calc => ({
+      input: calc.entry_input,
+      ...(calc.participant !== undefined && { participant: calc.participant }),
+      ...(calc.tickets !== undefined && { tickets: calc.tickets }),
+      ...(calc.hmac_output !== undefined && { hmac_output: calc.hmac_output })
+    }));
+
+    const winners = method === SELECTION_METHODS.SINGLE
+      ? [{
+          position: 1,
+          entry_index: calculations.findIndex(calc => calc.entry_input === proof.winner_input),
+          hmac_output: proof.winner_hash
+        }]
+      : (proof.ranked_winners || []).map(winner => ({
+          position: winner.position,
+          tier_name: winner.tier_name,
+          entry_index: winner.entry_index,
+          hmac_output: winner.hmac_output,
+          ...(winner.ticket_number !== undefined && { ticket_number: winner.ticket_number })
+        }));
+
+    return {
+      format: 'entrypoint-draw-proof',
+      version: 1,
+      giveaway_id: proof.giveaway_id,
+      selection_method: method,
+      seed: proof.seed_value,
+      seed_hash: proof.seed_hash,
+      prize_tiers: proof.prize_tiers || [],
+      max_wins_per_user: proof.max_wins_per_user || 1,
+      ...(proof.beacon_round && {
+        beacon: {
+          source: proof.beacon_source,
+          round: proof.beacon_round,
+          value: proof.beacon_value
+        }
+      }),
+      ...(method === SELECTION_METHODS.TICKET_WEIGHTED && {
+        entries_digest: proof.entries_digest,
+        total_tickets: proof.total_tickets
+      }),
+      entries,
+      winners,
+      alternates: (proof.alternates || []).map(alternate => ({
+        position: alternate.position,
+        reason: alternate.reason,
+        rank: alternate.rank,
+        entry_index: alternate.entry_index,
+        hmac_output: alternate.hmac_output,
+        ...(alternate.ticket_number !== undefined && { ticket_number: alternate.ticket_number })
+      })),
+      excluded_entries: proof.eligibility_exclusions || [],
+      exported_at: new Date().toISOString()
+    };
+  },
+
   /**
    * Verify fairness proof independently
    */
   verifyFairnessProof(proof) {
+    if (proof?.selection_method === SELECTION_METHODS.RANKED) {
+      return this.verifyRankedProof(proof);
+    }
+    if (proof?.selection_method === SELECTION_METHODS.TICKET_WEIGHTED) {
+      return this.verifyWeightedProof(proof);
+    }
+
     try {
       // Recreate HMAC calculation
       const calculatedHmac = CryptoJS.HmacSHA256(proof.winner_input, proof.seed_value).toString();
@@ -259,6 +1031,123 @@ export const fairnessService = {
       console.error('Proof verification error:', error);
       return { isValid: false, error };
     }
+  },
+
+  /**
+   * Re-derive the full ranking of a multi-winner proof and check that the
+   * published winners are exactly the ones the ranking produces.
+   */
+  verifyRankedProof(proof) {
+    try {
+      const calculatedSeedHash = CryptoJS.SHA256(proof.seed_value).toString();
+      const drawSeed = this.getProofDrawSeed(proof);
+      const calculations = proof.all_calculations || [];
+
+      const hmacMismatches = calculations.filter(calc =>
+        CryptoJS.HmacSHA256(calc.entry_input, drawSeed).toString() !== calc.hmac_output
+      );
+
+      const slots = this.expandPrizeTiers(proof.prize_tiers);
+      const expectedWinners = this.assignRankedWinners(
+        this.rankCalculations(calculations),
+        slots,
+        proof.max_wins_per_user || 1
+      );
+      const publishedWinners = proof.ranked_winners || [];
+
+      const orderingMatches =
+        expectedWinners.length === publishedWinners.length &&
+        expectedWinners.every((winner, index) =>
+          winner.entry_input === publishedWinners[index].entry_input &&
+          winner.position === publishedWinners[index].position &&
+          winner.tier_name === publishedWinners[index].tier_name
+        );
+
+      const alternatesMatch = this.verifyAlternates(proof, drawSeed);
+
+      const isValid =
+        calculatedSeedHash === proof.seed_hash &&
+        hmacMismatches.length === 0 &&
+        orderingMatches &&
+        alternatesMatch;
+
+      return {
+        isValid,
+        calculatedSeedHash,
+        providedSeedHash: proof.seed_hash,
+        hmacMismatches: hmacMismatches.map(calc => calc.entry_input),
+        orderingMatches,
+        alternatesMatch,
+        expectedWinners
+      };
+    } catch (error) {
+      console.error('Ranked proof verification error:', error);
+      return { isValid: false, error };
+    }
+  },
+
+  /**
+   * Rebuild the ticket line from the published ranges, replay every draw
+   * round and check the published winning tickets.
+   */
+  verifyWeightedProof(proof) {
+    try {
+      const calculatedSeedHash = CryptoJS.SHA256(proof.seed_value).toString();
+      const ranges = proof.all_calculations || [];
+
+      let expectedStart = 1;
+      const rangesContiguous = ranges.every(range => {
+        const valid =
+          range.range_start === expectedStart &&
+          range.range_end === range.range_start + range.tickets - 1;
+        expectedStart = range.range_end + 1;
+        return valid;
+      });
+
+      const drawSeed = this.getProofDrawSeed(proof);
+      const calculatedDigest = this.computeEntriesDigest(ranges);
+      const { winners: expectedWinners, totalTickets } = this.drawWeightedWinners(
+        ranges,
+        drawSeed,
+        calculatedDigest,
+        this.expandPrizeTiers(proof.prize_tiers),
+        proof.max_wins_per_user || 1
+      );
+      const publishedWinners = proof.ranked_winners || [];
+
+      const ticketsMatch =
+        expectedWinners.length === publishedWinners.length &&
+        expectedWinners.every((winner, index) =>
+          winner.ticket_number === publishedWinners[index].ticket_number &&
+          winner.entry_input === publishedWinners[index].entry_input &&
+          winner.position === publishedWinners[index].position
+        );
+
+      const alternatesMatch = this.verifyAlternates(proof, drawSeed);
+
+      const isValid =
+        calculatedSeedHash === proof.seed_hash &&
+        calculatedDigest === proof.entries_digest &&
+        totalTickets === proof.total_tickets &&
+        rangesContiguous &&
+        ticketsMatch &&
+        alternatesMatch;
+
+      return {
+        isValid,
+        calculatedSeedHash,
+        providedSeedHash: proof.seed_hash,
+        calculatedDigest,
+        providedDigest: proof.entries_digest,
+        rangesContiguous,
+        ticketsMatch,
+        alternatesMatch,
+        expectedWinners
+      };
+    } catch (error) {
+      console.error('Weighted proof verification error:', error);
+      return { isValid: false, error };
+    }
   }
 };
 
@@ -0,0 +1,171 @@
+/**
+ * feeService.js - Fee Engine (client)
+ *
+ * PURPOSE:
+ * Prices a charge the same way the server settles it, so the fees shown at
+ * checkout and in creator projections match what Stripe and the ledger record.
+ *
+ * SCHEDULE:
+ * - get_fee_schedule (database/fee_engine_schema.sql) resolves platform_config,
+ *   the creator's trust tier override and any negotiated giveaway rate
+ * - Channels: 'stripe' (card checkout) and 'app_store' (RevenueCat purchases)
+ *
+ * ARITHMETIC:
+ * - Mirrors supabase/functions/_shared/fees.ts; keep the two in sync
+ * - calculateFeeBreakdown works in integer minor units of the schedule's
+ *   currency (the charge currency); previewFees takes and returns major
+ *   units for screens
+ * - Commission = max(rate × gross, minimum); processing = rate × gross + fixed;
+ *   neither can take the creator's share below zero
+ * - Prize deposits go to escrow in full and carry no fees
+ */
+
+import { supabase } from '../config/supabase';
+import { DEFAULT_CURRENCY, minorUnitExponent, toMinorUnits, fromMinorUnits } from './currencyService';
+
+export { toMinorUnits, fromMinorUnits };
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const DEFAULT_FEE_SCHEDULE = {
+  commission: { rate: 0.05, min: 0.50 },
+  processing: { rate: 0.029, fixed: 0.30 },
+  source: 'platform',
+  tier: null,
+  channel: 'stripe',
+  currency: DEFAULT_CURRENCY,
+  exponent: 2,
+};
+
+const APP_STORE_PROCESSING = { rate: 0.15, fixed: 0 };
+
+const scheduleMinor = (amount, schedule) =>
+  Math.round(Number(amount) * 10 ** (schedule.exponent ?? 2));
+
+const parseSchedule = (data) => ({
+  commission: { rate: Number(data.commission.rate), min: Number(data.commission.min) },
+  processing: { rate: Number(data.processing.rate), fixed: Number(data.processing.fixed) },
+  source: data.source,
+  tier: data.tier ?? null,
+  channel: data.channel,
+  currency: data.currency ?? DEFAULT_CURRENCY,
+  exponent: Number(data.exponent ?? minorUnitExponent(data.currency)),
+});
+
+export const feeService = {
+
+  /**
+   * Processing fee the payment channel withholds on `gross` minor units
+   */
+  processingFee(gross, schedule = DEFAULT_FEE_SCHEDULE) {
+    if (gross <= 0) return 0;
+    return Math.round(gross * schedule.processing.rate + scheduleMinor(schedule.processing.fixed, schedule));
+  },
+
+  /**
+   * Itemized fees for one charge, all amounts in minor units
+   */
+  calculateFeeBreakdown(gross, schedule = DEFAULT_FEE_SCHEDULE, kind = 'entry_purchase') {
+    const amount = Math.max(Math.round(gross), 0);
+    const chargeable = kind === 'entry_purchase' && amount > 0;
+
+    const platformFee = chargeable
+      ? Math.min(
+          Math.max(Math.round(amount * schedule.commission.rate), scheduleMinor(schedule.commission.min, schedule)),
+          amount
+        )
+      : 0;
+    const processing = chargeable ? Math.min(this.processingFee(amount, schedule), amount - platformFee) : 0;
+
+    return {
+      gross: amount,
+      platformFee,
+      processingFee: processing,
+      totalFees: platformFee + processing,
+      creatorNet: amount - platformFee - processing,
+      lineItems: [
+        { code: 'platform_fee', label: 'Platform fee', amount: platformFee },
+        {
+          code: 'processing_fee',
+          label: schedule.channel === 'app_store' ? 'App store fee' : 'Payment processing',
+          amount: processing,
+        },
+      ],
+      schedule,
+    };
+  },
+
+  /**
+   * Fee schedule for a giveaway (in its currency), or for a creator before
+   * the giveaway exists (in `currency`)
+   */
+  async getFeeSchedule({ giveawayId = null, creatorId = null, channel = 'stripe', currency = null } = {}) {
+    if (!isRealBackend) {
+      const code = currency || DEFAULT_CURRENCY;
+      const schedule = { ...DEFAULT_FEE_SCHEDULE, currency: code, exponent: minorUnitExponent(code) };
+      return {
+        data: channel === 'app_store'
+          ? { ...schedule, processing: APP_STORE_PROCESSING, channel }
+          : schedule,
+        error: null
+      };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('get_fee_schedule', {
+        p_giveaway_id: giveawayId,
+        p_creator_id: creatorId,
+        p_channel: channel,
+        p_currency: currency
+      });
+
+      if (error) throw error;
+
+      return { data: parseSchedule(data), error: null };
+    } catch (error) {
+      console.error('Get fee schedule error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Checkout / projection preview in major units of the charge currency:
+   * { gross, platformFee, processingFee, totalFees, creatorNet, lineItems, currency }
+   */
+  async previewFees(amount, { giveawayId = null, creatorId = null, channel = 'stripe', currency = null, kind = 'entry_purchase' } = {}) {
+    const { data: schedule, error } = await this.getFeeSchedule({ giveawayId, creatorId, channel, currency });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    return {
+      data: this.toDollars(this.calculateFeeBreakdown(toMinorUnits(amount, schedule.currency), schedule, kind)),
+      error: null
+    };
+  },
+
+  /**
+   * Convert a minor-unit breakdown (ours, or the one create-payment-intent
+   * returns) to major units for display
+   */
+  toDollars(breakdown) {
+    const currency = breakdown.schedule?.currency ?? DEFAULT_CURRENCY;
+    const major = (amount) => fromMinorUnits(amount, currency);
+
+    return {
+      ...breakdown,
+      currency,
+      gross: major(breakdown.gross),
+      platformFee: major(breakdown.platformFee),
+      processingFee: major(breakdown.processingFee),
+      totalFees: major(breakdown.totalFees),
+      creatorNet: major(breakdown.creatorNet),
+      lineItems: breakdown.lineItems.map(item => ({ ...item, amount: major(item.amount) })),
+    };
+  }
+};
+
+export default feeService;
@@ -0,0 +1,233 @@
+/**
+ * giveawayLifecycleService.js - Giveaway Status State Machine
+ *
+ * PURPOSE:
+ * Single path for changing giveaways.status. The database enforces the same
+ * transitions (database/giveaway_lifecycle_schema.sql) and records each one
+ * in giveaway_status_history; this module mirrors them so screens can offer
+ * only valid actions. Keep GIVEAWAY_TRANSITIONS in sync with
+ * giveaway_status_transitions.
+ *
+ * LIFECYCLE:
+ *   draft -> pending_review -> scheduled -> active -> ended -> drawn -> fulfilled
+ *   + cancelled (terminal), frozen (returns to the status it was frozen from)
+ *
+ * SCHEDULING:
+ * - run_giveaway_lifecycle() (pg_cron, every minute) starts scheduled
+ *   giveaways at starts_at and closes active ones at ends_at
+ * - Every close queues a giveaway.ended webhook; webhookReliabilityService
+ *   handles it by running the draw (ended -> drawn)
+ * - Cancelling queues a refund of every entrant (refundService)
+ */
+
+import { supabase } from '../config/supabase';
+import refundService from './refundService';
+
+export const GIVEAWAY_STATUS = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  DRAWN: 'drawn',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled',
+  FROZEN: 'frozen',
+};
+
+const S = GIVEAWAY_STATUS;
+
+// from -> { to: actors allowed to make the change }
+export const GIVEAWAY_TRANSITIONS = {
+  [S.DRAFT]: {
+    [S.PENDING_REVIEW]: ['creator', 'admin'],
+    [S.CANCELLED]: ['creator', 'admin'],
+  },
+  [S.PENDING_REVIEW]: {
+    [S.DRAFT]: ['creator', 'admin'],
+    [S.SCHEDULED]: ['admin'],
+    [S.ACTIVE]: ['admin'],
+    [S.CANCELLED]: ['creator', 'admin'],
+  },
+  [S.SCHEDULED]: {
+    [S.ACTIVE]: ['admin', 'system'],
+    [S.CANCELLED]: ['creator', 'admin'],
+    [S.FROZEN]: ['admin'],
+  },
+  [S.ACTIVE]: {
+    [S.ENDED]: ['creator', 'admin', 'system'],
+    [S.CANCELLED]: ['admin'],
+    [S.FROZEN]: ['admin'],
+  },
+  [S.ENDED]: {
+    [S.DRAWN]: ['creator', 'admin', 'system'],
+    [S.CANCELLED]: ['admin'],
+    [S.FROZEN]: ['admin'],
+  },
+  [S.DRAWN]: {
+    [S.FULFILLED]: ['admin', 'system'],
+    [S.FROZEN]: ['admin'],
+  },
+  [S.FROZEN]: {
+    [S.SCHEDULED]: ['admin'],
+    [S.ACTIVE]: ['admin'],
+    [S.ENDED]: ['admin'],
+    [S.DRAWN]: ['admin'],
+    [S.CANCELLED]: ['admin'],
+  },
+};
+
+// Giveaways that no longer take entries
+export const CLOSED_STATUSES = [S.ENDED, S.DRAWN, S.FULFILLED];
+
+export const STATUS_LABELS = {
+  [S.DRAFT]: 'Draft',
+  [S.PENDING_REVIEW]: 'In Review',
+  [S.SCHEDULED]: 'Scheduled',
+  [S.ACTIVE]: 'Active',
+  [S.ENDED]: 'Ended',
+  [S.DRAWN]: 'Winners Drawn',
+  [S.FULFILLED]: 'Completed',
+  [S.CANCELLED]: 'Cancelled',
+  [S.FROZEN]: 'Frozen',
+};
+
+export const giveawayLifecycleService = {
+
+  canTransition(fromStatus, toStatus, actor = null) {
+    const actors = GIVEAWAY_TRANSITIONS[fromStatus]?.[toStatus];
+    return !!actors && (!actor || actors.includes(actor));
+  },
+
+  /**
+   * Statuses reachable from the current one, optionally for a given actor
+   */
+  getAvailableTransitions(fromStatus, actor = null) {
+    return Object.keys(GIVEAWAY_TRANSITIONS[fromStatus] || {})
+      .filter(toStatus => this.canTransition(fromStatus, toStatus, actor));
+  },
+
+  /**
+   * Status an approved giveaway moves to: scheduled until its start time,
+   * active once it has passed
+   */
+  getApprovedStatus(giveaway, now = new Date()) {
+    const startsAt = giveaway.starts_at || giveaway.start_date;
+    return startsAt && new Date(startsAt) > now ? S.SCHEDULED : S.ACTIVE;
+  },
+
+  /**
+   * Change a giveaway's status. Invalid transitions are rejected both here
+   * and by the database trigger; the reason is stored in the history.
+   */
+  async transition(giveawayId, toStatus, reason = null, { fromStatus = null } = {}) {
+    try {
+      if (fromStatus && !this.canTransition(fromStatus, toStatus)) {
+        throw new Error(`Cannot move a ${fromStatus} giveaway to ${toStatus}`);
+      }
+
+      const { data, error } = await supabase
+        .rpc('transition_giveaway_status', {
+          p_giveaway_id: giveawayId,
+          p_to_status: toStatus,
+          p_reason: reason
+        })
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error(`Giveaway transition to ${toStatus} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  submitForReview(giveawayId) {
+    return this.transition(giveawayId, S.PENDING_REVIEW, 'Submitted for review', { fromStatus: S.DRAFT });
+  },
+
+  /**
+   * Cancel a giveaway and start refunding its entrants. The database queues
+   * the refund batch with the status change; running it here is only a head
+   * start, so a refund failure doesn't fail the cancellation (the refund job
+   * retries it).
+   */
+  async cancel(giveaway, reason) {
+    const result = await this.transition(giveaway.id, S.CANCELLED, reason, { fromStatus: giveaway.status });
+    if (!result.success) return result;
+
+    // Nothing can have been sold before a giveaway is approved
+    if ([S.DRAFT, S.PENDING_REVIEW].includes(giveaway.status)) {
+      return { ...result, refunds: null };
+    }
+
+    const refunds = await refundService.refundCancelledGiveaway(giveaway.id);
+    if (!refunds.success) {
+      console.error(`Refunds for cancelled giveaway ${giveaway.id} will be retried:`, refunds.error);
+    }
+
+    return { ...result, refunds: refunds.data ?? null };
+  },
+
+  /**
+   * Move an ended giveaway to drawn once winners are recorded
+   */
+  async recordDraw(giveawayId) {
+    const { data: giveaway, error } = await supabase
+      .from('giveaways')
+      .select('id, status')
+      .eq('id', giveawayId)
+      .single();
+
+    if (error || !giveaway) {
+      return { success: false, error: error?.message || 'Giveaway not found' };
+    }
+
+    if (giveaway.status === S.DRAWN) {
+      return { success: true, data: giveaway };
+    }
+
+    if (giveaway.status !== S.ENDED) {
+      return { success: false, error: `Cannot draw a ${giveaway.status} giveaway` };
+    }
+
+    return this.transition(giveawayId, S.DRAWN, 'Winners drawn');
+  },
+
+  async getHistory(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('giveaway_status_history')
+        .select('*')
+        .eq('giveaway_id', giveawayId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get giveaway status history error:', error);
+      return { data: [], error };
+    }
+  },
+
+  /**
+   * Run the scheduled start/close job now (admins only). pg_cron runs the
+   * same function every minute.
+   */
+  async runScheduledTransitions() {
+    try {
+      const { data, error } = await supabase.rpc('run_giveaway_lifecycle');
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Giveaway lifecycle job failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+export default giveawayLifecycleService;
@@ -0,0 +1,106 @@
+/**
+ * ledgerService.js - Double-Entry Ledger (read side)
+ *
+ * PURPOSE:
+ * Reads the journal and account balances written by the money-moving edge
+ * functions, and runs the escrow invariant check. Postings only happen
+ * server-side through post_journal_entry (database/ledger_schema.sql,
+ * supabase/functions/_shared/ledger.ts); nothing here writes money tables.
+ *
+ * ACCOUNTS:
+ * - entrant_cash, platform_fee_revenue, stripe_fees, refunds (platform-wide)
+ * - escrow:<giveaway_id> mirrors escrow_accounts for that giveaway
+ * - creator_payable:<user_id>, winner_payable:<user_id>
+ *
+ * INVARIANT:
+ * escrow_accounts.available_amount + reserved_amount must equal the escrow
+ * account's journal balance (credits - debits). checkEscrowInvariants lists
+ * every escrow that drifts.
+ */
+
+import { supabase } from '../config/supabase';
+
+export const LEDGER_ACCOUNT_KINDS = {
+  ENTRANT_CASH: 'entrant_cash',
+  ESCROW: 'escrow',
+  PLATFORM_FEE_REVENUE: 'platform_fee_revenue',
+  STRIPE_FEES: 'stripe_fees',
+  CREATOR_PAYABLE: 'creator_payable',
+  WINNER_PAYABLE: 'winner_payable',
+  REFUNDS: 'refunds',
+};
+
+export const ledgerService = {
+
+  /**
+   * Account balances in their normal direction, optionally for one giveaway
+   * or one user's payables
+   */
+  async getAccountBalances({ giveawayId = null, userId = null } = {}) {
+    try {
+      let query = supabase
+        .from('ledger_account_balances')
+        .select('*')
+        .order('code', { ascending: true });
+
+      if (giveawayId) query = query.eq('giveaway_id', giveawayId);
+      if (userId) query = query.eq('user_id', userId);
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get ledger balances error:', error);
+      return { data: [], error };
+    }
+  },
+
+  /**
+   * Journal entries for a giveaway with their lines, oldest first
+   */
+  async getGiveawayJournal(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('journal_entries')
+        .select(`
+          *,
+          lines:journal_lines(
+            debit,
+            credit,
+            memo,
+            account:ledger_accounts(code, name, account_type)
+          )
+        `)
+        .eq('giveaway_id', giveawayId)
+        .order('posted_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get giveaway journal error:', error);
+      return { data: [], error };
+    }
+  },
+
+  /**
+   * Escrow accounts whose held amount differs from their journal balance
+   * (admins only). An empty list means every escrow reconciles.
+   */
+  async checkEscrowInvariants() {
+    try {
+      const { data, error } = await supabase.rpc('check_escrow_ledger_drift');
+
+      if (error) throw error;
+
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Escrow ledger check failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+};
+
+export default ledgerService;
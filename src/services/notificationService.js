@@ -3,6 +3,7 @@ import * as Device from 'expo-device';
 import Constants from 'expo-constants';
 import { Platform } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { formatAmount } from './currencyService';
 
 // Configure how notifications are handled when the app is in the foreground
 Notifications.setNotificationHandler({
@@ -242,13 +243,14 @@ export const notificationService = {
   /**
    * Send payment success notification
    */
-  async sendPaymentSuccessNotification(giveawayTitle, amount, ticketCount) {
+  async sendPaymentSuccessNotification(giveawayTitle, amount, ticketCount, currency = 'usd') {
     const title = '💳 Payment Successful!';
-    const body = `Paid $${amount} for ${ticketCount} entries to "${giveawayTitle}". You're in!`;
+    const body = `Paid ${formatAmount(amount, currency)} for ${ticketCount} entries to "${giveawayTitle}". You're in!`;
     
     return await this.scheduleLocalNotification(title, body, {
       type: 'payment_success',
       amount,
+      currency,
       ticketCount
     });
   },
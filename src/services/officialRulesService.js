@@ -0,0 +1,339 @@
+/**
+ * officialRulesService.js - Per-Giveaway Official Rules
+ *
+ * PURPOSE:
+ * Generates sweepstakes official rules from the giveaway record, the
+ * eligibility config and the fairness commitment, and publishes them as
+ * immutable, numbered versions.
+ *
+ * VERSIONING:
+ * - A snapshot is published when a giveaway goes live, and again when a
+ *   live giveaway's rule-relevant fields change (identical text is a no-op)
+ * - giveaway_rules_versions rows can never be updated or deleted
+ * - Each entry is stamped with the version in force when it was made
+ * - Dates are rendered in U.S. Eastern time so the text never depends on
+ *   the publishing device's time zone
+ *
+ * HOSTING:
+ * - In-app: components/OfficialRules.js renders the published sections
+ * - Web: legal-pages-deploy/official-rules.html?giveaway=<id>&version=<n>
+ */
+
+import CryptoJS from 'crypto-js';
+import { supabase } from '../config/supabase';
+import { GEOGRAPHIC_CONFIG, US_STATES } from '../config/geographicCompliance';
+import eligibilityService from './eligibilityService';
+import fairnessService from './fairnessService';
+
+export const RULES_TEMPLATE_VERSION = '2025-01';
+
+const LEGAL_PAGES_URL = process.env.EXPO_PUBLIC_LEGAL_PAGES_URL || 'https://entrypointapp.com';
+const PLATFORM_SPONSOR = {
+  name: 'Entry Point',
+  address: process.env.EXPO_PUBLIC_AMOE_MAILING_ADDRESS || '[SPONSOR ADDRESS]'
+};
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: 'America/New_York',
+      timeZoneName: 'short'
+    })
+  : null;
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      timeZone: 'America/New_York'
+    })
+  : null;
+
+const formatUSD = (value) => `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} USD`;
+
+const stateNames = (codes) => codes.map(code => US_STATES[code] || code);
+
+const listPhrase = (items) => items.length <= 1
+  ? items.join('')
+  : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+
+export const officialRulesService = {
+
+  /**
+   * The giveaway values the rules are generated from. Accepts both database
+   * rows and the camelCase shapes used by screens.
+   */
+  extractFacts(giveaway, { sponsor, seed } = {}) {
+    const rules = eligibilityService.getGiveawayRules(giveaway);
+    const slots = fairnessService.expandPrizeTiers(giveaway.prize_tiers);
+
+    return {
+      giveaway_id: giveaway.id,
+      title: giveaway.title,
+      prize: giveaway.prize || giveaway.title,
+      sponsor_name: giveaway.sponsor_name || sponsor?.name || PLATFORM_SPONSOR.name,
+      sponsor_address: giveaway.sponsor_address || sponsor?.address || PLATFORM_SPONSOR.address,
+      starts_at: giveaway.starts_at || giveaway.start_date || giveaway.startDate || giveaway.created_at || null,
+      ends_at: giveaway.ends_at || giveaway.end_date || giveaway.endDate || null,
+      entry_price: giveaway.ticket_price ?? giveaway.entry_cost ?? giveaway.ticketPrice ?? giveaway.costPerEntry ?? null,
+      max_tickets: giveaway.total_tickets ?? giveaway.totalTickets ?? null,
+      prize_value: giveaway.prize_value ?? giveaway.arv ?? giveaway.prizeValue ?? null,
+      prizes: slots.map(({ position, tier_name, prize_description, prize_value }) => ({
+        position,
+        tier_name,
+        prize_description,
+        prize_value
+      })),
+      max_wins_per_user: Math.max(1, parseInt(giveaway.max_wins_per_user, 10) || 1),
+      claim_window_days: giveaway.claim_window_days || 7,
+      minimum_age: rules.minimumAge,
+      eligible_states: rules.allowedStates,
+      excluded_states: rules.excludedStates,
+      seed_hash: seed?.seed_hash || null,
+      beacon_source: seed?.beacon_source || null,
+      beacon_round: seed?.beacon_round || null
+    };
+  },
+
+  eligibilityText(facts) {
+    const platformExcluded = GEOGRAPHIC_CONFIG.EXCLUDED_US_STATES.filter(state => state.length > 2);
+    const creatorExcluded = stateNames(facts.excluded_states).filter(name => !platformExcluded.includes(name));
+    const excluded = [...platformExcluded, ...creatorExcluded];
+
+    const territory = facts.eligible_states
+      ? `Open only to legal residents of ${listPhrase(stateNames(facts.eligible_states.filter(code => !excluded.includes(US_STATES[code]))))}`
+      : `Open to legal residents of the fifty (50) United States and the District of Columbia (excluding ${listPhrase(excluded)})`;
+
+    return `${territory} who are ${facts.minimum_age} years of age or older at the time of entry. Residents of U.S. territories and all other countries are not eligible. Employees of ${facts.sponsor_name}, their advertising and promotion agencies, and their immediate family members (spouse, parents, children, siblings and their respective spouses) and household members of such employees are not eligible.`;
+  },
+
+  prizeText(facts) {
+    const described = facts.prizes.length === 1
+      ? [`One (1) ${facts.prizes[0].tier_name}: ${facts.prizes[0].prize_description || facts.prize}. Approximate Retail Value ("ARV"): ${facts.prize_value != null ? formatUSD(facts.prize_value) : 'to be determined'}.`]
+      : facts.prizes.map(slot =>
+          `${slot.tier_name} (winner ${slot.position}): ${slot.prize_description || facts.prize}. ARV: ${slot.prize_value != null ? formatUSD(slot.prize_value) : 'to be determined'}.`
+        );
+    const total = facts.prizes.reduce((sum, slot) => sum + (Number(slot.prize_value) || 0), 0);
+    const totalLine = facts.prizes.length > 1 && total > 0 ? ` Total ARV of all prizes: ${formatUSD(total)}.` : '';
+
+    return `${described.join(' ')}${totalLine} Prizes are awarded "as is" with no warranty or guarantee, either express or implied. Prizes are non-transferable and no cash substitution or prize alternatives are permitted except at Sponsor's sole discretion.`;
+  },
+
+  drawingText(facts) {
+    const commitment = facts.seed_hash
+      ? ` Before the Promotion Period began, Sponsor committed to a secret seed by publishing its SHA-256 hash (${facts.seed_hash}).`
+      : ' Before the Promotion Period begins, Sponsor commits to a secret seed by publishing its SHA-256 hash on the giveaway page.';
+    const beacon = facts.beacon_round
+      ? ` The seed is combined with public randomness beacon ${facts.beacon_source} round ${facts.beacon_round}, published after the Promotion Period ends, so no one can know the outcome in advance.`
+      : '';
+    const drawDate = formatDate(facts.ends_at ? new Date(new Date(facts.ends_at).getTime() + 24 * 60 * 60 * 1000) : null);
+
+    return `Winners will be selected on or about ${drawDate || 'the day after the Promotion Period ends'} in a ticket-weighted random drawing from all eligible entries received. Every ticket, paid or free, has an equal chance of being drawn, and each entrant may win at most ${facts.max_wins_per_user} prize${facts.max_wins_per_user === 1 ? '' : 's'}.${commitment}${beacon} Winning tickets are determined by HMAC-SHA256 over the committed entry list, and the full drawing proof is published so anyone can verify the result independently.`;
+  },
+
+  /**
+   * Official rules sections for a set of facts. Pure function of the facts,
+   * so the same giveaway always produces identical text.
+   */
+  buildSections(facts) {
+    const start = formatDateTime(facts.starts_at) || '[START DATE]';
+    const end = formatDateTime(facts.ends_at) || '[END DATE]';
+    const price = facts.entry_price != null ? `$${Number(facts.entry_price).toFixed(2)}` : '[COST]';
+    const maxTickets = facts.max_tickets ? ` A maximum of ${Number(facts.max_tickets).toLocaleString('en-US')} paid tickets will be available.` : '';
+
+    return [
+      {
+        title: '1. SPONSOR',
+        content: `This promotion is sponsored by ${facts.sponsor_name}, located at ${facts.sponsor_address} ("Sponsor"). The promotion is administered on the Entry Point platform.`
+      },
+      {
+        title: '2. PROMOTION PERIOD',
+        content: `The promotion begins on ${start} and ends on ${end} ("Promotion Period"). All entries must be received, and mail-in entries postmarked, during the Promotion Period.`
+      },
+      {
+        title: '3. ELIGIBILITY',
+        content: this.eligibilityText(facts)
+      },
+      {
+        title: '4. HOW TO ENTER',
+        content: `NO PURCHASE NECESSARY TO ENTER OR WIN. A PURCHASE WILL NOT INCREASE YOUR CHANCES OF WINNING RELATIVE TO THE NUMBER OF ENTRIES HELD. During the Promotion Period, eligible participants may enter by (a) purchasing entry tickets through the Entry Point platform at ${price} per ticket, or (b) using the Alternative Method of Entry described below.${maxTickets} Each free entry counts as one (1) ticket, exactly like one paid ticket.`
+      },
+      {
+        title: '5. ALTERNATIVE METHOD OF ENTRY (AMOE)',
+        content: `Online: complete the free entry form on the giveaway page. Mail-in: request a personal mail-in code on the giveaway page, then send a hand-written 3" x 5" card showing that code, your full name, complete address, telephone number, date of birth and email address to: ${facts.sponsor_name} AMOE, ${facts.sponsor_address}. Limit one (1) free entry per person per day, by online submission date or postmark date. Mail-in entries must be postmarked within the Promotion Period.`
+      },
+      {
+        title: '6. PRIZES',
+        content: this.prizeText(facts)
+      },
+      {
+        title: '7. ODDS OF WINNING',
+        content: `Odds of winning depend on the total number of eligible tickets (paid and free) received. An entrant's odds of winning a given prize equal the number of tickets they hold divided by the total number of eligible tickets in the drawing.`
+      },
+      {
+        title: '8. DRAWING METHOD',
+        content: this.drawingText(facts)
+      },
+      {
+        title: '9. WINNER NOTIFICATION AND PRIZE CLAIM',
+        content: `Potential winners will be notified in the app and by the contact information provided at entry. A potential winner must claim the prize, sign the eligibility affidavit and publicity/liability release and provide a shipping address within ${facts.claim_window_days} day${facts.claim_window_days === 1 ? '' : 's'} of notification. A potential winner who does not claim in time, or who is found ineligible, forfeits the prize, and an alternate winner is drawn from the same committed drawing order.`
+      },
+      {
+        title: '10. TAX OBLIGATIONS',
+        content: 'Winners are solely responsible for all federal, state, and local taxes on the prize. A Form 1099 will be issued for prizes valued at $600 or more, and winners may be required to provide a taxpayer identification number before the prize is awarded.'
+      },
+      {
+        title: '11. GENERAL CONDITIONS',
+        content: 'By entering, participants agree to be bound by these Official Rules and the decisions of Sponsor. Sponsor reserves the right to disqualify any entry that is incomplete, illegible, damaged, irregular, or submitted through unauthorized or illegitimate channels. Sponsor is not responsible for lost, late, misdirected, damaged, incomplete, or illegible entries.'
+      },
+      {
+        title: '12. PUBLICITY RELEASE',
+        content: 'By entering, winner grants permission to Sponsor to use their name, likeness, voice, biographical information, and prize information for advertising and promotional purposes in any media now known or hereafter developed, worldwide, in perpetuity, without further compensation except where prohibited by law.'
+      },
+      {
+        title: '13. LIMITATION OF LIABILITY',
+        content: 'By participating, entrants agree to release and hold harmless Sponsor, Entry Point, their parent companies, subsidiaries, affiliates, and their respective officers, directors, employees, and agents from any and all liability for any injuries, losses, or damages of any kind arising from or in connection with the promotion or any prize won.'
+      },
+      {
+        title: '14. DISPUTES',
+        content: 'Any dispute arising out of this promotion will be governed by the laws of the state where Sponsor is located, without regard to conflict of law principles. Any legal proceedings must be brought in the courts of competent jurisdiction in that state.'
+      },
+      {
+        title: '15. VOID WHERE PROHIBITED',
+        content: 'This promotion is void where prohibited, taxed, or restricted by law.'
+      },
+      {
+        title: "16. WINNER'S LIST",
+        content: `For the names of the winners, send a self-addressed stamped envelope to: ${facts.sponsor_name} Winner's List, ${facts.sponsor_address}, within sixty (60) days after the end of the Promotion Period. The drawing proof is also published on the giveaway page.`
+      }
+    ];
+  },
+
+  computeContentHash(sections) {
+    return CryptoJS.SHA256(JSON.stringify(sections.map(({ title, content }) => [title, content]))).toString();
+  },
+
+  /**
+   * Unpublished preview for drafts and the create flow
+   */
+  buildPreview(giveaway, options = {}) {
+    const facts = this.extractFacts(giveaway, options);
+    return { version: null, template_version: RULES_TEMPLATE_VERSION, facts, sections: this.buildSections(facts) };
+  },
+
+  getRulesUrl(giveawayId, version = null) {
+    return `${LEGAL_PAGES_URL}/official-rules.html?giveaway=${giveawayId}${version ? `&version=${version}` : ''}`;
+  },
+
+  /**
+   * Publish a new rules version when the generated text differs from the
+   * latest one. Returns the version in force either way.
+   */
+  async publishSnapshot(giveawayId, publishedBy, changeSummary = 'Published') {
+    try {
+      const { data: giveaway, error: giveawayError } = await supabase
+        .from('giveaways')
+        .select('*')
+        .eq('id', giveawayId)
+        .single();
+
+      if (giveawayError || !giveaway) {
+        throw new Error('Giveaway not found');
+      }
+
+      const { data: seed } = await fairnessService.getGiveawaySeedHash(giveawayId);
+      const facts = this.extractFacts(giveaway, { seed });
+      const sections = this.buildSections(facts);
+      const contentHash = this.computeContentHash(sections);
+
+      const { data: latest } = await this.getRules(giveawayId);
+
+      if (latest?.content_hash === contentHash) {
+        return { success: true, data: latest, unchanged: true };
+      }
+
+      const version = (latest?.version || 0) + 1;
+
+      const { data: snapshot, error: insertError } = await supabase
+        .from('giveaway_rules_versions')
+        .insert({
+          giveaway_id: giveawayId,
+          version,
+          template_version: RULES_TEMPLATE_VERSION,
+          sections,
+          facts,
+          content_hash: contentHash,
+          change_summary: changeSummary,
+          published_by: publishedBy
+        })
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+
+      const { error: updateError } = await supabase
+        .from('giveaways')
+        .update({
+          official_rules_version: version,
+          official_rules_url: this.getRulesUrl(giveawayId)
+        })
+        .eq('id', giveawayId);
+
+      if (updateError) throw updateError;
+
+      return { success: true, data: snapshot };
+    } catch (error) {
+      console.error('Publish official rules error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * A published version, or the latest one when version is omitted
+   */
+  async getRules(giveawayId, version = null) {
+    try {
+      let query = supabase
+        .from('giveaway_rules_versions')
+        .select('*')
+        .eq('giveaway_id', giveawayId);
+
+      query = version
+        ? query.eq('version', version)
+        : query.order('version', { ascending: false }).limit(1);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get official rules error:', error);
+      return { data: null, error };
+    }
+  },
+
+  async getRulesHistory(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('giveaway_rules_versions')
+        .select('id, version, template_version, content_hash, change_summary, published_at')
+        .eq('giveaway_id', giveawayId)
+        .order('version', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get official rules history error:', error);
+      return { data: [], error };
+    }
+  }
+};
+
+export default officialRulesService;
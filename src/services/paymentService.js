@@ -1,5 +1,6 @@
 import { supabase, TABLES } from '../config/supabase';
 import { revenueCatService } from './revenueCatService';
+import { feeService, toMinorUnits, fromMinorUnits } from './feeService';
 
 // Check if we're using real backend (both Supabase and Stripe configured)
 const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL && 
@@ -296,20 +297,23 @@ export const paymentService = {
   },
 
   /**
-   * Create a payment intent for giveaway entry with Connect support
+   * Create a payment intent for giveaway entry with Connect support.
+   * eligibility ({ country, state, dateOfBirth }) is saved as the entrant's
+   * declaration before the giveaway's eligibility rules are checked.
    */
-  async createPaymentIntent(giveawayId, userId, ticketCount, amount, creatorId) {
+  async createPaymentIntent(giveawayId, userId, ticketCount, amount, creatorId, eligibility = null, currency = 'usd') {
     if (!isRealBackend) {
       // Mock payment for demo - simulate delay
       await new Promise(resolve => setTimeout(resolve, 1000));
+
+      const { data: schedule } = await feeService.getFeeSchedule({ currency });
       
       return {
         data: {
           clientSecret: 'pi_mock_client_secret_' + Date.now(),
           paymentIntentId: 'pi_mock_' + Date.now(),
-          amount: amount * 100, // Convert to cents
-          platformFee: Math.round(amount * 0.05 * 100), // 5% platform fee
-          creatorAmount: Math.round(amount * 0.95 * 100), // 95% to creator
+          // minor units, like the edge function
+          fees: feeService.calculateFeeBreakdown(toMinorUnits(amount, currency), schedule),
         },
         error: null
       };
@@ -318,76 +322,35 @@ export const paymentService = {
     try {
       // Generate idempotency key for this specific payment attempt
       const idempotencyKey = `${userId}_${giveawayId}_${ticketCount}_${Date.now()}`;
-      
-      // Calculate platform fee (5% default)
-      const platformFeePercentage = 0.05; // 5%
-      const subtotal = amount;
-      const platformFee = Math.round(subtotal * platformFeePercentage * 100) / 100;
-      const creatorAmount = subtotal - platformFee;
 
-      // Call Supabase Edge Function to create Stripe payment intent with Connect
+      // The server prices entries from the giveaway and rejects a stale
+      // amount (reason 'price_changed'); fees come back as `fees`
       const { data, error } = await supabase.functions.invoke('create-payment-intent', {
         body: {
           giveawayId,
           userId,
           creatorId,
           ticketCount,
-          amount: Math.round(subtotal * 100), // Convert to cents
-          platformFee: Math.round(platformFee * 100), // Convert to cents
-          creatorAmount: Math.round(creatorAmount * 100), // Convert to cents
-          currency: 'usd',
-          idempotencyKey: idempotencyKey
+          amount, // major units of the giveaway's currency
+          currency,
+          idempotencyKey: idempotencyKey,
+          ...(eligibility && { eligibility })
         }
       });
 
       if (error) {
         console.error('Payment intent creation error:', error);
-        return { data: null, error };
-      }
-
-      return { data, error: null };
-    } catch (error) {
-      console.error('Payment service error:', error);
-      return { data: null, error };
-    }
-  },
-
-  /**
-   * Process refund (admin only)
-   */
-  async processRefund(orderId, refundType = 'full', refundAmount = null, reason = 'Giveaway cancelled', adminUserId) {
-    if (!isRealBackend) {
-      // Mock refund
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return {
-        data: {
-          refund_id: 'mock_refund_' + Date.now(),
-          refund_amount: refundAmount || 10.00,
-          entries_revoked: refundType === 'full' ? 1 : 0
-        },
-        error: null
-      };
-    }
-
-    try {
-      const { data, error } = await supabase.functions.invoke('process-refund', {
-        body: {
-          orderId,
-          refundType,
-          refundAmount,
-          reason,
-          adminUserId
+        // Ineligible entrants get a reason code in the response body
+        const details = await error.context?.json?.().catch(() => null);
+        if (details?.reason) {
+          return { data: null, error: { message: details.error, reason: details.reason } };
         }
-      });
-
-      if (error) {
-        console.error('Refund processing error:', error);
         return { data: null, error };
       }
 
       return { data, error: null };
     } catch (error) {
-      console.error('Refund service error:', error);
+      console.error('Payment service error:', error);
       return { data: null, error };
     }
   },
@@ -431,14 +394,16 @@ export const paymentService = {
   },
 
   /**
-   * Create order record and handle platform fees
+   * Create order record priced by the fee engine in the giveaway's currency.
+   * creator_amount is what the stripe-webhook transfers once the charge succeeds.
    */
-  async createOrder(giveawayId, userId, creatorId, ticketCount, ticketPrice, paymentIntentId) {
+  async createOrder(giveawayId, userId, creatorId, ticketCount, ticketPrice, paymentIntentId, currency = 'usd') {
     if (!isRealBackend) {
       // Mock order creation
       const subtotal = ticketCount * ticketPrice;
-      const platformFee = Math.round(subtotal * 0.05 * 100) / 100;
-      const creatorAmount = subtotal - platformFee;
+      const fees = feeService.calculateFeeBreakdown(toMinorUnits(subtotal, currency));
+      const platformFee = fromMinorUnits(fees.platformFee, currency);
+      const creatorAmount = fromMinorUnits(fees.creatorNet, currency);
 
       return {
         data: {
@@ -452,6 +417,7 @@ export const paymentService = {
           platform_fee: platformFee,
           creator_amount: creatorAmount,
           total_amount: subtotal,
+          currency,
           status: 'pending'
         },
         error: null
@@ -459,9 +425,15 @@ export const paymentService = {
     }
 
     try {
-      const subtotal = ticketCount * ticketPrice;
-      const platformFee = Math.round(subtotal * 0.05 * 100) / 100; // 5% platform fee
-      const creatorAmount = subtotal - platformFee;
+      const { data: schedule, error: scheduleError } = await feeService.getFeeSchedule({ giveawayId });
+
+      if (scheduleError) {
+        return { data: null, error: scheduleError };
+      }
+
+      const orderCurrency = schedule.currency;
+      const fees = feeService.calculateFeeBreakdown(toMinorUnits(ticketPrice, orderCurrency) * ticketCount, schedule);
+      const subtotal = fromMinorUnits(fees.gross, orderCurrency);
 
       const { data: orderData, error: orderError } = await supabase
         .from('orders')
@@ -472,10 +444,15 @@ export const paymentService = {
           ticket_count: ticketCount,
           ticket_price: ticketPrice,
           subtotal: subtotal,
-          platform_fee: platformFee,
-          creator_amount: creatorAmount,
+          platform_fee: fromMinorUnits(fees.platformFee, orderCurrency),
+          creator_amount: fromMinorUnits(fees.creatorNet, orderCurrency),
           total_amount: subtotal,
+          currency: orderCurrency,
+          total_amount_minor: fees.gross,
+          platform_fee_minor: fees.platformFee,
+          creator_amount_minor: fees.creatorNet,
           stripe_payment_intent_id: paymentIntentId,
+          payment_metadata: { fees },
           status: 'pending'
         })
         .select()
@@ -590,7 +567,7 @@ export const paymentService = {
    */
   async getCreatorEarnings(creatorId) {
     if (!isRealBackend) {
-      return { data: { total: 0, entries: [] }, error: null };
+      return { data: { total: 0, totals: {}, entries: [] }, error: null };
     }
 
     try {
@@ -602,7 +579,8 @@ export const paymentService = {
           giveaway:giveaways!inner(
             id,
             title,
-            creator_id
+            creator_id,
+            currency
           )
         `)
         .eq('giveaway.creator_id', creatorId)
@@ -613,15 +591,33 @@ export const paymentService = {
         return { data: null, error };
       }
 
-      // Calculate total earnings (minus platform fee)
-      const totalEarnings = data.reduce((sum, entry) => {
-        const platformFee = entry.total_cost * 0.1; // 10% platform fee
-        return sum + (entry.total_cost - platformFee);
-      }, 0);
+      // Each purchase is priced on its own giveaway's fee schedule, in that
+      // giveaway's currency
+      const schedules = {};
+      for (const giveawayId of new Set(data.map(entry => entry.giveaway_id))) {
+        const { data: schedule, error: scheduleError } = await feeService.getFeeSchedule({ giveawayId });
+        if (scheduleError) {
+          return { data: null, error: scheduleError };
+        }
+        schedules[giveawayId] = schedule;
+      }
+
+      const minorTotals = data.reduce((totals, entry) => {
+        const schedule = schedules[entry.giveaway_id];
+        const fees = feeService.calculateFeeBreakdown(toMinorUnits(entry.total_cost, schedule.currency), schedule);
+        return { ...totals, [schedule.currency]: (totals[schedule.currency] || 0) + fees.creatorNet };
+      }, {});
+
+      const totals = Object.fromEntries(
+        Object.entries(minorTotals).map(([currency, amount]) => [currency, fromMinorUnits(amount, currency)])
+      );
+      const currencies = Object.keys(totals);
 
       return {
         data: {
-          total: totalEarnings,
+          // Amounts in different currencies are never added together
+          total: currencies.length <= 1 ? (totals[currencies[0]] ?? 0) : null,
+          totals,
           entries: data,
           entryCount: data.length
         },
@@ -633,56 +629,6 @@ export const paymentService = {
     }
   },
 
-  /**
-   * Process refund for cancelled giveaway
-   */
-  async processRefund(entryId, reason = 'Giveaway cancelled') {
-    if (!isRealBackend) {
-      return { data: { refunded: true }, error: null };
-    }
-
-    try {
-      // Get entry details
-      const { data: entry, error: entryError } = await supabase
-        .from(TABLES.ENTRIES)
-        .select('*')
-        .eq('id', entryId)
-        .single();
-
-      if (entryError || !entry) {
-        return { data: null, error: entryError || { message: 'Entry not found' } };
-      }
-
-      // Call Supabase Edge Function to process refund
-      const { data, error } = await supabase.functions.invoke('process-refund', {
-        body: {
-          paymentIntentId: entry.payment_id,
-          amount: Math.round(entry.total_cost * 100), // Convert to cents
-          reason
-        }
-      });
-
-      if (error) {
-        return { data: null, error };
-      }
-
-      // Update entry status
-      const { error: updateError } = await supabase
-        .from(TABLES.ENTRIES)
-        .update({ payment_status: 'refunded' })
-        .eq('id', entryId);
-
-      if (updateError) {
-        console.error('Entry update error:', updateError);
-      }
-
-      return { data, error: null };
-    } catch (error) {
-      console.error('Refund processing error:', error);
-      return { data: null, error };
-    }
-  },
-
   /**
    * Payment Methods Management
    */
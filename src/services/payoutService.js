@@ -0,0 +1,158 @@
+/**
+ * payoutService.js - Scheduled Creator Payouts
+ *
+ * PURPOSE:
+ * Client side of the payout scheduler (supabase/functions/run-payouts,
+ * database/payout_scheduler_schema.sql). Creator revenue stays in escrow
+ * for platform_config.escrow_hold_period days after a giveaway ends, then
+ * goes out in the next daily payout run unless something holds it.
+ *
+ * HOLDS:
+ * - An admin hold on the creator (adminActionsService.placePayoutHold)
+ * - An open chargeback, unsettled refunds or a prize deposit being settled
+ * - Prizes not yet confirmed delivered, or no Stripe account for payouts
+ *
+ * getUpcomingPayouts is what CreatorDashboardScreen shows; the rest is for
+ * admins.
+ */
+
+import { supabase } from '../config/supabase';
+import { normalizeCurrency } from './currencyService';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+// hold_reason from payout_schedule_internal, as the creator sees it
+export const PAYOUT_HOLD_REASONS = {
+  creator_hold: 'Payouts on your account are on hold',
+  frozen: 'Giveaway is frozen pending review',
+  open_dispute: 'A chargeback is open on this giveaway',
+  pending_refunds: 'Refunds are still being processed',
+  prize_deposit: 'Your prize deposit is being settled',
+  awaiting_fulfillment: 'Waiting for winners to confirm prize delivery',
+  no_payout_account: 'Set up your payout account to get paid',
+};
+
+const parseScheduledPayout = (row) => ({
+  giveawayId: row.giveaway_id,
+  title: row.title,
+  giveawayStatus: row.giveaway_status,
+  currency: normalizeCurrency(row.currency),
+  amountMinor: Number(row.amount_minor),
+  endsAt: row.ends_at,
+  eligibleAt: row.eligible_at,
+  holdReason: row.hold_reason,
+  holdMessage: row.hold_reason
+    ? [PAYOUT_HOLD_REASONS[row.hold_reason] || 'On hold', row.hold_detail].filter(Boolean).join(': ')
+    : null,
+  inProgress: !!row.item_id,
+});
+
+const invokePayoutRuns = async (body) => {
+  const { data, error } = await supabase.functions.invoke('run-payouts', { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const payoutService = {
+
+  /**
+   * Creator revenue still in escrow, soonest first: when each payout is due
+   * and what, if anything, is holding it
+   */
+  async getUpcomingPayouts(creatorId) {
+    if (!isRealBackend) {
+      return {
+        data: [
+          {
+            giveawayId: 'giveaway_mock_1',
+            title: 'iPhone 15 Pro Giveaway',
+            giveawayStatus: 'fulfilled',
+            currency: 'usd',
+            amountMinor: 42750,
+            endsAt: new Date(Date.now() - 5 * 86400000).toISOString(),
+            eligibleAt: new Date(Date.now() + 2 * 86400000).toISOString(),
+            holdReason: null,
+            holdMessage: null,
+            inProgress: false,
+          },
+        ],
+        error: null
+      };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('creator_payout_schedule', {
+        p_creator_id: creatorId
+      });
+
+      if (error) throw error;
+
+      return { data: (data || []).map(parseScheduledPayout), error: null };
+    } catch (error) {
+      console.error('Upcoming payouts error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Start a payout run now for everything that is due. Admins only; the
+   * daily job does the same.
+   */
+  async runPayouts() {
+    if (!isRealBackend) {
+      return { data: { run_id: null, processed: 0, succeeded: 0, failed: 0, skipped: 0, runs: [], mock: true }, error: null };
+    }
+
+    try {
+      const data = await invokePayoutRuns({ action: 'run' });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Payout run error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Retry one payout item that used up its automatic retries. Admins only.
+   */
+  async retryPayoutItem(itemId) {
+    if (!isRealBackend) {
+      return { data: { id: itemId, status: 'completed', mock: true }, error: null };
+    }
+
+    try {
+      const data = await invokePayoutRuns({ action: 'retry', itemId });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Payout retry error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Recent payout runs with their items, newest first. Admins only.
+   */
+  async getPayoutRuns(limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('payout_runs')
+        .select('*, items:payout_run_items(id, giveaway_id, creator_id, status, skip_reason, amount_minor, currency, attempts, error_message, stripe_transfer_id)')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Payout runs error:', error);
+      return { data: null, error };
+    }
+  },
+};
+
+export default payoutService;
@@ -0,0 +1,215 @@
+/**
+ * prizeDepositService.js - Creator Prize Deposits
+ *
+ * PURPOSE:
+ * Client side of prize deposits (database/prize_deposit_schema.sql). A
+ * giveaway whose prize value reaches the platform threshold cannot go live
+ * until its creator deposits a share of that value, set by trust tier, into
+ * the giveaway's escrow.
+ *
+ * FLOW:
+ * - quoteDeposit prices the deposit in the create wizard, before the
+ *   giveaway exists; the database recomputes it when the giveaway is saved
+ * - createDepositPayment opens a Stripe payment for the amount owed;
+ *   stripe-webhook records it and holds it in the escrow reserve
+ * - Once the giveaway is fulfilled or cancelled the deposit is refunded to the
+ *   creator (the prize_deposit.release job calls refundDeposit); an admin may
+ *   instead pay it to the winner as a cash alternative
+ *
+ * Amounts are minor units of the giveaway's currency.
+ */
+
+import { supabase } from '../config/supabase';
+import { fromMinorUnits, normalizeCurrency, toMinorUnits } from './currencyService';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const PRIZE_DEPOSIT_STATUS = {
+  NOT_REQUIRED: 'not_required',
+  REQUIRED: 'required',
+  FUNDED: 'funded',
+  REFUNDING: 'refunding',
+  REFUNDED: 'refunded',
+  PAYING_WINNER: 'paying_winner',
+  PAID_TO_WINNER: 'paid_to_winner',
+};
+
+// Demo-mode policy; the real one is platform_config prize_deposit_policy
+const MOCK_POLICY = { thresholdUsd: 500, rate: 1.0 };
+
+const parseQuote = (data) => ({
+  required: !!data.required,
+  rate: Number(data.rate),
+  amountMinor: Number(data.amount_minor),
+  currency: data.currency,
+  prizeValueUsd: data.prize_value_usd === null ? null : Number(data.prize_value_usd),
+  thresholdUsd: Number(data.threshold_usd),
+  tier: data.tier ?? null,
+});
+
+const invokeFunction = async (name, body) => {
+  const { data, error } = await supabase.functions.invoke(name, { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const prizeDepositService = {
+
+  /**
+   * Deposit a creator would owe for a prize of `prizeValue` (major units of
+   * `currency`): { required, rate, amountMinor, currency, prizeValueUsd,
+   * thresholdUsd, tier }
+   */
+  async quoteDeposit(creatorId, prizeValue, currency = 'usd') {
+    const value = parseFloat(prizeValue) || 0;
+
+    if (!isRealBackend) {
+      const code = normalizeCurrency(currency);
+      const required = value >= MOCK_POLICY.thresholdUsd;
+      return {
+        data: {
+          required,
+          rate: MOCK_POLICY.rate,
+          amountMinor: required ? toMinorUnits(value * MOCK_POLICY.rate, code) : 0,
+          currency: code,
+          prizeValueUsd: code === 'usd' ? value : null,
+          thresholdUsd: MOCK_POLICY.thresholdUsd,
+          tier: null,
+        },
+        error: null
+      };
+    }
+
+    try {
+      const { data, error } = await supabase.rpc('prize_deposit_quote', {
+        p_creator_id: creatorId,
+        p_prize_value: value,
+        p_currency: normalizeCurrency(currency)
+      });
+
+      if (error) throw error;
+
+      return { data: parseQuote(data), error: null };
+    } catch (error) {
+      console.error('Prize deposit quote error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * A giveaway's deposit as the database has it
+   */
+  async getDeposit(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('giveaways')
+        .select('id, currency, prize_deposit_status, prize_deposit_rate, prize_deposit_required_minor, prize_deposit_minor, prize_deposit_settled_at')
+        .eq('id', giveawayId)
+        .single();
+
+      if (error) throw error;
+
+      return {
+        data: {
+          giveawayId: data.id,
+          status: data.prize_deposit_status,
+          rate: data.prize_deposit_rate === null ? null : Number(data.prize_deposit_rate),
+          requiredMinor: Number(data.prize_deposit_required_minor),
+          paidMinor: Number(data.prize_deposit_minor),
+          currency: normalizeCurrency(data.currency),
+          settledAt: data.prize_deposit_settled_at,
+        },
+        error: null
+      };
+    } catch (error) {
+      console.error('Get prize deposit error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Stripe payment for the deposit a giveaway owes. The server charges the
+   * amount it has on record and rejects a stale one (reason 'price_changed').
+   */
+  async createDepositPayment(giveawayId, userId, amountMinor, currency = 'usd') {
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        data: {
+          clientSecret: 'pi_mock_client_secret_' + Date.now(),
+          paymentIntentId: 'pi_mock_' + Date.now(),
+          amountMinor,
+          currency,
+          mock: true
+        },
+        error: null
+      };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('create-payment-intent', {
+        body: {
+          giveawayId,
+          userId,
+          paymentType: 'prize_deposit',
+          amount: fromMinorUnits(amountMinor, currency),
+          currency
+        }
+      });
+
+      if (error) {
+        const details = await error.context?.json?.().catch(() => null);
+        if (details?.reason) {
+          return { data: null, error: { message: details.error, reason: details.reason, amountMinor: details.amount } };
+        }
+        throw error;
+      }
+
+      return { data: { ...data, amountMinor, currency }, error: null };
+    } catch (error) {
+      console.error('Prize deposit payment error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Refund a fulfilled or cancelled giveaway's deposit to its creator
+   */
+  async refundDeposit(giveawayId) {
+    if (!isRealBackend) {
+      return { data: { giveawayId, status: PRIZE_DEPOSIT_STATUS.REFUNDED, mock: true }, error: null };
+    }
+
+    try {
+      const data = await invokeFunction('settle-prize-deposit', { action: 'refund', giveawayId });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Prize deposit refund error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Pay the deposit to a claimed winner as a cash alternative. Admins only.
+   */
+  async payDepositToWinner(giveawayId, winnerId) {
+    if (!isRealBackend) {
+      return { data: { giveawayId, status: PRIZE_DEPOSIT_STATUS.PAID_TO_WINNER, mock: true }, error: null };
+    }
+
+    try {
+      const data = await invokeFunction('settle-prize-deposit', { action: 'pay_winner', giveawayId, winnerId });
+      return { data, error: null };
+    } catch (error) {
+      console.error('Prize deposit payout error:', error);
+      return { data: null, error };
+    }
+  },
+};
+
+export default prizeDepositService;
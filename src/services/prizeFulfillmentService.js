@@ -0,0 +1,413 @@
+/**
+ * prizeFulfillmentService.js - Winner Affidavits & Prize Delivery
+ *
+ * PURPOSE:
+ * Tracks a prize from the moment the winner claims it until it is in their
+ * hands, and tells the payout pipeline when the creator's escrow may be
+ * released.
+ *
+ * FLOW:
+ * 1. Winner submits shipping address and signs the eligibility affidavit/release
+ *    (this also claims the prize - see winnerClaimService)
+ * 2. Creator enters carrier and tracking number
+ * 3. Winner confirms receipt
+ * An admin may record an override (e.g. winner unresponsive after delivery
+ * scan) which releases escrow without step 3.
+ *
+ * PAYOUT GATE:
+ * getPayoutRelease(giveawayId) is releasable only when every live winner slot
+ * has a fulfillment in 'delivered' or 'admin_override'.
+ */
+
+import CryptoJS from 'crypto-js';
+import { supabase } from '../config/supabase';
+import winnerClaimService from './winnerClaimService';
+
+export const AFFIDAVIT_VERSION = '2025-01';
+
+export const AFFIDAVIT_TEXT = `WINNER AFFIDAVIT OF ELIGIBILITY AND RELEASE
+
+I certify that I am the person who entered this giveaway, that I meet every eligibility requirement in its Official Rules (including age and residency), and that I am not an employee or immediate family member of the creator.
+
+I accept the prize as awarded, without substitution except as the Official Rules allow, and understand I am responsible for any taxes on it.
+
+I release Entry Point and the giveaway creator from liability for any injury, loss or damage arising from acceptance or use of the prize, and consent to the use of my username and prize description in winner announcements, except where prohibited by law.
+
+I declare that the information I have provided is true and complete.`;
+
+const RELEASED_STATUSES = ['delivered', 'admin_override'];
+const REQUIRED_ADDRESS_FIELDS = ['shipping_name', 'address_line1', 'city', 'postal_code', 'country'];
+
+class PrizeFulfillmentService {
+  constructor() {
+    this.status = {
+      AWAITING_SHIPMENT: 'awaiting_shipment',
+      SHIPPED: 'shipped',
+      DELIVERED: 'delivered',
+      ADMIN_OVERRIDE: 'admin_override'
+    };
+  }
+
+  /**
+   * Winner slot + fulfillment for the signed-in winner of a giveaway
+   */
+  async getWinnerFulfillment(giveawayId, userId) {
+    try {
+      const { data: winner, error } = await supabase
+        .from('winners')
+        .select(`
+          *,
+          giveaway:giveaways(id, title, prize_description, creator_id),
+          fulfillment:prize_fulfillments(*)
+        `)
+        .eq('giveaway_id', giveawayId)
+        .eq('user_id', userId)
+        .in('claim_status', ['pending', 'claimed'])
+        .order('position', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return {
+        data: winner ? { winner, fulfillment: this.unwrap(winner.fulfillment) } : null,
+        error: null
+      };
+    } catch (error) {
+      console.error('Error fetching winner fulfillment:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * All fulfillments for a giveaway (creator / admin view)
+   */
+  async getGiveawayFulfillments(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('prize_fulfillments')
+        .select(`
+          *,
+          winner:winners(position, prize_tier, claim_status),
+          user:profiles!user_id(username, name, avatar_url)
+        `)
+        .eq('giveaway_id', giveawayId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('Error fetching giveaway fulfillments:', error);
+      return { data: [], error };
+    }
+  }
+
+  /**
+   * Winner signs the affidavit and submits the shipping address
+   */
+  async submitAffidavit(winnerId, userId, { address, signedName, dateOfBirth, agreed }) {
+    try {
+      if (!agreed) {
+        throw new Error('You must agree to the affidavit and release');
+      }
+
+      if (!signedName?.trim()) {
+        throw new Error('Type your full legal name to sign');
+      }
+
+      const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address?.[field]?.trim());
+      if (missing.length > 0) {
+        throw new Error(`Missing shipping details: ${missing.join(', ')}`);
+      }
+
+      const { data: winner, error: winnerError } = await supabase
+        .from('winners')
+        .select('*, giveaway:giveaways(id, title, creator_id)')
+        .eq('id', winnerId)
+        .single();
+
+      if (winnerError || !winner) {
+        throw new Error('Winner record not found');
+      }
+
+      if (winner.user_id !== userId) {
+        throw new Error('Only the winner can sign this affidavit');
+      }
+
+      // Signing is what claims the prize; an expired or replaced slot cannot be signed
+      if (winner.claim_status === 'pending') {
+        const claim = await winnerClaimService.claimPrize(winnerId);
+        if (!claim.success) {
+          throw new Error(claim.error);
+        }
+      } else if (winner.claim_status !== 'claimed') {
+        throw new Error(`Prize cannot be claimed with status: ${winner.claim_status}`);
+      }
+
+      const { data, error } = await supabase
+        .from('prize_fulfillments')
+        .upsert({
+          winner_id: winnerId,
+          giveaway_id: winner.giveaway_id,
+          user_id: userId,
+          creator_id: winner.giveaway.creator_id,
+          status: this.status.AWAITING_SHIPMENT,
+          shipping_name: address.shipping_name.trim(),
+          address_line1: address.address_line1.trim(),
+          address_line2: address.address_line2?.trim() || null,
+          city: address.city.trim(),
+          region: address.region?.trim() || null,
+          postal_code: address.postal_code.trim(),
+          country: address.country.trim(),
+          phone: address.phone?.trim() || null,
+          affidavit_version: AFFIDAVIT_VERSION,
+          affidavit_text_hash: CryptoJS.SHA256(AFFIDAVIT_TEXT).toString(),
+          affidavit_signed_name: signedName.trim(),
+          affidavit_date_of_birth: dateOfBirth || null,
+          affidavit_signed_at: new Date().toISOString()
+        }, { onConflict: 'winner_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.notify(winner.giveaway.creator_id, {
+        type: 'prize_ready_to_ship',
+        title: 'Winner Details Received',
+        message: `The winner of "${winner.giveaway.title}" signed their affidavit. Ship the prize and add tracking to release your payout.`,
+        giveawayId: winner.giveaway_id,
+        actionRequired: true
+      });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Affidavit submission failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Creator records carrier and tracking number
+   */
+  async recordShipment(fulfillmentId, creatorId, { carrier, trackingNumber }) {
+    try {
+      if (!carrier?.trim() || !trackingNumber?.trim()) {
+        throw new Error('Carrier and tracking number are required');
+      }
+
+      const { data: fulfillment, error: fetchError } = await supabase
+        .from('prize_fulfillments')
+        .select('*, giveaway:giveaways(title)')
+        .eq('id', fulfillmentId)
+        .single();
+
+      if (fetchError || !fulfillment) {
+        throw new Error('Fulfillment not found');
+      }
+
+      if (fulfillment.creator_id !== creatorId) {
+        throw new Error('Only the giveaway creator can add tracking');
+      }
+
+      if (![this.status.AWAITING_SHIPMENT, this.status.SHIPPED].includes(fulfillment.status)) {
+        throw new Error(`Cannot add tracking with status: ${fulfillment.status}`);
+      }
+
+      const { data, error } = await supabase
+        .from('prize_fulfillments')
+        .update({
+          status: this.status.SHIPPED,
+          carrier: carrier.trim(),
+          tracking_number: trackingNumber.trim(),
+          shipped_at: new Date().toISOString()
+        })
+        .eq('id', fulfillmentId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.notify(fulfillment.user_id, {
+        type: 'prize_shipped',
+        title: 'Your Prize Has Shipped!',
+        message: `Your prize from "${fulfillment.giveaway?.title}" is on its way via ${carrier.trim()} (${trackingNumber.trim()}). Confirm receipt once it arrives.`,
+        giveawayId: fulfillment.giveaway_id,
+        actionRequired: true
+      });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Shipment recording failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Winner confirms the prize arrived
+   */
+  async confirmReceipt(fulfillmentId, userId) {
+    try {
+      const { data: fulfillment, error: fetchError } = await supabase
+        .from('prize_fulfillments')
+        .select('*, giveaway:giveaways(title)')
+        .eq('id', fulfillmentId)
+        .single();
+
+      if (fetchError || !fulfillment) {
+        throw new Error('Fulfillment not found');
+      }
+
+      if (fulfillment.user_id !== userId) {
+        throw new Error('Only the winner can confirm receipt');
+      }
+
+      if (fulfillment.status !== this.status.SHIPPED) {
+        throw new Error(`Cannot confirm receipt with status: ${fulfillment.status}`);
+      }
+
+      const { data, error } = await supabase
+        .from('prize_fulfillments')
+        .update({
+          status: this.status.DELIVERED,
+          delivered_at: new Date().toISOString()
+        })
+        .eq('id', fulfillmentId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.notify(fulfillment.creator_id, {
+        type: 'prize_delivered',
+        title: 'Prize Delivered',
+        message: `The winner of "${fulfillment.giveaway?.title}" confirmed receipt. Your payout can now be released.`,
+        giveawayId: fulfillment.giveaway_id
+      });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Receipt confirmation failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Record an admin override for a winner slot (creates the fulfillment row
+   * when the winner never submitted one). Audit logging is the caller's job.
+   */
+  async recordOverride(winnerId, adminId, reason) {
+    try {
+      if (!reason?.trim()) {
+        throw new Error('An override reason is required');
+      }
+
+      const { data: winner, error: winnerError } = await supabase
+        .from('winners')
+        .select('*, giveaway:giveaways(creator_id)')
+        .eq('id', winnerId)
+        .single();
+
+      if (winnerError || !winner) {
+        throw new Error('Winner record not found');
+      }
+
+      const { data: existing } = await supabase
+        .from('prize_fulfillments')
+        .select('*')
+        .eq('winner_id', winnerId)
+        .maybeSingle();
+
+      const { data, error } = await supabase
+        .from('prize_fulfillments')
+        .upsert({
+          winner_id: winnerId,
+          giveaway_id: winner.giveaway_id,
+          user_id: winner.user_id,
+          creator_id: winner.giveaway.creator_id,
+          status: this.status.ADMIN_OVERRIDE,
+          override_by: adminId,
+          override_reason: reason.trim(),
+          override_at: new Date().toISOString()
+        }, { onConflict: 'winner_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data, previous: existing || null };
+    } catch (error) {
+      console.error('Fulfillment override failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Escrow gate for creator payouts
+   */
+  async getPayoutRelease(giveawayId) {
+    try {
+      const { data: winners, error } = await supabase
+        .from('winners')
+        .select('id, position, user_id, claim_status, fulfillment:prize_fulfillments(status)')
+        .eq('giveaway_id', giveawayId)
+        .in('claim_status', ['pending', 'claimed']);
+
+      if (error) throw error;
+
+      if (!winners || winners.length === 0) {
+        return { releasable: false, reason: 'No winner has been drawn', outstanding: [] };
+      }
+
+      const outstanding = winners
+        .map(winner => ({
+          winner_id: winner.id,
+          position: winner.position,
+          status: this.unwrap(winner.fulfillment)?.status || `claim_${winner.claim_status}`
+        }))
+        .filter(slot => !RELEASED_STATUSES.includes(slot.status));
+
+      return {
+        releasable: outstanding.length === 0,
+        reason: outstanding.length === 0
+          ? null
+          : `${outstanding.length} prize(s) not yet confirmed delivered`,
+        outstanding
+      };
+    } catch (error) {
+      console.error('Payout release check failed:', error);
+      return { releasable: false, reason: 'Could not verify prize fulfillment', outstanding: [] };
+    }
+  }
+
+  // One-to-one embeds can come back as an array depending on FK detection
+  unwrap(fulfillment) {
+    return Array.isArray(fulfillment) ? fulfillment[0] || null : fulfillment || null;
+  }
+
+  async notify(userId, notification) {
+    try {
+      const { error } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: {
+            giveawayId: notification.giveawayId,
+            actionRequired: notification.actionRequired || false
+          },
+          read: false
+        });
+
+      if (error) {
+        console.error('Failed to send fulfillment notification:', error);
+      }
+    } catch (error) {
+      console.error('Fulfillment notification error:', error);
+    }
+  }
+}
+
+export default new PrizeFulfillmentService();
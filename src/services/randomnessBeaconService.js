@@ -0,0 +1,148 @@
+/**
+ * randomnessBeaconService.js - Public Randomness Beacons
+ *
+ * PURPOSE:
+ * Supplies publicly verifiable randomness that nobody (including us) knows
+ * when a giveaway is created. A future beacon round is committed alongside
+ * the server seed hash, and its value is mixed into the final draw seed, so
+ * the platform cannot pick a seed after seeing the entries.
+ *
+ * BEACON SOURCE INTERFACE:
+ * {
+ *   name: string,                          // stored on seeds and proofs
+ *   roundAt(date): number,                 // first round published at or after date
+ *   getRound(round): Promise<{ round, value, published_at }>
+ * }
+ * getRound must throw BEACON_ROUND_PENDING when the round is not out yet.
+ *
+ * SOURCES:
+ * - drand: League of Entropy mainnet (default)
+ * - file: fixed rounds loaded from a JSON file, for tests and local dev
+ */
+
+import CryptoJS from 'crypto-js';
+
+export const BEACON_ROUND_PENDING = 'BEACON_ROUND_PENDING';
+
+// Minimum gap between giveaway end and the committed beacon round
+const COMMIT_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * drand mainnet beacon (https://drand.love)
+ */
+export const createDrandBeaconSource = ({
+  baseUrl = 'https://api.drand.sh',
+  genesisTime = 1595431050,
+  period = 30
+} = {}) => ({
+  name: 'drand',
+
+  roundAt(date) {
+    const seconds = Math.floor(new Date(date).getTime() / 1000);
+    return Math.max(1, Math.floor((seconds - genesisTime) / period) + 1);
+  },
+
+  async getRound(round) {
+    const response = await fetch(`${baseUrl}/public/${round}`);
+
+    if (response.status === 404 || response.status === 425) {
+      const error = new Error(`Beacon round ${round} has not been published yet`);
+      error.code = BEACON_ROUND_PENDING;
+      throw error;
+    }
+    if (!response.ok) {
+      throw new Error(`Beacon request failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      round: data.round,
+      value: data.randomness,
+      published_at: new Date((genesisTime + (data.round - 1) * period) * 1000).toISOString()
+    };
+  }
+});
+
+/**
+ * Local stand-in backed by a beacon file:
+ * { "genesis_time": 1700000000, "period": 30, "rounds": { "1": "ab12..." } }
+ * Pass the parsed file contents (require() in the app, JSON.parse in Node).
+ */
+export const createFileBeaconSource = (beaconFile) => {
+  const genesisTime = beaconFile.genesis_time || 0;
+  const period = beaconFile.period || 30;
+
+  return {
+    name: 'file',
+
+    roundAt(date) {
+      const seconds = Math.floor(new Date(date).getTime() / 1000);
+      return Math.max(1, Math.floor((seconds - genesisTime) / period) + 1);
+    },
+
+    async getRound(round) {
+      const value = beaconFile.rounds?.[String(round)];
+
+      if (!value) {
+        const error = new Error(`Beacon round ${round} is not in the beacon file`);
+        error.code = BEACON_ROUND_PENDING;
+        throw error;
+      }
+
+      return {
+        round,
+        value,
+        published_at: new Date((genesisTime + (round - 1) * period) * 1000).toISOString()
+      };
+    }
+  };
+};
+
+class RandomnessBeaconService {
+  constructor() {
+    this.sources = {};
+    this.defaultSource = 'drand';
+    this.registerSource(createDrandBeaconSource());
+  }
+
+  /**
+   * Register (or replace) a beacon source
+   */
+  registerSource(source, { makeDefault = false } = {}) {
+    this.sources[source.name] = source;
+    if (makeDefault) {
+      this.defaultSource = source.name;
+    }
+  }
+
+  getSource(name = this.defaultSource) {
+    const source = this.sources[name];
+    if (!source) {
+      throw new Error(`Unknown beacon source: ${name}`);
+    }
+    return source;
+  }
+
+  /**
+   * Pick the beacon round to commit for a giveaway ending at endsAt
+   */
+  commitRound(endsAt, sourceName = this.defaultSource) {
+    const source = this.getSource(sourceName);
+    const commitTime = Math.max(Date.now(), new Date(endsAt).getTime()) + COMMIT_MARGIN_MS;
+    return { source: source.name, round: source.roundAt(commitTime) };
+  }
+
+  async getRound(round, sourceName = this.defaultSource) {
+    return this.getSource(sourceName).getRound(round);
+  }
+
+  /**
+   * final_seed = SHA256(server_seed:beacon_round:beacon_value)
+   */
+  deriveFinalSeed(serverSeed, beaconRound, beaconValue) {
+    return CryptoJS.SHA256(`${serverSeed}:${beaconRound}:${beaconValue}`).toString();
+  }
+}
+
+export const randomnessBeaconService = new RandomnessBeaconService();
+export default randomnessBeaconService;
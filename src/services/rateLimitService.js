@@ -6,110 +6,68 @@
  * Prevents abuse, DDoS attacks, and maintains platform stability.
  * 
  * RATE LIMITS:
+ * Configured in platform_config 'rate_limits' (database/rate_limiter_schema.sql)
+ * and changeable without a redeploy. Defaults:
  * - Purchases: 10/min/IP, 5/min/user
  * - AMOE entries: 1/day/giveaway/user, 3/day/giveaway/IP
  * - Auth attempts: 5/min/IP, 3/min/email
  * - API calls: 100/min/user, 1000/min/IP
  * - Admin actions: 50/min/admin
+ *
+ * Each limit is a token bucket refilled evenly over its window, checked and
+ * taken from atomically by the check_rate_limit database function, so a
+ * check also counts the call: there is nothing separate to record.
+ *
+ * The app can only check the signed-in user's own buckets. Purchase, auth
+ * and API limits also cover the caller's IP (and auth the email), which
+ * only the server can check honestly, so those go through the
+ * check-rate-limit edge function.
  */
 
 import { supabase } from '../config/supabase';
 import observabilityService from './observabilityService';
 
 class RateLimitService {
-  constructor() {
-    this.limits = {
-      // Purchase rate limits
-      purchase_user: { window: 60, max: 5 },      // 5 purchases per minute per user
-      purchase_ip: { window: 60, max: 10 },       // 10 purchases per minute per IP
-      
-      // Authentication rate limits
-      auth_ip: { window: 60, max: 5 },            // 5 auth attempts per minute per IP
-      auth_email: { window: 60, max: 3 },         // 3 auth attempts per minute per email
-      
-      // AMOE rate limits (already implemented in ipGeoService)
-      amoe_user_daily: { window: 86400, max: 1 }, // 1 AMOE entry per day per user per giveaway
-      amoe_ip_daily: { window: 86400, max: 3 },   // 3 AMOE entries per day per IP per giveaway
-      
-      // API rate limits
-      api_user: { window: 60, max: 100 },         // 100 API calls per minute per user
-      api_ip: { window: 60, max: 1000 },          // 1000 API calls per minute per IP
-      
-      // Admin rate limits
-      admin_actions: { window: 60, max: 50 },     // 50 admin actions per minute
-      
-      // Content uploads
-      upload_user: { window: 300, max: 10 },      // 10 uploads per 5 minutes per user
-      upload_ip: { window: 300, max: 50 },        // 50 uploads per 5 minutes per IP
-      
-      // Comment/interaction limits
-      comment_user: { window: 60, max: 5 },       // 5 comments per minute per user
-      follow_user: { window: 300, max: 20 },      // 20 follows per 5 minutes per user
-    };
-  }
-
   /**
-   * Check if action is allowed under rate limits
+   * Check if action is allowed under the signed-in user's (or admin's) own
+   * rate limit, and count it if so.
+   * Returns { allowed, limit, used, remaining, resetTime, retryAfter };
+   * retryAfter is the seconds until the next call is allowed. With
+   * consume false the call is not counted, e.g. to show what is left.
    */
-  async checkRateLimit(action, identifier, identifierType = 'user', metadata = {}) {
+  async checkRateLimit(action, identifier, identifierType = 'user', metadata = {}, { consume = true } = {}) {
     try {
-      const limit = this.limits[`${action}_${identifierType}`];
-      if (!limit) {
-        // No limit defined for this action - allow it
-        return { allowed: true };
-      }
-
-      const windowStart = new Date(Date.now() - limit.window * 1000);
-      
-      // Check current usage in time window
-      const { data: usageData, error } = await supabase
-        .from('rate_limit_usage')
-        .select('count')
-        .eq('action', action)
-        .eq('identifier', identifier)
-        .eq('identifier_type', identifierType)
-        .gte('window_start', windowStart.toISOString())
-        .single();
+      const { data: result, error } = await supabase.rpc('check_rate_limit', {
+        p_action: action,
+        p_identifier: identifier,
+        p_identifier_type: identifierType,
+        p_consume: consume
+      });
 
-      if (error && error.code !== 'PGRST116') {
+      if (error) {
         console.error('Rate limit check error:', error);
         // Fail open - don't block if we can't check
         return { allowed: true };
       }
 
-      const currentUsage = usageData?.count || 0;
-      const remaining = Math.max(0, limit.max - currentUsage);
-      const resetTime = new Date(Date.now() + limit.window * 1000);
-
-      if (currentUsage >= limit.max) {
+      if (!result.allowed) {
         // Rate limit exceeded
         observabilityService.trackSecurity('rate_limit_exceeded', {
           action,
           identifier,
           identifierType,
-          currentUsage,
-          limit: limit.max,
+          limit: result.limit,
+          retryAfter: result.retryAfter,
           ...metadata
         });
 
         return {
-          allowed: false,
-          reason: 'rate_limit_exceeded',
-          limit: limit.max,
-          used: currentUsage,
-          remaining: 0,
-          resetTime: resetTime.toISOString(),
-          retryAfter: limit.window
+          ...result,
+          reason: 'rate_limit_exceeded'
         };
       }
 
-      return {
-        allowed: true,
-        limit: limit.max,
-        used: currentUsage,
-        remaining,
-        resetTime: resetTime.toISOString()
-      };
+      return result;
 
     } catch (error) {
       console.error('Rate limit check failed:', error);
@@ -120,111 +78,83 @@ class RateLimitService {
   }
 
   /**
-   * Record usage of rate-limited action
+   * A message for a refused call, e.g. "Too many attempts. Try again in 2 minutes."
    */
-  async recordUsage(action, identifier, identifierType = 'user', metadata = {}) {
-    try {
-      const windowStart = this.getWindowStart(action, identifierType);
-      
-      // Upsert usage record
-      const { error } = await supabase
-        .from('rate_limit_usage')
-        .upsert({
-          action,
-          identifier,
-          identifier_type: identifierType,
-          window_start: windowStart.toISOString(),
-          count: 1,
-          last_used: new Date().toISOString(),
-          metadata
-        }, {
-          onConflict: 'action,identifier,identifier_type,window_start'
-        });
+  getRetryMessage(details, prefix = 'Too many attempts.') {
+    const seconds = details?.retryAfter;
+    if (!seconds) return `${prefix} Try again shortly.`;
 
-      if (error) {
-        console.error('Failed to record rate limit usage:', error);
-      }
-    } catch (error) {
-      console.error('Rate limit recording failed:', error);
+    if (seconds < 60) {
+      return `${prefix} Try again in ${seconds} ${seconds === 1 ? 'second' : 'seconds'}.`;
+    }
+
+    if (seconds < 3600) {
+      const minutes = Math.ceil(seconds / 60);
+      return `${prefix} Try again in ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}.`;
     }
+
+    const hours = Math.ceil(seconds / 3600);
+    return `${prefix} Try again in ${hours} ${hours === 1 ? 'hour' : 'hours'}.`;
   }
 
   /**
-   * Comprehensive rate limit check for purchases
+   * Check and count a call against the caller's own limit, then their IP's
+   * (check-rate-limit). A call the first limit refuses isn't counted
+   * against the IP. Returns { allowed, limits } or { allowed: false, reason,
+   * details }.
    */
-  async checkPurchaseRateLimit(userId, ipAddress, metadata = {}) {
-    // Check both user and IP limits
-    const [userCheck, ipCheck] = await Promise.all([
-      this.checkRateLimit('purchase', userId, 'user', metadata),
-      this.checkRateLimit('purchase', ipAddress, 'ip', metadata)
-    ]);
+  async checkServerRateLimit(action, body = {}, metadata = {}) {
+    try {
+      const { data: result, error } = await supabase.functions.invoke('check-rate-limit', {
+        body: { action, ...body }
+      });
 
-    if (!userCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'user_rate_limit',
-        details: userCheck
-      };
-    }
+      if (error) {
+        console.error('Rate limit check error:', error);
+        // Fail open - don't block if we can't check
+        return { allowed: true };
+      }
 
-    if (!ipCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'ip_rate_limit',
-        details: ipCheck
-      };
-    }
+      if (!result.allowed) {
+        observabilityService.trackSecurity('rate_limit_exceeded', {
+          action,
+          reason: result.reason,
+          limit: result.details?.limit,
+          retryAfter: result.details?.retryAfter,
+          ...metadata
+        });
+      }
+
+      return result;
 
-    return { allowed: true, userLimit: userCheck, ipLimit: ipCheck };
+    } catch (error) {
+      console.error('Rate limit check failed:', error);
+      observabilityService.trackError(error, { action });
+      // Fail open for availability
+      return { allowed: true };
+    }
   }
 
   /**
-   * Record purchase rate limit usage
+   * Comprehensive rate limit check for purchases, by the signed-in user
+   * and their IP
    */
-  async recordPurchaseUsage(userId, ipAddress, metadata = {}) {
-    await Promise.all([
-      this.recordUsage('purchase', userId, 'user', metadata),
-      this.recordUsage('purchase', ipAddress, 'ip', metadata)
-    ]);
+  async checkPurchaseRateLimit(metadata = {}) {
+    return await this.checkServerRateLimit('purchase', {}, metadata);
   }
 
   /**
-   * Check authentication rate limits
+   * Check authentication rate limits, by email and IP
    */
-  async checkAuthRateLimit(email, ipAddress, metadata = {}) {
-    const [emailCheck, ipCheck] = await Promise.all([
-      this.checkRateLimit('auth', email, 'email', metadata),
-      this.checkRateLimit('auth', ipAddress, 'ip', metadata)
-    ]);
-
-    if (!emailCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'email_rate_limit',
-        details: emailCheck
-      };
-    }
-
-    if (!ipCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'ip_rate_limit',
-        details: ipCheck
-      };
-    }
-
-    return { allowed: true, emailLimit: emailCheck, ipLimit: ipCheck };
+  async checkAuthRateLimit(email, metadata = {}) {
+    return await this.checkServerRateLimit('auth', { email }, metadata);
   }
 
   /**
-   * Record auth attempt
+   * Record the outcome of an auth attempt; checkAuthRateLimit already
+   * counted it
    */
   async recordAuthUsage(email, ipAddress, success, metadata = {}) {
-    await Promise.all([
-      this.recordUsage('auth', email, 'email', { success, ...metadata }),
-      this.recordUsage('auth', ipAddress, 'ip', { success, ...metadata })
-    ]);
-
     // Track security event
     if (!success) {
       observabilityService.trackSecurity('auth_failed', {
@@ -236,31 +166,10 @@ class RateLimitService {
   }
 
   /**
-   * Check API rate limits
+   * Check API rate limits, by the signed-in user and their IP
    */
-  async checkAPIRateLimit(userId, ipAddress, endpoint, metadata = {}) {
-    const [userCheck, ipCheck] = await Promise.all([
-      this.checkRateLimit('api', userId, 'user', { endpoint, ...metadata }),
-      this.checkRateLimit('api', ipAddress, 'ip', { endpoint, ...metadata })
-    ]);
-
-    if (!userCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'user_api_limit',
-        details: userCheck
-      };
-    }
-
-    if (!ipCheck.allowed) {
-      return {
-        allowed: false,
-        reason: 'ip_api_limit',
-        details: ipCheck
-      };
-    }
-
-    return { allowed: true, userLimit: userCheck, ipLimit: ipCheck };
+  async checkAPIRateLimit(endpoint, metadata = {}) {
+    return await this.checkServerRateLimit('api', {}, { endpoint, ...metadata });
   }
 
   /**
@@ -274,60 +183,23 @@ class RateLimitService {
   }
 
   /**
-   * Get window start time for action
-   */
-  getWindowStart(action, identifierType) {
-    const limit = this.limits[`${action}_${identifierType}`];
-    if (!limit) return new Date();
-
-    const windowMs = limit.window * 1000;
-    const now = Date.now();
-    const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
-    
-    return windowStart;
-  }
-
-  /**
-   * Clean up old rate limit records
-   */
-  async cleanupOldRecords() {
-    try {
-      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      
-      const { error } = await supabase
-        .from('rate_limit_usage')
-        .delete()
-        .lt('window_start', oneDayAgo.toISOString());
-
-      if (error) {
-        console.error('Failed to cleanup old rate limit records:', error);
-      } else {
-        console.log('✅ Cleaned up old rate limit records');
-      }
-    } catch (error) {
-      console.error('Rate limit cleanup error:', error);
-    }
-  }
-
-  /**
-   * Get current rate limit status for user
+   * Get current rate limit status for user, without counting anything
    */
-  async getRateLimitStatus(userId, ipAddress) {
+  async getRateLimitStatus(userId) {
     try {
+      const peek = { consume: false };
       const checks = await Promise.all([
-        this.checkRateLimit('purchase', userId, 'user'),
-        this.checkRateLimit('api', userId, 'user'),
-        this.checkRateLimit('upload', userId, 'user'),
-        this.checkRateLimit('comment', userId, 'user'),
-        this.checkRateLimit('api', ipAddress, 'ip')
+        this.checkRateLimit('purchase', userId, 'user', {}, peek),
+        this.checkRateLimit('api', userId, 'user', {}, peek),
+        this.checkRateLimit('upload', userId, 'user', {}, peek),
+        this.checkRateLimit('comment', userId, 'user', {}, peek)
       ]);
 
       return {
         purchase: checks[0],
         api: checks[1],
         upload: checks[2],
-        comment: checks[3],
-        ipAPI: checks[4]
+        comment: checks[3]
       };
     } catch (error) {
       console.error('Failed to get rate limit status:', error);
@@ -0,0 +1,171 @@
+/**
+ * refundService.js - Refunds
+ *
+ * PURPOSE:
+ * Single client entry point to the refund engine (supabase/functions/process-refund,
+ * database/refund_engine_schema.sql). Every refund, whether a cancelled
+ * giveaway's bulk refund or an admin refunding a few tickets, runs through
+ * the same edge function.
+ *
+ * CANCELLATION:
+ * - Cancelling a giveaway queues a refund batch for every completed purchase
+ *   in the same transaction (database trigger) and starts it
+ * - Failed refunds are retried on their own with backoff; the rest of the
+ *   batch carries on. Batches that still have failures after the automatic
+ *   retries show as needs_attention for an admin to retry
+ *
+ * FEES:
+ * - platform_config.refund_policy decides, per cause, whether the entrant's
+ *   refund is net of the platform commission and processing fee
+ *
+ * ENTRIES:
+ * - Refunded tickets are voided (entries.ticket_count drops; fully refunded
+ *   entries leave the draw) and entries.refund_status is what MyEntriesScreen
+ *   shows
+ */
+
+import { supabase } from '../config/supabase';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const REFUND_CAUSES = {
+  GIVEAWAY_CANCELLED: 'giveaway_cancelled',
+  ENTRANT_REQUEST: 'entrant_request',
+  ADMIN: 'admin',
+};
+
+// entries.refund_status
+export const ENTRY_REFUND_STATUS = {
+  PENDING: 'pending',
+  PARTIAL: 'partial',
+  REFUNDED: 'refunded',
+};
+
+const invokeRefundEngine = async (body) => {
+  const { data, error } = await supabase.functions.invoke('process-refund', { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const refundService = {
+
+  /**
+   * Run (or resume) the bulk refund of a cancelled giveaway. Creators can
+   * start their own giveaway's batch; retryFailed (admins) also retries
+   * refunds that used up their automatic retries.
+   */
+  async refundCancelledGiveaway(giveawayId, { retryFailed = false } = {}) {
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        success: true,
+        mock: true,
+        data: { batch_id: 'batch_mock_' + Date.now(), status: 'completed', processed: 0, succeeded: 0, failed: 0, remaining: 0 }
+      };
+    }
+
+    try {
+      const data = await invokeRefundEngine({ action: 'run_batch', giveawayId, retryFailed });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Giveaway refund error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Refund some or all of the tickets in an entry's purchase (admins only).
+   * tickets = null refunds every ticket the entrant still holds.
+   */
+  async refundTickets(entryId, { tickets = null, cause = REFUND_CAUSES.ADMIN, reason = null } = {}) {
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        success: true,
+        mock: true,
+        data: { id: 'refund_mock_' + Date.now(), status: 'completed', tickets: tickets ?? 1, amount_minor: 1000, currency: 'usd' }
+      };
+    }
+
+    try {
+      const data = await invokeRefundEngine({ action: 'refund_tickets', entryId, tickets, cause, reason });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Ticket refund error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Retry one failed refund now (admins only)
+   */
+  async retryRefund(refundId) {
+    if (!isRealBackend) {
+      return { success: true, mock: true, data: { id: refundId, status: 'completed' } };
+    }
+
+    try {
+      const data = await invokeRefundEngine({ action: 'retry', refundId });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Refund retry error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Progress of a cancelled giveaway's refund batch, or null if none
+   */
+  async getGiveawayRefundProgress(giveawayId) {
+    if (!isRealBackend) {
+      return { data: null, error: null };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('refund_batch_progress')
+        .select('*')
+        .eq('giveaway_id', giveawayId)
+        .eq('cause', REFUND_CAUSES.GIVEAWAY_CANCELLED)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get refund progress error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Refunds for a giveaway, newest first (admins)
+   */
+  async getGiveawayRefunds(giveawayId) {
+    if (!isRealBackend) {
+      return { data: [], error: null };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('refunds')
+        .select('id, status, cause, reason, ticket_count, amount_minor, currency, fees_borne_by, attempts, error_message, user_id, entry_id, created_at, completed_at')
+        .eq('giveaway_id', giveawayId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get giveaway refunds error:', error);
+      return { data: [], error };
+    }
+  },
+};
+
+export default refundService;
@@ -1,5 +1,8 @@
 import { supabase, TABLES } from '../config/supabase';
 import { paymentService } from './paymentService';
+import prizeFulfillmentService from './prizeFulfillmentService';
+import { feeService, toMinorUnits, fromMinorUnits } from './feeService';
+import { GIVEAWAY_STATUS } from './giveawayLifecycleService';
 
 // Check if we're using real backend
 const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL && 
@@ -12,7 +15,9 @@ const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
 export const revenueReconciliationService = {
 
   /**
-   * Process creator payout after giveaway completion
+   * Process creator payout after giveaway completion.
+   * Escrow stays held until every prize is confirmed delivered or an admin
+   * override is recorded (see prizeFulfillmentService.getPayoutRelease).
    */
   async processCreatorPayout(giveawayId) {
     if (!isRealBackend) {
@@ -46,6 +51,17 @@ export const revenueReconciliationService = {
         return { success: false, error: 'Giveaway not found' };
       }
 
+      const release = await prizeFulfillmentService.getPayoutRelease(giveawayId);
+
+      if (!release.releasable) {
+        return {
+          success: false,
+          held: true,
+          error: `Escrow held: ${release.reason}`,
+          outstanding: release.outstanding
+        };
+      }
+
       // Calculate total revenue from RevenueCat orders for this giveaway
       const revenueCalculation = await this.calculateGiveawayRevenue(giveawayId);
       
@@ -53,10 +69,11 @@ export const revenueReconciliationService = {
         return { success: false, error: 'Failed to calculate revenue' };
       }
 
-      const { totalRevenue, platformFee, creatorAmount, entryCount } = revenueCalculation.data;
+      const { totalRevenue, platformFee, processingFee, creatorAmount, entryCount, currency } = revenueCalculation.data;
 
-      // Only process payout if there's revenue and giveaway is completed
-      if (totalRevenue > 0 && giveaway.status === 'completed') {
+      // Only pay out once there's revenue and the winners have been drawn
+      const drawn = [GIVEAWAY_STATUS.DRAWN, GIVEAWAY_STATUS.FULFILLED].includes(giveaway.status);
+      if (totalRevenue > 0 && drawn) {
         // Check if creator has Stripe Connect account
         const connectAccount = await this.getCreatorConnectAccount(giveaway.creator_id);
         
@@ -64,23 +81,27 @@ export const revenueReconciliationService = {
           return { success: false, error: 'Creator needs to set up payout account' };
         }
 
-        // Process payout through Stripe Connect
+        // Process payout through Stripe Connect; the function pays the
+        // creator's own account, looked up server-side
         const payoutResult = await this.processStripePayout(
-          connectAccount.data.stripe_account_id,
           creatorAmount,
-          giveawayId
+          giveawayId,
+          currency
         );
 
         if (payoutResult.success) {
-          // Record payout in database
+          // Record payout in database; platform_fee holds everything withheld
+          // so that total_revenue = platform_fee + creator_amount still holds
           const recordResult = await this.recordCreatorPayout(
             giveawayId,
             giveaway.creator_id,
             totalRevenue,
-            platformFee,
+            fromMinorUnits(toMinorUnits(platformFee, currency) + toMinorUnits(processingFee, currency), currency),
             creatorAmount,
             entryCount,
-            payoutResult.data.transfer_id
+            payoutResult.data.transfer_id,
+            currency,
+            payoutResult.data.settlement
           );
 
           return {
@@ -91,6 +112,8 @@ export const revenueReconciliationService = {
               platform_fee: platformFee,
               total_revenue: totalRevenue,
               entry_count: entryCount,
+              currency,
+              settlement: payoutResult.data.settlement ?? null,
               transfer_id: payoutResult.data.transfer_id,
               payout_status: 'completed'
             }
@@ -101,7 +124,7 @@ export const revenueReconciliationService = {
       } else {
         return { 
           success: false, 
-          error: totalRevenue === 0 ? 'No revenue to pay out' : 'Giveaway not completed'
+          error: totalRevenue === 0 ? 'No revenue to pay out' : 'Winners have not been drawn for this giveaway'
         };
       }
     } catch (error) {
@@ -111,7 +134,9 @@ export const revenueReconciliationService = {
   },
 
   /**
-   * Calculate total revenue for a giveaway from RevenueCat orders
+   * Calculate total revenue for a giveaway from RevenueCat orders. Each order
+   * is priced by the fee engine on the app_store channel (platform commission
+   * plus the store's cut), the same way a Stripe checkout is.
    */
   async calculateGiveawayRevenue(giveawayId) {
     if (!isRealBackend) {
@@ -120,8 +145,10 @@ export const revenueReconciliationService = {
         data: {
           totalRevenue: 100.00,
           platformFee: 14.50,
+          processingFee: 0,
           creatorAmount: 85.50,
-          entryCount: 42
+          entryCount: 42,
+          currency: 'usd'
         }
       };
     }
@@ -129,7 +156,7 @@ export const revenueReconciliationService = {
     try {
       const { data: orders, error: ordersError } = await supabase
         .from(TABLES.ORDERS)
-        .select('total_amount, entry_count, currency')
+        .select('total_amount, total_amount_minor, entry_count, currency')
         .eq('giveaway_id', giveawayId)
         .eq('status', 'completed')
         .eq('payment_method', 'revenuecat');
@@ -138,23 +165,41 @@ export const revenueReconciliationService = {
         return { success: false, error: ordersError };
       }
 
-      // Calculate totals (assuming all in USD for now)
-      const totalRevenue = orders.reduce((sum, order) => sum + order.total_amount, 0);
+      const { data: schedule, error: scheduleError } = await feeService.getFeeSchedule({
+        giveawayId,
+        channel: 'app_store'
+      });
+
+      if (scheduleError) {
+        return { success: false, error: scheduleError };
+      }
+
+      // Orders are charged in the giveaway's currency, which the schedule carries
+      const { currency } = schedule;
+      const totals = orders.reduce((sum, order) => {
+        const fees = feeService.calculateFeeBreakdown(
+          order.total_amount_minor ?? toMinorUnits(order.total_amount, currency),
+          schedule
+        );
+        return {
+          gross: sum.gross + fees.gross,
+          platformFee: sum.platformFee + fees.platformFee,
+          processingFee: sum.processingFee + fees.processingFee,
+          creatorNet: sum.creatorNet + fees.creatorNet
+        };
+      }, { gross: 0, platformFee: 0, processingFee: 0, creatorNet: 0 });
       const totalEntries = orders.reduce((sum, order) => sum + order.entry_count, 0);
-      
-      // Platform fee calculation (15% to cover app store fees + our margin)
-      const platformFeePercentage = 0.15; // 15%
-      const platformFee = Math.round(totalRevenue * platformFeePercentage * 100) / 100;
-      const creatorAmount = totalRevenue - platformFee;
 
       return {
         success: true,
         data: {
-          totalRevenue,
-          platformFee,
-          creatorAmount,
+          totalRevenue: fromMinorUnits(totals.gross, currency),
+          platformFee: fromMinorUnits(totals.platformFee, currency),
+          processingFee: fromMinorUnits(totals.processingFee, currency),
+          creatorAmount: fromMinorUnits(totals.creatorNet, currency),
           entryCount: totalEntries,
-          orderCount: orders.length
+          orderCount: orders.length,
+          currency
         }
       };
     } catch (error) {
@@ -197,9 +242,11 @@ export const revenueReconciliationService = {
   },
 
   /**
-   * Process Stripe Connect transfer to creator
+   * Process Stripe Connect transfer to the giveaway's creator, in the
+   * giveaway's currency. Admins only. The response's `settlement` is what
+   * arrived in the creator's currency.
    */
-  async processStripePayout(stripeAccountId, amount, giveawayId) {
+  async processStripePayout(amount, giveawayId, currency = 'usd') {
     if (!isRealBackend) {
       return {
         success: true,
@@ -213,9 +260,8 @@ export const revenueReconciliationService = {
     try {
       const { data, error } = await supabase.functions.invoke('process-creator-payout', {
         body: {
-          destination_account: stripeAccountId,
-          amount: Math.round(amount * 100), // Convert to cents
-          currency: 'usd',
+          amount: toMinorUnits(amount, currency),
+          currency,
           giveaway_id: giveawayId,
           description: `Creator payout for giveaway ${giveawayId}`
         }
@@ -236,7 +282,7 @@ export const revenueReconciliationService = {
   /**
    * Record creator payout in database
    */
-  async recordCreatorPayout(giveawayId, creatorId, totalRevenue, platformFee, creatorAmount, entryCount, transferId) {
+  async recordCreatorPayout(giveawayId, creatorId, totalRevenue, platformFee, creatorAmount, entryCount, transferId, currency = 'usd', settlement = null) {
     if (!isRealBackend) {
       return {
         success: true,
@@ -256,6 +302,13 @@ export const revenueReconciliationService = {
           platform_fee: platformFee,
           creator_amount: creatorAmount,
           entry_count: entryCount,
+          currency,
+          creator_amount_minor: toMinorUnits(creatorAmount, currency),
+          ...(settlement && {
+            settlement_currency: settlement.settlement_currency,
+            settlement_amount_minor: settlement.settlement_amount_minor,
+            exchange_rate: settlement.exchange_rate
+          }),
           stripe_transfer_id: transferId,
           status: 'completed',
           processed_at: new Date().toISOString()
@@ -379,5 +432,114 @@ export const revenueReconciliationService = {
       console.error('Platform revenue summary error:', error);
       return { success: false, error };
     }
+  },
+
+  /**
+   * Run the Stripe reconciliation job for a period (admins only).
+   * Defaults to the previous UTC day, same as the nightly cron run.
+   */
+  async runStripeReconciliation({ from = null, to = null, source = 'stripe' } = {}) {
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        success: true,
+        mock: true,
+        data: {
+          run_id: 'run_mock_' + Date.now(),
+          source,
+          transactions_seen: 0,
+          matched_count: 0,
+          skipped_count: 0,
+          discrepancy_count: 0
+        }
+      };
+    }
+
+    try {
+      const { data, error } = await supabase.functions.invoke('reconcile-stripe', {
+        body: { from, to, source }
+      });
+
+      if (error) throw error;
+      if (data?.error) throw new Error(data.error);
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Stripe reconciliation error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Most recent reconciliation runs, newest first
+   */
+  async getReconciliationRuns(limit = 10) {
+    if (!isRealBackend) {
+      return { success: true, data: [] };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('reconciliation_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get reconciliation runs error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Discrepancies still waiting for an admin, newest first
+   */
+  async getOpenDiscrepancies() {
+    if (!isRealBackend) {
+      return { success: true, data: [] };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('reconciliation_discrepancies')
+        .select('*')
+        .eq('status', 'open')
+        .order('detected_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get reconciliation discrepancies error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Close a discrepancy. The note is required and kept on the row.
+   */
+  async resolveDiscrepancy(discrepancyId, note) {
+    if (!note || !note.trim()) {
+      return { success: false, error: 'A resolution note is required' };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .rpc('resolve_reconciliation_discrepancy', {
+          p_discrepancy_id: discrepancyId,
+          p_note: note.trim()
+        })
+        .single();
+
+      if (error) throw error;
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Resolve discrepancy error:', error);
+      return { success: false, error: error.message };
+    }
   }
 };
@@ -0,0 +1,181 @@
+/**
+ * taxService.js - W-9 Collection & 1099 Reporting
+ *
+ * PURPOSE:
+ * Client side of tax reporting (database/tax_reporting_schema.sql,
+ * supabase/functions/submit-tax-info and tax-export).
+ *
+ * W-9:
+ * - US winners whose claimed prizes reach the 1099-MISC threshold for the
+ *   year must certify W-9 details before the claim goes through (enforced
+ *   by the database, whatever claims the prize)
+ * - The TIN is sent to submit-tax-info, encrypted there, and only its last
+ *   four digits come back; it is never stored or cached on the device
+ *
+ * YEAR END:
+ * - Admins export 1099-MISC (prize winners) and 1099-K style (creator
+ *   payouts) CSVs with per-recipient USD totals for the calendar year
+ * - Creators see their annual earnings statement
+ */
+
+import CryptoJS from 'crypto-js';
+import { supabase } from '../config/supabase';
+
+// Check if we're using real backend
+const isRealBackend = process.env.EXPO_PUBLIC_SUPABASE_URL &&
+                     process.env.EXPO_PUBLIC_SUPABASE_URL !== 'https://demo.supabase.co';
+
+export const W9_CERTIFICATION_VERSION = '2024-03';
+
+export const W9_CERTIFICATION_TEXT = `Under penalties of perjury, I certify that:
+
+1. The number shown on this form is my correct taxpayer identification number (or I am waiting for a number to be issued to me); and
+
+2. I am not subject to backup withholding because (a) I am exempt from backup withholding, or (b) I have not been notified by the Internal Revenue Service (IRS) that I am subject to backup withholding as a result of a failure to report all interest or dividends, or (c) the IRS has notified me that I am no longer subject to backup withholding; and
+
+3. I am a U.S. citizen or other U.S. person; and
+
+4. The FATCA code(s) entered on this form (if any) indicating that I am exempt from FATCA reporting is correct.
+
+If you have been notified by the IRS that you are currently subject to backup withholding, check the box below; item 2 does not apply to you.`;
+
+export const TAX_CLASSIFICATIONS = [
+  { value: 'individual', label: 'Individual / sole proprietor' },
+  { value: 'c_corporation', label: 'C corporation' },
+  { value: 's_corporation', label: 'S corporation' },
+  { value: 'partnership', label: 'Partnership' },
+  { value: 'trust_estate', label: 'Trust / estate' },
+  { value: 'llc_c', label: 'LLC taxed as C corporation' },
+  { value: 'llc_s', label: 'LLC taxed as S corporation' },
+  { value: 'llc_p', label: 'LLC taxed as partnership' },
+  { value: 'other', label: 'Other' },
+];
+
+export const TIN_TYPES = [
+  { value: 'ssn', label: 'SSN' },
+  { value: 'itin', label: 'ITIN' },
+  { value: 'ein', label: 'EIN' },
+];
+
+export const TAX_FORMS = {
+  FORM_1099_MISC: 'form_1099_misc',
+  FORM_1099_K: 'form_1099_k',
+};
+
+const invokeFunction = async (name, body) => {
+  const { data, error } = await supabase.functions.invoke(name, { body });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+
+  return data;
+};
+
+export const taxService = {
+
+  /**
+   * Whether claiming a prize needs a W-9, and the caller's profile on file
+   * (TIN masked)
+   */
+  async getTaxStatus(winnerId = null) {
+    if (!isRealBackend) {
+      return { success: true, data: { required: false, profile: null } };
+    }
+
+    try {
+      const data = await invokeFunction('submit-tax-info', { action: 'status', winnerId });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get tax status error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Certify and store the caller's W-9 details, replacing any on file
+   */
+  async submitTaxInfo({ profile, tin, signedName, backupWithholding = false, agreed }) {
+    if (!agreed) {
+      return { success: false, error: 'You must certify the W-9 statement' };
+    }
+
+    if (!isRealBackend) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      return {
+        success: true,
+        mock: true,
+        data: { ...profile, tin_last4: String(tin).slice(-4), certified_at: new Date().toISOString() }
+      };
+    }
+
+    try {
+      const data = await invokeFunction('submit-tax-info', {
+        action: 'submit',
+        profile: {
+          ...profile,
+          tin,
+          signedName,
+          backupWithholding,
+          certificationVersion: W9_CERTIFICATION_VERSION,
+          certificationTextHash: CryptoJS.SHA256(W9_CERTIFICATION_TEXT).toString()
+        }
+      });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Submit tax info error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * Year-end 1099 CSV (TAX_FORMS). Admins only; includes full TINs.
+   */
+  async exportTaxForm(form, year) {
+    if (!isRealBackend) {
+      return {
+        success: true,
+        mock: true,
+        data: { form, year, filename: `${form.replace('form_', '').replace(/_/g, '-')}-${year}.csv`, csv: '', recipientCount: 0, totalUsd: '0.00', missing: [], unconverted: [] }
+      };
+    }
+
+    try {
+      const data = await invokeFunction('tax-export', { action: form, year });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Tax export error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  /**
+   * A creator's earnings for a calendar year, by giveaway, in USD
+   */
+  async getCreatorAnnualStatement(creatorId, year) {
+    if (!isRealBackend) {
+      return {
+        success: true,
+        data: {
+          year,
+          currency: 'usd',
+          totals: { earned: '85.00', refunds: '0.00', disputes: '0.00', paidOut: '85.00', other: '0.00', net: '85.00' },
+          payoutCount: 1,
+          monthlyPayouts: [],
+          giveaways: [],
+          taxProfile: null,
+          form1099K: false
+        }
+      };
+    }
+
+    try {
+      const data = await invokeFunction('tax-export', { action: 'creator_statement', year, creatorId });
+      return { success: true, data };
+    } catch (error) {
+      console.error('Get annual statement error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+};
+
+export default taxService;
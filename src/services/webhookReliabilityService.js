@@ -11,10 +11,66 @@
  * - Webhook replay for failed deliveries
  * - Duplicate detection and prevention
  * - Comprehensive audit trail
+ * - Internal events queued by the database (giveaway.ended from the
+ *   lifecycle job, prize_deposit.release when a funded giveaway is
+ *   fulfilled or cancelled) are picked up by processPendingDeliveries
+ * - Events from outside senders arrive through the webhook-gateway function,
+ *   which checks their HMAC signatures, timestamps and message ids before
+ *   storing them as pending deliveries (database/webhook_gateway_schema.sql)
+ * - Stripe events are recorded by the stripe-webhook function itself under
+ *   their event id; a failed one is retried here by asking the function to
+ *   replay it from the stored payload
+ * - A delivery still failing after maxRetries attempts is dead-lettered
+ *   (database/webhook_dead_letter_schema.sql); admins are alerted when the
+ *   queue grows and replay from the webhook operations console
  */
 
 import { supabase } from '../config/supabase';
 import observabilityService from './observabilityService';
+import { GIVEAWAY_STATUS } from './giveawayLifecycleService';
+import prizeDepositService from './prizeDepositService';
+
+// Events supabase/functions/stripe-webhook handles
+export const STRIPE_EVENT_TYPES = [
+  'payment_intent.succeeded',
+  'payment_intent.payment_failed',
+  'account.updated',
+  'account.application.deauthorized',
+  'charge.refunded',
+  'charge.refund.updated',
+  'charge.dispute.created',
+  'charge.dispute.updated',
+  'charge.dispute.closed',
+  'charge.dispute.funds_withdrawn',
+  'charge.dispute.funds_reinstated',
+  'transfer.created',
+  'transfer.updated',
+  'payout.failed',
+];
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  RETRYING: 'retrying',
+  DEAD_LETTERED: 'dead_lettered',
+};
+
+// Statuses replayWebhooks can requeue
+export const REPLAYABLE_STATUSES = [
+  DELIVERY_STATUS.DEAD_LETTERED,
+  DELIVERY_STATUS.FAILED,
+  DELIVERY_STATUS.RETRYING,
+];
+
+// getDeliveryStats timeframes: how far back, and the timeseries bucket size
+const STATS_TIMEFRAMES = {
+  '24h': { hours: 24, bucketHours: 1 },
+  '7d': { hours: 168, bucketHours: 24 },
+};
+
+const DELIVERY_LIST_FIELDS = 'id, webhook_id, event_type, source, status, attempt_count, error_message, last_attempt_at, next_retry_at, dead_lettered_at, replay_count, last_replayed_at, processed_at, created_at';
 
 class WebhookReliabilityService {
   constructor() {
@@ -31,14 +87,14 @@ class WebhookReliabilityService {
    * Register webhook event handlers
    */
   setupDefaultHandlers() {
-    // Stripe payment webhooks
-    this.registerHandler('payment_intent.succeeded', this.handlePaymentSuccess.bind(this));
-    this.registerHandler('payment_intent.payment_failed', this.handlePaymentFailed.bind(this));
-    this.registerHandler('account.updated', this.handleAccountUpdated.bind(this));
-    this.registerHandler('transfer.created', this.handleTransferCreated.bind(this));
+    // Stripe webhooks, handled by the stripe-webhook function
+    STRIPE_EVENT_TYPES.forEach(eventType => {
+      this.registerHandler(eventType, this.handleStripeEvent.bind(this));
+    });
     
     // Internal webhooks
     this.registerHandler('giveaway.ended', this.handleGiveawayEnded.bind(this));
+    this.registerHandler('prize_deposit.release', this.handlePrizeDepositRelease.bind(this));
     this.registerHandler('user.verified', this.handleUserVerified.bind(this));
   }
 
@@ -50,21 +106,30 @@ class WebhookReliabilityService {
   }
 
   /**
-   * Process incoming webhook with idempotency
+   * Process a stored webhook delivery with idempotency. Only deliveries
+   * already in webhook_deliveries are run, with the payload stored there:
+   * outside events get in only through the webhook-gateway function, which
+   * verifies their signatures, or through stripe-webhook.
    */
-  async processWebhook(webhookId, eventType, payload, signature = null) {
+  async processWebhook(webhookId, eventType) {
     try {
       observabilityService.addBreadcrumb('webhook', 'Processing webhook', {
         webhookId,
         eventType
       });
 
-      // Step 1: Record webhook delivery attempt
-      const deliveryId = await this.recordDelivery(webhookId, eventType, payload);
-
-      // Step 2: Check if already processed (idempotency)
+      // Step 1: Check it was received and not already processed (idempotency)
       const existingDelivery = await this.getExistingDelivery(webhookId, eventType);
-      if (existingDelivery?.status === 'succeeded') {
+      if (!existingDelivery) {
+        observabilityService.trackSecurity('webhook_unknown_delivery', { webhookId, eventType });
+
+        return {
+          success: false,
+          error: 'Unknown webhook delivery'
+        };
+      }
+
+      if (existingDelivery.status === 'succeeded') {
         observabilityService.trackSecurity('webhook_duplicate_detected', {
           webhookId,
           eventType,
@@ -78,25 +143,18 @@ class WebhookReliabilityService {
         };
       }
 
-      // Step 3: Validate webhook signature if provided
-      if (signature) {
-        const isValid = await this.validateSignature(payload, signature);
-        if (!isValid) {
-          await this.updateDeliveryStatus(deliveryId, 'failed', 'Invalid signature');
-          return {
-            success: false,
-            error: 'Invalid webhook signature'
-          };
-        }
-      }
+      const payload = existingDelivery.payload;
+
+      // Step 2: Record the delivery attempt
+      const deliveryId = await this.recordDelivery(webhookId, eventType, payload);
 
-      // Step 4: Update status to processing
-      await this.updateDeliveryStatus(deliveryId, 'processing');
+      // Step 3: Update status to processing
+      await this.updateDeliveryStatus(webhookId, eventType, 'processing');
 
-      // Step 5: Process the webhook
+      // Step 4: Process the webhook
       const handler = this.handlers.get(eventType);
       if (!handler) {
-        await this.updateDeliveryStatus(deliveryId, 'failed', `No handler for event type: ${eventType}`);
+        await this.updateDeliveryStatus(webhookId, eventType, 'failed', `No handler for event type: ${eventType}`);
         return {
           success: false,
           error: `Unsupported event type: ${eventType}`
@@ -105,13 +163,17 @@ class WebhookReliabilityService {
 
       const result = await this.executeWithRetry(handler, payload, webhookId);
 
-      // Step 6: Update final status
+      // Step 5: Update final status. recordDelivery counted this attempt.
+      const attempt = (existingDelivery.attempt_count || 0) + 1;
+
       if (result.success) {
-        await this.updateDeliveryStatus(deliveryId, 'succeeded');
+        await this.updateDeliveryStatus(webhookId, eventType, 'succeeded');
         observabilityService.trackKPI('webhook_processed', 1, { eventType });
+      } else if (attempt >= this.maxRetries) {
+        await this.deadLetter(deliveryId, eventType, attempt, result.error);
       } else {
-        await this.updateDeliveryStatus(deliveryId, 'failed', result.error);
-        await this.scheduleRetry(deliveryId, eventType);
+        await this.updateDeliveryStatus(webhookId, eventType, 'failed', result.error);
+        await this.scheduleRetry(deliveryId, eventType, attempt);
       }
 
       return {
@@ -185,12 +247,12 @@ class WebhookReliabilityService {
   /**
    * Update webhook delivery status
    */
-  async updateDeliveryStatus(deliveryId, status, errorMessage = null) {
+  async updateDeliveryStatus(webhookId, eventType, status, errorMessage = null) {
     try {
       await supabase
         .rpc('update_webhook_delivery_status', {
-          p_webhook_id: deliveryId,
-          p_event_type: '', // Will be handled by function
+          p_webhook_id: webhookId,
+          p_event_type: eventType,
           p_status: status,
           p_error_message: errorMessage
         });
@@ -227,11 +289,11 @@ class WebhookReliabilityService {
   }
 
   /**
-   * Schedule webhook retry
+   * Schedule webhook retry, backing off with each attempt made
    */
-  async scheduleRetry(deliveryId, eventType) {
+  async scheduleRetry(deliveryId, eventType, attempt = 1) {
     try {
-      const retryDelay = this.calculateRetryDelay(1); // Start with attempt 1
+      const retryDelay = this.calculateRetryDelay(attempt);
       const retryTime = new Date(Date.now() + retryDelay);
 
       await supabase
@@ -253,6 +315,79 @@ class WebhookReliabilityService {
     }
   }
 
+  /**
+   * Move a delivery that has used up its attempts to the dead-letter queue,
+   * where it stays until an admin replays it
+   */
+  async deadLetter(deliveryId, eventType, attempts, errorMessage) {
+    try {
+      const now = new Date().toISOString();
+
+      await supabase
+        .from('webhook_deliveries')
+        .update({
+          status: DELIVERY_STATUS.DEAD_LETTERED,
+          error_message: errorMessage || 'Max retries exceeded',
+          last_attempt_at: now,
+          next_retry_at: null,
+          dead_lettered_at: now
+        })
+        .eq('id', deliveryId);
+
+      observabilityService.trackSecurity('webhook_max_retries_exceeded', {
+        deliveryId,
+        eventType,
+        attempts
+      });
+
+    } catch (error) {
+      console.error('Failed to dead-letter delivery:', error);
+    }
+  }
+
+  /**
+   * Process deliveries queued but never attempted, e.g. giveaway.ended rows
+   * inserted by the giveaway lifecycle job
+   */
+  async processPendingDeliveries(eventType = null) {
+    try {
+      let query = supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('status', 'pending')
+        .order('created_at')
+        .limit(50);
+
+      if (eventType) {
+        query = query.eq('event_type', eventType);
+      }
+
+      const { data: pending, error } = await query;
+
+      if (error) {
+        throw error;
+      }
+
+      const summary = { processed: 0, succeeded: 0, failed: 0 };
+
+      for (const delivery of pending || []) {
+        const result = await this.processWebhook(
+          delivery.webhook_id,
+          delivery.event_type
+        );
+
+        summary.processed++;
+        summary[result.success ? 'succeeded' : 'failed']++;
+      }
+
+      return { data: summary, error: null };
+
+    } catch (error) {
+      console.error('Pending delivery processing failed:', error);
+      return { data: null, error };
+    }
+  }
+
   /**
    * Process webhook retries
    */
@@ -281,33 +416,16 @@ class WebhookReliabilityService {
   }
 
   /**
-   * Retry a failed webhook
+   * Retry a failed webhook. processWebhook dead-letters it once it has
+   * used up maxRetries attempts.
    */
   async retryWebhook(delivery) {
     try {
-      const result = await this.processWebhook(
+      await this.processWebhook(
         delivery.webhook_id,
-        delivery.event_type,
-        delivery.payload
+        delivery.event_type
       );
 
-      if (!result.success && delivery.attempt_count >= this.maxRetries) {
-        // Max retries exceeded - mark as failed
-        await supabase
-          .from('webhook_deliveries')
-          .update({
-            status: 'failed',
-            error_message: 'Max retries exceeded'
-          })
-          .eq('id', delivery.id);
-
-        observabilityService.trackSecurity('webhook_max_retries_exceeded', {
-          deliveryId: delivery.id,
-          eventType: delivery.event_type,
-          attempts: delivery.attempt_count
-        });
-      }
-
     } catch (error) {
       console.error('Webhook retry failed:', error);
     }
@@ -324,68 +442,170 @@ class WebhookReliabilityService {
   }
 
   /**
-   * Validate webhook signature
+   * Replay webhook manually
+   */
+  async replayWebhook(deliveryId) {
+    const { data, error } = await this.replayWebhooks([deliveryId]);
+
+    if (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+
+    const [result] = data.results;
+
+    return result.replayed
+      ? { success: result.success, deliveryId, error: result.error }
+      : {
+          success: result.status === DELIVERY_STATUS.SUCCEEDED,
+          duplicate: result.status === DELIVERY_STATUS.SUCCEEDED,
+          deliveryId,
+          error: result.status === DELIVERY_STATUS.SUCCEEDED ? undefined : `Delivery is ${result.status || 'not found'}`
+        };
+  }
+
+  /**
+   * Replay deliveries in bulk. Each is requeued by replay_webhook_deliveries,
+   * which only claims deliveries that have not succeeded and are not already
+   * being processed, then run through processWebhook, which checks
+   * getExistingDelivery again before running a handler. A delivery replayed
+   * twice, or from two consoles at once, runs once; the others are reported
+   * as skipped with their current status.
    */
-  async validateSignature(payload, signature) {
+  async replayWebhooks(deliveryIds) {
     try {
-      // Mock signature validation - implement with actual webhook secret
-      const expectedSignature = 'mock_signature_' + JSON.stringify(payload).length;
-      return signature === expectedSignature;
+      const { data: claimed, error } = await supabase
+        .rpc('replay_webhook_deliveries', { p_delivery_ids: deliveryIds });
+
+      if (error) {
+        throw error;
+      }
+
+      const results = [];
+
+      for (const delivery of claimed || []) {
+        const result = await this.processWebhook(delivery.webhook_id, delivery.event_type);
+        results.push({
+          id: delivery.id,
+          replayed: true,
+          success: result.success,
+          duplicate: !!result.duplicate,
+          error: result.error
+        });
+      }
+
+      const claimedIds = new Set((claimed || []).map(delivery => delivery.id));
+      const skippedIds = deliveryIds.filter(id => !claimedIds.has(id));
+
+      if (skippedIds.length > 0) {
+        const { data: skipped } = await supabase
+          .from('webhook_deliveries')
+          .select('id, status')
+          .in('id', skippedIds);
+
+        const statusById = new Map((skipped || []).map(delivery => [delivery.id, delivery.status]));
+        skippedIds.forEach(id => {
+          results.push({ id, replayed: false, success: false, status: statusById.get(id) || null });
+        });
+      }
+
+      const summary = {
+        requested: deliveryIds.length,
+        replayed: claimedIds.size,
+        succeeded: results.filter(r => r.replayed && r.success).length,
+        failed: results.filter(r => r.replayed && !r.success).length,
+        skipped: skippedIds.length,
+        results
+      };
+
+      observabilityService.trackAdmin('webhook_replayed', deliveryIds.length === 1 ? deliveryIds[0] : null, {
+        requested: summary.requested,
+        replayed: summary.replayed,
+        succeeded: summary.succeeded
+      });
+
+      return { data: summary, error: null };
+
     } catch (error) {
-      console.error('Signature validation failed:', error);
-      return false;
+      console.error('Webhook replay failed:', error);
+      return { data: null, error };
     }
   }
 
   /**
-   * Replay webhook manually
+   * Deliveries for the operations console, newest first
    */
-  async replayWebhook(deliveryId) {
+  async getDeliveries({ status = null, eventType = null, limit = 50, before = null } = {}) {
     try {
-      const { data: delivery, error } = await supabase
+      let query = supabase
         .from('webhook_deliveries')
-        .select('*')
-        .eq('id', deliveryId)
-        .single();
+        .select(DELIVERY_LIST_FIELDS)
+        .order('created_at', { ascending: false })
+        .limit(limit);
 
-      if (error || !delivery) {
-        return {
-          success: false,
-          error: 'Webhook delivery not found'
-        };
+      if (status) {
+        query = query.eq('status', status);
       }
 
-      // Reset delivery status
-      await supabase
-        .from('webhook_deliveries')
-        .update({
-          status: 'pending',
-          attempt_count: 0,
-          error_message: null,
-          processed_at: null
-        })
-        .eq('id', deliveryId);
+      if (eventType) {
+        query = query.eq('event_type', eventType);
+      }
 
-      // Reprocess
-      const result = await this.processWebhook(
-        delivery.webhook_id,
-        delivery.event_type,
-        delivery.payload
-      );
+      if (before) {
+        query = query.lt('created_at', before);
+      }
 
-      observabilityService.trackAdmin('webhook_replayed', deliveryId, {
-        success: result.success,
-        eventType: delivery.event_type
-      });
+      const { data, error } = await query;
+
+      if (error) {
+        throw error;
+      }
 
-      return result;
+      return { data, error: null };
 
     } catch (error) {
-      console.error('Webhook replay failed:', error);
+      console.error('Failed to get deliveries:', error);
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * One delivery with its payload and the error from each failed attempt
+   */
+  async getDeliveryDetails(deliveryId) {
+    try {
+      const [deliveryResult, errorsResult] = await Promise.all([
+        supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('id', deliveryId)
+          .single(),
+        supabase
+          .from('webhook_delivery_errors')
+          .select('attempt, status, error_message, created_at')
+          .eq('delivery_id', deliveryId)
+          .order('created_at', { ascending: false })
+          .limit(50)
+      ]);
+
+      if (deliveryResult.error) {
+        throw deliveryResult.error;
+      }
+
+      if (errorsResult.error) {
+        throw errorsResult.error;
+      }
+
       return {
-        success: false,
-        error: error.message
+        data: { ...deliveryResult.data, errors: errorsResult.data },
+        error: null
       };
+
+    } catch (error) {
+      console.error('Failed to get delivery details:', error);
+      return { data: null, error };
     }
   }
 
@@ -394,96 +614,93 @@ class WebhookReliabilityService {
   // =============================================================
 
   /**
-   * Handle successful payment
+   * Handle a Stripe event: stripe-webhook runs it again from the payload it
+   * recorded, skipping it if it has succeeded since
    */
-  async handlePaymentSuccess(payload, webhookId) {
-    const paymentIntentId = payload.id;
-    
-    // Update order status
-    const { error } = await supabase
-      .from('orders')
-      .update({
-        status: 'completed',
-        payment_confirmed_at: new Date().toISOString(),
-        webhook_id: webhookId
-      })
-      .eq('payment_intent_id', paymentIntentId);
+  async handleStripeEvent(payload, webhookId) {
+    const { data, error } = await supabase.functions.invoke('stripe-webhook', {
+      body: { action: 'replay', eventId: webhookId, eventType: payload.type }
+    });
 
     if (error) {
-      throw new Error(`Failed to update order: ${error.message}`);
+      throw new Error(`Stripe event replay failed: ${error.message}`);
     }
 
-    observabilityService.trackPayment('succeeded', paymentIntentId, {
-      amount: payload.amount,
-      currency: payload.currency
-    });
+    if (data?.error) {
+      throw new Error(`Stripe event replay failed: ${data.error}`);
+    }
   }
 
   /**
-   * Handle failed payment
+   * Handle giveaway ended: have run-draws draw it with the service role,
+   * which moves the giveaway to drawn. The scheduled run-draws job picks up
+   * any this misses.
    */
-  async handlePaymentFailed(payload, webhookId) {
-    const paymentIntentId = payload.id;
-    
-    const { error } = await supabase
-      .from('orders')
-      .update({
-        status: 'failed',
-        payment_failed_at: new Date().toISOString(),
-        failure_reason: payload.last_payment_error?.message,
-        webhook_id: webhookId
-      })
-      .eq('payment_intent_id', paymentIntentId);
+  async handleGiveawayEnded(payload, webhookId) {
+    const giveawayId = payload.giveaway_id;
 
-    if (error) {
-      throw new Error(`Failed to update failed order: ${error.message}`);
+    const { data: giveaway, error } = await supabase
+      .from('giveaways')
+      .select('id, status')
+      .eq('id', giveawayId)
+      .single();
+
+    if (error || !giveaway) {
+      throw new Error(`Giveaway not found: ${giveawayId}`);
     }
 
-    observabilityService.trackPayment('failed', paymentIntentId, {
-      amount: payload.amount,
-      currency: payload.currency,
-      reason: payload.last_payment_error?.message
+    // Drawn early by the creator, or cancelled/frozen since it closed
+    if (giveaway.status !== GIVEAWAY_STATUS.ENDED) {
+      console.log(`Giveaway ${giveawayId} is ${giveaway.status}, skipping draw`);
+      return;
+    }
+
+    const { data: draw, error: drawError } = await supabase.functions.invoke('run-draws', {
+      body: { action: 'draw', giveawayId }
     });
-  }
 
-  /**
-   * Handle Stripe account updates
-   */
-  async handleAccountUpdated(payload, webhookId) {
-    const accountId = payload.id;
-    
-    const { error } = await supabase
-      .from('stripe_connect_accounts')
-      .update({
-        charges_enabled: payload.charges_enabled,
-        payouts_enabled: payload.payouts_enabled,
-        details_submitted: payload.details_submitted,
-        updated_at: new Date().toISOString()
-      })
-      .eq('stripe_account_id', accountId);
+    if (drawError || draw?.error) {
+      throw new Error(`Draw failed: ${draw?.error || drawError.message}`);
+    }
 
-    if (error) {
-      throw new Error(`Failed to update account: ${error.message}`);
+    // Nothing to draw from; retrying will not change that
+    if (draw.status === 'no_entries') {
+      observabilityService.trackKPI('giveaway_ended_without_entries', 1, { giveawayId });
+      return;
     }
-  }
 
-  /**
-   * Handle transfer creation
-   */
-  async handleTransferCreated(payload, webhookId) {
-    // Handle creator payout transfers
-    console.log('Transfer created:', payload.id);
+    // The beacon round is not out yet; retry later
+    if (draw.status === 'beacon_pending') {
+      throw new Error(`Draw waiting for beacon round ${draw.beacon_round}`);
+    }
+
+    if (draw.status !== 'drawn') {
+      console.log(`Giveaway ${giveawayId} was not drawn: ${draw.status}`);
+      return;
+    }
+
+    observabilityService.trackKPI('giveaway_auto_drawn', 1, {
+      giveawayId,
+      winners: draw.winners
+    });
   }
 
   /**
-   * Handle giveaway ended
+   * Handle prize deposit release: refund the creator's deposit once the
+   * giveaway is fulfilled or cancelled. A deposit already paid to the winner
+   * as a cash alternative is left as it is.
    */
-  async handleGiveawayEnded(payload, webhookId) {
-    const giveawayId = payload.giveaway_id;
-    
-    // Trigger winner selection process
-    // This would typically call fairnessService.selectVerifiableWinner
-    console.log('Giveaway ended, selecting winner:', giveawayId);
+  async handlePrizeDepositRelease(payload, webhookId) {
+    const { data, error } = await prizeDepositService.refundDeposit(payload.giveaway_id);
+
+    if (error) {
+      throw new Error(`Prize deposit refund failed: ${error.message}`);
+    }
+
+    observabilityService.trackKPI('prize_deposit_released', 1, {
+      giveawayId: payload.giveaway_id,
+      status: data.status
+    });
   }
 
   /**
@@ -507,29 +724,43 @@ class WebhookReliabilityService {
   }
 
   /**
-   * Get webhook delivery statistics
+   * Get webhook delivery statistics: counts by status and event type over
+   * the timeframe, a per-bucket timeseries (hourly for 24h, daily for 7d)
+   * and the current size of the dead-letter queue
    */
   async getDeliveryStats(timeframe = '24h') {
     try {
-      const timeframeHours = timeframe === '24h' ? 24 : timeframe === '7d' ? 168 : 24;
-      const since = new Date(Date.now() - timeframeHours * 60 * 60 * 1000);
+      const { hours, bucketHours } = STATS_TIMEFRAMES[timeframe] || STATS_TIMEFRAMES['24h'];
+      const bucketMs = bucketHours * 60 * 60 * 1000;
+      const since = new Date(Math.floor((Date.now() - hours * 60 * 60 * 1000) / bucketMs) * bucketMs);
 
-      const { data, error } = await supabase
-        .from('webhook_deliveries')
-        .select('status, event_type, created_at')
-        .gte('created_at', since.toISOString());
+      const [deliveriesResult, deadLetterResult] = await Promise.all([
+        supabase
+          .from('webhook_deliveries')
+          .select('status, event_type, created_at')
+          .gte('created_at', since.toISOString()),
+        supabase
+          .from('webhook_deliveries')
+          .select('id', { count: 'exact', head: true })
+          .eq('status', DELIVERY_STATUS.DEAD_LETTERED)
+      ]);
 
-      if (error) {
-        throw error;
+      if (deliveriesResult.error) {
+        throw deliveriesResult.error;
       }
 
+      const data = deliveriesResult.data;
+
       const stats = {
         total: data.length,
         succeeded: data.filter(d => d.status === 'succeeded').length,
         failed: data.filter(d => d.status === 'failed').length,
         pending: data.filter(d => d.status === 'pending').length,
         retrying: data.filter(d => d.status === 'retrying').length,
-        byEventType: {}
+        deadLettered: data.filter(d => d.status === DELIVERY_STATUS.DEAD_LETTERED).length,
+        deadLetterQueue: deadLetterResult.count || 0,
+        byEventType: {},
+        timeseries: []
       };
 
       // Group by event type
@@ -540,6 +771,30 @@ class WebhookReliabilityService {
         stats.byEventType[delivery.event_type]++;
       });
 
+      // One bucket per hour or day, oldest first, including empty ones
+      const buckets = new Map();
+      for (let start = since.getTime(); start <= Date.now(); start += bucketMs) {
+        buckets.set(start, {
+          bucketStart: new Date(start).toISOString(),
+          total: 0,
+          succeeded: 0,
+          failed: 0,
+          deadLettered: 0
+        });
+      }
+
+      data.forEach(delivery => {
+        const bucket = buckets.get(Math.floor(new Date(delivery.created_at).getTime() / bucketMs) * bucketMs);
+        if (!bucket) return;
+
+        bucket.total++;
+        if (delivery.status === 'succeeded') bucket.succeeded++;
+        if (delivery.status === 'failed' || delivery.status === 'retrying') bucket.failed++;
+        if (delivery.status === DELIVERY_STATUS.DEAD_LETTERED) bucket.deadLettered++;
+      });
+
+      stats.timeseries = Array.from(buckets.values());
+
       stats.successRate = stats.total > 0 ? (stats.succeeded / stats.total * 100).toFixed(2) : 0;
 
       return { data: stats, error: null };
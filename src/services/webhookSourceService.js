@@ -0,0 +1,154 @@
+/**
+ * webhookSourceService.js - Inbound Webhook Sources
+ *
+ * PURPOSE:
+ * Admin side of the inbound webhook gateway (supabase/functions/webhook-gateway,
+ * database/webhook_gateway_schema.sql). Each outside sender is a source with
+ * its own accepted event types, timestamp tolerance and signing secrets; the
+ * gateway stores what a source sends only when it is signed with one of them.
+ *
+ * SECRETS:
+ * - A new secret is shown once, when it is created, to hand to the sender
+ * - rotateSecret adds a new one and keeps the current ones working for an
+ *   overlap, so the sender can switch without dropped deliveries
+ * - revokeSecret stops a secret at once, e.g. after a leak
+ */
+
+import { supabase } from '../config/supabase';
+
+const SOURCE_FIELDS = 'id, slug, name, description, enabled, event_types, event_type_field, tolerance_seconds, created_at, updated_at';
+
+export const webhookSourceService = {
+
+  /**
+   * Every source with its secrets (metadata only), newest first
+   */
+  async getSources() {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_sources')
+        .select(`${SOURCE_FIELDS}, secrets:webhook_source_secrets(id, label, active, expires_at, last_used_at, created_at)`)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Get webhook sources error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Add a source and its first secret: { source, secret }
+   */
+  async createSource(adminId, { slug, name, description = null, eventTypes = [], toleranceSeconds = 300, eventTypeField = 'type' }) {
+    try {
+      const { data: source, error } = await supabase
+        .from('webhook_sources')
+        .insert({
+          slug,
+          name,
+          description,
+          event_types: eventTypes,
+          event_type_field: eventTypeField,
+          tolerance_seconds: toleranceSeconds,
+          created_by: adminId
+        })
+        .select(SOURCE_FIELDS)
+        .single();
+
+      if (error) throw error;
+
+      const { data: secret, error: secretError } = await supabase.rpc('add_webhook_source_secret', {
+        p_source_id: source.id,
+        p_label: 'initial'
+      });
+
+      if (secretError) throw secretError;
+
+      return { data: { source, secret }, error: null };
+    } catch (error) {
+      console.error('Create webhook source error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Change a source's configuration: enabled, eventTypes, toleranceSeconds,
+   * eventTypeField, name, description
+   */
+  async updateSource(sourceId, changes) {
+    const columns = {
+      enabled: 'enabled',
+      eventTypes: 'event_types',
+      toleranceSeconds: 'tolerance_seconds',
+      eventTypeField: 'event_type_field',
+      name: 'name',
+      description: 'description'
+    };
+
+    const update = Object.fromEntries(
+      Object.entries(changes)
+        .filter(([key]) => columns[key])
+        .map(([key, value]) => [columns[key], value])
+    );
+
+    try {
+      const { data, error } = await supabase
+        .from('webhook_sources')
+        .update(update)
+        .eq('id', sourceId)
+        .select(SOURCE_FIELDS)
+        .single();
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Update webhook source error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * New secret for a source, with the current ones still accepted for
+   * `overlapHours`: { id, secret }
+   */
+  async rotateSecret(sourceId, overlapHours = 24, label = null) {
+    try {
+      const { data, error } = await supabase.rpc('rotate_webhook_source_secret', {
+        p_source_id: sourceId,
+        p_overlap_hours: overlapHours,
+        p_label: label
+      });
+
+      if (error) throw error;
+
+      return { data, error: null };
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      return { data: null, error };
+    }
+  },
+
+  /**
+   * Stop accepting a secret immediately
+   */
+  async revokeSecret(secretId) {
+    try {
+      const { error } = await supabase.rpc('revoke_webhook_source_secret', {
+        p_secret_id: secretId
+      });
+
+      if (error) throw error;
+
+      return { success: true, error: null };
+    } catch (error) {
+      console.error('Revoke webhook secret error:', error);
+      return { success: false, error };
+    }
+  },
+};
+
+export default webhookSourceService;
@@ -0,0 +1,336 @@
+/**
+ * winnerClaimService.js - Prize Claims & Alternate Winners
+ *
+ * PURPOSE:
+ * Every drawn winner gets a claim deadline. Winners who miss it are
+ * forfeited, and winners who fail eligibility review are disqualified. In both
+ * cases the slot passes to an alternate taken from the same committed fairness
+ * ordering (fairnessService.drawAlternate), never from a fresh random draw.
+ *
+ * CLAIM STATES:
+ * pending → claimed
+ * pending → forfeited     (claim deadline passed)
+ * pending/claimed → disqualified (eligibility grounds)
+ *
+ * Every redraw is written to admin_audit_log with its reason.
+ */
+
+import { supabase } from '../config/supabase';
+import fairnessService from './fairnessService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_CLAIM_WINDOW_DAYS = 7;
+
+class WinnerClaimService {
+  constructor() {
+    this.claimStatus = {
+      PENDING: 'pending',
+      CLAIMED: 'claimed',
+      FORFEITED: 'forfeited',
+      DISQUALIFIED: 'disqualified'
+    };
+  }
+
+  /**
+   * All winner slots for a giveaway, including forfeited/disqualified history
+   */
+  async getGiveawayClaims(giveawayId) {
+    try {
+      const { data, error } = await supabase
+        .from('winners')
+        .select(`
+          *,
+          user:profiles(username, name, avatar_url)
+        `)
+        .eq('giveaway_id', giveawayId)
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+
+      return { data: data || [], error: null };
+    } catch (error) {
+      console.error('Error fetching winner claims:', error);
+      return { data: [], error };
+    }
+  }
+
+  isClaimExpired(winner, now = new Date()) {
+    return winner.claim_status === this.claimStatus.PENDING &&
+      !!winner.claim_deadline &&
+      new Date(winner.claim_deadline) < now;
+  }
+
+  /**
+   * Winner accepts their prize before the deadline. claim_prize() checks the
+   * winner and the deadline, and refuses the claim when it needs a W-9 that
+   * is not on file (see taxService).
+   */
+  async claimPrize(winnerId) {
+    try {
+      const { data: claimedAt, error } = await supabase
+        .rpc('claim_prize', { p_winner_id: winnerId });
+
+      if (error) {
+        throw error;
+      }
+
+      return { success: true, claimedAt };
+    } catch (error) {
+      console.error('Prize claim failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forfeit a winner whose claim deadline has passed and draw the alternate
+   */
+  async forfeitWinner(winnerId, actorId, reason = 'Claim deadline passed') {
+    return this.replaceWinner(winnerId, actorId, this.claimStatus.FORFEITED, reason);
+  }
+
+  /**
+   * Disqualify a winner on eligibility grounds and draw the alternate
+   */
+  async disqualifyWinner(winnerId, actorId, reason) {
+    if (!reason) {
+      return { success: false, error: 'A disqualification reason is required' };
+    }
+    return this.replaceWinner(winnerId, actorId, this.claimStatus.DISQUALIFIED, reason);
+  }
+
+  /**
+   * Forfeit every expired pending claim (optionally for one giveaway)
+   */
+  async processExpiredClaims(actorId, giveawayId = null) {
+    try {
+      let query = supabase
+        .from('winners')
+        .select('id')
+        .eq('claim_status', this.claimStatus.PENDING)
+        .lt('claim_deadline', new Date().toISOString());
+
+      if (giveawayId) {
+        query = query.eq('giveaway_id', giveawayId);
+      }
+
+      const { data: expired, error } = await query;
+      if (error) throw error;
+
+      const results = [];
+      for (const winner of expired || []) {
+        results.push({ winnerId: winner.id, ...(await this.forfeitWinner(winner.id, actorId)) });
+      }
+
+      return {
+        success: true,
+        processed: results.length,
+        failed: results.filter(result => !result.success).length,
+        results
+      };
+    } catch (error) {
+      console.error('Expired claim processing failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Close a winner slot and hand it to the next alternate in the proof ordering
+   */
+  async replaceWinner(winnerId, actorId, status, reason) {
+    try {
+      const { data: winner, error: fetchError } = await supabase
+        .from('winners')
+        .select('*, giveaway:giveaways(id, title, winner_id, claim_window_days)')
+        .eq('id', winnerId)
+        .single();
+
+      if (fetchError || !winner) {
+        throw new Error('Winner record not found');
+      }
+
+      if (status === this.claimStatus.FORFEITED && !this.isClaimExpired(winner)) {
+        throw new Error('Only pending claims past their deadline can be forfeited');
+      }
+
+      const replaceable = [this.claimStatus.PENDING, this.claimStatus.CLAIMED];
+      if (!replaceable.includes(winner.claim_status)) {
+        throw new Error(`Winner is already ${winner.claim_status}`);
+      }
+
+      const now = new Date().toISOString();
+      const { error: closeError } = await supabase
+        .from('winners')
+        .update({
+          claim_status: status,
+          status_reason: reason,
+          ...(status === this.claimStatus.FORFEITED ? { forfeited_at: now } : { disqualified_at: now })
+        })
+        .eq('id', winnerId)
+        .eq('claim_status', winner.claim_status);
+
+      if (closeError) {
+        throw closeError;
+      }
+
+      const { data: drawn, error: drawError } = await fairnessService.drawAlternate(winner.giveaway_id, {
+        position: winner.position,
+        tierName: winner.prize_tier,
+        reason
+      });
+
+      if (drawError || !drawn?.alternate?.entry_id) {
+        await this.logRedraw(actorId, winner, null, `${reason} (no alternate drawn: ${drawError?.message || 'alternate entry unknown'})`);
+        return { success: false, error: drawError?.message || 'Alternate entry could not be resolved' };
+      }
+
+      const { alternate, proofId } = drawn;
+      const { data: entry, error: entryError } = await supabase
+        .from('entries')
+        .select('id, user_id')
+        .eq('id', alternate.entry_id)
+        .single();
+
+      if (entryError || !entry) {
+        throw new Error('Alternate entry not found');
+      }
+
+      const claimWindowDays = winner.giveaway?.claim_window_days || DEFAULT_CLAIM_WINDOW_DAYS;
+      const { data: replacement, error: insertError } = await supabase
+        .from('winners')
+        .insert({
+          giveaway_id: winner.giveaway_id,
+          user_id: entry.user_id,
+          entry_id: entry.id,
+          position: winner.position,
+          prize_tier: winner.prize_tier,
+          prize_description: winner.prize_description,
+          prize_value: winner.prize_value,
+          proof_rank: alternate.rank,
+          winning_ticket: alternate.ticket_number ?? null,
+          fairness_proof_id: proofId,
+          claim_status: this.claimStatus.PENDING,
+          claim_deadline: new Date(Date.now() + claimWindowDays * DAY_MS).toISOString(),
+          is_alternate: true,
+          replaces_winner_id: winner.id
+        })
+        .select('*, user:profiles(username, name, avatar_url)')
+        .single();
+
+      if (insertError) {
+        throw insertError;
+      }
+
+      // The grand prize holder is mirrored on the giveaway
+      if (winner.position === 1) {
+        await supabase
+          .from('giveaways')
+          .update({ winner_id: entry.user_id })
+          .eq('id', winner.giveaway_id);
+      }
+
+      await this.logRedraw(actorId, winner, replacement, reason);
+
+      await this.notify(winner.user_id, {
+        type: 'winner_changed',
+        title: 'Winner Status Update',
+        message: status === this.claimStatus.FORFEITED
+          ? `Your prize for "${winner.giveaway?.title}" was not claimed in time and has passed to an alternate.`
+          : `Your win for "${winner.giveaway?.title}" was disqualified: ${reason}`,
+        giveawayId: winner.giveaway_id
+      });
+
+      await this.notifyWinner(replacement, winner.giveaway?.title);
+
+      return { success: true, replaced: winner, alternate: replacement };
+    } catch (error) {
+      console.error('Winner replacement failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a winner they won and when their claim closes
+   */
+  async notifyWinner(winner, giveawayTitle) {
+    const deadline = winner.claim_deadline
+      ? new Date(winner.claim_deadline).toLocaleDateString()
+      : null;
+
+    await this.notify(winner.user_id, {
+      type: 'winner_selected',
+      title: 'Congratulations!',
+      message: `You won${winner.prize_tier ? ` ${winner.prize_tier}` : ''} in the giveaway: ${giveawayTitle}.` +
+        (deadline ? ` Claim your prize by ${deadline} or it passes to an alternate.` : ''),
+      giveawayId: winner.giveaway_id,
+      winnerId: winner.id,
+      claimDeadline: winner.claim_deadline,
+      actionRequired: true
+    });
+  }
+
+  async notify(userId, notification) {
+    try {
+      const { error } = await supabase
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: {
+            giveawayId: notification.giveawayId,
+            winnerId: notification.winnerId,
+            claimDeadline: notification.claimDeadline,
+            actionRequired: notification.actionRequired || false
+          },
+          read: false
+        });
+
+      if (error) {
+        console.error('Failed to send claim notification:', error);
+      }
+    } catch (error) {
+      console.error('Claim notification error:', error);
+    }
+  }
+
+  /**
+   * Audit every redraw with its reason
+   */
+  async logRedraw(actorId, replaced, replacement, reason) {
+    try {
+      const { error } = await supabase
+        .from('admin_audit_log')
+        .insert({
+          admin_id: actorId,
+          action: 'winner_redraw',
+          target_type: 'giveaway',
+          target_id: replaced.giveaway_id,
+          old_values: {
+            winner_record_id: replaced.id,
+            user_id: replaced.user_id,
+            position: replaced.position,
+            claim_status: replaced.claim_status
+          },
+          new_values: replacement
+            ? {
+                winner_record_id: replacement.id,
+                user_id: replacement.user_id,
+                position: replacement.position,
+                proof_rank: replacement.proof_rank
+              }
+            : null,
+          reason
+        });
+
+      if (error) {
+        console.error('Failed to log winner redraw:', error);
+      }
+    } catch (error) {
+      console.error('Winner redraw logging error:', error);
+    }
+  }
+}
+
+export default new WinnerClaimService();
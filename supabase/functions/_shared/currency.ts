@@ -0,0 +1,80 @@
+/**
+ * Currency helpers shared by the money-moving functions.
+ *
+ * Stored amounts are integer minor units in the giveaway's currency
+ * (database/multi_currency_schema.sql); the ledger and legacy decimal
+ * columns use major units. Mirrors src/services/currencyService.js.
+ */
+
+// Stripe's zero-decimal currencies; everything we support otherwise has 2
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf',
+]
+
+export const DEFAULT_CURRENCY = 'usd'
+
+export const normalizeCurrency = (currency?: string | null) =>
+  (currency || DEFAULT_CURRENCY).trim().toLowerCase()
+
+export const minorUnitExponent = (currency?: string | null) =>
+  ZERO_DECIMAL_CURRENCIES.includes(normalizeCurrency(currency)) ? 0 : 2
+
+export const toMinorUnits = (amount: number, currency?: string | null) =>
+  Math.round(Number(amount) * 10 ** minorUnitExponent(currency))
+
+export const fromMinorUnits = (amount: number, currency?: string | null) => {
+  const factor = 10 ** minorUnitExponent(currency)
+  return Math.round(amount) / factor
+}
+
+export function formatMoney(amountMinor: number, currency?: string | null, locale = 'en-US') {
+  const code = normalizeCurrency(currency)
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency: code.toUpperCase(),
+    minimumFractionDigits: minorUnitExponent(code),
+    maximumFractionDigits: minorUnitExponent(code),
+  }).format(fromMinorUnits(amountMinor, code))
+}
+
+export interface Settlement {
+  settlement_currency: string
+  settlement_amount_minor: number
+  exchange_rate: number
+}
+
+/**
+ * What a transfer became in the connected account's settlement currency.
+ * Stripe converts cross-currency transfers on arrival; the destination
+ * payment's balance transaction carries the converted amount and the rate.
+ * Same-currency transfers settle 1:1.
+ */
+export async function transferSettlement(
+  stripe: any,
+  transfer: { amount: number; currency: string; destination_payment?: string | null },
+  destinationAccount: string
+): Promise<Settlement> {
+  const sameCurrency: Settlement = {
+    settlement_currency: normalizeCurrency(transfer.currency),
+    settlement_amount_minor: transfer.amount,
+    exchange_rate: 1,
+  }
+
+  if (!transfer.destination_payment) return sameCurrency
+
+  const payment = await stripe.charges.retrieve(
+    transfer.destination_payment,
+    { expand: ['balance_transaction'] },
+    { stripeAccount: destinationAccount }
+  )
+  const balanceTransaction = payment.balance_transaction
+
+  if (!balanceTransaction || typeof balanceTransaction === 'string') return sameCurrency
+
+  return {
+    settlement_currency: normalizeCurrency(balanceTransaction.currency),
+    settlement_amount_minor: balanceTransaction.amount,
+    exchange_rate: balanceTransaction.exchange_rate ?? 1,
+  }
+}
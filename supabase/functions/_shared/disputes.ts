@@ -0,0 +1,633 @@
+/**
+ * Chargeback handling shared by stripe-webhook (charge.dispute.*) and
+ * manage-dispute (database/chargeback_disputes_schema.sql).
+ *
+ * Each Stripe dispute is one payment_disputes row matched to the order or
+ * payment it charged back. The evidence packet is assembled from our own
+ * records when the dispute opens and stored on the row, so an admin reviews
+ * exactly what will be sent; submitting maps it onto Stripe's evidence
+ * fields. A lost dispute voids the purchase's entries and claws the
+ * creator's share back.
+ */
+
+import { formatMoney, fromMinorUnits, normalizeCurrency, toMinorUnits } from './currency.ts'
+import { disputeLossLines, postJournalEntry, reverseLines, transferLines } from './ledger.ts'
+
+export type DisputeStatus = 'open' | 'under_review' | 'won' | 'lost' | 'closed'
+
+// Stripe dispute status → payment_disputes.status
+const STATUS_MAP: Record<string, DisputeStatus> = {
+  warning_needs_response: 'open',
+  needs_response: 'open',
+  warning_under_review: 'under_review',
+  under_review: 'under_review',
+  won: 'won',
+  lost: 'lost',
+  warning_closed: 'closed',
+  charge_refunded: 'closed',
+}
+
+export const disputeStatus = (stripeStatus: string): DisputeStatus => STATUS_MAP[stripeStatus] ?? 'open'
+
+export const DEFAULT_DISPUTE_POLICY = {
+  urgent_hours_before_due: 72,
+  auto_submit_hours_before_due: 24,
+}
+
+export interface DisputedPurchase {
+  kind: 'order' | 'payment'
+  id: string
+  giveawayId: string
+  userId: string
+  creatorId: string
+  currency: string
+  grossMinor: number
+  commissionMinor: number
+  creatorMinor: number
+  tickets: number
+  transferId: string | null
+  createdAt: string
+  completedAt: string | null
+  clientIp: string | null
+  userAgent: string | null
+  description: string | null
+}
+
+/**
+ * The order or payment a Stripe payment intent paid for, or null when the
+ * charge was not for a giveaway purchase
+ */
+export async function findDisputedPurchase(supabase: any, paymentIntentId: string): Promise<DisputedPurchase | null> {
+  const { data: order } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .maybeSingle()
+
+  if (order) {
+    const currency = normalizeCurrency(order.currency)
+    return {
+      kind: 'order',
+      id: order.id,
+      giveawayId: order.giveaway_id,
+      userId: order.user_id,
+      creatorId: order.creator_id,
+      currency,
+      grossMinor: order.total_amount_minor ?? toMinorUnits(order.total_amount, currency),
+      commissionMinor: order.platform_fee_minor ?? toMinorUnits(order.platform_fee, currency),
+      creatorMinor: order.creator_amount_minor ?? toMinorUnits(order.creator_amount, currency),
+      tickets: order.ticket_count,
+      transferId: order.stripe_transfer_id,
+      createdAt: order.created_at,
+      completedAt: order.payment_completed_at,
+      clientIp: order.client_ip,
+      userAgent: order.user_agent,
+      description: null,
+    }
+  }
+
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*, giveaway:giveaways(creator_id)')
+    .eq('stripe_payment_intent_id', paymentIntentId)
+    .maybeSingle()
+
+  if (!payment || payment.transaction_type === 'prize_deposit') return null
+
+  const currency = normalizeCurrency(payment.currency)
+  const grossMinor = payment.amount_minor ?? toMinorUnits(payment.amount, currency)
+  const commissionMinor = payment.platform_fee_minor ?? toMinorUnits(payment.platform_fee_amount || 0, currency)
+
+  return {
+    kind: 'payment',
+    id: payment.id,
+    giveawayId: payment.giveaway_id,
+    userId: payment.user_id,
+    creatorId: payment.giveaway?.creator_id,
+    currency,
+    grossMinor,
+    commissionMinor,
+    creatorMinor: payment.net_amount_minor ?? (payment.net_amount != null ? toMinorUnits(payment.net_amount, currency) : grossMinor - commissionMinor),
+    tickets: parseInt(payment.payment_metadata?.entry_count, 10) || 1,
+    transferId: null,
+    createdAt: payment.created_at,
+    completedAt: payment.processed_at,
+    clientIp: payment.client_ip,
+    userAgent: payment.user_agent,
+    description: payment.description,
+  }
+}
+
+async function loadDisputedPurchase(supabase: any, dispute: any): Promise<DisputedPurchase> {
+  const purchase = await findDisputedPurchase(supabase, dispute.payment_intent_id)
+  if (!purchase) throw new Error(`No purchase found for disputed payment ${dispute.payment_intent_id}`)
+  return purchase
+}
+
+/**
+ * Split a lost dispute's amount the way the purchase was split. Stripe caps
+ * the disputed amount at what is left of the charge after refunds, so it is
+ * priced pro rata against the gross rather than per ticket.
+ */
+export function priceDisputeLoss(
+  purchase: Pick<DisputedPurchase, 'grossMinor' | 'commissionMinor' | 'creatorMinor'>,
+  disputedMinor: number
+) {
+  const amount = Math.min(disputedMinor, purchase.grossMinor)
+  const share = (total: number) =>
+    purchase.grossMinor > 0 ? Math.floor((total * amount) / purchase.grossMinor) : 0
+
+  const commission = share(purchase.commissionMinor)
+  const creator = share(purchase.creatorMinor)
+
+  return {
+    amountMinor: amount,
+    creatorMinor: creator,
+    platformFeeMinor: commission,
+    processingFeeMinor: amount - commission - creator,
+  }
+}
+
+// =============================================================
+// EVIDENCE
+// =============================================================
+
+/**
+ * Assemble the evidence packet for a dispute from our own records: the
+ * receipt, the entries with their timestamps and the official rules version
+ * each was made under, where the purchase was made from, and the fairness
+ * commitment and proof for the draw.
+ */
+export async function assembleEvidencePacket(supabase: any, dispute: any) {
+  const purchase = await loadDisputedPurchase(supabase, dispute)
+
+  const [{ data: customer }, { data: giveaway }, { data: entries }, { data: seed }, { data: proof }] = await Promise.all([
+    supabase.from('users').select('name, email').eq('id', purchase.userId).maybeSingle(),
+    supabase.from('giveaways').select('id, title, status, starts_at, ends_at').eq('id', purchase.giveawayId).maybeSingle(),
+    supabase
+      .from('entries')
+      .select('id, created_at, entry_count, ticket_count, payment_status, official_rules_version')
+      .eq(purchase.kind === 'order' ? 'order_id' : 'payment_id', purchase.id)
+      .order('created_at'),
+    supabase
+      .from('giveaway_seeds')
+      .select('seed_hash, committed_at, revealed, revealed_at')
+      .eq('giveaway_id', purchase.giveawayId)
+      .maybeSingle(),
+    supabase
+      .from('fairness_proofs')
+      .select('seed_hash, winner_hash, selection_method, total_entries, verified_at')
+      .eq('giveaway_id', purchase.giveawayId)
+      .maybeSingle(),
+  ])
+
+  const rulesVersions = [...new Set((entries ?? []).map((entry: any) => entry.official_rules_version).filter(Boolean))]
+  const { data: rules } = rulesVersions.length > 0
+    ? await supabase
+        .from('giveaway_rules_versions')
+        .select('version, template_version, content_hash, published_at')
+        .eq('giveaway_id', purchase.giveawayId)
+        .in('version', rulesVersions)
+        .order('version')
+    : { data: [] }
+
+  return {
+    built_at: new Date().toISOString(),
+    purchase: {
+      kind: purchase.kind,
+      id: purchase.id,
+      payment_intent_id: dispute.payment_intent_id,
+      charge_id: dispute.stripe_charge_id,
+      amount_minor: purchase.grossMinor,
+      currency: purchase.currency,
+      tickets: purchase.tickets,
+      created_at: purchase.createdAt,
+      completed_at: purchase.completedAt,
+    },
+    customer: {
+      user_id: purchase.userId,
+      name: customer?.name ?? null,
+      email: customer?.email ?? null,
+    },
+    receipt: await loadReceipt(supabase, purchase),
+    device: {
+      ip_address: purchase.clientIp,
+      user_agent: purchase.userAgent,
+    },
+    giveaway,
+    entries: (entries ?? []).map((entry: any) => ({
+      id: entry.id,
+      created_at: entry.created_at,
+      tickets: entry.ticket_count ?? entry.entry_count,
+      payment_status: entry.payment_status,
+      official_rules_version: entry.official_rules_version,
+    })),
+    rules: rules ?? [],
+    fairness: seed
+      ? {
+          seed_hash: seed.seed_hash,
+          committed_at: seed.committed_at,
+          revealed: seed.revealed,
+          revealed_at: seed.revealed_at,
+          proof: proof ?? null,
+        }
+      : null,
+  }
+}
+
+// The receipt generate-receipt issued for an order (issuing it now if it
+// never was); payments made through create-payment-intent are receipted by
+// Stripe, so their record stands in
+async function loadReceipt(supabase: any, purchase: DisputedPurchase) {
+  if (purchase.kind === 'payment') {
+    return {
+      source: 'payment',
+      payment_id: purchase.id,
+      description: purchase.description,
+      amount: fromMinorUnits(purchase.grossMinor, purchase.currency),
+      currency: purchase.currency,
+      date: purchase.completedAt,
+    }
+  }
+
+  const { data, error } = await supabase.functions.invoke('generate-receipt', {
+    body: { orderId: purchase.id },
+  })
+
+  if (error || !data?.receipt) {
+    throw new Error(`Failed to load receipt for order ${purchase.id}: ${error?.message ?? data?.error ?? 'no receipt'}`)
+  }
+
+  return { source: 'generate-receipt', ...data.receipt }
+}
+
+/**
+ * Rebuild and store a dispute's evidence packet. Failures are stored on the
+ * row (evidence_error) rather than thrown, so an admin sees why.
+ */
+export async function buildEvidence(supabase: any, dispute: any) {
+  try {
+    const packet = await assembleEvidencePacket(supabase, dispute)
+
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .update({
+        evidence_packet: packet,
+        evidence_built_at: packet.built_at,
+        evidence_error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', dispute.id)
+      .select()
+      .single()
+
+    if (error) throw error
+
+    return data
+  } catch (error) {
+    console.error(`Evidence packet for dispute ${dispute.id} failed:`, error)
+
+    await supabase
+      .from('payment_disputes')
+      .update({ evidence_error: (error as Error).message, updated_at: new Date().toISOString() })
+      .eq('id', dispute.id)
+
+    return { ...dispute, evidence_error: (error as Error).message }
+  }
+}
+
+/**
+ * Map a packet onto Stripe's dispute evidence fields
+ */
+export function stripeEvidence(packet: any, notes?: string | null): Record<string, string> {
+  const tickets = packet.entries.reduce((sum: number, entry: any) => sum + (entry.tickets ?? 0), 0) || packet.purchase.tickets
+  const purchasedOn = (packet.purchase.completed_at || packet.purchase.created_at || '').slice(0, 10)
+
+  const activity = [
+    `Purchase ${packet.purchase.id} created ${packet.purchase.created_at}, paid ${packet.purchase.completed_at ?? 'n/a'}`,
+    `From IP ${packet.device.ip_address ?? 'not recorded'}, user agent ${packet.device.user_agent ?? 'not recorded'}`,
+    ...packet.entries.map((entry: any) =>
+      `Entry ${entry.id}: ${entry.tickets} ticket(s) entered ${entry.created_at} under official rules v${entry.official_rules_version ?? '?'}`
+    ),
+  ]
+
+  const statement = [
+    `The customer bought ${tickets} entry ticket(s) in the giveaway "${packet.giveaway?.title ?? packet.purchase.id}" and the entries were placed in the draw.`,
+    ...packet.rules.map((rules: any) =>
+      `Official rules v${rules.version} (published ${rules.published_at}, SHA-256 ${rules.content_hash}) were accepted with the entry.`
+    ),
+    packet.fairness
+      ? `The draw seed was committed in advance (SHA-256 ${packet.fairness.seed_hash}, committed ${packet.fairness.committed_at})` +
+        (packet.fairness.proof
+          ? ` and the winner was selected by ${packet.fairness.proof.selection_method} over ${packet.fairness.proof.total_entries} entries, publicly verifiable.`
+          : '; the draw has not taken place yet.')
+      : null,
+    packet.receipt?.id ? `Receipt ${packet.receipt.id} was issued to ${packet.customer.email ?? 'the customer'}.` : null,
+    notes || null,
+  ].filter(Boolean)
+
+  const evidence: Record<string, string> = {
+    product_description: `${tickets} digital entry ticket(s) in the giveaway "${packet.giveaway?.title ?? ''}"`,
+    service_date: purchasedOn,
+    access_activity_log: activity.join('\n'),
+    uncategorized_text: statement.join('\n\n'),
+  }
+
+  if (packet.customer.name) evidence.customer_name = packet.customer.name
+  if (packet.customer.email) evidence.customer_email_address = packet.customer.email
+  if (packet.device.ip_address) evidence.customer_purchase_ip = packet.device.ip_address
+
+  return evidence
+}
+
+/**
+ * Send a dispute's evidence to Stripe and submit it. Stripe accepts one
+ * submission per dispute.
+ */
+export async function submitEvidence(
+  supabase: any,
+  stripe: any,
+  dispute: any,
+  { submittedBy = null, notes = null }: { submittedBy?: string | null; notes?: string | null } = {}
+) {
+  if (dispute.evidence_submitted_at) {
+    throw new Error('Evidence has already been submitted for this dispute')
+  }
+
+  if (dispute.status !== 'open') {
+    throw new Error(`Dispute is ${dispute.status}; evidence can only be submitted while it is open`)
+  }
+
+  let current = dispute
+  if (!current.evidence_packet) {
+    current = await buildEvidence(supabase, current)
+    if (!current.evidence_packet) {
+      throw new Error(`Evidence packet could not be assembled: ${current.evidence_error}`)
+    }
+  }
+
+  const evidence = stripeEvidence(current.evidence_packet, notes)
+
+  const updated = await stripe.disputes.update(current.stripe_dispute_id, {
+    evidence,
+    submit: true,
+    metadata: { dispute_id: current.id },
+  }, { idempotencyKey: `dispute_evidence_${current.id}` })
+
+  const { data, error } = await supabase
+    .from('payment_disputes')
+    .update({
+      status: disputeStatus(updated.status),
+      stripe_status: updated.status,
+      evidence_provided: Object.keys(evidence),
+      evidence_submitted_at: new Date().toISOString(),
+      evidence_submitted_by: submittedBy,
+      admin_notes: notes ?? current.admin_notes,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', current.id)
+    .select()
+    .single()
+
+  if (error) throw new Error(`Evidence submitted but dispute ${current.id} not updated: ${error.message}`)
+
+  return data
+}
+
+// =============================================================
+// LIFECYCLE
+// =============================================================
+
+async function notifyCreator(supabase: any, purchase: DisputedPurchase, notification: { type: string; title: string; message: string; priority?: string }) {
+  const { error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: purchase.creatorId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: {
+        giveawayId: purchase.giveawayId,
+        actionRequired: false,
+        priority: notification.priority || 'normal'
+      },
+      read: false
+    })
+
+  if (error) {
+    console.error('Failed to notify creator of dispute:', error)
+  }
+}
+
+/**
+ * Record a Stripe dispute event. Creates the row (and its evidence packet)
+ * on the first event for a dispute and keeps status, amount, fees and the
+ * deadline current after that; a lost dispute is settled here. Safe to run
+ * for the same event more than once.
+ */
+export async function syncDispute(supabase: any, stripe: any, stripeDispute: any) {
+  const paymentIntentId = typeof stripeDispute.payment_intent === 'string'
+    ? stripeDispute.payment_intent
+    : stripeDispute.payment_intent?.id
+
+  const { data: existing } = await supabase
+    .from('payment_disputes')
+    .select('*')
+    .eq('stripe_dispute_id', stripeDispute.id)
+    .maybeSingle()
+
+  const purchase = paymentIntentId ? await findDisputedPurchase(supabase, paymentIntentId) : null
+  if (!existing && !purchase) {
+    console.log(`Dispute ${stripeDispute.id} is not on a giveaway purchase; ignoring`)
+    return null
+  }
+
+  const status = disputeStatus(stripeDispute.status)
+  const values = {
+    status,
+    stripe_status: stripeDispute.status,
+    reason: stripeDispute.reason,
+    amount_minor: stripeDispute.amount,
+    currency: normalizeCurrency(stripeDispute.currency),
+    amount: fromMinorUnits(stripeDispute.amount, stripeDispute.currency),
+    dispute_fee_minor: (stripeDispute.balance_transactions ?? [])
+      .reduce((sum: number, txn: any) => sum + (txn.fee ?? 0), 0),
+    evidence_due_by: stripeDispute.evidence_details?.due_by
+      ? new Date(stripeDispute.evidence_details.due_by * 1000).toISOString()
+      : null,
+    resolved_at: ['won', 'lost', 'closed'].includes(status) ? existing?.resolved_at ?? new Date().toISOString() : null,
+    resolution: ['won', 'lost', 'closed'].includes(status) ? existing?.resolution ?? status : null,
+    updated_at: new Date().toISOString(),
+  }
+
+  let dispute = existing
+  if (existing) {
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .update(values)
+      .eq('id', existing.id)
+      .select()
+      .single()
+
+    if (error) throw new Error(`Failed to update dispute ${existing.id}: ${error.message}`)
+    dispute = data
+  } else {
+    const { data, error } = await supabase
+      .from('payment_disputes')
+      .insert({
+        ...values,
+        stripe_dispute_id: stripeDispute.id,
+        stripe_charge_id: typeof stripeDispute.charge === 'string' ? stripeDispute.charge : stripeDispute.charge?.id,
+        payment_intent_id: paymentIntentId,
+        order_id: purchase!.kind === 'order' ? purchase!.id : null,
+        payment_id: purchase!.kind === 'payment' ? purchase!.id : null,
+        user_id: purchase!.userId,
+        giveaway_id: purchase!.giveawayId,
+        dispute_type: 'chargeback',
+        priority: 'high',
+        description: `Stripe dispute ${stripeDispute.id}: ${stripeDispute.reason}`,
+      })
+      .select()
+      .single()
+
+    if (error) throw new Error(`Failed to record dispute ${stripeDispute.id}: ${error.message}`)
+    dispute = data
+
+    await supabase
+      .from('entries')
+      .update({ dispute_id: dispute.id, dispute_status: 'disputed', updated_at: new Date().toISOString() })
+      .eq(purchase!.kind === 'order' ? 'order_id' : 'payment_id', purchase!.id)
+      .is('dispute_status', null)
+
+    await notifyCreator(supabase, purchase!, {
+      type: 'chargeback_dispute',
+      title: 'Chargeback Filed',
+      message: 'An entrant disputed their payment for one of your giveaways. We respond with the purchase records and the draw\'s fairness proof; if the dispute is lost, that entry\'s share is deducted from your earnings.',
+      priority: 'high',
+    })
+  }
+
+  if (!dispute.evidence_packet && status === 'open') {
+    dispute = await buildEvidence(supabase, dispute)
+  }
+
+  if (status === 'won') {
+    await supabase
+      .from('entries')
+      .update({ dispute_status: 'won', updated_at: new Date().toISOString() })
+      .eq('dispute_id', dispute.id)
+      .eq('dispute_status', 'disputed')
+  }
+
+  if (status === 'lost') {
+    dispute = await applyDisputeLoss(supabase, stripe, dispute)
+  }
+
+  return dispute
+}
+
+/**
+ * Settle a lost dispute: post the loss, recover the creator's share and void
+ * the purchase's entries. Each step is idempotent, so a webhook retry picks
+ * up where a failed attempt stopped.
+ */
+export async function applyDisputeLoss(supabase: any, stripe: any, dispute: any) {
+  const purchase = await loadDisputedPurchase(supabase, dispute)
+  const currency = purchase.currency
+  const major = (minor: number) => fromMinorUnits(minor, currency)
+  const loss = priceDisputeLoss(purchase, dispute.amount_minor)
+
+  let notes: string | null = null
+
+  if (!dispute.clawback_posted_at) {
+    const entry = (fromEscrow: boolean) => ({
+      idempotencyKey: `dispute_lost:${dispute.id}`,
+      entryType: 'dispute_lost',
+      description: `Chargeback lost on ${purchase.kind} ${purchase.id} (${dispute.reason})`,
+      giveawayId: purchase.giveawayId,
+      referenceType: 'dispute',
+      referenceId: dispute.stripe_dispute_id,
+      currency,
+      lines: disputeLossLines({
+        giveawayId: purchase.giveawayId,
+        creatorId: purchase.creatorId,
+        fromEscrow: fromEscrow ? major(loss.creatorMinor) : 0,
+        fromCreator: fromEscrow ? 0 : major(loss.creatorMinor),
+        platformFee: major(loss.platformFeeMinor),
+        absorbedStripeFee: major(loss.processingFeeMinor),
+        disputeFee: major(dispute.dispute_fee_minor ?? 0),
+      }),
+      metadata: { dispute_id: dispute.id, stripe_dispute_id: dispute.stripe_dispute_id },
+    })
+
+    // The creator's share is still in escrow unless it went out with the
+    // order or in a payout; then it is owed back by the creator
+    try {
+      await postJournalEntry(supabase, entry(!purchase.transferId))
+    } catch (error) {
+      if (purchase.transferId || !/Insufficient funds in escrow/.test((error as Error).message)) throw error
+      await postJournalEntry(supabase, entry(false))
+      notes = 'Creator share already paid out; clawed back from creator payable'
+    }
+
+    await supabase
+      .from('payment_disputes')
+      .update({ clawback_posted_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', dispute.id)
+  }
+
+  // Creator's share went out with the order: pull it back from their account
+  if (purchase.transferId && loss.creatorMinor > 0 && !dispute.stripe_reverse_transfer_id) {
+    try {
+      const reversal = await stripe.transfers.createReversal(purchase.transferId, {
+        amount: loss.creatorMinor,
+        metadata: { dispute_id: dispute.id, [`${purchase.kind}_id`]: purchase.id },
+      }, { idempotencyKey: `dispute_reversal_${dispute.id}` })
+
+      await supabase
+        .from('payment_disputes')
+        .update({ stripe_reverse_transfer_id: reversal.id, updated_at: new Date().toISOString() })
+        .eq('id', dispute.id)
+
+      await postJournalEntry(supabase, {
+        idempotencyKey: `transfer_reversal:${reversal.id}`,
+        entryType: 'transfer_reversal',
+        description: `Creator share of ${purchase.kind} ${purchase.id} recovered for lost dispute`,
+        giveawayId: purchase.giveawayId,
+        referenceType: 'transfer',
+        referenceId: reversal.id,
+        currency,
+        lines: reverseLines(transferLines({ userId: purchase.creatorId, amount: major(loss.creatorMinor) })),
+      })
+    } catch (error) {
+      // Stays owed on creator_payable and comes out of their next payout
+      console.error(`Transfer reversal for dispute ${dispute.id} failed:`, error)
+      notes = `Transfer reversal failed (${(error as Error).message}); clawed back from creator payable`
+    }
+  }
+
+  const { error: voidError } = await supabase.rpc('void_disputed_purchase', { p_dispute_id: dispute.id })
+  if (voidError) throw new Error(`Failed to void entries for dispute ${dispute.id}: ${voidError.message}`)
+
+  if (!dispute.entries_voided_at) {
+    await notifyCreator(supabase, purchase, {
+      type: 'chargeback_lost',
+      title: 'Chargeback Lost',
+      message: `A disputed entry purchase was charged back. Its entries were removed from the draw and ${formatMoney(loss.creatorMinor, currency)} was deducted from your earnings.`,
+    })
+  }
+
+  const { data, error } = await supabase
+    .from('payment_disputes')
+    .update({
+      resolution: notes ? `lost: ${notes}` : dispute.resolution ?? 'lost',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', dispute.id)
+    .select()
+    .single()
+
+  if (error) throw new Error(`Failed to update dispute ${dispute.id}: ${error.message}`)
+
+  return data
+}
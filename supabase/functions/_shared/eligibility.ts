@@ -0,0 +1,222 @@
+/**
+ * Eligibility rules engine shared by the entry functions
+ * (create-payment-intent, submit-amoe-entry) and run-draws.
+ *
+ * Mirrors src/services/eligibilityService.js: the platform baseline from
+ * src/config/geographicCompliance.js narrowed by the giveaway's
+ * eligible_states, location_restrictions and minimum_age. Keep the two in sync.
+ */
+
+export const BASELINE_RULES = {
+  minimumAge: 18,
+  allowedCountries: ['US', 'United States'],
+  excludedUSStates: ['NY', 'New York', 'FL', 'Florida', 'RI', 'Rhode Island'],
+  blockedRegions: [
+    'PR', 'Puerto Rico', 'VI', 'U.S. Virgin Islands', 'GU', 'Guam',
+    'AS', 'American Samoa', 'MP', 'Northern Mariana Islands',
+  ],
+}
+
+export const ELIGIBILITY_REASONS = {
+  DECLARATION_REQUIRED: 'declaration_required',
+  DECLARATION_MISMATCH: 'declaration_mismatch',
+  COUNTRY_NOT_ALLOWED: 'country_not_allowed',
+  REGION_BLOCKED: 'region_blocked',
+  STATE_EXCLUDED: 'state_excluded',
+  STATE_EXCLUDED_BY_CREATOR: 'state_excluded_by_creator',
+  STATE_NOT_ALLOWED_BY_CREATOR: 'state_not_allowed_by_creator',
+  UNDER_MINIMUM_AGE: 'under_minimum_age',
+}
+
+const US_STATE_NAMES: Record<string, string> = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan',
+  MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana',
+  NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey',
+  NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania',
+  RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+  TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VA: 'Virginia',
+  WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+}
+
+export interface EligibilityRules {
+  minimumAge: number
+  allowedStates: string[] | null
+  excludedStates: string[]
+}
+
+export interface Entrant {
+  country?: string
+  state?: string
+  dateOfBirth?: string
+  age?: number
+}
+
+export interface EligibilityResult {
+  eligible: boolean
+  reason: string | null
+  message: string | null
+}
+
+export const matches = (list: string[], value?: string | null) =>
+  !!value && list.some(item => item.toLowerCase() === value.trim().toLowerCase())
+
+export function normalizeState(state?: string | null): string | null {
+  if (!state) return null
+  const value = state.trim()
+  const code = value.toUpperCase()
+  if (US_STATE_NAMES[code]) return code
+  const entry = Object.entries(US_STATE_NAMES).find(([, name]) => name.toLowerCase() === value.toLowerCase())
+  return entry ? entry[0] : code
+}
+
+export function ageOn(dateOfBirth: string, asOf: Date = new Date()) {
+  const birth = new Date(dateOfBirth)
+  let age = asOf.getUTCFullYear() - birth.getUTCFullYear()
+  const monthDiff = asOf.getUTCMonth() - birth.getUTCMonth()
+  if (monthDiff < 0 || (monthDiff === 0 && asOf.getUTCDate() < birth.getUTCDate())) {
+    age--
+  }
+  return age
+}
+
+export function getGiveawayRules(giveaway: any = {}): EligibilityRules {
+  const creatorMinimum = parseInt(giveaway.minimum_age ?? giveaway.age_restriction, 10) || 0
+  const allowedStates = (giveaway.eligible_states || [])
+    .map(normalizeState)
+    .filter(Boolean) as string[]
+
+  return {
+    minimumAge: Math.max(BASELINE_RULES.minimumAge, creatorMinimum),
+    allowedStates: allowedStates.length ? allowedStates : null,
+    excludedStates: (giveaway.location_restrictions || []).map(normalizeState).filter(Boolean) as string[],
+  }
+}
+
+export function evaluateEligibility(rules: EligibilityRules, entrant: Entrant, asOf: Date = new Date()): EligibilityResult {
+  const fail = (reason: string, message: string) => ({ eligible: false, reason, message })
+  const age = entrant.age ?? (entrant.dateOfBirth ? ageOn(entrant.dateOfBirth, asOf) : null)
+
+  if (!entrant.country || !entrant.state || age === null || isNaN(age)) {
+    return fail(ELIGIBILITY_REASONS.DECLARATION_REQUIRED, 'Please confirm your country, state and date of birth to enter')
+  }
+
+  if (!matches(BASELINE_RULES.allowedCountries, entrant.country)) {
+    return fail(ELIGIBILITY_REASONS.COUNTRY_NOT_ALLOWED, 'Currently only available to U.S. residents')
+  }
+
+  const state = normalizeState(entrant.state)
+
+  if (matches(BASELINE_RULES.blockedRegions, state) || matches(BASELINE_RULES.blockedRegions, entrant.state)) {
+    return fail(ELIGIBILITY_REASONS.REGION_BLOCKED, 'Sweepstakes not available in your region at this time')
+  }
+
+  if (matches(BASELINE_RULES.excludedUSStates, state)) {
+    return fail(ELIGIBILITY_REASONS.STATE_EXCLUDED, 'Sweepstakes not available in your state at this time')
+  }
+
+  if (rules.excludedStates.includes(state!)) {
+    return fail(ELIGIBILITY_REASONS.STATE_EXCLUDED_BY_CREATOR, 'This giveaway is not open to residents of your state')
+  }
+
+  if (rules.allowedStates && !rules.allowedStates.includes(state!)) {
+    return fail(
+      ELIGIBILITY_REASONS.STATE_NOT_ALLOWED_BY_CREATOR,
+      `This giveaway is only open to residents of ${rules.allowedStates.join(', ')}`
+    )
+  }
+
+  if (age < rules.minimumAge) {
+    return fail(ELIGIBILITY_REASONS.UNDER_MINIMUM_AGE, `You must be ${rules.minimumAge} or older to enter this giveaway`)
+  }
+
+  return { eligible: true, reason: null, message: null }
+}
+
+/**
+ * IP geolocation when a provider is configured: true when the request comes
+ * from outside the allowed countries or from an excluded state. Fails open
+ * like ipGeoService, so a provider outage never blocks entries.
+ */
+export async function ipLocationBlocked(ipAddress: string | null): Promise<boolean> {
+  const token = Deno.env.get('IPINFO_TOKEN')
+  if (!ipAddress || !token) return false
+
+  try {
+    const response = await fetch(`https://ipinfo.io/${ipAddress}?token=${token}`)
+    if (!response.ok) return false
+    const geo = await response.json()
+    if (!geo.country || geo.bogon) return false
+
+    if (!matches(BASELINE_RULES.allowedCountries, geo.country)) return true
+
+    const regionCode = geo.country === 'US' ? geo.region : undefined
+    return !!regionCode && matches(BASELINE_RULES.excludedUSStates, regionCode)
+  } catch (error) {
+    console.error('IP geolocation failed:', error)
+    return false
+  }
+}
+
+/**
+ * Stored declaration as an Entrant, or an empty entrant when none exists
+ */
+export async function loadDeclaration(supabase: any, userId: string): Promise<Entrant> {
+  const { data } = await supabase
+    .from('entrant_eligibility')
+    .select('country, state, date_of_birth')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  return data
+    ? { country: data.country, state: data.state, dateOfBirth: data.date_of_birth }
+    : {}
+}
+
+// 'US' and 'United States' are the same country
+const sameCountry = (a?: string, b?: string) =>
+  matches([a ?? ''], b) || (matches(BASELINE_RULES.allowedCountries, a) && matches(BASELINE_RULES.allowedCountries, b))
+
+const sameDeclaration = (a: Entrant, b: Entrant) =>
+  sameCountry(a.country, b.country) &&
+  normalizeState(a.state) === normalizeState(b.state) &&
+  a.dateOfBirth === b.dateOfBirth
+
+/**
+ * Record the entrant's first declaration. Once one is on file it is kept:
+ * entries are judged against it, and only an admin can change it
+ * (change_entrant_declaration). Returns the declaration on file, or a
+ * DECLARATION_MISMATCH failure when the one given differs from it.
+ */
+export async function saveDeclaration(
+  supabase: any,
+  userId: string,
+  entrant: Entrant,
+  source: string
+): Promise<{ declaration: Entrant; failure: EligibilityResult | null }> {
+  const { error } = await supabase
+    .from('entrant_eligibility')
+    .upsert({
+      user_id: userId,
+      country: entrant.country,
+      state: normalizeState(entrant.state),
+      date_of_birth: entrant.dateOfBirth,
+      source,
+      declared_at: new Date().toISOString(),
+    }, { onConflict: 'user_id', ignoreDuplicates: true })
+
+  if (error) throw error
+
+  const declaration = await loadDeclaration(supabase, userId)
+  const failure = sameDeclaration(declaration, entrant) ? null : {
+    eligible: false,
+    reason: ELIGIBILITY_REASONS.DECLARATION_MISMATCH,
+    message: 'This doesn\'t match the eligibility details already on file. Contact support to change them.',
+  }
+
+  return { declaration, failure }
+}
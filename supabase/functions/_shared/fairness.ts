@@ -0,0 +1,310 @@
+/**
+ * Server-side counterparts of fairnessService for work done outside the app:
+ * api-v1 commits seeds and exports proofs, run-draws draws ended giveaways.
+ * Seeds, ticket lines and proofs are built the same way as in the app
+ * (src/services/fairnessService.js, src/services/drawTickets.js), so
+ * scripts/verify-draw.js checks draws whichever side made them. Keep them
+ * in sync.
+ */
+
+export const SELECTION_METHODS = {
+  SINGLE: 'HMAC_SHA256_MAX',
+  RANKED: 'HMAC_SHA256_RANKED',
+  TICKET_WEIGHTED: 'HMAC_SHA256_TICKET',
+}
+
+// drand mainnet, as randomnessBeaconService
+const DRAND_GENESIS_TIME = 1595431050
+const DRAND_PERIOD = 30
+
+const DRAND_URL = 'https://api.drand.sh'
+
+// Minimum gap between giveaway end and the committed beacon round
+const COMMIT_MARGIN_MS = 5 * 60 * 1000
+
+export const BEACON_ROUND_PENDING = 'BEACON_ROUND_PENDING'
+
+const encoder = new TextEncoder()
+
+const toHex = (buffer: ArrayBuffer) =>
+  Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('')
+
+async function sha256Hex(value: string): Promise<string> {
+  return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(value)))
+}
+
+/**
+ * Commit a 256-bit server seed and a drand round after the giveaway ends, as
+ * fairnessService.generateGiveawaySeed. Returns the public commitment.
+ */
+export async function commitGiveawaySeed(supabase: any, giveawayId: string, creatorId: string, endsAt: string) {
+  const seed = Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) => byte.toString(16).padStart(2, '0')).join('')
+  const seedHash = await sha256Hex(seed)
+
+  const commitSeconds = Math.floor((Math.max(Date.now(), new Date(endsAt).getTime()) + COMMIT_MARGIN_MS) / 1000)
+  const beaconRound = Math.max(1, Math.floor((commitSeconds - DRAND_GENESIS_TIME) / DRAND_PERIOD) + 1)
+
+  const { error } = await supabase
+    .from('giveaway_seeds')
+    .insert({
+      giveaway_id: giveawayId,
+      creator_id: creatorId,
+      seed_hash: seedHash,
+      seed_value: seed,
+      beacon_source: 'drand',
+      beacon_round: beaconRound,
+      committed_at: new Date().toISOString(),
+      revealed: false,
+    })
+
+  if (error) throw new Error(`Failed to commit fairness seed for ${giveawayId}: ${error.message}`)
+
+  return { seed_hash: seedHash, beacon_source: 'drand', beacon_round: beaconRound }
+}
+
+/**
+ * Tickets an entry holds in the draw: the larger of ticket_count and
+ * entry_count (drawTickets.entryTicketCount)
+ */
+export function entryTicketCount(entry: any): number {
+  const ticketCount = parseInt(entry.ticket_count, 10) || 0
+  const entryCount = parseInt(entry.entry_count, 10) || 0
+  return Math.max(1, ticketCount, entryCount)
+}
+
+/**
+ * Entries on a cumulative ticket line, from ticket 1 (drawTickets.buildTicketRanges)
+ */
+export function buildTicketRanges(entries: any[]) {
+  let nextTicket = 1
+
+  return entries.map((entry, index) => {
+    const tickets = entryTicketCount(entry)
+    const range = {
+      entry_index: index,
+      entry_id: entry.id,
+      entry_input: entry.payment_id || entry.order_id || entry.id,
+      participant: entry.participant,
+      tickets,
+      range_start: nextTicket,
+      range_end: nextTicket + tickets - 1,
+    }
+    nextTicket += tickets
+    return range
+  })
+}
+
+/**
+ * One slot per winner, in draw order (fairnessService.expandPrizeTiers)
+ */
+export function expandPrizeTiers(prizeTiers: any) {
+  const tiers = Array.isArray(prizeTiers) && prizeTiers.length > 0
+    ? prizeTiers
+    : [{ name: 'Grand Prize', winners: 1 }]
+
+  const slots: any[] = []
+  tiers.forEach((tier: any, tierIndex: number) => {
+    const count = Math.max(1, parseInt(tier.winners, 10) || 1)
+    for (let i = 0; i < count; i++) {
+      slots.push({
+        position: slots.length + 1,
+        tier_index: tierIndex,
+        tier_name: tier.name || `Tier ${tierIndex + 1}`,
+        prize_description: tier.prize_description || null,
+        prize_value: tier.prize_value ?? null,
+      })
+    }
+  })
+
+  return slots
+}
+
+/**
+ * Commitment to the exact ticket line the draw ran against
+ */
+export function computeEntriesDigest(ranges: any[]): Promise<string> {
+  return sha256Hex(ranges.map((range) => `${range.entry_input}:${range.range_start}-${range.range_end}`).join('|'))
+}
+
+/**
+ * The committed drand round mixed into the server seed:
+ * SHA256(server_seed:beacon_round:beacon_value). Throws BEACON_ROUND_PENDING
+ * while the round is not out yet; seeds without a round draw with the
+ * server seed alone.
+ */
+export async function resolveDrawSeed(seedData: any) {
+  if (!seedData.beacon_round) {
+    return { value: seedData.seed_value, beacon: null }
+  }
+
+  const response = await fetch(`${DRAND_URL}/public/${seedData.beacon_round}`)
+
+  if (response.status === 404 || response.status === 425) {
+    throw Object.assign(
+      new Error(`Beacon round ${seedData.beacon_round} has not been published yet`),
+      { code: BEACON_ROUND_PENDING }
+    )
+  }
+  if (!response.ok) {
+    throw new Error(`Beacon request failed with status ${response.status}`)
+  }
+
+  const data = await response.json()
+
+  return {
+    value: await sha256Hex(`${seedData.seed_value}:${data.round}:${data.randomness}`),
+    beacon: {
+      source: seedData.beacon_source,
+      round: data.round,
+      value: data.randomness,
+      published_at: new Date((DRAND_GENESIS_TIME + (data.round - 1) * DRAND_PERIOD) * 1000).toISOString(),
+    },
+  }
+}
+
+function findTicketRange(ranges: any[], ticketNumber: number) {
+  let low = 0
+  let high = ranges.length - 1
+
+  while (low <= high) {
+    const mid = (low + high) >> 1
+    if (ticketNumber < ranges[mid].range_start) {
+      high = mid - 1
+    } else if (ticketNumber > ranges[mid].range_end) {
+      low = mid + 1
+    } else {
+      return ranges[mid]
+    }
+  }
+
+  return null
+}
+
+/**
+ * Ticket-weighted draw (fairnessService.drawWeightedWinners): round r draws
+ * ticket HMAC_SHA256(seed, entries_digest:r) mod total_tickets + 1, skipping
+ * tickets already drawn and owners at the per-user cap.
+ */
+export async function drawWeightedWinners(
+  ranges: any[],
+  seedValue: string,
+  entriesDigest: string,
+  slots: any[],
+  maxWinsPerUser = 1
+) {
+  const totalTickets = ranges.length ? ranges[ranges.length - 1].range_end : 0
+  const participants = new Set(ranges.map((range) => range.participant))
+  const target = Math.min(slots.length, participants.size * maxWinsPerUser, totalTickets)
+  const maxRounds = Math.max(1000, target * 100)
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(seedValue),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+
+  const winsByParticipant: Record<string, number> = {}
+  const drawnTickets = new Set<number>()
+  const draws: any[] = []
+  const winners: any[] = []
+
+  for (let round = 0; winners.length < target && round < maxRounds; round++) {
+    const hmacOutput = toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(`${entriesDigest}:${round}`)))
+    const ticketNumber = Number(BigInt(`0x${hmacOutput}`) % BigInt(totalTickets)) + 1
+    const draw = { round, hmac_output: hmacOutput, ticket_number: ticketNumber }
+    const range = findTicketRange(ranges, ticketNumber)
+    const wins = winsByParticipant[range.participant] || 0
+
+    if (drawnTickets.has(ticketNumber)) {
+      draws.push({ ...draw, outcome: 'skipped_duplicate' })
+      continue
+    }
+    if (wins >= maxWinsPerUser) {
+      draws.push({ ...draw, outcome: 'skipped_cap' })
+      continue
+    }
+
+    drawnTickets.add(ticketNumber)
+    winsByParticipant[range.participant] = wins + 1
+    draws.push({ ...draw, outcome: 'winner' })
+    winners.push({
+      ...slots[winners.length],
+      rank: round + 1,
+      entry_index: range.entry_index,
+      entry_id: range.entry_id,
+      entry_input: range.entry_input,
+      participant: range.participant,
+      hmac_output: hmacOutput,
+      ticket_number: ticketNumber,
+      range_start: range.range_start,
+      range_end: range.range_end,
+    })
+  }
+
+  return { winners, draws, totalTickets }
+}
+
+/**
+ * A fairness_proofs row as a self-contained bundle (fairnessService.buildProofBundle)
+ */
+export function buildProofBundle(proof: any) {
+  const calculations = proof.all_calculations || []
+  const method = proof.selection_method || SELECTION_METHODS.SINGLE
+
+  const entries = calculations.map((calc: any) => ({
+    input: calc.entry_input,
+    ...(calc.participant !== undefined && { participant: calc.participant }),
+    ...(calc.tickets !== undefined && { tickets: calc.tickets }),
+    ...(calc.hmac_output !== undefined && { hmac_output: calc.hmac_output }),
+  }))
+
+  const winners = method === SELECTION_METHODS.SINGLE
+    ? [{
+        position: 1,
+        entry_index: calculations.findIndex((calc: any) => calc.entry_input === proof.winner_input),
+        hmac_output: proof.winner_hash,
+      }]
+    : (proof.ranked_winners || []).map((winner: any) => ({
+        position: winner.position,
+        tier_name: winner.tier_name,
+        entry_index: winner.entry_index,
+        hmac_output: winner.hmac_output,
+        ...(winner.ticket_number !== undefined && { ticket_number: winner.ticket_number }),
+      }))
+
+  return {
+    format: 'entrypoint-draw-proof',
+    version: 1,
+    giveaway_id: proof.giveaway_id,
+    selection_method: method,
+    seed: proof.seed_value,
+    seed_hash: proof.seed_hash,
+    prize_tiers: proof.prize_tiers || [],
+    max_wins_per_user: proof.max_wins_per_user || 1,
+    ...(proof.beacon_round && {
+      beacon: {
+        source: proof.beacon_source,
+        round: proof.beacon_round,
+        value: proof.beacon_value,
+      },
+    }),
+    ...(method === SELECTION_METHODS.TICKET_WEIGHTED && {
+      entries_digest: proof.entries_digest,
+      total_tickets: proof.total_tickets,
+    }),
+    entries,
+    winners,
+    alternates: (proof.alternates || []).map((alternate: any) => ({
+      position: alternate.position,
+      reason: alternate.reason,
+      rank: alternate.rank,
+      entry_index: alternate.entry_index,
+      hmac_output: alternate.hmac_output,
+      ...(alternate.ticket_number !== undefined && { ticket_number: alternate.ticket_number }),
+    })),
+    excluded_entries: proof.eligibility_exclusions || [],
+    exported_at: new Date().toISOString(),
+  }
+}
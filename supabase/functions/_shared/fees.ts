@@ -0,0 +1,144 @@
+/**
+ * Fee engine shared by the functions that price or settle money
+ * (create-payment-intent, stripe-webhook, reconcile-stripe).
+ *
+ * The schedule is resolved by get_fee_schedule (database/fee_engine_schema.sql):
+ * platform_config, narrowed by the creator's trust tier and any negotiated
+ * giveaway rate. The arithmetic here is mirrored by src/services/feeService.js
+ * for the checkout preview. Keep the two in sync.
+ *
+ * All amounts in and out of calculateFeeBreakdown are integer minor units
+ * of the schedule's currency (the charge currency); schedules are stored in
+ * major units and converted here.
+ */
+
+import { DEFAULT_CURRENCY, minorUnitExponent, toMinorUnits } from './currency.ts'
+
+export { toMinorUnits }
+
+export type PaymentChannel = 'stripe' | 'app_store'
+
+export type FeeKind = 'entry_purchase' | 'prize_deposit'
+
+export interface FeeSchedule {
+  commission: { rate: number; min: number }    // min in major units
+  processing: { rate: number; fixed: number }  // fixed in major units
+  source: 'platform' | 'tier' | 'giveaway'
+  tier?: string | null
+  channel: PaymentChannel
+  currency: string
+  exponent: number
+}
+
+export interface FeeLineItem {
+  code: 'platform_fee' | 'processing_fee'
+  label: string
+  amount: number
+}
+
+export interface FeeBreakdown {
+  gross: number
+  platformFee: number
+  processingFee: number
+  totalFees: number
+  creatorNet: number
+  lineItems: FeeLineItem[]
+  schedule: FeeSchedule
+}
+
+export const DEFAULT_FEE_SCHEDULE: FeeSchedule = {
+  commission: { rate: 0.05, min: 0.50 },
+  processing: { rate: 0.029, fixed: 0.30 },
+  source: 'platform',
+  tier: null,
+  channel: 'stripe',
+  currency: DEFAULT_CURRENCY,
+  exponent: 2,
+}
+
+const scheduleMinor = (amount: number, schedule: FeeSchedule) =>
+  Math.round(Number(amount) * 10 ** schedule.exponent)
+
+/**
+ * Processing fee the payment channel withholds on a charge
+ */
+export function processingFee(gross: number, schedule: FeeSchedule): number {
+  if (gross <= 0) return 0
+  return Math.round(gross * schedule.processing.rate + scheduleMinor(schedule.processing.fixed, schedule))
+}
+
+/**
+ * Itemized fees for one charge of `gross` minor units. The commission is the
+ * greater of the rate and the minimum; neither fee can take the creator's
+ * share below zero. Prize deposits go to escrow in full and carry no fees.
+ */
+export function calculateFeeBreakdown(
+  gross: number,
+  schedule: FeeSchedule = DEFAULT_FEE_SCHEDULE,
+  kind: FeeKind = 'entry_purchase'
+): FeeBreakdown {
+  const amount = Math.max(Math.round(gross), 0)
+  const chargeable = kind === 'entry_purchase' && amount > 0
+
+  const platformFee = chargeable
+    ? Math.min(
+        Math.max(Math.round(amount * schedule.commission.rate), scheduleMinor(schedule.commission.min, schedule)),
+        amount
+      )
+    : 0
+  const processing = chargeable ? Math.min(processingFee(amount, schedule), amount - platformFee) : 0
+
+  return {
+    gross: amount,
+    platformFee,
+    processingFee: processing,
+    totalFees: platformFee + processing,
+    creatorNet: amount - platformFee - processing,
+    lineItems: [
+      { code: 'platform_fee', label: 'Platform fee', amount: platformFee },
+      {
+        code: 'processing_fee',
+        label: schedule.channel === 'app_store' ? 'App store fee' : 'Payment processing',
+        amount: processing,
+      },
+    ],
+    schedule,
+  }
+}
+
+/**
+ * Resolve the schedule for a giveaway (or a creator before the giveaway
+ * exists) in the giveaway's currency, or `currency` when given. Throws rather than falling back to defaults, so a charge is never
+ * priced on rates the database does not agree with.
+ */
+export async function loadFeeSchedule(
+  supabase: any,
+  { giveawayId = null, creatorId = null, channel = 'stripe', currency = null }:
+  {
+    giveawayId?: string | null
+    creatorId?: string | null
+    channel?: PaymentChannel
+    currency?: string | null
+  } = {}
+): Promise<FeeSchedule> {
+  const { data, error } = await supabase.rpc('get_fee_schedule', {
+    p_giveaway_id: giveawayId,
+    p_creator_id: creatorId,
+    p_channel: channel,
+    p_currency: currency,
+  })
+
+  if (error || !data) {
+    throw new Error(`Failed to load fee schedule: ${error?.message ?? 'no schedule'}`)
+  }
+
+  return {
+    commission: { rate: Number(data.commission.rate), min: Number(data.commission.min) },
+    processing: { rate: Number(data.processing.rate), fixed: Number(data.processing.fixed) },
+    source: data.source,
+    tier: data.tier ?? null,
+    channel: data.channel,
+    currency: data.currency ?? DEFAULT_CURRENCY,
+    exponent: Number(data.exponent ?? minorUnitExponent(data.currency)),
+  }
+}
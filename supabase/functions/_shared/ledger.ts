@@ -0,0 +1,245 @@
+/**
+ * Double-entry ledger helpers shared by the money-moving functions
+ * (stripe-webhook, process-refund, process-creator-payout, process-payout).
+ *
+ * Every movement is posted as one balanced journal entry through the
+ * post_journal_entry RPC (database/ledger_schema.sql), which also updates
+ * escrow_accounts in the same transaction. Amounts are in major units of the
+ * entry's currency, matching escrow_accounts; one entry never mixes currencies
+ * (database/multi_currency_schema.sql). Conversions into a creator's
+ * settlement currency are recorded on the entry as `fx`.
+ */
+
+import { fromMinorUnits, normalizeCurrency, toMinorUnits } from './currency.ts'
+import type { Settlement } from './currency.ts'
+
+export { fromMinorUnits }
+
+export type LedgerAccount =
+  | 'entrant_cash'
+  | 'escrow'
+  | 'platform_fee_revenue'
+  | 'stripe_fees'
+  | 'creator_payable'
+  | 'winner_payable'
+  | 'refunds'
+
+// Liabilities that a release from escrow moves into and a transfer settles
+export type PayableAccount = 'creator_payable' | 'winner_payable' | 'refunds'
+
+export interface JournalLine {
+  account: LedgerAccount
+  giveaway_id?: string
+  user_id?: string
+  debit?: number
+  credit?: number
+  memo?: string
+}
+
+export interface JournalEntry {
+  idempotencyKey: string
+  entryType: string
+  description: string
+  lines: JournalLine[]
+  giveawayId?: string | null
+  referenceType?: string | null
+  referenceId?: string | null
+  metadata?: Record<string, unknown>
+  currency?: string | null         // defaults to the giveaway's currency
+  fx?: Settlement | null           // set when Stripe converted the movement
+}
+
+export const roundMoney = (amount: number) => Math.round((amount + Number.EPSILON) * 100) / 100
+
+const debit = (account: LedgerAccount, amount: number, extra: Partial<JournalLine> = {}): JournalLine =>
+  ({ account, debit: roundMoney(amount), ...extra })
+
+const credit = (account: LedgerAccount, amount: number, extra: Partial<JournalLine> = {}): JournalLine =>
+  ({ account, credit: roundMoney(amount), ...extra })
+
+/**
+ * Split an amount across weights in the currency's minor units, giving the
+ * rounding remainder to the last part so the parts always add back up to the
+ * amount.
+ */
+export function splitProRata(amount: number, weights: number[], currency?: string | null): number[] {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0)
+  const minor = toMinorUnits(amount, currency)
+  if (totalWeight <= 0) return weights.map((_, i) => (i === weights.length - 1 ? roundMoney(amount) : 0))
+
+  let allocated = 0
+  return weights.map((weight, i) => {
+    const share = i === weights.length - 1
+      ? minor - allocated
+      : Math.floor((minor * weight) / totalWeight)
+    allocated += share
+    return fromMinorUnits(share, currency)
+  })
+}
+
+export function assertBalanced(lines: JournalLine[]) {
+  const cents = (value?: number) => Math.round((value ?? 0) * 100)
+  const debits = lines.reduce((sum, line) => sum + cents(line.debit), 0)
+  const credits = lines.reduce((sum, line) => sum + cents(line.credit), 0)
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced journal entry: debits ${debits / 100} != credits ${credits / 100}`)
+  }
+}
+
+/**
+ * Post a journal entry. Re-posting the same idempotency key is a no-op that
+ * returns the original entry id, so webhook retries are safe.
+ */
+export async function postJournalEntry(supabase: any, entry: JournalEntry): Promise<string> {
+  const lines = entry.lines.filter((line) => (line.debit ?? 0) > 0 || (line.credit ?? 0) > 0)
+  assertBalanced(lines)
+
+  const { data, error } = await supabase.rpc('post_journal_entry', {
+    p_idempotency_key: entry.idempotencyKey,
+    p_entry_type: entry.entryType,
+    p_description: entry.description,
+    p_lines: lines,
+    p_giveaway_id: entry.giveawayId ?? null,
+    p_reference_type: entry.referenceType ?? null,
+    p_reference_id: entry.referenceId ?? null,
+    p_metadata: entry.metadata ?? {},
+    p_currency: entry.currency ? normalizeCurrency(entry.currency) : null,
+    p_fx: entry.fx ?? null,
+  })
+
+  if (error) {
+    throw new Error(`Failed to post journal entry ${entry.idempotencyKey}: ${error.message}`)
+  }
+
+  return data
+}
+
+/**
+ * Lines that undo a posted entry (journal entries are append-only)
+ */
+export function reverseLines(lines: JournalLine[]): JournalLine[] {
+  return lines.map(({ debit: debited, credit: credited, memo, ...line }) => ({
+    ...line,
+    debit: credited,
+    credit: debited,
+    memo: memo ? `Reversal: ${memo}` : 'Reversal',
+  }))
+}
+
+// =============================================================
+// ENTRY BUILDERS
+// =============================================================
+
+/**
+ * Entry purchase: the entrant pays the gross amount; the net goes to the
+ * giveaway's escrow, the commission to revenue, and the processing fee
+ * (charged to the giveaway) is withheld by Stripe. stripe_fees nets to zero
+ * when the fee is passed through.
+ */
+export function entryPurchaseLines(
+  { giveawayId, gross, platformFee, stripeFee = 0 }:
+  { giveawayId: string; gross: number; platformFee: number; stripeFee?: number }
+): JournalLine[] {
+  const net = roundMoney(gross - platformFee - stripeFee)
+
+  return [
+    debit('entrant_cash', gross, { memo: 'Entry payment received' }),
+    credit('escrow', net, { giveaway_id: giveawayId, memo: 'Net entry revenue held in escrow' }),
+    credit('platform_fee_revenue', platformFee, { memo: 'Platform commission' }),
+    credit('stripe_fees', stripeFee, { memo: 'Processing fee charged to giveaway' }),
+    debit('stripe_fees', stripeFee, { memo: 'Processing fee withheld by Stripe' }),
+    credit('entrant_cash', stripeFee, { memo: 'Processing fee withheld by Stripe' }),
+  ]
+}
+
+export function prizeDepositLines({ giveawayId, amount }: { giveawayId: string; amount: number }): JournalLine[] {
+  return [
+    debit('entrant_cash', amount, { memo: 'Prize deposit received' }),
+    credit('escrow', amount, { giveaway_id: giveawayId, memo: 'Prize deposit held in escrow' }),
+  ]
+}
+
+/**
+ * Release escrow to a payable account: creator revenue, a winner's cash
+ * prize, or a refund paid out of escrow
+ */
+export function escrowReleaseLines(
+  { giveawayId, userId, amount, payable = 'creator_payable' }:
+  { giveawayId: string; userId: string; amount: number; payable?: PayableAccount }
+): JournalLine[] {
+  return [
+    debit('escrow', amount, { giveaway_id: giveawayId, memo: 'Released from escrow' }),
+    credit(payable, amount, { user_id: payable === 'refunds' ? undefined : userId, memo: 'Payable to recipient' }),
+  ]
+}
+
+/**
+ * A Stripe transfer settled a payable out of the platform balance
+ */
+export function transferLines(
+  { userId, amount, payable = 'creator_payable' }:
+  { userId?: string; amount: number; payable?: PayableAccount }
+): JournalLine[] {
+  return [
+    debit(payable, amount, { user_id: payable === 'refunds' ? undefined : userId, memo: 'Paid out via Stripe' }),
+    credit('entrant_cash', amount, { memo: 'Paid out via Stripe' }),
+  ]
+}
+
+/**
+ * Refund owed to an entrant. The refunded amount comes back out of escrow
+ * (or the creator's payable when it was already transferred), platform fee
+ * revenue, and stripe_fees for the processing fee Stripe does not return.
+ */
+export function refundLines(
+  { giveawayId, creatorId, fromEscrow, fromCreator = 0, platformFee, absorbedStripeFee = 0 }:
+  {
+    giveawayId: string
+    creatorId?: string
+    fromEscrow: number
+    fromCreator?: number
+    platformFee: number
+    absorbedStripeFee?: number
+  }
+): JournalLine[] {
+  const total = roundMoney(fromEscrow + fromCreator + platformFee + absorbedStripeFee)
+
+  return [
+    debit('escrow', fromEscrow, { giveaway_id: giveawayId, memo: 'Refund from escrow' }),
+    debit('creator_payable', fromCreator, { user_id: creatorId, memo: 'Refund recovered from creator' }),
+    debit('platform_fee_revenue', platformFee, { memo: 'Platform commission refunded' }),
+    debit('stripe_fees', absorbedStripeFee, { memo: 'Processing fee absorbed on refund' }),
+    credit('refunds', total, { memo: 'Refund owed to entrant' }),
+  ]
+}
+
+/**
+ * Chargeback lost: Stripe kept the disputed amount and its dispute fee out of
+ * the platform balance. The creator's share comes back out of escrow (or the
+ * creator's payable, leaving it negative until recovered), the commission
+ * out of revenue, and the processing and dispute fees are absorbed.
+ */
+export function disputeLossLines(
+  { giveawayId, creatorId, fromEscrow, fromCreator = 0, platformFee, absorbedStripeFee = 0, disputeFee = 0 }:
+  {
+    giveawayId: string
+    creatorId?: string
+    fromEscrow: number
+    fromCreator?: number
+    platformFee: number
+    absorbedStripeFee?: number
+    disputeFee?: number
+  }
+): JournalLine[] {
+  const total = roundMoney(fromEscrow + fromCreator + platformFee + absorbedStripeFee + disputeFee)
+
+  return [
+    debit('escrow', fromEscrow, { giveaway_id: giveawayId, memo: 'Chargeback from escrow' }),
+    debit('creator_payable', fromCreator, { user_id: creatorId, memo: 'Chargeback clawed back from creator' }),
+    debit('platform_fee_revenue', platformFee, { memo: 'Platform commission lost to chargeback' }),
+    debit('stripe_fees', absorbedStripeFee, { memo: 'Processing fee lost to chargeback' }),
+    debit('stripe_fees', disputeFee, { memo: 'Stripe dispute fee' }),
+    credit('entrant_cash', total, { memo: 'Withdrawn by Stripe for lost dispute' }),
+  ]
+}
@@ -0,0 +1,25 @@
+/**
+ * Giveaway statuses for edge functions. The state machine itself lives in
+ * the database (database/giveaway_lifecycle_schema.sql); this mirrors its
+ * states, as src/services/giveawayLifecycleService.js does for the app.
+ * Keep the three in sync.
+ *
+ *   draft -> pending_review -> scheduled -> active -> ended -> drawn -> fulfilled
+ *   + cancelled (terminal), frozen (returns to the status it was frozen from)
+ */
+
+export const GIVEAWAY_STATUS = {
+  DRAFT: 'draft',
+  PENDING_REVIEW: 'pending_review',
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  DRAWN: 'drawn',
+  FULFILLED: 'fulfilled',
+  CANCELLED: 'cancelled',
+  FROZEN: 'frozen',
+} as const
+
+export type GiveawayStatus = typeof GIVEAWAY_STATUS[keyof typeof GIVEAWAY_STATUS]
+
+export const GIVEAWAY_STATUSES: string[] = Object.values(GIVEAWAY_STATUS)
@@ -0,0 +1,67 @@
+/**
+ * Creator payout schedule helpers shared by run-payouts and the one-off
+ * payout functions (database/payout_scheduler_schema.sql).
+ *
+ * Creator revenue leaves escrow through the scheduled payout runs. The
+ * one-off functions check payoutBlock first so they never pay a giveaway
+ * that is still in its hold period, held, or already in a payout run.
+ */
+
+export type PayoutHoldReason =
+  | 'creator_hold'
+  | 'frozen'
+  | 'open_dispute'
+  | 'pending_refunds'
+  | 'prize_deposit'
+  | 'awaiting_fulfillment'
+  | 'no_payout_account'
+
+export interface ScheduledPayout {
+  giveaway_id: string
+  creator_id: string
+  title: string
+  giveaway_status: string
+  currency: string
+  amount: number
+  amount_minor: number
+  ends_at: string
+  eligible_at: string
+  hold_reason: PayoutHoldReason | null
+  hold_detail: string | null
+  item_id: string | null
+  item_status: string | null
+}
+
+/**
+ * Why creator revenue for a giveaway can't be paid out right now, or null
+ * when it can. Giveaways with nothing left in escrow have no schedule row
+ * and aren't blocked here; the ledger refuses to overdraw them.
+ */
+export async function payoutBlock(supabase: any, giveawayId: string): Promise<string | null> {
+  const { data, error } = await supabase.rpc('payout_schedule_internal', {
+    p_creator_id: null,
+    p_giveaway_id: giveawayId,
+  })
+
+  if (error) throw new Error(`Failed to load payout schedule: ${error.message}`)
+
+  const scheduled: ScheduledPayout | undefined = data?.[0]
+  if (!scheduled) return null
+
+  if (scheduled.item_id) return 'A scheduled payout run is already paying this giveaway'
+  if (scheduled.hold_reason) {
+    return `Payout held (${scheduled.hold_reason})${scheduled.hold_detail ? `: ${scheduled.hold_detail}` : ''}`
+  }
+  if (new Date(scheduled.eligible_at) > new Date()) {
+    return `Escrow is held until ${scheduled.eligible_at}`
+  }
+
+  return null
+}
+
+/**
+ * Minutes to wait before retrying a payout that failed on its nth attempt
+ */
+export function retryDelayMinutes(attempts: number): number {
+  return Math.min(15 * 2 ** Math.max(0, attempts - 1), 720)
+}
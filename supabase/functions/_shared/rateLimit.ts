@@ -0,0 +1,117 @@
+/**
+ * Rate limits for edge functions, checked with check_rate_limit
+ * (database/rate_limiter_schema.sql) under the same actions and identifiers
+ * as rateLimitService in the app, so a creator's calls from the app and
+ * through the API share one budget. Limits come from platform_config
+ * 'rate_limits'.
+ *
+ * Each limit is a token bucket; check_rate_limit checks it and takes a token
+ * in one locked statement, so concurrent calls can't all slip in under it.
+ * Only the service role can check IP and email buckets, so those checks
+ * happen here, with the IP taken from the request rather than the client.
+ */
+
+export interface RateLimitDetails {
+  limit: number
+  used: number
+  remaining: number
+  resetTime: string
+  retryAfter: number
+}
+
+export type RateLimitIdentifierType = 'user' | 'ip' | 'email'
+
+export interface RateLimitIdentifier {
+  type: RateLimitIdentifierType
+  identifier: string
+}
+
+// Limits are null when none is configured for the identifier type
+export type RateLimitCheck =
+  | { allowed: true; limits: Partial<Record<RateLimitIdentifierType, RateLimitDetails | null>> }
+  | { allowed: false; identifierType: RateLimitIdentifierType; details: RateLimitDetails }
+
+export type APIRateLimitCheck =
+  | { allowed: true; userLimit: RateLimitDetails | null; ipLimit: RateLimitDetails | null }
+  | { allowed: false; reason: 'user_api_limit' | 'ip_api_limit'; details: RateLimitDetails }
+
+/**
+ * The caller's IP as the edge sees it
+ */
+export function requestIp(req: Request): string {
+  return (req.headers.get('x-forwarded-for') || '').split(',')[0].trim() || 'unknown'
+}
+
+async function takeToken(
+  supabase: any,
+  action: string,
+  identifier: string,
+  identifierType: RateLimitIdentifierType
+): Promise<{ allowed: boolean; details: RateLimitDetails | null }> {
+  const { data, error } = await supabase.rpc('check_rate_limit', {
+    p_action: action,
+    p_identifier: identifier,
+    p_identifier_type: identifierType,
+  })
+
+  // Fail open like the app does: a limiter outage should not take the API down
+  if (error) {
+    console.error('Rate limit check failed:', error)
+    return { allowed: true, details: null }
+  }
+
+  if (data.limit === undefined) {
+    return { allowed: true, details: null }
+  }
+
+  const { allowed, ...details } = data
+  return { allowed, details }
+}
+
+/**
+ * Count a call against each identifier's limit in turn, most specific
+ * first. A call one limit refuses is not counted against the ones after it,
+ * so nobody can use up a shared IP's budget with calls that are refused
+ * anyway. Needs a service-role client.
+ */
+export async function checkRateLimits(
+  supabase: any,
+  action: string,
+  identifiers: RateLimitIdentifier[]
+): Promise<RateLimitCheck> {
+  const limits: Partial<Record<RateLimitIdentifierType, RateLimitDetails | null>> = {}
+
+  for (const { type, identifier } of identifiers) {
+    const result = await takeToken(supabase, action, identifier, type)
+    if (!result.allowed) {
+      return { allowed: false, identifierType: type, details: result.details! }
+    }
+    limits[type] = result.details
+  }
+
+  return { allowed: true, limits }
+}
+
+/**
+ * Count an API call against the user's and the IP's limits
+ */
+export async function checkAPIRateLimit(
+  supabase: any,
+  userId: string,
+  ipAddress: string
+): Promise<APIRateLimitCheck> {
+  const result = await checkRateLimits(supabase, 'api', [
+    { type: 'user', identifier: userId },
+    { type: 'ip', identifier: ipAddress },
+  ])
+
+  if (result.allowed === false) {
+    return {
+      allowed: false,
+      reason: result.identifierType === 'user' ? 'user_api_limit' : 'ip_api_limit',
+      details: result.details,
+    }
+  }
+
+  return { allowed: true, userLimit: result.limits.user ?? null, ipLimit: result.limits.ip ?? null }
+}
@@ -0,0 +1,247 @@
+/**
+ * Tax information helpers shared by submit-tax-info and tax-export
+ * (database/tax_reporting_schema.sql).
+ *
+ * TINs are encrypted with AES-256-GCM under TAX_TIN_ENCRYPTION_KEY (32 bytes,
+ * base64) before they reach the database, with the owner's user id as
+ * additional data so a ciphertext cannot be moved to another row. Rotating
+ * the key: set TAX_TIN_KEY_VERSION to the new version and keep the previous
+ * key readable as TAX_TIN_ENCRYPTION_KEY_V<version> until profiles are
+ * re-submitted or re-encrypted.
+ */
+
+export const TAX_CLASSIFICATIONS = [
+  'individual', 'c_corporation', 's_corporation', 'partnership',
+  'trust_estate', 'llc_c', 'llc_s', 'llc_p', 'other',
+] as const
+
+export type TinType = 'ssn' | 'itin' | 'ein'
+
+export interface TaxPolicy {
+  form_1099_misc_threshold_usd: number
+  form_1099_k_threshold_usd: number
+  form_1099_k_min_transactions: number
+  payer_name: string
+  payer_tin: string
+  payer_address: string
+}
+
+export const DEFAULT_TAX_POLICY: TaxPolicy = {
+  form_1099_misc_threshold_usd: 600,
+  form_1099_k_threshold_usd: 600,
+  form_1099_k_min_transactions: 0,
+  payer_name: '',
+  payer_tin: '',
+  payer_address: '',
+}
+
+export interface TaxProfileInput {
+  legalName: string
+  businessName?: string | null
+  taxClassification: string
+  tinType: TinType
+  tin: string
+  addressLine1: string
+  addressLine2?: string | null
+  city: string
+  state: string
+  postalCode: string
+  backupWithholding?: boolean
+  certificationVersion: string
+  certificationTextHash: string
+  signedName: string
+}
+
+export interface EncryptedTin {
+  tin_ciphertext: string
+  tin_iv: string
+  tin_key_version: number
+}
+
+export async function loadTaxPolicy(supabase: any): Promise<TaxPolicy> {
+  const { data } = await supabase
+    .from('platform_config')
+    .select('config_value')
+    .eq('config_key', 'tax_reporting')
+    .maybeSingle()
+
+  return { ...DEFAULT_TAX_POLICY, ...(data?.config_value ?? {}) }
+}
+
+/**
+ * Nine digits with the IRS's structural rules for the TIN type. Does not
+ * check the TIN against the name; that is the IRS TIN matching program.
+ */
+export function normalizeTin(tin: string, tinType: TinType): string {
+  const digits = String(tin || '').replace(/[\s-]/g, '')
+
+  if (!/^\d{9}$/.test(digits)) {
+    throw new Error('Taxpayer identification number must be 9 digits')
+  }
+  if (/^(\d)\1{8}$/.test(digits)) {
+    throw new Error('Taxpayer identification number is not valid')
+  }
+
+  const area = digits.slice(0, 3)
+  if (tinType === 'ssn' && (area === '000' || area === '666' || area.startsWith('9') ||
+      digits.slice(3, 5) === '00' || digits.slice(5) === '0000')) {
+    throw new Error('Social security number is not valid')
+  }
+  if (tinType === 'itin' && !area.startsWith('9')) {
+    throw new Error('An ITIN starts with 9')
+  }
+  if (tinType === 'ein' && digits.startsWith('00')) {
+    throw new Error('Employer identification number is not valid')
+  }
+
+  return digits
+}
+
+export function formatTin(tin: string, tinType: TinType): string {
+  return tinType === 'ein'
+    ? `${tin.slice(0, 2)}-${tin.slice(2)}`
+    : `${tin.slice(0, 3)}-${tin.slice(3, 5)}-${tin.slice(5)}`
+}
+
+export function maskTin(tinType: TinType, last4: string): string {
+  return tinType === 'ein' ? `**-***${last4}` : `***-**-${last4}`
+}
+
+/**
+ * Validate and normalize a W-9 submission. Throws with a message fit to show
+ * the submitter.
+ */
+export function validateTaxProfile(input: TaxProfileInput) {
+  const text = (value?: string | null) => (value ?? '').trim()
+
+  const required: [string, string][] = [
+    ['legalName', 'Legal name'],
+    ['addressLine1', 'Address'],
+    ['city', 'City'],
+    ['state', 'State'],
+    ['postalCode', 'ZIP code'],
+    ['signedName', 'Signature'],
+  ]
+  const missing = required.filter(([key]) => !text((input as any)[key])).map(([, label]) => label)
+  if (missing.length > 0) {
+    throw new Error(`Missing tax details: ${missing.join(', ')}`)
+  }
+
+  if (!TAX_CLASSIFICATIONS.includes(input.taxClassification as any)) {
+    throw new Error('Choose a federal tax classification')
+  }
+  if (!['ssn', 'itin', 'ein'].includes(input.tinType)) {
+    throw new Error('Choose SSN, ITIN or EIN')
+  }
+  if (input.taxClassification === 'individual' && input.tinType === 'ein' && !text(input.businessName)) {
+    throw new Error('An individual using an EIN must give the business name')
+  }
+
+  const state = text(input.state).toUpperCase()
+  if (!/^[A-Z]{2}$/.test(state)) {
+    throw new Error('State must be a two-letter code')
+  }
+
+  const postalCode = text(input.postalCode)
+  if (!/^\d{5}(-\d{4})?$/.test(postalCode)) {
+    throw new Error('ZIP code must be 5 or 9 digits')
+  }
+
+  if (!text(input.certificationVersion) || !/^[0-9a-f]{64}$/i.test(text(input.certificationTextHash))) {
+    throw new Error('The W-9 certification must be accepted')
+  }
+
+  return {
+    legal_name: text(input.legalName),
+    business_name: text(input.businessName) || null,
+    tax_classification: input.taxClassification,
+    tin_type: input.tinType,
+    tin: normalizeTin(input.tin, input.tinType),
+    address_line1: text(input.addressLine1),
+    address_line2: text(input.addressLine2) || null,
+    city: text(input.city),
+    state,
+    postal_code: postalCode,
+    country: 'US',
+    backup_withholding: !!input.backupWithholding,
+    certification_version: text(input.certificationVersion),
+    certification_text_hash: text(input.certificationTextHash).toLowerCase(),
+    signed_name: text(input.signedName),
+  }
+}
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes))
+const fromBase64 = (value: string) => Uint8Array.from(atob(value), c => c.charCodeAt(0))
+
+const currentKeyVersion = () => Number(Deno.env.get('TAX_TIN_KEY_VERSION') || 1)
+
+async function loadKey(version: number): Promise<CryptoKey> {
+  const raw = version === currentKeyVersion()
+    ? Deno.env.get('TAX_TIN_ENCRYPTION_KEY')
+    : Deno.env.get(`TAX_TIN_ENCRYPTION_KEY_V${version}`)
+
+  if (!raw) {
+    throw new Error(`TIN encryption key version ${version} is not configured`)
+  }
+
+  const bytes = fromBase64(raw)
+  if (bytes.length !== 32) {
+    throw new Error('TIN encryption key must be 32 bytes')
+  }
+
+  return crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt'])
+}
+
+export async function encryptTin(tin: string, userId: string): Promise<EncryptedTin> {
+  const version = currentKeyVersion()
+  const key = await loadKey(version)
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(userId) },
+    key,
+    new TextEncoder().encode(tin)
+  )
+
+  return {
+    tin_ciphertext: toBase64(new Uint8Array(ciphertext)),
+    tin_iv: toBase64(iv),
+    tin_key_version: version,
+  }
+}
+
+export async function decryptTin(
+  profile: { user_id: string; tin_ciphertext: string; tin_iv: string; tin_key_version: number }
+): Promise<string> {
+  const key = await loadKey(profile.tin_key_version)
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(profile.tin_iv), additionalData: new TextEncoder().encode(profile.user_id) },
+    key,
+    fromBase64(profile.tin_ciphertext)
+  )
+
+  return new TextDecoder().decode(plaintext)
+}
+
+/**
+ * RFC 4180 CSV with a header row taken from the column list. Names and
+ * addresses come from users, so text a spreadsheet would run as a formula
+ * (starting =, +, -, @, tab or CR) is prefixed with ' to keep it text;
+ * plain numbers such as negative amounts are left as they are.
+ */
+export function toCsv(columns: string[], rows: Record<string, unknown>[]): string {
+  const cell = (value: unknown) => {
+    let text = value === null || value === undefined ? '' : String(value)
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(line => line.map(cell).join(','))
+    .join('\r\n') + '\r\n'
+}
+
+export const usd = (amount: number) => (Math.round((amount + Number.EPSILON) * 100) / 100).toFixed(2)
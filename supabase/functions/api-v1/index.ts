@@ -0,0 +1,327 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { checkAPIRateLimit, requestIp } from '../_shared/rateLimit.ts'
+import type { RateLimitDetails } from '../_shared/rateLimit.ts'
+import { buildProofBundle, commitGiveawaySeed } from '../_shared/fairness.ts'
+import { GIVEAWAY_STATUS, GIVEAWAY_STATUSES } from '../_shared/lifecycle.ts'
+
+/**
+ * Creator REST API, version 1 (database/creator_api_schema.sql). Called
+ * with a creator-issued key, `Authorization: Bearer epk_...`; every route
+ * only sees the key owner's own giveaways.
+ *
+ *   GET  /api-v1/giveaways                    giveaways:read   ?status=&limit=&offset=
+ *   POST /api-v1/giveaways                    giveaways:write  create a draft
+ *   GET  /api-v1/giveaways/:id                giveaways:read
+ *   GET  /api-v1/giveaways/:id/entries        entries:read     counts and anonymized entrants, ?limit=&offset=
+ *   GET  /api-v1/giveaways/:id/fairness       fairness:read    seed commitment, and the draw proof once drawn
+ *
+ * Responses are { data } or { error }. Every call is metered against the
+ * creator's API rate limit (_shared/rateLimit.ts) and answered with
+ * X-RateLimit-* headers; over the limit is 429 with Retry-After.
+ */
+
+const API_VERSION = 'v1'
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+}
+
+const GIVEAWAY_FIELDS = 'id, title, description, status, category, currency, prize_value, ticket_price_minor, max_entries, total_entries, starts_at, ends_at, winner_selected_at, created_at, updated_at'
+
+const json = (body: unknown, status = 200, headers: Record<string, string> = {}) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json', 'API-Version': API_VERSION, ...headers },
+    status,
+  })
+
+interface ApiKey {
+  key_id: string
+  creator_id: string
+  scopes: string[]
+}
+
+async function sha256Hex(value: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+async function identify(req: Request): Promise<ApiKey | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '').trim()
+  if (!token.startsWith('epk_')) return null
+
+  const { data, error } = await supabase.rpc('authenticate_creator_api_key', {
+    p_key_hash: await sha256Hex(token),
+    p_ip: requestIp(req),
+  })
+
+  if (error) throw new Error(`Failed to check API key: ${error.message}`)
+
+  return data ?? null
+}
+
+const rateLimitHeaders = (limit: RateLimitDetails): Record<string, string> => ({
+  'X-RateLimit-Limit': String(limit.limit),
+  'X-RateLimit-Remaining': String(limit.remaining),
+  'X-RateLimit-Reset': String(Math.floor(new Date(limit.resetTime).getTime() / 1000)),
+})
+
+function paging(url: URL, maxLimit: number) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 1), maxLimit)
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0)
+  return { limit, offset }
+}
+
+async function ownGiveaway(key: ApiKey, giveawayId: string) {
+  const { data, error } = await supabase
+    .from('giveaways')
+    .select(GIVEAWAY_FIELDS)
+    .eq('id', giveawayId)
+    .eq('creator_id', key.creator_id)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load giveaway ${giveawayId}: ${error.message}`)
+
+  return data
+}
+
+async function listGiveaways(key: ApiKey, url: URL) {
+  const { limit, offset } = paging(url, 100)
+  const status = url.searchParams.get('status')
+
+  if (status && !GIVEAWAY_STATUSES.includes(status)) {
+    return json({ error: `Unknown status: ${status}` }, 400)
+  }
+
+  let query = supabase
+    .from('giveaways')
+    .select(GIVEAWAY_FIELDS)
+    .eq('creator_id', key.creator_id)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit)
+
+  if (status) query = query.eq('status', status)
+
+  const { data, error } = await query
+
+  if (error) throw new Error(`Failed to list giveaways: ${error.message}`)
+
+  // One extra row was fetched to tell whether there is another page
+  return json({ data: data.slice(0, limit), has_more: data.length > limit })
+}
+
+function validateDraft(body: any): string | null {
+  if (typeof body.title !== 'string' || body.title.trim().length < 3 || body.title.length > 120) {
+    return 'title must be 3 to 120 characters'
+  }
+  if (typeof body.description !== 'string' || !body.description.trim()) {
+    return 'description is required'
+  }
+  if (body.prize_value !== undefined && !(typeof body.prize_value === 'number' && body.prize_value >= 0)) {
+    return 'prize_value must be a non-negative number'
+  }
+  if (body.ticket_price_minor !== undefined && !(Number.isInteger(body.ticket_price_minor) && body.ticket_price_minor >= 0)) {
+    return 'ticket_price_minor must be a non-negative integer'
+  }
+  if (body.max_entries !== undefined && !(Number.isInteger(body.max_entries) && body.max_entries > 0)) {
+    return 'max_entries must be a positive integer'
+  }
+  if (body.currency !== undefined && !/^[a-zA-Z]{3}$/.test(body.currency)) {
+    return 'currency must be a three-letter ISO code'
+  }
+
+  const startsAt = Date.parse(body.starts_at)
+  const endsAt = Date.parse(body.ends_at)
+  if (Number.isNaN(startsAt) || Number.isNaN(endsAt)) {
+    return 'starts_at and ends_at must be ISO 8601 timestamps'
+  }
+  if (endsAt <= startsAt || endsAt <= Date.now()) {
+    return 'ends_at must be after starts_at and in the future'
+  }
+
+  return null
+}
+
+// Drafts are finished and published in the app, where the usual launch
+// checks (rules, prize deposit, tier limits) apply
+async function createDraft(key: ApiKey, req: Request) {
+  const body = await req.json().catch(() => null)
+  if (!body || typeof body !== 'object') {
+    return json({ error: 'Body must be a JSON object' }, 400)
+  }
+
+  const invalid = validateDraft(body)
+  if (invalid) return json({ error: invalid }, 422)
+
+  const { data: giveaway, error } = await supabase
+    .from('giveaways')
+    .insert({
+      creator_id: key.creator_id,
+      title: body.title.trim(),
+      description: body.description.trim(),
+      category: body.category ?? null,
+      currency: (body.currency || 'usd').toLowerCase(),
+      prize_value: body.prize_value ?? null,
+      ticket_price_minor: body.ticket_price_minor ?? 0,
+      max_entries: body.max_entries ?? null,
+      starts_at: new Date(body.starts_at).toISOString(),
+      ends_at: new Date(body.ends_at).toISOString(),
+      status: GIVEAWAY_STATUS.DRAFT,
+    })
+    .select(GIVEAWAY_FIELDS)
+    .single()
+
+  if (error) {
+    // Constraint and foreign key failures (e.g. an unsupported currency) are the caller's
+    return ['23502', '23503', '23514'].includes(error.code)
+      ? json({ error: error.message }, 422)
+      : json({ error: `Failed to create draft: ${error.message}` }, 500)
+  }
+
+  // Commit the fairness seed up front, as the app does
+  const commitment = await commitGiveawaySeed(supabase, giveaway.id, key.creator_id, giveaway.ends_at)
+
+  return json({ data: { ...giveaway, fairness: commitment } }, 201)
+}
+
+async function giveawayEntries(giveawayId: string, url: URL) {
+  const { limit, offset } = paging(url, 500)
+
+  const [counts, entrants] = await Promise.all([
+    supabase.rpc('creator_api_entry_counts', { p_giveaway_id: giveawayId }),
+    supabase.rpc('creator_api_entrants', { p_giveaway_id: giveawayId, p_limit: limit + 1, p_offset: offset }),
+  ])
+
+  if (counts.error) throw new Error(`Failed to count entries: ${counts.error.message}`)
+  if (entrants.error) throw new Error(`Failed to list entrants: ${entrants.error.message}`)
+
+  return json({
+    data: {
+      giveaway_id: giveawayId,
+      counts: counts.data,
+      entrants: entrants.data.slice(0, limit),
+    },
+    has_more: entrants.data.length > limit,
+  })
+}
+
+async function giveawayFairness(giveawayId: string) {
+  const [seed, proof] = await Promise.all([
+    supabase
+      .from('giveaway_seeds')
+      .select('seed_hash, beacon_source, beacon_round, committed_at, revealed, revealed_at')
+      .eq('giveaway_id', giveawayId)
+      .order('committed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('fairness_proofs')
+      .select('*')
+      .eq('giveaway_id', giveawayId)
+      .maybeSingle(),
+  ])
+
+  if (seed.error) throw new Error(`Failed to load seed commitment: ${seed.error.message}`)
+  if (proof.error) throw new Error(`Failed to load fairness proof: ${proof.error.message}`)
+
+  return json({
+    data: {
+      giveaway_id: giveawayId,
+      commitment: seed.data,
+      proof: proof.data ? buildProofBundle(proof.data) : null,
+    },
+  })
+}
+
+const ROUTE_SCOPES: Record<string, string> = {
+  'GET giveaways': 'giveaways:read',
+  'POST giveaways': 'giveaways:write',
+  'GET giveaway': 'giveaways:read',
+  'GET entries': 'entries:read',
+  'GET fairness': 'fairness:read',
+}
+
+// /api-v1/giveaways[/<id>[/entries|/fairness]] as a route name and id
+function route(req: Request, url: URL): { name: string; giveawayId: string | null } | null {
+  const segments = url.pathname.split('/').filter(Boolean)
+  const path = segments.slice(segments.indexOf('api-v1') + 1)
+
+  if (path[0] !== 'giveaways' || path.length > 3) return null
+  if (path.length === 1) return { name: `${req.method} giveaways`, giveawayId: null }
+  if (path.length === 2) return { name: `${req.method} giveaway`, giveawayId: path[1] }
+  if (path[2] === 'entries' || path[2] === 'fairness') return { name: `${req.method} ${path[2]}`, giveawayId: path[1] }
+
+  return null
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const url = new URL(req.url)
+    const target = route(req, url)
+    const scope = target ? ROUTE_SCOPES[target.name] : undefined
+
+    if (!target || !scope) {
+      return json({ error: `No route for ${req.method} ${url.pathname}` }, 404)
+    }
+
+    const key = await identify(req)
+    if (!key) {
+      return json({ error: 'Invalid, revoked or expired API key' }, 401)
+    }
+
+    const limit = await checkAPIRateLimit(supabase, key.creator_id, requestIp(req))
+    if (limit.allowed === false) {
+      return json(
+        { error: 'Rate limit exceeded', reason: limit.reason },
+        429,
+        { ...rateLimitHeaders(limit.details), 'Retry-After': String(limit.details.retryAfter) }
+      )
+    }
+
+    const headers = limit.userLimit ? rateLimitHeaders(limit.userLimit) : {}
+    const respond = (response: Response) => {
+      Object.entries(headers).forEach(([name, value]) => response.headers.set(name, value))
+      return response
+    }
+
+    if (!key.scopes.includes(scope)) {
+      return respond(json({ error: `This key lacks the ${scope} scope` }, 403))
+    }
+
+    if (target.name === 'GET giveaways') return respond(await listGiveaways(key, url))
+    if (target.name === 'POST giveaways') return respond(await createDraft(key, req))
+
+    const giveaway = /^[0-9a-f-]{36}$/i.test(target.giveawayId!) ? await ownGiveaway(key, target.giveawayId!) : null
+    if (!giveaway) {
+      return respond(json({ error: 'Giveaway not found' }, 404))
+    }
+
+    switch (target.name) {
+      case 'GET giveaway':
+        return respond(json({ data: giveaway }))
+
+      case 'GET entries':
+        return respond(await giveawayEntries(giveaway.id, url))
+
+      case 'GET fairness':
+        return respond(await giveawayFairness(giveaway.id))
+
+      default:
+        return respond(json({ error: `No route for ${req.method} ${url.pathname}` }, 404))
+    }
+  } catch (error) {
+    console.error('Creator API error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
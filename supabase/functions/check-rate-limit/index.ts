@@ -0,0 +1,108 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { checkRateLimits, requestIp } from '../_shared/rateLimit.ts'
+import type { RateLimitIdentifier } from '../_shared/rateLimit.ts'
+
+/**
+ * Rate limit checks the app can't make itself (database/rate_limiter_schema.sql).
+ * IP and email buckets are shared between people, so only the service role
+ * can take from them; here the IP comes from the request, never the client.
+ * The caller's own bucket is checked first, and a call it refuses is not
+ * counted against the IP.
+ *
+ * POST { action, ... }
+ *   purchase  the signed-in user and their IP
+ *   api       the signed-in user and their IP
+ *   upload    the signed-in user and their IP
+ *   auth      { email }: a sign-in attempt, before there is a user; the
+ *             email and the IP
+ *
+ * Returns { allowed, limits } or { allowed: false, reason, details }.
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Refusal reasons, as rateLimitService has always reported them
+const REASONS: Record<string, Record<string, string>> = {
+  purchase: { user: 'user_rate_limit', ip: 'ip_rate_limit' },
+  api: { user: 'user_api_limit', ip: 'ip_api_limit' },
+  upload: { user: 'user_rate_limit', ip: 'ip_rate_limit' },
+  auth: { email: 'email_rate_limit', ip: 'ip_rate_limit' },
+}
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+async function signedInUser(req: Request): Promise<string | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  return user?.id ?? null
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+    const ip: RateLimitIdentifier = { type: 'ip', identifier: requestIp(req) }
+
+    let identifiers: RateLimitIdentifier[]
+
+    switch (body.action) {
+      case 'purchase':
+      case 'api':
+      case 'upload': {
+        const userId = await signedInUser(req)
+        if (!userId) return json({ error: 'Unauthorized' }, 401)
+
+        identifiers = [{ type: 'user', identifier: userId }, ip]
+        break
+      }
+
+      case 'auth': {
+        const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : ''
+        if (!email) return json({ error: 'email is required' }, 400)
+
+        identifiers = [{ type: 'email', identifier: email }, ip]
+        break
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+
+    const result = await checkRateLimits(supabase, body.action, identifiers)
+
+    if (result.allowed === false) {
+      return json({
+        allowed: false,
+        reason: REASONS[body.action][result.identifierType],
+        details: result.details,
+      })
+    }
+
+    return json(result)
+  } catch (error) {
+    console.error('Rate limit check error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
@@ -37,7 +37,7 @@ serve(async (req) => {
     // Check if user already has a Stripe Connect account
     const { data: existingAccount } = await supabase
       .from('stripe_connect_accounts')
-      .select('stripe_account_id, onboarding_completed')
+      .select('stripe_account_id, onboarding_completed, deauthorized_at')
       .eq('user_id', user_id)
       .single()
 
@@ -54,7 +54,9 @@ serve(async (req) => {
       )
     }
 
-    let accountId = existingAccount?.stripe_account_id
+    // A creator who disconnected their account from the platform starts over
+    // with a new one
+    let accountId = existingAccount?.deauthorized_at ? null : existingAccount?.stripe_account_id
 
     // Create new Stripe Connect Express account if none exists
     if (!accountId) {
@@ -78,15 +80,22 @@ serve(async (req) => {
 
       accountId = account.id
 
-      // Store in database
+      // Store in database; default_currency is the account's settlement
+      // currency, which payouts from other currencies are converted into.
+      // account.updated keeps both in sync once onboarding adds a bank account.
       await supabase
         .from('stripe_connect_accounts')
         .upsert({
           user_id: user_id,
           stripe_account_id: accountId,
+          country: account.country,
+          default_currency: (account.default_currency || 'usd').toLowerCase(),
           onboarding_completed: false,
+          payouts_enabled: false,
+          charges_enabled: false,
+          deauthorized_at: null,
           created_at: new Date().toISOString(),
-        })
+        }, { onConflict: 'user_id' })
     }
 
     // Create onboarding link
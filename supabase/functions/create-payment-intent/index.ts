@@ -1,6 +1,17 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@13.8.0'
+import {
+  EligibilityResult,
+  Entrant,
+  evaluateEligibility,
+  getGiveawayRules,
+  ipLocationBlocked,
+  loadDeclaration,
+  saveDeclaration,
+} from '../_shared/eligibility.ts'
+import { calculateFeeBreakdown, loadFeeSchedule } from '../_shared/fees.ts'
+import { formatMoney, fromMinorUnits, normalizeCurrency, toMinorUnits } from '../_shared/currency.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -10,32 +21,12 @@ const corsHeaders = {
 interface PaymentIntentRequest {
   giveawayId: string
   userId: string
-  amount: number
-  currency?: string
+  amount: number    // major units of the giveaway's currency
+  currency?: string // optional; must match the giveaway's currency when sent
   paymentType: 'entry_purchase' | 'prize_deposit'
   entryCount?: number
   metadata?: Record<string, any>
-}
-
-async function calculateFees(amount: number, giveawayId: string, supabaseClient: any) {
-  // Get platform fee rate from giveaway
-  const { data: giveaway } = await supabaseClient
-    .from('giveaways')
-    .select('platform_fee_rate')
-    .eq('id', giveawayId)
-    .single()
-
-  const feeRate = giveaway?.platform_fee_rate || 0.05 // 5% default
-  const platformFee = Math.max(amount * feeRate, 50) // Min $0.50
-  const stripeFee = Math.round(amount * 0.029 + 30) // 2.9% + $0.30
-  const netAmount = amount - platformFee - stripeFee
-
-  return {
-    platformFee,
-    stripeFee,
-    netAmount,
-    totalFees: platformFee + stripeFee
-  }
+  eligibility?: Entrant // entrant's residence/date of birth declaration, saved when none is on file
 }
 
 serve(async (req) => {
@@ -68,12 +59,13 @@ serve(async (req) => {
     const {
       giveawayId,
       amount,
-      currency = 'usd',
+      currency: requestedCurrency,
       paymentType,
       entryCount = 1,
       ticketCount, // Legacy support
       totalAmount, // Legacy support
-      metadata = {}
+      metadata = {},
+      eligibility
     }: PaymentIntentRequest & { ticketCount?: number; totalAmount?: number } = await req.json()
 
     // Legacy compatibility
@@ -85,6 +77,18 @@ serve(async (req) => {
       throw new Error('Missing required parameters: giveawayId and amount')
     }
 
+    // Priced per entry: a fractional or negative count would charge for
+    // something other than whole tickets
+    if (!Number.isInteger(finalEntryCount) || finalEntryCount < 1) {
+      return new Response(
+        JSON.stringify({ error: 'Entry count must be a whole number of at least 1', reason: 'invalid_entry_count' }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 400,
+        }
+      )
+    }
+
     // Verify giveaway exists and get details
     const { data: giveaway, error: giveawayError } = await supabaseClient
       .from('giveaways')
@@ -105,6 +109,47 @@ serve(async (req) => {
       throw new Error('Only giveaway creator can deposit prize money')
     }
 
+    if (finalPaymentType === 'prize_deposit' && giveaway.prize_deposit_status !== 'required') {
+      throw new Error('No prize deposit is due for this giveaway')
+    }
+
+    const clientIp = req.headers.get('x-forwarded-for')?.split(',')[0].trim() || null
+
+    // Platform + giveaway eligibility rules, before any payment record exists.
+    // The declaration on file is the one that counts; a different one sent
+    // now is refused rather than replacing it.
+    if (finalPaymentType === 'entry_purchase') {
+      let result: EligibilityResult | null = null
+
+      if (eligibility) {
+        const saved = await saveDeclaration(supabaseClient, user.id, eligibility, 'checkout')
+        result = saved.failure
+      }
+
+      if (!result) {
+        result = evaluateEligibility(getGiveawayRules(giveaway), await loadDeclaration(supabaseClient, user.id))
+      }
+
+      // Where the buyer actually is, not just where they say they live
+      if (result.eligible && await ipLocationBlocked(clientIp)) {
+        result = {
+          eligible: false,
+          reason: 'location_blocked',
+          message: 'Entries are not available from your location',
+        }
+      }
+
+      if (!result.eligible) {
+        return new Response(
+          JSON.stringify({ error: result.message, reason: result.reason }),
+          {
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+            status: 403,
+          }
+        )
+      }
+    }
+
     // Check ticket availability for entry purchases
     if (finalPaymentType === 'entry_purchase') {
       const remainingTickets = giveaway.total_tickets - (giveaway.sold_tickets || 0)
@@ -113,8 +158,41 @@ serve(async (req) => {
       }
     }
 
-    // Calculate fees
-    const fees = await calculateFees(finalAmount, giveawayId, supabaseClient)
+    // Everything about a giveaway is charged in its own currency
+    const currency = normalizeCurrency(giveaway.currency)
+    if (requestedCurrency && normalizeCurrency(requestedCurrency) !== currency) {
+      throw new Error(`This giveaway is priced in ${currency.toUpperCase()}`)
+    }
+
+    // Entries and deposits are priced from the giveaway, never from the
+    // client; a stale client total is rejected rather than silently charged
+    // differently
+    const grossMinor = finalPaymentType === 'prize_deposit'
+      ? Number(giveaway.prize_deposit_required_minor)
+      : (giveaway.ticket_price_minor ?? toMinorUnits(giveaway.ticket_price, currency)) * finalEntryCount
+
+    if (grossMinor !== toMinorUnits(finalAmount, currency)) {
+      return new Response(
+        JSON.stringify({
+          error: `The price has changed to ${formatMoney(grossMinor, currency)}`,
+          reason: 'price_changed',
+          amount: grossMinor,
+          currency,
+        }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: 409,
+        }
+      )
+    }
+
+    // Itemized fees in minor units of the charge currency, from the same
+    // schedule the checkout preview used
+    const fees = calculateFeeBreakdown(
+      grossMinor,
+      await loadFeeSchedule(supabaseClient, { giveawayId, currency }),
+      finalPaymentType
+    )
 
     // Initialize Stripe
     const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
@@ -128,10 +206,16 @@ serve(async (req) => {
         user_id: user.id,
         giveaway_id: giveawayId,
         transaction_type: finalPaymentType,
-        amount: finalAmount,
-        currency: currency.toUpperCase(),
-        platform_fee_amount: fees.platformFee,
-        net_amount: fees.netAmount,
+        amount: fromMinorUnits(fees.gross, currency),
+        amount_minor: fees.gross,
+        currency,
+        platform_fee_amount: fromMinorUnits(fees.platformFee, currency),
+        platform_fee_minor: fees.platformFee,
+        net_amount: fromMinorUnits(fees.creatorNet, currency),
+        net_amount_minor: fees.creatorNet,
+        // Where the purchase came from, for chargeback evidence
+        client_ip: clientIp,
+        user_agent: req.headers.get('user-agent'),
         description: finalPaymentType === 'entry_purchase' 
           ? `Purchase ${finalEntryCount} entries for giveaway`
           : 'Prize deposit for giveaway',
@@ -150,7 +234,7 @@ serve(async (req) => {
 
     // Create Stripe PaymentIntent
     const paymentIntentData: Stripe.PaymentIntentCreateParams = {
-      amount: Math.round(finalAmount * 100), // Convert to cents
+      amount: fees.gross,
       currency,
       automatic_payment_methods: {
         enabled: true,
@@ -168,14 +252,8 @@ serve(async (req) => {
       receipt_email: user.email,
     }
 
-    // For prize deposits, use Stripe Connect if creator has connected account
-    if (finalPaymentType === 'prize_deposit' && giveaway.creator_stripe_account_id) {
-      paymentIntentData.on_behalf_of = giveaway.creator_stripe_account_id
-      paymentIntentData.transfer_data = {
-        destination: giveaway.creator_stripe_account_id,
-      }
-    }
-
+    // Prize deposits stay on the platform balance: they are held in the
+    // giveaway's escrow until settle-prize-deposit refunds or pays them out
     const paymentIntent = await stripe.paymentIntents.create(paymentIntentData)
 
     // Update payment record with Stripe PaymentIntent ID
@@ -183,7 +261,7 @@ serve(async (req) => {
       .from('payments')
       .update({ 
         stripe_payment_intent_id: paymentIntent.id,
-        stripe_account_id: giveaway.creator_stripe_account_id 
+        stripe_account_id: finalPaymentType === 'prize_deposit' ? null : giveaway.creator_stripe_account_id
       })
       .eq('id', payment.id)
 
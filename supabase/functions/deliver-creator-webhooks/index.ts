@@ -0,0 +1,338 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { signWebhook } from '../_shared/webhookSignature.ts'
+import type { SigningSecret } from '../_shared/webhookSignature.ts'
+
+/**
+ * Outbound creator webhooks (database/creator_webhooks_schema.sql). Sends
+ * queued events to creators' endpoints, signed the same way webhook-gateway
+ * expects inbound ones (_shared/webhookSignature.ts): the event id is the
+ * webhook-id, so a receiver sees the same id on every retry and replay.
+ * While a secret is being rotated both the new and the old one sign.
+ *
+ * Any 2xx response is a delivery; anything else, a redirect or no answer
+ * within REQUEST_TIMEOUT_MS is retried with exponential backoff until
+ * MAX_ATTEMPTS. Every attempt is logged and counts towards the endpoint's
+ * failure streak, which disables it when too long.
+ *
+ * POST { action, ... }
+ *   run     send whatever is due. pg_cron every minute, or admins.
+ *   replay  { deliveryId }: send a delivery again now. Its creator or admins.
+ *   test    { endpointId }: send a webhook.test event. The endpoint's creator.
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Same schedule as webhookReliabilityService: the first attempt plus its
+// maxRetries (5) retries, spaced by calculateRetryDelay
+const MAX_ATTEMPTS = 6
+const INITIAL_RETRY_DELAY_MS = 1000
+const MAX_RETRY_DELAY_MS = 300000
+
+// Deliveries per invocation, and how many are in flight at once
+const RUN_LIMIT = 100
+const CONCURRENCY = 10
+
+const REQUEST_TIMEOUT_MS = 10000
+
+// Sent on request from the dashboard, once; never retried
+const TEST_EVENT = 'webhook.test'
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+interface Delivery {
+  id: string
+  endpoint_id: string
+  event_id: string
+  event_type: string
+  payload: Record<string, unknown>
+  attempt_count: number
+}
+
+interface DeliveryResult {
+  id: string
+  event_type: string
+  status: string
+  response_status: number | null
+  error: string | null
+}
+
+// webhookReliabilityService.calculateRetryDelay
+function calculateRetryDelay(attempt: number): number {
+  return Math.min(INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt - 1), MAX_RETRY_DELAY_MS)
+}
+
+// Endpoints must be public HTTPS hosts; the schema only checks the scheme
+function isPublicUrl(url: string): boolean {
+  let parsed: URL
+  try {
+    parsed = new URL(url)
+  } catch {
+    return false
+  }
+
+  const host = parsed.hostname.toLowerCase()
+  if (parsed.protocol !== 'https:' || host.startsWith('[')) return false
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return false
+  }
+
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/)
+  if (!ipv4) return true
+
+  const [a, b] = ipv4.slice(1).map(Number)
+  return !(
+    a === 0 || a === 10 || a === 127 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127)
+  )
+}
+
+async function signingConfig(endpointId: string): Promise<{ endpoint: { url: string }; secrets: SigningSecret[] }> {
+  const { data, error } = await supabase.rpc('creator_webhook_signing_config', { p_endpoint_id: endpointId })
+
+  if (error) throw new Error(`Failed to load webhook endpoint ${endpointId}: ${error.message}`)
+  if (!data) throw new Error(`Webhook endpoint not found: ${endpointId}`)
+
+  return data
+}
+
+async function post(url: string, delivery: Delivery, secrets: SigningSecret[]) {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const signatures = await Promise.all(
+    secrets.map(({ secret }) => signWebhook(secret, delivery.event_id, timestamp, body))
+  )
+
+  const controller = new AbortController()
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS)
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EntryPoint-Webhooks/1.0',
+        'webhook-id': delivery.event_id,
+        'webhook-timestamp': String(timestamp),
+        'webhook-signature': signatures.join(' '),
+      },
+      body,
+      redirect: 'manual',
+      signal: controller.signal,
+    })
+
+    const text = await response.text().catch(() => '')
+
+    return {
+      ok: response.status >= 200 && response.status < 300,
+      status: response.status,
+      body: text.slice(0, 1024),
+      error: response.status >= 300 && response.status < 400
+        ? `Redirected to ${response.headers.get('location')}; redirects are not followed`
+        : null,
+    }
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+// One attempt at a claimed delivery, recorded whatever happens
+async function deliver(delivery: Delivery, manual = false): Promise<DeliveryResult> {
+  const startedAt = Date.now()
+  let outcome: { ok: boolean; status: number | null; body: string | null; error: string | null }
+
+  try {
+    const { endpoint, secrets } = await signingConfig(delivery.endpoint_id)
+
+    if (!isPublicUrl(endpoint.url)) {
+      outcome = { ok: false, status: null, body: null, error: 'Endpoint URL is not a public HTTPS address' }
+    } else if (secrets.length === 0) {
+      outcome = { ok: false, status: null, body: null, error: 'Endpoint has no signing secret' }
+    } else {
+      const response = await post(endpoint.url, delivery, secrets)
+      outcome = {
+        ...response,
+        error: response.ok ? null : response.error ?? `HTTP ${response.status}`,
+      }
+    }
+  } catch (error) {
+    outcome = {
+      ok: false,
+      status: null,
+      body: null,
+      error: (error as Error).name === 'AbortError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+        : (error as Error).message,
+    }
+  }
+
+  const attempt = delivery.attempt_count + 1
+  const nextAttemptAt = !outcome.ok && attempt < MAX_ATTEMPTS && delivery.event_type !== TEST_EVENT
+    ? new Date(Date.now() + calculateRetryDelay(attempt)).toISOString()
+    : null
+
+  const { data: settled, error } = await supabase.rpc('record_creator_webhook_attempt', {
+    p_delivery_id: delivery.id,
+    p_success: outcome.ok,
+    p_response_status: outcome.status,
+    p_response_body: outcome.body,
+    p_error: outcome.error,
+    p_duration_ms: Date.now() - startedAt,
+    p_next_attempt_at: nextAttemptAt,
+    p_manual: manual,
+  })
+
+  if (error) throw new Error(`Failed to record webhook attempt for ${delivery.id}: ${error.message}`)
+
+  return {
+    id: delivery.id,
+    event_type: delivery.event_type,
+    status: settled.status,
+    response_status: outcome.status,
+    error: outcome.error,
+  }
+}
+
+async function runDue() {
+  const { data: due, error } = await supabase.rpc('claim_creator_webhook_deliveries', { p_limit: RUN_LIMIT })
+
+  if (error) throw new Error(`Failed to claim webhook deliveries: ${error.message}`)
+
+  const results: DeliveryResult[] = []
+  for (let i = 0; i < (due || []).length; i += CONCURRENCY) {
+    results.push(...await Promise.all(due.slice(i, i + CONCURRENCY).map((d: Delivery) => deliver(d))))
+  }
+
+  return {
+    processed: results.length,
+    succeeded: results.filter((r) => r.status === 'succeeded').length,
+    retrying: results.filter((r) => r.status === 'retrying').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    switch (body.action) {
+      case 'run':
+        if (!caller.isAdmin) return json({ error: 'Unauthorized: Admin access required' }, 403)
+
+        return json(await runDue())
+
+      case 'replay': {
+        if (caller.isService) return json({ error: 'replay is for creators and admins' }, 403)
+        if (!body.deliveryId) return json({ error: 'deliveryId is required' }, 400)
+
+        const { data: claimed, error } = await supabase.rpc('claim_creator_webhook_replay', {
+          p_delivery_id: body.deliveryId,
+          p_user_id: caller.userId,
+        })
+
+        if (error) throw new Error(`Failed to claim webhook delivery: ${error.message}`)
+
+        // Not theirs, unknown, or being sent right now
+        if (!claimed?.length) return json({ error: 'Delivery not found or already being sent' }, 404)
+
+        return json(await deliver(claimed[0], true))
+      }
+
+      case 'test': {
+        if (caller.isService) return json({ error: 'test is for creators' }, 403)
+        if (!body.endpointId) return json({ error: 'endpointId is required' }, 400)
+
+        const { data: endpoint } = await supabase
+          .from('creator_webhook_endpoints')
+          .select('id, creator_id')
+          .eq('id', body.endpointId)
+          .eq('creator_id', caller.userId)
+          .maybeSingle()
+
+        if (!endpoint) return json({ error: 'Webhook endpoint not found' }, 404)
+
+        const eventId = `evt_test_${crypto.randomUUID().replace(/-/g, '')}`
+        const { data: delivery, error } = await supabase
+          .from('creator_webhook_deliveries')
+          .insert({
+            endpoint_id: endpoint.id,
+            creator_id: endpoint.creator_id,
+            event_id: eventId,
+            event_type: TEST_EVENT,
+            payload: {
+              id: eventId,
+              type: TEST_EVENT,
+              created_at: new Date().toISOString(),
+              data: { endpoint_id: endpoint.id },
+            },
+            status: 'delivering',
+            next_attempt_at: null,
+            last_attempt_at: new Date().toISOString(),
+          })
+          .select('id, endpoint_id, event_id, event_type, payload, attempt_count')
+          .single()
+
+        if (error) throw new Error(`Failed to queue test event: ${error.message}`)
+
+        return json(await deliver(delivery, true))
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Creator webhook delivery error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
@@ -1,5 +1,6 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { formatMoney, normalizeCurrency, toMinorUnits } from '../_shared/currency.ts'
 
 const supabaseUrl = Deno.env.get('SUPABASE_URL')!
 const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
@@ -37,7 +38,7 @@ async function sendReceiptEmail(to: string, receiptData: any) {
           <h2>Purchase Details</h2>
           <p><strong>Giveaway:</strong> ${receiptData.giveawayTitle}</p>
           <p><strong>Quantity:</strong> ${receiptData.ticketCount} ticket(s)</p>
-          <p><strong>Amount:</strong> <span class="amount">$${receiptData.amount}</span></p>
+          <p><strong>Amount:</strong> <span class="amount">${receiptData.amount}</span></p>
           <p><strong>Payment Method:</strong> •••• ${receiptData.last4}</p>
           <p><strong>Date:</strong> ${new Date(receiptData.purchaseDate).toLocaleDateString()}</p>
           <p><strong>Order ID:</strong> ${receiptData.orderId}</p>
@@ -152,7 +153,12 @@ serve(async (req) => {
       orderId: order.id,
       giveawayTitle: order.giveaway.title,
       ticketCount: order.ticket_count,
-      amount: order.total_amount.toFixed(2),
+      // Formatted in the currency the entrant was charged in
+      amount: formatMoney(
+        order.total_amount_minor ?? toMinorUnits(order.total_amount, order.currency),
+        order.currency
+      ),
+      currency: normalizeCurrency(order.currency),
       last4: last4,
       purchaseDate: order.payment_completed_at,
       rulesUrl: order.giveaway.official_rules_url || '#',
@@ -192,7 +198,7 @@ serve(async (req) => {
       purchase: {
         ticketCount: order.ticket_count,
         amount: order.total_amount,
-        currency: order.currency,
+        currency: normalizeCurrency(order.currency),
         date: order.payment_completed_at
       },
       payment: {
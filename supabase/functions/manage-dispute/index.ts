@@ -0,0 +1,239 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@13.8.0'
+import { buildEvidence, DEFAULT_DISPUTE_POLICY, submitEvidence, syncDispute } from '../_shared/disputes.ts'
+
+/**
+ * Chargeback disputes (database/chargeback_disputes_schema.sql). Disputes
+ * are created and kept current by stripe-webhook; this function is how
+ * admins act on them and how the deadline job keeps any from lapsing.
+ *
+ * POST { action, ... }
+ *   build_evidence   { disputeId }: reassemble the evidence packet. Admins.
+ *   submit_evidence  { disputeId, notes? }: send the packet to Stripe, with
+ *                    the admin's notes appended. Admins.
+ *   accept           { disputeId, notes? }: concede the dispute; it is
+ *                    settled as lost. Admins.
+ *   check_deadlines  escalate disputes near their evidence deadline and
+ *                    submit those about to lapse. pg_cron.
+ */
+
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+})
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const HOUR = 60 * 60 * 1000
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+async function loadDisputePolicy(): Promise<typeof DEFAULT_DISPUTE_POLICY> {
+  const { data } = await supabase
+    .from('platform_config')
+    .select('config_value')
+    .eq('config_key', 'dispute_policy')
+    .maybeSingle()
+
+  return { ...DEFAULT_DISPUTE_POLICY, ...(data?.config_value ?? {}) }
+}
+
+async function loadDispute(disputeId: string) {
+  if (!disputeId) throw new Error('disputeId is required')
+
+  const { data: dispute, error } = await supabase
+    .from('payment_disputes')
+    .select('*')
+    .eq('id', disputeId)
+    .single()
+
+  if (error || !dispute) throw new Error('Dispute not found')
+  if (!dispute.stripe_dispute_id) throw new Error('Only Stripe chargebacks can be managed here')
+
+  return dispute
+}
+
+async function notifyAdmins(title: string, message: string, data: Record<string, unknown>) {
+  const { data: admins } = await supabase
+    .from('users')
+    .select('id')
+    .eq('is_admin', true)
+
+  if (!admins?.length) return
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert(admins.map((admin: any) => ({
+      user_id: admin.id,
+      type: 'dispute_deadline',
+      title,
+      message,
+      data: { ...data, actionRequired: true, priority: 'urgent' },
+      read: false,
+    })))
+
+  if (error) {
+    console.error('Failed to notify admins of dispute deadline:', error)
+  }
+}
+
+async function checkDeadlines() {
+  const policy = await loadDisputePolicy()
+  const now = Date.now()
+
+  const { data: due, error } = await supabase
+    .from('payment_disputes')
+    .select('*')
+    .eq('status', 'open')
+    .is('evidence_submitted_at', null)
+    .not('stripe_dispute_id', 'is', null)
+    .lte('evidence_due_by', new Date(now + policy.urgent_hours_before_due * HOUR).toISOString())
+    .order('evidence_due_by')
+
+  if (error) throw new Error(`Failed to load disputes: ${error.message}`)
+
+  const submitted = []
+  const escalated = []
+  const failed = []
+
+  for (const dispute of due || []) {
+    const hoursLeft = (new Date(dispute.evidence_due_by).getTime() - now) / HOUR
+
+    if (hoursLeft <= policy.auto_submit_hours_before_due) {
+      // An unanswered dispute is lost outright; the assembled packet is
+      // always the better answer
+      try {
+        await submitEvidence(supabase, stripe, dispute)
+        submitted.push(dispute.id)
+      } catch (submitError) {
+        console.error(`Auto-submitting evidence for dispute ${dispute.id} failed:`, submitError)
+        await supabase
+          .from('payment_disputes')
+          .update({ evidence_error: (submitError as Error).message, updated_at: new Date().toISOString() })
+          .eq('id', dispute.id)
+        failed.push({ id: dispute.id, error: (submitError as Error).message })
+      }
+      continue
+    }
+
+    if (dispute.priority !== 'urgent') {
+      await supabase
+        .from('payment_disputes')
+        .update({ priority: 'urgent', updated_at: new Date().toISOString() })
+        .eq('id', dispute.id)
+
+      await notifyAdmins(
+        'Chargeback Evidence Due',
+        `Evidence for dispute ${dispute.stripe_dispute_id} is due ${new Date(dispute.evidence_due_by).toUTCString()}. ` +
+          `It will be submitted as assembled ${policy.auto_submit_hours_before_due} hours before the deadline.`,
+        { disputeId: dispute.id, giveawayId: dispute.giveaway_id }
+      )
+      escalated.push(dispute.id)
+    }
+  }
+
+  return { submitted, escalated, failed }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  if (!caller.isAdmin) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    switch (body.action) {
+      case 'build_evidence': {
+        const dispute = await buildEvidence(supabase, await loadDispute(body.disputeId))
+        return json(dispute, dispute.evidence_error ? 502 : 200)
+      }
+
+      case 'submit_evidence': {
+        const dispute = await loadDispute(body.disputeId)
+        return json(await submitEvidence(supabase, stripe, dispute, {
+          submittedBy: caller.userId,
+          notes: body.notes ?? null,
+        }))
+      }
+
+      case 'accept': {
+        const dispute = await loadDispute(body.disputeId)
+        if (dispute.status !== 'open') {
+          return json({ error: `Dispute is ${dispute.status}; only open disputes can be accepted` }, 409)
+        }
+
+        if (body.notes) {
+          await supabase
+            .from('payment_disputes')
+            .update({ admin_notes: body.notes, handled_by: caller.userId, updated_at: new Date().toISOString() })
+            .eq('id', dispute.id)
+        }
+
+        // Closing concedes it; the dispute comes back lost and is settled
+        // now rather than waiting for the webhook
+        const closed = await stripe.disputes.close(dispute.stripe_dispute_id, {}, {
+          idempotencyKey: `dispute_close_${dispute.id}`,
+        })
+        return json(await syncDispute(supabase, stripe, closed))
+      }
+
+      case 'check_deadlines':
+        return json(await checkDeadlines())
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Dispute management error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
@@ -0,0 +1,98 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+/**
+ * Public read endpoint for published official rules, used by
+ * legal-pages-deploy/official-rules.html.
+ *
+ * GET ?giveaway=<id>[&version=<n>] returns the requested snapshot from
+ * giveaway_rules_versions (latest when no version is given) plus the list of
+ * published versions. Rules are public documents, so this function is
+ * deployed with --no-verify-jwt.
+ */
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+}
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL') ?? '',
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+)
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'GET') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const url = new URL(req.url)
+    const giveawayId = url.searchParams.get('giveaway') ?? ''
+    const version = url.searchParams.get('version')
+
+    if (!UUID_PATTERN.test(giveawayId)) {
+      return json({ error: 'A valid giveaway id is required' }, 400)
+    }
+
+    if (version !== null && !/^\d+$/.test(version)) {
+      return json({ error: 'version must be a positive integer' }, 400)
+    }
+
+    const { data: versions, error: versionsError } = await supabase
+      .from('giveaway_rules_versions')
+      .select('version, change_summary, published_at')
+      .eq('giveaway_id', giveawayId)
+      .order('version', { ascending: false })
+
+    if (versionsError) throw versionsError
+
+    if (!versions?.length) {
+      return json({ error: 'No official rules have been published for this giveaway' }, 404)
+    }
+
+    const requested = version ? parseInt(version, 10) : versions[0].version
+
+    const { data: rules, error: rulesError } = await supabase
+      .from('giveaway_rules_versions')
+      .select('giveaway_id, version, template_version, sections, content_hash, change_summary, published_at')
+      .eq('giveaway_id', giveawayId)
+      .eq('version', requested)
+      .maybeSingle()
+
+    if (rulesError) throw rulesError
+
+    if (!rules) {
+      return json({ error: `Version ${requested} of these rules does not exist` }, 404)
+    }
+
+    const { data: giveaway } = await supabase
+      .from('giveaways')
+      .select('title')
+      .eq('id', giveawayId)
+      .maybeSingle()
+
+    return json({
+      ...rules,
+      giveaway_title: giveaway?.title ?? null,
+      latest_version: versions[0].version,
+      versions,
+    })
+  } catch (error) {
+    console.error('Official rules error:', error)
+    return json({ error: error.message }, 500)
+  }
+})
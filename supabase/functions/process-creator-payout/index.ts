@@ -1,111 +1,332 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@14.5.0?target=deno'
+import {
+  escrowReleaseLines,
+  fromMinorUnits,
+  postJournalEntry,
+  transferLines,
+} from '../_shared/ledger.ts'
+import { formatMoney, normalizeCurrency, toMinorUnits, transferSettlement } from '../_shared/currency.ts'
+import { payoutBlock } from '../_shared/payouts.ts'
+
+/**
+ * One-off creator revenue payout for a giveaway, outside the scheduled runs
+ * (run-payouts). Admins and the service role only.
+ *
+ * The money goes to the creator's own Connect account, looked up here; the
+ * caller can't name one. Each giveaway has at most one live payout row
+ * (payouts, payout_type 'creator_revenue'), created before any money moves.
+ * Its id keys the escrow release and the Stripe transfer, and a retry finds
+ * the transfer an earlier attempt made by its transfer group, since Stripe
+ * only remembers idempotency keys for a day.
+ *
+ * POST { giveaway_id, amount (minor units), currency, description? }
+ */
 
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') ?? '', {
   apiVersion: '2023-08-16',
 })
 
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL') ?? '',
+  supabaseServiceKey
+)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
 interface PayoutRequest {
-  destination_account: string
-  amount: number
-  currency: string
+  amount: number   // minor units of `currency`
+  currency: string // must be the giveaway's currency
   giveaway_id: string
   description?: string
 }
 
+const LIVE_PAYOUT_STATUSES = ['pending', 'processing', 'completed']
+
+// The giveaway's live creator revenue payout, if there is one
+async function findPayout(giveawayId: string) {
+  const { data, error } = await supabase
+    .from('payouts')
+    .select('*')
+    .eq('giveaway_id', giveawayId)
+    .eq('payout_type', 'creator_revenue')
+    .in('status', LIVE_PAYOUT_STATUSES)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load payout: ${error.message}`)
+  return data
+}
+
+// A transfer an earlier attempt created for this payout, if any
+async function findTransfer(payout: any, transferGroup: string): Promise<Stripe.Transfer | null> {
+  if (payout.stripe_transfer_id) {
+    return await stripe.transfers.retrieve(payout.stripe_transfer_id)
+  }
+
+  const { data: transfers } = await stripe.transfers.list({
+    destination: payout.stripe_account_id,
+    transfer_group: transferGroup,
+    limit: 1,
+  })
+
+  return transfers[0] ?? null
+}
+
+async function updatePayout(payoutId: string, values: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('payouts')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', payoutId)
+
+  if (error) throw new Error(`Failed to update payout ${payoutId}: ${error.message}`)
+}
+
 serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
   if (req.method !== 'POST') {
-    return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-      status: 405,
-      headers: { 'Content-Type': 'application/json' },
-    })
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  if (!caller.isAdmin) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
   }
 
   try {
-    const { 
-      destination_account, 
-      amount, 
-      currency, 
-      giveaway_id, 
-      description 
-    }: PayoutRequest = await req.json()
+    const { amount, currency, giveaway_id, description }: PayoutRequest = await req.json()
 
     // Validate required fields
-    if (!destination_account || !amount || !currency || !giveaway_id) {
-      return new Response(
-        JSON.stringify({ error: 'Missing required fields' }),
-        { status: 400, headers: { 'Content-Type': 'application/json' } }
-      )
+    if (!amount || !currency || !giveaway_id) {
+      return json({ error: 'Missing required fields' }, 400)
+    }
+
+    // Validate amount (minimum one major unit, e.g. $1.00)
+    const minimumAmount = toMinorUnits(1, currency)
+    if (amount < minimumAmount) {
+      return json({ error: `Minimum payout amount is ${formatMoney(minimumAmount, currency)}` }, 400)
     }
 
-    // Validate amount (minimum $1.00)
-    if (amount < 100) {
-      return new Response(
-        JSON.stringify({ error: 'Minimum payout amount is $1.00' }),
-        { status: 400, headers: { 'Content-Type': 'application/json' } }
-      )
+    const { data: giveaway } = await supabase
+      .from('giveaways')
+      .select('creator_id, currency')
+      .eq('id', giveaway_id)
+      .single()
+
+    if (!giveaway) {
+      return json({ error: 'Giveaway not found' }, 404)
+    }
+
+    // Escrow is held in the giveaway's currency, so the transfer is too;
+    // Stripe converts it into the account's settlement currency
+    const payoutCurrency = normalizeCurrency(giveaway.currency)
+    if (normalizeCurrency(currency) !== payoutCurrency) {
+      return json({ error: `Payouts for this giveaway are in ${payoutCurrency.toUpperCase()}` }, 400)
+    }
+
+    let payout = await findPayout(giveaway_id)
+
+    if (payout?.stripe_transfer_id) {
+      return json({
+        error: 'Creator revenue for this giveaway has already been paid out',
+        payout_id: payout.id,
+        transfer_id: payout.stripe_transfer_id,
+      }, 409)
+    }
+
+    if (payout && Number(payout.amount_minor) !== amount) {
+      return json({
+        error: `A payout of ${formatMoney(Number(payout.amount_minor), payoutCurrency)} is already under way for this giveaway`,
+        payout_id: payout.id,
+      }, 409)
+    }
+
+    if (!payout) {
+      // Scheduled payout runs (run-payouts) normally pay creators; a one-off
+      // payout honours the same hold period and holds
+      const blocked = await payoutBlock(supabase, giveaway_id)
+      if (blocked) {
+        return json({ error: blocked }, 409)
+      }
+
+      const { data: connectAccount } = await supabase
+        .from('stripe_connect_accounts')
+        .select('stripe_account_id')
+        .eq('user_id', giveaway.creator_id)
+        .eq('payouts_enabled', true)
+        .maybeSingle()
+
+      if (!connectAccount?.stripe_account_id) {
+        return json({ error: 'Creator has no Stripe account enabled for payouts' }, 400)
+      }
+
+      const { data: escrow } = await supabase
+        .from('escrow_accounts')
+        .select('id')
+        .eq('giveaway_id', giveaway_id)
+        .maybeSingle()
+
+      const { data: created, error: createError } = await supabase
+        .from('payouts')
+        .insert({
+          recipient_id: giveaway.creator_id,
+          giveaway_id,
+          escrow_account_id: escrow?.id ?? null,
+          payout_type: 'creator_revenue',
+          amount: fromMinorUnits(amount, payoutCurrency),
+          amount_minor: amount,
+          currency: payoutCurrency,
+          stripe_account_id: connectAccount.stripe_account_id,
+          initiated_by: caller.userId,
+          status: 'pending',
+        })
+        .select()
+        .single()
+
+      // Another call created it first (idx_payouts_one_creator_revenue)
+      if (createError?.code === '23505') {
+        return json({ error: 'A payout for this giveaway is already under way' }, 409)
+      }
+      if (createError) throw new Error(`Failed to create payout: ${createError.message}`)
+
+      payout = created
     }
 
-    // Verify the destination account exists and is valid
+    // Verify the creator's account can still receive transfers
     try {
-      const account = await stripe.accounts.retrieve(destination_account)
-      
+      const account = await stripe.accounts.retrieve(payout.stripe_account_id)
+
       if (!account.charges_enabled || !account.payouts_enabled) {
-        return new Response(
-          JSON.stringify({ error: 'Destination account is not enabled for payouts' }),
-          { status: 400, headers: { 'Content-Type': 'application/json' } }
-        )
+        return json({ error: 'Creator account is not enabled for payouts' }, 400)
       }
     } catch (error) {
       console.error('Account verification error:', error)
-      return new Response(
-        JSON.stringify({ error: 'Invalid destination account' }),
-        { status: 400, headers: { 'Content-Type': 'application/json' } }
-      )
+      return json({ error: 'Creator account could not be verified' }, 400)
     }
 
-    // Create the transfer to the creator's Connect account
-    const transfer = await stripe.transfers.create({
-      amount,
-      currency,
-      destination: destination_account,
-      description: description || `Creator payout for giveaway ${giveaway_id}`,
-      metadata: {
-        giveaway_id,
-        payout_type: 'creator_revenue',
-        processed_at: new Date().toISOString(),
-      },
+    const payoutKey = `creator_payout:${payout.id}`
+    const payoutDescription = description || `Creator payout for giveaway ${giveaway_id}`
+
+    // Release escrow to the creator's payable before moving money; this
+    // fails when escrow can't cover the payout. A retry reuses the release.
+    try {
+      await postJournalEntry(supabase, {
+        idempotencyKey: payoutKey,
+        entryType: 'escrow_release',
+        description: payoutDescription,
+        giveawayId: giveaway_id,
+        referenceType: 'payout',
+        referenceId: payout.id,
+        currency: payoutCurrency,
+        lines: escrowReleaseLines({
+          giveawayId: giveaway_id,
+          userId: giveaway.creator_id,
+          amount: fromMinorUnits(payout.amount_minor, payoutCurrency),
+        }),
+      })
+    } catch (error) {
+      await updatePayout(payout.id, {
+        status: 'failed',
+        failure_reason: (error as Error).message,
+        failed_at: new Date().toISOString(),
+      })
+      return json({ error: (error as Error).message }, 400)
+    }
+
+    // Create the transfer to the creator's Connect account, unless an
+    // earlier attempt already did
+    let transfer = await findTransfer(payout, payoutKey)
+    if (!transfer) {
+      transfer = await stripe.transfers.create({
+        amount: payout.amount_minor,
+        currency: payoutCurrency,
+        destination: payout.stripe_account_id,
+        transfer_group: payoutKey,
+        description: payoutDescription,
+        metadata: {
+          payout_id: payout.id,
+          giveaway_id,
+          payout_type: 'creator_revenue',
+        },
+      }, { idempotencyKey: payoutKey })
+
+      console.log('Transfer created:', transfer.id)
+    }
+
+    await updatePayout(payout.id, { stripe_transfer_id: transfer.id })
+
+    const settlement = await transferSettlement(stripe, transfer, payout.stripe_account_id)
+
+    await postJournalEntry(supabase, {
+      idempotencyKey: `transfer:${transfer.id}`,
+      entryType: 'creator_payout',
+      description: `Transfer ${transfer.id} to ${payout.stripe_account_id}`,
+      giveawayId: giveaway_id,
+      referenceType: 'transfer',
+      referenceId: transfer.id,
+      currency: payoutCurrency,
+      fx: settlement,
+      lines: transferLines({ userId: giveaway.creator_id, amount: fromMinorUnits(transfer.amount, payoutCurrency) }),
     })
 
-    console.log('Transfer created:', transfer.id)
-
-    return new Response(
-      JSON.stringify({
-        success: true,
-        transfer_id: transfer.id,
-        amount: transfer.amount,
-        currency: transfer.currency,
-        destination: transfer.destination,
-        status: transfer.status,
-      }),
-      {
-        status: 200,
-        headers: { 'Content-Type': 'application/json' },
-      }
-    )
+    await updatePayout(payout.id, {
+      status: 'processing',
+      processed_at: new Date().toISOString(),
+      ...settlement,
+    })
 
+    return json({
+      success: true,
+      payout_id: payout.id,
+      transfer_id: transfer.id,
+      amount: transfer.amount,
+      currency: transfer.currency,
+      destination: transfer.destination,
+      settlement,
+    })
   } catch (error) {
     console.error('Creator payout error:', error)
-    
-    return new Response(
-      JSON.stringify({ 
-        error: 'Internal server error',
-        details: error.message 
-      }),
-      {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' },
-      }
-    )
+    return json({ error: 'Internal server error', details: (error as Error).message }, 500)
   }
 })
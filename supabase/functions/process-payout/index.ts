@@ -1,6 +1,16 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@13.8.0'
+import {
+  escrowReleaseLines,
+  postJournalEntry,
+  reverseLines,
+  transferLines,
+} from '../_shared/ledger.ts'
+import type { PayableAccount } from '../_shared/ledger.ts'
+import { normalizeCurrency, toMinorUnits, transferSettlement } from '../_shared/currency.ts'
+import type { Settlement } from '../_shared/currency.ts'
+import { payoutBlock } from '../_shared/payouts.ts'
 
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
   apiVersion: '2023-10-16',
@@ -15,6 +25,12 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+const PAYABLE_ACCOUNTS: Record<ProcessPayoutRequest['payoutType'], PayableAccount> = {
+  winner_prize: 'winner_payable',
+  creator_revenue: 'creator_payable',
+  refund: 'refunds',
+}
+
 interface ProcessPayoutRequest {
   giveawayId: string
   winnerId: string
@@ -63,6 +79,14 @@ serve(async (req) => {
       }
     }
 
+    // Creator revenue honours the escrow hold period and payout holds
+    if (payoutType === 'creator_revenue') {
+      const blocked = await payoutBlock(supabase, giveawayId)
+      if (blocked) {
+        throw new Error(blocked)
+      }
+    }
+
     // Get escrow account
     const { data: escrowAccount, error: escrowError } = await supabase
       .from('escrow_accounts')
@@ -92,8 +116,9 @@ serve(async (req) => {
     } else if (payoutType === 'winner_prize') {
       payoutAmount = giveaway.cash_prize_amount || escrowAccount.available_amount
     } else if (payoutType === 'creator_revenue') {
-      // Calculate creator revenue (total entry fees minus platform commission)
-      payoutAmount = escrowAccount.available_amount * 0.9 // 90% to creator
+      // Escrow only ever receives the creator's net: the fee engine withheld
+      // the commission and processing fee when each entry was purchased
+      payoutAmount = escrowAccount.available_amount
     } else {
       throw new Error('Amount required for this payout type')
     }
@@ -103,6 +128,10 @@ serve(async (req) => {
       throw new Error('Insufficient funds in escrow')
     }
 
+    // Payouts leave in the giveaway's charge currency; Stripe converts them
+    // into the recipient's settlement currency on arrival
+    const currency = normalizeCurrency(giveaway.currency)
+
     // Create payout record
     const { data: payout, error: payoutError } = await supabase
       .from('payouts')
@@ -112,7 +141,8 @@ serve(async (req) => {
         escrow_account_id: escrowAccount.id,
         payout_type: payoutType,
         amount: payoutAmount,
-        currency: 'USD',
+        amount_minor: toMinorUnits(payoutAmount, currency),
+        currency,
         initiated_by: user.id
       })
       .select()
@@ -122,25 +152,73 @@ serve(async (req) => {
       throw new Error(`Failed to create payout record: ${payoutError.message}`)
     }
 
+    // Release escrow to the recipient's payable before any money moves; the
+    // ledger rejects the release if escrow can't cover it
+    const payable = PAYABLE_ACCOUNTS[payoutType]
+    const releaseLines = escrowReleaseLines({
+      giveawayId,
+      userId: winnerId,
+      amount: payoutAmount,
+      payable,
+    })
+
+    try {
+      await postJournalEntry(supabase, {
+        idempotencyKey: `payout:${payout.id}`,
+        entryType: 'escrow_release',
+        description: `${payoutType} payout to ${winner.email}`,
+        giveawayId,
+        referenceType: 'payout',
+        referenceId: payout.id,
+        lines: releaseLines,
+      })
+    } catch (ledgerError) {
+      await supabase
+        .from('payouts')
+        .update({
+          status: 'failed',
+          failure_reason: ledgerError.message
+        })
+        .eq('id', payout.id)
+
+      throw ledgerError
+    }
+
+    let stripeTransferId: string | null = null
+    let settlement: Settlement | null = null
+
     try {
       // Create Stripe transfer if winner has connected account
-      let stripeTransferId: string | null = null
-      
+
       if (winner.stripe_account_id && winner.stripe_account_enabled) {
         const transfer = await stripe.transfers.create({
-          amount: Math.round(payoutAmount * 100), // Convert to cents
-          currency: 'usd',
+          amount: toMinorUnits(payoutAmount, currency),
+          currency,
           destination: winner.stripe_account_id,
           metadata: {
             payout_id: payout.id,
             giveaway_id: giveawayId,
             payout_type: payoutType
           }
-        })
+        }, { idempotencyKey: `payout_${payout.id}` })
         
         stripeTransferId = transfer.id
+        settlement = await transferSettlement(stripe, transfer, winner.stripe_account_id)
+
+        await postJournalEntry(supabase, {
+          idempotencyKey: `transfer:${transfer.id}`,
+          entryType: 'payout',
+          description: `${payoutType} transfer to ${winner.email}`,
+          giveawayId,
+          referenceType: 'payout',
+          referenceId: payout.id,
+          lines: transferLines({ userId: winnerId, amount: payoutAmount, payable }),
+          currency,
+          fx: settlement,
+        })
       } else {
-        // Handle manual payout - create pending payout for manual processing
+        // Handle manual payout - create pending payout for manual processing.
+        // The amount stays on the recipient's payable until it is paid.
         console.log(`Manual payout required for user ${winnerId} - no connected Stripe account`)
       }
 
@@ -150,7 +228,8 @@ serve(async (req) => {
         .update({
           stripe_transfer_id: stripeTransferId,
           status: stripeTransferId ? 'processing' : 'pending',
-          stripe_account_id: winner.stripe_account_id
+          stripe_account_id: winner.stripe_account_id,
+          ...(settlement ?? {})
         })
         .eq('id', payout.id)
 
@@ -158,42 +237,14 @@ serve(async (req) => {
         throw new Error(`Failed to update payout: ${updateError.message}`)
       }
 
-      // Update escrow account balance
-      const { error: escrowUpdateError } = await supabase
-        .from('escrow_accounts')
-        .update({
-          available_amount: escrowAccount.available_amount - payoutAmount,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', escrowAccount.id)
-
-      if (escrowUpdateError) {
-        throw new Error(`Failed to update escrow balance: ${escrowUpdateError.message}`)
-      }
-
-      // Create transaction ledger entry
-      const { error: ledgerError } = await supabase
-        .from('transaction_ledger')
-        .insert({
-          payment_id: payout.id,
-          escrow_account_id: escrowAccount.id,
-          debit_amount: payoutAmount,
-          balance_after: escrowAccount.available_amount - payoutAmount,
-          description: `${payoutType} payout to ${winner.email}`,
-          reference_type: payoutType,
-          reference_id: giveawayId
-        })
-
-      if (ledgerError) {
-        console.error('Failed to create ledger entry:', ledgerError)
-      }
-
       return new Response(
         JSON.stringify({
           success: true,
           payout_id: payout.id,
           stripe_transfer_id: stripeTransferId,
           amount: payoutAmount,
+          currency,
+          settlement,
           status: stripeTransferId ? 'processing' : 'pending'
         }),
         {
@@ -203,7 +254,20 @@ serve(async (req) => {
       )
 
     } catch (stripeError) {
-      // If Stripe transfer fails, mark payout as failed
+      // If Stripe transfer fails, return the funds to escrow and mark the
+      // payout as failed. Once the transfer exists the release stands.
+      if (!stripeTransferId) {
+        await postJournalEntry(supabase, {
+          idempotencyKey: `payout_reversal:${payout.id}`,
+          entryType: 'escrow_release_reversal',
+          description: `Failed ${payoutType} payout returned to escrow`,
+          giveawayId,
+          referenceType: 'payout',
+          referenceId: payout.id,
+          lines: reverseLines(releaseLines),
+        })
+      }
+
       await supabase
         .from('payouts')
         .update({
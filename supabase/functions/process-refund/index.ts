@@ -1,6 +1,34 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@13.8.0'
+import {
+  fromMinorUnits,
+  postJournalEntry,
+  refundLines,
+  reverseLines,
+  transferLines,
+} from '../_shared/ledger.ts'
+import { normalizeCurrency, toMinorUnits } from '../_shared/currency.ts'
+import { DEFAULT_REFUND_POLICY, priceRefund, remainingTickets, retryDelayMinutes } from './refund.ts'
+import type { FeesBorneBy, PurchaseAmounts, RefundCause } from './refund.ts'
+
+/**
+ * Refund engine (database/refund_engine_schema.sql). Every refund is a
+ * refunds row; this function prices it, posts the ledger entries, refunds
+ * the charge, recovers the creator's share when it was already transferred
+ * and voids the refunded tickets. Each step is idempotent, so a refund that
+ * fails or a run that dies part way is simply claimed and run again.
+ *
+ * POST { action, ... }
+ *   run_batch       { batchId } or { giveawayId }: refund a cancelled
+ *                   giveaway. Admins, the service role (cancellation trigger)
+ *                   or the giveaway's creator.
+ *   refund_tickets  { entryId, tickets?, cause?, reason? }: refund some or
+ *                   all of the tickets in the entry's purchase. Admins only.
+ *   retry           { refundId }: run one refund again now, whatever its
+ *                   attempt count. Admins only.
+ *   resume          open batches and failed refunds that are due. pg_cron.
+ */
 
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
   apiVersion: '2023-10-16',
@@ -16,213 +44,612 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
-serve(async (req) => {
-  if (req.method === 'OPTIONS') {
-    return new Response('ok', { headers: corsHeaders })
+// Automatic retries stop here and the batch is flagged for an admin
+const MAX_ATTEMPTS = 5
+
+// Refunds per invocation; the retry job carries on with the rest
+const RUN_LIMIT = 50
+
+const REFUND_CAUSES: RefundCause[] = ['giveaway_cancelled', 'entrant_request', 'admin']
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+async function loadRefundPolicy(): Promise<Record<RefundCause, FeesBorneBy>> {
+  const { data } = await supabase
+    .from('platform_config')
+    .select('config_value')
+    .eq('config_key', 'refund_policy')
+    .maybeSingle()
+
+  return { ...DEFAULT_REFUND_POLICY, ...(data?.config_value ?? {}) }
+}
+
+interface Purchase extends PurchaseAmounts {
+  kind: 'order' | 'payment'
+  id: string
+  giveawayId: string
+  creatorId: string
+  currency: string
+  paymentIntentId: string | null
+  transferId: string | null
+}
+
+async function loadPurchase(refund: any): Promise<Purchase> {
+  if (refund.order_id) {
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', refund.order_id)
+      .single()
+
+    if (error || !order) throw new Error(`Order ${refund.order_id} not found`)
+
+    const currency = normalizeCurrency(order.currency)
+    const grossMinor = order.total_amount_minor ?? toMinorUnits(order.total_amount, currency)
+
+    return {
+      kind: 'order',
+      id: order.id,
+      giveawayId: order.giveaway_id,
+      creatorId: order.creator_id,
+      currency,
+      paymentIntentId: order.stripe_payment_intent_id,
+      transferId: order.stripe_transfer_id,
+      grossMinor,
+      commissionMinor: order.platform_fee_minor ?? toMinorUnits(order.platform_fee, currency),
+      creatorMinor: order.creator_amount_minor ?? toMinorUnits(order.creator_amount, currency),
+      tickets: order.ticket_count,
+      refundedTickets: order.refunded_ticket_count ?? 0,
+    }
   }
 
-  try {
-    const { 
-      orderId,
-      refundType = 'full', // 'full' or 'partial'
-      refundAmount, // Required for partial refunds
-      reason = 'Giveaway cancelled',
-      adminUserId
-    } = await req.json()
-
-    if (!orderId || !adminUserId) {
-      return new Response(
-        JSON.stringify({ error: 'orderId and adminUserId are required' }),
-        { 
-          status: 400, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      )
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*, giveaway:giveaways(creator_id)')
+    .eq('id', refund.payment_id)
+    .single()
+
+  if (error || !payment) throw new Error(`Payment ${refund.payment_id} not found`)
+
+  const currency = normalizeCurrency(payment.currency)
+  const grossMinor = payment.amount_minor ?? toMinorUnits(payment.amount, currency)
+  const commissionMinor = payment.platform_fee_minor ?? toMinorUnits(payment.platform_fee_amount || 0, currency)
+
+  let tickets = parseInt(payment.payment_metadata?.entry_count, 10)
+  if (!tickets) {
+    const { data: entry } = await supabase
+      .from('entries')
+      .select('entry_count, refunded_ticket_count')
+      .eq('payment_id', payment.id)
+      .limit(1)
+      .maybeSingle()
+    tickets = (entry?.entry_count ?? 1) + (entry?.refunded_ticket_count ?? 0)
+  }
+
+  return {
+    kind: 'payment',
+    id: payment.id,
+    giveawayId: payment.giveaway_id,
+    creatorId: payment.giveaway?.creator_id,
+    currency,
+    paymentIntentId: payment.stripe_payment_intent_id,
+    transferId: null,
+    grossMinor,
+    commissionMinor,
+    creatorMinor: payment.net_amount_minor ?? (payment.net_amount != null ? toMinorUnits(payment.net_amount, currency) : grossMinor - commissionMinor),
+    tickets,
+    refundedTickets: payment.refunded_ticket_count ?? 0,
+  }
+}
+
+async function updateRefund(refundId: string, values: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('refunds')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', refundId)
+
+  if (error) throw new Error(`Failed to update refund ${refundId}: ${error.message}`)
+}
+
+// A Stripe refund an earlier attempt created for this row, if any
+async function findStripeRefund(refund: any, paymentIntentId: string): Promise<Stripe.Refund | null> {
+  if (refund.stripe_refund_id) {
+    const existing = await stripe.refunds.retrieve(refund.stripe_refund_id)
+    return ['failed', 'canceled'].includes(existing.status ?? '') ? null : existing
+  }
+
+  if (refund.attempts <= 1) return null
+
+  for await (const candidate of stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 })) {
+    if (candidate.metadata?.refund_id === refund.id && !['failed', 'canceled'].includes(candidate.status ?? '')) {
+      return candidate
     }
+  }
 
-    // Verify admin permissions
-    const { data: admin } = await supabase
-      .from('profiles')
-      .select('is_admin')
-      .eq('id', adminUserId)
-      .single()
+  return null
+}
 
-    if (!admin?.is_admin) {
-      return new Response(
-        JSON.stringify({ error: 'Unauthorized: Admin access required' }),
-        { 
-          status: 403, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      )
+/**
+ * Run one refund. Returns its outcome; failures are recorded on the row and
+ * scheduled for retry rather than thrown.
+ */
+async function runRefund(refundId: string, policy: Record<RefundCause, FeesBorneBy>) {
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_refund', { p_refund_id: refundId })
+
+  if (claimError) throw new Error(`Failed to claim refund ${refundId}: ${claimError.message}`)
+
+  let refund = claimed?.[0]
+  if (!refund) return { id: refundId, status: 'skipped' }
+
+  try {
+    const purchase = await loadPurchase(refund)
+
+    if (!purchase.paymentIntentId) {
+      throw new Error(`${purchase.kind} ${purchase.id} has no Stripe payment to refund`)
     }
 
-    // Get order details
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .select(`
-        *,
-        entries:entries!order_id(*)
-      `)
-      .eq('id', orderId)
-      .single()
+    // A charged-back purchase is settled through its dispute
+    // (database/chargeback_disputes_schema.sql)
+    const { data: dispute } = await supabase
+      .from('payment_disputes')
+      .select('status')
+      .eq(purchase.kind === 'order' ? 'order_id' : 'payment_id', purchase.id)
+      .in('status', ['open', 'under_review', 'lost'])
+      .limit(1)
+      .maybeSingle()
 
-    if (orderError || !order) {
-      return new Response(
-        JSON.stringify({ error: 'Order not found' }),
-        { 
-          status: 404, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      )
+    if (dispute?.status === 'lost') {
+      await updateRefund(refund.id, {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        error_message: 'Charged back; the lost dispute returned the payment',
+      })
+      return { id: refund.id, status: 'completed', amount_minor: 0 }
     }
 
-    if (order.status !== 'completed') {
-      return new Response(
-        JSON.stringify({ error: 'Can only refund completed orders' }),
-        { 
-          status: 400, 
-          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-        }
-      )
+    if (dispute) {
+      throw new Error('The charge is under dispute; it can be refunded once the dispute is won')
     }
 
-    // Calculate refund amount
-    let finalRefundAmount: number;
-    if (refundType === 'full') {
-      finalRefundAmount = Math.round(order.total_amount * 100); // Convert to cents
-    } else {
-      if (!refundAmount || refundAmount <= 0) {
-        return new Response(
-          JSON.stringify({ error: 'refundAmount is required for partial refunds' }),
-          { 
-            status: 400, 
-            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-          }
-        )
+    // Tickets can only come out of the draw before it happens
+    if (refund.cause !== 'giveaway_cancelled') {
+      const { data: giveaway } = await supabase
+        .from('giveaways')
+        .select('status')
+        .eq('id', purchase.giveawayId)
+        .single()
+
+      if (['drawn', 'fulfilled'].includes(giveaway?.status)) {
+        throw new Error('Tickets cannot be refunded after winners are drawn')
       }
-      finalRefundAmount = Math.round(refundAmount * 100); // Convert to cents
     }
 
-    // Create Stripe refund
-    const refund = await stripe.refunds.create({
-      payment_intent: order.stripe_payment_intent_id,
-      amount: finalRefundAmount,
-      reason: 'requested_by_customer',
-      metadata: {
-        order_id: orderId,
-        admin_user_id: adminUserId,
-        refund_reason: reason,
-        refund_type: refundType
+    // Price once; retries reuse the stored amounts
+    if (refund.amount_minor == null) {
+      const tickets = refund.ticket_count ?? remainingTickets(purchase)
+
+      if (tickets <= 0) {
+        await updateRefund(refund.id, {
+          status: 'completed',
+          completed_at: new Date().toISOString(),
+          error_message: 'Nothing left to refund',
+        })
+        return { id: refund.id, status: 'completed', amount_minor: 0 }
+      }
+
+      const feesBorneBy = policy[refund.cause as RefundCause] ?? DEFAULT_REFUND_POLICY.admin
+      const split = priceRefund(purchase, tickets, feesBorneBy)
+      const priced = {
+        ticket_count: split.tickets,
+        refund_type: split.tickets === remainingTickets(purchase) ? 'full' : 'partial',
+        currency: purchase.currency,
+        amount_minor: split.amountMinor,
+        creator_amount_minor: split.creatorMinor,
+        platform_fee_minor: split.platformFeeMinor,
+        processing_fee_minor: split.processingFeeMinor,
+        fees_borne_by: feesBorneBy,
+        refund_amount: fromMinorUnits(split.amountMinor, purchase.currency),
+        amount: fromMinorUnits(split.amountMinor, purchase.currency),
       }
+
+      await updateRefund(refund.id, priced)
+      refund = { ...refund, ...priced }
+    }
+
+    const currency = purchase.currency
+    const major = (minor: number) => fromMinorUnits(minor, currency)
+    const alreadyTransferred = !!purchase.transferId
+
+    // The refund-owed entry is posted before any money moves, so an
+    // underfunded escrow stops the refund here
+    await postJournalEntry(supabase, {
+      idempotencyKey: `refund:${refund.id}`,
+      entryType: 'refund',
+      description: `${refund.refund_type} refund of ${purchase.kind} ${purchase.id} (${refund.ticket_count} tickets): ${refund.reason || refund.cause}`,
+      giveawayId: purchase.giveawayId,
+      referenceType: purchase.kind,
+      referenceId: purchase.id,
+      currency,
+      lines: refundLines({
+        giveawayId: purchase.giveawayId,
+        creatorId: purchase.creatorId,
+        fromEscrow: alreadyTransferred ? 0 : major(refund.creator_amount_minor),
+        fromCreator: alreadyTransferred ? major(refund.creator_amount_minor) : 0,
+        platformFee: major(refund.platform_fee_minor),
+        absorbedStripeFee: major(refund.processing_fee_minor),
+      }),
+      metadata: { refund_id: refund.id, cause: refund.cause, fees_borne_by: refund.fees_borne_by },
     })
 
-    // If there was a transfer to creator, create a reverse transfer
-    let reverseTransfer = null;
-    if (order.stripe_transfer_id && refundType === 'full') {
+    let stripeRefund = await findStripeRefund(refund, purchase.paymentIntentId)
+    if (!stripeRefund) {
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: purchase.paymentIntentId,
+        amount: refund.amount_minor,
+        reason: 'requested_by_customer',
+        metadata: {
+          refund_id: refund.id,
+          [`${purchase.kind}_id`]: purchase.id,
+          giveaway_id: purchase.giveawayId,
+          cause: refund.cause,
+          tickets: String(refund.ticket_count),
+        },
+      }, { idempotencyKey: `refund_${refund.id}_${refund.attempts}` })
+    }
+
+    await updateRefund(refund.id, {
+      stripe_refund_id: stripeRefund.id,
+      processed_at: refund.processed_at ?? new Date().toISOString(),
+    })
+
+    // Creator's share already went out with the order: pull it back
+    let reversalError: string | null = null
+    if (alreadyTransferred && refund.creator_amount_minor > 0 && !refund.stripe_reverse_transfer_id) {
       try {
-        // Calculate creator refund amount (their portion of the refund)
-        const creatorRefundAmount = Math.round(
-          (order.creator_amount / order.total_amount) * finalRefundAmount
-        );
-
-        reverseTransfer = await stripe.transfers.create({
-          amount: creatorRefundAmount,
-          currency: order.currency,
-          destination: order.stripe_account_id, // Platform account
-          metadata: {
-            type: 'refund_reversal',
-            original_transfer_id: order.stripe_transfer_id,
-            order_id: orderId,
-            refund_id: refund.id
-          }
-        });
-      } catch (transferError) {
-        console.error('Failed to create reverse transfer:', transferError);
-        // Continue with refund even if reverse transfer fails
+        const reversal = await stripe.transfers.createReversal(purchase.transferId!, {
+          amount: refund.creator_amount_minor,
+          metadata: { refund_id: refund.id, [`${purchase.kind}_id`]: purchase.id },
+        }, { idempotencyKey: `transfer_reversal_${refund.id}` })
+
+        await updateRefund(refund.id, { stripe_reverse_transfer_id: reversal.id })
+
+        await postJournalEntry(supabase, {
+          idempotencyKey: `transfer_reversal:${reversal.id}`,
+          entryType: 'transfer_reversal',
+          description: `Creator share of ${purchase.kind} ${purchase.id} recovered for refund`,
+          giveawayId: purchase.giveawayId,
+          referenceType: 'transfer',
+          referenceId: reversal.id,
+          currency,
+          lines: reverseLines(transferLines({
+            userId: purchase.creatorId,
+            amount: major(refund.creator_amount_minor),
+          })),
+        })
+      } catch (error) {
+        // The entrant is refunded either way; the creator's payable carries
+        // the debt until it is recovered
+        console.error(`Transfer reversal for refund ${refund.id} failed:`, error)
+        reversalError = `Transfer reversal failed: ${(error as Error).message}`
       }
     }
 
-    // Update order status
-    const { error: updateError } = await supabase
-      .from('orders')
-      .update({
-        status: refundType === 'full' ? 'refunded' : 'partially_refunded',
-        refund_amount: finalRefundAmount / 100, // Convert back to dollars
-        refund_reason: reason,
-        stripe_refund_id: refund.id,
-        refunded_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+    const { error: applyError } = await supabase.rpc('apply_refund', { p_refund_id: refund.id })
+    if (applyError) throw new Error(`Failed to void refunded tickets: ${applyError.message}`)
+
+    const settled = stripeRefund.status === 'succeeded'
+    await updateRefund(refund.id, {
+      status: settled ? 'completed' : 'submitted',
+      completed_at: settled ? new Date().toISOString() : null,
+      error_message: reversalError,
+    })
+
+    // Pending refunds are settled by stripe-webhook on charge.refund.updated
+    if (settled) {
+      await postJournalEntry(supabase, {
+        idempotencyKey: `refund_settled:${stripeRefund.id}`,
+        entryType: 'refund_settled',
+        description: `Refund ${stripeRefund.id} settled by Stripe`,
+        giveawayId: purchase.giveawayId,
+        referenceType: 'refund',
+        referenceId: stripeRefund.id,
+        currency,
+        lines: transferLines({ amount: major(stripeRefund.amount), payable: 'refunds' }),
       })
-      .eq('id', orderId)
+    }
 
-    if (updateError) {
-      console.error('Failed to update order:', updateError);
+    return {
+      id: refund.id,
+      status: settled ? 'completed' : 'submitted',
+      stripe_refund_id: stripeRefund.id,
+      amount_minor: refund.amount_minor,
+      currency,
+      tickets: refund.ticket_count,
     }
+  } catch (error) {
+    const message = (error as Error).message
+    console.error(`Refund ${refund.id} attempt ${refund.attempts} failed:`, error)
 
-    // Revoke entries if full refund
-    if (refundType === 'full' && order.entries?.length > 0) {
-      const { error: entryError } = await supabase
-        .from('entries')
-        .update({
-          status: 'refunded',
-          updated_at: new Date().toISOString()
-        })
-        .eq('order_id', orderId)
+    await updateRefund(refund.id, {
+      status: 'failed',
+      error_message: message,
+      next_attempt_at: new Date(Date.now() + retryDelayMinutes(refund.attempts) * 60_000).toISOString(),
+    })
+
+    return { id: refund.id, status: 'failed', error: message, attempts: refund.attempts }
+  }
+}
+
+async function runBatch(batchId: string, policy: Record<RefundCause, FeesBorneBy>, { includeExhausted = false } = {}) {
+  await supabase
+    .from('refund_batches')
+    .update({ status: 'processing', last_run_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', batchId)
+
+  let query = supabase
+    .from('refunds')
+    .select('id')
+    .eq('batch_id', batchId)
+    .in('status', ['pending', 'failed', 'processing'])
+    .order('created_at')
+    .limit(RUN_LIMIT)
+
+  if (!includeExhausted) {
+    query = query.lt('attempts', MAX_ATTEMPTS).lte('next_attempt_at', new Date().toISOString())
+  }
+
+  const { data: due, error } = await query
+  if (error) throw new Error(`Failed to load refunds for batch ${batchId}: ${error.message}`)
+
+  const results = []
+  for (const { id } of due || []) {
+    results.push(await runRefund(id, policy))
+  }
+
+  const { data: rows } = await supabase
+    .from('refunds')
+    .select('status, attempts')
+    .eq('batch_id', batchId)
+
+  const open = (rows || []).filter((r: any) => !['completed', 'submitted'].includes(r.status))
+  const exhausted = open.filter((r: any) => r.status === 'failed' && r.attempts >= MAX_ATTEMPTS)
+  const status = open.length === 0 ? 'completed' : exhausted.length === open.length ? 'needs_attention' : 'processing'
+
+  await supabase
+    .from('refund_batches')
+    .update({
+      status,
+      completed_at: status === 'completed' ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', batchId)
+
+  return {
+    batch_id: batchId,
+    status,
+    processed: results.length,
+    succeeded: results.filter((r) => ['completed', 'submitted'].includes(r.status)).length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    remaining: open.length,
+    results,
+  }
+}
+
+async function resolveBatch(body: any): Promise<{ batchId: string; giveawayId: string }> {
+  if (body.batchId) {
+    const { data: batch, error } = await supabase
+      .from('refund_batches')
+      .select('id, giveaway_id')
+      .eq('id', body.batchId)
+      .single()
+
+    if (error || !batch) throw new Error('Refund batch not found')
+    return { batchId: batch.id, giveawayId: batch.giveaway_id }
+  }
+
+  if (!body.giveawayId) throw new Error('batchId or giveawayId is required')
+
+  const { data: batch } = await supabase
+    .from('refund_batches')
+    .select('id')
+    .eq('giveaway_id', body.giveawayId)
+    .eq('cause', 'giveaway_cancelled')
+    .maybeSingle()
+
+  if (batch) return { batchId: batch.id, giveawayId: body.giveawayId }
+
+  // Cancelled before the engine existed
+  const { data: giveaway } = await supabase
+    .from('giveaways')
+    .select('status')
+    .eq('id', body.giveawayId)
+    .single()
+
+  if (giveaway?.status !== 'cancelled') {
+    throw new Error('Only cancelled giveaways are refunded in bulk')
+  }
+
+  const { data: batchId, error } = await supabase.rpc('queue_giveaway_refunds_internal', {
+    p_giveaway_id: body.giveawayId,
+    p_cause: 'giveaway_cancelled',
+    p_reason: body.reason ?? null,
+    p_initiated_by: null,
+  })
+
+  if (error) throw new Error(`Failed to queue refunds: ${error.message}`)
+  return { batchId, giveawayId: body.giveawayId }
+}
+
+async function queueTicketRefund(body: any, caller: Caller) {
+  const { entryId, tickets = null, cause = 'admin', reason = null } = body
+
+  if (!entryId) throw new Error('entryId is required')
+  if (!REFUND_CAUSES.includes(cause) || cause === 'giveaway_cancelled') {
+    throw new Error(`Invalid refund cause: ${cause}`)
+  }
+  if (tickets !== null && (!Number.isInteger(tickets) || tickets <= 0)) {
+    throw new Error('tickets must be a positive whole number')
+  }
 
-      if (entryError) {
-        console.error('Failed to revoke entries:', entryError);
+  const { data: entry, error } = await supabase
+    .from('entries')
+    .select('id, user_id, giveaway_id, order_id, payment_id, payment_status')
+    .eq('id', entryId)
+    .single()
+
+  if (error || !entry) throw new Error('Entry not found')
+  if (entry.payment_status !== 'completed') throw new Error('Can only refund completed payments')
+  if (!entry.order_id && !entry.payment_id) throw new Error('Free entries have nothing to refund')
+
+  const { data: giveaway } = await supabase
+    .from('giveaways')
+    .select('currency')
+    .eq('id', entry.giveaway_id)
+    .single()
+
+  const { data: refund, error: insertError } = await supabase
+    .from('refunds')
+    .insert({
+      purchase_key: entry.order_id ? `order:${entry.order_id}` : `payment:${entry.payment_id}`,
+      cause,
+      reason,
+      status: 'pending',
+      ticket_count: tickets,
+      giveaway_id: entry.giveaway_id,
+      user_id: entry.user_id,
+      entry_id: entry.id,
+      order_id: entry.order_id,
+      payment_id: entry.payment_id,
+      currency: giveaway?.currency,
+      initiated_by: caller.userId,
+      admin_user_id: caller.userId,
+    })
+    .select('id')
+    .single()
+
+  if (insertError) throw new Error(`Failed to queue refund: ${insertError.message}`)
+  return refund.id
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+    const policy = await loadRefundPolicy()
+
+    switch (body.action) {
+      case 'run_batch': {
+        const { batchId, giveawayId } = await resolveBatch(body)
+
+        if (!caller.isAdmin) {
+          const { data: giveaway } = await supabase
+            .from('giveaways')
+            .select('creator_id')
+            .eq('id', giveawayId)
+            .single()
+
+          if (giveaway?.creator_id !== caller.userId) {
+            return json({ error: 'Unauthorized: Admin access required' }, 403)
+          }
+        }
+
+        return json(await runBatch(batchId, policy, { includeExhausted: caller.isAdmin && !caller.isService && !!body.retryFailed }))
       }
 
-      // Update giveaway entry count
-      const { error: giveawayError } = await supabase
-        .rpc('decrement_giveaway_entries', {
-          giveaway_id: order.giveaway_id,
-          entry_count: order.ticket_count
-        })
+      case 'refund_tickets': {
+        if (!caller.isAdmin) return json({ error: 'Unauthorized: Admin access required' }, 403)
 
-      if (giveawayError) {
-        console.error('Failed to update giveaway entry count:', giveawayError);
+        const refundId = await queueTicketRefund(body, caller)
+        const result = await runRefund(refundId, policy)
+        return json(result, result.status === 'failed' ? 502 : 200)
       }
-    }
 
-    // Create refund record for tracking
-    await supabase
-      .from('refunds')
-      .insert({
-        order_id: orderId,
-        user_id: order.user_id,
-        admin_user_id: adminUserId,
-        refund_amount: finalRefundAmount / 100,
-        refund_type: refundType,
-        reason: reason,
-        stripe_refund_id: refund.id,
-        stripe_reverse_transfer_id: reverseTransfer?.id,
-        processed_at: new Date().toISOString()
-      })
+      case 'retry': {
+        if (!caller.isAdmin) return json({ error: 'Unauthorized: Admin access required' }, 403)
+        if (!body.refundId) return json({ error: 'refundId is required' }, 400)
 
-    return new Response(
-      JSON.stringify({
-        success: true,
-        refund_id: refund.id,
-        refund_amount: finalRefundAmount / 100,
-        reverse_transfer_id: reverseTransfer?.id,
-        entries_revoked: refundType === 'full' ? order.ticket_count : 0
-      }),
-      { 
-        status: 200,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        const result = await runRefund(body.refundId, policy)
+        return json(result, result.status === 'failed' ? 502 : 200)
       }
-    )
 
+      case 'resume': {
+        if (!caller.isAdmin) return json({ error: 'Unauthorized: Admin access required' }, 403)
+
+        const { data: batches, error: batchError } = await supabase
+          .from('refund_batches')
+          .select('id')
+          .in('status', ['pending', 'processing'])
+          .order('created_at')
+
+        if (batchError) throw new Error(`Failed to load refund batches: ${batchError.message}`)
+
+        const batchResults = []
+        for (const { id } of batches || []) {
+          batchResults.push(await runBatch(id, policy))
+        }
+
+        // Single-purchase refunds that failed and are due another attempt
+        const { data: loose } = await supabase
+          .from('refunds')
+          .select('id')
+          .is('batch_id', null)
+          .in('status', ['pending', 'failed', 'processing'])
+          .lt('attempts', MAX_ATTEMPTS)
+          .lte('next_attempt_at', new Date().toISOString())
+          .limit(RUN_LIMIT)
+
+        const refundResults = []
+        for (const { id } of loose || []) {
+          refundResults.push(await runRefund(id, policy))
+        }
+
+        return json({ batches: batchResults, refunds: refundResults })
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
   } catch (error) {
     console.error('Refund processing error:', error)
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      { 
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
-      }
-    )
+    return json({ error: (error as Error).message }, 500)
   }
 })
@@ -0,0 +1,101 @@
+/**
+ * Refund pricing, kept free of Stripe and Supabase so it can be checked on
+ * its own (see index.ts for the engine that moves the money).
+ *
+ * Amounts are integer minor units. A purchase's gross, commission, processing
+ * fee and creator share are each split across its tickets by cumulative
+ * rounding, so refunding every ticket in any number of steps returns exactly
+ * what was paid.
+ */
+
+// Who bears the fees Stripe keeps when a charge is refunded
+// (platform_config.refund_policy, database/refund_engine_schema.sql)
+export type FeesBorneBy = 'platform' | 'creator' | 'entrant'
+
+export type RefundCause = 'giveaway_cancelled' | 'entrant_request' | 'admin'
+
+export const DEFAULT_REFUND_POLICY: Record<RefundCause, FeesBorneBy> = {
+  giveaway_cancelled: 'platform',
+  entrant_request: 'entrant',
+  admin: 'platform',
+}
+
+export interface PurchaseAmounts {
+  grossMinor: number
+  commissionMinor: number
+  creatorMinor: number
+  tickets: number            // tickets bought
+  refundedTickets: number    // tickets already refunded
+}
+
+export interface RefundSplit {
+  tickets: number
+  amountMinor: number        // paid back to the entrant
+  creatorMinor: number       // recovered from escrow or the creator
+  platformFeeMinor: number   // commission refunded
+  processingFeeMinor: number // processing fee absorbed by the platform
+}
+
+const ticketShare = (total: number, from: number, to: number, tickets: number) =>
+  Math.floor((total * to) / tickets) - Math.floor((total * from) / tickets)
+
+export function remainingTickets(purchase: PurchaseAmounts): number {
+  return Math.max(0, purchase.tickets - purchase.refundedTickets)
+}
+
+/**
+ * Price refunding `tickets` of a purchase under a fee policy
+ */
+export function priceRefund(purchase: PurchaseAmounts, tickets: number, feesBorneBy: FeesBorneBy): RefundSplit {
+  if (!Number.isInteger(tickets) || tickets <= 0) {
+    throw new Error('Ticket count must be a positive whole number')
+  }
+
+  if (tickets > remainingTickets(purchase)) {
+    throw new Error(`Only ${remainingTickets(purchase)} of ${purchase.tickets} tickets can still be refunded`)
+  }
+
+  const from = purchase.refundedTickets
+  const to = from + tickets
+  const processingTotal = purchase.grossMinor - purchase.commissionMinor - purchase.creatorMinor
+
+  const commission = ticketShare(purchase.commissionMinor, from, to, purchase.tickets)
+  const creator = ticketShare(purchase.creatorMinor, from, to, purchase.tickets)
+  const processing = ticketShare(processingTotal, from, to, purchase.tickets)
+
+  switch (feesBorneBy) {
+    case 'platform':
+      return {
+        tickets,
+        amountMinor: creator + commission + processing,
+        creatorMinor: creator,
+        platformFeeMinor: commission,
+        processingFeeMinor: processing,
+      }
+    case 'creator':
+      return {
+        tickets,
+        amountMinor: creator + commission + processing,
+        creatorMinor: creator + processing,
+        platformFeeMinor: commission,
+        processingFeeMinor: 0,
+      }
+    case 'entrant':
+      return {
+        tickets,
+        amountMinor: creator,
+        creatorMinor: creator,
+        platformFeeMinor: 0,
+        processingFeeMinor: 0,
+      }
+    default:
+      throw new Error(`Unknown refund fee policy: ${feesBorneBy}`)
+  }
+}
+
+/**
+ * Minutes to wait before retrying a refund that failed on its nth attempt
+ */
+export function retryDelayMinutes(attempts: number): number {
+  return Math.min(5 * 2 ** Math.max(0, attempts - 1), 360)
+}
@@ -0,0 +1,291 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@13.8.0'
+import { BalanceTransaction, reconcileBalanceTransactions } from './reconcile.ts'
+import { FeeSchedule, loadFeeSchedule } from '../_shared/fees.ts'
+import { fromMinorUnits, normalizeCurrency } from '../_shared/currency.ts'
+
+/**
+ * Daily Stripe reconciliation. Ingests balance transactions for a period,
+ * matches them to orders, payments, refunds and creator_payouts, and writes
+ * discrepancies for admins to resolve (database/stripe_reconciliation_schema.sql).
+ *
+ * POST { from?, to?, source? }
+ *   from / to   ISO timestamps; defaults to the previous UTC day
+ *   source      'stripe' (default) or 'fixture', which reads
+ *               fixtures/balance_transactions.json instead of calling Stripe.
+ *               Fixtures are only accepted when RECONCILIATION_FIXTURES=true
+ *               (local `supabase functions serve`).
+ *
+ * Called by pg_cron with the service role key, or by an admin from the app.
+ */
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const IN_CHUNK = 100
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface BalanceTransactionSource {
+  name: 'stripe' | 'fixture'
+  list(from: Date, to: Date): Promise<BalanceTransaction[]>
+}
+
+function stripeSource(): BalanceTransactionSource {
+  const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+    apiVersion: '2023-10-16',
+  })
+
+  return {
+    name: 'stripe',
+    async list(from, to) {
+      const transactions: BalanceTransaction[] = []
+      const pages = stripe.balanceTransactions.list({
+        created: {
+          gte: Math.floor(from.getTime() / 1000),
+          lt: Math.floor(to.getTime() / 1000),
+        },
+        limit: 100,
+      })
+
+      for await (const txn of pages) {
+        transactions.push({
+          ...txn,
+          source: typeof txn.source === 'string' ? txn.source : txn.source?.id ?? null,
+        } as BalanceTransaction)
+      }
+
+      return transactions
+    },
+  }
+}
+
+function fixtureSource(): BalanceTransactionSource {
+  return {
+    name: 'fixture',
+    async list(from, to) {
+      const text = await Deno.readTextFile(new URL('./fixtures/balance_transactions.json', import.meta.url))
+      const { data } = JSON.parse(text) as { data: BalanceTransaction[] }
+      const gte = from.getTime() / 1000
+      const lt = to.getTime() / 1000
+      return data.filter((txn) => txn.created >= gte && txn.created < lt)
+    },
+  }
+}
+
+function resolvePeriod(from?: string, to?: string) {
+  const end = to ? new Date(to) : new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z')
+  const start = from ? new Date(from) : new Date(end.getTime() - 24 * 60 * 60 * 1000)
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    throw new Error('from must be a valid date before to')
+  }
+
+  return { start, end }
+}
+
+async function selectIn(table: string, columns: string, key: string, values: string[]) {
+  const rows: any[] = []
+
+  for (let i = 0; i < values.length; i += IN_CHUNK) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(key, values.slice(i, i + IN_CHUNK))
+
+    if (error) throw new Error(`Failed to load ${table}: ${error.message}`)
+    rows.push(...(data || []))
+  }
+
+  return rows
+}
+
+// Service role (pg_cron) or a signed-in admin
+async function authorize(req: Request): Promise<{ allowed: boolean; userId: string | null }> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return { allowed: false, userId: null }
+  if (token === supabaseServiceKey) return { allowed: true, userId: null }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return { allowed: false, userId: null }
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { allowed: !!profile?.is_admin, userId: user.id }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const { allowed, userId } = await authorize(req)
+  if (!allowed) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  let runId: string | null = null
+
+  try {
+    const body = await req.json().catch(() => ({}))
+    const { start, end } = resolvePeriod(body.from, body.to)
+
+    if (body.source === 'fixture' && Deno.env.get('RECONCILIATION_FIXTURES') !== 'true') {
+      return json({ error: 'Fixture reconciliation is disabled in this environment' }, 400)
+    }
+
+    const source = body.source === 'fixture' ? fixtureSource() : stripeSource()
+
+    const { data: run, error: runError } = await supabase
+      .from('reconciliation_runs')
+      .insert({
+        period_start: start.toISOString(),
+        period_end: end.toISOString(),
+        source: source.name,
+        triggered_by: userId,
+      })
+      .select()
+      .single()
+
+    if (runError) throw new Error(`Failed to start run: ${runError.message}`)
+    runId = run.id
+
+    const transactions = await source.list(start, end)
+
+    // Keep our own copy of what Stripe reported
+    for (let i = 0; i < transactions.length; i += IN_CHUNK) {
+      const { error } = await supabase
+        .from('stripe_balance_transactions')
+        .upsert(transactions.slice(i, i + IN_CHUNK).map((txn) => ({
+          id: txn.id,
+          type: txn.type,
+          source_id: txn.source,
+          amount: fromMinorUnits(txn.amount, txn.currency),
+          fee: fromMinorUnits(txn.fee, txn.currency),
+          net: fromMinorUnits(txn.net, txn.currency),
+          currency: txn.currency,
+          status: txn.status ?? null,
+          stripe_created_at: new Date(txn.created * 1000).toISOString(),
+          available_on: txn.available_on ? new Date(txn.available_on * 1000).toISOString() : null,
+          raw: txn,
+          last_run_id: runId,
+        })))
+
+      if (error) throw new Error(`Failed to store balance transactions: ${error.message}`)
+    }
+
+    const sources = (types: string[]) => transactions
+      .filter((txn) => types.includes(txn.type) && txn.source)
+      .map((txn) => txn.source as string)
+
+    const chargeIds = sources(['charge', 'payment'])
+    const refundIds = sources(['refund', 'payment_refund'])
+    const transferIds = sources(['transfer'])
+
+    const orderColumns = 'id, stripe_charge_id, stripe_transfer_id, total_amount, creator_amount, status, payment_completed_at, currency'
+
+    const [chargedOrders, transferredOrders, payments, refunds, creatorPayouts, periodOrders] = await Promise.all([
+      selectIn('orders', orderColumns, 'stripe_charge_id', chargeIds),
+      selectIn('orders', orderColumns, 'stripe_transfer_id', transferIds),
+      selectIn('payments', 'id, stripe_charge_id, amount', 'stripe_charge_id', chargeIds),
+      selectIn('refunds', 'id, order_id, stripe_refund_id, refund_amount', 'stripe_refund_id', refundIds),
+      selectIn('creator_payouts', 'id, stripe_transfer_id, creator_amount', 'stripe_transfer_id', transferIds),
+      supabase
+        .from('orders')
+        .select(orderColumns)
+        .eq('status', 'completed')
+        .gte('payment_completed_at', start.toISOString())
+        .lt('payment_completed_at', end.toISOString())
+        .then(({ data, error }) => {
+          if (error) throw new Error(`Failed to load orders: ${error.message}`)
+          return data || []
+        }),
+    ])
+
+    // Processing fees are charged in each transaction's own currency
+    const feeSchedules: Record<string, FeeSchedule> = {}
+    for (const currency of new Set(transactions.map((txn) => normalizeCurrency(txn.currency)))) {
+      feeSchedules[currency] = await loadFeeSchedule(supabase, { currency })
+    }
+
+    const result = reconcileBalanceTransactions(
+      transactions,
+      { orders: [...chargedOrders, ...transferredOrders], payments, refunds, creatorPayouts },
+      feeSchedules,
+      periodOrders
+    )
+
+    // Already-reported discrepancies keep their status (and resolution note)
+    if (result.discrepancies.length > 0) {
+      const { error } = await supabase
+        .from('reconciliation_discrepancies')
+        .upsert(
+          result.discrepancies.map((d) => ({ ...d, run_id: runId })),
+          { onConflict: 'fingerprint', ignoreDuplicates: true }
+        )
+
+      if (error) throw new Error(`Failed to record discrepancies: ${error.message}`)
+    }
+
+    const summary = {
+      run_id: runId,
+      period_start: start.toISOString(),
+      period_end: end.toISOString(),
+      source: source.name,
+      transactions_seen: transactions.length,
+      matched_count: result.matched,
+      skipped_count: result.skipped,
+      discrepancy_count: result.discrepancies.length,
+    }
+
+    await supabase
+      .from('reconciliation_runs')
+      .update({
+        status: 'completed',
+        transactions_seen: summary.transactions_seen,
+        matched_count: summary.matched_count,
+        skipped_count: summary.skipped_count,
+        discrepancy_count: summary.discrepancy_count,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', runId)
+
+    console.log(`Reconciliation ${runId}: ${summary.matched_count} matched, ${summary.discrepancy_count} discrepancies`)
+
+    return json({ success: true, ...summary })
+  } catch (error) {
+    console.error('Stripe reconciliation error:', error)
+
+    if (runId) {
+      await supabase
+        .from('reconciliation_runs')
+        .update({
+          status: 'failed',
+          error_message: error.message,
+          completed_at: new Date().toISOString(),
+        })
+        .eq('id', runId)
+    }
+
+    return json({ error: error.message }, 500)
+  }
+})
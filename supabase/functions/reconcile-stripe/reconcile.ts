@@ -0,0 +1,281 @@
+/**
+ * Matching rules for the Stripe reconciliation job. Pure functions: the
+ * caller loads balance transactions (live Stripe or a fixture) and our
+ * records, and gets back discrepancies ready to upsert into
+ * reconciliation_discrepancies.
+ *
+ * Balance transactions are in minor units of their currency; our tables are
+ * in major units. Amounts are compared in the transaction's minor units, so
+ * zero-decimal currencies (JPY, KRW, ...) match exactly like two-decimal
+ * ones. Expected processing fees come from the shared fee engine, using the
+ * schedule for the transaction's currency.
+ */
+
+import { FeeSchedule, processingFee } from '../_shared/fees.ts'
+import { formatMoney, fromMinorUnits, normalizeCurrency, toMinorUnits } from '../_shared/currency.ts'
+
+export interface BalanceTransaction {
+  id: string
+  type: string
+  source: string | null
+  amount: number
+  fee: number
+  net: number
+  currency: string
+  created: number
+  available_on?: number
+  status?: string
+  description?: string | null
+}
+
+export interface OrderRecord {
+  id: string
+  stripe_charge_id: string | null
+  stripe_transfer_id: string | null
+  total_amount: number
+  creator_amount: number
+  status: string
+  payment_completed_at: string | null
+  currency?: string | null
+}
+
+export interface PaymentRecord {
+  id: string
+  stripe_charge_id: string | null
+  amount: number
+}
+
+export interface RefundRecord {
+  id: string
+  order_id: string
+  stripe_refund_id: string | null
+  refund_amount: number
+}
+
+export interface CreatorPayoutRecord {
+  id: string
+  stripe_transfer_id: string | null
+  creator_amount: number
+}
+
+export interface ReconciliationRecords {
+  orders: OrderRecord[]            // matched by charge or transfer, plus orders completed in the period
+  payments: PaymentRecord[]
+  refunds: RefundRecord[]
+  creatorPayouts: CreatorPayoutRecord[]
+}
+
+export type DiscrepancyType =
+  | 'missing_charge'
+  | 'unrecorded_charge'
+  | 'amount_mismatch'
+  | 'orphan_refund'
+  | 'orphan_transfer'
+  | 'fee_difference'
+
+export interface Discrepancy {
+  fingerprint: string
+  discrepancy_type: DiscrepancyType
+  description: string
+  currency: string
+  stripe_balance_transaction_id?: string
+  stripe_object_id?: string
+  order_id?: string
+  payment_id?: string
+  refund_id?: string
+  creator_payout_id?: string
+  expected_amount?: number   // major units of `currency`
+  actual_amount?: number
+  difference?: number
+  details?: Record<string, unknown>
+}
+
+export interface ReconciliationResult {
+  matched: number
+  skipped: number
+  discrepancies: Discrepancy[]
+}
+
+const CHARGE_TYPES = ['charge', 'payment']
+const REFUND_TYPES = ['refund', 'payment_refund']
+const TRANSFER_TYPES = ['transfer']
+
+// Percentage fees can legitimately round either way on half a minor unit
+const FEE_TOLERANCE_MINOR = 1
+
+const indexBy = <T>(rows: T[], key: keyof T) => {
+  const map = new Map<string, T>()
+  for (const row of rows) {
+    const value = row[key] as unknown as string | null
+    if (value) map.set(value, row)
+  }
+  return map
+}
+
+function amountMismatch(
+  txn: BalanceTransaction,
+  expected: number,
+  ids: Partial<Discrepancy>,
+  label: string
+): Discrepancy | null {
+  const currency = normalizeCurrency(txn.currency)
+  const actualMinor = Math.abs(txn.amount)
+  const expectedMinor = toMinorUnits(expected, currency)
+  if (actualMinor === expectedMinor) return null
+
+  return {
+    fingerprint: `amount_mismatch:${txn.source}`,
+    discrepancy_type: 'amount_mismatch',
+    description: `${label} ${txn.source}: Stripe settled ${formatMoney(actualMinor, currency)}, we recorded ${formatMoney(expectedMinor, currency)}`,
+    currency,
+    stripe_balance_transaction_id: txn.id,
+    stripe_object_id: txn.source ?? undefined,
+    expected_amount: fromMinorUnits(expectedMinor, currency),
+    actual_amount: fromMinorUnits(actualMinor, currency),
+    difference: fromMinorUnits(actualMinor - expectedMinor, currency),
+    ...ids,
+  }
+}
+
+/**
+ * Match one period's balance transactions against our records.
+ * feeSchedules holds the processing fee schedule for each transaction
+ * currency. periodOrders are the orders we marked completed inside the
+ * period; any of them without a settled charge is reported as
+ * missing_charge.
+ */
+export function reconcileBalanceTransactions(
+  transactions: BalanceTransaction[],
+  records: ReconciliationRecords,
+  feeSchedules: Record<string, FeeSchedule>,
+  periodOrders: OrderRecord[] = []
+): ReconciliationResult {
+  const ordersByCharge = indexBy(records.orders, 'stripe_charge_id')
+  const ordersByTransfer = indexBy(records.orders, 'stripe_transfer_id')
+  const paymentsByCharge = indexBy(records.payments, 'stripe_charge_id')
+  const refundsByStripeId = indexBy(records.refunds, 'stripe_refund_id')
+  const payoutsByTransfer = indexBy(records.creatorPayouts, 'stripe_transfer_id')
+
+  const discrepancies: Discrepancy[] = []
+  const settledCharges = new Set<string>()
+  let matched = 0
+  let skipped = 0
+
+  for (const txn of transactions) {
+    const source = txn.source
+    const currency = normalizeCurrency(txn.currency)
+    const amount = formatMoney(Math.abs(txn.amount), currency)
+
+    if (CHARGE_TYPES.includes(txn.type) && source) {
+      settledCharges.add(source)
+      const order = ordersByCharge.get(source)
+      const payment = order ? null : paymentsByCharge.get(source)
+
+      if (!order && !payment) {
+        discrepancies.push({
+          fingerprint: `unrecorded_charge:${source}`,
+          discrepancy_type: 'unrecorded_charge',
+          description: `Stripe charge ${source} for ${amount} has no matching order or payment`,
+          currency,
+          stripe_balance_transaction_id: txn.id,
+          stripe_object_id: source,
+          actual_amount: fromMinorUnits(txn.amount, currency),
+        })
+        continue
+      }
+
+      matched++
+      const ids = order ? { order_id: order.id } : { payment_id: payment!.id }
+      const mismatch = amountMismatch(txn, order ? order.total_amount : payment!.amount, ids, 'Charge')
+      if (mismatch) discrepancies.push(mismatch)
+
+      const feeSchedule = feeSchedules[currency]
+      const expectedFee = processingFee(txn.amount, feeSchedule)
+      if (Math.abs(txn.fee - expectedFee) > FEE_TOLERANCE_MINOR) {
+        discrepancies.push({
+          fingerprint: `fee_difference:${source}`,
+          discrepancy_type: 'fee_difference',
+          description: `Charge ${source}: Stripe fee ${formatMoney(txn.fee, currency)}, expected ${formatMoney(expectedFee, currency)}`,
+          currency,
+          stripe_balance_transaction_id: txn.id,
+          stripe_object_id: source,
+          expected_amount: fromMinorUnits(expectedFee, currency),
+          actual_amount: fromMinorUnits(txn.fee, currency),
+          difference: fromMinorUnits(txn.fee - expectedFee, currency),
+          details: { fee_schedule: feeSchedule.processing },
+          ...ids,
+        })
+      }
+      continue
+    }
+
+    if (REFUND_TYPES.includes(txn.type) && source) {
+      const refund = refundsByStripeId.get(source)
+
+      if (!refund) {
+        discrepancies.push({
+          fingerprint: `orphan_refund:${source}`,
+          discrepancy_type: 'orphan_refund',
+          description: `Stripe refund ${source} for ${amount} has no refund record`,
+          currency,
+          stripe_balance_transaction_id: txn.id,
+          stripe_object_id: source,
+          actual_amount: fromMinorUnits(Math.abs(txn.amount), currency),
+        })
+        continue
+      }
+
+      matched++
+      const mismatch = amountMismatch(txn, refund.refund_amount, { refund_id: refund.id, order_id: refund.order_id }, 'Refund')
+      if (mismatch) discrepancies.push(mismatch)
+      continue
+    }
+
+    if (TRANSFER_TYPES.includes(txn.type) && source) {
+      const payout = payoutsByTransfer.get(source)
+      const order = payout ? null : ordersByTransfer.get(source)
+
+      if (!payout && !order) {
+        discrepancies.push({
+          fingerprint: `orphan_transfer:${source}`,
+          discrepancy_type: 'orphan_transfer',
+          description: `Stripe transfer ${source} for ${amount} has no creator payout or order`,
+          currency,
+          stripe_balance_transaction_id: txn.id,
+          stripe_object_id: source,
+          actual_amount: fromMinorUnits(Math.abs(txn.amount), currency),
+        })
+        continue
+      }
+
+      matched++
+      const mismatch = payout
+        ? amountMismatch(txn, payout.creator_amount, { creator_payout_id: payout.id }, 'Transfer')
+        : amountMismatch(txn, order!.creator_amount, { order_id: order!.id }, 'Transfer')
+      if (mismatch) discrepancies.push(mismatch)
+      continue
+    }
+
+    // Bank payouts, Stripe billing fees, adjustments, ...
+    skipped++
+  }
+
+  for (const order of periodOrders) {
+    if (order.stripe_charge_id && settledCharges.has(order.stripe_charge_id)) continue
+
+    const currency = normalizeCurrency(order.currency)
+    const expectedMinor = toMinorUnits(order.total_amount, currency)
+
+    discrepancies.push({
+      fingerprint: `missing_charge:${order.id}`,
+      discrepancy_type: 'missing_charge',
+      description: `Order ${order.id} was completed for ${formatMoney(expectedMinor, currency)} but no Stripe charge settled in the period`,
+      currency,
+      order_id: order.id,
+      stripe_object_id: order.stripe_charge_id ?? undefined,
+      expected_amount: fromMinorUnits(expectedMinor, currency),
+    })
+  }
+
+  return { matched, skipped, discrepancies }
+}
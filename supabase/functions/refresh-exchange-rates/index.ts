@@ -0,0 +1,121 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+/**
+ * Daily reference exchange rates from the ECB euro foreign exchange feed,
+ * stored as cross rates between every pair of enabled currencies
+ * (database/multi_currency_schema.sql).
+ *
+ * Reference rates are only used to show entrants an approximate price in
+ * their own currency and to derive fixed fees for currencies without an
+ * override. Charges and payouts never use them; Stripe's own settlement
+ * rates are recorded on the payout instead.
+ *
+ * Called by pg_cron with the service role key, or by an admin from the app.
+ */
+
+const ECB_DAILY_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+async function authorize(req: Request): Promise<boolean> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return false
+  if (token === supabaseServiceKey) return true
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return false
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return !!profile?.is_admin
+}
+
+/**
+ * Parse the ECB daily feed into { asOf, rates } where rates are units of
+ * each currency per euro (lowercase codes, euro included at 1).
+ */
+export function parseEcbDaily(xml: string): { asOf: string; rates: Record<string, number> } {
+  const time = xml.match(/time=['"](\d{4}-\d{2}-\d{2})['"]/)
+  if (!time) throw new Error('ECB feed has no reference date')
+
+  const rates: Record<string, number> = { eur: 1 }
+  for (const match of xml.matchAll(/currency=['"]([A-Z]{3})['"]\s+rate=['"]([\d.]+)['"]/g)) {
+    rates[match[1].toLowerCase()] = Number(match[2])
+  }
+
+  return { asOf: `${time[1]}T16:00:00Z`, rates }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  if (!(await authorize(req))) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  try {
+    const response = await fetch(ECB_DAILY_URL)
+    if (!response.ok) {
+      throw new Error(`ECB feed returned ${response.status}`)
+    }
+
+    const { asOf, rates } = parseEcbDaily(await response.text())
+
+    const { data: currencies, error: currenciesError } = await supabase
+      .from('currencies')
+      .select('code')
+      .eq('enabled', true)
+
+    if (currenciesError) throw currenciesError
+
+    const codes = (currencies ?? []).map((c: { code: string }) => c.code).filter((code: string) => rates[code])
+    const missing = (currencies ?? []).map((c: { code: string }) => c.code).filter((code: string) => !rates[code])
+
+    const rows = codes.flatMap((base: string) =>
+      codes
+        .filter((quote: string) => quote !== base)
+        .map((quote: string) => ({
+          base_currency: base,
+          quote_currency: quote,
+          rate: Number((rates[quote] / rates[base]).toFixed(10)),
+          source: 'ecb',
+          as_of: asOf,
+        }))
+    )
+
+    const { error: upsertError } = await supabase
+      .from('exchange_rates')
+      .upsert(rows, { onConflict: 'base_currency,quote_currency,source,as_of' })
+
+    if (upsertError) throw upsertError
+
+    return json({ as_of: asOf, pairs: rows.length, missing })
+  } catch (error) {
+    console.error('Exchange rate refresh failed:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
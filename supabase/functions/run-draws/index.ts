@@ -0,0 +1,388 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  BEACON_ROUND_PENDING,
+  SELECTION_METHODS,
+  buildTicketRanges,
+  computeEntriesDigest,
+  drawWeightedWinners,
+  expandPrizeTiers,
+  resolveDrawSeed,
+} from '../_shared/fairness.ts'
+import { evaluateEligibility, getGiveawayRules } from '../_shared/eligibility.ts'
+import { GIVEAWAY_STATUS } from '../_shared/lifecycle.ts'
+
+/**
+ * Scheduled giveaway draws (database/giveaway_lifecycle_schema.sql). Runs
+ * the ticket-weighted verifiable draw of fairnessService.selectWeightedWinners
+ * with the service role, so ended giveaways are drawn without anyone opening
+ * the app. A giveaway is drawn once its committed beacon round is out; until
+ * then it is left for the next run.
+ *
+ * The proof is stored before anything else: fairness_proofs allows one per
+ * giveaway, so a draw that races another stops there, and a draw that died
+ * after storing it is finished from the stored proof rather than drawn again.
+ *
+ * POST { action, ... }
+ *   run   draw every ended giveaway that has no proof yet.
+ *         pg_cron every 5 minutes, or admins.
+ *   draw  { giveawayId }: draw one ended giveaway now
+ *         (webhookReliabilityService.handleGiveawayEnded). Admins.
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const DEFAULT_CLAIM_WINDOW_DAYS = 7
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+/**
+ * Completed entries that pass the giveaway's eligibility rules, in draw
+ * order (fairnessService.loadDrawContext), plus the ones excluded and why
+ */
+async function loadEligibleEntries(giveaway: any) {
+  const { data: entries, error } = await supabase
+    .from('entries')
+    .select('id, user_id, payment_id, order_id, ticket_count, entry_count, created_at')
+    .eq('giveaway_id', giveaway.id)
+    .eq('payment_status', 'completed')
+    .order('created_at')
+    .order('id')
+
+  if (error) throw new Error(`Failed to load entries: ${error.message}`)
+  if (!entries?.length) return { eligible: [], excluded: [] }
+
+  const { data: participants, error: participantsError } = await supabase
+    .rpc('giveaway_entrant_pseudonyms', { p_giveaway_id: giveaway.id })
+
+  if (participantsError) throw new Error(`Failed to load participants: ${participantsError.message}`)
+
+  const { data: rows, error: eligibilityError } = await supabase
+    .rpc('get_entry_eligibility', { p_giveaway_id: giveaway.id })
+
+  if (eligibilityError) throw new Error(`Eligibility check failed: ${eligibilityError.message}`)
+
+  const participantByUser = Object.fromEntries((participants || []).map((row: any) => [row.user_id, row.participant]))
+  const byEntry = Object.fromEntries((rows || []).map((row: any) => [row.entry_id, row]))
+  const rules = getGiveawayRules(giveaway)
+  const eligible: any[] = []
+  const excluded: any[] = []
+
+  for (const entry of entries) {
+    const row = byEntry[entry.id] || {}
+    const result = evaluateEligibility(rules, {
+      country: row.country,
+      state: row.state,
+      age: row.age_at_entry ?? undefined,
+    })
+
+    if (result.eligible) {
+      eligible.push({ ...entry, participant: participantByUser[entry.user_id] })
+    } else {
+      excluded.push({ entry_id: entry.id, reason: result.reason })
+    }
+  }
+
+  return { eligible, excluded }
+}
+
+/**
+ * Record the winners a stored proof names, reveal its seed and move the
+ * giveaway to drawn. Safe to run again for the same proof.
+ */
+async function finishDraw(giveaway: any, proof: any) {
+  const { error: seedError } = await supabase
+    .from('giveaway_seeds')
+    .update({ revealed: true, revealed_at: new Date().toISOString() })
+    .eq('id', proof.seed_id)
+    .eq('revealed', false)
+
+  if (seedError) throw new Error(`Failed to reveal seed: ${seedError.message}`)
+
+  const { count: recorded } = await supabase
+    .from('winners')
+    .select('id', { count: 'exact', head: true })
+    .eq('fairness_proof_id', proof.id)
+
+  const rankedWinners = proof.ranked_winners || []
+
+  if (!recorded) {
+    const { data: entries, error: entriesError } = await supabase
+      .from('entries')
+      .select('id, user_id')
+      .in('id', rankedWinners.map((winner: any) => winner.entry_id))
+
+    if (entriesError) throw new Error(`Failed to load winning entries: ${entriesError.message}`)
+
+    const userByEntry = Object.fromEntries((entries || []).map((entry: any) => [entry.id, entry.user_id]))
+    const claimDeadline = new Date(
+      Date.now() + (giveaway.claim_window_days || DEFAULT_CLAIM_WINDOW_DAYS) * 24 * 60 * 60 * 1000
+    ).toISOString()
+
+    const { error: winnersError } = await supabase
+      .from('winners')
+      .insert(rankedWinners.map((winner: any) => ({
+        giveaway_id: giveaway.id,
+        user_id: userByEntry[winner.entry_id],
+        entry_id: winner.entry_id,
+        position: winner.position,
+        prize_tier: winner.tier_name,
+        prize_description: winner.prize_description,
+        prize_value: winner.prize_value,
+        proof_rank: winner.rank,
+        winning_ticket: winner.ticket_number ?? null,
+        fairness_proof_id: proof.id,
+        claim_status: 'pending',
+        claim_deadline: claimDeadline,
+      })))
+
+    // 23505: a concurrent run recorded them first
+    if (winnersError && winnersError.code !== '23505') {
+      throw new Error(`Failed to store winners: ${winnersError.message}`)
+    }
+  }
+
+  const { error: giveawayError } = await supabase
+    .from('giveaways')
+    .update({
+      winner_id: proof.winner_user_id,
+      winner_selected_at: proof.verified_at,
+      fairness_proof_id: proof.id,
+    })
+    .eq('id', giveaway.id)
+
+  if (giveawayError) throw new Error(`Failed to update giveaway: ${giveawayError.message}`)
+
+  const { error: transitionError } = await supabase.rpc('transition_giveaway_status', {
+    p_giveaway_id: giveaway.id,
+    p_to_status: GIVEAWAY_STATUS.DRAWN,
+    p_reason: 'Winners drawn',
+  })
+
+  if (transitionError) throw new Error(`Failed to mark giveaway drawn: ${transitionError.message}`)
+
+  return { giveaway_id: giveaway.id, status: 'drawn', proof_id: proof.id, winners: rankedWinners.length }
+}
+
+async function findProof(giveawayId: string) {
+  const { data: proof, error } = await supabase
+    .from('fairness_proofs')
+    .select('*')
+    .eq('giveaway_id', giveawayId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load proof: ${error.message}`)
+  return proof
+}
+
+/**
+ * Draw one giveaway. Returns its outcome; failures are returned rather than
+ * thrown so one giveaway cannot hold up the rest of a run.
+ */
+async function drawGiveaway(giveawayId: string) {
+  try {
+    const { data: giveaway, error } = await supabase
+      .from('giveaways')
+      .select('id, status, prize_tiers, max_wins_per_user, claim_window_days, eligible_states, location_restrictions, minimum_age, age_restriction')
+      .eq('id', giveawayId)
+      .maybeSingle()
+
+    if (error) throw new Error(`Failed to load giveaway: ${error.message}`)
+    if (!giveaway) return { giveaway_id: giveawayId, status: 'missing' }
+
+    // Drawn already, or cancelled/frozen since it closed
+    if (giveaway.status !== GIVEAWAY_STATUS.ENDED) {
+      return { giveaway_id: giveawayId, status: 'skipped', giveaway_status: giveaway.status }
+    }
+
+    const existing = await findProof(giveawayId)
+    if (existing) return await finishDraw(giveaway, existing)
+
+    const { eligible, excluded } = await loadEligibleEntries(giveaway)
+    if (!eligible.length) {
+      return { giveaway_id: giveawayId, status: 'no_entries', excluded: excluded.length }
+    }
+
+    const { data: seedData, error: seedError } = await supabase
+      .from('giveaway_seeds')
+      .select('*')
+      .eq('giveaway_id', giveawayId)
+      .maybeSingle()
+
+    if (seedError) throw new Error(`Failed to load seed: ${seedError.message}`)
+    if (!seedData) throw new Error('Giveaway seed not found')
+
+    let drawSeed
+    try {
+      drawSeed = await resolveDrawSeed(seedData)
+    } catch (beaconError) {
+      if ((beaconError as any).code === BEACON_ROUND_PENDING) {
+        return { giveaway_id: giveawayId, status: 'beacon_pending', beacon_round: seedData.beacon_round }
+      }
+      throw beaconError
+    }
+
+    const slots = expandPrizeTiers(giveaway.prize_tiers)
+    const maxWinsPerUser = Math.max(1, parseInt(giveaway.max_wins_per_user, 10) || 1)
+    const ranges = buildTicketRanges(eligible)
+    const entriesDigest = await computeEntriesDigest(ranges)
+    const { winners, draws, totalTickets } = await drawWeightedWinners(
+      ranges,
+      drawSeed.value,
+      entriesDigest,
+      slots,
+      maxWinsPerUser
+    )
+
+    if (!winners.length) {
+      return { giveaway_id: giveawayId, status: 'no_entries', excluded: excluded.length }
+    }
+
+    const grandPrize = winners[0]
+
+    const { data: proof, error: proofError } = await supabase
+      .from('fairness_proofs')
+      .insert({
+        giveaway_id: giveawayId,
+        winner_entry_id: grandPrize.entry_id,
+        winner_user_id: eligible[grandPrize.entry_index].user_id,
+        seed_id: seedData.id,
+        seed_value: seedData.seed_value,
+        seed_hash: seedData.seed_hash,
+        total_entries: eligible.length,
+        winner_input: grandPrize.entry_input,
+        winner_hash: grandPrize.hmac_output,
+        winner_count: winners.length,
+        max_wins_per_user: maxWinsPerUser,
+        prize_tiers: giveaway.prize_tiers || [],
+        ranked_winners: winners,
+        beacon_source: drawSeed.beacon?.source || null,
+        beacon_round: drawSeed.beacon?.round || null,
+        beacon_value: drawSeed.beacon?.value || null,
+        eligibility_exclusions: excluded,
+        verified_at: new Date().toISOString(),
+        all_calculations: ranges,
+        selection_method: SELECTION_METHODS.TICKET_WEIGHTED,
+        total_tickets: totalTickets,
+        entries_digest: entriesDigest,
+        winning_ticket: grandPrize.ticket_number,
+        draw_rounds: draws,
+      })
+      .select()
+      .single()
+
+    if (proofError) {
+      // 23505: drawn by someone else since we looked; finish from their proof
+      if (proofError.code === '23505') {
+        const stored = await findProof(giveawayId)
+        if (stored) return await finishDraw(giveaway, stored)
+      }
+      throw new Error(`Failed to store fairness proof: ${proofError.message}`)
+    }
+
+    return await finishDraw(giveaway, proof)
+  } catch (error) {
+    console.error(`Draw for giveaway ${giveawayId} failed:`, error)
+    return { giveaway_id: giveawayId, status: 'failed', error: (error as Error).message }
+  }
+}
+
+async function runDraws() {
+  const { data: due, error } = await supabase
+    .from('giveaways')
+    .select('id')
+    .eq('status', GIVEAWAY_STATUS.ENDED)
+    .is('fairness_proof_id', null)
+    .order('ends_at')
+
+  if (error) throw new Error(`Failed to load ended giveaways: ${error.message}`)
+
+  const results = []
+  for (const { id } of due || []) {
+    results.push(await drawGiveaway(id))
+  }
+
+  return {
+    processed: results.length,
+    drawn: results.filter((r) => r.status === 'drawn').length,
+    pending: results.filter((r) => r.status === 'beacon_pending').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    results,
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  if (!caller.isAdmin) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    switch (body.action) {
+      case 'run':
+        return json(await runDraws())
+
+      case 'draw': {
+        if (!body.giveawayId) return json({ error: 'giveawayId is required' }, 400)
+
+        const result = await drawGiveaway(body.giveawayId)
+        return json(result, result.status === 'failed' ? 502 : 200)
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Draw run error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
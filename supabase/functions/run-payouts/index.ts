@@ -0,0 +1,345 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@13.8.0'
+import { escrowReleaseLines, postJournalEntry, transferLines } from '../_shared/ledger.ts'
+import { transferSettlement } from '../_shared/currency.ts'
+import { retryDelayMinutes } from '../_shared/payouts.ts'
+
+/**
+ * Scheduled creator payouts (database/payout_scheduler_schema.sql). A run
+ * gathers every giveaway past its escrow hold period with nothing holding
+ * it, and pays each creator with one Stripe transfer per giveaway. Every
+ * item has its own idempotency key for the escrow release and the transfer,
+ * so a run that dies part way is resumed without paying anyone twice.
+ *
+ * POST { action, ... }
+ *   run     create a run from whatever is due, then work through open items.
+ *           pg_cron daily, or admins.
+ *   resume  work through pending, failed (due a retry) and stalled items.
+ *           pg_cron every 15 minutes, or admins.
+ *   retry   { itemId }: run one item again now, whatever its attempt count.
+ *           Admins only.
+ */
+
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+})
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Automatic retries stop here and the run is flagged for an admin
+const MAX_ATTEMPTS = 5
+
+// Items per invocation; the resume job carries on with the rest
+const RUN_LIMIT = 50
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+async function updateItem(itemId: string, values: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('payout_run_items')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', itemId)
+
+  if (error) throw new Error(`Failed to update payout item ${itemId}: ${error.message}`)
+}
+
+// A transfer an earlier attempt created for this item, if any. Stripe only
+// remembers idempotency keys for a day, so a run resumed later looks for it.
+async function findTransfer(item: any): Promise<Stripe.Transfer | null> {
+  if (item.stripe_transfer_id) {
+    return await stripe.transfers.retrieve(item.stripe_transfer_id)
+  }
+
+  if (item.attempts <= 1) return null
+
+  const { data: transfers } = await stripe.transfers.list({
+    destination: item.stripe_account_id,
+    transfer_group: item.idempotency_key,
+    limit: 1,
+  })
+
+  return transfers[0] ?? null
+}
+
+/**
+ * Pay one item. Returns its outcome; failures are recorded on the item and
+ * scheduled for retry rather than thrown.
+ */
+async function runItem(itemId: string) {
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_payout_item', { p_item_id: itemId })
+
+  if (claimError) throw new Error(`Failed to claim payout item ${itemId}: ${claimError.message}`)
+
+  const item = claimed?.[0]
+  if (!item) {
+    const { data: current } = await supabase
+      .from('payout_run_items')
+      .select('status, skip_reason')
+      .eq('id', itemId)
+      .maybeSingle()
+
+    return { id: itemId, status: current?.status ?? 'missing', skip_reason: current?.skip_reason ?? null }
+  }
+
+  try {
+    if (!item.stripe_account_id) {
+      throw new Error('Creator has no Stripe account enabled for payouts')
+    }
+
+    const description = `Scheduled creator payout for giveaway ${item.giveaway_id}`
+
+    // Escrow moves to the creator's payable before any money does; the
+    // ledger refuses a release escrow can't cover
+    await postJournalEntry(supabase, {
+      idempotencyKey: item.idempotency_key,
+      entryType: 'escrow_release',
+      description,
+      giveawayId: item.giveaway_id,
+      referenceType: 'payout',
+      referenceId: item.payout_id,
+      currency: item.currency,
+      lines: escrowReleaseLines({
+        giveawayId: item.giveaway_id,
+        userId: item.creator_id,
+        amount: Number(item.amount),
+      }),
+      metadata: { payout_run_id: item.run_id, payout_run_item_id: item.id },
+    })
+
+    if (!item.released_at) {
+      await updateItem(item.id, { released_at: new Date().toISOString() })
+    }
+
+    let transfer = await findTransfer(item)
+    if (!transfer) {
+      transfer = await stripe.transfers.create({
+        amount: item.amount_minor,
+        currency: item.currency,
+        destination: item.stripe_account_id,
+        transfer_group: item.idempotency_key,
+        description,
+        metadata: {
+          payout_id: item.payout_id,
+          payout_run_item_id: item.id,
+          giveaway_id: item.giveaway_id,
+          payout_type: 'creator_revenue',
+        },
+      }, { idempotencyKey: item.idempotency_key })
+    }
+
+    await updateItem(item.id, { stripe_transfer_id: transfer.id })
+
+    const settlement = await transferSettlement(stripe, transfer, item.stripe_account_id)
+
+    await postJournalEntry(supabase, {
+      idempotencyKey: `transfer:${transfer.id}`,
+      entryType: 'creator_payout',
+      description: `Transfer ${transfer.id} to ${item.stripe_account_id}`,
+      giveawayId: item.giveaway_id,
+      referenceType: 'transfer',
+      referenceId: transfer.id,
+      currency: item.currency,
+      fx: settlement,
+      lines: transferLines({ userId: item.creator_id, amount: Number(item.amount) }),
+    })
+
+    const { error: payoutError } = await supabase
+      .from('payouts')
+      .update({
+        stripe_transfer_id: transfer.id,
+        status: 'processing',
+        processed_at: new Date().toISOString(),
+        ...settlement,
+      })
+      .eq('id', item.payout_id)
+
+    if (payoutError) throw new Error(`Failed to update payout ${item.payout_id}: ${payoutError.message}`)
+
+    await updateItem(item.id, {
+      status: 'completed',
+      error_message: null,
+      completed_at: new Date().toISOString(),
+    })
+
+    return {
+      id: item.id,
+      status: 'completed',
+      giveaway_id: item.giveaway_id,
+      stripe_transfer_id: transfer.id,
+      amount_minor: item.amount_minor,
+      currency: item.currency,
+    }
+  } catch (error) {
+    const message = (error as Error).message
+    console.error(`Payout item ${item.id} attempt ${item.attempts} failed:`, error)
+
+    await updateItem(item.id, {
+      status: 'failed',
+      error_message: message,
+      next_attempt_at: new Date(Date.now() + retryDelayMinutes(item.attempts) * 60_000).toISOString(),
+    })
+
+    return { id: item.id, status: 'failed', error: message, attempts: item.attempts }
+  }
+}
+
+async function finishRun(runId: string) {
+  const { data: rows } = await supabase
+    .from('payout_run_items')
+    .select('status, attempts')
+    .eq('run_id', runId)
+
+  const open = (rows || []).filter((r: any) => !['completed', 'skipped'].includes(r.status))
+  const exhausted = open.filter((r: any) => r.status === 'failed' && r.attempts >= MAX_ATTEMPTS)
+  const status = open.length === 0 ? 'completed' : exhausted.length === open.length ? 'needs_attention' : 'processing'
+
+  await supabase
+    .from('payout_runs')
+    .update({
+      status,
+      last_run_at: new Date().toISOString(),
+      completed_at: status === 'completed' ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', runId)
+
+  return { run_id: runId, status, remaining: open.length }
+}
+
+// Pending items, failed items due a retry, and items a dead run left in
+// 'processing' (claim_payout_item decides whether they are really stalled)
+async function resumeItems() {
+  const now = new Date().toISOString()
+
+  const { data: due, error } = await supabase
+    .from('payout_run_items')
+    .select('id, run_id')
+    .or(`status.eq.pending,status.eq.processing,and(status.eq.failed,attempts.lt.${MAX_ATTEMPTS},next_attempt_at.lte.${now})`)
+    .order('created_at')
+    .limit(RUN_LIMIT)
+
+  if (error) throw new Error(`Failed to load payout items: ${error.message}`)
+
+  const results = []
+  for (const { id } of due || []) {
+    results.push(await runItem(id))
+  }
+
+  const { data: openRuns } = await supabase
+    .from('payout_runs')
+    .select('id')
+    .in('status', ['pending', 'processing'])
+
+  const runIds = new Set([...(due || []).map((item: any) => item.run_id), ...(openRuns || []).map((run: any) => run.id)])
+
+  const runs = []
+  for (const runId of runIds) {
+    runs.push(await finishRun(runId))
+  }
+
+  return {
+    processed: results.length,
+    succeeded: results.filter((r) => r.status === 'completed').length,
+    failed: results.filter((r) => r.status === 'failed').length,
+    skipped: results.filter((r) => r.status === 'skipped').length,
+    runs,
+    results,
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  if (!caller.isAdmin) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    switch (body.action) {
+      case 'run': {
+        const { data: runId, error } = await supabase.rpc('create_payout_run', {
+          p_initiated_by: caller.userId,
+        })
+
+        if (error) throw new Error(`Failed to create payout run: ${error.message}`)
+
+        return json({ run_id: runId, ...(await resumeItems()) })
+      }
+
+      case 'resume':
+        return json(await resumeItems())
+
+      case 'retry': {
+        if (caller.isService) return json({ error: 'retry is for admins' }, 403)
+        if (!body.itemId) return json({ error: 'itemId is required' }, 400)
+
+        const result = await runItem(body.itemId)
+
+        const { data: item } = await supabase
+          .from('payout_run_items')
+          .select('run_id')
+          .eq('id', body.itemId)
+          .maybeSingle()
+
+        if (item) await finishRun(item.run_id)
+
+        return json(result, result.status === 'failed' ? 502 : 200)
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Payout run error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
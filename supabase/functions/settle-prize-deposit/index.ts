@@ -0,0 +1,375 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import Stripe from 'https://esm.sh/stripe@13.8.0'
+import { escrowReleaseLines, postJournalEntry, transferLines } from '../_shared/ledger.ts'
+import { fromMinorUnits, normalizeCurrency, transferSettlement } from '../_shared/currency.ts'
+import type { Settlement } from '../_shared/currency.ts'
+
+/**
+ * Prize deposit settlement (database/prize_deposit_schema.sql). A funded
+ * deposit leaves escrow exactly once, either back to the creator or to the
+ * winner. Each step is idempotent, so a settlement interrupted part way is
+ * finished by calling the same action again.
+ *
+ * POST { action, ... }
+ *   refund      { giveawayId }: refund the deposit to the creator's card once
+ *               the giveaway is fulfilled or cancelled. The creator, admins,
+ *               or the prize_deposit.release job.
+ *   pay_winner  { giveawayId, winnerId }: pay the deposit to a claimed winner
+ *               as a cash alternative to the prize. Admins.
+ */
+
+const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
+  apiVersion: '2023-10-16',
+})
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const SETTLED = ['refunded', 'paid_to_winner']
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+async function loadGiveaway(giveawayId: string) {
+  if (!giveawayId) throw new Error('giveawayId is required')
+
+  const { data: giveaway, error } = await supabase
+    .from('giveaways')
+    .select('id, title, status, creator_id, currency, prize_deposit_status, prize_deposit_minor, prize_deposit_payment_id, prize_deposit_payout_id, prize_deposit_settled_at, payment:payments!prize_deposit_payment_id(id, amount, stripe_payment_intent_id)')
+    .eq('id', giveawayId)
+    .single()
+
+  if (error || !giveaway) throw new Error('Giveaway not found')
+  return giveaway
+}
+
+const summary = (giveaway: any) => ({
+  giveawayId: giveaway.id,
+  status: giveaway.prize_deposit_status,
+  amountMinor: giveaway.prize_deposit_minor,
+  currency: normalizeCurrency(giveaway.currency),
+  payoutId: giveaway.prize_deposit_payout_id,
+  settledAt: giveaway.prize_deposit_settled_at,
+})
+
+async function beginSettlement(giveawayId: string, outcome: 'refunding' | 'paying_winner') {
+  const { error } = await supabase.rpc('begin_prize_deposit_settlement', {
+    p_giveaway_id: giveawayId,
+    p_outcome: outcome,
+  })
+
+  if (error) throw new Error(`Failed to release the prize deposit: ${error.message}`)
+}
+
+async function markSettled(giveawayId: string, from: string, to: string) {
+  const { error } = await supabase
+    .from('giveaways')
+    .update({ prize_deposit_status: to, prize_deposit_settled_at: new Date().toISOString() })
+    .eq('id', giveawayId)
+    .eq('prize_deposit_status', from)
+
+  if (error) throw new Error(`Failed to record prize deposit settlement: ${error.message}`)
+}
+
+// A live Stripe refund an earlier attempt created for this deposit, if any,
+// and how many attempts failed
+async function findDepositRefund(giveawayId: string, paymentIntentId: string) {
+  let failed = 0
+
+  for await (const candidate of stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 })) {
+    if (candidate.metadata?.prize_deposit_giveaway_id !== giveawayId) continue
+    if (['failed', 'canceled'].includes(candidate.status ?? '')) {
+      failed++
+    } else {
+      return { refund: candidate, failed }
+    }
+  }
+
+  return { refund: null, failed }
+}
+
+async function refundDeposit(giveaway: any) {
+  // Nothing was paid, or it has already left escrow
+  if (!giveaway.prize_deposit_payment_id || SETTLED.includes(giveaway.prize_deposit_status)) {
+    return summary(giveaway)
+  }
+
+  if (!['fulfilled', 'cancelled'].includes(giveaway.status)) {
+    throw new Error(`The prize deposit is refunded once the giveaway is fulfilled or cancelled; it is ${giveaway.status}`)
+  }
+  if (!giveaway.payment?.stripe_payment_intent_id) {
+    throw new Error('The prize deposit payment has no Stripe payment intent')
+  }
+
+  const currency = normalizeCurrency(giveaway.currency)
+  const amount = giveaway.payment.amount
+
+  await beginSettlement(giveaway.id, 'refunding')
+
+  // Out of escrow into refunds owed, then settled when Stripe returns it
+  await postJournalEntry(supabase, {
+    idempotencyKey: `prize_deposit_refund:${giveaway.id}`,
+    entryType: 'refund',
+    description: `Prize deposit refunded for ${giveaway.title}`,
+    giveawayId: giveaway.id,
+    referenceType: 'payment',
+    referenceId: giveaway.payment.id,
+    currency,
+    lines: escrowReleaseLines({ giveawayId: giveaway.id, userId: giveaway.creator_id, amount, payable: 'refunds' }),
+  })
+
+  const paymentIntentId = giveaway.payment.stripe_payment_intent_id
+  const earlier = await findDepositRefund(giveaway.id, paymentIntentId)
+  let refund = earlier.refund
+
+  if (!refund) {
+    refund = await stripe.refunds.create({
+      payment_intent: paymentIntentId,
+      amount: giveaway.prize_deposit_minor,
+      metadata: {
+        giveaway_id: giveaway.id,
+        prize_deposit_giveaway_id: giveaway.id,
+      },
+    }, { idempotencyKey: `prize_deposit_refund_${giveaway.id}_${earlier.failed + 1}` })
+  }
+
+  // Pending refunds are settled by stripe-webhook on charge.refund.updated
+  if (refund.status === 'succeeded') {
+    await postJournalEntry(supabase, {
+      idempotencyKey: `refund_settled:${refund.id}`,
+      entryType: 'refund_settled',
+      description: `Refund ${refund.id} settled by Stripe`,
+      giveawayId: giveaway.id,
+      referenceType: 'refund',
+      referenceId: refund.id,
+      currency,
+      lines: transferLines({ amount: fromMinorUnits(refund.amount, currency), payable: 'refunds' }),
+    })
+
+    await markSettled(giveaway.id, 'refunding', 'refunded')
+  }
+
+  return { ...summary(await loadGiveaway(giveaway.id)), stripeRefundId: refund.id }
+}
+
+async function loadWinnerPayout(giveaway: any, winner: any) {
+  if (giveaway.prize_deposit_payout_id) {
+    const { data: payout, error } = await supabase
+      .from('payouts')
+      .select('*')
+      .eq('id', giveaway.prize_deposit_payout_id)
+      .single()
+
+    if (error || !payout) throw new Error('Prize deposit payout not found')
+    if (payout.recipient_id !== winner.user_id) {
+      throw new Error('The prize deposit is already being paid to another winner')
+    }
+    return payout
+  }
+
+  const currency = normalizeCurrency(giveaway.currency)
+  const { data: escrow } = await supabase
+    .from('escrow_accounts')
+    .select('id')
+    .eq('giveaway_id', giveaway.id)
+    .single()
+
+  const { data: payout, error } = await supabase
+    .from('payouts')
+    .insert({
+      recipient_id: winner.user_id,
+      giveaway_id: giveaway.id,
+      escrow_account_id: escrow?.id ?? null,
+      payout_type: 'winner_prize',
+      amount: giveaway.payment.amount,
+      amount_minor: giveaway.prize_deposit_minor,
+      currency,
+    })
+    .select()
+    .single()
+
+  if (error) throw new Error(`Failed to create payout record: ${error.message}`)
+
+  const { error: linkError } = await supabase
+    .from('giveaways')
+    .update({ prize_deposit_payout_id: payout.id })
+    .eq('id', giveaway.id)
+
+  if (linkError) throw new Error(`Failed to link prize deposit payout: ${linkError.message}`)
+
+  return payout
+}
+
+async function payWinner(giveaway: any, winnerId: string, initiatedBy: string | null) {
+  if (SETTLED.includes(giveaway.prize_deposit_status)) {
+    throw new Error(`The prize deposit is already ${giveaway.prize_deposit_status.replace(/_/g, ' ')}`)
+  }
+  if (giveaway.status !== 'drawn') {
+    throw new Error(`A cash alternative is paid while the prize awaits fulfillment; the giveaway is ${giveaway.status}`)
+  }
+
+  const { data: winner, error: winnerError } = await supabase
+    .from('winners')
+    .select('id, user_id, giveaway_id, claim_status')
+    .eq('id', winnerId)
+    .single()
+
+  if (winnerError || !winner || winner.giveaway_id !== giveaway.id) {
+    throw new Error('Winner record not found for this giveaway')
+  }
+  if (winner.claim_status !== 'claimed') {
+    throw new Error('Only a claimed prize can be paid as a cash alternative')
+  }
+
+  const { data: recipient, error: recipientError } = await supabase
+    .from('profiles')
+    .select('id, email, stripe_account_id, stripe_account_enabled')
+    .eq('id', winner.user_id)
+    .single()
+
+  if (recipientError || !recipient) throw new Error('Winner profile not found')
+
+  const currency = normalizeCurrency(giveaway.currency)
+  const amount = giveaway.payment.amount
+
+  await beginSettlement(giveaway.id, 'paying_winner')
+  const payout = await loadWinnerPayout(giveaway, winner)
+
+  await postJournalEntry(supabase, {
+    idempotencyKey: `payout:${payout.id}`,
+    entryType: 'escrow_release',
+    description: `Prize deposit paid to ${recipient.email} as a cash alternative`,
+    giveawayId: giveaway.id,
+    referenceType: 'payout',
+    referenceId: payout.id,
+    currency,
+    lines: escrowReleaseLines({ giveawayId: giveaway.id, userId: winner.user_id, amount, payable: 'winner_payable' }),
+  })
+
+  let settlement: Settlement | null = null
+  let transferId: string | null = payout.stripe_transfer_id
+
+  // Without a connected account the amount stays on the winner's payable
+  // and the payout waits for manual processing, as in process-payout
+  if (!transferId && recipient.stripe_account_id && recipient.stripe_account_enabled) {
+    const transfer = await stripe.transfers.create({
+      amount: giveaway.prize_deposit_minor,
+      currency,
+      destination: recipient.stripe_account_id,
+      metadata: {
+        payout_id: payout.id,
+        giveaway_id: giveaway.id,
+        payout_type: 'winner_prize',
+      },
+    }, { idempotencyKey: `payout_${payout.id}` })
+
+    transferId = transfer.id
+    settlement = await transferSettlement(stripe, transfer, recipient.stripe_account_id)
+
+    await postJournalEntry(supabase, {
+      idempotencyKey: `transfer:${transfer.id}`,
+      entryType: 'payout',
+      description: `Cash alternative transfer to ${recipient.email}`,
+      giveawayId: giveaway.id,
+      referenceType: 'payout',
+      referenceId: payout.id,
+      lines: transferLines({ userId: winner.user_id, amount, payable: 'winner_payable' }),
+      currency,
+      fx: settlement,
+    })
+  }
+
+  const { error: payoutError } = await supabase
+    .from('payouts')
+    .update({
+      stripe_transfer_id: transferId,
+      status: transferId ? 'processing' : 'pending',
+      stripe_account_id: recipient.stripe_account_id,
+      initiated_by: payout.initiated_by ?? initiatedBy,
+      ...(settlement ?? {}),
+    })
+    .eq('id', payout.id)
+
+  if (payoutError) throw new Error(`Failed to update payout: ${payoutError.message}`)
+
+  await markSettled(giveaway.id, 'paying_winner', 'paid_to_winner')
+
+  return { ...summary(await loadGiveaway(giveaway.id)), stripeTransferId: transferId, payoutStatus: transferId ? 'processing' : 'pending' }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+    const giveaway = await loadGiveaway(body.giveawayId)
+
+    switch (body.action) {
+      case 'refund':
+        if (!caller.isAdmin && giveaway.creator_id !== caller.userId) {
+          return json({ error: 'Unauthorized to settle this prize deposit' }, 403)
+        }
+        return json(await refundDeposit(giveaway))
+
+      case 'pay_winner':
+        if (!caller.isAdmin) {
+          return json({ error: 'Unauthorized: Admin access required' }, 403)
+        }
+        if (!body.winnerId) {
+          return json({ error: 'winnerId is required' }, 400)
+        }
+        return json(await payWinner(giveaway, body.winnerId, caller.userId))
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Prize deposit settlement error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
@@ -1,6 +1,28 @@
 import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
 import Stripe from 'https://esm.sh/stripe@13.8.0'
+import {
+  entryPurchaseLines,
+  fromMinorUnits,
+  postJournalEntry,
+  prizeDepositLines,
+  refundLines,
+  roundMoney,
+  transferLines,
+} from '../_shared/ledger.ts'
+import { formatMoney, normalizeCurrency } from '../_shared/currency.ts'
+import { findDisputedPurchase, priceDisputeLoss, syncDispute } from '../_shared/disputes.ts'
+
+/**
+ * Stripe webhook endpoint. Every event is recorded in webhook_deliveries
+ * under its event id (database/stripe_webhook_schema.sql), so a redelivered
+ * event that already succeeded, or is running, is acknowledged without
+ * running again (claim_webhook_event). A failed event gets a non-2xx
+ * response, which Stripe redelivers, and is left 'retrying' for
+ * webhookReliabilityService, which replays it through POST { action:
+ * 'replay', eventId, eventType } (admins or the service role, no Stripe
+ * signature).
+ */
 
 const stripe = new Stripe(Deno.env.get('STRIPE_SECRET_KEY') || '', {
   apiVersion: '2023-10-16',
@@ -17,125 +39,212 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+// When a failed event is next due for a replay, matching
+// update_webhook_delivery_status
+const RETRY_DELAY_MS = 5 * 60_000
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+async function notifyUser(userId: string, notification: { type: string; title: string; message: string; priority?: string }) {
+  const { error } = await supabase
+    .from('notifications')
+    .insert({
+      user_id: userId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: {
+        actionRequired: true,
+        priority: notification.priority || 'normal'
+      },
+      read: false
+    })
+
+  if (error) {
+    console.error(`Failed to notify user ${userId}:`, error)
+  }
+}
+
 async function handlePaymentIntentSucceeded(paymentIntent: Stripe.PaymentIntent) {
+  // Intents created by create-payment-intent carry a payments row id;
+  // Connect checkout intents carry an order id
+  if (paymentIntent.metadata.payment_id) {
+    return handlePaymentRecordSucceeded(paymentIntent)
+  }
+
   const orderId = paymentIntent.metadata.order_id
-  const giveawayId = paymentIntent.metadata.giveaway_id
   const userId = paymentIntent.metadata.user_id
-  const creatorId = paymentIntent.metadata.creator_id
   const entryCount = parseInt(paymentIntent.metadata.entry_count || '1')
 
   console.log(`Processing successful payment: ${paymentIntent.id}`)
 
-  try {
-    // Update order status to completed
-    const { error: orderError } = await supabase
-      .from('orders')
-      .update({
-        status: 'completed',
-        stripe_charge_id: paymentIntent.latest_charge as string,
-        payment_completed_at: new Date().toISOString()
-      })
-      .eq('stripe_payment_intent_id', paymentIntent.id)
+  // Update order status to completed
+  const { data: order, error: orderError } = await supabase
+    .from('orders')
+    .update({
+      status: 'completed',
+      stripe_charge_id: paymentIntent.latest_charge as string,
+      payment_completed_at: new Date().toISOString()
+    })
+    .eq('stripe_payment_intent_id', paymentIntent.id)
+    .select()
+    .single()
+
+  if (orderError || !order) {
+    throw new Error(`Failed to update order: ${orderError?.message ?? 'order not found'}`)
+  }
 
-    if (orderError) {
-      throw new Error(`Failed to update order: ${orderError.message}`)
-    }
+  // Ledger failures are rethrown so Stripe retries the event; the order
+  // update and the posting are both idempotent
+  await postJournalEntry(supabase, {
+    idempotencyKey: `order:${order.id}`,
+    entryType: 'entry_purchase',
+    description: `${entryCount} entries purchased by ${userId}`,
+    giveawayId: order.giveaway_id,
+    referenceType: 'order',
+    referenceId: order.id,
+    currency: order.currency,
+    lines: entryPurchaseLines({
+      giveawayId: order.giveaway_id,
+      gross: order.total_amount,
+      platformFee: order.platform_fee,
+      stripeFee: roundMoney(order.total_amount - order.platform_fee - order.creator_amount),
+    }),
+    metadata: { stripe_payment_intent_id: paymentIntent.id },
+  })
+
+  // The creator's share stays in escrow; run-payouts pays it out once the
+  // hold period, holds, disputes, refunds and fulfillment allow
+  console.log(`Order ${orderId} completed successfully`)
+}
 
-    // Get creator's Connect account
-    const { data: connectAccount } = await supabase
-      .from('stripe_connect_accounts')
-      .select('stripe_account_id, payouts_enabled')
-      .eq('user_id', creatorId)
-      .single()
+async function handlePaymentRecordSucceeded(paymentIntent: Stripe.PaymentIntent) {
+  const paymentId = paymentIntent.metadata.payment_id
+  const giveawayId = paymentIntent.metadata.giveaway_id
+  const userId = paymentIntent.metadata.user_id
+  const paymentType = paymentIntent.metadata.payment_type
+  const entryCount = parseInt(paymentIntent.metadata.entry_count || '1')
 
-    // If creator has Connect account set up, transfer funds
-    if (connectAccount?.stripe_account_id && connectAccount.payouts_enabled) {
-      const creatorAmount = parseInt(paymentIntent.metadata.creator_amount || '0')
-      
-      try {
-        const transfer = await stripe.transfers.create({
-          amount: creatorAmount,
-          currency: 'usd',
-          destination: connectAccount.stripe_account_id,
-          transfer_group: `giveaway_${giveawayId}`,
-          metadata: {
-            giveaway_id: giveawayId,
-            order_id: orderId,
-            creator_id: creatorId
-          }
-        })
+  console.log(`Processing successful ${paymentType} payment: ${paymentIntent.id}`)
 
-        // Update order with transfer information
-        await supabase
-          .from('orders')
-          .update({
-            stripe_transfer_id: transfer.id,
-            transfer_completed_at: new Date().toISOString()
-          })
-          .eq('stripe_payment_intent_id', paymentIntent.id)
-
-        console.log(`Transferred ${creatorAmount/100} to creator ${creatorId}`)
-      } catch (transferError) {
-        console.error('Transfer failed:', transferError)
-        // Don't throw - payment was successful, transfer can be retried
-      }
-    }
+  const { data: payment, error: loadError } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('id', paymentId)
+    .single()
 
-    console.log(`Order ${orderId} completed successfully`)
+  if (loadError || !payment) {
+    throw new Error(`Payment ${paymentId} not found`)
+  }
 
-  } catch (error) {
-    console.error('Error processing payment success:', error)
-    // Don't throw - we want to acknowledge receipt to Stripe
-  }
-          entry_count: entryCount,
-          total_cost: paymentIntent.amount / 100, // Convert from cents
-          status: 'active',
-          payment_id: paymentId,
-          payment_status: 'completed',
-          entry_data: {
-            ticket_numbers: Array.from({ length: entryCount }, (_, i) => i + 1),
-            purchase_date: new Date().toISOString()
-          }
-        })
+  // Escrow and the journal move together; a failed posting is retried by Stripe
+  await postJournalEntry(supabase, {
+    idempotencyKey: `payment:${payment.id}`,
+    entryType: paymentType,
+    description: payment.description || `${paymentType} payment`,
+    giveawayId,
+    referenceType: 'payment',
+    referenceId: payment.id,
+    currency: payment.currency,
+    lines: paymentType === 'prize_deposit'
+      ? prizeDepositLines({ giveawayId, amount: payment.amount })
+      : entryPurchaseLines({
+          giveawayId,
+          gross: payment.amount,
+          platformFee: payment.platform_fee_amount || 0,
+          stripeFee: roundMoney(payment.amount - (payment.platform_fee_amount || 0) - (payment.net_amount ?? payment.amount)),
+        }),
+    metadata: { stripe_payment_intent_id: paymentIntent.id },
+  })
+
+  // Move the deposit into the escrow reserve and let the giveaway launch.
+  // Repeats are no-ops, so this runs on retried events too.
+  if (paymentType === 'prize_deposit') {
+    const { error: depositError } = await supabase.rpc('record_prize_deposit', {
+      p_giveaway_id: giveawayId,
+      p_payment_id: payment.id,
+    })
+
+    if (depositError) {
+      throw new Error(`Failed to record prize deposit: ${depositError.message}`)
+    }
+  }
 
-      if (entryError) {
-        throw new Error(`Failed to create entries: ${entryError.message}`)
-      }
+  if (paymentType === 'entry_purchase') {
+    // Adds the tickets to the buyer's entry and completes the payment in one
+    // transaction; an error is rethrown so Stripe retries the event, and a
+    // retry after success changes nothing
+    const { data: recorded, error: entryError } = await supabase.rpc('record_purchase_entry', {
+      p_payment_id: paymentId,
+      p_entry_count: entryCount,
+      p_stripe_charge_id: paymentIntent.latest_charge as string,
+    })
+
+    if (entryError) {
+      throw new Error(`Failed to create entries: ${entryError.message}`)
+    }
 
-      // Update giveaway sold tickets count
-      const { error: giveawayError } = await supabase
-        .rpc('increment_sold_tickets', {
-          giveaway_id: giveawayId,
-          ticket_count: entryCount
-        })
+    if (!recorded) {
+      return
+    }
 
-      if (giveawayError) {
-        console.error('Failed to update sold tickets:', giveawayError)
-      }
+    // Update giveaway sold tickets count
+    const { error: giveawayError } = await supabase
+      .rpc('increment_sold_tickets', {
+        giveaway_id: giveawayId,
+        ticket_count: entryCount
+      })
 
-      console.log(`Created ${entryCount} entries for user ${userId} in giveaway ${giveawayId}`)
+    if (giveawayError) {
+      console.error('Failed to update sold tickets:', giveawayError)
     }
 
-    if (paymentType === 'prize_deposit') {
-      // Update giveaway prize deposit status
-      const { error: giveawayError } = await supabase
-        .from('giveaways')
-        .update({
-          prize_deposited: true,
-          prize_deposit_date: new Date().toISOString()
-        })
-        .eq('id', giveawayId)
-
-      if (giveawayError) {
-        throw new Error(`Failed to update giveaway prize status: ${giveawayError.message}`)
-      }
+    console.log(`Added ${entryCount} entries for user ${userId} in giveaway ${giveawayId}`)
+    return
+  }
 
-      console.log(`Prize deposited for giveaway ${giveawayId}`)
-    }
+  if (payment.status === 'completed') {
+    return
+  }
 
-  } catch (error) {
-    console.error('Error processing payment success:', error)
-    // Don't throw - we want to acknowledge receipt to Stripe
+  const { error: paymentError } = await supabase
+    .from('payments')
+    .update({
+      status: 'completed',
+      stripe_charge_id: paymentIntent.latest_charge as string,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', paymentId)
+
+  if (paymentError) {
+    throw new Error(`Failed to update payment: ${paymentError.message}`)
   }
 }
 
@@ -180,6 +289,23 @@ async function handleAccountUpdated(account: Stripe.Account) {
       console.error('Failed to update user Stripe account:', error)
     }
 
+    // Payouts settle in the account's default currency
+    const { error: connectError } = await supabase
+      .from('stripe_connect_accounts')
+      .update({
+        country: account.country,
+        default_currency: normalizeCurrency(account.default_currency),
+        payouts_enabled: account.payouts_enabled,
+        charges_enabled: account.charges_enabled,
+        details_submitted: account.details_submitted,
+        updated_at: new Date().toISOString()
+      })
+      .eq('stripe_account_id', account.id)
+
+    if (connectError) {
+      console.error('Failed to update Connect account:', connectError)
+    }
+
   } catch (error) {
     console.error('Error processing account update:', error)
   }
@@ -209,6 +335,493 @@ async function handleTransferCreated(transfer: Stripe.Transfer) {
   }
 }
 
+// Refunds we issue carry a refunds row id, an order id (from before the
+// refund engine) or the prize deposit's giveaway
+const isOurRefund = (refund: Stripe.Refund) =>
+  !!(refund.metadata?.refund_id || refund.metadata?.order_id || refund.metadata?.prize_deposit_giveaway_id)
+
+// The refund has left the platform balance: settle the refunds payable
+async function postRefundSettled(refund: Stripe.Refund, giveawayId: string | null) {
+  await postJournalEntry(supabase, {
+    idempotencyKey: `refund_settled:${refund.id}`,
+    entryType: 'refund_settled',
+    description: `Refund ${refund.id} settled by Stripe`,
+    giveawayId,
+    referenceType: 'refund',
+    referenceId: refund.id,
+    currency: refund.currency,
+    lines: transferLines({ amount: fromMinorUnits(refund.amount, refund.currency), payable: 'refunds' }),
+  })
+}
+
+async function findRefundRow(stripeRefundId: string) {
+  const { data, error } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('stripe_refund_id', stripeRefundId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load refund for ${stripeRefundId}: ${error.message}`)
+  return data
+}
+
+/**
+ * Record a refund issued from the Stripe dashboard the way the refund engine
+ * records its own: a refunds row, the refund-owed and settled journal
+ * entries, and the refunded tickets voided. A dashboard refund can be any
+ * amount, so it is split pro rata against the purchase (as a lost dispute
+ * is) and voids only the tickets it covers in full. The creator's share
+ * comes out of escrow, or out of their payable when it was already paid
+ * out; no transfer is reversed. Every step is idempotent, so charge.refunded
+ * and charge.refund.updated for the same refund can both land here.
+ */
+async function recordDashboardRefund(refund: Stripe.Refund) {
+  // A pending refund is recorded when charge.refund.updated reports it settled
+  if (refund.status !== 'succeeded') {
+    console.log(`Dashboard refund ${refund.id} is ${refund.status}; recording it once it succeeds`)
+    return
+  }
+
+  const paymentIntentId = typeof refund.payment_intent === 'string'
+    ? refund.payment_intent
+    : refund.payment_intent?.id
+
+  const purchase = paymentIntentId ? await findDisputedPurchase(supabase, paymentIntentId) : null
+  if (!purchase) {
+    console.log(`Refund ${refund.id} is not on a giveaway purchase; ignoring`)
+    return
+  }
+
+  const currency = purchase.currency
+  const major = (minor: number) => fromMinorUnits(minor, currency)
+
+  let row = await findRefundRow(refund.id)
+  if (!row) {
+    const { data: refunded } = await supabase
+      .from(purchase.kind === 'order' ? 'orders' : 'payments')
+      .select('refunded_ticket_count, refunded_amount_minor')
+      .eq('id', purchase.id)
+      .single()
+
+    const remaining = Math.max(0, purchase.tickets - (refunded?.refunded_ticket_count ?? 0))
+    const remainingMinor = purchase.grossMinor - (refunded?.refunded_amount_minor ?? 0)
+    const tickets = refund.amount >= remainingMinor
+      ? remaining
+      : Math.min(remaining, Math.floor((refund.amount * purchase.tickets) / purchase.grossMinor))
+    const split = priceDisputeLoss(purchase, refund.amount)
+
+    const { error } = await supabase
+      .from('refunds')
+      .insert({
+        order_id: purchase.kind === 'order' ? purchase.id : null,
+        payment_id: purchase.kind === 'payment' ? purchase.id : null,
+        giveaway_id: purchase.giveawayId,
+        user_id: purchase.userId,
+        purchase_key: `${purchase.kind}:${purchase.id}`,
+        cause: 'admin',
+        reason: `Refunded from the Stripe dashboard${refund.reason ? ` (${refund.reason})` : ''}`,
+        status: 'submitted',
+        stripe_refund_id: refund.id,
+        ticket_count: tickets > 0 ? tickets : null,
+        refund_type: tickets > 0 && tickets === remaining ? 'full' : 'partial',
+        currency,
+        amount_minor: split.amountMinor,
+        creator_amount_minor: split.creatorMinor,
+        platform_fee_minor: split.platformFeeMinor,
+        processing_fee_minor: split.processingFeeMinor,
+        fees_borne_by: 'platform',
+        amount: major(split.amountMinor),
+        refund_amount: major(split.amountMinor),
+        attempts: 1,
+        processed_at: new Date(refund.created * 1000).toISOString(),
+        // Less than a ticket's worth: money only, nothing to void
+        applied_at: tickets > 0 ? null : new Date().toISOString(),
+      })
+
+    // 23505: the other event for this refund recorded it first
+    if (error && error.code !== '23505') {
+      throw new Error(`Failed to record dashboard refund ${refund.id}: ${error.message}`)
+    }
+
+    row = await findRefundRow(refund.id)
+  }
+
+  const entry = (fromEscrow: boolean) => ({
+    idempotencyKey: `refund:${row.id}`,
+    entryType: 'refund',
+    description: `Dashboard refund ${refund.id} of ${purchase.kind} ${purchase.id}`,
+    giveawayId: purchase.giveawayId,
+    referenceType: purchase.kind,
+    referenceId: purchase.id,
+    currency,
+    lines: refundLines({
+      giveawayId: purchase.giveawayId,
+      creatorId: purchase.creatorId,
+      fromEscrow: fromEscrow ? major(row.creator_amount_minor) : 0,
+      fromCreator: fromEscrow ? 0 : major(row.creator_amount_minor),
+      platformFee: major(row.platform_fee_minor),
+      absorbedStripeFee: major(row.processing_fee_minor),
+    }),
+    metadata: { refund_id: row.id, cause: row.cause, fees_borne_by: row.fees_borne_by, source: 'stripe_dashboard' },
+  })
+
+  // The creator's share is still in escrow unless it went out with the
+  // order or in a payout; then it is owed back by the creator
+  try {
+    await postJournalEntry(supabase, entry(!purchase.transferId))
+  } catch (error) {
+    if (purchase.transferId || !/Insufficient funds in escrow/.test((error as Error).message)) throw error
+    await postJournalEntry(supabase, entry(false))
+  }
+
+  if (!row.applied_at) {
+    const { error: applyError } = await supabase.rpc('apply_refund', { p_refund_id: row.id })
+    if (applyError) throw new Error(`Failed to void refunded tickets: ${applyError.message}`)
+  }
+
+  await postRefundSettled(refund, purchase.giveawayId)
+
+  if (row.status !== 'completed') {
+    const { error } = await supabase
+      .from('refunds')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', row.id)
+
+    if (error) throw new Error(`Failed to complete refund ${row.id}: ${error.message}`)
+  }
+
+  console.log(`Recorded dashboard refund ${refund.id} of ${formatMoney(refund.amount, currency)} on ${purchase.kind} ${purchase.id}`)
+}
+
+async function handleChargeRefunded(charge: Stripe.Charge) {
+  console.log(`Processing refunded charge: ${charge.id}`)
+
+  // Charges only embed their refunds on API versions before 2022-11-15
+  const refunds: Stripe.Refund[] = charge.refunds && !charge.refunds.has_more
+    ? charge.refunds.data
+    : await stripe.refunds.list({ charge: charge.id, limit: 100 }).autoPagingToArray({ limit: 1000 })
+
+  for (const refund of refunds) {
+    if (!isOurRefund(refund)) {
+      await recordDashboardRefund(refund)
+    }
+  }
+}
+
+// A payout from a creator's Stripe balance to their bank failed. The money
+// stays in their balance and Stripe pauses payouts until the bank details
+// are fixed (account.updated follows).
+async function handlePayoutFailed(payout: Stripe.Payout, accountId?: string) {
+  if (!accountId) {
+    console.error(`Platform payout ${payout.id} failed: ${payout.failure_message || payout.failure_code}`)
+    return
+  }
+
+  console.log(`Processing failed payout ${payout.id} on ${accountId}`)
+
+  const { data: account, error } = await supabase
+    .from('stripe_connect_accounts')
+    .update({
+      last_payout_failed_at: new Date().toISOString(),
+      last_payout_failure_code: payout.failure_code,
+      last_payout_failure_message: payout.failure_message,
+      last_failed_payout_id: payout.id,
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_account_id', accountId)
+    .select('user_id')
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to record failed payout ${payout.id}: ${error.message}`)
+  }
+
+  if (!account) {
+    console.log(`Payout ${payout.id} is on unknown account ${accountId}; ignoring`)
+    return
+  }
+
+  await notifyUser(account.user_id, {
+    type: 'payout_failed',
+    title: 'Bank Payout Failed',
+    message: `Stripe could not send ${formatMoney(payout.amount, payout.currency)} to your bank${payout.failure_message ? `: ${payout.failure_message}` : '.'} Update your bank details in payout settings; the money stays in your Stripe balance until then.`,
+    priority: 'high',
+  })
+}
+
+// A creator disconnected their Stripe account from the platform. Nothing
+// more can be sent to it: scheduled payouts hold as no_payout_account until
+// they connect an account again.
+async function handleAccountDeauthorized(accountId?: string) {
+  if (!accountId) {
+    console.error('account.application.deauthorized without an account')
+    return
+  }
+
+  console.log(`Processing deauthorized account: ${accountId}`)
+
+  const { data: account, error } = await supabase
+    .from('stripe_connect_accounts')
+    .update({
+      payouts_enabled: false,
+      charges_enabled: false,
+      onboarding_completed: false,
+      deauthorized_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_account_id', accountId)
+    .select('user_id')
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to disable deauthorized account ${accountId}: ${error.message}`)
+  }
+
+  const { error: profileError } = await supabase
+    .from('profiles')
+    .update({ stripe_account_enabled: false, updated_at: new Date().toISOString() })
+    .eq('stripe_account_id', accountId)
+
+  if (profileError) {
+    console.error('Failed to update user Stripe account:', profileError)
+  }
+
+  if (account) {
+    await notifyUser(account.user_id, {
+      type: 'stripe_account_disconnected',
+      title: 'Stripe Account Disconnected',
+      message: 'Your Stripe account was disconnected from Entry Point. Payouts are on hold until you connect a payout account again.',
+      priority: 'high',
+    })
+  }
+}
+
+async function handleRefundUpdated(refund: Stripe.Refund) {
+  console.log(`Processing refund update: ${refund.id} (${refund.status})`)
+
+  // Refunds issued by process-refund and settle-prize-deposit have a
+  // refund-owed entry to settle (those from before the refund engine carry
+  // just the order id); any other refund was issued from the dashboard
+  const refundId = refund.metadata?.refund_id
+  const depositGiveawayId = refund.metadata?.prize_deposit_giveaway_id
+  if (!isOurRefund(refund)) {
+    await recordDashboardRefund(refund)
+    return
+  }
+
+  if (depositGiveawayId && (refund.status === 'failed' || refund.status === 'canceled')) {
+    // The giveaway stays 'refunding'; settling it again issues a new refund
+    console.error(`Prize deposit refund ${refund.id} for giveaway ${depositGiveawayId} ${refund.status}`)
+    return
+  }
+
+  if (refundId && (refund.status === 'failed' || refund.status === 'canceled')) {
+    // The entrant is still owed; the refund engine's retry job tries again
+    const { error } = await supabase
+      .from('refunds')
+      .update({
+        status: 'failed',
+        error_message: `Stripe refund ${refund.id} ${refund.status}: ${refund.failure_reason || 'no reason given'}`,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', refundId)
+      .eq('stripe_refund_id', refund.id)
+
+    if (error) {
+      throw new Error(`Failed to record failed refund ${refundId}: ${error.message}`)
+    }
+    return
+  }
+
+  if (refund.status !== 'succeeded') {
+    return
+  }
+
+  await postRefundSettled(refund, refund.metadata.giveaway_id || null)
+
+  if (depositGiveawayId) {
+    const { error } = await supabase
+      .from('giveaways')
+      .update({ prize_deposit_status: 'refunded', prize_deposit_settled_at: new Date().toISOString() })
+      .eq('id', depositGiveawayId)
+      .eq('prize_deposit_status', 'refunding')
+
+    if (error) {
+      throw new Error(`Failed to mark prize deposit refunded for ${depositGiveawayId}: ${error.message}`)
+    }
+    return
+  }
+
+  if (!refundId) {
+    return
+  }
+
+  await supabase
+    .from('refunds')
+    .update({
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', refundId)
+    .eq('stripe_refund_id', refund.id)
+    .eq('status', 'submitted')
+}
+
+async function handleEvent(event: Stripe.Event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentIntentSucceeded(event.data.object as Stripe.PaymentIntent)
+      break
+
+    case 'payment_intent.payment_failed':
+      await handlePaymentIntentFailed(event.data.object as Stripe.PaymentIntent)
+      break
+
+    case 'account.updated':
+      await handleAccountUpdated(event.data.object as Stripe.Account)
+      break
+
+    case 'account.application.deauthorized':
+      await handleAccountDeauthorized(event.account)
+      break
+
+    // Refunds from the dashboard arrive as charge.refunded; ours are
+    // settled on charge.refund.updated
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object as Stripe.Charge)
+      break
+
+    case 'charge.refund.updated':
+      await handleRefundUpdated(event.data.object as Stripe.Refund)
+      break
+
+    // Chargebacks: evidence is assembled when the dispute opens and a lost
+    // dispute is settled on close (_shared/disputes.ts)
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+    case 'charge.dispute.funds_withdrawn':
+    case 'charge.dispute.funds_reinstated':
+      await syncDispute(supabase, stripe, event.data.object as Stripe.Dispute)
+      break
+
+    case 'transfer.created':
+      await handleTransferCreated(event.data.object as Stripe.Transfer)
+      break
+
+    case 'transfer.updated': {
+      // Handle transfer status updates (completed, failed, etc.)
+      const transferUpdate = event.data.object as Stripe.Transfer
+      await supabase
+        .from('payouts')
+        .update({
+          status: transferUpdate.metadata.status || 'completed',
+          updated_at: new Date().toISOString()
+        })
+        .eq('stripe_transfer_id', transferUpdate.id)
+      break
+    }
+
+    // Connect payouts to a creator's bank carry the creator's account
+    case 'payout.failed':
+      await handlePayoutFailed(event.data.object as Stripe.Payout, event.account)
+      break
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`)
+  }
+}
+
+/**
+ * Run an event unless it already succeeded. A failure is recorded as
+ * 'retrying' and rethrown.
+ */
+async function processEvent(event: Stripe.Event) {
+  // Claimed atomically, so concurrent deliveries can't both run the event
+  const { data: claimed, error: claimError } = await supabase.rpc('claim_webhook_event', {
+    p_webhook_id: event.id,
+    p_event_type: event.type,
+    p_payload: event,
+  })
+
+  if (claimError) {
+    throw new Error(`Failed to record event ${event.id}: ${claimError.message}`)
+  }
+
+  if (!claimed) {
+    console.log(`Event ${event.id} already processed or in progress`)
+    return { duplicate: true }
+  }
+
+  try {
+    await handleEvent(event)
+  } catch (error) {
+    await supabase
+      .from('webhook_deliveries')
+      .update({
+        status: 'retrying',
+        error_message: (error as Error).message,
+        last_attempt_at: new Date().toISOString(),
+        next_retry_at: new Date(Date.now() + RETRY_DELAY_MS).toISOString(),
+      })
+      .eq('webhook_id', event.id)
+      .eq('event_type', event.type)
+
+    throw error
+  }
+
+  await supabase.rpc('update_webhook_delivery_status', {
+    p_webhook_id: event.id,
+    p_event_type: event.type,
+    p_status: 'succeeded',
+    p_error_message: null,
+  })
+
+  return { duplicate: false }
+}
+
+// Run a recorded event again from its stored payload
+async function replayEvent(req: Request) {
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'No signature' }, 400)
+  }
+
+  if (!caller.isAdmin) {
+    return json({ error: 'Unauthorized: Admin access required' }, 403)
+  }
+
+  const body = await req.json().catch(() => ({}))
+  if (body.action !== 'replay' || !body.eventId || !body.eventType) {
+    return json({ error: 'action replay with eventId and eventType is required' }, 400)
+  }
+
+  const { data: delivery } = await supabase
+    .from('webhook_deliveries')
+    .select('payload')
+    .eq('webhook_id', body.eventId)
+    .eq('event_type', body.eventType)
+    .maybeSingle()
+
+  if (!delivery) {
+    return json({ error: `Event ${body.eventId} was never received` }, 404)
+  }
+
+  try {
+    const { duplicate } = await processEvent(delivery.payload as Stripe.Event)
+    return json({ replayed: !duplicate, duplicate })
+  } catch (error) {
+    console.error(`Replay of ${body.eventId} failed:`, error)
+    return json({ error: (error as Error).message }, 500)
+  }
+}
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: corsHeaders })
@@ -216,64 +829,26 @@ serve(async (req) => {
 
   const signature = req.headers.get('stripe-signature')
   if (!signature) {
-    return new Response('No signature', { status: 400 })
+    return replayEvent(req)
   }
 
+  let event: Stripe.Event
   try {
     const body = await req.text()
-    const event = stripe.webhooks.constructEvent(body, signature, webhookSecret)
-
-    console.log(`Received webhook: ${event.type}`)
-
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object as Stripe.PaymentIntent)
-        break
-
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object as Stripe.PaymentIntent)
-        break
-
-      case 'account.updated':
-        await handleAccountUpdated(event.data.object as Stripe.Account)
-        break
-
-      case 'transfer.created':
-        await handleTransferCreated(event.data.object as Stripe.Transfer)
-        break
-
-      case 'transfer.updated':
-        // Handle transfer status updates (completed, failed, etc.)
-        const transferUpdate = event.data.object as Stripe.Transfer
-        await supabase
-          .from('payouts')
-          .update({
-            status: transferUpdate.metadata.status || 'completed',
-            updated_at: new Date().toISOString()
-          })
-          .eq('stripe_transfer_id', transferUpdate.id)
-        break
-
-      default:
-        console.log(`Unhandled event type: ${event.type}`)
-    }
+    event = stripe.webhooks.constructEvent(body, signature, webhookSecret)
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error)
+    return json({ error: (error as Error).message }, 400)
+  }
 
-    return new Response(
-      JSON.stringify({ received: true }),
-      {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 200,
-      }
-    )
+  console.log(`Received webhook: ${event.type} (${event.id})`)
 
+  try {
+    const { duplicate } = await processEvent(event)
+    return json({ received: true, duplicate })
   } catch (error) {
+    // Any non-2xx response and Stripe delivers the event again later
     console.error('Webhook error:', error)
-    return new Response(
-      JSON.stringify({ error: error.message }),
-      {
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-        status: 400,
-      }
-    )
+    return json({ error: (error as Error).message }, 500)
   }
 })
@@ -0,0 +1,401 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import {
+  evaluateEligibility,
+  getGiveawayRules,
+  ipLocationBlocked,
+  loadDeclaration,
+  saveDeclaration,
+} from '../_shared/eligibility.ts'
+import { GIVEAWAY_STATUS } from '../_shared/lifecycle.ts'
+
+/**
+ * Alternative Method of Entry (AMOE) - the trusted path for free entries.
+ *
+ * Actions:
+ * - submit            (default) online free-entry form
+ * - request_mail_code issue a unique code for the participant to write on a postcard
+ * - redeem_mail_codes admin bulk redemption of received postcards
+ *
+ * Rules enforced here rather than on the client:
+ * - Platform and per-giveaway eligibility (../_shared/eligibility.ts)
+ * - One free entry per person per giveaway per day (form date or postmark date)
+ * - Mail-in cards postmarked in time count after the giveaway ends, but not
+ *   once it is drawn, fulfilled or cancelled
+ * - At most 3 online free entries per IP per giveaway per day
+ *   (same limits as ipGeoService.checkAMOERateLimit)
+ * - Every free entry is recorded through record_amoe_entry(), which adds exactly
+ *   one ticket to the participant's entry - the same weight as a paid ticket
+ */
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const IP_DAILY_LIMIT = 3
+const MAX_CODES_PER_BATCH = 500
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+interface Participant {
+  firstName: string
+  lastName: string
+  email: string
+  address: string
+  city: string
+  state: string
+  zipCode: string
+  country: string
+  phone?: string
+  dateOfBirth: string
+}
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL') ?? '',
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+)
+
+const json = (body: Record<string, any>, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+function validateParticipant(participant: Partial<Participant>): string | null {
+  const required: (keyof Participant)[] = ['firstName', 'lastName', 'email', 'address', 'city', 'state', 'zipCode', 'country', 'dateOfBirth']
+  const missing = required.filter(field => !participant[field]?.toString().trim())
+  if (missing.length > 0) {
+    return `Missing required fields: ${missing.join(', ')}`
+  }
+  if (!/\S+@\S+\.\S+/.test(participant.email!)) {
+    return 'Please enter a valid email'
+  }
+  if (!/^\d{5}(-\d{4})?$/.test(participant.zipCode!)) {
+    return 'Please enter a valid ZIP code'
+  }
+  return null
+}
+
+// Winners are drawn from the entries already in: nothing more can be
+// recorded, however early a mail-in card was postmarked
+const CLOSED_STATUSES: string[] = [GIVEAWAY_STATUS.DRAWN, GIVEAWAY_STATUS.FULFILLED, GIVEAWAY_STATUS.CANCELLED]
+
+function getClientIP(req: Request): string | null {
+  const forwarded = req.headers.get('x-forwarded-for')
+  return forwarded?.split(',')[0].trim() || req.headers.get('x-real-ip') || null
+}
+
+async function getOpenGiveaway(giveawayId: string, onDate?: string) {
+  const { data: giveaway, error } = await supabase
+    .from('giveaways')
+    .select('*')
+    .eq('id', giveawayId)
+    .single()
+
+  if (error || !giveaway) {
+    return { giveaway: null, reason: 'Giveaway not found' }
+  }
+
+  if (CLOSED_STATUSES.includes(giveaway.status)) {
+    return { giveaway, reason: 'Giveaway is closed to entries' }
+  }
+
+  const startsAt = giveaway.starts_at ?? giveaway.start_date ?? giveaway.created_at
+  const endsAt = giveaway.ends_at ?? giveaway.end_date
+  const day = onDate ?? new Date().toISOString().split('T')[0]
+
+  if (startsAt && day < new Date(startsAt).toISOString().split('T')[0]) {
+    return { giveaway, reason: 'Entry date is before the promotion period' }
+  }
+  if (endsAt && day > new Date(endsAt).toISOString().split('T')[0]) {
+    return { giveaway, reason: 'Entry date is after the promotion period' }
+  }
+  // Mail-in cards postmarked in time are honoured after the giveaway closes
+  if (!onDate && giveaway.status !== 'active') {
+    return { giveaway, reason: 'Giveaway is not accepting entries' }
+  }
+
+  return { giveaway, reason: null }
+}
+
+async function checkRateLimit(giveawayId: string, userId: string, ipAddress: string | null, entryDate: string) {
+  const { data: userEntries, error: userError } = await supabase
+    .from('amoe_entries')
+    .select('id')
+    .eq('giveaway_id', giveawayId)
+    .eq('user_id', userId)
+    .eq('entry_date', entryDate)
+
+  if (userError) throw userError
+
+  if (userEntries.length > 0) {
+    return { allowed: false, reason: 'daily_limit_reached', message: 'You have already submitted your free entry for today' }
+  }
+
+  if (ipAddress) {
+    const { data: ipEntries, error: ipError } = await supabase
+      .from('amoe_entries')
+      .select('id')
+      .eq('giveaway_id', giveawayId)
+      .eq('ip_address', ipAddress)
+      .eq('entry_date', entryDate)
+
+    if (ipError) throw ipError
+
+    if (ipEntries.length >= IP_DAILY_LIMIT) {
+      return { allowed: false, reason: 'ip_limit_reached', message: 'Too many entries from this location today' }
+    }
+  }
+
+  return { allowed: true }
+}
+
+function generateMailCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8))
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')
+  return `AMOE-${chars.slice(0, 4)}-${chars.slice(4)}`
+}
+
+async function handleSubmit(req: Request, user: any, body: any) {
+  const { giveawayId, participant = {} } = body
+  if (!giveawayId) {
+    return json({ error: 'giveawayId is required' }, 400)
+  }
+
+  const invalid = validateParticipant(participant)
+  if (invalid) {
+    return json({ error: invalid, reason: 'invalid_participant' }, 400)
+  }
+
+  const entryDate = new Date().toISOString().split('T')[0]
+  const { giveaway, reason } = await getOpenGiveaway(giveawayId)
+  if (!giveaway || reason) {
+    return json({ error: reason, reason: 'giveaway_closed' }, 400)
+  }
+
+  const eligibility = evaluateEligibility(getGiveawayRules(giveaway), participant)
+  if (!eligibility.eligible) {
+    return json({ error: eligibility.message, reason: eligibility.reason }, 403)
+  }
+
+  const ipAddress = getClientIP(req)
+  if (await ipLocationBlocked(ipAddress)) {
+    return json({ error: 'Free entries are not available from your location', reason: 'location_blocked' }, 403)
+  }
+
+  // The form is a declaration too, and must match any already on file;
+  // winner selection re-checks the entry against it
+  const { failure } = await saveDeclaration(supabase, user.id, participant, 'amoe')
+  if (failure) {
+    return json({ error: failure.message, reason: failure.reason }, 403)
+  }
+
+  const rateLimit = await checkRateLimit(giveawayId, user.id, ipAddress, entryDate)
+  if (!rateLimit.allowed) {
+    return json({ error: rateLimit.message, reason: rateLimit.reason }, 429)
+  }
+
+  const { data: amoeEntryId, error } = await supabase.rpc('record_amoe_entry', {
+    p_giveaway_id: giveawayId,
+    p_user_id: user.id,
+    p_entry_date: entryDate,
+    p_entry_method: 'online_form',
+    p_ip_address: ipAddress,
+    p_user_agent: req.headers.get('user-agent'),
+    p_verification_data: { ...participant, entryMethod: 'amoe_daily_form', submittedAt: new Date().toISOString() },
+  })
+
+  if (error) {
+    // Unique (giveaway, user, day) lost a race with a concurrent submission
+    if (error.code === '23505') {
+      return json({ error: 'You have already submitted your free entry for today', reason: 'daily_limit_reached' }, 429)
+    }
+    throw error
+  }
+
+  return json({ success: true, amoeEntryId, entryDate, ticketsAdded: 1 })
+}
+
+async function handleRequestMailCode(user: any, body: any) {
+  const { giveawayId } = body
+  const { giveaway, reason } = await getOpenGiveaway(giveawayId)
+  if (!giveaway || reason) {
+    return json({ error: reason, reason: 'giveaway_closed' }, 400)
+  }
+
+  // Reuse an outstanding code so a participant has one code per giveaway at a time
+  const { data: existing } = await supabase
+    .from('amoe_mail_codes')
+    .select('code, issued_at')
+    .eq('giveaway_id', giveawayId)
+    .eq('user_id', user.id)
+    .eq('status', 'issued')
+    .maybeSingle()
+
+  if (existing) {
+    return json({ success: true, code: existing.code, issuedAt: existing.issued_at })
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateMailCode()
+    const { data, error } = await supabase
+      .from('amoe_mail_codes')
+      .insert({ code, giveaway_id: giveawayId, user_id: user.id })
+      .select('code, issued_at')
+      .single()
+
+    if (!error) {
+      return json({ success: true, code: data.code, issuedAt: data.issued_at })
+    }
+    if (error.code !== '23505') throw error
+  }
+
+  throw new Error('Could not generate a unique mail-in code')
+}
+
+async function redeemMailCode(item: any, adminId: string) {
+  const code = String(typeof item === 'string' ? item : item?.code ?? '').trim().toUpperCase()
+  const postmarkDate = (typeof item === 'object' && item?.postmarkDate) || null
+
+  if (!code) return { code, status: 'rejected', reason: 'missing_code' }
+  if (!postmarkDate || isNaN(new Date(postmarkDate).getTime())) {
+    return { code, status: 'rejected', reason: 'missing_postmark_date' }
+  }
+  const entryDate = new Date(postmarkDate).toISOString().split('T')[0]
+
+  const { data: mailCode } = await supabase
+    .from('amoe_mail_codes')
+    .select('*')
+    .eq('code', code)
+    .maybeSingle()
+
+  if (!mailCode) return { code, status: 'rejected', reason: 'unknown_code' }
+  if (mailCode.status !== 'issued') return { code, status: 'rejected', reason: `already_${mailCode.status}` }
+
+  const reject = async (reason: string) => {
+    await supabase
+      .from('amoe_mail_codes')
+      .update({ status: 'rejected', rejection_reason: reason, postmark_date: entryDate, redeemed_by: adminId, redeemed_at: new Date().toISOString() })
+      .eq('id', mailCode.id)
+    return { code, status: 'rejected', reason }
+  }
+
+  const { giveaway, reason: periodReason } = await getOpenGiveaway(mailCode.giveaway_id, entryDate)
+  if (periodReason) {
+    return reject(CLOSED_STATUSES.includes(giveaway?.status) ? 'giveaway_closed' : 'postmark_outside_promotion_period')
+  }
+
+  // Details transcribed from the postcard take precedence over the
+  // participant's stored declaration; age is taken on the postmark date
+  const declaration = await loadDeclaration(supabase, mailCode.user_id)
+  const eligibility = evaluateEligibility(
+    getGiveawayRules(giveaway),
+    { ...declaration, ...(item?.address || {}) },
+    new Date(entryDate)
+  )
+  if (!eligibility.eligible) return reject(eligibility.reason!)
+
+  const { data: amoeEntryId, error } = await supabase.rpc('record_amoe_entry', {
+    p_giveaway_id: mailCode.giveaway_id,
+    p_user_id: mailCode.user_id,
+    p_entry_date: entryDate,
+    p_entry_method: 'mail_in',
+    p_ip_address: null,
+    p_user_agent: null,
+    p_verification_data: { ...(item?.address || {}), entryMethod: 'amoe_mail_in', postmarkDate: entryDate },
+    p_mail_code: code,
+  })
+
+  if (error) {
+    if (error.code === '23505') return reject('daily_limit_reached')
+    return { code, status: 'error', reason: error.message }
+  }
+
+  await supabase
+    .from('amoe_mail_codes')
+    .update({
+      status: 'redeemed',
+      postmark_date: entryDate,
+      redeemed_by: adminId,
+      redeemed_at: new Date().toISOString(),
+      amoe_entry_id: amoeEntryId,
+    })
+    .eq('id', mailCode.id)
+
+  return { code, status: 'redeemed', giveawayId: mailCode.giveaway_id, amoeEntryId }
+}
+
+async function handleRedeemMailCodes(user: any, body: any) {
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  if (!profile?.is_admin) {
+    return json({ error: 'Admin access required' }, 403)
+  }
+
+  const codes = Array.isArray(body.codes) ? body.codes : []
+  if (codes.length === 0 || codes.length > MAX_CODES_PER_BATCH) {
+    return json({ error: `Provide between 1 and ${MAX_CODES_PER_BATCH} codes` }, 400)
+  }
+
+  // Sequential so two cards for the same person/day resolve deterministically
+  const results = []
+  for (const item of codes) {
+    results.push(await redeemMailCode(item, user.id))
+  }
+
+  const redeemed = results.filter(result => result.status === 'redeemed').length
+
+  await supabase
+    .from('admin_audit_log')
+    .insert({
+      admin_id: user.id,
+      action: 'amoe_mail_redeem',
+      target_type: 'amoe_batch',
+      target_id: `batch_${Date.now()}`,
+      new_values: { submitted: codes.length, redeemed, results },
+      reason: body.notes || 'Mail-in AMOE batch redemption',
+    })
+
+  return json({
+    success: true,
+    submitted: codes.length,
+    redeemed,
+    rejected: results.length - redeemed,
+    results,
+  })
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const token = req.headers.get('Authorization')?.replace('Bearer ', '')
+    const { data: { user } } = await supabase.auth.getUser(token)
+
+    if (!user) {
+      return json({ error: 'Unauthorized' }, 401)
+    }
+
+    const body = await req.json()
+
+    switch (body.action ?? 'submit') {
+      case 'submit':
+        return await handleSubmit(req, user, body)
+      case 'request_mail_code':
+        return await handleRequestMailCode(user, body)
+      case 'redeem_mail_codes':
+        return await handleRedeemMailCodes(user, body)
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('AMOE entry error:', error)
+    return json({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,141 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { encryptTin, maskTin, validateTaxProfile } from '../_shared/tax.ts'
+
+/**
+ * W-9 collection (database/tax_reporting_schema.sql). The TIN is encrypted
+ * here and never stored or returned in the clear; the app only ever sees its
+ * last four digits.
+ *
+ * POST { action, ... } as the signed-in user
+ *   status  { winnerId? }: whether claiming that prize needs a W-9, and the
+ *           caller's tax profile on file, masked
+ *   submit  { profile }: certify and store the caller's W-9 details,
+ *           replacing any on file
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const PROFILE_COLUMNS = [
+  'user_id', 'legal_name', 'business_name', 'tax_classification', 'tin_type', 'tin_last4',
+  'address_line1', 'address_line2', 'city', 'state', 'postal_code', 'country',
+  'backup_withholding', 'certification_version', 'signed_name', 'certified_at',
+].join(', ')
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+const masked = (profile: any) =>
+  profile ? { ...profile, tin_masked: maskTin(profile.tin_type, profile.tin_last4) } : null
+
+async function loadProfile(userId: string) {
+  const { data, error } = await supabase
+    .from('tax_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) throw new Error(`Failed to load tax profile: ${error.message}`)
+  return masked(data)
+}
+
+async function taxStatus(userId: string, winnerId?: string) {
+  let required = false
+
+  if (winnerId) {
+    const { data: winner, error } = await supabase
+      .from('winners')
+      .select('id, user_id, claim_status, tax_form_required')
+      .eq('id', winnerId)
+      .single()
+
+    if (error || !winner || winner.user_id !== userId) {
+      throw new Error('Winner record not found')
+    }
+
+    if (winner.claim_status === 'pending') {
+      const { data, error: rpcError } = await supabase.rpc('winner_requires_tax_form', { p_winner_id: winnerId })
+      if (rpcError) throw new Error(`Failed to check tax requirement: ${rpcError.message}`)
+      required = !!data
+    } else {
+      required = !!winner.tax_form_required
+    }
+  }
+
+  return { required, profile: await loadProfile(userId) }
+}
+
+async function saveProfile(userId: string, { tin, ...profile }: ReturnType<typeof validateTaxProfile>) {
+  const encrypted = await encryptTin(tin, userId)
+
+  const { data, error } = await supabase
+    .from('tax_profiles')
+    .upsert({
+      user_id: userId,
+      ...profile,
+      ...encrypted,
+      tin_last4: tin.slice(-4),
+      certified_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' })
+    .select(PROFILE_COLUMNS)
+    .single()
+
+  if (error) throw new Error(`Failed to save tax profile: ${error.message}`)
+  return masked(data)
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    switch (body.action) {
+      case 'status':
+        return json(await taxStatus(user.id, body.winnerId))
+
+      case 'submit': {
+        let profile
+        try {
+          profile = validateTaxProfile(body.profile || {})
+        } catch (validationError) {
+          return json({ error: (validationError as Error).message }, 400)
+        }
+        return json(await saveProfile(user.id, profile))
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Tax info error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
@@ -0,0 +1,409 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { decryptTin, formatTin, loadTaxPolicy, maskTin, toCsv, usd } from '../_shared/tax.ts'
+import type { TaxPolicy } from '../_shared/tax.ts'
+
+/**
+ * Year-end information returns (database/tax_reporting_schema.sql). Totals
+ * are per recipient per calendar year (UTC), in USD.
+ *
+ * POST { action, year, ... }
+ *   form_1099_misc     US winners whose claimed prizes reach the threshold;
+ *                      prize ARV as box 3, other income. Admins.
+ *   form_1099_k        creators whose payouts reach the threshold; payouts
+ *                      net of transfer reversals as box 1a, with the payout
+ *                      count and monthly totals. Admins.
+ *   creator_statement  { creatorId? }: a creator's annual earnings statement
+ *                      by giveaway. The creator, or an admin for anyone.
+ *
+ * The form exports return the CSV with full TINs, and list the recipients
+ * over the threshold who have no W-9 on file. Every form export by an admin
+ * is written to admin_audit_log.
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December']
+
+const PAYOUT_ENTRY_TYPES = ['creator_payout', 'transfer_reversal']
+
+const MISC_COLUMNS = [
+  'Tax Year', 'Payer Name', 'Payer TIN', 'Payer Address',
+  'Recipient TIN Type', 'Recipient TIN', 'Recipient Name', 'Recipient Business Name',
+  'Address Line 1', 'Address Line 2', 'City', 'State', 'ZIP',
+  'Account Number', 'Box 3 Other Income', 'Box 4 Federal Income Tax Withheld',
+  'Backup Withholding', 'Prize Count',
+]
+
+const K_COLUMNS = [
+  'Tax Year', 'Filer Name', 'Filer TIN', 'Filer Address', 'Filer Type', 'Transaction Type',
+  'Payee TIN Type', 'Payee TIN', 'Payee Name', 'Payee Business Name',
+  'Address Line 1', 'Address Line 2', 'City', 'State', 'ZIP',
+  'Account Number', 'Box 1a Gross Amount', 'Box 3 Number of Payment Transactions',
+  'Box 4 Federal Income Tax Withheld', 'Backup Withholding',
+  ...MONTHS.map((month, i) => `Box 5${String.fromCharCode(97 + i)} ${month}`),
+]
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+interface Caller {
+  userId: string | null
+  isAdmin: boolean
+  isService: boolean
+}
+
+async function identify(req: Request): Promise<Caller | null> {
+  const token = (req.headers.get('Authorization') || '').replace('Bearer ', '')
+  if (!token) return null
+  if (token === supabaseServiceKey) return { userId: null, isAdmin: true, isService: true }
+
+  const { data: { user } } = await supabase.auth.getUser(token)
+  if (!user) return null
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('is_admin')
+    .eq('id', user.id)
+    .single()
+
+  return { userId: user.id, isAdmin: !!profile?.is_admin, isService: false }
+}
+
+function parseYear(value: unknown): number {
+  const year = Number(value)
+  const current = new Date().getUTCFullYear()
+  if (!Number.isInteger(year) || year < 2000 || year > current) {
+    throw new Error(`year must be between 2000 and ${current}`)
+  }
+  return year
+}
+
+async function loadRecipients(userIds: string[]) {
+  if (userIds.length === 0) return { users: new Map(), profiles: new Map() }
+
+  const [{ data: users, error: usersError }, { data: profiles, error: profilesError }] = await Promise.all([
+    supabase.from('users').select('id, name, email').in('id', userIds),
+    supabase.from('tax_profiles').select('*').in('user_id', userIds),
+  ])
+
+  if (usersError) throw new Error(`Failed to load recipients: ${usersError.message}`)
+  if (profilesError) throw new Error(`Failed to load tax profiles: ${profilesError.message}`)
+
+  return {
+    users: new Map((users || []).map((u: any) => [u.id, u])),
+    profiles: new Map((profiles || []).map((p: any) => [p.user_id, p])),
+  }
+}
+
+async function recipientColumns(profile: any, prefix: 'Recipient' | 'Payee') {
+  const tin = await decryptTin(profile)
+  return {
+    [`${prefix} TIN Type`]: profile.tin_type.toUpperCase(),
+    [`${prefix} TIN`]: formatTin(tin, profile.tin_type),
+    [`${prefix} Name`]: profile.legal_name,
+    [`${prefix} Business Name`]: profile.business_name,
+    'Address Line 1': profile.address_line1,
+    'Address Line 2': profile.address_line2,
+    'City': profile.city,
+    'State': profile.state,
+    'ZIP': profile.postal_code,
+    'Account Number': profile.user_id,
+    'Backup Withholding': profile.backup_withholding ? 'Y' : 'N',
+  }
+}
+
+async function form1099Misc(year: number, policy: TaxPolicy) {
+  const { data: awards, error } = await supabase.rpc('tax_year_prize_awards', { p_year: year })
+  if (error) throw new Error(`Failed to load prize awards: ${error.message}`)
+
+  const totals = new Map<string, { total: number; count: number }>()
+  const unconverted = []
+
+  for (const award of awards || []) {
+    if (award.country && !['US', 'United States'].includes(award.country)) continue
+
+    if (award.prize_value_usd === null) {
+      unconverted.push({ winnerId: award.winner_id, giveawayId: award.giveaway_id, currency: award.currency })
+      continue
+    }
+
+    const running = totals.get(award.user_id) ?? { total: 0, count: 0 }
+    running.total += Number(award.prize_value_usd)
+    running.count += 1
+    totals.set(award.user_id, running)
+  }
+
+  const reportable = [...totals.entries()]
+    .filter(([, t]) => t.total >= policy.form_1099_misc_threshold_usd)
+
+  const { users, profiles } = await loadRecipients(reportable.map(([userId]) => userId))
+  const rows = []
+  const missing = []
+
+  for (const [userId, t] of reportable) {
+    const profile = profiles.get(userId)
+    if (!profile) {
+      const user = users.get(userId)
+      missing.push({ userId, name: user?.name ?? null, email: user?.email ?? null, totalUsd: usd(t.total) })
+      continue
+    }
+
+    rows.push({
+      'Tax Year': year,
+      'Payer Name': policy.payer_name,
+      'Payer TIN': policy.payer_tin,
+      'Payer Address': policy.payer_address,
+      ...(await recipientColumns(profile, 'Recipient')),
+      'Box 3 Other Income': usd(t.total),
+      'Box 4 Federal Income Tax Withheld': usd(0),
+      'Prize Count': t.count,
+    })
+  }
+
+  return {
+    form: '1099-MISC',
+    year,
+    filename: `1099-misc-${year}.csv`,
+    csv: toCsv(MISC_COLUMNS, rows),
+    recipientCount: rows.length,
+    totalUsd: usd(reportable.reduce((sum, [, t]) => sum + t.total, 0)),
+    missing,
+    unconverted,
+  }
+}
+
+async function form1099K(year: number, policy: TaxPolicy) {
+  const { data: activity, error } = await supabase.rpc('tax_year_creator_activity', { p_year: year })
+  if (error) throw new Error(`Failed to load creator activity: ${error.message}`)
+
+  const totals = new Map<string, { total: number; transactions: number; monthly: number[] }>()
+  const unconverted = []
+
+  for (const row of activity || []) {
+    if (!PAYOUT_ENTRY_TYPES.includes(row.entry_type)) continue
+
+    if (row.amount_usd === null) {
+      unconverted.push({ creatorId: row.creator_id, giveawayId: row.giveaway_id, currency: row.currency })
+      continue
+    }
+
+    const running = totals.get(row.creator_id) ?? { total: 0, transactions: 0, monthly: Array(12).fill(0) }
+    // Payouts debit the creator's payable; a reversal credits it back
+    const paid = -Number(row.amount_usd)
+    running.total += paid
+    running.monthly[row.month - 1] += paid
+    if (row.entry_type === 'creator_payout') running.transactions += Number(row.entry_count)
+    totals.set(row.creator_id, running)
+  }
+
+  const reportable = [...totals.entries()].filter(([, t]) =>
+    t.total >= policy.form_1099_k_threshold_usd &&
+    t.transactions >= policy.form_1099_k_min_transactions
+  )
+
+  const { users, profiles } = await loadRecipients(reportable.map(([creatorId]) => creatorId))
+  const rows = []
+  const missing = []
+
+  for (const [creatorId, t] of reportable) {
+    const profile = profiles.get(creatorId)
+    if (!profile) {
+      const user = users.get(creatorId)
+      missing.push({ userId: creatorId, name: user?.name ?? null, email: user?.email ?? null, totalUsd: usd(t.total) })
+      continue
+    }
+
+    rows.push({
+      'Tax Year': year,
+      'Filer Name': policy.payer_name,
+      'Filer TIN': policy.payer_tin,
+      'Filer Address': policy.payer_address,
+      'Filer Type': 'PSE',
+      'Transaction Type': 'Third party network',
+      ...(await recipientColumns(profile, 'Payee')),
+      'Box 1a Gross Amount': usd(t.total),
+      'Box 3 Number of Payment Transactions': t.transactions,
+      'Box 4 Federal Income Tax Withheld': usd(0),
+      ...Object.fromEntries(MONTHS.map((month, i) =>
+        [`Box 5${String.fromCharCode(97 + i)} ${month}`, usd(t.monthly[i])])),
+    })
+  }
+
+  return {
+    form: '1099-K',
+    year,
+    filename: `1099-k-${year}.csv`,
+    csv: toCsv(K_COLUMNS, rows),
+    recipientCount: rows.length,
+    totalUsd: usd(reportable.reduce((sum, [, t]) => sum + t.total, 0)),
+    missing,
+    unconverted,
+  }
+}
+
+/**
+ * A creator's year from their payable account: what each giveaway released
+ * to them, what came back out for refunds and lost disputes, and what was
+ * paid out
+ */
+async function creatorStatement(year: number, creatorId: string, policy: TaxPolicy) {
+  const { data: activity, error } = await supabase.rpc('tax_year_creator_activity', {
+    p_year: year,
+    p_creator_id: creatorId,
+  })
+  if (error) throw new Error(`Failed to load creator activity: ${error.message}`)
+
+  const giveawayIds = [...new Set((activity || []).map((row: any) => row.giveaway_id).filter(Boolean))]
+  const [{ data: giveaways }, { data: profile }, { data: creator }] = await Promise.all([
+    giveawayIds.length
+      ? supabase.from('giveaways').select('id, title').in('id', giveawayIds)
+      : Promise.resolve({ data: [] }),
+    supabase.from('tax_profiles').select('legal_name, tin_type, tin_last4, certified_at').eq('user_id', creatorId).maybeSingle(),
+    supabase.from('users').select('name, email').eq('id', creatorId).single(),
+  ])
+  const titles = new Map((giveaways || []).map((g: any) => [g.id, g.title]))
+
+  const blank = () => ({ earned: 0, refunds: 0, disputes: 0, paidOut: 0, other: 0 })
+  const byGiveaway = new Map<string, any>()
+  const totals = blank()
+  const monthlyPayouts = Array(12).fill(0)
+  let payoutCount = 0
+
+  for (const row of activity || []) {
+    const amount = Number(row.amount_usd ?? 0)
+    const key = row.giveaway_id ?? 'none'
+    const line = byGiveaway.get(key) ?? {
+      giveawayId: row.giveaway_id,
+      title: titles.get(row.giveaway_id) ?? null,
+      currency: row.currency,
+      ...blank(),
+    }
+
+    const bucket = row.entry_type === 'escrow_release' ? 'earned'
+      : row.entry_type === 'refund' ? 'refunds'
+      : row.entry_type === 'dispute_lost' ? 'disputes'
+      : PAYOUT_ENTRY_TYPES.includes(row.entry_type) ? 'paidOut'
+      : 'other'
+
+    // Shown from the creator's side: payouts and clawbacks as positive amounts
+    const value = bucket === 'earned' || bucket === 'other' ? amount : -amount
+    line[bucket] += value
+    totals[bucket] += value
+
+    if (bucket === 'paidOut') {
+      monthlyPayouts[row.month - 1] += value
+      if (row.entry_type === 'creator_payout') payoutCount += Number(row.entry_count)
+    }
+
+    byGiveaway.set(key, line)
+  }
+
+  const round = (line: any) => Object.fromEntries(
+    Object.entries(line).map(([k, v]) => [k, typeof v === 'number' ? usd(v) : v]))
+
+  return {
+    year,
+    currency: 'usd',
+    creator: { id: creatorId, name: creator?.name ?? null, email: creator?.email ?? null },
+    taxProfile: profile
+      ? { legalName: profile.legal_name, tin: maskTin(profile.tin_type, profile.tin_last4), certifiedAt: profile.certified_at }
+      : null,
+    totals: { ...round(totals), net: usd(totals.earned - totals.refunds - totals.disputes + totals.other) },
+    payoutCount,
+    monthlyPayouts: MONTHS.map((month, i) => ({ month, amount: usd(monthlyPayouts[i]) })),
+    giveaways: [...byGiveaway.values()].map(round),
+    form1099K: totals.paidOut >= policy.form_1099_k_threshold_usd &&
+      payoutCount >= policy.form_1099_k_min_transactions,
+  }
+}
+
+async function logExport(caller: Caller, year: number, result: any) {
+  if (!caller.userId) return
+
+  const { error } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      admin_id: caller.userId,
+      action: 'tax_export',
+      target_type: 'tax_year',
+      target_id: String(year),
+      new_values: { form: result.form, recipients: result.recipientCount, missing: result.missing.length },
+      reason: `${result.form} export for ${year}`,
+    })
+
+  if (error) {
+    console.error('Failed to log tax export:', error)
+  }
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  const caller = await identify(req)
+  if (!caller) {
+    return json({ error: 'Unauthorized' }, 401)
+  }
+
+  try {
+    const body = await req.json().catch(() => ({}))
+
+    let year: number
+    try {
+      year = parseYear(body.year)
+    } catch (yearError) {
+      return json({ error: (yearError as Error).message }, 400)
+    }
+
+    const policy = await loadTaxPolicy(supabase)
+
+    switch (body.action) {
+      case 'form_1099_misc':
+      case 'form_1099_k': {
+        if (!caller.isAdmin) {
+          return json({ error: 'Unauthorized: Admin access required' }, 403)
+        }
+        const result = body.action === 'form_1099_misc'
+          ? await form1099Misc(year, policy)
+          : await form1099K(year, policy)
+        await logExport(caller, year, result)
+        return json(result)
+      }
+
+      case 'creator_statement': {
+        const creatorId = body.creatorId || caller.userId
+        if (!creatorId) {
+          return json({ error: 'creatorId is required' }, 400)
+        }
+        if (creatorId !== caller.userId && !caller.isAdmin) {
+          return json({ error: 'Unauthorized: creators can only view their own statement' }, 403)
+        }
+        return json(await creatorStatement(year, creatorId, policy))
+      }
+
+      default:
+        return json({ error: `Unknown action: ${body.action}` }, 400)
+    }
+  } catch (error) {
+    console.error('Tax export error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})
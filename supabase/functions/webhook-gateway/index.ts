@@ -0,0 +1,160 @@
+import { serve } from 'https://deno.land/std@0.177.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { verifyWebhook } from '../_shared/webhookSignature.ts'
+import type { SigningSecret } from '../_shared/webhookSignature.ts'
+
+/**
+ * Inbound webhook gateway (database/webhook_gateway_schema.sql). Third
+ * parties post to /webhook-gateway/<source> with webhook-id,
+ * webhook-timestamp and webhook-signature headers (_shared/webhookSignature.ts).
+ * A verified message of an event type the source may send is stored in
+ * webhook_deliveries as 'pending' and acknowledged; nothing acts on it until
+ * then. webhookReliabilityService.processPendingDeliveries dispatches it to
+ * the handler for its event type.
+ *
+ * Responses:
+ *   202  stored (or already stored: duplicate true)
+ *   400  missing headers, timestamp outside the tolerance, or a bad body
+ *   401  no active secret of the source signed it
+ *   404  unknown or disabled source
+ *   422  event type the source is not allowed to send
+ */
+
+const supabaseUrl = Deno.env.get('SUPABASE_URL')!
+const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Largest body accepted, before anything is parsed or verified
+const MAX_BODY_BYTES = 256 * 1024
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    status,
+  })
+
+// /webhook-gateway/<source>, or ?source=<source>
+function sourceSlug(req: Request): string | null {
+  const url = new URL(req.url)
+  const segments = url.pathname.split('/').filter(Boolean)
+  const index = segments.indexOf('webhook-gateway')
+  return (index >= 0 ? segments[index + 1] : null) ?? url.searchParams.get('source')
+}
+
+interface SourceConfig {
+  source: {
+    id: string
+    slug: string
+    enabled: boolean
+    event_types: string[]
+    event_type_field: string
+    tolerance_seconds: number
+  }
+  secrets: SigningSecret[]
+}
+
+async function loadSource(slug: string): Promise<SourceConfig | null> {
+  const { data, error } = await supabase.rpc('webhook_source_signing_config', { p_slug: slug })
+
+  if (error) throw new Error(`Failed to load webhook source ${slug}: ${error.message}`)
+
+  return data ?? null
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const slug = sourceSlug(req)
+    const config = slug ? await loadSource(slug) : null
+
+    // Unknown and disabled sources look the same from outside
+    if (!config || !config.source.enabled) {
+      return json({ error: 'Unknown webhook source' }, 404)
+    }
+
+    const { source, secrets } = config
+
+    const body = await req.text()
+    if (new TextEncoder().encode(body).length > MAX_BODY_BYTES) {
+      return json({ error: 'Payload too large' }, 413)
+    }
+
+    const messageId = req.headers.get('webhook-id')
+    const check = await verifyWebhook(
+      {
+        id: messageId,
+        timestamp: req.headers.get('webhook-timestamp'),
+        signature: req.headers.get('webhook-signature'),
+      },
+      body,
+      secrets,
+      source.tolerance_seconds
+    )
+
+    if (check.valid === false) {
+      console.warn(`Rejected webhook from ${source.slug}: ${check.reason}`)
+      return check.reason === 'bad_signature'
+        ? json({ error: 'Invalid signature' }, 401)
+        : json({ error: check.reason === 'stale_timestamp' ? 'Timestamp outside tolerance' : 'Missing webhook headers' }, 400)
+    }
+
+    let payload: Record<string, unknown>
+    try {
+      payload = JSON.parse(body)
+    } catch {
+      return json({ error: 'Body is not JSON' }, 400)
+    }
+
+    const eventType = payload?.[source.event_type_field]
+    if (typeof eventType !== 'string' || !source.event_types.includes(eventType)) {
+      return json({ error: `Event type not accepted from ${source.slug}: ${eventType}` }, 422)
+    }
+
+    const { data: delivery, error: insertError } = await supabase
+      .from('webhook_deliveries')
+      .insert({
+        // Message ids are only unique per sender
+        webhook_id: `${source.slug}:${messageId}`,
+        event_type: eventType,
+        payload,
+        status: 'pending',
+        source: source.slug,
+        signature_secret_id: check.secretId,
+      })
+      .select('id')
+      .single()
+
+    // 23505: this message id was stored before, so this is a replay or a
+    // sender retry; acknowledge it without storing it again
+    if (insertError?.code === '23505') {
+      return json({ received: true, duplicate: true }, 202)
+    }
+
+    if (insertError) {
+      throw new Error(`Failed to store webhook: ${insertError.message}`)
+    }
+
+    await supabase
+      .from('webhook_source_secrets')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', check.secretId)
+
+    return json({ received: true, duplicate: false, delivery_id: delivery.id }, 202)
+  } catch (error) {
+    console.error('Webhook gateway error:', error)
+    return json({ error: (error as Error).message }, 500)
+  }
+})